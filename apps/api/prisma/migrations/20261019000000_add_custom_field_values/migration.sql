@@ -0,0 +1,26 @@
+-- Scope custom fields to test cases, bugs or both
+ALTER TABLE "CustomField" ADD COLUMN "entityType" TEXT NOT NULL DEFAULT 'ALL';
+
+-- Create CustomFieldValue table
+CREATE TABLE "CustomFieldValue" (
+    "id" SERIAL NOT NULL,
+    "customFieldId" INTEGER NOT NULL,
+    "testCaseId" INTEGER,
+    "bugId" INTEGER,
+    "value" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CustomFieldValue_pkey" PRIMARY KEY ("id")
+);
+
+-- Create indexes
+CREATE UNIQUE INDEX "CustomFieldValue_customFieldId_testCaseId_key" ON "CustomFieldValue"("customFieldId", "testCaseId");
+CREATE UNIQUE INDEX "CustomFieldValue_customFieldId_bugId_key" ON "CustomFieldValue"("customFieldId", "bugId");
+CREATE INDEX "CustomFieldValue_testCaseId_idx" ON "CustomFieldValue"("testCaseId");
+CREATE INDEX "CustomFieldValue_bugId_idx" ON "CustomFieldValue"("bugId");
+
+-- Add foreign keys
+ALTER TABLE "CustomFieldValue" ADD CONSTRAINT "CustomFieldValue_customFieldId_fkey" FOREIGN KEY ("customFieldId") REFERENCES "CustomField"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "CustomFieldValue" ADD CONSTRAINT "CustomFieldValue_testCaseId_fkey" FOREIGN KEY ("testCaseId") REFERENCES "TestCase"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "CustomFieldValue" ADD CONSTRAINT "CustomFieldValue_bugId_fkey" FOREIGN KEY ("bugId") REFERENCES "Bug"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- Add rule-based (dynamic) membership to test suites
+ALTER TABLE "TestSuite" ADD COLUMN "suiteType" TEXT NOT NULL DEFAULT 'STATIC';
+ALTER TABLE "TestSuite" ADD COLUMN "criteria" JSONB;
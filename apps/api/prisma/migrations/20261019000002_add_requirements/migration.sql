@@ -0,0 +1,43 @@
+-- Create Requirement table
+CREATE TABLE "Requirement" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "key" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'DRAFT',
+    "parentId" INTEGER,
+    "order" INTEGER NOT NULL DEFAULT 0,
+    "createdBy" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Requirement_pkey" PRIMARY KEY ("id")
+);
+
+-- Create RequirementTestCase link table
+CREATE TABLE "RequirementTestCase" (
+    "id" SERIAL NOT NULL,
+    "requirementId" INTEGER NOT NULL,
+    "testCaseId" INTEGER NOT NULL,
+    "linkedBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RequirementTestCase_pkey" PRIMARY KEY ("id")
+);
+
+-- Create indexes
+CREATE UNIQUE INDEX "Requirement_projectId_key_key" ON "Requirement"("projectId", "key");
+CREATE INDEX "Requirement_projectId_idx" ON "Requirement"("projectId");
+CREATE INDEX "Requirement_parentId_idx" ON "Requirement"("parentId");
+CREATE INDEX "Requirement_status_idx" ON "Requirement"("status");
+CREATE UNIQUE INDEX "RequirementTestCase_requirementId_testCaseId_key" ON "RequirementTestCase"("requirementId", "testCaseId");
+CREATE INDEX "RequirementTestCase_requirementId_idx" ON "RequirementTestCase"("requirementId");
+CREATE INDEX "RequirementTestCase_testCaseId_idx" ON "RequirementTestCase"("testCaseId");
+
+-- Add foreign keys
+ALTER TABLE "Requirement" ADD CONSTRAINT "Requirement_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "Requirement" ADD CONSTRAINT "Requirement_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Requirement"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "Requirement" ADD CONSTRAINT "Requirement_createdBy_fkey" FOREIGN KEY ("createdBy") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "RequirementTestCase" ADD CONSTRAINT "RequirementTestCase_requirementId_fkey" FOREIGN KEY ("requirementId") REFERENCES "Requirement"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "RequirementTestCase" ADD CONSTRAINT "RequirementTestCase_testCaseId_fkey" FOREIGN KEY ("testCaseId") REFERENCES "TestCase"("id") ON DELETE CASCADE ON UPDATE CASCADE;
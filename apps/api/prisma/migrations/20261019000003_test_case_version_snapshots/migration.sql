@@ -0,0 +1,11 @@
+-- Snapshot steps, tags and moduleArea on test case versions and record who created each version
+ALTER TABLE "TestCaseVersion" ADD COLUMN "estimatedDurationMinutes" INTEGER;
+ALTER TABLE "TestCaseVersion" ADD COLUMN "moduleArea" TEXT;
+ALTER TABLE "TestCaseVersion" ADD COLUMN "tags" TEXT[] DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "TestCaseVersion" ADD COLUMN "steps" JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE "TestCaseVersion" ADD COLUMN "changeNote" TEXT;
+ALTER TABLE "TestCaseVersion" ADD COLUMN "changedBy" INTEGER;
+ALTER TABLE "TestCaseVersion" ADD COLUMN "restoredFromVersion" INTEGER;
+
+-- Add foreign keys
+ALTER TABLE "TestCaseVersion" ADD CONSTRAINT "TestCaseVersion_changedBy_fkey" FOREIGN KEY ("changedBy") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- Create SharedStepBlock table
+CREATE TABLE "SharedStepBlock" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "createdBy" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SharedStepBlock_pkey" PRIMARY KEY ("id")
+);
+
+-- Create SharedStep table
+CREATE TABLE "SharedStep" (
+    "id" SERIAL NOT NULL,
+    "blockId" INTEGER NOT NULL,
+    "stepNumber" INTEGER NOT NULL,
+    "action" TEXT NOT NULL,
+    "expectedResult" TEXT NOT NULL,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SharedStep_pkey" PRIMARY KEY ("id")
+);
+
+-- Reference shared blocks from test case steps
+ALTER TABLE "TestCaseStep" ADD COLUMN "sharedStepBlockId" INTEGER;
+
+-- Store concrete step content on execution steps
+ALTER TABLE "TestExecutionStep" ADD COLUMN "stepId" INTEGER;
+ALTER TABLE "TestExecutionStep" ADD COLUMN "action" TEXT;
+ALTER TABLE "TestExecutionStep" ADD COLUMN "expectedResult" TEXT;
+ALTER TABLE "TestExecutionStep" ADD COLUMN "sharedStepBlockId" INTEGER;
+
+-- Create indexes
+CREATE UNIQUE INDEX "SharedStepBlock_projectId_name_key" ON "SharedStepBlock"("projectId", "name");
+CREATE INDEX "SharedStepBlock_projectId_idx" ON "SharedStepBlock"("projectId");
+CREATE INDEX "SharedStep_blockId_idx" ON "SharedStep"("blockId");
+CREATE INDEX "TestCaseStep_sharedStepBlockId_idx" ON "TestCaseStep"("sharedStepBlockId");
+
+-- Add foreign keys
+ALTER TABLE "SharedStepBlock" ADD CONSTRAINT "SharedStepBlock_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "SharedStepBlock" ADD CONSTRAINT "SharedStepBlock_createdBy_fkey" FOREIGN KEY ("createdBy") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "SharedStep" ADD CONSTRAINT "SharedStep_blockId_fkey" FOREIGN KEY ("blockId") REFERENCES "SharedStepBlock"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "TestCaseStep" ADD CONSTRAINT "TestCaseStep_sharedStepBlockId_fkey" FOREIGN KEY ("sharedStepBlockId") REFERENCES "SharedStepBlock"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "TestExecutionStep" ADD CONSTRAINT "TestExecutionStep_stepId_fkey" FOREIGN KEY ("stepId") REFERENCES "TestCaseStep"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "TestExecutionStep" ADD CONSTRAINT "TestExecutionStep_sharedStepBlockId_fkey" FOREIGN KEY ("sharedStepBlockId") REFERENCES "SharedStepBlock"("id") ON DELETE SET NULL ON UPDATE CASCADE;
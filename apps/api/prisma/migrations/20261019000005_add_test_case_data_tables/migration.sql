@@ -0,0 +1,37 @@
+-- Create TestCaseParameter table
+CREATE TABLE "TestCaseParameter" (
+    "id" SERIAL NOT NULL,
+    "testCaseId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" TEXT NOT NULL DEFAULT 'STRING',
+    "position" INTEGER NOT NULL,
+
+    CONSTRAINT "TestCaseParameter_pkey" PRIMARY KEY ("id")
+);
+
+-- Create TestCaseDataRow table
+CREATE TABLE "TestCaseDataRow" (
+    "id" SERIAL NOT NULL,
+    "testCaseId" INTEGER NOT NULL,
+    "rowNumber" INTEGER NOT NULL,
+    "values" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TestCaseDataRow_pkey" PRIMARY KEY ("id")
+);
+
+-- Record the data row each execution ran with
+ALTER TABLE "TestExecution" ADD COLUMN "dataRowId" INTEGER;
+ALTER TABLE "TestExecution" ADD COLUMN "dataRowNumber" INTEGER;
+ALTER TABLE "TestExecution" ADD COLUMN "dataRowValues" JSONB;
+
+-- Create indexes
+CREATE UNIQUE INDEX "TestCaseParameter_testCaseId_name_key" ON "TestCaseParameter"("testCaseId", "name");
+CREATE INDEX "TestCaseParameter_testCaseId_idx" ON "TestCaseParameter"("testCaseId");
+CREATE UNIQUE INDEX "TestCaseDataRow_testCaseId_rowNumber_key" ON "TestCaseDataRow"("testCaseId", "rowNumber");
+CREATE INDEX "TestCaseDataRow_testCaseId_idx" ON "TestCaseDataRow"("testCaseId");
+
+-- Add foreign keys
+ALTER TABLE "TestCaseParameter" ADD CONSTRAINT "TestCaseParameter_testCaseId_fkey" FOREIGN KEY ("testCaseId") REFERENCES "TestCase"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "TestCaseDataRow" ADD CONSTRAINT "TestCaseDataRow_testCaseId_fkey" FOREIGN KEY ("testCaseId") REFERENCES "TestCase"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "TestExecution" ADD CONSTRAINT "TestExecution_dataRowId_fkey" FOREIGN KEY ("dataRowId") REFERENCES "TestCaseDataRow"("id") ON DELETE SET NULL ON UPDATE CASCADE;
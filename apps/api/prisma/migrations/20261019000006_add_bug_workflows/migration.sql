@@ -0,0 +1,23 @@
+-- Create BugWorkflow table
+CREATE TABLE "BugWorkflow" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "states" JSONB NOT NULL,
+    "transitions" JSONB NOT NULL,
+    "assignedState" TEXT,
+    "updatedBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BugWorkflow_pkey" PRIMARY KEY ("id")
+);
+
+-- New bugs start in the default workflow's initial state
+ALTER TABLE "Bug" ALTER COLUMN "status" SET DEFAULT 'NEW';
+
+-- Create indexes
+CREATE UNIQUE INDEX "BugWorkflow_projectId_key" ON "BugWorkflow"("projectId");
+
+-- Add foreign keys
+ALTER TABLE "BugWorkflow" ADD CONSTRAINT "BugWorkflow_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "BugWorkflow" ADD CONSTRAINT "BugWorkflow_updatedBy_fkey" FOREIGN KEY ("updatedBy") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,50 @@
+-- Webhooks subscribe to several events and track delivery health
+ALTER TABLE "Webhook" ADD COLUMN "name" TEXT;
+ALTER TABLE "Webhook" ADD COLUMN "description" TEXT;
+ALTER TABLE "Webhook" ADD COLUMN "events" TEXT[] DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "Webhook" ADD COLUMN "failureCount" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Webhook" ADD COLUMN "lastTriggeredAt" TIMESTAMP(3);
+ALTER TABLE "Webhook" ADD COLUMN "lastSuccessAt" TIMESTAMP(3);
+ALTER TABLE "Webhook" ADD COLUMN "lastFailureAt" TIMESTAMP(3);
+ALTER TABLE "Webhook" ADD COLUMN "autoDisabledAt" TIMESTAMP(3);
+ALTER TABLE "Webhook" ADD COLUMN "createdById" INTEGER;
+
+-- Carry existing single-event webhooks over
+UPDATE "Webhook" SET "events" = ARRAY["event"], "name" = "url";
+UPDATE "Webhook" SET "secret" = md5(random()::text || clock_timestamp()::text) || md5(random()::text) WHERE "secret" IS NULL;
+
+ALTER TABLE "Webhook" ALTER COLUMN "name" SET NOT NULL;
+ALTER TABLE "Webhook" ALTER COLUMN "secret" SET NOT NULL;
+
+DROP INDEX "Webhook_event_idx";
+ALTER TABLE "Webhook" DROP COLUMN "event";
+
+-- Create WebhookDelivery table
+CREATE TABLE "WebhookDelivery" (
+    "id" SERIAL NOT NULL,
+    "webhookId" INTEGER NOT NULL,
+    "event" TEXT NOT NULL,
+    "payload" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attemptCount" INTEGER NOT NULL DEFAULT 0,
+    "nextRetryAt" TIMESTAMP(3),
+    "responseCode" INTEGER,
+    "responseBody" TEXT,
+    "errorMessage" TEXT,
+    "durationMs" INTEGER,
+    "deliveredAt" TIMESTAMP(3),
+    "redeliveredFromId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WebhookDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- Create indexes
+CREATE INDEX "WebhookDelivery_webhookId_createdAt_idx" ON "WebhookDelivery"("webhookId", "createdAt");
+CREATE INDEX "WebhookDelivery_status_nextRetryAt_idx" ON "WebhookDelivery"("status", "nextRetryAt");
+
+-- Add foreign keys
+ALTER TABLE "Webhook" ADD CONSTRAINT "Webhook_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "WebhookDelivery" ADD CONSTRAINT "WebhookDelivery_webhookId_fkey" FOREIGN KEY ("webhookId") REFERENCES "Webhook"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "WebhookDelivery" ADD CONSTRAINT "WebhookDelivery_redeliveredFromId_fkey" FOREIGN KEY ("redeliveredFromId") REFERENCES "WebhookDelivery"("id") ON DELETE SET NULL ON UPDATE CASCADE;
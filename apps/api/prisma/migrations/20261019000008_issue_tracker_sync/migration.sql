@@ -0,0 +1,52 @@
+-- Create IssueTrackerIntegration table
+CREATE TABLE "IssueTrackerIntegration" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "provider" TEXT NOT NULL DEFAULT 'JIRA',
+    "baseUrl" TEXT NOT NULL,
+    "projectKey" TEXT NOT NULL,
+    "issueType" TEXT NOT NULL DEFAULT 'Bug',
+    "authEmail" TEXT,
+    "apiToken" TEXT NOT NULL,
+    "webhookSecret" TEXT NOT NULL,
+    "fieldMappings" JSONB NOT NULL,
+    "syncComments" BOOLEAN NOT NULL DEFAULT true,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastSyncAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "IssueTrackerIntegration_pkey" PRIMARY KEY ("id")
+);
+
+-- Create ExternalIssueLink table
+CREATE TABLE "ExternalIssueLink" (
+    "id" SERIAL NOT NULL,
+    "bugId" INTEGER NOT NULL,
+    "integrationId" INTEGER NOT NULL,
+    "externalId" TEXT NOT NULL,
+    "externalKey" TEXT NOT NULL,
+    "externalUrl" TEXT,
+    "lastSyncedAt" TIMESTAMP(3),
+    "lastSyncError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExternalIssueLink_pkey" PRIMARY KEY ("id")
+);
+
+-- Track synced comments so inbound webhooks do not echo them back
+ALTER TABLE "BugComment" ADD COLUMN "externalCommentId" TEXT;
+
+-- Create indexes
+CREATE UNIQUE INDEX "IssueTrackerIntegration_projectId_key" ON "IssueTrackerIntegration"("projectId");
+CREATE UNIQUE INDEX "ExternalIssueLink_bugId_key" ON "ExternalIssueLink"("bugId");
+CREATE UNIQUE INDEX "ExternalIssueLink_integrationId_externalId_key" ON "ExternalIssueLink"("integrationId", "externalId");
+
+-- Add foreign keys
+ALTER TABLE "IssueTrackerIntegration" ADD CONSTRAINT "IssueTrackerIntegration_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "IssueTrackerIntegration" ADD CONSTRAINT "IssueTrackerIntegration_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "ExternalIssueLink" ADD CONSTRAINT "ExternalIssueLink_bugId_fkey" FOREIGN KEY ("bugId") REFERENCES "Bug"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ExternalIssueLink" ADD CONSTRAINT "ExternalIssueLink_integrationId_fkey" FOREIGN KEY ("integrationId") REFERENCES "IssueTrackerIntegration"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,43 @@
+-- Evidence records carry their storage driver and object key
+ALTER TABLE "TestExecutionEvidence"
+    ADD COLUMN "stepId" INTEGER,
+    ADD COLUMN "resourceType" TEXT NOT NULL DEFAULT 'raw',
+    ADD COLUMN "storageDriver" TEXT NOT NULL DEFAULT 'cloudinary',
+    ADD COLUMN "publicId" TEXT,
+    ADD COLUMN "secureUrl" TEXT,
+    ADD COLUMN "bytes" INTEGER,
+    ADD COLUMN "format" TEXT,
+    ADD COLUMN "originalFilename" TEXT,
+    ADD COLUMN "uploadedBy" INTEGER,
+    ADD COLUMN "uploadedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN "deletedAt" TIMESTAMP(3),
+    ADD COLUMN "deletedBy" INTEGER;
+
+-- Backfill from the legacy url/filename columns; legacy URLs stay readable through secureUrl
+UPDATE "TestExecutionEvidence" SET
+    "publicId" = "url",
+    "secureUrl" = "url",
+    "bytes" = COALESCE("size", 0),
+    "format" = COALESCE(NULLIF(lower(substring("filename" from '\.([A-Za-z0-9]+)$')), ''), 'bin'),
+    "originalFilename" = "filename",
+    "uploadedAt" = "createdAt",
+    "resourceType" = CASE "type" WHEN 'SCREENSHOT' THEN 'image' WHEN 'VIDEO' THEN 'video' ELSE 'raw' END;
+
+ALTER TABLE "TestExecutionEvidence"
+    ALTER COLUMN "publicId" SET NOT NULL,
+    ALTER COLUMN "bytes" SET NOT NULL,
+    ALTER COLUMN "format" SET NOT NULL,
+    ALTER COLUMN "originalFilename" SET NOT NULL,
+    DROP COLUMN "filename",
+    DROP COLUMN "url",
+    DROP COLUMN "mimeType",
+    DROP COLUMN "size",
+    DROP COLUMN "createdAt";
+
+-- Create indexes
+CREATE INDEX "TestExecutionEvidence_stepId_idx" ON "TestExecutionEvidence"("stepId");
+CREATE INDEX "TestExecutionEvidence_storageDriver_idx" ON "TestExecutionEvidence"("storageDriver");
+
+-- Add foreign keys
+ALTER TABLE "TestExecutionEvidence" ADD CONSTRAINT "TestExecutionEvidence_stepId_fkey" FOREIGN KEY ("stepId") REFERENCES "TestExecutionStep"("id") ON DELETE CASCADE ON UPDATE CASCADE;
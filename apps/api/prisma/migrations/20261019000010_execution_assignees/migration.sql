@@ -0,0 +1,6 @@
+-- Per-execution tester assignment within a test run
+ALTER TABLE "TestExecution" ADD COLUMN "assignedToId" INTEGER;
+
+CREATE INDEX "TestExecution_assignedToId_idx" ON "TestExecution"("assignedToId");
+
+ALTER TABLE "TestExecution" ADD CONSTRAINT "TestExecution_assignedToId_fkey" FOREIGN KEY ("assignedToId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
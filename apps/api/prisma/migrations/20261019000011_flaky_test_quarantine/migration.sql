@@ -0,0 +1,35 @@
+-- Quarantine flag on test cases
+ALTER TABLE "TestCase" ADD COLUMN "isQuarantined" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "TestCase" ADD COLUMN "quarantinedAt" TIMESTAMP(3);
+ALTER TABLE "TestCase" ADD COLUMN "quarantinedById" INTEGER;
+ALTER TABLE "TestCase" ADD COLUMN "quarantineReason" TEXT;
+
+CREATE INDEX "TestCase_isQuarantined_idx" ON "TestCase"("isQuarantined");
+
+ALTER TABLE "TestCase" ADD CONSTRAINT "TestCase_quarantinedById_fkey" FOREIGN KEY ("quarantinedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Create TestCaseFlakiness table
+CREATE TABLE "TestCaseFlakiness" (
+    "id" SERIAL NOT NULL,
+    "testCaseId" INTEGER NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "score" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "flipCount" INTEGER NOT NULL DEFAULT 0,
+    "executionCount" INTEGER NOT NULL DEFAULT 0,
+    "passCount" INTEGER NOT NULL DEFAULT 0,
+    "failCount" INTEGER NOT NULL DEFAULT 0,
+    "windowDays" INTEGER NOT NULL,
+    "breakdown" JSONB,
+    "isFlaky" BOOLEAN NOT NULL DEFAULT false,
+    "flaggedAt" TIMESTAMP(3),
+    "calculatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TestCaseFlakiness_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "TestCaseFlakiness_testCaseId_key" ON "TestCaseFlakiness"("testCaseId");
+CREATE INDEX "TestCaseFlakiness_projectId_score_idx" ON "TestCaseFlakiness"("projectId", "score");
+CREATE INDEX "TestCaseFlakiness_isFlaky_idx" ON "TestCaseFlakiness"("isFlaky");
+
+ALTER TABLE "TestCaseFlakiness" ADD CONSTRAINT "TestCaseFlakiness_testCaseId_fkey" FOREIGN KEY ("testCaseId") REFERENCES "TestCase"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "TestCaseFlakiness" ADD CONSTRAINT "TestCaseFlakiness_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
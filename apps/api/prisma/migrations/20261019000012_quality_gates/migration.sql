@@ -0,0 +1,24 @@
+-- Create QualityGate table
+CREATE TABLE "QualityGate" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "minPassRate" DOUBLE PRECISION,
+    "blockingPriorities" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "maxOpenBugs" JSONB,
+    "testPlanId" INTEGER,
+    "minPlanCoverage" DOUBLE PRECISION,
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "QualityGate_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "QualityGate_projectId_idx" ON "QualityGate"("projectId");
+
+ALTER TABLE "QualityGate" ADD CONSTRAINT "QualityGate_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "QualityGate" ADD CONSTRAINT "QualityGate_testPlanId_fkey" FOREIGN KEY ("testPlanId") REFERENCES "TestPlan"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "QualityGate" ADD CONSTRAINT "QualityGate_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
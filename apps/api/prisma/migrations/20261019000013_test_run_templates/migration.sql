@@ -0,0 +1,42 @@
+-- Create TestRunTemplate table
+CREATE TABLE "TestRunTemplate" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "selectionType" TEXT NOT NULL DEFAULT 'CASES',
+    "testCaseIds" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "testSuiteId" INTEGER,
+    "testPlanId" INTEGER,
+    "criteria" JSONB,
+    "environment" TEXT,
+    "buildVersion" TEXT,
+    "assignment" JSONB,
+    "namePattern" TEXT NOT NULL DEFAULT '{template} - {date}',
+    "schedule" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "runCount" INTEGER NOT NULL DEFAULT 0,
+    "lastRunAt" TIMESTAMP(3),
+    "lastRunId" INTEGER,
+    "lastError" TEXT,
+    "createdById" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TestRunTemplate_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "TestRunTemplate_projectId_idx" ON "TestRunTemplate"("projectId");
+CREATE INDEX "TestRunTemplate_isActive_idx" ON "TestRunTemplate"("isActive");
+
+ALTER TABLE "TestRunTemplate" ADD CONSTRAINT "TestRunTemplate_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "TestRunTemplate" ADD CONSTRAINT "TestRunTemplate_testSuiteId_fkey" FOREIGN KEY ("testSuiteId") REFERENCES "TestSuite"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "TestRunTemplate" ADD CONSTRAINT "TestRunTemplate_testPlanId_fkey" FOREIGN KEY ("testPlanId") REFERENCES "TestPlan"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "TestRunTemplate" ADD CONSTRAINT "TestRunTemplate_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Link test runs to the template they were created from
+ALTER TABLE "TestRun" ADD COLUMN "templateId" INTEGER;
+
+CREATE INDEX "TestRun_templateId_idx" ON "TestRun"("templateId");
+
+ALTER TABLE "TestRun" ADD CONSTRAINT "TestRun_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "TestRunTemplate"("id") ON DELETE SET NULL ON UPDATE CASCADE;
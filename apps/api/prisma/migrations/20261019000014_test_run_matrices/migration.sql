@@ -0,0 +1,32 @@
+-- Create TestRunMatrix table
+CREATE TABLE "TestRunMatrix" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "testPlanId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "buildVersion" TEXT,
+    "environments" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "configurations" JSONB NOT NULL,
+    "createdById" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TestRunMatrix_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "TestRunMatrix_projectId_idx" ON "TestRunMatrix"("projectId");
+CREATE INDEX "TestRunMatrix_testPlanId_idx" ON "TestRunMatrix"("testPlanId");
+
+ALTER TABLE "TestRunMatrix" ADD CONSTRAINT "TestRunMatrix_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "TestRunMatrix" ADD CONSTRAINT "TestRunMatrix_testPlanId_fkey" FOREIGN KEY ("testPlanId") REFERENCES "TestPlan"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "TestRunMatrix" ADD CONSTRAINT "TestRunMatrix_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Link test runs to their test plan and matrix cell
+ALTER TABLE "TestRun" ADD COLUMN "testPlanId" INTEGER;
+ALTER TABLE "TestRun" ADD COLUMN "matrixId" INTEGER;
+ALTER TABLE "TestRun" ADD COLUMN "configuration" JSONB;
+
+CREATE INDEX "TestRun_testPlanId_idx" ON "TestRun"("testPlanId");
+CREATE INDEX "TestRun_matrixId_idx" ON "TestRun"("matrixId");
+
+ALTER TABLE "TestRun" ADD CONSTRAINT "TestRun_testPlanId_fkey" FOREIGN KEY ("testPlanId") REFERENCES "TestPlan"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "TestRun" ADD CONSTRAINT "TestRun_matrixId_fkey" FOREIGN KEY ("matrixId") REFERENCES "TestRunMatrix"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- Link a bug marked DUPLICATE to the original bug
+ALTER TABLE "Bug" ADD COLUMN "duplicateOfId" INTEGER;
+
+CREATE INDEX "Bug_duplicateOfId_idx" ON "Bug"("duplicateOfId");
+
+ALTER TABLE "Bug" ADD CONSTRAINT "Bug_duplicateOfId_fkey" FOREIGN KEY ("duplicateOfId") REFERENCES "Bug"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- TOTP two-factor authentication
+ALTER TABLE "User" ADD COLUMN "mfaEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "mfaSecret" TEXT,
+ADD COLUMN "mfaPendingSecret" TEXT,
+ADD COLUMN "mfaRecoveryCodes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "mfaLastUsedStep" INTEGER,
+ADD COLUMN "mfaEnabledAt" TIMESTAMP(3);
@@ -0,0 +1,26 @@
+-- Custom project roles built from project-scoped permission keys
+CREATE TABLE "ProjectRole" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "key" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "permissions" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProjectRole_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "ProjectRole_projectId_key_key" ON "ProjectRole"("projectId", "key");
+
+CREATE INDEX "ProjectRole_projectId_idx" ON "ProjectRole"("projectId");
+
+ALTER TABLE "ProjectRole" ADD CONSTRAINT "ProjectRole_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Link a project member to the custom role named by projectRole
+ALTER TABLE "ProjectUserAllocation" ADD COLUMN "customRoleId" INTEGER;
+
+CREATE INDEX "ProjectUserAllocation_customRoleId_idx" ON "ProjectUserAllocation"("customRoleId");
+
+ALTER TABLE "ProjectUserAllocation" ADD CONSTRAINT "ProjectUserAllocation_customRoleId_fkey" FOREIGN KEY ("customRoleId") REFERENCES "ProjectRole"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- Enterprise single sign-on (OIDC / SAML 2.0) providers with just-in-time provisioning
+CREATE TABLE "SsoProvider" (
+    "id" SERIAL NOT NULL,
+    "slug" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "protocol" TEXT NOT NULL,
+    "isEnabled" BOOLEAN NOT NULL DEFAULT true,
+    "emailDomains" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "disablePasswordLogin" BOOLEAN NOT NULL DEFAULT false,
+    "issuer" TEXT,
+    "clientId" TEXT,
+    "clientSecret" TEXT,
+    "scopes" TEXT NOT NULL DEFAULT 'openid profile email',
+    "entryPoint" TEXT,
+    "idpEntityId" TEXT,
+    "idpCertificate" TEXT,
+    "groupsClaim" TEXT NOT NULL DEFAULT 'groups',
+    "defaultRole" TEXT NOT NULL DEFAULT 'TESTER',
+    "roleMappings" JSONB,
+    "projectMappings" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SsoProvider_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "SsoProvider_slug_key" ON "SsoProvider"("slug");
+
+CREATE INDEX "SsoProvider_isEnabled_idx" ON "SsoProvider"("isEnabled");
@@ -0,0 +1,101 @@
+-- Tamper-evident hash chain for audit entries; existing rows are sealed by the API on startup
+ALTER TABLE "AuditLog" ADD COLUMN "sequence" INTEGER,
+ADD COLUMN "previousHash" TEXT,
+ADD COLUMN "hash" TEXT;
+
+CREATE UNIQUE INDEX "AuditLog_sequence_key" ON "AuditLog"("sequence");
+
+-- ChatAuditLog was only ever created by db push; create it here for migrated databases
+CREATE TABLE IF NOT EXISTS "ChatAuditLog" (
+    "id" SERIAL NOT NULL,
+    "adminId" INTEGER NOT NULL,
+    "adminName" TEXT NOT NULL,
+    "actionType" TEXT NOT NULL,
+    "targetId" INTEGER,
+    "targetName" TEXT,
+    "targetType" TEXT,
+    "reason" TEXT,
+    "timestamp" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ChatAuditLog_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX IF NOT EXISTS "ChatAuditLog_adminId_idx" ON "ChatAuditLog"("adminId");
+CREATE INDEX IF NOT EXISTS "ChatAuditLog_actionType_idx" ON "ChatAuditLog"("actionType");
+CREATE INDEX IF NOT EXISTS "ChatAuditLog_timestamp_idx" ON "ChatAuditLog"("timestamp");
+CREATE INDEX IF NOT EXISTS "ChatAuditLog_targetId_idx" ON "ChatAuditLog"("targetId");
+CREATE INDEX IF NOT EXISTS "ChatAuditLog_targetType_idx" ON "ChatAuditLog"("targetType");
+
+ALTER TABLE "ChatAuditLog" ADD COLUMN "sequence" INTEGER,
+ADD COLUMN "previousHash" TEXT,
+ADD COLUMN "hash" TEXT;
+
+CREATE UNIQUE INDEX "ChatAuditLog_sequence_key" ON "ChatAuditLog"("sequence");
+
+-- Deleting a user must not take their audit trail with it
+ALTER TABLE "AuditLog" DROP CONSTRAINT "AuditLog_userId_fkey";
+
+ALTER TABLE "AuditLog" ADD CONSTRAINT "AuditLog_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "ChatAuditLog" DROP CONSTRAINT IF EXISTS "ChatAuditLog_adminId_fkey";
+
+ALTER TABLE "ChatAuditLog" ADD CONSTRAINT "ChatAuditLog_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Entries past their retention period, moved out of the live tables with their hashes
+CREATE TABLE "AuditLogArchive" (
+    "id" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "action" TEXT NOT NULL,
+    "resourceType" TEXT NOT NULL,
+    "resourceId" INTEGER,
+    "resourceName" TEXT,
+    "projectId" INTEGER,
+    "description" TEXT,
+    "oldValues" TEXT,
+    "newValues" TEXT,
+    "timestamp" TIMESTAMP(3) NOT NULL,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "sequence" INTEGER NOT NULL,
+    "previousHash" TEXT,
+    "hash" TEXT NOT NULL,
+    "archivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLogArchive_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "AuditLogArchive_sequence_key" ON "AuditLogArchive"("sequence");
+
+CREATE INDEX "AuditLogArchive_userId_idx" ON "AuditLogArchive"("userId");
+
+CREATE INDEX "AuditLogArchive_action_idx" ON "AuditLogArchive"("action");
+
+CREATE INDEX "AuditLogArchive_timestamp_idx" ON "AuditLogArchive"("timestamp");
+
+CREATE TABLE "ChatAuditLogArchive" (
+    "id" INTEGER NOT NULL,
+    "adminId" INTEGER NOT NULL,
+    "adminName" TEXT NOT NULL,
+    "actionType" TEXT NOT NULL,
+    "targetId" INTEGER,
+    "targetName" TEXT,
+    "targetType" TEXT,
+    "reason" TEXT,
+    "timestamp" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "previousHash" TEXT,
+    "hash" TEXT NOT NULL,
+    "archivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ChatAuditLogArchive_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "ChatAuditLogArchive_sequence_key" ON "ChatAuditLogArchive"("sequence");
+
+CREATE INDEX "ChatAuditLogArchive_adminId_idx" ON "ChatAuditLogArchive"("adminId");
+
+CREATE INDEX "ChatAuditLogArchive_actionType_idx" ON "ChatAuditLogArchive"("actionType");
+
+CREATE INDEX "ChatAuditLogArchive_timestamp_idx" ON "ChatAuditLogArchive"("timestamp");
@@ -0,0 +1,15 @@
+-- Identity providers that already require a second factor skip the app's own two-factor step
+ALTER TABLE "SsoProvider" ADD COLUMN "enforcesMfa" BOOLEAN NOT NULL DEFAULT false;
+
+-- SSO links created together with their account were provisioned by the provider
+UPDATE "OAuthIntegration" AS oi
+SET "metadata" = COALESCE(oi."metadata", '{}'::jsonb) || '{"linkedBy": "provisioned"}'::jsonb
+FROM "User" AS u
+WHERE oi."userId" = u."id"
+  AND oi."provider" LIKE 'SSO:%'
+  AND oi."createdAt" - u."createdAt" < INTERVAL '1 minute';
+
+-- The rest were attached to existing accounts by email alone; their owners reconnect from settings
+DELETE FROM "OAuthIntegration"
+WHERE "provider" LIKE 'SSO:%'
+  AND ("metadata" IS NULL OR "metadata"->>'linkedBy' IS NULL);
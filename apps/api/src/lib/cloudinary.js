@@ -4,13 +4,14 @@ const {
   CLOUDINARY_CLOUD_NAME,
   CLOUDINARY_API_KEY,
   CLOUDINARY_API_SECRET,
-  CLOUDINARY_FOLDER_ROOT = 'testtrack-pro',
   CLOUDINARY_MAX_BYTES_IMAGE = '5242880',
   CLOUDINARY_MAX_BYTES_VIDEO = '52428800',
   CLOUDINARY_MAX_BYTES_LOG = '1048576',
 } = process.env;
 
-if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
+// Only relevant when evidence is stored in Cloudinary
+const usesCloudinary = process.env.EVIDENCE_STORAGE_DRIVER === 'cloudinary' || CLOUDINARY_CLOUD_NAME;
+if (usesCloudinary && (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET)) {
   console.warn('Cloudinary credentials are not fully configured.');
 }
 
@@ -33,14 +34,25 @@ const allowedFormatsByResource = {
 };
 
 const mimeConfig = {
-  'image/png': { type: 'SCREENSHOT', resourceType: 'image', maxBytes: evidenceLimits.image },
-  'image/jpeg': { type: 'SCREENSHOT', resourceType: 'image', maxBytes: evidenceLimits.image },
-  'image/jpg': { type: 'SCREENSHOT', resourceType: 'image', maxBytes: evidenceLimits.image },
-  'video/mp4': { type: 'VIDEO', resourceType: 'video', maxBytes: evidenceLimits.video },
-  'video/webm': { type: 'VIDEO', resourceType: 'video', maxBytes: evidenceLimits.video },
-  'text/plain': { type: 'LOG', resourceType: 'raw', maxBytes: evidenceLimits.log },
-  'application/json': { type: 'LOG', resourceType: 'raw', maxBytes: evidenceLimits.log },
-  'application/har+json': { type: 'LOG', resourceType: 'raw', maxBytes: evidenceLimits.log },
+  'image/png': { type: 'SCREENSHOT', resourceType: 'image', format: 'png', maxBytes: evidenceLimits.image },
+  'image/jpeg': { type: 'SCREENSHOT', resourceType: 'image', format: 'jpg', maxBytes: evidenceLimits.image },
+  'image/jpg': { type: 'SCREENSHOT', resourceType: 'image', format: 'jpg', maxBytes: evidenceLimits.image },
+  'video/mp4': { type: 'VIDEO', resourceType: 'video', format: 'mp4', maxBytes: evidenceLimits.video },
+  'video/webm': { type: 'VIDEO', resourceType: 'video', format: 'webm', maxBytes: evidenceLimits.video },
+  'text/plain': { type: 'LOG', resourceType: 'raw', format: 'txt', maxBytes: evidenceLimits.log },
+  'application/json': { type: 'LOG', resourceType: 'raw', format: 'json', maxBytes: evidenceLimits.log },
+  'application/har+json': { type: 'LOG', resourceType: 'raw', format: 'har', maxBytes: evidenceLimits.log },
+};
+
+const contentTypeByFormat = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  txt: 'text/plain',
+  json: 'application/json',
+  har: 'application/har+json',
 };
 
 export function getEvidenceConfig(fileType) {
@@ -51,9 +63,18 @@ export function getAllowedFormats(resourceType) {
   return allowedFormatsByResource[resourceType] || [];
 }
 
-export function getCloudinaryFolder({ projectId, testCaseId, executionId, stepId }) {
-  const base = CLOUDINARY_FOLDER_ROOT.trim() || 'testtrack-pro';
-  return `${base}/project_${projectId}/case_${testCaseId}/execution_${executionId}/step_${stepId}`;
+export function getContentTypeForFormat(format) {
+  return contentTypeByFormat[String(format).toLowerCase()] || 'application/octet-stream';
+}
+
+export function getMaxBytesForResource(resourceType) {
+  if (resourceType === 'image') return evidenceLimits.image;
+  if (resourceType === 'video') return evidenceLimits.video;
+  return evidenceLimits.log;
+}
+
+export function getLargestEvidenceBytes() {
+  return Math.max(...Object.values(evidenceLimits));
 }
 
 export function getCloudinary() {
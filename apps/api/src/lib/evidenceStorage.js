@@ -0,0 +1,55 @@
+import { cloudinaryDriver } from './storageDrivers/cloudinaryDriver.js';
+import { localDriver } from './storageDrivers/localDriver.js';
+import { s3Driver } from './storageDrivers/s3Driver.js';
+
+/**
+ * Evidence storage drivers
+ *
+ * Every driver implements:
+ * - buildKey(base, format): object key for a file, e.g. base plus extension
+ * - assertConfigured(): throws when its environment is incomplete
+ * - createUpload({ key, folder, publicId, contentType, resourceType, maxBytes }): fields the
+ *   browser needs to upload the file directly to the backend
+ * - resolveUpload({ key, payload }): verifies the upload and returns { secureUrl, bytes }
+ * - getDownloadUrl(record): URL the browser can read the file from
+ * - readObject(record) / writeObject({ key, body, contentType, resourceType }) / deleteObject(record)
+ *
+ * Records keep the driver they were written with, so switching EVIDENCE_STORAGE_DRIVER only
+ * affects new uploads until existing evidence is migrated.
+ */
+const drivers = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver,
+  s3: s3Driver,
+};
+
+export { verifyEvidenceUrl } from './storageDrivers/signing.js';
+
+export const EVIDENCE_STORAGE_DRIVERS = Object.keys(drivers);
+
+const { EVIDENCE_FOLDER_ROOT, CLOUDINARY_FOLDER_ROOT } = process.env;
+
+/**
+ * Name of the driver new uploads go to
+ * Defaults to cloudinary when its credentials are set and to local disk otherwise.
+ */
+export function getActiveEvidenceDriverName() {
+  const configured = process.env.EVIDENCE_STORAGE_DRIVER?.trim().toLowerCase();
+  if (configured) {
+    return configured;
+  }
+  return process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local';
+}
+
+export function getEvidenceStorageDriver(name = getActiveEvidenceDriverName()) {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown evidence storage driver: ${name}`);
+  }
+  return driver;
+}
+
+export function getEvidenceFolder({ projectId, testCaseId, executionId, stepId }) {
+  const base = (EVIDENCE_FOLDER_ROOT || CLOUDINARY_FOLDER_ROOT || '').trim() || 'testtrack-pro';
+  return `${base}/project_${projectId}/case_${testCaseId}/execution_${executionId}/step_${stepId}`;
+}
@@ -125,6 +125,14 @@ export const PERMISSIONS = {
       [ROLES.TESTER]: true,
     },
   },
+  'projectRole:manage': {
+    description: 'Define custom project roles and their permissions',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: false,
+      [ROLES.TESTER]: false,
+    },
+  },
 
   // ============================================
   // TEST CASE MANAGEMENT
@@ -193,6 +201,50 @@ export const PERMISSIONS = {
       [ROLES.TESTER]: true,
     },
   },
+  'testCase:quarantine': {
+    description: 'Quarantine flaky test cases or release them from quarantine',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: false,
+      [ROLES.TESTER]: true,
+    },
+  },
+
+  // ============================================
+  // SHARED STEP LIBRARY
+  // ============================================
+  'sharedStep:create': {
+    description: 'Create shared step blocks',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: true,
+      [ROLES.TESTER]: true,
+    },
+  },
+  'sharedStep:read': {
+    description: 'Read shared step blocks and where they are used',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: true,
+      [ROLES.TESTER]: true,
+    },
+  },
+  'sharedStep:edit': {
+    description: 'Edit shared step blocks (changes apply to every referencing test case)',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: true,
+      [ROLES.TESTER]: true,
+    },
+  },
+  'sharedStep:delete': {
+    description: 'Delete unused shared step blocks',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: true,
+      [ROLES.TESTER]: true,
+    },
+  },
 
   // ============================================
   // TEST EXECUTION (CRITICAL: ADMIN MUST NOT EXECUTE)
@@ -289,6 +341,14 @@ export const PERMISSIONS = {
       [ROLES.TESTER]: false, // CRITICAL: Tester cannot mark bug as FIXED
     },
   },
+  'bug:duplicate': {
+    description: 'Mark bugs as duplicates of another bug (the workflow still gates the DUPLICATE state)',
+    roles: {
+      [ROLES.ADMIN]: false,
+      [ROLES.DEVELOPER]: true,
+      [ROLES.TESTER]: true,
+    },
+  },
   'bug:verify': {
     description: 'Verify bug fixes and retest',
     roles: {
@@ -329,6 +389,22 @@ export const PERMISSIONS = {
       [ROLES.TESTER]: true,
     },
   },
+  'bugWorkflow:read': {
+    description: 'View the project bug workflow and available transitions',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: true,
+      [ROLES.TESTER]: true,
+    },
+  },
+  'bugWorkflow:manage': {
+    description: 'Define bug states, transitions, role rules and auto-assignment per project',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: false,
+      [ROLES.TESTER]: false,
+    },
+  },
 
   // ============================================
   // TEST SUITES & RUNS
@@ -426,6 +502,42 @@ export const PERMISSIONS = {
     },
   },
 
+  // ============================================
+  // REQUIREMENTS
+  // ============================================
+  'requirement:create': {
+    description: 'Create requirements',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: true,
+      [ROLES.TESTER]: true,
+    },
+  },
+  'requirement:read': {
+    description: 'Read requirements and the traceability matrix',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: true,
+      [ROLES.TESTER]: true,
+    },
+  },
+  'requirement:edit': {
+    description: 'Edit requirements and link test cases',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: true,
+      [ROLES.TESTER]: true,
+    },
+  },
+  'requirement:delete': {
+    description: 'Delete requirements',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: true,
+      [ROLES.TESTER]: true,
+    },
+  },
+
   // ============================================
   // MILESTONES
   // ============================================
@@ -446,6 +558,46 @@ export const PERMISSIONS = {
     },
   },
 
+  // ============================================
+  // RUN TEMPLATES
+  // ============================================
+  'runTemplate:read': {
+    description: 'View saved test run templates and their schedules',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: true,
+      [ROLES.TESTER]: true,
+    },
+  },
+  'runTemplate:manage': {
+    description: 'Create, schedule and start test runs from templates',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: false,
+      [ROLES.TESTER]: true,
+    },
+  },
+
+  // ============================================
+  // QUALITY GATES
+  // ============================================
+  'qualityGate:read': {
+    description: 'View release quality gates and evaluate them against runs and builds',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: true,
+      [ROLES.TESTER]: true,
+    },
+  },
+  'qualityGate:manage': {
+    description: 'Define release quality gates per project',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: true,
+      [ROLES.TESTER]: true,
+    },
+  },
+
   // ============================================
   // API KEYS
   // ============================================
@@ -525,6 +677,14 @@ export const PERMISSIONS = {
       [ROLES.TESTER]: true,
     },
   },
+  'issueTracker:manage': {
+    description: 'Configure the external issue tracker sync and its field mappings',
+    roles: {
+      [ROLES.ADMIN]: true,
+      [ROLES.DEVELOPER]: false,
+      [ROLES.TESTER]: false,
+    },
+  },
   'search:read': {
     description: 'Search across project resources',
     roles: {
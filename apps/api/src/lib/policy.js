@@ -31,14 +31,20 @@ const ACTION_ALIASES = {
 const RESOURCE_TYPE_MAP = {
   user: 'user',
   project: 'project',
+  projectRole: 'project',
   testCase: 'test',
+  sharedStep: 'test',
   testSuite: 'test',
   testRun: 'execution',
   testExecution: 'execution',
   testResult: 'execution',
   testPlan: 'test',
+  requirement: 'test',
   bug: 'bug',
+  bugWorkflow: 'bug',
   milestone: 'project',
+  qualityGate: 'execution',
+  runTemplate: 'execution',
   notification: 'project',
   chat: 'project',
   evidence: 'execution',
@@ -47,6 +53,7 @@ const RESOURCE_TYPE_MAP = {
   audit: 'global',
   apiKey: 'project',
   webhook: 'project',
+  issueTracker: 'project',
   github: 'project',
   search: 'project',
   admin: 'global',
@@ -104,6 +111,38 @@ export const POLICY_MAP = Object.entries(PERMISSIONS).reduce((acc, [key, perm])
   return acc;
 }, {});
 
+// Permissions that apply inside a single project; only these can be granted by a custom project role
+export const PROJECT_SCOPED_PERMISSIONS = Object.keys(POLICY_MAP).filter((key) => POLICY_MAP[key].scope === 'project');
+
+/**
+ * Decide whether a permission is granted inside a project
+ * Members with a custom project role get exactly that role's permissions for project-scoped
+ * keys; everyone else falls back to the global role matrix plus POLICY_OVERRIDES.
+ * @param {Object} access - { role, projectRole, projectPermissions }
+ * @param {string} permission - Permission key
+ * @returns {boolean}
+ */
+export function isAllowedInProject(access, permission) {
+  const policy = POLICY_MAP[permission];
+  if (!policy) {
+    return false;
+  }
+
+  if (policy.scope === 'project' && Array.isArray(access.projectPermissions)) {
+    return access.projectPermissions.includes(permission);
+  }
+
+  if (!hasPermission(access.role, permission)) {
+    return false;
+  }
+
+  if (policy.scope === 'project' && policy.projectRoles) {
+    return policy.projectRoles.includes(String(access.projectRole || '').toUpperCase());
+  }
+
+  return true;
+}
+
 export function buildPermissionContext(request, permission) {
   return {
     validated: true,
@@ -112,6 +151,8 @@ export function buildPermissionContext(request, permission) {
     userId: request.user?.id,
     role: request.user?.role,
     projectId: request.projectId || request.params?.projectId || request.query?.projectId || null,
+    projectRole: request.projectRole || null,
+    projectPermissions: request.projectPermissions ?? null,
   };
 }
 
@@ -133,6 +174,9 @@ export function assertPermissionContext(authContext, permission, scopeContext =
     if (scopeContext.projectId && Number(authContext.projectId) !== Number(scopeContext.projectId)) {
       throw new Error('Project scope mismatch');
     }
+    if (Array.isArray(authContext.projectPermissions) && !authContext.projectPermissions.includes(permission)) {
+      throw new Error('Permission not granted by project role');
+    }
   }
 
   return policy;
@@ -150,17 +194,23 @@ export function requirePermission(permission) {
       return reply.code(401).send({ error: 'Unauthorized' });
     }
 
-    if (!hasPermission(request.user.role, permission)) {
-      return reply.code(403).send({ error: 'Forbidden' });
-    }
-
-    if (policy.scope === 'project') {
+    if (policy.scope !== 'project') {
+      if (!hasPermission(request.user.role, permission)) {
+        return reply.code(403).send({ error: 'Forbidden' });
+      }
+    } else {
+      // A custom project role may grant what the global role does not, so resolve project access first
       const projectAccess = await requireProjectAccess(request, reply);
       if (projectAccess?.blocked) {
         return;
       }
 
-      if (policy.projectRoles && !policy.projectRoles.includes(String(request.projectRole || '').toUpperCase())) {
+      const allowed = isAllowedInProject({
+        role: request.user.role,
+        projectRole: request.projectRole,
+        projectPermissions: request.projectPermissions,
+      }, permission);
+      if (!allowed) {
         return reply.code(403).send({ error: 'Forbidden' });
       }
     }
@@ -171,6 +221,8 @@ export function requirePermission(permission) {
 
 export default {
   POLICY_MAP,
+  PROJECT_SCOPED_PERMISSIONS,
+  isAllowedInProject,
   requirePermission,
   buildPermissionContext,
   assertPermissionContext,
@@ -2,10 +2,43 @@ import { getPrismaClient } from './prisma.js';
 
 const prisma = getPrismaClient();
 
+// lastUsedAt is written at most this often per session
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
 function normalizeRole(role) {
   return typeof role === 'string' ? role.trim().toUpperCase() : '';
 }
 
+/**
+ * Check that the session an access token was issued for is still active
+ * Tokens issued before sessions carried an ID have no sessionId and rely on tokenVersion only.
+ * @param {Object} payload - Verified JWT payload
+ * @returns {Promise<boolean>} False if the session was revoked, expired or belongs to another user
+ */
+async function isTokenSessionActive(payload) {
+  if (payload.sessionId === undefined || payload.sessionId === null) {
+    return true;
+  }
+
+  const session = await prisma.userSession.findUnique({
+    where: { id: payload.sessionId },
+    select: { id: true, userId: true, revokedAt: true, expiresAt: true, lastUsedAt: true },
+  });
+
+  if (!session || session.userId !== payload.id || session.revokedAt || new Date() > session.expiresAt) {
+    return false;
+  }
+
+  if (!session.lastUsedAt || Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await prisma.userSession.update({
+      where: { id: session.id },
+      data: { lastUsedAt: new Date() },
+    });
+  }
+
+  return true;
+}
+
 /**
  * Verify JWT token and load user from database
  * @param {Object} fastify - Fastify instance
@@ -52,10 +85,15 @@ export async function verifyTokenAndLoadUser(fastify, token) {
     return null;
   }
 
+  if (!(await isTokenSessionActive(payload))) {
+    return null;
+  }
+
   return {
     id: user.id,
     email: user.email,
     role: normalizedRole,
+    sessionId: payload.sessionId ?? null,
   };
 }
 
@@ -101,10 +139,15 @@ export function createAuthGuards(fastify) {
       return reply.code(401).send({ error: 'Unauthorized' });
     }
 
+    if (!(await isTokenSessionActive(payload))) {
+      return reply.code(401).send({ error: 'Unauthorized' });
+    }
+
     request.user = {
       id: user.id,
       email: user.email,
       role: normalizedRole,
+      sessionId: payload.sessionId ?? null,
     };
 
     const projectCheck = await requireProjectAccess(request, reply, { allowMissingProject: true });
@@ -188,7 +231,11 @@ async function loadProjectAccess(userId, projectId) {
         userId: Number(userId),
         isActive: true,
       },
-      select: { projectRole: true, isActive: true },
+      select: {
+        projectRole: true,
+        isActive: true,
+        customRole: { select: { id: true, key: true, permissions: true } },
+      },
     }),
   ]);
 
@@ -211,6 +258,8 @@ export async function requireProjectAccess(request, reply, options = {}) {
   }
 
   request.projectId = Number(projectId);
+  // Only members holding a custom project role get an explicit permission list
+  request.projectPermissions = null;
 
   if (request.apiKey?.projectId) {
     if (Number(request.apiKey.projectId) !== Number(projectId)) {
@@ -251,5 +300,6 @@ export async function requireProjectAccess(request, reply, options = {}) {
   }
 
   request.projectRole = allocation.projectRole;
+  request.projectPermissions = allocation.customRole?.permissions || null;
   return { allowed: true, projectId: project.id, projectRole: allocation.projectRole };
 }
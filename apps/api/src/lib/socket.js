@@ -2,6 +2,13 @@ import { Server } from "socket.io";
 import { Redis } from "@upstash/redis";
 import { getPrismaClient } from "./prisma.js";
 import { verifyTokenAndLoadUser } from "./rbac.js";
+import {
+  runRoom,
+  getRunLocks,
+  claimExecutionLock,
+  releaseExecutionLock,
+  releaseSocketLocks,
+} from "../services/runBoardService.js";
 
 let redisClient = null;
 let logger = console; // Default logger, will be overridden
@@ -51,6 +58,7 @@ export function getRedisClient() {
  *   - project:<projectId> - for project-wide communication
  *   - role:<role> - for role-based broadcasts (DEVELOPER, TESTER, ADMIN)
  *   - user:<userId> - for direct notifications
+ *   - run:<runId> - live board of a test run (execution updates, soft locks)
  * 
  * @param {object} fastifyServer - Fastify server instance
  * @returns {object} Socket.IO server instance
@@ -803,10 +811,101 @@ export function setupSocket(fastifyServer) {
       logger.debug({ userId, recipientId }, 'DM stop typing indicator sent');
     });
 
+    // Join a test run board; the ack carries the current soft locks
+    socket.on('run:join', async (data, ack) => {
+      const runId = Number(data?.runId);
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (!Number.isInteger(runId)) {
+        reply({ ok: false, error: 'Invalid run' });
+        return;
+      }
+
+      try {
+        const run = await prisma.testRun.findUnique({
+          where: { id: runId },
+          select: { projectId: true },
+        });
+        if (!run) {
+          reply({ ok: false, error: 'Test run not found' });
+          return;
+        }
+
+        if (normalizedRole !== 'ADMIN') {
+          const membership = await prisma.projectUserAllocation.findFirst({
+            where: { projectId: run.projectId, userId, isActive: true },
+          });
+          if (!membership) {
+            reply({ ok: false, error: 'Access denied: Not a member of this project' });
+            return;
+          }
+        }
+
+        socket.join(runRoom(runId));
+        reply({ ok: true, locks: getRunLocks(runId) });
+        logger.debug({ userId, runId }, 'User joined run board');
+      } catch (error) {
+        logger.error({ err: error, userId, runId }, 'Error joining run board');
+        reply({ ok: false, error: 'Failed to join run board' });
+      }
+    });
+
+    socket.on('run:leave', (data) => {
+      const runId = Number(data?.runId);
+      if (Number.isInteger(runId)) {
+        socket.leave(runRoom(runId));
+      }
+    });
+
+    // Soft lock: announce that this user is executing a case of a joined run
+    socket.on('run:lock', async (data, ack) => {
+      const runId = Number(data?.runId);
+      const executionId = Number(data?.executionId);
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      if (!socket.rooms.has(runRoom(runId))) {
+        reply({ acquired: false, error: 'Join the run board first' });
+        return;
+      }
+
+      try {
+        const execution = await prisma.testExecution.findFirst({
+          where: { id: executionId, testRunId: runId },
+          select: { id: true },
+        });
+        if (!execution) {
+          reply({ acquired: false, error: 'Execution not found' });
+          return;
+        }
+
+        if (!socket.data.userName) {
+          const profile = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { name: true, email: true },
+          });
+          socket.data.userName = profile?.name || profile?.email || `User ${userId}`;
+        }
+
+        reply(claimExecutionLock(runId, executionId, {
+          userId,
+          userName: socket.data.userName,
+          socketId: socket.id,
+        }));
+      } catch (error) {
+        logger.error({ err: error, userId, runId, executionId }, 'Error claiming execution lock');
+        reply({ acquired: false, error: 'Failed to claim execution' });
+      }
+    });
+
+    socket.on('run:unlock', (data) => {
+      releaseExecutionLock(data?.runId, data?.executionId, userId);
+    });
+
     // Handle disconnection
     socket.on("disconnect", () => {
       logger.info({ userId, socketId: socket.id }, 'User disconnected from Socket.IO');
 
+      releaseSocketLocks(socket.id);
+
       onlineUserIds.delete(userId);
       io.emit('user_offline', {
         userId,
@@ -0,0 +1,79 @@
+import { getCloudinary } from '../cloudinary.js';
+
+/**
+ * Cloudinary evidence driver
+ * The browser uploads with a signed Cloudinary request; records keep Cloudinary's secure URL.
+ */
+export const cloudinaryDriver = {
+  name: 'cloudinary',
+
+  // Cloudinary tracks the format itself, so keys carry no extension
+  buildKey(base) {
+    return base;
+  },
+
+  assertConfigured() {
+    if (!process.env.CLOUDINARY_CLOUD_NAME) {
+      throw new Error('Cloudinary cloud name is not configured');
+    }
+    if (!process.env.CLOUDINARY_API_KEY) {
+      throw new Error('Cloudinary API key is not configured');
+    }
+    if (!process.env.CLOUDINARY_API_SECRET) {
+      throw new Error('Cloudinary API secret is not configured');
+    }
+  },
+
+  createUpload({ folder, publicId, resourceType }) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = getCloudinary().utils.api_sign_request(
+      {
+        timestamp,
+        folder,
+        public_id: publicId,
+        resource_type: resourceType,
+      },
+      process.env.CLOUDINARY_API_SECRET,
+    );
+
+    return {
+      signature,
+      timestamp,
+      cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+      apiKey: process.env.CLOUDINARY_API_KEY,
+    };
+  },
+
+  async resolveUpload({ payload }) {
+    if (!payload.secureUrl || !payload.bytes) {
+      throw new Error('Missing required Cloudinary fields');
+    }
+    return { secureUrl: payload.secureUrl, bytes: Number(payload.bytes) };
+  },
+
+  getDownloadUrl(record) {
+    return record.secureUrl;
+  },
+
+  async readObject(record) {
+    const response = await fetch(record.secureUrl);
+    if (!response.ok) {
+      throw new Error(`Cloudinary download failed: HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  },
+
+  async writeObject({ key, body, contentType, resourceType }) {
+    const result = await getCloudinary().uploader.upload(
+      `data:${contentType || 'application/octet-stream'};base64,${body.toString('base64')}`,
+      { public_id: key, resource_type: resourceType, overwrite: true },
+    );
+    return { secureUrl: result.secure_url };
+  },
+
+  async deleteObject(record) {
+    await getCloudinary().uploader.destroy(record.publicId, { resource_type: record.resourceType });
+  },
+};
+
+export default cloudinaryDriver;
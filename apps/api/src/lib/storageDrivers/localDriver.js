@@ -0,0 +1,86 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getPublicApiUrl, getSignedUrlTtlSeconds, signEvidenceUrl } from './signing.js';
+
+/**
+ * Local disk evidence driver
+ * Files live under EVIDENCE_LOCAL_DIR and are uploaded and downloaded through
+ * /api/evidence/files with short-lived signed URLs, so no external service is needed.
+ */
+function getRootDir() {
+  return path.resolve(process.env.EVIDENCE_LOCAL_DIR || 'storage/evidence');
+}
+
+/**
+ * Resolve an object key to a path inside the storage root
+ * @throws {Error} If the key escapes the storage root
+ */
+export function resolveLocalEvidencePath(key) {
+  const root = getRootDir();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(`${root}${path.sep}`)) {
+    throw new Error('Invalid evidence key');
+  }
+  return filePath;
+}
+
+function buildSignedUrl(method, key, maxBytes) {
+  const expires = Math.floor(Date.now() / 1000) + getSignedUrlTtlSeconds();
+  const params = new URLSearchParams({ key, expires: String(expires) });
+  if (maxBytes) {
+    params.set('maxBytes', String(maxBytes));
+  }
+  params.set('signature', signEvidenceUrl({ method, key, expires, maxBytes: maxBytes || '' }));
+  return `${getPublicApiUrl()}/api/evidence/files?${params.toString()}`;
+}
+
+export const localDriver = {
+  name: 'local',
+
+  buildKey(base, format) {
+    return `${base}.${format}`;
+  },
+
+  assertConfigured() {
+    if (!process.env.EVIDENCE_URL_SECRET && !process.env.JWT_SECRET) {
+      throw new Error('EVIDENCE_URL_SECRET or JWT_SECRET must be set to sign evidence URLs');
+    }
+  },
+
+  createUpload({ key, contentType, maxBytes }) {
+    return {
+      uploadUrl: buildSignedUrl('PUT', key, maxBytes),
+      uploadMethod: 'PUT',
+      uploadHeaders: { 'Content-Type': contentType },
+    };
+  },
+
+  async resolveUpload({ key }) {
+    const stats = await fs.stat(resolveLocalEvidencePath(key)).catch(() => null);
+    if (!stats) {
+      throw new Error('Uploaded file not found in storage');
+    }
+    return { secureUrl: null, bytes: stats.size };
+  },
+
+  getDownloadUrl(record) {
+    return buildSignedUrl('GET', record.publicId);
+  },
+
+  async readObject(record) {
+    return fs.readFile(resolveLocalEvidencePath(record.publicId));
+  },
+
+  async writeObject({ key, body }) {
+    const filePath = resolveLocalEvidencePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    return { secureUrl: null };
+  },
+
+  async deleteObject(record) {
+    await fs.rm(resolveLocalEvidencePath(record.publicId), { force: true });
+  },
+};
+
+export default localDriver;
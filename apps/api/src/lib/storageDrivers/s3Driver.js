@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import { getSignedUrlTtlSeconds } from './signing.js';
+
+/**
+ * S3-compatible evidence driver (AWS S3, MinIO, Ceph, ...)
+ * All requests use SigV4 presigned URLs: the browser uploads and downloads with them
+ * directly, and the API uses them for verification and migration.
+ */
+function getConfig() {
+  const {
+    EVIDENCE_S3_ENDPOINT,
+    EVIDENCE_S3_REGION = 'us-east-1',
+    EVIDENCE_S3_BUCKET,
+    EVIDENCE_S3_ACCESS_KEY_ID,
+    EVIDENCE_S3_SECRET_ACCESS_KEY,
+    EVIDENCE_S3_FORCE_PATH_STYLE = 'true',
+  } = process.env;
+
+  return {
+    endpoint: (EVIDENCE_S3_ENDPOINT || `https://s3.${EVIDENCE_S3_REGION}.amazonaws.com`).replace(/\/+$/, ''),
+    region: EVIDENCE_S3_REGION,
+    bucket: EVIDENCE_S3_BUCKET,
+    accessKeyId: EVIDENCE_S3_ACCESS_KEY_ID,
+    secretAccessKey: EVIDENCE_S3_SECRET_ACCESS_KEY,
+    forcePathStyle: EVIDENCE_S3_FORCE_PATH_STYLE !== 'false',
+  };
+}
+
+// RFC 3986 encoding required by SigV4
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+/**
+ * Build a SigV4 presigned URL for an object
+ * @param {string} method - HTTP method
+ * @param {string} key - Object key
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {string} Presigned URL
+ */
+export function presignS3Url(method, key, expiresIn = getSignedUrlTtlSeconds()) {
+  const config = getConfig();
+  const endpoint = new URL(config.endpoint);
+  const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+
+  const host = config.forcePathStyle ? endpoint.host : `${config.bucket}.${endpoint.host}`;
+  const basePath = endpoint.pathname.replace(/\/+$/, '');
+  const canonicalUri = config.forcePathStyle
+    ? `${basePath}/${encodeRfc3986(config.bucket)}/${encodedKey}`
+    : `${basePath}/${encodedKey}`;
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+
+  const query = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${config.accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(Math.min(expiresIn, 604800)),
+    'X-Amz-SignedHeaders': 'host',
+  };
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    canonicalUri,
+    canonicalQuery,
+    `host:${host}\n`,
+    'host',
+    'UNSIGNED-PAYLOAD',
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+  ].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `${endpoint.protocol}//${host}${canonicalUri}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+}
+
+async function s3Request(method, key, options = {}) {
+  const response = await fetch(presignS3Url(method, key), { method, ...options });
+  if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+    const error = new Error(`S3 ${method} ${key} failed: HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+}
+
+export const s3Driver = {
+  name: 's3',
+
+  buildKey(base, format) {
+    return `${base}.${format}`;
+  },
+
+  assertConfigured() {
+    const config = getConfig();
+    if (!config.bucket) {
+      throw new Error('EVIDENCE_S3_BUCKET is not configured');
+    }
+    if (!config.accessKeyId || !config.secretAccessKey) {
+      throw new Error('EVIDENCE_S3_ACCESS_KEY_ID and EVIDENCE_S3_SECRET_ACCESS_KEY must be configured');
+    }
+  },
+
+  createUpload({ key, contentType }) {
+    return {
+      uploadUrl: presignS3Url('PUT', key),
+      uploadMethod: 'PUT',
+      uploadHeaders: { 'Content-Type': contentType },
+    };
+  },
+
+  async resolveUpload({ key }) {
+    try {
+      const response = await s3Request('HEAD', key);
+      return { secureUrl: null, bytes: Number(response.headers.get('content-length')) };
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error('Uploaded file not found in storage');
+      }
+      throw error;
+    }
+  },
+
+  getDownloadUrl(record) {
+    return presignS3Url('GET', record.publicId);
+  },
+
+  async readObject(record) {
+    const response = await s3Request('GET', record.publicId);
+    return Buffer.from(await response.arrayBuffer());
+  },
+
+  async writeObject({ key, body, contentType }) {
+    await s3Request('PUT', key, {
+      body,
+      headers: { 'Content-Type': contentType || 'application/octet-stream' },
+    });
+    return { secureUrl: null };
+  },
+
+  async deleteObject(record) {
+    await s3Request('DELETE', record.publicId);
+  },
+};
+
+export default s3Driver;
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+
+const {
+  EVIDENCE_URL_TTL_SECONDS = '3600',
+  WEBHOOK_BASE_URL = 'http://localhost:3001',
+} = process.env;
+
+/**
+ * Lifetime of signed upload and download URLs
+ */
+export function getSignedUrlTtlSeconds() {
+  return Number.parseInt(EVIDENCE_URL_TTL_SECONDS, 10) || 3600;
+}
+
+/**
+ * Public base URL of this API, used for URLs the API serves itself
+ */
+export function getPublicApiUrl() {
+  return WEBHOOK_BASE_URL.replace(/\/+$/, '');
+}
+
+function getUrlSigningSecret() {
+  const secret = process.env.EVIDENCE_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('EVIDENCE_URL_SECRET or JWT_SECRET must be set to sign evidence URLs');
+  }
+  return secret;
+}
+
+/**
+ * HMAC over the fields of an API-served evidence URL
+ * @param {Object} fields - { method, key, expires, maxBytes }
+ * @returns {string} Hex signature
+ */
+export function signEvidenceUrl({ method, key, expires, maxBytes = '' }) {
+  return crypto
+    .createHmac('sha256', getUrlSigningSecret())
+    .update(`${method}\n${key}\n${expires}\n${maxBytes}`)
+    .digest('hex');
+}
+
+/**
+ * Check a signed evidence URL's signature and expiry
+ * @returns {boolean} True when the URL is valid and not expired
+ */
+export function verifyEvidenceUrl({ method, key, expires, maxBytes = '', signature }) {
+  if (!key || !expires || !signature || Number(expires) * 1000 < Date.now()) {
+    return false;
+  }
+  const expected = Buffer.from(signEvidenceUrl({ method, key, expires, maxBytes }));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
@@ -14,22 +14,22 @@ export async function apiKeyAuthPlugin(fastify, options) {
     const apiKey = request.headers['x-api-key'];
 
     if (!apiKey) {
-      reply.code(401).send({ error: 'Missing X-API-Key header' });
-      return;
+      return reply.code(401).send({ error: 'Missing X-API-Key header' });
     }
 
     const validation = await validateApiKey(apiKey);
 
     if (!validation.valid) {
-      reply.code(401).send({ error: validation.reason });
-      return;
+      return reply.code(401).send({ error: validation.reason });
     }
 
     // Attach validated project info to request
     request.apiKey = {
+      id: validation.id,
       projectId: validation.projectId,
       name: validation.name,
       rateLimit: validation.rateLimit,
+      createdBy: validation.createdBy,
     };
   });
 
@@ -40,21 +40,21 @@ export async function apiKeyAuthPlugin(fastify, options) {
     const apiKey = request.headers['x-api-key'];
 
     if (!apiKey) {
-      reply.code(401).send({ error: 'Missing X-API-Key header' });
-      return;
+      return reply.code(401).send({ error: 'Missing X-API-Key header' });
     }
 
     const validation = await validateApiKey(apiKey);
 
     if (!validation.valid) {
-      reply.code(401).send({ error: validation.reason });
-      return;
+      return reply.code(401).send({ error: validation.reason });
     }
 
     request.apiKey = {
+      id: validation.id,
       projectId: validation.projectId,
       name: validation.name,
       rateLimit: validation.rateLimit,
+      createdBy: validation.createdBy,
     };
   });
 }
@@ -67,21 +67,21 @@ export function requireApiKey(fastify) {
     const apiKey = request.headers['x-api-key'];
 
     if (!apiKey) {
-      reply.code(401).send({ error: 'Missing X-API-Key header' });
-      return;
+      return reply.code(401).send({ error: 'Missing X-API-Key header' });
     }
 
     const validation = await validateApiKey(apiKey);
 
     if (!validation.valid) {
-      reply.code(401).send({ error: validation.reason });
-      return;
+      return reply.code(401).send({ error: validation.reason });
     }
 
     request.apiKey = {
+      id: validation.id,
       projectId: validation.projectId,
       name: validation.name,
       rateLimit: validation.rateLimit,
+      createdBy: validation.createdBy,
     };
   };
 }
@@ -192,7 +192,18 @@ async function getToken(sessionId) {
 export async function csrfProtectionPlugin(fastify, options = {}) {
   const { 
     headerName = 'x-csrf-token',
-    excludePaths = ['/health', '/api/auth/login', '/api/auth/signup', '/api/auth/verify-email'],
+    // Signed evidence file URLs carry their own authorization; SSO callbacks are posted by the
+    // identity provider and checked against the pending sign-in instead; issue tracker
+    // webhooks are posted by the tracker and checked against the integration's webhook token
+    excludePaths = [
+      '/health',
+      '/api/auth/login',
+      '/api/auth/signup',
+      '/api/auth/verify-email',
+      '/api/auth/sso/',
+      '/api/evidence/files',
+      '/api/integrations/issue-tracker/',
+    ],
   } = options;
 
   // Add CSRF utilities to fastify
@@ -226,6 +237,11 @@ export async function csrfProtectionPlugin(fastify, options = {}) {
       return;
     }
 
+    // API-key clients (CI/CD) send no ambient credentials, so CSRF does not apply
+    if (request.headers['x-api-key'] && !request.headers.cookie) {
+      return;
+    }
+
     // For POST, PUT, PATCH, DELETE requests, validate CSRF token
     if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(request.method)) {
       // Get token from header (preferred) or body
@@ -36,6 +36,12 @@ export async function setupSwagger(fastify) {
             bearerFormat: 'JWT',
             description: 'Enter your JWT token in the format: Bearer <token>',
           },
+          apiKeyAuth: {
+            type: 'apiKey',
+            in: 'header',
+            name: 'X-API-Key',
+            description: 'Project API key for CI/CD integrations',
+          },
         },
       },
       security: [
@@ -46,17 +52,25 @@ export async function setupSwagger(fastify) {
       tags: [
         { name: 'auth', description: 'Authentication endpoints' },
         { name: 'test-cases', description: 'Test case management' },
+        { name: 'shared-steps', description: 'Reusable shared step blocks' },
         { name: 'test-runs', description: 'Test execution management' },
+        { name: 'run-templates', description: 'Saved and scheduled test run templates' },
         { name: 'test-suites', description: 'Test suite management' },
+        { name: 'quality-gates', description: 'Release quality gates' },
         { name: 'bugs', description: 'Bug/defect tracking' },
         { name: 'analytics', description: 'Reports and analytics' },
         { name: 'admin', description: 'Administrative operations' },
+        { name: 'project-roles', description: 'Custom project roles and effective permissions' },
+        { name: 'sso', description: 'OIDC and SAML single sign-on' },
         { name: 'tester', description: 'Tester-specific features' },
         { name: 'developer', description: 'Developer workflows' },
         { name: 'chat', description: 'Real-time messaging' },
         { name: 'notifications', description: 'Notification management' },
         { name: 'search', description: 'Global search' },
         { name: 'evidence', description: 'Evidence file management' },
+        { name: 'custom-fields', description: 'Project custom field definitions' },
+        { name: 'requirements', description: 'Requirements and traceability matrix' },
+        { name: 'integrations', description: 'External issue tracker sync' },
       ],
     },
   });
@@ -2,12 +2,16 @@ import { getPrismaClient } from '../lib/prisma.js';
 import { createAuthGuards } from '../lib/rbac.js';
 import { ROLES, hasPermission, isForbidden } from '../lib/permissions.js';
 import { logAuditAction, getAuditLogs, getUserAuditLogs, exportAuditLogs } from '../services/auditService.js';
+import { AUDIT_CHAINS, AUDIT_EXPORT_FORMATS, verifyAuditChain } from '../services/auditChainService.js';
 import * as adminProjectService from '../services/adminProjectService.js';
 import * as chatAdminService from '../services/chatAdminService.js';
 import { unlockAccount } from '../services/authService.js';
+import { resetMfa } from '../services/mfaService.js';
+import { listUserSessions, forceRevokeSessions } from '../services/sessionService.js';
 import { updateUserRoleChannels } from './channels.js';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import { Readable } from 'stream';
 
 const prisma = getPrismaClient();
 const ALLOWED_ROLES = ['ADMIN', 'DEVELOPER', 'TESTER'];
@@ -23,6 +27,15 @@ function getClientContext(request) {
   };
 }
 
+// Stream an audit export as a download; rows are read in batches as the client consumes them
+function sendAuditExport(reply, name, chunks, format) {
+  const date = new Date().toISOString().slice(0, 10);
+  return reply
+    .header('Content-Type', AUDIT_EXPORT_FORMATS[format].contentType)
+    .header('Content-Disposition', `attachment; filename="${name}-${date}.${format}"`)
+    .send(Readable.from(chunks));
+}
+
 export async function adminRoutes(fastify) {
   const { requireAuth, requireRoles } = createAuthGuards(fastify);
   const adminOnly = requireRoles([ROLES.ADMIN]);
@@ -121,6 +134,8 @@ export async function adminRoutes(fastify) {
         createdAt: true,
         updatedAt: true,
         lastLoginAt: true,
+        mfaEnabled: true,
+        mfaEnabledAt: true,
       },
     });
 
@@ -468,6 +483,70 @@ export async function adminRoutes(fastify) {
     }
   });
 
+  // Reset Two-Factor Authentication (lost device)
+  fastify.post('/api/admin/users/:id/mfa/reset', { preHandler: [requireAuth, adminOnly] }, async (request, reply) => {
+    try {
+      const targetUserId = Number(request.params.id);
+
+      if (Number.isNaN(targetUserId)) {
+        return reply.code(400).send({ error: 'Invalid user id' });
+      }
+
+      const result = await resetMfa(request.user.id, targetUserId, getClientContext(request));
+      reply.code(200).send(result);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(error.message.includes('not found') ? 404 : 500).send({ error: error.message });
+    }
+  });
+
+  // Signed-in Devices
+  fastify.get('/api/admin/users/:id/sessions', { preHandler: [requireAuth, adminOnly] }, async (request, reply) => {
+    const userId = Number(request.params.id);
+
+    if (Number.isNaN(userId)) {
+      return reply.code(400).send({ error: 'Invalid user id' });
+    }
+
+    const sessions = await listUserSessions(userId);
+    return { sessions };
+  });
+
+  // Force Sign-out of All Devices
+  fastify.delete('/api/admin/users/:id/sessions', { preHandler: [requireAuth, adminOnly] }, async (request, reply) => {
+    try {
+      const targetUserId = Number(request.params.id);
+
+      if (Number.isNaN(targetUserId)) {
+        return reply.code(400).send({ error: 'Invalid user id' });
+      }
+
+      const result = await forceRevokeSessions(request.user.id, targetUserId, null, getClientContext(request));
+      reply.code(200).send(result);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(error.message.includes('not found') ? 404 : 500).send({ error: error.message });
+    }
+  });
+
+  // Force Sign-out of One Device
+  fastify.delete('/api/admin/users/:id/sessions/:sessionId', { preHandler: [requireAuth, adminOnly] }, async (request, reply) => {
+    try {
+      const targetUserId = Number(request.params.id);
+      const sessionId = Number(request.params.sessionId);
+
+      if (Number.isNaN(targetUserId) || Number.isNaN(sessionId)) {
+        return reply.code(400).send({ error: 'Invalid user or session id' });
+      }
+
+      const result = await forceRevokeSessions(request.user.id, targetUserId, sessionId, getClientContext(request));
+      reply.code(200).send(result);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(error.message.includes('not found') ? 404 : 500).send({ error: error.message });
+    }
+  });
+
   // ==========================================
   // AUDIT LOGS - LIST
   // ==========================================
@@ -502,8 +581,12 @@ export async function adminRoutes(fastify) {
   // ==========================================
   // AUDIT LOGS - EXPORT
   // ==========================================
-  fastify.get('/api/admin/audit-logs/export', { preHandler: [requireAuth, adminOnly] }, async (request) => {
-    const { action, performedBy, resourceType, projectId, startDate, endDate } = request.query;
+  // Streams CSV or NDJSON over any date range, archived entries included
+  fastify.get('/api/admin/audit-logs/export', { preHandler: [requireAuth, adminOnly] }, async (request, reply) => {
+    const { action, performedBy, resourceType, projectId, startDate, endDate, format = 'csv' } = request.query;
+    if (!AUDIT_EXPORT_FORMATS[format]) {
+      return reply.code(400).send({ error: `Unsupported export format: ${format}` });
+    }
 
     const filters = {
       action,
@@ -514,13 +597,29 @@ export async function adminRoutes(fastify) {
       endDate,
     };
 
-    const json = await exportAuditLogs(filters);
+    return sendAuditExport(reply, 'audit-logs', exportAuditLogs(filters, format), format);
+  });
 
-    return {
-      exportedAt: new Date().toISOString(),
-      format: 'JSON',
-      data: JSON.parse(json),
-    };
+  // ==========================================
+  // AUDIT LOGS - VERIFY
+  // ==========================================
+  // Walks the hash chain (archive included) and reports gaps, modified entries and broken links.
+  // Pass the head from an earlier run as anchorSequence/anchorHash to also detect deleted newest entries.
+  fastify.get('/api/admin/audit-logs/verify', { preHandler: [requireAuth, adminOnly] }, async (request, reply) => {
+    const { chain = 'audit', anchorSequence, anchorHash } = request.query;
+    if (!AUDIT_CHAINS.includes(chain)) {
+      return reply.code(400).send({ error: `Unknown audit chain: ${chain}` });
+    }
+
+    try {
+      return await verifyAuditChain(chain, {
+        sequence: anchorSequence ? Number(anchorSequence) : undefined,
+        hash: anchorHash,
+      });
+    } catch (error) {
+      console.error('Error verifying audit log chain:', error);
+      return reply.code(500).send({ error: error.message });
+    }
   });
 
   // ==========================================
@@ -677,11 +776,18 @@ export async function adminRoutes(fastify) {
     async (request, reply) => {
       try {
         const { projectId } = request.params;
-        const { name, label, type, required, options, defaultValue, order } = request.body;
+        const { name, type, fieldType, required, isRequired, options, entityType, order } = request.body;
 
         const customField = await adminProjectService.addProjectCustomField(
           Number(projectId),
-          { name, label, type, required, options, defaultValue, order },
+          {
+            name,
+            fieldType: fieldType || type,
+            isRequired: isRequired ?? required,
+            options,
+            entityType,
+            order,
+          },
           request.user.id
         );
 
@@ -1225,6 +1331,29 @@ export async function adminRoutes(fastify) {
       }
     }
   );
+
+  /**
+   * Export chat audit log (CSV or NDJSON stream, archived entries included)
+   */
+  fastify.get(
+    '/api/admin/chat/audit-logs/export',
+    { preHandler: [requireAuth, adminOnly] },
+    async (request, reply) => {
+      const { actionType, targetType, dateFrom, dateTo, targetQuery, format = 'csv' } = request.query;
+      if (!AUDIT_EXPORT_FORMATS[format]) {
+        return reply.code(400).send({ error: `Unsupported export format: ${format}` });
+      }
+
+      const filters = {};
+      if (actionType) filters.actionType = actionType;
+      if (targetType) filters.targetType = targetType;
+      if (targetQuery) filters.targetQuery = targetQuery;
+      if (dateFrom) filters.dateFrom = dateFrom;
+      if (dateTo) filters.dateTo = dateTo;
+
+      return sendAuditExport(reply, 'chat-audit-logs', chatAdminService.exportAuditLogs(filters, format), format);
+    },
+  );
 }
 
 export default adminRoutes;
@@ -17,6 +17,7 @@ import {
   getDeveloperFixQuality,
   getDeveloperResolutionTime,
 } from '../services/analyticsService.js';
+import { recalculateProjectFlakiness } from '../services/flakinessService.js';
 
 export async function analyticsRoutes(fastify) {
   const { requireAuth, requireRoles } = createAuthGuards(fastify);
@@ -71,6 +72,25 @@ export async function analyticsRoutes(fastify) {
     }
   );
 
+  /**
+   * Recalculate flakiness scores now instead of waiting for the daily job
+   */
+  fastify.post(
+    '/api/projects/:projectId/analytics/flaky-tests/recalculate',
+    { preHandler: [requireAuth, requireRoles(['ADMIN', 'TESTER'])] },
+    async (request, reply) => {
+      try {
+        const { projectId } = request.params;
+
+        const result = await recalculateProjectFlakiness(Number(projectId));
+        reply.send(result);
+      } catch (error) {
+        console.error('Error recalculating flakiness:', error);
+        reply.code(500).send({ error: error.message });
+      }
+    },
+  );
+
   /**
    * Get execution speed analysis
    */
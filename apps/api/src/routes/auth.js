@@ -1,4 +1,24 @@
-import { signup, login, verifyEmail, logout, logoutAll, refreshSession, requestPasswordReset, resetPassword, changePassword } from '../services/authService.js';
+import {
+  signup,
+  login,
+  completeMfaLogin,
+  startMfaLoginEnrollment,
+  verifyEmail,
+  logout,
+  logoutAll,
+  refreshSession,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+} from '../services/authService.js';
+import {
+  getMfaStatus,
+  startMfaEnrollment,
+  confirmMfaEnrollment,
+  disableMfa,
+  regenerateRecoveryCodes,
+} from '../services/mfaService.js';
+import { listUserSessions, revokeUserSession } from '../services/sessionService.js';
 import { createAuthGuards } from '../lib/rbac.js';
 import {
   getGoogleAuthorizationUrl,
@@ -44,10 +64,20 @@ const signupSchema = {
   },
 };
 
+const loginUserSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'number' },
+    email: { type: 'string' },
+    name: { type: 'string' },
+    role: { type: 'string', enum: ['ADMIN', 'DEVELOPER', 'TESTER'] },
+  },
+};
+
 const loginSchema = {
   tags: ['auth'],
   summary: 'User login',
-  description: 'Authenticate and receive JWT token',
+  description: 'Authenticate and receive JWT token. Users with two-factor authentication get an MFA token instead, to exchange at /api/auth/login/mfa',
   body: {
     type: 'object',
     required: ['email', 'password'],
@@ -63,15 +93,10 @@ const loginSchema = {
       properties: {
         token: { type: 'string', description: 'JWT authentication token' },
         refreshToken: { type: 'string', description: 'Refresh token for session rotation' },
-        user: {
-          type: 'object',
-          properties: {
-            id: { type: 'number' },
-            email: { type: 'string' },
-            name: { type: 'string' },
-            role: { type: 'string', enum: ['ADMIN', 'DEVELOPER', 'TESTER'] },
-          },
-        },
+        user: loginUserSchema,
+        mfaRequired: { type: 'boolean', description: 'A two-factor code is needed to finish the login' },
+        mfaEnrollmentRequired: { type: 'boolean', description: 'The role requires two-factor authentication and the user must enroll first' },
+        mfaToken: { type: 'string', description: 'Short-lived token for the two-factor step' },
       },
     },
     401: {
@@ -82,6 +107,41 @@ const loginSchema = {
   },
 };
 
+const mfaLoginSchema = {
+  tags: ['auth'],
+  summary: 'Two-factor login step',
+  description: 'Exchange the MFA token from login and a TOTP or recovery code for JWT tokens',
+  body: {
+    type: 'object',
+    required: ['mfaToken', 'code'],
+    properties: {
+      mfaToken: { type: 'string' },
+      code: { type: 'string' },
+    },
+  },
+  response: {
+    200: {
+      description: 'Login successful',
+      type: 'object',
+      properties: {
+        token: { type: 'string', description: 'JWT authentication token' },
+        refreshToken: { type: 'string', description: 'Refresh token for session rotation' },
+        user: loginUserSchema,
+        recoveryCodes: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only after enrolling during login; shown once',
+        },
+      },
+    },
+    401: {
+      description: 'Invalid or expired code',
+      type: 'object',
+      properties: { error: { type: 'string' } },
+    },
+  },
+};
+
 const refreshSchema = {
   tags: ['auth'],
   summary: 'Refresh access token',
@@ -161,6 +221,31 @@ export async function authRoutes(fastify) {
     }
   });
 
+  fastify.post('/api/auth/login/mfa', { schema: mfaLoginSchema }, async (request, reply) => {
+    try {
+      const result = await completeMfaLogin(fastify, request.body, getClientContext(request));
+      reply.code(200).send(result);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(401).send({ error: error.message });
+    }
+  });
+
+  // Enrollment for a role that requires two-factor authentication, before the first login completes
+  fastify.post('/api/auth/login/mfa/enroll', async (request, reply) => {
+    try {
+      const { mfaToken } = request.body || {};
+      if (!mfaToken) {
+        return reply.code(400).send({ error: 'MFA token is required' });
+      }
+      const result = await startMfaLoginEnrollment(fastify, mfaToken);
+      reply.code(200).send(result);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(401).send({ error: error.message });
+    }
+  });
+
   fastify.post('/api/auth/refresh', { schema: refreshSchema }, async (request, reply) => {
     try {
       const { refreshToken } = request.body;
@@ -254,7 +339,7 @@ export async function authRoutes(fastify) {
   }, async (request, reply) => {
     try {
       const { refreshToken } = request.body || {};
-      const result = await logout(request.user.id, refreshToken);
+      const result = await logout(request.user.id, refreshToken, request.user.sessionId);
       reply.code(200).send(result);
     } catch (error) {
       fastify.log.error(error);
@@ -272,6 +357,96 @@ export async function authRoutes(fastify) {
     }
   });
 
+  // ============ Session (Device) Routes ============
+
+  fastify.get('/api/auth/sessions', { preHandler: requireAuth }, async (request, reply) => {
+    try {
+      const sessions = await listUserSessions(request.user.id, request.user.sessionId);
+      reply.code(200).send({ sessions });
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  fastify.delete('/api/auth/sessions/:sessionId', { preHandler: requireAuth }, async (request, reply) => {
+    try {
+      const sessionId = Number(request.params.sessionId);
+      if (!Number.isInteger(sessionId)) {
+        return reply.code(400).send({ error: 'Invalid session id' });
+      }
+      const result = await revokeUserSession(request.user.id, sessionId, getClientContext(request));
+      reply.code(200).send(result);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(error.message.includes('not found') ? 404 : 500).send({ error: error.message });
+    }
+  });
+
+  // ============ Two-Factor Authentication Routes ============
+
+  fastify.get('/api/auth/mfa', { preHandler: requireAuth }, async (request, reply) => {
+    try {
+      const result = await getMfaStatus(request.user.id);
+      reply.code(200).send(result);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(error.message.includes('not found') ? 404 : 500).send({ error: error.message });
+    }
+  });
+
+  fastify.post('/api/auth/mfa/enroll', { preHandler: requireAuth }, async (request, reply) => {
+    try {
+      const result = await startMfaEnrollment(request.user.id);
+      reply.code(200).send(result);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(error.message.includes('not found') ? 404 : 400).send({ error: error.message });
+    }
+  });
+
+  fastify.post('/api/auth/mfa/enroll/confirm', { preHandler: requireAuth }, async (request, reply) => {
+    try {
+      const { code } = request.body || {};
+      if (!code) {
+        return reply.code(400).send({ error: 'Code is required' });
+      }
+      const result = await confirmMfaEnrollment(request.user.id, code, getClientContext(request));
+      reply.code(200).send(result);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(error.message.includes('not found') ? 404 : 400).send({ error: error.message });
+    }
+  });
+
+  fastify.post('/api/auth/mfa/disable', { preHandler: requireAuth }, async (request, reply) => {
+    try {
+      const { password, code } = request.body || {};
+      if (!password || !code) {
+        return reply.code(400).send({ error: 'Password and code are required' });
+      }
+      const result = await disableMfa(request.user.id, password, code, getClientContext(request));
+      reply.code(200).send(result);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(error.message.includes('not found') ? 404 : 400).send({ error: error.message });
+    }
+  });
+
+  fastify.post('/api/auth/mfa/recovery-codes', { preHandler: requireAuth }, async (request, reply) => {
+    try {
+      const { code } = request.body || {};
+      if (!code) {
+        return reply.code(400).send({ error: 'Code is required' });
+      }
+      const result = await regenerateRecoveryCodes(request.user.id, code, getClientContext(request));
+      reply.code(200).send(result);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(error.message.includes('not found') ? 404 : 400).send({ error: error.message });
+    }
+  });
+
   // ============ OAuth Routes ============
 
   /**
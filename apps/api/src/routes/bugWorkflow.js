@@ -0,0 +1,216 @@
+/**
+ * BUG WORKFLOW ROUTES
+ * Per-project bug workflow definition and the transitions open to the current user
+ */
+
+import {
+  getProjectBugWorkflow,
+  saveProjectBugWorkflow,
+  resetProjectBugWorkflow,
+  getAvailableBugTransitions,
+  BUG_TRANSITION_FIELDS,
+  AUTO_ASSIGN_STRATEGIES,
+} from '../services/bugWorkflowService.js';
+import { requirePermission } from '../lib/policy.js';
+import { bearerAuth } from '../schemas/common.js';
+
+// Swagger schemas
+const projectParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+  },
+};
+
+const stateObject = {
+  type: 'object',
+  required: ['key'],
+  properties: {
+    key: { type: 'string', description: 'Status value stored on bugs (e.g. IN_REVIEW)' },
+    label: { type: 'string' },
+    isInitial: { type: 'boolean', description: 'Status of newly reported bugs' },
+    isClosed: { type: 'boolean', description: 'Entering this state sets closedAt' },
+  },
+};
+
+const transitionObject = {
+  type: 'object',
+  required: ['to', 'roles'],
+  properties: {
+    from: { type: 'array', items: { type: 'string' }, description: 'Source states, or ["*"] for any' },
+    to: { type: 'string' },
+    roles: { type: 'array', items: { type: 'string', enum: ['ADMIN', 'DEVELOPER', 'TESTER'] } },
+    requiredFields: { type: 'array', items: { type: 'string', enum: BUG_TRANSITION_FIELDS } },
+    autoAssign: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        strategy: { type: 'string', enum: AUTO_ASSIGN_STRATEGIES },
+        userId: { type: 'integer', nullable: true },
+      },
+    },
+  },
+};
+
+const workflowObject = {
+  type: 'object',
+  properties: {
+    states: { type: 'array', items: stateObject },
+    transitions: { type: 'array', items: transitionObject },
+    assignedState: { type: 'string', nullable: true, description: 'State bugs move to when assigned' },
+    isDefault: { type: 'boolean' },
+    updatedAt: { type: 'string', format: 'date-time', nullable: true },
+    updater: {
+      type: 'object',
+      nullable: true,
+      properties: { id: { type: 'integer' }, name: { type: 'string' } },
+    },
+    transitionFields: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+function errorStatus(error) {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('permission')) return 403;
+  return 400;
+}
+
+function getClientContext(request) {
+  return {
+    ipAddress: request.ip || request.socket?.remoteAddress || null,
+    userAgent: request.headers['user-agent'] || null,
+  };
+}
+
+export default async function bugWorkflowRoutes(fastify) {
+  /**
+   * Get project bug workflow
+   */
+  fastify.get(
+    '/api/projects/:projectId/bug-workflow',
+    {
+      schema: {
+        tags: ['bugs'],
+        summary: 'Get project bug workflow',
+        description: 'Returns the default workflow (isDefault: true) when the project has not defined one',
+        params: projectParams,
+        response: { 200: workflowObject },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('bugWorkflow:read')],
+    },
+    async (request, reply) => {
+      try {
+        const workflow = await getProjectBugWorkflow(Number(request.params.projectId));
+        reply.send({ ...workflow, transitionFields: BUG_TRANSITION_FIELDS });
+      } catch (error) {
+        console.error('Error fetching bug workflow:', error);
+        reply.code(500).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Save project bug workflow
+   */
+  fastify.put(
+    '/api/projects/:projectId/bug-workflow',
+    {
+      schema: {
+        tags: ['bugs'],
+        summary: 'Save project bug workflow',
+        params: projectParams,
+        body: {
+          type: 'object',
+          required: ['states', 'transitions'],
+          properties: {
+            states: { type: 'array', items: stateObject },
+            transitions: { type: 'array', items: transitionObject },
+            assignedState: { type: 'string', nullable: true },
+          },
+        },
+        response: { 200: workflowObject },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('bugWorkflow:manage')],
+    },
+    async (request, reply) => {
+      try {
+        const workflow = await saveProjectBugWorkflow(
+          Number(request.params.projectId),
+          request.body,
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send({ ...workflow, transitionFields: BUG_TRANSITION_FIELDS });
+      } catch (error) {
+        console.error('Error saving bug workflow:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Reset project bug workflow to the default
+   */
+  fastify.delete(
+    '/api/projects/:projectId/bug-workflow',
+    {
+      schema: {
+        tags: ['bugs'],
+        summary: 'Reset project bug workflow to the default',
+        params: projectParams,
+        response: { 200: workflowObject },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('bugWorkflow:manage')],
+    },
+    async (request, reply) => {
+      try {
+        const workflow = await resetProjectBugWorkflow(
+          Number(request.params.projectId),
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send({ ...workflow, transitionFields: BUG_TRANSITION_FIELDS });
+      } catch (error) {
+        console.error('Error resetting bug workflow:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Transitions the current user can take on a bug
+   */
+  fastify.get(
+    '/api/projects/:projectId/bugs/:bugId/transitions',
+    {
+      schema: {
+        tags: ['bugs'],
+        summary: 'Get available bug transitions',
+        params: {
+          type: 'object',
+          properties: {
+            projectId: { type: 'string', description: 'Project ID' },
+            bugId: { type: 'string', description: 'Bug ID' },
+          },
+        },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('bugWorkflow:read')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, bugId } = request.params;
+        const transitions = await getAvailableBugTransitions(Number(projectId), Number(bugId), request.user.role);
+        reply.send(transitions);
+      } catch (error) {
+        console.error('Error fetching bug transitions:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+}
@@ -10,12 +10,15 @@ import {
   createBugFromExecution,
   updateBug,
   changeBugStatus,
+  markBugAsDuplicate,
   assignBug,
   addBugComment,
   getBugDetails,
   getProjectBugs,
   requestBugRetest,
 } from '../services/bugService.js';
+import { findDuplicateBugCandidates } from '../services/bugDuplicateService.js';
+import { parseCustomFieldFilters } from '../services/customFieldService.js';
 import { bugObject, errorResponse, bearerAuth, paginationParams } from '../schemas/common.js';
 
 // Bug Swagger schemas
@@ -42,6 +45,7 @@ const createBugSchema = {
       expectedBehavior: { type: 'string' },
       actualBehavior: { type: 'string' },
       attachments: { type: 'array', items: { type: 'string' } },
+      customFields: { type: 'object', description: 'Custom field values keyed by field name' },
     },
   },
   response: {
@@ -74,6 +78,7 @@ const getBugsSchema = {
       assigneeId: { type: 'string', description: 'Filter by assignee' },
       reporterId: { type: 'string', description: 'Filter by reporter' },
       search: { type: 'string', description: 'Search in title and description' },
+      customFields: { type: 'string', description: 'JSON object of custom field values to match, keyed by field name' },
     },
   },
   response: {
@@ -134,6 +139,7 @@ const updateBugSchema = {
       stepsToReproduce: { type: 'string' },
       expectedBehavior: { type: 'string' },
       actualBehavior: { type: 'string' },
+      customFields: { type: 'object', description: 'Custom field values keyed by field name (null clears a value)' },
     },
   },
   response: {
@@ -163,21 +169,12 @@ const changeBugStatusSchema = {
     properties: {
       status: {
         type: 'string',
-        enum: [
-          'NEW',
-          'ASSIGNED',
-          'IN_PROGRESS',
-          'FIXED',
-          'AWAITING_VERIFICATION',
-          'VERIFIED_FIXED',
-          'REOPENED',
-          'CANNOT_REPRODUCE',
-          'DUPLICATE',
-          'WORKS_AS_DESIGNED',
-          'CLOSED',
-          'DEFERRED',
-          'WONTFIX',
-        ],
+        description: "Target state key from the project's bug workflow",
+      },
+      fields: {
+        type: 'object',
+        description: 'Values for fields the transition requires (e.g. rootCauseCategory)',
+        additionalProperties: true,
       },
     },
   },
@@ -191,6 +188,92 @@ const changeBugStatusSchema = {
   security: bearerAuth,
 };
 
+const findDuplicateBugsSchema = {
+  tags: ['bugs'],
+  summary: 'Find possible duplicate bugs',
+  description: 'Suggest open bugs similar to a bug being written, by text and by shared test case or execution',
+  params: {
+    type: 'object',
+    properties: {
+      projectId: { type: 'string', description: 'Project ID' },
+    },
+  },
+  body: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      stepsToReproduce: { type: 'string' },
+      testCaseId: { type: ['number', 'null'], description: 'Test case the bug is filed against' },
+      executionId: { type: ['number', 'null'], description: 'Execution the bug is filed from' },
+      excludeBugId: { type: ['number', 'null'], description: 'Bug to leave out of the suggestions' },
+      limit: { type: 'number', minimum: 1, maximum: 20, default: 5 },
+    },
+  },
+  response: {
+    200: {
+      description: 'Possible duplicates, best match first',
+      type: 'object',
+      properties: {
+        candidates: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'number' },
+              bugNumber: { type: 'string' },
+              title: { type: 'string' },
+              status: { type: 'string' },
+              severity: { type: 'string' },
+              priority: { type: 'string' },
+              assignee: {
+                type: ['object', 'null'],
+                properties: { id: { type: 'number' }, name: { type: 'string' } },
+              },
+              createdAt: { type: 'string', format: 'date-time' },
+              score: { type: 'number', description: 'Similarity from 0 to 100' },
+              reasons: {
+                type: 'array',
+                items: { type: 'string', enum: ['SAME_EXECUTION', 'SAME_TEST_CASE', 'SIMILAR_TITLE', 'SIMILAR_TEXT'] },
+              },
+            },
+          },
+        },
+      },
+    },
+    ...errorResponse,
+  },
+  security: bearerAuth,
+};
+
+const markBugDuplicateSchema = {
+  tags: ['bugs'],
+  summary: 'Mark bug as duplicate',
+  description: 'Set the bug status to DUPLICATE and link it to the original bug',
+  params: {
+    type: 'object',
+    properties: {
+      projectId: { type: 'string', description: 'Project ID' },
+      bugId: { type: 'string', description: 'Bug ID' },
+    },
+  },
+  body: {
+    type: 'object',
+    required: ['duplicateOfId'],
+    properties: {
+      duplicateOfId: { type: 'number', description: 'ID of the original bug' },
+    },
+  },
+  response: {
+    200: {
+      description: 'Bug marked as duplicate',
+      ...bugObject,
+    },
+    ...errorResponse,
+  },
+  security: bearerAuth,
+};
+
 const assignBugSchema = {
   tags: ['bugs'],
   summary: 'Assign bug to developer',
@@ -384,6 +467,7 @@ export async function bugRoutes(fastify) {
           assigneeId: request.query.assigneeId,
           reporterId: request.query.reporterId,
           search: request.query.search,
+          customFields: parseCustomFieldFilters(request.query.customFields),
           skip: request.query.skip ? Number(request.query.skip) : 0,
           take: request.query.take ? Number(request.query.take) : 50,
         };
@@ -402,6 +486,26 @@ export async function bugRoutes(fastify) {
     },
   );
 
+  /**
+   * Suggest possible duplicates of a bug being written
+   */
+  fastify.post(
+    '/api/projects/:projectId/bugs/duplicates',
+    { schema: findDuplicateBugsSchema, preHandler: [requirePermission('bug:create')] },
+    async (request, reply) => {
+      try {
+        const { projectId } = request.params;
+        const { limit, ...draft } = request.body || {};
+
+        const candidates = await findDuplicateBugCandidates(Number(projectId), draft, limit);
+        reply.send({ candidates });
+      } catch (error) {
+        console.error('Error finding duplicate bugs:', error);
+        reply.code(500).send({ error: error.message });
+      }
+    },
+  );
+
   /**
    * Get single bug details
    */
@@ -469,12 +573,43 @@ export async function bugRoutes(fastify) {
           getClientContext(request),
           projectId,
           request.permissionContext,
+          request.body.fields,
         );
 
         reply.send(updated);
       } catch (error) {
         console.error('Error changing bug status:', error);
-        reply.code(500).send({ error: error.message });
+        const statusCode = error.message.includes('not found') ? 404 : 400;
+        reply.code(statusCode).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Mark bug as a duplicate of another bug
+   */
+  fastify.post(
+    '/api/projects/:projectId/bugs/:bugId/duplicate-of',
+    { schema: markBugDuplicateSchema, preHandler: [requirePermission('bug:duplicate')] },
+    async (request, reply) => {
+      try {
+        const { bugId, projectId } = request.params;
+
+        const updated = await markBugAsDuplicate(
+          Number(bugId),
+          Number(request.body.duplicateOfId),
+          request.user.id,
+          request.user.role,
+          getClientContext(request),
+          projectId,
+          request.permissionContext,
+        );
+
+        reply.send(updated);
+      } catch (error) {
+        console.error('Error marking bug as duplicate:', error);
+        const statusCode = error.message.includes('not found') ? 404 : 400;
+        reply.code(statusCode).send({ error: error.message });
       }
     },
   );
@@ -740,6 +875,7 @@ export async function bugRoutes(fastify) {
           assigneeId: request.query.assigneeId,
           reporterId: request.query.reporterId,
           search: request.query.search,
+          customFields: parseCustomFieldFilters(request.query.customFields),
           skip: request.query.page ? (Number(request.query.page) - 1) * (request.query.limit || 20) : 0,
           take: request.query.limit ? Number(request.query.limit) : 20,
         };
@@ -816,6 +952,7 @@ export async function bugRoutes(fastify) {
           getClientContext(request),
           projectId,
           request.permissionContext,
+          request.body.fields,
         );
 
         // Add status change comment if reason provided
@@ -0,0 +1,74 @@
+/**
+ * CUSTOM FIELD ROUTES
+ * Read access to project custom field definitions for test case and bug forms
+ */
+
+import { createAuthGuards } from '../lib/rbac.js';
+import { getProjectCustomFields } from '../services/customFieldService.js';
+import { errorResponse, bearerAuth } from '../schemas/common.js';
+
+// Swagger schemas
+const customFieldObject = {
+  type: 'object',
+  properties: {
+    id: { type: 'number' },
+    projectId: { type: 'number' },
+    name: { type: 'string' },
+    fieldType: { type: 'string', enum: ['TEXT', 'NUMBER', 'SELECT', 'DATE', 'CHECKBOX'] },
+    options: { type: 'array', items: { type: 'string' } },
+    entityType: { type: 'string', enum: ['TEST_CASE', 'BUG', 'ALL'] },
+    isRequired: { type: 'boolean' },
+    order: { type: 'number' },
+  },
+};
+
+const getCustomFieldsSchema = {
+  tags: ['custom-fields'],
+  summary: 'Get project custom fields',
+  description: 'Retrieve the active custom fields of a project, optionally limited to those that apply to test cases or bugs',
+  params: {
+    type: 'object',
+    properties: {
+      projectId: { type: 'string', description: 'Project ID' },
+    },
+  },
+  querystring: {
+    type: 'object',
+    properties: {
+      entityType: { type: 'string', enum: ['TEST_CASE', 'BUG'], description: 'Only return fields that apply to this entity' },
+    },
+  },
+  response: {
+    200: {
+      description: 'Custom fields retrieved successfully',
+      type: 'object',
+      properties: {
+        data: { type: 'array', items: customFieldObject },
+      },
+    },
+    ...errorResponse,
+  },
+  security: bearerAuth,
+};
+
+export default async function customFieldRoutes(fastify) {
+  const { requireAuth, requireRoles } = createAuthGuards(fastify);
+
+  /**
+   * Get custom fields for project
+   */
+  fastify.get(
+    '/api/projects/:projectId/custom-fields',
+    { schema: getCustomFieldsSchema, preHandler: [requireAuth, requireRoles(['TESTER', 'DEVELOPER', 'ADMIN'])] },
+    async (request, reply) => {
+      try {
+        const { projectId } = request.params;
+        const fields = await getProjectCustomFields(Number(projectId), request.query.entityType || null);
+        reply.send({ data: fields });
+      } catch (error) {
+        console.error('Error fetching custom fields:', error);
+        reply.code(500).send({ error: error.message });
+      }
+    },
+  );
+}
@@ -180,6 +180,7 @@ export async function developerRoutes(fastify) {
           getClientContext(request),
           projectId,
           request.permissionContext,
+          request.body?.fields,
         );
 
         reply.send(bug);
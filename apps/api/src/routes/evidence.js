@@ -1,4 +1,9 @@
+import fs from 'fs';
+import path from 'path';
 import { createAuthGuards } from '../lib/rbac.js';
+import { getContentTypeForFormat, getLargestEvidenceBytes } from '../lib/cloudinary.js';
+import { verifyEvidenceUrl } from '../lib/evidenceStorage.js';
+import { localDriver, resolveLocalEvidencePath } from '../lib/storageDrivers/localDriver.js';
 import {
   createSignedEvidenceUpload,
   createEvidenceRecord,
@@ -10,6 +15,8 @@ import {
 export async function evidenceRoutes(fastify) {
   const { requireAuth, requireRoles } = createAuthGuards(fastify);
 
+  fastify.register(localEvidenceFileRoutes);
+
   fastify.post(
     '/api/projects/:projectId/test-executions/:executionId/steps/:stepId/evidence/signature',
     { preHandler: [requireAuth, requireRoles(['TESTER'])] },
@@ -140,4 +147,71 @@ export async function evidenceRoutes(fastify) {
   );
 }
 
+/**
+ * Signed file endpoints for the local storage driver
+ * No session is required: the signature in the query string grants access to one key
+ * and one method until it expires.
+ */
+async function localEvidenceFileRoutes(files) {
+  // Accept raw uploads of any content type as a buffer
+  files.removeAllContentTypeParsers();
+  files.addContentTypeParser(
+    '*',
+    { parseAs: 'buffer', bodyLimit: getLargestEvidenceBytes() },
+    (_request, body, done) => done(null, body),
+  );
+
+  files.put('/api/evidence/files', async (request, reply) => {
+    const { key, expires, maxBytes, signature } = request.query;
+
+    if (!verifyEvidenceUrl({ method: 'PUT', key, expires, maxBytes, signature })) {
+      reply.code(403).send({ error: 'Invalid or expired upload URL' });
+      return;
+    }
+
+    const body = request.body;
+    if (!Buffer.isBuffer(body) || body.length === 0) {
+      reply.code(400).send({ error: 'File body is required' });
+      return;
+    }
+
+    if (maxBytes && body.length > Number(maxBytes)) {
+      reply.code(413).send({ error: 'File exceeds size limit' });
+      return;
+    }
+
+    try {
+      await localDriver.writeObject({ key, body });
+      reply.code(201).send({ key, bytes: body.length });
+    } catch (error) {
+      reply.code(400).send({ error: error.message });
+    }
+  });
+
+  files.get('/api/evidence/files', async (request, reply) => {
+    const { key, expires, signature } = request.query;
+
+    if (!verifyEvidenceUrl({ method: 'GET', key, expires, signature })) {
+      reply.code(403).send({ error: 'Invalid or expired download URL' });
+      return;
+    }
+
+    let filePath;
+    try {
+      filePath = resolveLocalEvidencePath(key);
+      await fs.promises.access(filePath);
+    } catch {
+      reply.code(404).send({ error: 'Evidence file not found' });
+      return;
+    }
+
+    return reply
+      .type(getContentTypeForFormat(path.extname(filePath).slice(1)))
+      .header('Cache-Control', 'private, max-age=300')
+      // Evidence is embedded by the web app, which runs on a different origin
+      .header('Cross-Origin-Resource-Policy', 'cross-origin')
+      .send(fs.createReadStream(filePath));
+  });
+}
+
 export default evidenceRoutes;
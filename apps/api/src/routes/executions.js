@@ -2,9 +2,42 @@ import { getPrismaClient } from '../lib/prisma.js';
 import { createAuthGuards, requireProjectAccess } from '../lib/rbac.js';
 import { isForbidden } from '../lib/permissions.js';
 import { requireNotAdmin, requireTestResultModifier, requireNotAdminForEvidence } from '../lib/adminConstraints.js';
+import { recalculateTestRunCounts } from '../services/testRunService.js';
+import { seedExecutionSteps } from '../services/sharedStepService.js';
+import { triggerWebhook } from '../services/webhookService.js';
+import { publishExecutionUpdate } from '../services/runBoardService.js';
 
 const prisma = getPrismaClient();
 
+/**
+ * Helper: Check that the user may record results on an execution (steps, progress, completion)
+ * Needs access to the run's project. An execution assigned to a tester is theirs and its
+ * creator's; an unassigned one can be run by anyone in the project.
+ * @returns {Promise<boolean>} False if a 403/404 reply has been sent
+ */
+async function authorizeExecutionUpdate(request, reply, execution) {
+  const testRun = await prisma.testRun.findUnique({
+    where: { id: Number(execution.testRunId) },
+    select: { projectId: true },
+  });
+  if (!testRun) {
+    reply.code(404).send({ error: 'Test run not found' });
+    return false;
+  }
+
+  request.params.projectId = testRun.projectId;
+  const projectAccess = await requireProjectAccess(request, reply);
+  if (projectAccess?.blocked) {
+    return false;
+  }
+
+  if (execution.assignedToId && ![execution.assignedToId, execution.userId].includes(request.user.id)) {
+    reply.code(403).send({ error: 'This execution is assigned to another tester' });
+    return false;
+  }
+  return true;
+}
+
 export async function executionRoutes(fastify) {
   const { requireAuth, requireRoles } = createAuthGuards(fastify);
 
@@ -82,13 +115,6 @@ export async function executionRoutes(fastify) {
               select: {
                 id: true,
                 name: true,
-                steps: {
-                  select: {
-                    id: true,
-                    stepNumber: true,
-                  },
-                  orderBy: { stepNumber: 'asc' },
-                },
               },
             },
           },
@@ -107,7 +133,9 @@ export async function executionRoutes(fastify) {
         const testRun = await prisma.testRun.create({
           data: {
             projectId: execution.testRun.projectId,
-            name: `Re-execution: ${execution.testCase.name}`,
+            name: execution.dataRowNumber
+              ? `Re-execution: ${execution.testCase.name} (data row ${execution.dataRowNumber})`
+              : `Re-execution: ${execution.testCase.name}`,
             description: `Re-execution of "${execution.testCase.name}" from run "${execution.testRun.name}"`,
             status: 'IN_PROGRESS',
             actualStartDate: new Date(),
@@ -119,28 +147,22 @@ export async function executionRoutes(fastify) {
           },
         });
 
+        // Re-run with the same data row values as the original execution
         const newExecution = await prisma.testExecution.create({
           data: {
             testRunId: testRun.id,
             testCaseId: execution.testCase.id,
+            ...(execution.dataRowValues && {
+              dataRowId: execution.dataRowId,
+              dataRowNumber: execution.dataRowNumber,
+              dataRowValues: execution.dataRowValues,
+            }),
             status: 'BLOCKED',
             executedBy: userId,
           },
         });
 
-        if (execution.testCase.steps && execution.testCase.steps.length > 0) {
-          await Promise.all(
-            execution.testCase.steps.map((step) =>
-              prisma.testExecutionStep.create({
-                data: {
-                  executionId: newExecution.id,
-                  stepId: step.id,
-                  status: 'SKIPPED',
-                },
-              })
-            )
-          );
-        }
+        await seedExecutionSteps([newExecution]);
 
         reply.code(201).send({
           testRunId: testRun.id,
@@ -195,7 +217,7 @@ export async function executionRoutes(fastify) {
             },
             executor: { select: { name: true } },
           },
-          orderBy: { testCaseId: 'asc' },
+          orderBy: [{ testCaseId: 'asc' }, { dataRowNumber: 'asc' }],
         });
 
         reply.send({ executions });
@@ -209,10 +231,10 @@ export async function executionRoutes(fastify) {
   // Update step status - CRITICAL: Only TESTER can update (not ADMIN or DEVELOPER)
   fastify.patch(
     '/api/test-executions/:executionId/steps/:stepId',
-    { preHandler: [requireAuth, requireRoles(['TESTER']), requireTestResultModifier] },
+    { preHandler: [requireAuth, requireRoles(['TESTER']), requireTestResultModifier()] },
     async (request, reply) => {
       const { executionId, stepId } = request.params;
-      const { status, actualResult, notes } = request.body;
+      const { status, actualResult, notes, expected } = request.body;
 
       if (!['PASSED', 'FAILED', 'BLOCKED', 'SKIPPED'].includes(status)) {
         return reply.code(400).send({ error: 'Invalid status' });
@@ -237,19 +259,29 @@ export async function executionRoutes(fastify) {
           return reply.code(404).send({ error: 'Step not found' });
         }
 
-        const testRun = await prisma.testRun.findUnique({
-          where: { id: Number(executionStep.execution.testRunId) },
-          select: { projectId: true },
-        });
-
-        if (!testRun) {
-          return reply.code(404).send({ error: 'Test run not found' });
+        if (!(await authorizeExecutionUpdate(request, reply, executionStep.execution))) {
+          return;
         }
 
-        request.params.projectId = testRun.projectId;
-        const projectAccess = await requireProjectAccess(request, reply);
-        if (projectAccess?.blocked) {
-          return;
+        // Results synced from an offline client carry the values it last saw.
+        // Reject them if the step has since changed to something else.
+        if (expected) {
+          const fields = ['status', 'actualResult', 'notes'];
+          const incoming = { status, actualResult: actualResult || null, notes: notes || null };
+          const changedSinceSeen = fields.some((field) => (executionStep[field] ?? null) !== (expected[field] ?? null));
+          const alreadyApplied = fields.every((field) => (executionStep[field] ?? null) === incoming[field]);
+
+          if (changedSinceSeen && !alreadyApplied) {
+            return reply.code(409).send({
+              error: 'Step was updated by someone else since this result was recorded',
+              step: {
+                stepId: executionStep.stepId,
+                status: executionStep.status,
+                actualResult: executionStep.actualResult,
+                notes: executionStep.notes,
+              },
+            });
+          }
         }
 
         // Update step with timing
@@ -325,36 +357,8 @@ export async function executionRoutes(fastify) {
         });
 
         // Update test run counts
-        const updatedTestRun = await prisma.testRun.findUnique({
-          where: { id: updatedExecution.testRunId },
-        });
-
-        if (updatedTestRun) {
-          const allExecutions = await prisma.testExecution.findMany({
-            where: { testRunId: updatedTestRun.id },
-          });
-
-          const runStats = allExecutions.reduce(
-            (acc, exe) => {
-              if (exe.status === 'PASSED') acc.passed++;
-              else if (exe.status === 'FAILED') acc.failed++;
-              else if (exe.status === 'BLOCKED') acc.blocked++;
-              else if (exe.status === 'SKIPPED') acc.skipped++;
-              return acc;
-            },
-            { passed: 0, failed: 0, blocked: 0, skipped: 0 }
-          );
-
-          await prisma.testRun.update({
-            where: { id: updatedTestRun.id },
-            data: {
-              passedCount: runStats.passed,
-              failedCount: runStats.failed,
-              blockedCount: runStats.blocked,
-              skippedCount: runStats.skipped,
-            },
-          });
-        }
+        await recalculateTestRunCounts(updatedExecution.testRunId);
+        await publishExecutionUpdate(updatedExecution.id);
 
         reply.send({
           step: updatedStep,
@@ -399,7 +403,7 @@ export async function executionRoutes(fastify) {
   // Complete execution (final status)
   fastify.patch(
     '/api/test-executions/:executionId/complete',
-    { preHandler: [requireAuth, requireRoles(['TESTER', 'DEVELOPER']), requireTestResultModifier] },
+    { preHandler: [requireAuth, requireRoles(['TESTER', 'DEVELOPER']), requireTestResultModifier()] },
     async (request, reply) => {
       const { executionId } = request.params;
       const { comments } = request.body;
@@ -413,6 +417,10 @@ export async function executionRoutes(fastify) {
           return reply.code(404).send({ error: 'Execution not found' });
         }
 
+        if (!(await authorizeExecutionUpdate(request, reply, execution))) {
+          return;
+        }
+
         // Get all steps to verify completion
         const allSteps = await prisma.testExecutionStep.findMany({
           where: { executionId: Number(executionId) },
@@ -452,7 +460,22 @@ export async function executionRoutes(fastify) {
           },
           include: {
             testCase: { select: { name: true } },
-            testRun: { select: { id: true, name: true } },
+            testRun: { select: { id: true, name: true, projectId: true } },
+          },
+        });
+
+        await publishExecutionUpdate(completedExecution.id);
+
+        await triggerWebhook(finalStatus === 'FAILED' ? 'EXECUTION_FAILED' : 'EXECUTION_COMPLETED', {
+          projectId: completedExecution.testRun.projectId,
+          execution: {
+            id: completedExecution.id,
+            status: finalStatus,
+            testCaseId: completedExecution.testCaseId,
+            testCaseName: completedExecution.testCase.name,
+            testRunId: completedExecution.testRun.id,
+            testRunName: completedExecution.testRun.name,
+            durationSeconds: completedExecution.durationSeconds,
           },
         });
 
@@ -470,12 +493,43 @@ export async function executionRoutes(fastify) {
     { preHandler: [requireAuth, requireRoles(['TESTER', 'DEVELOPER']), requireNotAdmin()] },
     async (request, reply) => {
       const { executionId } = request.params;
+      const elapsedSeconds = Number(request.body?.elapsedSeconds);
+
+      if (Number.isNaN(Number(executionId))) {
+        return reply.code(400).send({ error: 'Invalid executionId' });
+      }
 
       try {
-        const execution = await prisma.testExecution.update({
+        const existing = await prisma.testExecution.findUnique({
           where: { id: Number(executionId) },
+        });
+
+        if (!existing) {
+          return reply.code(404).send({ error: 'Execution not found' });
+        }
+
+        if (!(await authorizeExecutionUpdate(request, reply, existing))) {
+          return;
+        }
+
+        // A late item from the offline queue must not change the duration of a finished execution
+        if (existing.completedAt) {
+          return reply.send({
+            saved: false,
+            reason: 'Execution already completed',
+            execution: existing,
+            lastSaved: existing.updatedAt,
+          });
+        }
+
+        const execution = await prisma.testExecution.update({
+          where: { id: existing.id },
           data: {
             updatedAt: new Date(),
+            // Timer value from the execution screen, which may arrive late from an offline queue
+            ...(Number.isInteger(elapsedSeconds) && elapsedSeconds >= 0
+              ? { actualDurationSeconds: elapsedSeconds }
+              : {}),
           },
         });
 
@@ -607,7 +661,7 @@ export async function executionRoutes(fastify) {
           if (currStep.status !== prevStep.status) {
             comparison.differences.push({
               stepNumber: i + 1,
-              stepName: currStep.testStep.action,
+              stepName: currStep.action,
               previousStatus: prevStep.status,
               currentStatus: currStep.status,
               previousResult: prevStep.actualResult,
@@ -747,8 +801,8 @@ export async function executionRoutes(fastify) {
             executor: e.executor,
             testCase: e.testCase,
             stepResults: e.steps.map((s) => ({
-              stepNumber: s.testStep.stepNumber,
-              action: s.testStep.action,
+              stepNumber: s.stepNumber,
+              action: s.action,
               status: s.status,
               actualResult: s.actualResult,
               evidenceCount: s.evidence.length,
@@ -0,0 +1,265 @@
+/**
+ * ISSUE TRACKER ROUTES
+ * Per-project external issue tracker configuration, manual bug resync and the
+ * inbound webhook the tracker calls when a linked issue changes
+ */
+
+import {
+  getProjectIssueTracker,
+  saveProjectIssueTracker,
+  deleteProjectIssueTracker,
+  testIssueTrackerConnection,
+  resyncBug,
+  handleIssueTrackerWebhook,
+  ISSUE_TRACKER_PROVIDERS,
+} from '../services/issueTrackerService.js';
+import { requirePermission } from '../lib/policy.js';
+import { bearerAuth } from '../schemas/common.js';
+import { logError } from '../lib/logger.js';
+
+const WEBHOOK_BASE_URL = process.env.WEBHOOK_BASE_URL || 'http://localhost:3001';
+
+// Swagger schemas
+const projectParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+  },
+};
+
+const mappingObject = {
+  type: 'object',
+  additionalProperties: { type: 'string', nullable: true },
+};
+
+const fieldMappingsObject = {
+  type: 'object',
+  properties: {
+    status: { ...mappingObject, description: 'Bug status -> tracker status name' },
+    priority: { ...mappingObject, description: 'Bug priority -> tracker priority name' },
+    users: { ...mappingObject, description: 'TestTrack user ID -> tracker account ID' },
+  },
+};
+
+function errorStatus(error) {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('permission')) return 403;
+  return 400;
+}
+
+function getClientContext(request) {
+  return {
+    ipAddress: request.ip || request.socket?.remoteAddress || null,
+    userAgent: request.headers['user-agent'] || null,
+  };
+}
+
+/**
+ * Helper: Integration response with the inbound webhook URL
+ */
+function withWebhookUrl(integration) {
+  if (!integration) return integration;
+  return {
+    ...integration,
+    webhookUrl: `${WEBHOOK_BASE_URL}/api/integrations/issue-tracker/${integration.id}/webhook?token=${integration.webhookSecret}`,
+  };
+}
+
+export default async function issueTrackerRoutes(fastify) {
+  /**
+   * Get project issue tracker integration
+   */
+  fastify.get(
+    '/api/projects/:projectId/issue-tracker',
+    {
+      schema: {
+        tags: ['integrations'],
+        summary: 'Get project issue tracker integration',
+        description: 'Returns null when the project has no issue tracker. The API token is never returned.',
+        params: projectParams,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('issueTracker:manage')],
+    },
+    async (request, reply) => {
+      try {
+        const integration = await getProjectIssueTracker(Number(request.params.projectId));
+        reply.send({ integration: withWebhookUrl(integration), providers: ISSUE_TRACKER_PROVIDERS });
+      } catch (error) {
+        logError('Error fetching issue tracker integration', error);
+        reply.code(500).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Create or update project issue tracker integration
+   */
+  fastify.put(
+    '/api/projects/:projectId/issue-tracker',
+    {
+      schema: {
+        tags: ['integrations'],
+        summary: 'Save project issue tracker integration',
+        params: projectParams,
+        body: {
+          type: 'object',
+          required: ['baseUrl', 'projectKey'],
+          properties: {
+            provider: { type: 'string', enum: ISSUE_TRACKER_PROVIDERS },
+            baseUrl: { type: 'string', description: 'Tracker base URL, e.g. https://acme.atlassian.net' },
+            projectKey: { type: 'string' },
+            issueType: { type: 'string' },
+            authEmail: { type: 'string', nullable: true, description: 'Basic auth user; bearer token auth when empty' },
+            apiToken: { type: 'string', description: 'Required on create; omit to keep the saved token' },
+            fieldMappings: fieldMappingsObject,
+            syncComments: { type: 'boolean' },
+            isActive: { type: 'boolean' },
+          },
+        },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('issueTracker:manage')],
+    },
+    async (request, reply) => {
+      try {
+        const integration = await saveProjectIssueTracker(
+          Number(request.params.projectId),
+          request.body,
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send({ integration: withWebhookUrl(integration) });
+      } catch (error) {
+        logError('Error saving issue tracker integration', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Delete project issue tracker integration
+   */
+  fastify.delete(
+    '/api/projects/:projectId/issue-tracker',
+    {
+      schema: {
+        tags: ['integrations'],
+        summary: 'Delete project issue tracker integration',
+        description: 'Removes the integration and all bug-to-issue links; issues in the tracker are left untouched',
+        params: projectParams,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('issueTracker:manage')],
+    },
+    async (request, reply) => {
+      try {
+        await deleteProjectIssueTracker(
+          Number(request.params.projectId),
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send({ success: true });
+      } catch (error) {
+        logError('Error deleting issue tracker integration', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Test issue tracker connection
+   */
+  fastify.post(
+    '/api/projects/:projectId/issue-tracker/test',
+    {
+      schema: {
+        tags: ['integrations'],
+        summary: 'Test issue tracker connection',
+        params: projectParams,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('issueTracker:manage')],
+    },
+    async (request, reply) => {
+      try {
+        const result = await testIssueTrackerConnection(
+          Number(request.params.projectId),
+          request.permissionContext,
+        );
+        reply.send(result);
+      } catch (error) {
+        logError('Error testing issue tracker connection', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Resync a bug with its external issue
+   */
+  fastify.post(
+    '/api/projects/:projectId/bugs/:bugId/external-issue/sync',
+    {
+      schema: {
+        tags: ['integrations'],
+        summary: 'Resync a bug with its external issue',
+        description: 'Creates the external issue if the bug has none, otherwise pushes status and assignee again',
+        params: {
+          type: 'object',
+          properties: {
+            projectId: { type: 'string', description: 'Project ID' },
+            bugId: { type: 'string', description: 'Bug ID' },
+          },
+        },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('bug:edit')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, bugId } = request.params;
+        const link = await resyncBug(Number(bugId), Number(projectId), request.permissionContext);
+        reply.send(link);
+      } catch (error) {
+        logError('Error resyncing bug with issue tracker', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Inbound issue tracker webhook
+   * Authenticated by the integration's webhook token, passed as ?token= or X-Webhook-Token.
+   */
+  fastify.post(
+    '/api/integrations/issue-tracker/:integrationId/webhook',
+    {
+      schema: {
+        tags: ['integrations'],
+        summary: 'Receive issue tracker webhook',
+        params: {
+          type: 'object',
+          properties: {
+            integrationId: { type: 'string', description: 'Issue tracker integration ID' },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const token = request.query.token || request.headers['x-webhook-token'];
+        const result = await handleIssueTrackerWebhook(Number(request.params.integrationId), token, request.body);
+        reply.send(result);
+      } catch (error) {
+        if (error.message === 'Invalid webhook token') {
+          return reply.code(401).send({ error: error.message });
+        }
+        logError('Error handling issue tracker webhook', error);
+        reply.code(500).send({ error: error.message });
+      }
+    },
+  );
+}
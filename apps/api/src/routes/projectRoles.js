@@ -0,0 +1,240 @@
+/**
+ * PROJECT ROLE ROUTES
+ * Custom per-project roles, the permissions they can grant, and the effective
+ * permissions of any user inside a project
+ */
+
+import {
+  listAssignablePermissions,
+  listProjectRoles,
+  createProjectRole,
+  updateProjectRole,
+  deleteProjectRole,
+  getEffectivePermissions,
+} from '../services/projectRoleService.js';
+import { createAuthGuards } from '../lib/rbac.js';
+import { requirePermission } from '../lib/policy.js';
+import { bearerAuth } from '../schemas/common.js';
+
+// Swagger schemas
+const projectParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+  },
+};
+
+const roleParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+    roleId: { type: 'string', description: 'Project role ID' },
+  },
+};
+
+const memberParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+    userId: { type: 'string', description: 'User ID' },
+  },
+};
+
+const roleBody = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 60 },
+    description: { type: 'string', nullable: true },
+    permissions: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Project-scoped permission keys, see GET /api/projects/:projectId/roles/permissions',
+    },
+  },
+};
+
+function errorStatus(error) {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('already exists')) return 409;
+  return 400;
+}
+
+function getClientContext(request) {
+  return {
+    ipAddress: request.ip || request.socket?.remoteAddress || null,
+    userAgent: request.headers['user-agent'] || null,
+  };
+}
+
+export default async function projectRoleRoutes(fastify) {
+  const { requireAuth } = createAuthGuards(fastify);
+  const canManageRoles = [requireAuth, requirePermission('projectRole:manage')];
+
+  /**
+   * List permissions a custom project role can grant
+   */
+  fastify.get(
+    '/api/projects/:projectId/roles/permissions',
+    {
+      schema: {
+        tags: ['project-roles'],
+        summary: 'List permissions assignable to project roles',
+        params: projectParams,
+        security: bearerAuth,
+      },
+      preHandler: canManageRoles,
+    },
+    async (request, reply) => {
+      reply.send({ permissions: listAssignablePermissions() });
+    },
+  );
+
+  /**
+   * List project roles
+   */
+  fastify.get(
+    '/api/projects/:projectId/roles',
+    {
+      schema: {
+        tags: ['project-roles'],
+        summary: 'List built-in and custom project roles',
+        params: projectParams,
+        security: bearerAuth,
+      },
+      preHandler: canManageRoles,
+    },
+    async (request, reply) => {
+      try {
+        const result = await listProjectRoles(Number(request.params.projectId));
+        reply.send(result);
+      } catch (error) {
+        console.error('Error fetching project roles:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Create a custom project role
+   */
+  fastify.post(
+    '/api/projects/:projectId/roles',
+    {
+      schema: {
+        tags: ['project-roles'],
+        summary: 'Create a custom project role',
+        params: projectParams,
+        body: { ...roleBody, required: ['name', 'permissions'] },
+        security: bearerAuth,
+      },
+      preHandler: canManageRoles,
+    },
+    async (request, reply) => {
+      try {
+        const role = await createProjectRole(
+          Number(request.params.projectId),
+          request.body,
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.code(201).send(role);
+      } catch (error) {
+        console.error('Error creating project role:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Update a custom project role
+   */
+  fastify.patch(
+    '/api/projects/:projectId/roles/:roleId',
+    {
+      schema: {
+        tags: ['project-roles'],
+        summary: 'Update a custom project role',
+        params: roleParams,
+        body: roleBody,
+        security: bearerAuth,
+      },
+      preHandler: canManageRoles,
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, roleId } = request.params;
+        const role = await updateProjectRole(
+          Number(projectId),
+          Number(roleId),
+          request.body,
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send(role);
+      } catch (error) {
+        console.error('Error updating project role:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Delete a custom project role
+   */
+  fastify.delete(
+    '/api/projects/:projectId/roles/:roleId',
+    {
+      schema: {
+        tags: ['project-roles'],
+        summary: 'Delete a custom project role',
+        params: roleParams,
+        security: bearerAuth,
+      },
+      preHandler: canManageRoles,
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, roleId } = request.params;
+        const result = await deleteProjectRole(
+          Number(projectId),
+          Number(roleId),
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send(result);
+      } catch (error) {
+        console.error('Error deleting project role:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Effective permissions of a user inside the project
+   */
+  fastify.get(
+    '/api/projects/:projectId/members/:userId/effective-permissions',
+    {
+      schema: {
+        tags: ['project-roles'],
+        summary: 'Show what a user may do in the project and why',
+        params: memberParams,
+        security: bearerAuth,
+      },
+      preHandler: canManageRoles,
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, userId } = request.params;
+        const result = await getEffectivePermissions(Number(projectId), Number(userId));
+        reply.send(result);
+      } catch (error) {
+        console.error('Error resolving effective permissions:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+}
@@ -0,0 +1,285 @@
+/**
+ * QUALITY GATE ROUTES
+ * Per-project release gates, their evaluation for users, and a status endpoint for CI
+ */
+
+import {
+  listQualityGates,
+  createQualityGate,
+  updateQualityGate,
+  deleteQualityGate,
+  evaluateQualityGates,
+  GATE_PRIORITIES,
+  GATE_BUG_SEVERITIES,
+} from '../services/qualityGateService.js';
+import { requirePermission } from '../lib/policy.js';
+import { requireProjectAccess } from '../lib/rbac.js';
+import { bearerAuth, apiKeyAuth } from '../schemas/common.js';
+
+// Swagger schemas
+const projectParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+  },
+};
+
+const gateParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+    gateId: { type: 'string', description: 'Quality gate ID' },
+  },
+};
+
+const gateBody = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string', nullable: true },
+    isActive: { type: 'boolean' },
+    minPassRate: { type: 'number', nullable: true, description: 'Percent of executions that must pass' },
+    blockingPriorities: {
+      type: 'array',
+      items: { type: 'string', enum: GATE_PRIORITIES },
+      description: 'Test case priorities that must have no failed execution',
+    },
+    maxOpenBugs: {
+      type: 'object',
+      nullable: true,
+      properties: Object.fromEntries(GATE_BUG_SEVERITIES.map((severity) => [severity, { type: 'integer', minimum: 0 }])),
+      additionalProperties: false,
+      description: 'Open project bugs allowed per severity',
+    },
+    testPlanId: { type: 'integer', nullable: true },
+    minPlanCoverage: { type: 'number', nullable: true, description: 'Percent of the test plan that must have been executed' },
+  },
+};
+
+const evaluationQuery = {
+  type: 'object',
+  properties: {
+    testRunId: { type: 'integer', description: 'Evaluate against a single test run' },
+    buildVersion: { type: 'string', description: 'Evaluate against the latest results of every run of a build' },
+    gateId: { type: 'integer', description: 'Evaluate one gate, even if inactive (default: all active gates)' },
+  },
+};
+
+const evaluationObject = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'integer' },
+    status: { type: 'string', enum: ['PASS', 'FAIL'] },
+    scope: { type: 'object', additionalProperties: true },
+    gates: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          status: { type: 'string', enum: ['PASS', 'FAIL'] },
+          checks: { type: 'array', items: { type: 'object', additionalProperties: true } },
+          reasons: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    },
+    reasons: { type: 'array', items: { type: 'string' } },
+    evaluatedAt: { type: 'string', format: 'date-time' },
+  },
+};
+
+function errorStatus(error) {
+  if (error.message.includes('not found') || error.message.startsWith('No test runs')) return 404;
+  if (error.message.includes('permission')) return 403;
+  return 400;
+}
+
+function getClientContext(request) {
+  return {
+    ipAddress: request.ip || request.socket?.remoteAddress || null,
+    userAgent: request.headers['user-agent'] || null,
+  };
+}
+
+export default async function qualityGateRoutes(fastify) {
+  /**
+   * List project quality gates
+   */
+  fastify.get(
+    '/api/projects/:projectId/quality-gates',
+    {
+      schema: {
+        tags: ['quality-gates'],
+        summary: 'List project quality gates',
+        params: projectParams,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('qualityGate:read')],
+    },
+    async (request, reply) => {
+      try {
+        const gates = await listQualityGates(Number(request.params.projectId));
+        reply.send(gates);
+      } catch (error) {
+        console.error('Error fetching quality gates:', error);
+        reply.code(500).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Create a quality gate
+   */
+  fastify.post(
+    '/api/projects/:projectId/quality-gates',
+    {
+      schema: {
+        tags: ['quality-gates'],
+        summary: 'Create a quality gate',
+        params: projectParams,
+        body: { ...gateBody, required: ['name'] },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('qualityGate:manage')],
+    },
+    async (request, reply) => {
+      try {
+        const gate = await createQualityGate(
+          Number(request.params.projectId),
+          request.body,
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.code(201).send(gate);
+      } catch (error) {
+        console.error('Error creating quality gate:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Update a quality gate
+   */
+  fastify.patch(
+    '/api/projects/:projectId/quality-gates/:gateId',
+    {
+      schema: {
+        tags: ['quality-gates'],
+        summary: 'Update a quality gate',
+        params: gateParams,
+        body: gateBody,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('qualityGate:manage')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, gateId } = request.params;
+        const gate = await updateQualityGate(
+          Number(projectId),
+          Number(gateId),
+          request.body,
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send(gate);
+      } catch (error) {
+        console.error('Error updating quality gate:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Delete a quality gate
+   */
+  fastify.delete(
+    '/api/projects/:projectId/quality-gates/:gateId',
+    {
+      schema: {
+        tags: ['quality-gates'],
+        summary: 'Delete a quality gate',
+        params: gateParams,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('qualityGate:manage')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, gateId } = request.params;
+        await deleteQualityGate(
+          Number(projectId),
+          Number(gateId),
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send({ success: true });
+      } catch (error) {
+        console.error('Error deleting quality gate:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Evaluate quality gates against a test run or build
+   */
+  fastify.get(
+    '/api/projects/:projectId/quality-gates/evaluate',
+    {
+      schema: {
+        tags: ['quality-gates'],
+        summary: 'Evaluate quality gates',
+        description: 'Pass either testRunId or buildVersion',
+        params: projectParams,
+        querystring: evaluationQuery,
+        response: { 200: evaluationObject },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('qualityGate:read')],
+    },
+    async (request, reply) => {
+      try {
+        const result = await evaluateQualityGates(Number(request.params.projectId), request.query);
+        reply.send(result);
+      } catch (error) {
+        console.error('Error evaluating quality gates:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Quality gate status for CI pipelines, authenticated with a project API key
+   */
+  fastify.get(
+    '/api/projects/:projectId/quality-gates/status',
+    {
+      schema: {
+        tags: ['quality-gates'],
+        summary: 'Quality gate status for CI',
+        description: 'Same result as /evaluate, authenticated with the X-API-Key header. '
+          + 'Poll until scope.complete is true before acting on the status.',
+        params: projectParams,
+        querystring: evaluationQuery,
+        response: { 200: evaluationObject },
+        security: apiKeyAuth,
+      },
+      preHandler: [fastify.authenticateApiKey, requireProjectAccess],
+    },
+    async (request, reply) => {
+      try {
+        const result = await evaluateQualityGates(Number(request.params.projectId), request.query);
+        reply.send(result);
+      } catch (error) {
+        console.error('Error evaluating quality gates for CI:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+}
@@ -0,0 +1,373 @@
+/**
+ * REQUIREMENT ROUTES
+ * Project requirements, test case links and the traceability matrix with exports
+ */
+
+import {
+  REQUIREMENT_STATUSES,
+  createRequirement,
+  getProjectRequirements,
+  getRequirementById,
+  updateRequirement,
+  deleteRequirement,
+  linkTestCasesToRequirement,
+  unlinkTestCasesFromRequirement,
+  getTraceabilityMatrix,
+} from '../services/requirementService.js';
+import {
+  generateTraceabilityCSV,
+  generateTraceabilityExcel,
+  generateTraceabilityPDF,
+} from '../services/exportService.js';
+import { requirePermission } from '../lib/policy.js';
+import { bearerAuth } from '../schemas/common.js';
+
+// Swagger schemas
+const projectParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+  },
+};
+
+const requirementParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+    requirementId: { type: 'string', description: 'Requirement ID' },
+  },
+};
+
+const requirementBody = {
+  type: 'object',
+  properties: {
+    key: { type: 'string', description: 'Project-unique requirement ID (generated as REQ-<n> when omitted)' },
+    title: { type: 'string', description: 'Requirement title' },
+    description: { type: 'string', nullable: true, description: 'Detailed description' },
+    status: { type: 'string', enum: REQUIREMENT_STATUSES },
+    parentId: { type: 'number', nullable: true, description: 'Parent requirement ID' },
+    order: { type: 'number', description: 'Sort order among siblings' },
+  },
+};
+
+const traceabilityQuery = {
+  type: 'object',
+  properties: {
+    testRunId: { type: 'string', description: 'Only use executions from this test run' },
+    includeDeprecated: { type: 'string', enum: ['true', 'false'], description: 'Include DEPRECATED requirements' },
+  },
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', generate: generateTraceabilityCSV },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    generate: generateTraceabilityExcel,
+  },
+  pdf: { contentType: 'application/pdf', generate: generateTraceabilityPDF },
+};
+
+function parseTraceabilityOptions(query) {
+  return {
+    testRunId: query.testRunId ? Number(query.testRunId) : undefined,
+    includeDeprecated: query.includeDeprecated === 'true',
+  };
+}
+
+function errorStatus(error) {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('permission')) return 403;
+  return 400;
+}
+
+export default async function requirementRoutes(fastify) {
+  /**
+   * Create requirement
+   */
+  fastify.post(
+    '/api/projects/:projectId/requirements',
+    {
+      schema: {
+        tags: ['requirements'],
+        summary: 'Create requirement',
+        params: projectParams,
+        body: {
+          ...requirementBody,
+          required: ['title'],
+          properties: {
+            ...requirementBody.properties,
+            testCaseIds: { type: 'array', items: { type: 'number' }, description: 'Test cases to link' },
+          },
+        },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('requirement:create')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId } = request.params;
+        const requirement = await createRequirement(
+          { ...request.body, projectId: Number(projectId) },
+          request.user.id,
+          request.permissionContext,
+        );
+        reply.code(201).send(requirement);
+      } catch (error) {
+        console.error('Error creating requirement:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * List requirements
+   */
+  fastify.get(
+    '/api/projects/:projectId/requirements',
+    {
+      schema: {
+        tags: ['requirements'],
+        summary: 'Get project requirements',
+        params: projectParams,
+        querystring: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: REQUIREMENT_STATUSES },
+            parentId: { type: 'string', description: 'Parent requirement ID, or "root" for top-level requirements' },
+            search: { type: 'string' },
+          },
+        },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('requirement:read')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId } = request.params;
+        const { status, parentId, search } = request.query;
+        const requirements = await getProjectRequirements(Number(projectId), {
+          status,
+          search,
+          parentId: parentId === undefined ? undefined : parentId === 'root' ? null : Number(parentId),
+        });
+        reply.send({ data: requirements });
+      } catch (error) {
+        console.error('Error fetching requirements:', error);
+        reply.code(500).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Get traceability matrix
+   */
+  fastify.get(
+    '/api/projects/:projectId/requirements/traceability',
+    {
+      schema: {
+        tags: ['requirements'],
+        summary: 'Get requirements traceability matrix',
+        description: 'Roll up the latest test execution status of every linked test case per requirement',
+        params: projectParams,
+        querystring: traceabilityQuery,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('requirement:read')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId } = request.params;
+        const matrix = await getTraceabilityMatrix(Number(projectId), parseTraceabilityOptions(request.query));
+        reply.send(matrix);
+      } catch (error) {
+        console.error('Error building traceability matrix:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Export traceability matrix as CSV, XLSX or PDF
+   */
+  fastify.get(
+    '/api/projects/:projectId/requirements/traceability/export',
+    {
+      schema: {
+        tags: ['requirements'],
+        summary: 'Export requirements traceability matrix',
+        params: projectParams,
+        querystring: {
+          ...traceabilityQuery,
+          properties: {
+            ...traceabilityQuery.properties,
+            format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' },
+          },
+        },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('requirement:read')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId } = request.params;
+        const { format = 'csv' } = request.query;
+        const exporter = EXPORT_FORMATS[format];
+        const content = await exporter.generate(Number(projectId), parseTraceabilityOptions(request.query));
+
+        reply
+          .header('Content-Type', exporter.contentType)
+          .header('Content-Disposition', `attachment; filename="traceability-project-${projectId}.${format}"`)
+          .send(typeof content === 'string' ? content : Buffer.from(content));
+      } catch (error) {
+        console.error('Error exporting traceability matrix:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Get requirement
+   */
+  fastify.get(
+    '/api/projects/:projectId/requirements/:requirementId',
+    {
+      schema: { tags: ['requirements'], summary: 'Get requirement', params: requirementParams, security: bearerAuth },
+      preHandler: [requirePermission('requirement:read')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, requirementId } = request.params;
+        const requirement = await getRequirementById(Number(projectId), Number(requirementId));
+        reply.send(requirement);
+      } catch (error) {
+        console.error('Error fetching requirement:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Update requirement
+   */
+  fastify.patch(
+    '/api/projects/:projectId/requirements/:requirementId',
+    {
+      schema: {
+        tags: ['requirements'],
+        summary: 'Update requirement',
+        params: requirementParams,
+        body: requirementBody,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('requirement:edit')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, requirementId } = request.params;
+        const requirement = await updateRequirement(
+          Number(projectId),
+          Number(requirementId),
+          request.body,
+          request.user.id,
+          request.permissionContext,
+        );
+        reply.send(requirement);
+      } catch (error) {
+        console.error('Error updating requirement:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Delete requirement
+   */
+  fastify.delete(
+    '/api/projects/:projectId/requirements/:requirementId',
+    {
+      schema: { tags: ['requirements'], summary: 'Delete requirement', params: requirementParams, security: bearerAuth },
+      preHandler: [requirePermission('requirement:delete')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, requirementId } = request.params;
+        const result = await deleteRequirement(
+          Number(projectId),
+          Number(requirementId),
+          request.user.id,
+          request.permissionContext,
+        );
+        reply.send(result);
+      } catch (error) {
+        console.error('Error deleting requirement:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Link test cases to requirement
+   */
+  fastify.post(
+    '/api/projects/:projectId/requirements/:requirementId/test-cases',
+    {
+      schema: {
+        tags: ['requirements'],
+        summary: 'Link test cases to requirement',
+        params: requirementParams,
+        body: {
+          type: 'object',
+          required: ['testCaseIds'],
+          properties: {
+            testCaseIds: { type: 'array', items: { type: 'number' }, minItems: 1 },
+          },
+        },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('requirement:edit')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, requirementId } = request.params;
+        const requirement = await linkTestCasesToRequirement(
+          Number(projectId),
+          Number(requirementId),
+          request.body.testCaseIds,
+          request.user.id,
+          request.permissionContext,
+        );
+        reply.send(requirement);
+      } catch (error) {
+        console.error('Error linking test cases to requirement:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Unlink test case from requirement
+   */
+  fastify.delete(
+    '/api/projects/:projectId/requirements/:requirementId/test-cases/:testCaseId',
+    {
+      schema: { tags: ['requirements'], summary: 'Unlink test case from requirement', security: bearerAuth },
+      preHandler: [requirePermission('requirement:edit')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, requirementId, testCaseId } = request.params;
+        const result = await unlinkTestCasesFromRequirement(
+          Number(projectId),
+          Number(requirementId),
+          [Number(testCaseId)],
+          request.user.id,
+          request.permissionContext,
+        );
+        reply.send(result);
+      } catch (error) {
+        console.error('Error unlinking test case from requirement:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+}
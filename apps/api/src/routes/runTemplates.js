@@ -0,0 +1,295 @@
+/**
+ * RUN TEMPLATE ROUTES
+ * Saved test run setups, starting runs from them, and a release trigger for CI
+ */
+
+import {
+  listRunTemplates,
+  getRunTemplate,
+  createRunTemplate,
+  updateRunTemplate,
+  deleteRunTemplate,
+  instantiateRunTemplate,
+  RUN_TEMPLATE_SELECTIONS,
+} from '../services/runTemplateService.js';
+import { ASSIGNMENT_STRATEGIES } from '../services/testRunAssignmentService.js';
+import { requirePermission } from '../lib/policy.js';
+import { requireProjectAccess } from '../lib/rbac.js';
+import { requireNotAdmin } from '../lib/adminConstraints.js';
+import { bearerAuth, apiKeyAuth } from '../schemas/common.js';
+
+// Swagger schemas
+const projectParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+  },
+};
+
+const templateParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+    templateId: { type: 'string', description: 'Run template ID' },
+  },
+};
+
+const templateBody = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string', nullable: true },
+    selectionType: { type: 'string', enum: RUN_TEMPLATE_SELECTIONS },
+    testCaseIds: { type: 'array', items: { type: 'integer' }, description: 'CASES: test cases to run' },
+    testSuiteId: { type: 'integer', nullable: true, description: 'SUITE: static or dynamic suite' },
+    testPlanId: { type: 'integer', nullable: true, description: 'PLAN: test plan' },
+    criteria: { type: 'object', nullable: true, additionalProperties: true, description: 'FILTER: dynamic suite criteria' },
+    environment: { type: 'string', nullable: true },
+    buildVersion: { type: 'string', nullable: true },
+    assignment: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        testerIds: { type: 'array', items: { type: 'integer' } },
+        strategy: { type: 'string', enum: ASSIGNMENT_STRATEGIES },
+        balanceByDuration: { type: 'boolean' },
+      },
+    },
+    namePattern: { type: 'string', description: 'Tokens: {template}, {date}, {time}, {build}, {n}' },
+    schedule: { type: 'string', nullable: true, description: 'Cron expression, server time' },
+    isActive: { type: 'boolean' },
+  },
+};
+
+const instantiateBody = {
+  type: 'object',
+  properties: {
+    buildVersion: { type: 'string', description: 'Overrides the template build version' },
+  },
+};
+
+function errorStatus(error) {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('permission')) return 403;
+  return 400;
+}
+
+function getClientContext(request) {
+  return {
+    ipAddress: request.ip || request.socket?.remoteAddress || null,
+    userAgent: request.headers['user-agent'] || null,
+  };
+}
+
+export default async function runTemplateRoutes(fastify) {
+  /**
+   * List project run templates
+   */
+  fastify.get(
+    '/api/projects/:projectId/run-templates',
+    {
+      schema: {
+        tags: ['run-templates'],
+        summary: 'List project run templates',
+        params: projectParams,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('runTemplate:read')],
+    },
+    async (request, reply) => {
+      try {
+        const templates = await listRunTemplates(Number(request.params.projectId));
+        reply.send(templates);
+      } catch (error) {
+        console.error('Error fetching run templates:', error);
+        reply.code(500).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Get a run template with its recent runs
+   */
+  fastify.get(
+    '/api/projects/:projectId/run-templates/:templateId',
+    {
+      schema: {
+        tags: ['run-templates'],
+        summary: 'Get a run template',
+        params: templateParams,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('runTemplate:read')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, templateId } = request.params;
+        const template = await getRunTemplate(Number(projectId), Number(templateId));
+        reply.send(template);
+      } catch (error) {
+        console.error('Error fetching run template:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Create a run template
+   */
+  fastify.post(
+    '/api/projects/:projectId/run-templates',
+    {
+      schema: {
+        tags: ['run-templates'],
+        summary: 'Create a run template',
+        params: projectParams,
+        body: { ...templateBody, required: ['name'] },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('runTemplate:manage')],
+    },
+    async (request, reply) => {
+      try {
+        const template = await createRunTemplate(
+          Number(request.params.projectId),
+          request.body,
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.code(201).send(template);
+      } catch (error) {
+        console.error('Error creating run template:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Update a run template
+   */
+  fastify.patch(
+    '/api/projects/:projectId/run-templates/:templateId',
+    {
+      schema: {
+        tags: ['run-templates'],
+        summary: 'Update a run template',
+        params: templateParams,
+        body: templateBody,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('runTemplate:manage')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, templateId } = request.params;
+        const template = await updateRunTemplate(
+          Number(projectId),
+          Number(templateId),
+          request.body,
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send(template);
+      } catch (error) {
+        console.error('Error updating run template:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Delete a run template (runs created from it are kept)
+   */
+  fastify.delete(
+    '/api/projects/:projectId/run-templates/:templateId',
+    {
+      schema: {
+        tags: ['run-templates'],
+        summary: 'Delete a run template',
+        params: templateParams,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('runTemplate:manage')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, templateId } = request.params;
+        await deleteRunTemplate(
+          Number(projectId),
+          Number(templateId),
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send({ success: true });
+      } catch (error) {
+        console.error('Error deleting run template:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Start a test run from a template now
+   */
+  fastify.post(
+    '/api/projects/:projectId/run-templates/:templateId/runs',
+    {
+      schema: {
+        tags: ['run-templates'],
+        summary: 'Start a test run from a template',
+        params: templateParams,
+        body: instantiateBody,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('runTemplate:manage'), requireNotAdmin()],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, templateId } = request.params;
+        const result = await instantiateRunTemplate(Number(projectId), Number(templateId), {
+          trigger: 'MANUAL',
+          buildVersion: request.body?.buildVersion,
+          userId: request.user.id,
+        });
+        reply.code(201).send(result);
+      } catch (error) {
+        console.error('Error starting run from template:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Start a test run for a new release from CI, authenticated with a project API key
+   */
+  fastify.post(
+    '/api/projects/:projectId/run-templates/:templateId/trigger',
+    {
+      schema: {
+        tags: ['run-templates'],
+        summary: 'Start a release test run from CI',
+        description: 'Creates a run from the template as its creator, authenticated with the X-API-Key header.',
+        params: templateParams,
+        body: instantiateBody,
+        security: apiKeyAuth,
+      },
+      preHandler: [fastify.authenticateApiKey, requireProjectAccess],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, templateId } = request.params;
+        const result = await instantiateRunTemplate(Number(projectId), Number(templateId), {
+          trigger: 'RELEASE',
+          buildVersion: request.body?.buildVersion,
+        });
+        reply.code(201).send(result);
+      } catch (error) {
+        console.error('Error starting release run from template:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+}
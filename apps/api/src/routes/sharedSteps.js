@@ -0,0 +1,235 @@
+/**
+ * SHARED STEP ROUTES
+ * Project shared step library: reusable step blocks and where they are used
+ */
+
+import {
+  createSharedStepBlock,
+  getProjectSharedStepBlocks,
+  getSharedStepBlockById,
+  getSharedStepBlockUsage,
+  updateSharedStepBlock,
+  deleteSharedStepBlock,
+} from '../services/sharedStepService.js';
+import { requirePermission } from '../lib/policy.js';
+import { bearerAuth } from '../schemas/common.js';
+
+// Swagger schemas
+const projectParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+  },
+};
+
+const blockParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+    blockId: { type: 'string', description: 'Shared step block ID' },
+  },
+};
+
+const blockBody = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', description: 'Project-unique block name' },
+    description: { type: 'string', nullable: true },
+    steps: {
+      type: 'array',
+      description: 'Steps of the block in order',
+      items: {
+        type: 'object',
+        required: ['action'],
+        properties: {
+          action: { type: 'string' },
+          expectedResult: { type: 'string' },
+          notes: { type: 'string', nullable: true },
+        },
+      },
+    },
+  },
+};
+
+function errorStatus(error) {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('permission')) return 403;
+  return 400;
+}
+
+export default async function sharedStepRoutes(fastify) {
+  /**
+   * Create shared step block
+   */
+  fastify.post(
+    '/api/projects/:projectId/shared-steps',
+    {
+      schema: {
+        tags: ['shared-steps'],
+        summary: 'Create shared step block',
+        params: projectParams,
+        body: { ...blockBody, required: ['name', 'steps'] },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('sharedStep:create')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId } = request.params;
+        const block = await createSharedStepBlock(
+          { ...request.body, projectId: Number(projectId) },
+          request.user.id,
+          request.permissionContext,
+        );
+        reply.code(201).send(block);
+      } catch (error) {
+        console.error('Error creating shared step block:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * List shared step blocks
+   */
+  fastify.get(
+    '/api/projects/:projectId/shared-steps',
+    {
+      schema: {
+        tags: ['shared-steps'],
+        summary: 'Get project shared step blocks',
+        params: projectParams,
+        querystring: {
+          type: 'object',
+          properties: {
+            search: { type: 'string' },
+          },
+        },
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('sharedStep:read')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId } = request.params;
+        const blocks = await getProjectSharedStepBlocks(Number(projectId), { search: request.query.search });
+        reply.send({ data: blocks });
+      } catch (error) {
+        console.error('Error fetching shared step blocks:', error);
+        reply.code(500).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Get shared step block
+   */
+  fastify.get(
+    '/api/projects/:projectId/shared-steps/:blockId',
+    {
+      schema: { tags: ['shared-steps'], summary: 'Get shared step block', params: blockParams, security: bearerAuth },
+      preHandler: [requirePermission('sharedStep:read')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, blockId } = request.params;
+        const block = await getSharedStepBlockById(Number(projectId), Number(blockId));
+        reply.send(block);
+      } catch (error) {
+        console.error('Error fetching shared step block:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * List test cases that use a shared step block
+   */
+  fastify.get(
+    '/api/projects/:projectId/shared-steps/:blockId/usage',
+    {
+      schema: {
+        tags: ['shared-steps'],
+        summary: 'Get test cases using a shared step block',
+        params: blockParams,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('sharedStep:read')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, blockId } = request.params;
+        const usage = await getSharedStepBlockUsage(Number(projectId), Number(blockId));
+        reply.send(usage);
+      } catch (error) {
+        console.error('Error fetching shared step block usage:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Update shared step block
+   */
+  fastify.patch(
+    '/api/projects/:projectId/shared-steps/:blockId',
+    {
+      schema: {
+        tags: ['shared-steps'],
+        summary: 'Update shared step block',
+        description: 'Step changes apply to every test case that references the block',
+        params: blockParams,
+        body: blockBody,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('sharedStep:edit')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, blockId } = request.params;
+        const block = await updateSharedStepBlock(
+          Number(projectId),
+          Number(blockId),
+          request.body,
+          request.user.id,
+          request.permissionContext,
+        );
+        reply.send(block);
+      } catch (error) {
+        console.error('Error updating shared step block:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Delete shared step block
+   */
+  fastify.delete(
+    '/api/projects/:projectId/shared-steps/:blockId',
+    {
+      schema: {
+        tags: ['shared-steps'],
+        summary: 'Delete an unused shared step block',
+        params: blockParams,
+        security: bearerAuth,
+      },
+      preHandler: [requirePermission('sharedStep:delete')],
+    },
+    async (request, reply) => {
+      try {
+        const { projectId, blockId } = request.params;
+        const result = await deleteSharedStepBlock(
+          Number(projectId),
+          Number(blockId),
+          request.user.id,
+          request.permissionContext,
+        );
+        reply.send(result);
+      } catch (error) {
+        console.error('Error deleting shared step block:', error);
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+}
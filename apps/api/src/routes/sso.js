@@ -0,0 +1,425 @@
+/**
+ * SSO ROUTES
+ * OIDC and SAML 2.0 sign-in for the login page, and SSO provider administration
+ *
+ * The identity provider sends the browser back to the callback, which redirects to the
+ * web app with a short-lived one-time token; the web app exchanges it for a session at
+ * POST /api/auth/sso/complete. Failures reach the web app as a reason code (ssoError), never
+ * as the underlying error text.
+ */
+
+import {
+  listSsoProviders,
+  createSsoProvider,
+  updateSsoProvider,
+  deleteSsoProvider,
+  findSsoProviderForEmail,
+  getSamlMetadata,
+  createSsoConnectUrl,
+  startSsoLogin,
+  completeOidcLogin,
+  completeSamlLogin,
+  SSO_ERROR_CODES,
+} from '../services/ssoService.js';
+import { completeSsoLogin } from '../services/authService.js';
+import { createAuthGuards } from '../lib/rbac.js';
+import { bearerAuth } from '../schemas/common.js';
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const API_BASE_URL = process.env.WEBHOOK_BASE_URL || 'http://localhost:3001';
+
+// Binds an OIDC sign-in to the browser that started it
+const STATE_COOKIE = 'tt_sso_state';
+const STATE_COOKIE_MAX_AGE_SECONDS = 10 * 60;
+
+// Swagger schemas
+const slugParams = {
+  type: 'object',
+  properties: {
+    slug: { type: 'string', description: 'SSO provider slug' },
+  },
+};
+
+const providerParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', description: 'SSO provider ID' },
+  },
+};
+
+const mappingList = (itemProperties) => ({
+  type: 'array',
+  items: { type: 'object', properties: itemProperties },
+});
+
+const providerBody = {
+  type: 'object',
+  properties: {
+    slug: { type: 'string', description: 'URL name, lowercase; cannot change later' },
+    name: { type: 'string', minLength: 1, maxLength: 80 },
+    protocol: { type: 'string', enum: ['OIDC', 'SAML'], description: 'Cannot change later' },
+    isEnabled: { type: 'boolean' },
+    emailDomains: { type: 'array', items: { type: 'string' } },
+    disablePasswordLogin: { type: 'boolean', description: 'Require SSO for the email domains' },
+    enforcesMfa: { type: 'boolean', description: 'The identity provider requires a second factor; skip the app\'s own' },
+    issuer: { type: 'string', description: 'OIDC issuer URL' },
+    clientId: { type: 'string' },
+    clientSecret: { type: 'string', description: 'Write-only; leave out to keep the stored secret' },
+    scopes: { type: 'string' },
+    entryPoint: { type: 'string', description: 'SAML single sign-on URL of the identity provider' },
+    idpEntityId: { type: 'string', nullable: true },
+    idpCertificate: { type: 'string', description: 'PEM signing certificate of the identity provider' },
+    groupsClaim: { type: 'string', description: 'Claim or attribute holding the user\'s groups' },
+    defaultRole: { type: 'string', enum: ['DEVELOPER', 'TESTER'] },
+    roleMappings: mappingList({
+      group: { type: 'string' },
+      role: { type: 'string', enum: ['DEVELOPER', 'TESTER'] },
+    }),
+    projectMappings: mappingList({
+      group: { type: 'string' },
+      projectId: { type: 'integer' },
+      projectRole: { type: 'string' },
+    }),
+  },
+};
+
+function errorStatus(error) {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('already')) return 409;
+  return 400;
+}
+
+function getClientContext(request) {
+  return {
+    ipAddress: request.ip || request.socket?.remoteAddress || null,
+    userAgent: request.headers['user-agent'] || null,
+  };
+}
+
+function getCookie(request, name) {
+  const pair = String(request.headers.cookie || '')
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+function stateCookie(value, maxAge) {
+  const secure = API_BASE_URL.startsWith('https:') ? '; Secure' : '';
+  return `${STATE_COOKIE}=${encodeURIComponent(value)}; Path=/api/auth/sso; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure}`;
+}
+
+// Send the browser to the web app, with the one-time token or the reason sign-in failed.
+// Connect flows go back to the settings page they started from.
+function redirectToWebApp(reply, result, error = null, connect = false) {
+  reply.header('Set-Cookie', stateCookie('', 0));
+  const page = connect || result?.connected ? '/settings' : '/login';
+  if (error) {
+    const reason = SSO_ERROR_CODES.includes(error.code) ? error.code : 'SIGN_IN_FAILED';
+    const params = new URLSearchParams({ ssoError: reason });
+    if (connect) {
+      params.set('tab', 'security');
+    }
+    return reply.redirect(`${FRONTEND_URL}${page}?${params}`);
+  }
+  if (result.connected) {
+    return reply.redirect(`${FRONTEND_URL}${page}?${new URLSearchParams({ tab: 'security', ssoConnected: result.provider })}`);
+  }
+  const params = new URLSearchParams({ ssoToken: result.loginToken });
+  if (result.redirectTo) {
+    params.set('redirectTo', result.redirectTo);
+  }
+  return reply.redirect(`${FRONTEND_URL}/sso/callback?${params}`);
+}
+
+// Whether a callback belongs to a connect flow; only picks the page errors are shown on
+function isConnectCallback(fastify, request) {
+  if (request.method === 'POST') {
+    return String(request.body?.RelayState || '').startsWith('connect:');
+  }
+  return Boolean(fastify.jwt.decode(String(request.query.state || ''))?.connect);
+}
+
+export default async function ssoRoutes(fastify) {
+  const { requireAuth, requireRoles } = createAuthGuards(fastify);
+  const adminOnly = [requireAuth, requireRoles(['ADMIN'])];
+
+  // SAML responses arrive as an HTML form post from the identity provider (scoped to this plugin)
+  fastify.addContentTypeParser(
+    'application/x-www-form-urlencoded',
+    { parseAs: 'string' },
+    (_request, body, done) => done(null, Object.fromEntries(new URLSearchParams(body))),
+  );
+
+  /**
+   * Find the SSO provider for an email address
+   */
+  fastify.get(
+    '/api/auth/sso/discover',
+    {
+      schema: {
+        tags: ['sso'],
+        summary: 'Find the SSO provider that handles an email domain',
+        querystring: {
+          type: 'object',
+          required: ['email'],
+          properties: { email: { type: 'string' } },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const provider = await findSsoProviderForEmail(request.query.email);
+        reply.send({ provider });
+      } catch (error) {
+        fastify.log.error(error, 'Error discovering SSO provider');
+        reply.code(500).send({ error: 'Failed to look up single sign-on' });
+      }
+    },
+  );
+
+  /**
+   * Start signing in with a provider
+   */
+  fastify.get(
+    '/api/auth/sso/:slug/login',
+    {
+      schema: {
+        tags: ['sso'],
+        summary: 'Redirect to the identity provider',
+        params: slugParams,
+        querystring: {
+          type: 'object',
+          properties: {
+            redirectTo: { type: 'string', description: 'Web app path to open after sign-in' },
+            connectToken: { type: 'string', description: 'From POST /api/auth/sso/:slug/connect; links instead of signing in' },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const { url, stateId } = await startSsoLogin(
+          fastify,
+          request.params.slug,
+          request.query.redirectTo,
+          request.query.connectToken,
+        );
+        if (stateId) {
+          reply.header('Set-Cookie', stateCookie(stateId, STATE_COOKIE_MAX_AGE_SECONDS));
+        }
+        return reply.redirect(url);
+      } catch (error) {
+        fastify.log.error(error, 'Error starting SSO login');
+        return redirectToWebApp(reply, null, error, Boolean(request.query.connectToken));
+      }
+    },
+  );
+
+  /**
+   * OIDC redirect URI
+   */
+  fastify.get(
+    '/api/auth/sso/:slug/callback',
+    { schema: { tags: ['sso'], summary: 'OIDC authorization code callback', params: slugParams } },
+    async (request, reply) => {
+      try {
+        const result = await completeOidcLogin(
+          fastify,
+          request.params.slug,
+          request.query,
+          getCookie(request, STATE_COOKIE),
+          getClientContext(request),
+        );
+        return redirectToWebApp(reply, result);
+      } catch (error) {
+        fastify.log.error(error, 'Error completing OIDC login');
+        return redirectToWebApp(reply, null, error, isConnectCallback(fastify, request));
+      }
+    },
+  );
+
+  /**
+   * SAML assertion consumer service
+   */
+  fastify.post(
+    '/api/auth/sso/:slug/callback',
+    { schema: { tags: ['sso'], summary: 'SAML assertion consumer service (HTTP-POST)', params: slugParams } },
+    async (request, reply) => {
+      try {
+        const result = await completeSamlLogin(fastify, request.params.slug, request.body, getClientContext(request));
+        return redirectToWebApp(reply, result);
+      } catch (error) {
+        fastify.log.error(error, 'Error completing SAML login');
+        return redirectToWebApp(reply, null, error, isConnectCallback(fastify, request));
+      }
+    },
+  );
+
+  /**
+   * SAML service provider metadata
+   */
+  fastify.get(
+    '/api/auth/sso/:slug/metadata',
+    { schema: { tags: ['sso'], summary: 'SAML service provider metadata', params: slugParams } },
+    async (request, reply) => {
+      try {
+        const metadata = await getSamlMetadata(request.params.slug);
+        reply.type('application/samlmetadata+xml').send(metadata);
+      } catch (error) {
+        fastify.log.error(error, 'Error generating SAML metadata');
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Connect a provider to the signed-in user's account
+   */
+  fastify.post(
+    '/api/auth/sso/:slug/connect',
+    {
+      schema: {
+        tags: ['sso'],
+        summary: 'Get a URL that connects the identity provider to your account',
+        params: slugParams,
+        security: bearerAuth,
+      },
+      preHandler: requireAuth,
+    },
+    async (request, reply) => {
+      try {
+        const result = await createSsoConnectUrl(fastify, request.params.slug, request.user.id);
+        reply.send(result);
+      } catch (error) {
+        fastify.log.error(error, 'Error connecting SSO provider');
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Exchange the one-time token from the callback for a session
+   */
+  fastify.post(
+    '/api/auth/sso/complete',
+    {
+      schema: {
+        tags: ['sso'],
+        summary: 'Exchange an SSO login token for a session',
+        body: {
+          type: 'object',
+          required: ['ssoToken'],
+          properties: { ssoToken: { type: 'string' } },
+        },
+      },
+    },
+    async (request, reply) => {
+      try {
+        const result = await completeSsoLogin(fastify, request.body.ssoToken, getClientContext(request));
+        reply.send(result);
+      } catch (error) {
+        fastify.log.error(error);
+        reply.code(401).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * List SSO providers
+   */
+  fastify.get(
+    '/api/admin/sso/providers',
+    { schema: { tags: ['sso'], summary: 'List SSO providers', security: bearerAuth }, preHandler: adminOnly },
+    async (request, reply) => {
+      try {
+        const providers = await listSsoProviders();
+        reply.send({ providers });
+      } catch (error) {
+        fastify.log.error(error, 'Error fetching SSO providers');
+        reply.code(500).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Create an SSO provider
+   */
+  fastify.post(
+    '/api/admin/sso/providers',
+    {
+      schema: {
+        tags: ['sso'],
+        summary: 'Create an SSO provider',
+        body: { ...providerBody, required: ['slug', 'name', 'protocol'] },
+        security: bearerAuth,
+      },
+      preHandler: adminOnly,
+    },
+    async (request, reply) => {
+      try {
+        const provider = await createSsoProvider(request.body, request.user.id, getClientContext(request));
+        reply.code(201).send(provider);
+      } catch (error) {
+        fastify.log.error(error, 'Error creating SSO provider');
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Update an SSO provider
+   */
+  fastify.patch(
+    '/api/admin/sso/providers/:id',
+    {
+      schema: {
+        tags: ['sso'],
+        summary: 'Update an SSO provider',
+        params: providerParams,
+        body: providerBody,
+        security: bearerAuth,
+      },
+      preHandler: adminOnly,
+    },
+    async (request, reply) => {
+      try {
+        const provider = await updateSsoProvider(
+          Number(request.params.id),
+          request.body,
+          request.user.id,
+          getClientContext(request),
+        );
+        reply.send(provider);
+      } catch (error) {
+        fastify.log.error(error, 'Error updating SSO provider');
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+
+  /**
+   * Delete an SSO provider
+   */
+  fastify.delete(
+    '/api/admin/sso/providers/:id',
+    {
+      schema: {
+        tags: ['sso'],
+        summary: 'Delete an SSO provider',
+        params: providerParams,
+        security: bearerAuth,
+      },
+      preHandler: adminOnly,
+    },
+    async (request, reply) => {
+      try {
+        const result = await deleteSsoProvider(Number(request.params.id), request.user.id, getClientContext(request));
+        reply.send(result);
+      } catch (error) {
+        fastify.log.error(error, 'Error deleting SSO provider');
+        reply.code(errorStatus(error)).send({ error: error.message });
+      }
+    },
+  );
+}
@@ -1,6 +1,7 @@
 /**
  * TEST PLAN ROUTES
- * 7 endpoints: create, list, get, update, delete, execute, clone
+ * Endpoints: create, list, get, update, delete, execute, clone, and
+ * environment matrix execution with its result grid
  */
 
 import {
@@ -13,6 +14,12 @@ import {
   cloneTestPlan,
   getTestPlanRuns,
 } from '../services/testPlanService.js';
+import {
+  getMatrixEnvironments,
+  executeTestPlanMatrix,
+  listTestPlanMatrices,
+  getTestPlanMatrixResults,
+} from '../services/testPlanMatrixService.js';
 import { createAuthGuards } from '../lib/rbac.js';
 import { requirePermission } from '../lib/policy.js';
 import { errorResponse, bearerAuth } from '../schemas/common.js';
@@ -46,6 +53,34 @@ const testPlanSchema = {
   },
 };
 
+const executeMatrixSchema = {
+  tags: ['test-plans'],
+  summary: 'Execute test plan across an environment matrix',
+  description: 'Creates one linked test run per environment and configuration combination.',
+  body: {
+    type: 'object',
+    required: ['environments'],
+    properties: {
+      name: { type: 'string' },
+      buildVersion: { type: 'string' },
+      environments: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'Active project environment names' },
+      configurations: {
+        type: 'object',
+        additionalProperties: { type: 'array', items: { type: 'string' } },
+        description: 'Axis name -> values, e.g. { "Browser": ["Chrome", "Firefox"], "OS": ["Windows", "macOS"] }',
+      },
+    },
+  },
+  security: bearerAuth,
+};
+
+function getClientContext(request) {
+  return {
+    ipAddress: request.ip || request.socket?.remoteAddress || null,
+    userAgent: request.headers['user-agent'] || null,
+  };
+}
+
 async function testPlanRoutes(fastify) {
   // Create test plan
   fastify.post(
@@ -160,6 +195,64 @@ async function testPlanRoutes(fastify) {
     }
   );
 
+  // Execute test plan across environments x configurations
+  fastify.post(
+    '/api/projects/:projectId/test-plans/:testPlanId/matrix-runs',
+    { schema: executeMatrixSchema, preHandler: [requirePermission('testPlan:execute')] },
+    async (request, reply) => {
+      try {
+        const { projectId, testPlanId } = request.params;
+        const result = await executeTestPlanMatrix(
+          Number(projectId),
+          Number(testPlanId),
+          request.body,
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.code(201).send(result);
+      } catch (error) {
+        console.error('Error executing test plan matrix:', error);
+        reply.code(error.message.includes('not found') ? 404 : 400).send({ error: error.message });
+      }
+    },
+  );
+
+  // List matrix executions of a test plan, with the environments available for a new one
+  fastify.get(
+    '/api/projects/:projectId/test-plans/:testPlanId/matrix-runs',
+    { schema: { tags: ['test-plans'], summary: 'List test plan matrix executions', security: bearerAuth }, preHandler: [requirePermission('testPlan:read')] },
+    async (request, reply) => {
+      try {
+        const { projectId, testPlanId } = request.params;
+        const [matrices, environments] = await Promise.all([
+          listTestPlanMatrices(Number(projectId), Number(testPlanId)),
+          getMatrixEnvironments(Number(projectId)),
+        ]);
+        reply.send({ matrices, environments });
+      } catch (error) {
+        console.error('Error fetching test plan matrices:', error);
+        reply.code(error.message.includes('not found') ? 404 : 500).send({ error: error.message });
+      }
+    },
+  );
+
+  // Pass/fail grid of a matrix execution: test cases x cells
+  fastify.get(
+    '/api/projects/:projectId/test-plans/:testPlanId/matrix-runs/:matrixId',
+    { schema: { tags: ['test-plans'], summary: 'Get test plan matrix results', security: bearerAuth }, preHandler: [requirePermission('testPlan:read')] },
+    async (request, reply) => {
+      try {
+        const { projectId, testPlanId, matrixId } = request.params;
+        const results = await getTestPlanMatrixResults(Number(projectId), Number(testPlanId), Number(matrixId));
+        reply.send(results);
+      } catch (error) {
+        console.error('Error fetching test plan matrix results:', error);
+        reply.code(error.message.includes('not found') ? 404 : 500).send({ error: error.message });
+      }
+    },
+  );
+
   // Get test plan runs
   fastify.get(
     '/api/projects/:projectId/test-plans/:testPlanId/runs',
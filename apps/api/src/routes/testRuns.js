@@ -1,10 +1,34 @@
 import { getPrismaClient } from '../lib/prisma.js';
-import { createAuthGuards } from '../lib/rbac.js';
+import { createAuthGuards, requireProjectAccess } from '../lib/rbac.js';
 import { requireNotAdmin } from '../lib/adminConstraints.js';
-import { errorResponse, bearerAuth, paginationParams } from '../schemas/common.js';
+import { importTestResults, IMPORT_FORMATS } from '../services/testResultImportService.js';
+import { createTestRunWithExecutions } from '../services/testRunService.js';
+import {
+  ASSIGNMENT_STRATEGIES,
+  validateAssignmentOptions,
+  assignRunExecutions,
+  assignExecution,
+  getRunWorkload,
+  getAssignableTesters,
+} from '../services/testRunAssignmentService.js';
+import { compareTestRuns } from '../services/testRunComparisonService.js';
+import { getRunBoard } from '../services/runBoardService.js';
+import { generateRunComparisonCSV, generateRunComparisonExcel } from '../services/exportService.js';
+import { errorResponse, bearerAuth, apiKeyAuth, paginationParams } from '../schemas/common.js';
 
 const prisma = getPrismaClient();
 
+const assignmentBodySchema = {
+  type: 'object',
+  required: ['testerIds'],
+  properties: {
+    testerIds: { type: 'array', items: { type: 'number' }, minItems: 1 },
+    strategy: { type: 'string', enum: ASSIGNMENT_STRATEGIES, description: 'Group executions by suite, module area, or one by one' },
+    balanceByDuration: { type: 'boolean', description: 'Balance by estimated duration instead of execution count (default true)' },
+    onlyUnassigned: { type: 'boolean', description: 'Keep existing assignments and place only unassigned executions' },
+  },
+};
+
 // Test Run Swagger schemas
 const createTestRunSchema = {
   tags: ['test-runs'],
@@ -29,6 +53,10 @@ const createTestRunSchema = {
         items: { type: 'number' },
         description: 'IDs of test cases to include',
       },
+      assignment: {
+        ...assignmentBodySchema,
+        description: 'Split the executions across testers (defaults to the creator running everything)',
+      },
     },
   },
   response: {
@@ -101,6 +129,63 @@ const getTestRunSchema = {
   security: bearerAuth,
 };
 
+const compareQueryProperties = {
+  baseRunId: { type: 'integer', description: 'Run to compare against' },
+  baseBuild: { type: 'string', description: 'Use the latest run of this build as the base' },
+  targetRunId: { type: 'integer', description: 'Run being checked' },
+  targetBuild: { type: 'string', description: 'Use the latest run of this build as the target' },
+  durationThresholdPercent: { type: 'number', minimum: 0, description: 'Minimum slowdown reported as a duration regression (default 20%)' },
+  minDurationDeltaSeconds: { type: 'number', minimum: 0, description: 'Minimum slowdown in seconds (default 5)' },
+};
+
+const compareTestRunsSchema = {
+  tags: ['test-runs'],
+  summary: 'Compare two test runs',
+  description: 'Diff two runs (by ID or build version) into newly failing, newly passing, still failing, '
+    + 'added and removed test cases, plus duration regressions',
+  params: {
+    type: 'object',
+    properties: {
+      projectId: { type: 'string', description: 'Project ID' },
+    },
+  },
+  querystring: {
+    type: 'object',
+    properties: compareQueryProperties,
+  },
+  response: {
+    200: {
+      description: 'Run comparison',
+      type: 'object',
+      additionalProperties: true,
+    },
+    ...errorResponse,
+  },
+  security: bearerAuth,
+};
+
+const RUN_COMPARISON_EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', generate: generateRunComparisonCSV },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    generate: generateRunComparisonExcel,
+  },
+};
+
+const exportRunComparisonSchema = {
+  ...compareTestRunsSchema,
+  summary: 'Export a test run comparison',
+  description: 'Download the changed test cases of a run comparison as CSV or Excel',
+  querystring: {
+    type: 'object',
+    properties: {
+      ...compareQueryProperties,
+      format: { type: 'string', enum: Object.keys(RUN_COMPARISON_EXPORT_FORMATS), default: 'csv' },
+    },
+  },
+  response: errorResponse,
+};
+
 const updateTestRunSchema = {
   tags: ['test-runs'],
   summary: 'Update a test run',
@@ -130,9 +215,130 @@ const updateTestRunSchema = {
   security: bearerAuth,
 };
 
+const assignTestRunSchema = {
+  tags: ['test-runs'],
+  summary: 'Bulk-assign test run executions',
+  description: 'Spread the executions of a run over testers, grouped by suite, module area or round robin and balanced by estimated duration',
+  params: {
+    type: 'object',
+    properties: {
+      projectId: { type: 'string', description: 'Project ID' },
+      runId: { type: 'string', description: 'Test run ID' },
+    },
+  },
+  body: assignmentBodySchema,
+  response: {
+    200: {
+      description: 'Executions assigned',
+      type: 'object',
+      properties: {
+        assigned: { type: 'number' },
+        workload: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      },
+    },
+    ...errorResponse,
+  },
+  security: bearerAuth,
+};
+
+const importTestResultsSchema = {
+  tags: ['test-runs'],
+  summary: 'Import automated test results',
+  description: 'Create a completed test run from a JUnit, xUnit or NUnit XML report. Authenticated with a project API key.',
+  consumes: ['application/xml', 'text/xml'],
+  params: {
+    type: 'object',
+    properties: {
+      projectId: { type: 'string', description: 'Project ID' },
+    },
+  },
+  querystring: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: [...IMPORT_FORMATS, ...IMPORT_FORMATS.map((f) => f.toLowerCase())], description: 'Report format (auto-detected when omitted)' },
+      name: { type: 'string', description: 'Test run name' },
+      description: { type: 'string', description: 'Test run description' },
+      environment: { type: 'string', description: 'Target environment' },
+      buildVersion: { type: 'string', description: 'Build version being tested' },
+    },
+  },
+  response: {
+    201: {
+      description: 'Results imported successfully',
+      type: 'object',
+      properties: {
+        testRun: { type: 'object', additionalProperties: true },
+        format: { type: 'string' },
+        total: { type: 'number' },
+        passed: { type: 'number' },
+        failed: { type: 'number' },
+        blocked: { type: 'number' },
+        skipped: { type: 'number' },
+        matchedTestCases: { type: 'number' },
+        createdTestCases: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'number' },
+              name: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    ...errorResponse,
+  },
+  security: apiKeyAuth,
+};
+
+// Automated reports can be large; allow up to 10 MB of XML
+const IMPORT_BODY_LIMIT = 10 * 1024 * 1024;
+
 export async function testRunRoutes(fastify) {
   const { requireAuth, requireRoles } = createAuthGuards(fastify);
 
+  // Accept raw XML bodies for automated result ingestion (scoped to this plugin)
+  fastify.addContentTypeParser(
+    ['application/xml', 'text/xml'],
+    { parseAs: 'string', bodyLimit: IMPORT_BODY_LIMIT },
+    (_request, body, done) => done(null, body),
+  );
+
+  // Import JUnit/xUnit/NUnit results pushed by CI
+  fastify.post(
+    '/api/projects/:projectId/test-runs/import',
+    {
+      schema: importTestResultsSchema,
+      bodyLimit: IMPORT_BODY_LIMIT,
+      preHandler: [fastify.authenticateApiKey, requireProjectAccess],
+    },
+    async (request, reply) => {
+      const { projectId } = request.params;
+      const { format, name, description, environment, buildVersion } = request.query;
+
+      if (typeof request.body !== 'string' || !request.body.trim()) {
+        return reply.code(400).send({
+          error: 'Request body must be an XML report sent as application/xml',
+        });
+      }
+
+      try {
+        const result = await importTestResults(
+          Number(projectId),
+          request.body,
+          { format, name, description, environment, buildVersion },
+          request.apiKey,
+        );
+
+        reply.code(201).send(result);
+      } catch (error) {
+        console.error('Error importing test results:', error);
+        reply.code(error.statusCode || 500).send({ error: error.message });
+      }
+    },
+  );
+
   // Create test run
   fastify.post(
     '/api/projects/:projectId/test-runs',
@@ -140,7 +346,7 @@ export async function testRunRoutes(fastify) {
     async (request, reply) => {
       const { projectId } = request.params;
       const userId = request.user.id;
-      const { name, description, environment, buildVersion, testCaseIds } = request.body;
+      const { name, description, environment, buildVersion, testCaseIds, assignment } = request.body;
 
       if (!name || !Array.isArray(testCaseIds) || testCaseIds.length === 0) {
         return reply.code(400).send({ 
@@ -158,95 +364,23 @@ export async function testRunRoutes(fastify) {
           return reply.code(404).send({ error: 'Project not found' });
         }
 
-        // Create test run
-        const testRun = await prisma.testRun.create({
-          data: {
-            projectId: Number(projectId),
-            name,
-            description: description || null,
-            environment: environment || null,
-            buildVersion: buildVersion || null,
-            status: 'PLANNED',
-            totalTestCases: testCaseIds.length,
-            executedBy: userId,
-            createdBy: userId,
-          },
-          include: {
-            project: { select: { name: true } },
-            executor: { select: { name: true, email: true } },
-          },
-        });
-
-        // Create executions for each test case
-        const executions = await Promise.all(
-          testCaseIds.map((caseId) =>
-            prisma.testExecution.create({
-              data: {
-                testRunId: testRun.id,
-                testCaseId: Number(caseId),
-                status: 'BLOCKED', // Initial status
-                executedBy: userId,
-              },
-              include: {
-                testCase: { 
-                  select: { 
-                    id: true,
-                    name: true, 
-                    steps: {
-                      select: {
-                        id: true,
-                        stepNumber: true,
-                        action: true,
-                        expectedResult: true,
-                        notes: true,
-                      },
-                      orderBy: { stepNumber: 'asc' },
-                    },
-                  }, 
-                },
-              },
-            }),
-          ),
-        );
-
-        // For each execution, create execution steps
-        for (const execution of executions) {
-          if (execution.testCase.steps && execution.testCase.steps.length > 0) {
-            await Promise.all(
-              execution.testCase.steps.map((step) =>
-                prisma.testExecutionStep.create({
-                  data: {
-                    executionId: execution.id,
-                    stepId: step.id,
-                    status: 'SKIPPED', // Initial status before execution
-                  },
-                }),
-              ),
-            );
+        if (assignment) {
+          try {
+            await validateAssignmentOptions(projectId, assignment);
+          } catch (error) {
+            return reply.code(400).send({ error: error.message });
           }
         }
 
-        // Update test run status
-        const updatedTestRun = await prisma.testRun.update({
-          where: { id: testRun.id },
-          data: {
-            status: 'IN_PROGRESS',
-            actualStartDate: new Date(),
-          },
-          include: {
-            executions: {
-              select: {
-                id: true,
-                testCaseId: true,
-                status: true,
-              },
-            },
-          },
-        });
+        const { testRun, executionCount } = await createTestRunWithExecutions(
+          projectId,
+          { name, description, environment, buildVersion, testCaseIds, assignment },
+          userId,
+        );
 
         reply.code(201).send({
-          testRun: updatedTestRun,
-          executionCount: testCaseIds.length,
+          testRun,
+          executionCount,
         });
       } catch (error) {
         console.error('Error creating test run:', error);
@@ -255,6 +389,92 @@ export async function testRunRoutes(fastify) {
     },
   );
 
+  // Testers that executions of this project's runs can be assigned to
+  fastify.get(
+    '/api/projects/:projectId/test-runs/assignable-testers',
+    { preHandler: [requireAuth, requireRoles(['TESTER', 'ADMIN'])] },
+    async (request, reply) => {
+      try {
+        const testers = await getAssignableTesters(request.params.projectId);
+        reply.send({ testers });
+      } catch (error) {
+        console.error('Error fetching assignable testers:', error);
+        reply.code(500).send({ error: error.message });
+      }
+    },
+  );
+
+  // Bulk-assign executions across testers
+  fastify.post(
+    '/api/projects/:projectId/test-runs/:runId/assignments',
+    { schema: assignTestRunSchema, preHandler: [requireAuth, requireRoles(['TESTER', 'ADMIN'])] },
+    async (request, reply) => {
+      const { projectId, runId } = request.params;
+
+      try {
+        const result = await assignRunExecutions(projectId, runId, request.body, request.user.id);
+        reply.send(result);
+      } catch (error) {
+        console.error('Error assigning test run:', error);
+        const status = error.message.includes('not found') ? 404 : 400;
+        reply.code(status).send({ error: error.message });
+      }
+    },
+  );
+
+  // Reassign a single execution (assigneeId null to unassign)
+  fastify.patch(
+    '/api/projects/:projectId/test-runs/:runId/executions/:executionId/assignee',
+    { preHandler: [requireAuth, requireRoles(['TESTER', 'ADMIN'])] },
+    async (request, reply) => {
+      const { projectId, runId, executionId } = request.params;
+      const { assigneeId = null } = request.body || {};
+
+      try {
+        const execution = await assignExecution(projectId, runId, executionId, assigneeId, request.user.id);
+        reply.send(execution);
+      } catch (error) {
+        console.error('Error assigning execution:', error);
+        const status = error.message.includes('not found') ? 404 : 400;
+        reply.code(status).send({ error: error.message });
+      }
+    },
+  );
+
+  // Planned and remaining work per tester
+  fastify.get(
+    '/api/projects/:projectId/test-runs/:runId/workload',
+    { preHandler: [requireAuth, requireRoles(['TESTER', 'DEVELOPER', 'ADMIN'])] },
+    async (request, reply) => {
+      const { projectId, runId } = request.params;
+
+      try {
+        const workload = await getRunWorkload(projectId, runId);
+        reply.send({ workload });
+      } catch (error) {
+        const status = error.message.includes('not found') ? 404 : 500;
+        reply.code(status).send({ error: error.message });
+      }
+    },
+  );
+
+  // Live board: executions by status, counters and soft locks (updates arrive over Socket.IO room run:<runId>)
+  fastify.get(
+    '/api/projects/:projectId/test-runs/:runId/board',
+    { preHandler: [requireAuth, requireRoles(['TESTER', 'DEVELOPER', 'ADMIN'])] },
+    async (request, reply) => {
+      const { projectId, runId } = request.params;
+
+      try {
+        const board = await getRunBoard(projectId, runId);
+        reply.send(board);
+      } catch (error) {
+        const status = error.message.includes('not found') ? 404 : 500;
+        reply.code(status).send({ error: error.message });
+      }
+    },
+  );
+
   // Get test runs for project
   fastify.get(
     '/api/projects/:projectId/test-runs',
@@ -286,6 +506,46 @@ export async function testRunRoutes(fastify) {
     },
   );
 
+  // Compare two runs, typically consecutive builds
+  fastify.get(
+    '/api/projects/:projectId/test-runs/compare',
+    { schema: compareTestRunsSchema, preHandler: [requireAuth, requireRoles(['TESTER', 'DEVELOPER', 'ADMIN'])] },
+    async (request, reply) => {
+      try {
+        const comparison = await compareTestRuns(request.params.projectId, request.query);
+        reply.send(comparison);
+      } catch (error) {
+        console.error('Error comparing test runs:', error);
+        const status = error.message.includes('not found') || error.message.startsWith('No test run') ? 404 : 400;
+        reply.code(status).send({ error: error.message });
+      }
+    },
+  );
+
+  // Export a run comparison
+  fastify.get(
+    '/api/projects/:projectId/test-runs/compare/export',
+    { schema: exportRunComparisonSchema, preHandler: [requireAuth, requireRoles(['TESTER', 'DEVELOPER', 'ADMIN'])] },
+    async (request, reply) => {
+      const { projectId } = request.params;
+      const { format = 'csv', ...options } = request.query;
+
+      try {
+        const exporter = RUN_COMPARISON_EXPORT_FORMATS[format];
+        const content = await exporter.generate(projectId, options);
+
+        reply
+          .header('Content-Type', exporter.contentType)
+          .header('Content-Disposition', `attachment; filename="test-run-comparison-project-${projectId}.${format}"`)
+          .send(typeof content === 'string' ? content : Buffer.from(content));
+      } catch (error) {
+        console.error('Error exporting test run comparison:', error);
+        const status = error.message.includes('not found') || error.message.startsWith('No test run') ? 404 : 400;
+        reply.code(status).send({ error: error.message });
+      }
+    },
+  );
+
   // Get single test run
   fastify.get(
     '/api/projects/:projectId/test-runs/:runId',
@@ -313,8 +573,9 @@ export async function testRunRoutes(fastify) {
                   },
                 },
                 executor: { select: { name: true } },
+                assignee: { select: { id: true, name: true } },
               },
-              orderBy: { testCaseId: 'asc' },
+              orderBy: [{ testCaseId: 'asc' }, { dataRowNumber: 'asc' }],
             },
           },
         });
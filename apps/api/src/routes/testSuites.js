@@ -22,6 +22,7 @@ import {
   getTestCasesInSuite,
   moveSuiteToParent,
   getChildSuites,
+  previewSuiteCriteria,
 } from '../services/testSuiteService.js';
 import {
   executeSuite,
@@ -94,6 +95,24 @@ export async function testSuiteRoutes(fastify) {
     }
   );
 
+  // Preview the test cases dynamic suite criteria would match
+  fastify.post(
+    '/api/projects/:projectId/test-suites/preview',
+    { preHandler: [requireAuth, requireRoles(['TESTER', 'DEVELOPER', 'ADMIN'])] },
+    async (request, reply) => {
+      try {
+        const { projectId } = request.params;
+        const { criteria } = request.body || {};
+
+        const preview = await previewSuiteCriteria(Number(projectId), criteria);
+        reply.send(preview);
+      } catch (error) {
+        console.error('Error previewing suite criteria:', error);
+        reply.code(400).send({ error: error.message });
+      }
+    },
+  );
+
   // Get suite hierarchy
   fastify.get(
     '/api/projects/:projectId/suite-hierarchy',
@@ -781,7 +781,10 @@ export async function testerRoutes(fastify) {
 
       const testRuns = await prisma.testRun.findMany({
         where: {
-          executedBy: userId,
+          OR: [
+            { executedBy: userId },
+            { executions: { some: { assignedToId: userId } } },
+          ],
           status: { in: ['PLANNED', 'IN_PROGRESS'] },
         },
         include: {
@@ -814,7 +817,7 @@ export async function testerRoutes(fastify) {
   );
 
   /**
-   * Get pending test executions (incomplete)
+   * Get pending test executions (incomplete) assigned to the tester
    */
   fastify.get(
     '/api/tester/executions/pending',
@@ -824,7 +827,11 @@ export async function testerRoutes(fastify) {
 
       const pendingExecutions = await prisma.testExecution.findMany({
         where: {
-          userId,
+          // The tester's slice of each run; unassigned executions stay with whoever created them
+          OR: [
+            { assignedToId: userId },
+            { assignedToId: null, userId },
+          ],
           status: { in: ['BLOCKED', 'INCONCLUSIVE'] }, // Not completed
         },
         include: {
@@ -7,6 +7,8 @@ import {
   updateTestCase,
   deleteTestCase,
   restoreTestCase,
+  getTestCaseVersionDiff,
+  restoreTestCaseVersion,
   cloneTestCase,
   getProjectTestCases,
   exportTestCasesToCSV,
@@ -26,6 +28,17 @@ import {
   deleteTestCaseTemplate,
   createTestCaseFromTemplate,
 } from '../services/testCaseTemplateService.js';
+import {
+  CUSTOM_FIELD_VALUES_INCLUDE,
+  parseCustomFieldFilters,
+  withCustomFields,
+} from '../services/customFieldService.js';
+import {
+  getTestCaseDataTable,
+  saveTestCaseDataTable,
+  importTestCaseDataCsv,
+} from '../services/testDataService.js';
+import { setTestCaseQuarantine } from '../services/flakinessService.js';
 import { testCaseObject, errorResponse, bearerAuth, paginationParams } from '../schemas/common.js';
 
 const prisma = getPrismaClient();
@@ -61,6 +74,7 @@ const createTestCaseSchema = {
           },
         },
       },
+      customFields: { type: 'object', description: 'Custom field values keyed by field name' },
     },
   },
   response: {
@@ -93,6 +107,7 @@ const getTestCasesSchema = {
       status: { type: 'string', description: 'Filter by status' },
       search: { type: 'string', description: 'Search in name and description' },
       includeDeleted: { type: 'string', description: 'Include deleted test cases' },
+      customFields: { type: 'string', description: 'JSON object of custom field values to match, keyed by field name' },
     },
   },
   response: {
@@ -104,6 +119,10 @@ const getTestCasesSchema = {
           type: 'array',
           items: testCaseObject,
         },
+        testCases: {
+          type: 'array',
+          items: testCaseObject,
+        },
         total: { type: 'number' },
         skip: { type: 'number' },
         take: { type: 'number' },
@@ -156,7 +175,7 @@ const updateTestCaseSchema = {
       status: { type: 'string', enum: ['DRAFT', 'ACTIVE', 'DEPRECATED', 'ARCHIVED'] },
       steps: { type: 'array' },
       changeNote: { type: 'string', maxLength: 500, description: 'Optional note explaining the changes made in this version' },
-      automationStatus: { type: 'string', enum: ['MANUAL', 'AUTOMATED', 'SEMI_AUTOMATED'] },
+      customFields: { type: 'object', description: 'Custom field values keyed by field name (null clears a value)' },
     },
   },
   response: {
@@ -194,6 +213,127 @@ const deleteTestCaseSchema = {
   security: bearerAuth,
 };
 
+const versionParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+    testCaseId: { type: 'string', description: 'Test case ID' },
+    versionNumber: { type: 'string', description: 'Version number' },
+  },
+};
+
+const versionDiffSchema = {
+  tags: ['test-cases'],
+  summary: 'Diff a version against the current test case',
+  description: 'Field and step-level changes that restoring the version would apply',
+  params: versionParams,
+  security: bearerAuth,
+};
+
+const restoreVersionSchema = {
+  tags: ['test-cases'],
+  summary: 'Restore a test case version',
+  description: 'Restore fields, tags and steps from a previous version. The current state is saved as a new version first.',
+  params: versionParams,
+  response: {
+    200: {
+      description: 'Test case restored to the version',
+      ...testCaseObject,
+    },
+    ...errorResponse,
+  },
+  security: bearerAuth,
+};
+
+const dataTableParams = {
+  type: 'object',
+  properties: {
+    projectId: { type: 'string', description: 'Project ID' },
+    testCaseId: { type: 'string', description: 'Test case ID' },
+  },
+};
+
+const dataTableObject = {
+  type: 'object',
+  properties: {
+    testCaseId: { type: 'number' },
+    columns: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          type: { type: 'string', enum: ['STRING', 'NUMBER', 'BOOLEAN'] },
+        },
+      },
+    },
+    rows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'number' },
+          rowNumber: { type: 'number' },
+          values: { type: 'object', additionalProperties: true },
+        },
+      },
+    },
+    placeholders: { type: 'array', items: { type: 'string' } },
+    missingParameters: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+const getDataTableSchema = {
+  tags: ['test-cases'],
+  summary: 'Get test case data table',
+  description: 'Parameters and data rows of a data-driven test case, with the {{param}} placeholders used in its steps',
+  params: dataTableParams,
+  response: {
+    200: dataTableObject,
+    ...errorResponse,
+  },
+  security: bearerAuth,
+};
+
+const saveDataTableSchema = {
+  tags: ['test-cases'],
+  summary: 'Replace test case data table',
+  description: 'Each row becomes its own execution when a run is created. Rows are arrays in column order or objects keyed by parameter name.',
+  params: dataTableParams,
+  body: {
+    type: 'object',
+    required: ['columns', 'rows'],
+    properties: {
+      columns: dataTableObject.properties.columns,
+      rows: { type: 'array', items: {} },
+    },
+  },
+  response: {
+    200: dataTableObject,
+    ...errorResponse,
+  },
+  security: bearerAuth,
+};
+
+const importDataTableSchema = {
+  tags: ['test-cases'],
+  summary: 'Replace test case data table from CSV',
+  description: 'The header row names the parameters. Use "name:NUMBER" or "name:BOOLEAN" to type a column.',
+  params: dataTableParams,
+  body: {
+    type: 'object',
+    required: ['csvContent'],
+    properties: {
+      csvContent: { type: 'string', description: 'CSV file content' },
+    },
+  },
+  response: {
+    200: dataTableObject,
+    ...errorResponse,
+  },
+  security: bearerAuth,
+};
+
 const restoreTestCaseSchema = {
   tags: ['test-cases'],
   summary: 'Restore a deleted test case',
@@ -219,6 +359,46 @@ const restoreTestCaseSchema = {
   security: bearerAuth,
 };
 
+const quarantineTestCaseSchema = {
+  tags: ['test-cases'],
+  summary: 'Quarantine or release a test case',
+  description: 'Quarantined test cases are left out of pass-rate gates and milestone progress',
+  params: {
+    type: 'object',
+    properties: {
+      projectId: { type: 'string', description: 'Project ID' },
+      testCaseId: { type: 'string', description: 'Test case ID' },
+    },
+  },
+  body: {
+    type: 'object',
+    required: ['quarantined'],
+    properties: {
+      quarantined: { type: 'boolean', description: 'true to quarantine, false to release' },
+      reason: { type: 'string', description: 'Why the test case is quarantined' },
+    },
+  },
+  response: {
+    200: {
+      description: 'Quarantine state updated',
+      type: 'object',
+      properties: {
+        id: { type: 'number' },
+        name: { type: 'string' },
+        isQuarantined: { type: 'boolean' },
+        quarantinedAt: { type: ['string', 'null'], format: 'date-time' },
+        quarantineReason: { type: ['string', 'null'] },
+        quarantinedBy: {
+          type: ['object', 'null'],
+          properties: { id: { type: 'number' }, name: { type: 'string' } },
+        },
+      },
+    },
+    ...errorResponse,
+  },
+  security: bearerAuth,
+};
+
 const cloneTestCaseSchema = {
   tags: ['test-cases'],
   summary: 'Clone a test case',
@@ -606,6 +786,7 @@ export async function testRoutes(fastify) {
           priority: request.query.priority,
           status: request.query.status,
           search: request.query.search,
+          customFields: parseCustomFieldFilters(request.query.customFields),
           skip: request.query.skip ? Number(request.query.skip) : 0,
           take: request.query.take ? Number(request.query.take) : 50,
           includeDeleted: request.query.includeDeleted === 'true',
@@ -632,6 +813,11 @@ export async function testRoutes(fastify) {
           where: { id: Number(testCaseId), projectId: Number(projectId) },
           include: {
             steps: {
+              include: {
+                sharedStepBlock: {
+                  select: { id: true, name: true, steps: { orderBy: { stepNumber: 'asc' } } },
+                },
+              },
               orderBy: { stepNumber: 'asc' },
             },
             creator: { select: { id: true, name: true, email: true } },
@@ -647,6 +833,7 @@ export async function testRoutes(fastify) {
               orderBy: { startedAt: 'desc' },
               take: 5,
             },
+            customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
           },
         });
 
@@ -654,7 +841,7 @@ export async function testRoutes(fastify) {
           return reply.code(404).send({ error: 'Test case not found' });
         }
 
-        reply.send(testCase);
+        reply.send(withCustomFields(testCase));
       } catch (error) {
         console.error('Error fetching test case:', error);
         reply.code(500).send({ error: error.message });
@@ -761,6 +948,31 @@ export async function testRoutes(fastify) {
     },
   );
 
+  // Quarantine or release a flaky test case
+  fastify.patch(
+    '/api/projects/:projectId/test-cases/:testCaseId/quarantine',
+    { schema: quarantineTestCaseSchema, preHandler: [requirePermission('testCase:quarantine')] },
+    async (request, reply) => {
+      try {
+        const { testCaseId } = request.params;
+        const userId = request.user.id;
+
+        const updated = await setTestCaseQuarantine(
+          Number(testCaseId),
+          request.body,
+          userId,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send(updated);
+      } catch (error) {
+        console.error('Error updating test case quarantine:', error);
+        const status = error.message === 'Test case not found' ? 404 : 500;
+        reply.code(status).send({ error: error.message });
+      }
+    },
+  );
+
   // ============================================
   // VERSION HISTORY APIs
   // ============================================
@@ -781,7 +993,7 @@ export async function testRoutes(fastify) {
           include: {
             user: { select: { id: true, name: true, email: true } },
           },
-          orderBy: { changedAt: 'desc' },
+          orderBy: { versionNumber: 'desc' },
         });
 
         reply.send({ versions });
@@ -840,10 +1052,10 @@ export async function testRoutes(fastify) {
           priority: version1.priority !== version2.priority,
           severity: version1.severity !== version2.severity,
           status: version1.status !== version2.status,
-          automationStatus: version1.automationStatus !== version2.automationStatus,
           preconditions: version1.preconditions !== version2.preconditions,
-          postconditions: version1.postconditions !== version2.postconditions,
-          expectedResult: version1.expectedResult !== version2.expectedResult,
+          testData: version1.testData !== version2.testData,
+          environment: version1.environment !== version2.environment,
+          moduleArea: version1.moduleArea !== version2.moduleArea,
           tags: JSON.stringify(version1.tags) !== JSON.stringify(version2.tags),
           steps: JSON.stringify(version1.steps) !== JSON.stringify(version2.steps),
         };
@@ -863,6 +1075,112 @@ export async function testRoutes(fastify) {
     },
   );
 
+  // Preview restoring a version: field and step-level diff against the current test case
+  fastify.get(
+    '/api/projects/:projectId/test-cases/:testCaseId/versions/:versionNumber/diff',
+    { schema: versionDiffSchema, preHandler: [requireAuth, requireRoles(['TESTER', 'DEVELOPER', 'ADMIN'])] },
+    async (request, reply) => {
+      try {
+        const { projectId, testCaseId, versionNumber } = request.params;
+
+        const diff = await getTestCaseVersionDiff(Number(projectId), Number(testCaseId), Number(versionNumber));
+        reply.send(diff);
+      } catch (error) {
+        console.error('Error diffing test case version:', error);
+        reply.code(error.message.includes('not found') ? 404 : 500).send({ error: error.message });
+      }
+    },
+  );
+
+  // Restore a test case to a previous version
+  fastify.post(
+    '/api/projects/:projectId/test-cases/:testCaseId/versions/:versionNumber/restore',
+    { schema: restoreVersionSchema, preHandler: [requirePermission('testCase:edit')] },
+    async (request, reply) => {
+      try {
+        const { testCaseId, versionNumber } = request.params;
+
+        const restored = await restoreTestCaseVersion(
+          Number(testCaseId),
+          Number(versionNumber),
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send(restored);
+      } catch (error) {
+        console.error('Error restoring test case version:', error);
+        const statusCode = error.message.includes('not found') ? 404 : 400;
+        reply.code(statusCode).send({ error: error.message });
+      }
+    },
+  );
+
+  // Get the data table of a data-driven test case
+  fastify.get(
+    '/api/projects/:projectId/test-cases/:testCaseId/data-table',
+    { schema: getDataTableSchema, preHandler: [requireAuth, requireRoles(['TESTER', 'DEVELOPER', 'ADMIN'])] },
+    async (request, reply) => {
+      try {
+        const { projectId, testCaseId } = request.params;
+
+        const table = await getTestCaseDataTable(Number(projectId), Number(testCaseId));
+        reply.send(table);
+      } catch (error) {
+        console.error('Error fetching test case data table:', error);
+        reply.code(error.message.includes('not found') ? 404 : 500).send({ error: error.message });
+      }
+    },
+  );
+
+  // Replace the data table of a test case
+  fastify.put(
+    '/api/projects/:projectId/test-cases/:testCaseId/data-table',
+    { schema: saveDataTableSchema, preHandler: [requirePermission('testCase:edit')] },
+    async (request, reply) => {
+      try {
+        const { testCaseId } = request.params;
+
+        const table = await saveTestCaseDataTable(
+          Number(testCaseId),
+          request.body,
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send(table);
+      } catch (error) {
+        console.error('Error saving test case data table:', error);
+        const statusCode = error.message.includes('not found') ? 404 : 400;
+        reply.code(statusCode).send({ error: error.message });
+      }
+    },
+  );
+
+  // Replace the data table of a test case from an uploaded CSV
+  fastify.post(
+    '/api/projects/:projectId/test-cases/:testCaseId/data-table/import/csv',
+    { schema: importDataTableSchema, preHandler: [requirePermission('testCase:edit')] },
+    async (request, reply) => {
+      try {
+        const { testCaseId } = request.params;
+
+        const table = await importTestCaseDataCsv(
+          Number(testCaseId),
+          request.body.csvContent,
+          request.user.id,
+          getClientContext(request),
+          request.permissionContext,
+        );
+        reply.send(table);
+      } catch (error) {
+        console.error('Error importing test case data table:', error);
+        const statusCode = error.message.includes('not found') ? 404 : 400;
+        reply.code(statusCode).send({ error: error.message });
+      }
+    },
+  );
+
   // Export test cases to CSV
   fastify.get(
     '/api/projects/:projectId/test-cases/export/csv',
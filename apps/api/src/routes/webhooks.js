@@ -6,7 +6,9 @@ import {
   updateWebhook,
   deleteWebhook,
   getWebhookDeliveries,
+  redeliverWebhookDelivery,
   sendTestWebhook,
+  WEBHOOK_EVENTS,
 } from '../services/webhookService.js';
 
 export async function webhookRoutes(fastify) {
@@ -35,21 +37,7 @@ export async function webhookRoutes(fastify) {
         }
 
         // Validate events
-        const validEvents = [
-          'TEST_CREATED',
-          'TEST_UPDATED',
-          'TEST_DELETED',
-          'BUG_CREATED',
-          'BUG_UPDATED',
-          'BUG_STATUS_CHANGED',
-          'BUG_ASSIGNED',
-          'EXECUTION_COMPLETED',
-          'EXECUTION_FAILED',
-          'SUITE_COMPLETED',
-          'SUITE_FAILED',
-        ];
-
-        const invalidEvents = events.filter((e) => !validEvents.includes(e));
+        const invalidEvents = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
         if (invalidEvents.length > 0) {
           return reply.code(400).send({ error: `Invalid events: ${invalidEvents.join(', ')}` });
         }
@@ -123,6 +111,16 @@ export async function webhookRoutes(fastify) {
           }
         }
 
+        if (events !== undefined) {
+          if (!Array.isArray(events) || events.length === 0) {
+            return reply.code(400).send({ error: 'At least one event is required' });
+          }
+          const invalidEvents = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+          if (invalidEvents.length > 0) {
+            return reply.code(400).send({ error: `Invalid events: ${invalidEvents.join(', ')}` });
+          }
+        }
+
         await updateWebhook(Number(webhookId), Number(projectId), {
           name,
           url,
@@ -162,10 +160,10 @@ export async function webhookRoutes(fastify) {
     { preHandler: [requireAuth, adminOrDeveloper] },
     async (request, reply) => {
       try {
-        const { webhookId } = request.params;
+        const { projectId, webhookId } = request.params;
         const { skip, take } = request.query;
 
-        const result = await getWebhookDeliveries(Number(webhookId), {
+        const result = await getWebhookDeliveries(Number(webhookId), Number(projectId), {
           skip: skip ? Number(skip) : 0,
           take: take ? Number(take) : 50,
         });
@@ -178,6 +176,23 @@ export async function webhookRoutes(fastify) {
     },
   );
 
+  // Redeliver a past delivery
+  fastify.post(
+    '/api/projects/:projectId/webhooks/:webhookId/deliveries/:deliveryId/redeliver',
+    { preHandler: [requireAuth, adminOrDeveloper] },
+    async (request, reply) => {
+      try {
+        const { projectId, webhookId, deliveryId } = request.params;
+        const delivery = await redeliverWebhookDelivery(Number(deliveryId), Number(webhookId), Number(projectId));
+        reply.send({ success: delivery.status === 'SUCCESS', delivery });
+      } catch (error) {
+        fastify.log.error(error);
+        const statusCode = error.message.includes('not found') ? 404 : 400;
+        reply.code(statusCode).send({ error: error.message });
+      }
+    },
+  );
+
   // Test webhook
   fastify.post(
     '/api/projects/:projectId/webhooks/:webhookId/test',
@@ -186,7 +201,7 @@ export async function webhookRoutes(fastify) {
       try {
         const { projectId, webhookId } = request.params;
         const delivery = await sendTestWebhook(Number(webhookId), Number(projectId));
-        reply.send({ success: true, delivery });
+        reply.send({ success: delivery.status === 'SUCCESS', delivery });
       } catch (error) {
         fastify.log.error(error);
         reply.code(500).send({ error: error.message });
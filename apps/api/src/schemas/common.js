@@ -96,9 +96,16 @@ export const testCaseObject = {
           stepNumber: { type: 'number' },
           action: { type: 'string' },
           expectedResult: { type: 'string' },
+          notes: { type: ['string', 'null'] },
+          sharedStepBlockId: { type: ['number', 'null'] },
+          sharedStepBlock: { type: ['object', 'null'], additionalProperties: true },
         },
       },
     },
+    customFields: { type: 'object', additionalProperties: true },
+    isQuarantined: { type: 'boolean' },
+    quarantinedAt: { type: ['string', 'null'], format: 'date-time' },
+    quarantineReason: { type: ['string', 'null'] },
     createdAt: { type: 'string', format: 'date-time' },
     updatedAt: { type: 'string', format: 'date-time' },
     deletedAt: { type: ['string', 'null'], format: 'date-time' },
@@ -106,6 +113,16 @@ export const testCaseObject = {
 };
 
 // Bug schemas
+const bugLinkObject = {
+  type: 'object',
+  properties: {
+    id: { type: 'number' },
+    bugNumber: { type: 'string' },
+    title: { type: 'string' },
+    status: { type: 'string' },
+  },
+};
+
 export const bugObject = {
   type: 'object',
   properties: {
@@ -119,6 +136,10 @@ export const bugObject = {
     environment: { type: 'string', enum: ['DEVELOPMENT', 'STAGING', 'UAT', 'PRODUCTION'] },
     assigneeId: { type: ['number', 'null'] },
     reporterId: { type: 'number' },
+    customFields: { type: 'object', additionalProperties: true },
+    duplicateOfId: { type: ['number', 'null'] },
+    duplicateOf: { ...bugLinkObject, type: ['object', 'null'] },
+    duplicates: { type: 'array', items: bugLinkObject },
     createdAt: { type: 'string', format: 'date-time' },
     updatedAt: { type: 'string', format: 'date-time' },
   },
@@ -176,3 +197,4 @@ export const idParam = (name = 'id') => ({
 
 // Security scheme reference
 export const bearerAuth = [{ bearerAuth: [] }];
+export const apiKeyAuth = [{ apiKeyAuth: [] }];
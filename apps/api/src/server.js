@@ -6,9 +6,11 @@ import { setupHelmet } from './plugins/helmet.js';
 import { setupSwagger } from './plugins/swagger.js';
 import { rateLimitPlugin } from './plugins/rateLimit.js';
 import { csrfProtectionPlugin } from './plugins/csrfProtection.js';
+import { apiKeyAuthPlugin } from './plugins/apiKeyAuth.js';
 import { initializeLogger, createRequestLoggerMiddleware, logInfo, logError } from './lib/logger.js';
 import { setupSocket, initializeRedis } from './lib/socket.js';
 import { initializeNotificationEmitter } from './services/notificationEmitter.js';
+import { initializeRunBoard } from './services/runBoardService.js';
 import { initializeCronJobs } from './services/cronService.js';
 import { ensureAllUsersInUniversalChannel } from './services/channelService.js';
 import { ensurePrismaConnected } from './lib/prisma.js';
@@ -35,6 +37,15 @@ import apiKeyRoutes from './routes/apiKeys.js';
 import githubRoutes from './routes/github.js';
 import scheduledReportsRoutes from './routes/scheduledReports.js';
 import healthRoutes from './routes/health.js';
+import customFieldRoutes from './routes/customFields.js';
+import requirementRoutes from './routes/requirements.js';
+import sharedStepRoutes from './routes/sharedSteps.js';
+import bugWorkflowRoutes from './routes/bugWorkflow.js';
+import issueTrackerRoutes from './routes/issueTracker.js';
+import qualityGateRoutes from './routes/qualityGates.js';
+import runTemplateRoutes from './routes/runTemplates.js';
+import projectRoleRoutes from './routes/projectRoles.js';
+import ssoRoutes from './routes/sso.js';
 
 const fastify = Fastify({ logger: true });
 
@@ -54,6 +65,9 @@ await setupHelmet(fastify);
 await fastify.register(rateLimitPlugin);
 await fastify.register(csrfProtectionPlugin);
 
+// Decorate the root instance so every route plugin can use fastify.authenticateApiKey
+await apiKeyAuthPlugin(fastify);
+
 // Register Swagger (disabled in production)
 const isProduction = process.env.NODE_ENV === 'production';
 const enableSwagger = process.env.ENABLE_SWAGGER === 'true' || !isProduction;
@@ -87,6 +101,15 @@ fastify.register(testPlanRoutes);
 fastify.register(apiKeyRoutes);
 fastify.register(githubRoutes);
 fastify.register(scheduledReportsRoutes);
+fastify.register(customFieldRoutes);
+fastify.register(requirementRoutes);
+fastify.register(sharedStepRoutes);
+fastify.register(bugWorkflowRoutes);
+fastify.register(issueTrackerRoutes);
+fastify.register(qualityGateRoutes);
+fastify.register(runTemplateRoutes);
+fastify.register(projectRoleRoutes);
+fastify.register(ssoRoutes);
 
 // Start server
 const start = async () => {
@@ -111,6 +134,9 @@ const start = async () => {
     initializeNotificationEmitter(io);
     fastify.log.info('Notification emitter initialized');
 
+    // Live test run boards
+    initializeRunBoard(io);
+
     // Initialize cron jobs for background processing
     initializeCronJobs();
     fastify.log.info('Cron jobs initialized');
@@ -6,9 +6,13 @@
 import { getPrismaClient } from '../lib/prisma.js';
 import { logAuditAction } from './auditService.js';
 import { broadcastToProject } from './notificationEmitter.js';
+import { CUSTOM_FIELD_TYPES, CUSTOM_FIELD_ENTITY_TYPES } from './customFieldService.js';
+import { resolveAllocationRole } from './projectRoleService.js';
 
 const prisma = getPrismaClient();
 
+const CUSTOM_ROLE_SELECT = { select: { id: true, key: true, name: true } };
+
 /**
  * Create a new project
  * @param {Object} data - Project data
@@ -184,8 +188,13 @@ export async function getProjectDetails(projectId) {
           user: {
             select: { id: true, name: true, email: true },
           },
+          customRole: CUSTOM_ROLE_SELECT,
         },
       },
+      roles: {
+        select: { id: true, key: true, name: true },
+        orderBy: { name: 'asc' },
+      },
       _count: {
         select: {
           testCases: true,
@@ -209,6 +218,7 @@ export async function getProjectDetails(projectId) {
     projectUserAllocations: (project.userAllocations || []).map(allocation => ({
       ...allocation,
       role: allocation.projectRole,
+      roleName: allocation.customRole?.name || allocation.projectRole,
     })),
     _count: {
       ...project._count,
@@ -373,11 +383,23 @@ export async function addProjectEnvironment(projectId, data, userId) {
  * Add custom field to project
  * @param {number} projectId - Project ID
  * @param {Object} data - Custom field data
+ * @param {string} data.name - Field name (unique per project)
+ * @param {string} data.fieldType - TEXT, NUMBER, SELECT, DATE or CHECKBOX
+ * @param {Array<string>} data.options - Allowed values for SELECT fields
+ * @param {boolean} data.isRequired - Whether a value must be supplied
+ * @param {string} data.entityType - TEST_CASE, BUG or ALL
  * @param {number} userId - Admin user ID
  * @returns {Promise<Object>} Created custom field
  */
 export async function addProjectCustomField(projectId, data, userId) {
-  const { name, label, type, required = false, options, defaultValue, order = 0 } = data;
+  const {
+    name,
+    fieldType = data.type,
+    isRequired = data.required ?? false,
+    options = [],
+    entityType = 'ALL',
+    order = 0,
+  } = data;
 
   // Validate project exists
   const project = await prisma.project.findUnique({
@@ -392,13 +414,26 @@ export async function addProjectCustomField(projectId, data, userId) {
     throw new Error('Field name is required');
   }
 
-  if (!type || typeof type !== 'string') {
+  if (!fieldType || typeof fieldType !== 'string') {
     throw new Error('Field type is required');
   }
 
-  const validTypes = ['TEXT', 'NUMBER', 'CHECKBOX', 'SELECT', 'MULTISELECT', 'DATE', 'EMAIL'];
-  if (!validTypes.includes(type.toUpperCase())) {
-    throw new Error(`Invalid field type. Must be one of: ${validTypes.join(', ')}`);
+  const normalizedType = fieldType.toUpperCase();
+  if (!CUSTOM_FIELD_TYPES.includes(normalizedType)) {
+    throw new Error(`Invalid field type. Must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+  }
+
+  const normalizedEntityType = String(entityType).toUpperCase();
+  if (!CUSTOM_FIELD_ENTITY_TYPES.includes(normalizedEntityType)) {
+    throw new Error(`Invalid entity type. Must be one of: ${CUSTOM_FIELD_ENTITY_TYPES.join(', ')}`);
+  }
+
+  const normalizedOptions = Array.isArray(options)
+    ? [...new Set(options.map(option => String(option).trim()).filter(Boolean))]
+    : [];
+
+  if (normalizedType === 'SELECT' && normalizedOptions.length === 0) {
+    throw new Error('SELECT fields require at least one option');
   }
 
   // Check if field already exists
@@ -415,20 +450,14 @@ export async function addProjectCustomField(projectId, data, userId) {
     throw new Error('Custom field already exists for this project');
   }
 
-  let optionsJson = null;
-  if (options && Array.isArray(options)) {
-    optionsJson = JSON.stringify(options);
-  }
-
   const customField = await prisma.customField.create({
     data: {
       projectId,
       name: name.trim(),
-      label: label?.trim() || name.trim(),
-      type: type.toUpperCase(),
-      required: Boolean(required),
-      options: optionsJson,
-      defaultValue: defaultValue?.toString() || null,
+      fieldType: normalizedType,
+      options: normalizedType === 'SELECT' ? normalizedOptions : [],
+      isRequired: Boolean(isRequired),
+      entityType: normalizedEntityType,
       order: Math.max(0, Number(order) || 0),
     },
   });
@@ -438,7 +467,12 @@ export async function addProjectCustomField(projectId, data, userId) {
     resourceType: 'CUSTOM_FIELD',
     resourceId: customField.id,
     description: `Added custom field "${name.trim()}" to project "${project.name}"`,
-    newValues: { name: name.trim(), type: type.toUpperCase(), required },
+    newValues: {
+      name: customField.name,
+      fieldType: customField.fieldType,
+      isRequired: customField.isRequired,
+      entityType: customField.entityType,
+    },
   });
 
   return customField;
@@ -474,11 +508,8 @@ export async function allocateUserToProject(projectId, userId, data, adminId) {
     throw new Error('User not found');
   }
 
-  // Validate role
-  const validRoles = ['PROJECT_MANAGER', 'LEAD_TESTER', 'DEVELOPER', 'QA_ENGINEER', 'AUTOMATION_ENGINEER'];
-  if (!validRoles.includes(normalizedRole)) {
-    throw new Error(`Invalid project role. Must be one of: ${validRoles.join(', ')}`);
-  }
+  // Validate role: built-in, or a custom role defined for this project
+  const { customRoleId } = await resolveAllocationRole(projectId, normalizedRole);
 
   // Use upsert to atomically handle create or update (prevents race conditions)
   // If user was previously deallocated, this reactivates them
@@ -492,18 +523,21 @@ export async function allocateUserToProject(projectId, userId, data, adminId) {
     },
     update: {
       projectRole: normalizedRole,
+      customRoleId,
       isActive: true,
     },
     create: {
       projectId,
       userId,
       projectRole: normalizedRole,
+      customRoleId,
       isActive: true,
     },
     include: {
       user: {
         select: { id: true, name: true, email: true },
       },
+      customRole: CUSTOM_ROLE_SELECT,
     },
   });
 
@@ -518,6 +552,7 @@ export async function allocateUserToProject(projectId, userId, data, adminId) {
   return {
     ...allocation,
     role: allocation.projectRole,
+    roleName: allocation.customRole?.name || allocation.projectRole,
   };
 }
 
@@ -596,6 +631,7 @@ export async function getProjectUserAllocations(projectId) {
       user: {
         select: { id: true, name: true, email: true },
       },
+      customRole: CUSTOM_ROLE_SELECT,
     },
     orderBy: { allocatedAt: 'desc' },
   });
@@ -603,6 +639,7 @@ export async function getProjectUserAllocations(projectId) {
   return allocations.map(allocation => ({
     ...allocation,
     role: allocation.projectRole,
+    roleName: allocation.customRole?.name || allocation.projectRole,
   }));
 }
 
@@ -634,7 +671,7 @@ export async function deleteCustomField(fieldId, adminId) {
   await logAuditAction(adminId, 'CONFIG_CHANGED', {
     resourceType: 'CUSTOM_FIELD',
     description: `Deleted custom field "${field.name}" from project "${field.project.name}"`,
-    oldValues: { name: field.name, type: field.type },
+    oldValues: { name: field.name, fieldType: field.fieldType },
   });
 }
 
@@ -4,6 +4,7 @@
  */
 
 import { getPrismaClient } from '../lib/prisma.js';
+import { getProjectFlakiness } from './flakinessService.js';
 
 const prisma = getPrismaClient();
 
@@ -83,47 +84,33 @@ export async function getExecutionTrendReport(projectId, weeks = 8) {
 }
 
 /**
- * Get flaky tests with inconsistent pass/fail results
+ * Get flaky tests from the stored flakiness scores
+ * Scores are recalculated by the daily flakiness job (see flakinessService).
  * @param {number} projectId - Project ID to analyze
- * @param {number} [runsThreshold=5] - Minimum number of runs to consider
- * @returns {Promise<Array>} List of flaky tests sorted by flake rate
+ * @param {number} [runsThreshold=5] - Minimum number of scored runs to consider
+ * @returns {Promise<Array>} List of flaky tests sorted by flakiness score
  */
 export async function getFlakyTests(projectId, runsThreshold = 5) {
-  const testCases = await prisma.testCase.findMany({
-    where: { projectId, isDeleted: false },
-    select: { id: true, name: true },
+  const scores = await getProjectFlakiness(projectId, {
+    flakyOnly: true,
+    minExecutions: runsThreshold,
   });
 
-  const flakyTests = [];
-
-  for (const testCase of testCases) {
-    const executions = await prisma.testExecution.findMany({
-      where: { testCaseId: testCase.id },
-      select: { status: true, createdAt: true },
-      orderBy: { createdAt: 'desc' },
-      take: runsThreshold,
-    });
-
-    if (executions.length < runsThreshold) continue;
-
-    const statuses = executions.map((e) => e.status);
-    const passed = statuses.filter((s) => s === 'PASSED').length;
-    const failed = statuses.filter((s) => s === 'FAILED').length;
-
-    if (passed > 0 && failed > 0) {
-      const flakeRate = ((failed / runsThreshold) * 100).toFixed(1);
-      flakyTests.push({
-        testCaseId: testCase.id,
-        testCaseName: testCase.name,
-        flakeRate: Number(flakeRate),
-        recentRuns: runsThreshold,
-        passedRuns: passed,
-        failedRuns: failed,
-      });
-    }
-  }
-
-  return flakyTests.sort((a, b) => b.flakeRate - a.flakeRate);
+  return scores.map((s) => ({
+    testCaseId: s.testCaseId,
+    testCaseName: s.testCase.name,
+    moduleArea: s.testCase.moduleArea,
+    flakeRate: Number((s.score * 100).toFixed(1)),
+    score: s.score,
+    flipCount: s.flipCount,
+    recentRuns: s.executionCount,
+    passedRuns: s.passCount,
+    failedRuns: s.failCount,
+    breakdown: s.breakdown,
+    isQuarantined: s.testCase.isQuarantined,
+    flaggedAt: s.flaggedAt,
+    calculatedAt: s.calculatedAt,
+  }));
 }
 
 /**
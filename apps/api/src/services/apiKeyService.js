@@ -165,9 +165,11 @@ export async function validateApiKey(apiKey) {
 
   return {
     valid: true,
+    id: key.id,
     projectId: key.projectId,
     name: key.name,
     rateLimit: key.rateLimit,
+    createdBy: key.createdBy,
   };
 }
 
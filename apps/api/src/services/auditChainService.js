@@ -0,0 +1,491 @@
+/**
+ * AUDIT CHAIN SERVICE
+ * Tamper-evident storage for AuditLog and ChatAuditLog entries
+ *
+ * Every entry gets the next sequence number in its chain and an HMAC over its own
+ * fields plus the hash of the entry before it. Editing an entry breaks its hash,
+ * deleting one leaves a gap in the sequence, and reordering breaks the links.
+ * Deleting the newest entries, or clearing the chain columns so the whole table is
+ * sealed again, can only be detected against a previously recorded head (sequence +
+ * hash); callers that need that guarantee should store the head returned by
+ * verification somewhere outside the database.
+ *
+ * Entries past their retention period are moved, hashes and all, to the archive
+ * tables; verification and export read both, so the chain stays whole.
+ */
+
+import crypto from 'crypto';
+import { getPrismaClient } from '../lib/prisma.js';
+
+const prisma = getPrismaClient();
+
+const {
+  AUDIT_LOG_RETENTION_DAYS = '365',
+  CHAT_AUDIT_LOG_RETENTION_DAYS = '365',
+} = process.env;
+
+const BATCH_SIZE = 500;
+const MAX_REPORTED_ISSUES = 100;
+
+// Sealing existing entries happens once, in one transaction, and can take a while
+const CHAIN_TRANSACTION_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Chains and the fields their hashes cover, in hashing order
+ */
+const CHAINS = {
+  audit: {
+    model: 'auditLog',
+    archiveModel: 'auditLogArchive',
+    lockName: 'audit-log-chain',
+    timestampFields: ['timestamp'],
+    fields: [
+      'userId',
+      'action',
+      'resourceType',
+      'resourceId',
+      'resourceName',
+      'projectId',
+      'description',
+      'oldValues',
+      'newValues',
+      'ipAddress',
+      'userAgent',
+      'timestamp',
+    ],
+    retentionDays: AUDIT_LOG_RETENTION_DAYS,
+  },
+  chat: {
+    model: 'chatAuditLog',
+    archiveModel: 'chatAuditLogArchive',
+    lockName: 'chat-audit-log-chain',
+    timestampFields: ['timestamp', 'createdAt'],
+    fields: [
+      'adminId',
+      'adminName',
+      'actionType',
+      'targetId',
+      'targetName',
+      'targetType',
+      'reason',
+      'timestamp',
+      'createdAt',
+    ],
+    retentionDays: CHAT_AUDIT_LOG_RETENTION_DAYS,
+  },
+};
+
+export const AUDIT_CHAINS = Object.keys(CHAINS);
+
+export const AUDIT_EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8' },
+};
+
+/**
+ * Helper: Chain definition by key
+ */
+function getChain(chainKey) {
+  const chain = CHAINS[chainKey];
+  if (!chain) {
+    throw new Error(`Unknown audit chain: ${chainKey}. Use one of: ${AUDIT_CHAINS.join(', ')}`);
+  }
+  return chain;
+}
+
+/**
+ * Helper: HMAC key (AUDIT_LOG_HMAC_SECRET, falls back to JWT_SECRET)
+ */
+function getHmacSecret() {
+  const secret = process.env.AUDIT_LOG_HMAC_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('AUDIT_LOG_HMAC_SECRET or JWT_SECRET must be set to write audit entries');
+  }
+  return secret;
+}
+
+/**
+ * Helper: Value as it is hashed; dates as ISO strings, missing values as null
+ */
+function canonicalValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value ?? null;
+}
+
+/**
+ * Helper: Hash of an entry, chained to the previous entry's hash
+ */
+function computeEntryHash(chainKey, entry) {
+  const chain = getChain(chainKey);
+  const payload = JSON.stringify([
+    chainKey,
+    entry.sequence,
+    entry.previousHash ?? null,
+    ...chain.fields.map((field) => canonicalValue(entry[field])),
+  ]);
+  return crypto.createHmac('sha256', getHmacSecret()).update(payload).digest('hex');
+}
+
+/**
+ * Helper: Serialize chain writers across API instances for the rest of the transaction
+ */
+async function lockChain(tx, chain) {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${chain.lockName}))`;
+}
+
+/**
+ * Helper: Newest entry in the chain, live or archived
+ */
+async function getChainHead(tx, chain) {
+  const select = { sequence: true, hash: true, timestamp: true };
+  const live = await tx[chain.model].findFirst({
+    where: { sequence: { not: null } },
+    orderBy: { sequence: 'desc' },
+    select,
+  });
+  const archived = await tx[chain.archiveModel].findFirst({ orderBy: { sequence: 'desc' }, select });
+
+  if (!live) return archived;
+  if (!archived) return live;
+  return live.sequence > archived.sequence ? live : archived;
+}
+
+/**
+ * Helper: Seal entries written before the chain existed, oldest first.
+ * Only runs while the chain is empty: once anything is sealed, an unsealed entry
+ * was written outside the API and must be reported, not adopted.
+ */
+async function sealLegacyEntries(tx, chainKey) {
+  const chain = getChain(chainKey);
+  let head = null;
+  let lastId = 0;
+  let sealed = 0;
+
+  for (;;) {
+    const entries = await tx[chain.model].findMany({
+      where: { sequence: null, id: { gt: lastId } },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+    });
+    if (entries.length === 0) break;
+
+    for (const entry of entries) {
+      const sequence = (head?.sequence ?? 0) + 1;
+      const previousHash = head?.hash ?? null;
+      const hash = computeEntryHash(chainKey, { ...entry, sequence, previousHash });
+      await tx[chain.model].update({
+        where: { id: entry.id },
+        data: { sequence, previousHash, hash },
+      });
+      head = { sequence, hash, timestamp: entry.timestamp };
+      lastId = entry.id;
+      sealed += 1;
+    }
+  }
+
+  return { head, sealed };
+}
+
+/**
+ * Append an entry to an audit chain
+ * @param {string} chainKey - 'audit' or 'chat'
+ * @param {Object} data - Column values for the entry (timestamps are set here)
+ * @returns {Promise<Object>} Created entry
+ */
+export async function appendChainedEntry(chainKey, data) {
+  const chain = getChain(chainKey);
+
+  return prisma.$transaction(
+    async (tx) => {
+      await lockChain(tx, chain);
+
+      let head = await getChainHead(tx, chain);
+      if (!head) {
+        ({ head } = await sealLegacyEntries(tx, chainKey));
+      }
+
+      const now = new Date();
+      const entry = { ...data };
+      for (const field of chain.timestampFields) {
+        entry[field] = now;
+      }
+      for (const field of chain.fields) {
+        entry[field] = entry[field] ?? null;
+      }
+      entry.sequence = (head?.sequence ?? 0) + 1;
+      entry.previousHash = head?.hash ?? null;
+      entry.hash = computeEntryHash(chainKey, entry);
+
+      return tx[chain.model].create({ data: entry });
+    },
+    { timeout: CHAIN_TRANSACTION_TIMEOUT_MS },
+  );
+}
+
+/**
+ * Seal entries written before hash chaining was introduced, for every chain
+ * that has not been started yet. Safe to call repeatedly.
+ * @returns {Promise<Object>} Entries sealed per chain
+ */
+export async function sealAuditChains() {
+  const result = {};
+  for (const chainKey of AUDIT_CHAINS) {
+    const chain = getChain(chainKey);
+    result[chainKey] = await prisma.$transaction(
+      async (tx) => {
+        await lockChain(tx, chain);
+        if (await getChainHead(tx, chain)) return 0;
+        const { sealed } = await sealLegacyEntries(tx, chainKey);
+        return sealed;
+      },
+      { timeout: CHAIN_TRANSACTION_TIMEOUT_MS },
+    );
+  }
+  return result;
+}
+
+/**
+ * Helper: Page through one table in sequence order
+ */
+async function* readBySequence(model, where) {
+  let lastSequence = 0;
+  for (;;) {
+    const entries = await prisma[model].findMany({
+      where: { ...where, sequence: { gt: lastSequence } },
+      orderBy: { sequence: 'asc' },
+      take: BATCH_SIZE,
+    });
+    for (const entry of entries) {
+      yield entry;
+    }
+    if (entries.length < BATCH_SIZE) return;
+    lastSequence = entries[entries.length - 1].sequence;
+  }
+}
+
+/**
+ * Helper: Archived and live entries merged into one sequence-ordered stream
+ */
+async function* readChain(chain, where = {}) {
+  const archived = readBySequence(chain.archiveModel, where);
+  const live = readBySequence(chain.model, where);
+  let nextArchived = await archived.next();
+  let nextLive = await live.next();
+
+  while (!nextArchived.done || !nextLive.done) {
+    if (nextLive.done || (!nextArchived.done && nextArchived.value.sequence <= nextLive.value.sequence)) {
+      yield { ...nextArchived.value, archived: true };
+      nextArchived = await archived.next();
+    } else {
+      yield { ...nextLive.value, archived: false };
+      nextLive = await live.next();
+    }
+  }
+}
+
+/**
+ * Helper: Live entries that never joined the chain, in id order
+ */
+async function* readUnchained(chain, where = {}) {
+  let lastId = 0;
+  for (;;) {
+    const entries = await prisma[chain.model].findMany({
+      where: { ...where, sequence: null, id: { gt: lastId } },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+    });
+    for (const entry of entries) {
+      yield { ...entry, archived: false };
+    }
+    if (entries.length < BATCH_SIZE) return;
+    lastId = entries[entries.length - 1].id;
+  }
+}
+
+/**
+ * Verify an audit chain end to end, archive included
+ *
+ * Reports:
+ * - GAP: sequence numbers missing (entries deleted)
+ * - MODIFIED: entry contents no longer match its hash
+ * - BROKEN_LINK: previousHash does not match the entry before it (reordered or replaced)
+ * - DUPLICATE: the same sequence number in both the live and archive tables
+ * - UNSEALED: entry without a hash or sequence (written outside the API)
+ * - ANCHOR_MISMATCH: the recorded head is missing or differs (newest entries deleted or rewritten)
+ *
+ * @param {string} chainKey - 'audit' or 'chat'
+ * @param {Object} [anchor] - Head recorded by an earlier verification
+ * @param {number} [anchor.sequence]
+ * @param {string} [anchor.hash]
+ * @returns {Promise<Object>} { chain, valid, checkedEntries, head, issueCount, issues, verifiedAt }
+ */
+export async function verifyAuditChain(chainKey, anchor = {}) {
+  const chain = getChain(chainKey);
+  const issues = [];
+  let issueCount = 0;
+  const report = (issue) => {
+    issueCount += 1;
+    if (issues.length < MAX_REPORTED_ISSUES) {
+      issues.push(issue);
+    }
+  };
+
+  let previous = null;
+  let checkedEntries = 0;
+  let anchorEntry = null;
+
+  for await (const entry of readChain(chain)) {
+    checkedEntries += 1;
+    const expectedSequence = (previous?.sequence ?? 0) + 1;
+
+    if (previous && entry.sequence === previous.sequence) {
+      report({ type: 'DUPLICATE', sequence: entry.sequence, id: entry.id });
+      continue;
+    }
+    if (entry.sequence > expectedSequence) {
+      report({ type: 'GAP', fromSequence: expectedSequence, toSequence: entry.sequence - 1 });
+    }
+
+    if (!entry.hash) {
+      report({ type: 'UNSEALED', sequence: entry.sequence, id: entry.id });
+    } else {
+      if (computeEntryHash(chainKey, entry) !== entry.hash) {
+        report({ type: 'MODIFIED', sequence: entry.sequence, id: entry.id, archived: entry.archived });
+      }
+      if (entry.sequence === expectedSequence && (entry.previousHash ?? null) !== (previous?.hash ?? null)) {
+        report({ type: 'BROKEN_LINK', sequence: entry.sequence, id: entry.id });
+      }
+    }
+
+    if (anchor.sequence && entry.sequence === Number(anchor.sequence)) {
+      anchorEntry = entry;
+    }
+    previous = entry;
+  }
+
+  for await (const entry of readUnchained(chain)) {
+    checkedEntries += 1;
+    report({ type: 'UNSEALED', sequence: null, id: entry.id });
+  }
+
+  if (anchor.sequence) {
+    if (!anchorEntry) {
+      report({ type: 'ANCHOR_MISMATCH', sequence: Number(anchor.sequence), reason: 'Anchor entry is missing' });
+    } else if (anchor.hash && anchorEntry.hash !== anchor.hash) {
+      report({ type: 'ANCHOR_MISMATCH', sequence: anchorEntry.sequence, reason: 'Anchor hash differs' });
+    }
+  }
+
+  return {
+    chain: chainKey,
+    valid: issueCount === 0,
+    checkedEntries,
+    head: previous
+      ? { sequence: previous.sequence, hash: previous.hash, timestamp: previous.timestamp }
+      : null,
+    issueCount,
+    issues,
+    verifiedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Helper: CSV cell
+ */
+function quote(value) {
+  return `"${String(canonicalValue(value) ?? '').replace(/"/g, '""')}"`;
+}
+
+/**
+ * Stream an audit chain as CSV or NDJSON, archive included
+ *
+ * Rows keep the stored oldValues/newValues strings and chain columns, so an export
+ * can be re-verified with the HMAC secret. Sealed entries come in chain order,
+ * followed by any unsealed ones.
+ *
+ * @param {string} chainKey - 'audit' or 'chat'
+ * @param {Object} where - Prisma filter valid for both the live and archive tables
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {AsyncGenerator<string>} Output chunks
+ */
+export async function* streamAuditExport(chainKey, where = {}, format = 'csv') {
+  const chain = getChain(chainKey);
+  if (!AUDIT_EXPORT_FORMATS[format]) {
+    throw new Error(`Unsupported export format: ${format}. Use one of: ${Object.keys(AUDIT_EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const columns = ['sequence', 'id', ...chain.fields, 'previousHash', 'hash', 'archived'];
+  if (format === 'csv') {
+    yield `${columns.join(',')}\n`;
+  }
+
+  const sources = [readChain(chain, where), readUnchained(chain, where)];
+  for (const source of sources) {
+    for await (const entry of source) {
+      if (format === 'csv') {
+        yield `${columns.map((column) => quote(entry[column])).join(',')}\n`;
+      } else {
+        const row = Object.fromEntries(columns.map((column) => [column, canonicalValue(entry[column])]));
+        yield `${JSON.stringify(row)}\n`;
+      }
+    }
+  }
+}
+
+/**
+ * Helper: Retention period in days; 0 keeps entries in the live table forever
+ */
+function getRetentionDays(chain) {
+  const days = Number.parseInt(chain.retentionDays, 10);
+  return Number.isNaN(days) ? 365 : Math.max(0, days);
+}
+
+/**
+ * Move sealed entries past their retention period into the archive tables.
+ * Rows are copied and removed in the same transaction; nothing is discarded.
+ * Unsealed entries stay in the live table so verification keeps reporting them.
+ * @returns {Promise<Object>} Entries archived per chain
+ */
+export async function archiveExpiredAuditEntries() {
+  const result = {};
+
+  for (const chainKey of AUDIT_CHAINS) {
+    const chain = getChain(chainKey);
+    const retentionDays = getRetentionDays(chain);
+    result[chainKey] = 0;
+    if (retentionDays === 0) continue;
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    for (;;) {
+      const moved = await prisma.$transaction(async (tx) => {
+        await lockChain(tx, chain);
+        const entries = await tx[chain.model].findMany({
+          where: { timestamp: { lt: cutoff }, hash: { not: null }, sequence: { not: null } },
+          orderBy: { sequence: 'asc' },
+          take: BATCH_SIZE,
+        });
+        if (entries.length === 0) return 0;
+
+        await tx[chain.archiveModel].createMany({ data: entries });
+        await tx[chain.model].deleteMany({ where: { id: { in: entries.map((entry) => entry.id) } } });
+        return entries.length;
+      });
+
+      result[chainKey] += moved;
+      if (moved < BATCH_SIZE) break;
+    }
+  }
+
+  return result;
+}
+
+export default {
+  AUDIT_CHAINS,
+  AUDIT_EXPORT_FORMATS,
+  appendChainedEntry,
+  sealAuditChains,
+  verifyAuditChain,
+  streamAuditExport,
+  archiveExpiredAuditEntries,
+};
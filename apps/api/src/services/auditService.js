@@ -4,11 +4,12 @@
  */
 
 import { getPrismaClient } from '../lib/prisma.js';
+import { appendChainedEntry, streamAuditExport } from './auditChainService.js';
 
 const prisma = getPrismaClient();
 
 /**
- * Log an admin action to the audit trail
+ * Log an admin action to the audit trail (appended to the tamper-evident hash chain)
  * @param {number} performedByUserId - Admin user ID
  * @param {string} action - AuditAction enum value
  * @param {object} options - Additional options
@@ -26,31 +27,28 @@ const prisma = getPrismaClient();
  */
 export async function logAuditAction(performedByUserId, action, options = {}) {
   try {
-    const auditLog = await prisma.auditLog.create({
-      data: {
-        action,
-        userId: performedByUserId,
-        resourceType: options.resourceType,
-        resourceId: options.resourceId,
-        resourceName: options.resourceName,
-        projectId: options.projectId,
-        description: options.description || `${action} executed`,
-        oldValues: options.oldValues ? JSON.stringify(options.oldValues) : null,
-        newValues: options.newValues ? JSON.stringify(options.newValues) : null,
-        ipAddress: options.ipAddress,
-        userAgent: options.userAgent,
-      },
-      select: {
-        id: true,
-        action: true,
-        userId: true,
-        resourceType: true,
-        resourceId: true,
-        timestamp: true,
-      },
+    const auditLog = await appendChainedEntry('audit', {
+      action,
+      userId: performedByUserId,
+      resourceType: options.resourceType,
+      resourceId: options.resourceId,
+      resourceName: options.resourceName,
+      projectId: options.projectId,
+      description: options.description || `${action} executed`,
+      oldValues: options.oldValues ? JSON.stringify(options.oldValues) : null,
+      newValues: options.newValues ? JSON.stringify(options.newValues) : null,
+      ipAddress: options.ipAddress,
+      userAgent: options.userAgent,
     });
 
-    return auditLog;
+    return {
+      id: auditLog.id,
+      action: auditLog.action,
+      userId: auditLog.userId,
+      resourceType: auditLog.resourceType,
+      resourceId: auditLog.resourceId,
+      timestamp: auditLog.timestamp,
+    };
   } catch (error) {
     console.error('Failed to log audit action:', error);
     // Don't throw - audit failures should not break operations
@@ -61,23 +59,9 @@ export async function logAuditAction(performedByUserId, action, options = {}) {
 }
 
 /**
- * Get audit logs with filtering and pagination
- * @param {object} filters - Filter criteria
- * @param {string} filters.action - Filter by action (optional)
- * @param {number} filters.performedBy - Filter by admin user ID (optional)
- * @param {string} filters.resourceType - Filter by resource type (optional)
- * @param {number} filters.resourceId - Filter by resource ID (optional)
- * @param {number} filters.projectId - Filter by project (optional)
- * @param {Date} filters.startDate - Filter from date (optional)
- * @param {Date} filters.endDate - Filter to date (optional)
- * @param {number} filters.skip - Pagination offset (default: 0)
- * @param {number} filters.take - Pagination limit (default: 50, max: 500)
- * @returns {Promise<object>} Paginated audit logs
+ * Helper: Where clause for audit log filters (valid for the archive table too)
  */
-export async function getAuditLogs(filters = {}) {
-  const skip = Math.max(0, filters.skip || 0);
-  const take = Math.min(500, Math.max(1, filters.take || 50)); // Limit max to 500
-
+function buildAuditLogWhere(filters) {
   const where = {};
 
   // Build where clause
@@ -108,6 +92,29 @@ export async function getAuditLogs(filters = {}) {
     }
   }
 
+  return where;
+}
+
+/**
+ * Get audit logs with filtering and pagination
+ * @param {object} filters - Filter criteria
+ * @param {string} filters.action - Filter by action (optional)
+ * @param {number} filters.performedBy - Filter by admin user ID (optional)
+ * @param {string} filters.resourceType - Filter by resource type (optional)
+ * @param {number} filters.resourceId - Filter by resource ID (optional)
+ * @param {number} filters.projectId - Filter by project (optional)
+ * @param {Date} filters.startDate - Filter from date (optional)
+ * @param {Date} filters.endDate - Filter to date (optional)
+ * @param {number} filters.skip - Pagination offset (default: 0)
+ * @param {number} filters.take - Pagination limit (default: 50, max: 500)
+ * @returns {Promise<object>} Paginated audit logs
+ */
+export async function getAuditLogs(filters = {}) {
+  const skip = Math.max(0, filters.skip || 0);
+  const take = Math.min(500, Math.max(1, filters.take || 50)); // Limit max to 500
+
+  const where = buildAuditLogWhere(filters);
+
   // Execute query
   const [logs, total] = await Promise.all([
     prisma.auditLog.findMany({
@@ -217,13 +224,14 @@ export async function getUserAuditLogs(targetUserId, options = {}) {
 }
 
 /**
- * Export audit logs as JSON (for compliance/archival)
- * @param {object} filters - Same as getAuditLogs
- * @returns {Promise<string>} JSON string of audit logs
+ * Export audit logs, archived entries included, as a stream of CSV or NDJSON chunks
+ * (for compliance/archival; no row limit)
+ * @param {object} filters - Same as getAuditLogs, without pagination
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {AsyncGenerator<string>}
  */
-export async function exportAuditLogs(filters = {}) {
-  const { logs } = await getAuditLogs({ ...filters, take: 5000 });
-  return JSON.stringify(logs, null, 2);
+export function exportAuditLogs(filters = {}, format = 'csv') {
+  return streamAuditExport('audit', buildAuditLogWhere(filters), format);
 }
 
 export default {
@@ -12,6 +12,15 @@ import {
 } from './emailService.js';
 import { ensureUserInUniversalChannel } from './channelService.js';
 import { autoJoinRoleChannels } from '../routes/channels.js';
+import {
+  isMfaRequiredForRole,
+  verifyMfaCode,
+  logMfaFailure,
+  startMfaEnrollment,
+  confirmMfaEnrollment,
+} from './mfaService.js';
+import { notifyIfNewDevice } from './sessionService.js';
+import { assertPasswordLoginAllowed } from './ssoService.js';
 
 const prisma = getPrismaClient();
 const MAIN_ADMIN_EMAIL = 'admin@gmail.com';
@@ -22,6 +31,8 @@ const LOCKOUT_DURATION_MINUTES = 30;
 const PASSWORD_HISTORY_COUNT = 5;
 const PASSWORD_RESET_TOKEN_EXPIRY_HOURS = 1;
 const REFRESH_TOKEN_TTL_DAYS = 30;
+// Time between the password step and the two-factor step of a login
+const MFA_TOKEN_TTL = '5m';
 
 function normalizeRole(role) {
   return typeof role === 'string' ? role.trim().toUpperCase() : role;
@@ -43,6 +54,160 @@ function getRefreshTokenExpiry() {
   return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
 }
 
+/**
+ * Helper: Count a failed password or two-factor code and lock the account at the limit
+ * @param {Object} user - User record
+ * @param {string} failure - Start of the error message when the account stays unlocked
+ * @returns {Promise<string>} Error message for the caller to throw
+ */
+async function recordFailedLoginAttempt(user, failure = 'Invalid credentials') {
+  const newFailedAttempts = (user.failedLoginAttempts || 0) + 1;
+  const updateData = {
+    failedLoginAttempts: newFailedAttempts,
+  };
+
+  // Lock account if max attempts reached
+  if (newFailedAttempts >= MAX_LOGIN_ATTEMPTS) {
+    const lockoutTime = new Date(Date.now() + LOCKOUT_DURATION_MINUTES * 60000);
+    updateData.lockedUntil = lockoutTime;
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: updateData,
+    });
+
+    // Send account locked email
+    try {
+      await sendAccountLockedEmail(user.email, user.name, LOCKOUT_DURATION_MINUTES);
+    } catch (err) {
+      // Email failure is non-critical, log but don't block the operation
+    }
+
+    return `Account locked due to ${MAX_LOGIN_ATTEMPTS} failed login attempts. Please try again in ${LOCKOUT_DURATION_MINUTES} minutes or reset your password.`;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: updateData,
+  });
+
+  const remainingAttempts = MAX_LOGIN_ATTEMPTS - newFailedAttempts;
+  return `${failure}. ${remainingAttempts} attempt(s) remaining before account lockout.`;
+}
+
+/**
+ * Helper: Finish a successful login: reset failed attempts, issue tokens and open a session
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} user - Authenticated user
+ * @param {Object} context - Request context (ipAddress, userAgent, deviceLabel)
+ * @returns {Promise<Object>} Access token, refresh token and user data
+ */
+async function issueSession(fastify, user, context = {}) {
+  // Successful login - reset failed attempts and update last login
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      lastLoginAt: new Date(),
+    },
+  });
+
+  // Checked before the new session exists, so it is compared with earlier ones only
+  await notifyIfNewDevice(user, context);
+
+  const refreshToken = generateRefreshToken();
+  const refreshTokenHash = hashRefreshToken(refreshToken);
+
+  const session = await prisma.userSession.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash,
+      ipAddress: context.ipAddress || null,
+      userAgent: context.userAgent || null,
+      deviceLabel: context.deviceLabel || null,
+      lastUsedAt: new Date(),
+      expiresAt: getRefreshTokenExpiry(),
+    },
+  });
+
+  // Generate access token (sessionId lets a single device be signed out)
+  const token = fastify.jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: normalizeRole(user.role),
+      tokenVersion: user.tokenVersion,
+      sessionId: session.id,
+    },
+    { expiresIn: '7d' },
+  );
+
+  // Auto-join user to role-based channels
+  await autoJoinRoleChannels(user.id);
+
+  return {
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: normalizeRole(user.role),
+      isMuted: user.isMuted,
+      mutedUntil: user.mutedUntil,
+      muteReason: user.muteReason,
+    },
+    token,
+    refreshToken,
+  };
+}
+
+/**
+ * Helper: Second login step for a user who uses or needs two-factor authentication
+ */
+function createMfaChallenge(fastify, user) {
+  return {
+    mfaRequired: true,
+    mfaEnrollmentRequired: !user.mfaEnabled,
+    mfaToken: fastify.jwt.sign(
+      { id: user.id, purpose: 'mfa', tokenVersion: user.tokenVersion },
+      { expiresIn: MFA_TOKEN_TTL },
+    ),
+  };
+}
+
+/**
+ * Helper: Load the user of a login that is waiting for its two-factor step
+ * The MFA token has no role claim, so the auth guards never accept it as an access token.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} mfaToken - Token returned by login
+ * @returns {Promise<Object>} User record
+ * @throws {Error} If the token is invalid or expired, or the account can no longer log in
+ */
+async function loadMfaLoginUser(fastify, mfaToken) {
+  let payload;
+  try {
+    payload = fastify.jwt.verify(String(mfaToken || ''));
+  } catch {
+    throw new Error('Two-factor session expired. Please log in again.');
+  }
+
+  if (payload?.purpose !== 'mfa' || !payload.id) {
+    throw new Error('Two-factor session expired. Please log in again.');
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: payload.id } });
+  if (!user || !user.isActive || user.tokenVersion !== payload.tokenVersion) {
+    throw new Error('Two-factor session expired. Please log in again.');
+  }
+
+  if (user.lockedUntil && new Date() < user.lockedUntil) {
+    const remainingMinutes = Math.ceil((user.lockedUntil - new Date()) / 60000);
+    throw new Error(`Account is locked due to too many failed login attempts. Please try again in ${remainingMinutes} minute(s) or reset your password.`);
+  }
+
+  return user;
+}
+
 /**
  * Register a new user account
  * @param {Object} fastify - Fastify instance
@@ -59,6 +224,10 @@ export async function signup(fastify, { name, email, password, role = 'DEVELOPER
   const validated = SignupSchema.parse({ name, email, password, role });
   const isMainAdmin = isMainAdminEmail(validated.email);
 
+  if (!isMainAdmin) {
+    await assertPasswordLoginAllowed(validated.email);
+  }
+
   // Check if user exists
   const existingUser = await prisma.user.findUnique({
     where: { email: validated.email },
@@ -179,100 +348,129 @@ export async function login(fastify, { email, password }, context = {}) {
   const isPasswordValid = await bcrypt.compare(validated.password, user.password);
 
   if (!isPasswordValid) {
-    // Increment failed login attempts
-    const newFailedAttempts = (user.failedLoginAttempts || 0) + 1;
-    const updateData = {
-      failedLoginAttempts: newFailedAttempts,
-    };
+    throw new Error(await recordFailedLoginAttempt(user));
+  }
 
-    // Lock account if max attempts reached
-    if (newFailedAttempts >= MAX_LOGIN_ATTEMPTS) {
-      const lockoutTime = new Date(Date.now() + LOCKOUT_DURATION_MINUTES * 60000);
-      updateData.lockedUntil = lockoutTime;
-      
-      await prisma.user.update({
-        where: { id: user.id },
-        data: updateData,
-      });
-
-      // Send account locked email
-      try {
-        await sendAccountLockedEmail(user.email, user.name, LOCKOUT_DURATION_MINUTES);
-      } catch (err) {
-        // Email failure is non-critical, log but don't block the operation
-      }
+  // Checked only once the password is right, so the answer does not reveal which emails have accounts.
+  // The main admin keeps password sign-in as a way in when the identity provider is down.
+  if (!isMainAdminEmail(user.email)) {
+    await assertPasswordLoginAllowed(user.email);
+  }
 
-      throw new Error(`Account locked due to ${MAX_LOGIN_ATTEMPTS} failed login attempts. Please try again in ${LOCKOUT_DURATION_MINUTES} minutes or reset your password.`);
-    }
+  // Second step: the failed attempt counter keeps running until the code is accepted
+  if (user.mfaEnabled || isMfaRequiredForRole(user.role)) {
+    return createMfaChallenge(fastify, user);
+  }
 
-    await prisma.user.update({
-      where: { id: user.id },
-      data: updateData,
-    });
+  return issueSession(fastify, user, context);
+}
+
+/**
+ * Start two-factor enrollment during login, for a role that requires it
+ * @param {Object} fastify - Fastify instance
+ * @param {string} mfaToken - Token returned by login
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+ * @throws {Error} If the token is invalid or the user already uses two-factor authentication
+ */
+export async function startMfaLoginEnrollment(fastify, mfaToken) {
+  const user = await loadMfaLoginUser(fastify, mfaToken);
+  return startMfaEnrollment(user.id);
+}
 
-    const remainingAttempts = MAX_LOGIN_ATTEMPTS - newFailedAttempts;
-    throw new Error(`Invalid credentials. ${remainingAttempts} attempt(s) remaining before account lockout.`);
+/**
+ * Complete a login with a TOTP or recovery code
+ * A user who enrolls during login confirms enrollment with the same code and
+ * receives their recovery codes in the response.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} challenge - { mfaToken, code }
+ * @param {Object} context - Request context (ipAddress, userAgent, deviceLabel)
+ * @returns {Promise<Object>} Access token, refresh token and user data (plus recoveryCodes after enrollment)
+ * @throws {Error} If the token is invalid or expired, or the code is wrong
+ */
+export async function completeMfaLogin(fastify, { mfaToken, code }, context = {}) {
+  const user = await loadMfaLoginUser(fastify, mfaToken);
+  const auditContext = { ipAddress: context.ipAddress || null, userAgent: context.userAgent || null };
+
+  if (!user.mfaEnabled) {
+    let enrollment;
+    try {
+      enrollment = await confirmMfaEnrollment(user.id, code, auditContext);
+    } catch (error) {
+      if (error.message !== 'Invalid two-factor code') {
+        throw error;
+      }
+      throw new Error(await recordFailedLoginAttempt(user, 'Invalid two-factor code'));
+    }
+    return { ...(await issueSession(fastify, user, context)), recoveryCodes: enrollment.recoveryCodes };
   }
 
-  // Successful login - reset failed attempts and update last login
-  await prisma.user.update({
-    where: { id: user.id },
-    data: {
-      failedLoginAttempts: 0,
-      lockedUntil: null,
-      lastLoginAt: new Date(),
-    },
-  });
+  if (!(await verifyMfaCode(user, code, auditContext))) {
+    await logMfaFailure(user, 'Wrong two-factor code at login', auditContext);
+    throw new Error(await recordFailedLoginAttempt(user, 'Invalid two-factor code'));
+  }
 
-  // Generate access token
-  const token = fastify.jwt.sign(
-    {
-      id: user.id,
-      email: user.email,
-      role: normalizeRole(user.role),
-      tokenVersion: user.tokenVersion,
-    },
-    { expiresIn: '7d' }
-  );
+  return issueSession(fastify, user, context);
+}
 
-  const refreshToken = generateRefreshToken();
-  const refreshTokenHash = hashRefreshToken(refreshToken);
+/**
+ * Exchange the one-time token from an SSO callback for a session
+ * Users who use or need two-factor authentication get the same challenge as at password
+ * login, unless the provider is marked as enforcing a second factor itself (enforcesMfa).
+ * @param {Object} fastify - Fastify instance
+ * @param {string} ssoToken - Token the SSO callback handed to the web app
+ * @param {Object} context - Request context (ipAddress, userAgent, deviceLabel)
+ * @returns {Promise<Object>} Access token, refresh token and user data, or { mfaRequired, mfaEnrollmentRequired, mfaToken }
+ * @throws {Error} If the token is invalid, expired or already used
+ */
+export async function completeSsoLogin(fastify, ssoToken, context = {}) {
+  let payload;
+  try {
+    payload = fastify.jwt.verify(String(ssoToken || ''));
+  } catch {
+    throw new Error('Single sign-on session expired. Please sign in again.');
+  }
 
-  await prisma.userSession.create({
-    data: {
-      userId: user.id,
-      refreshTokenHash,
-      ipAddress: context.ipAddress || null,
-      userAgent: context.userAgent || null,
-      deviceLabel: context.deviceLabel || null,
-      expiresAt: getRefreshTokenExpiry(),
-    },
-  });
+  if (payload?.purpose !== 'sso' || !payload.id) {
+    throw new Error('Single sign-on session expired. Please sign in again.');
+  }
 
-  // Auto-join user to role-based channels
-  await autoJoinRoleChannels(user.id);
+  const user = await prisma.user.findUnique({ where: { id: payload.id } });
+  if (!user || !user.isActive || user.tokenVersion !== payload.tokenVersion) {
+    throw new Error('Single sign-on session expired. Please sign in again.');
+  }
 
-  return {
-    user: {
+  // Single use: the token is claimed by moving lastLoginAt past its issue time, before any
+  // two-factor challenge is issued; the conditional update lets only one request claim it
+  const claimed = await prisma.user.updateMany({
+    where: {
       id: user.id,
-      name: user.name,
-      email: user.email,
-      role: normalizeRole(user.role),
-      isMuted: user.isMuted,
-      mutedUntil: user.mutedUntil,
-      muteReason: user.muteReason,
+      OR: [{ lastLoginAt: null }, { lastLoginAt: { lt: new Date(payload.iat * 1000) } }],
     },
-    token,
-    refreshToken,
-  };
+    data: { lastLoginAt: new Date() },
+  });
+  if (claimed.count === 0) {
+    throw new Error('Single sign-on session already used. Please sign in again.');
+  }
+
+  const provider = await prisma.ssoProvider.findUnique({
+    where: { slug: String(payload.provider || '') },
+    select: { enforcesMfa: true },
+  });
+  if (!provider?.enforcesMfa && (user.mfaEnabled || isMfaRequiredForRole(user.role))) {
+    return createMfaChallenge(fastify, user);
+  }
+
+  return issueSession(fastify, user, context);
 }
 
 /**
  * Logout user and invalidate current session
  * @param {number} userId - User ID to logout
+ * @param {string|null} refreshToken - Refresh token of the session to revoke
+ * @param {number|null} sessionId - Session ID from the access token, revoked as well
  * @returns {Promise<Object>} Success message and user data
  */
-export async function logout(userId, refreshToken = null) {
+export async function logout(userId, refreshToken = null, sessionId = null) {
   if (refreshToken) {
     const refreshTokenHash = hashRefreshToken(refreshToken);
     await prisma.userSession.updateMany({
@@ -285,6 +483,13 @@ export async function logout(userId, refreshToken = null) {
     });
   }
 
+  if (sessionId) {
+    await prisma.userSession.updateMany({
+      where: { id: sessionId, userId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+  }
+
   // Increment tokenVersion to invalidate all tokens for this user
   // This immediately rejects any requests using old JWT tokens
   const user = await prisma.user.update({
@@ -401,6 +606,7 @@ export async function refreshSession(fastify, refreshToken, context = {}) {
       email: session.user.email,
       role: normalizeRole(session.user.role),
       tokenVersion: session.user.tokenVersion,
+      sessionId: session.id,
     },
     { expiresIn: '7d' }
   );
@@ -0,0 +1,177 @@
+/**
+ * BUG DUPLICATE DETECTION SERVICE
+ * Suggests open bugs that a bug being written may duplicate. Candidates come
+ * from the project's SearchIndex (title, description and steps to reproduce)
+ * and from bugs filed against the same test case or execution, and are ranked
+ * by token overlap plus a boost for the shared test context.
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+import { getProjectBugWorkflow, getResolvedBugStatuses } from './bugWorkflowService.js';
+
+const prisma = getPrismaClient();
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+const MIN_SCORE = 0.25;
+
+// Index rows scanned per request, and the draft words used to find them
+const MAX_INDEX_CANDIDATES = 200;
+const MAX_QUERY_TOKENS = 8;
+
+const SAME_EXECUTION_BOOST = 0.4;
+const SAME_TEST_CASE_BOOST = 0.25;
+const TITLE_WEIGHT = 0.6;
+const SIMILAR_TITLE_THRESHOLD = 0.3;
+const SIMILAR_TEXT_THRESHOLD = 0.2;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'not', 'but', 'with', 'when', 'then', 'than', 'that',
+  'this', 'from', 'into', 'onto', 'have', 'has', 'had', 'does', 'did', 'can', 'cannot', 'will',
+  'should', 'would', 'could', 'after', 'before', 'while', 'there', 'their', 'they', 'its', 'you',
+  'your', 'all', 'any', 'some', 'also', 'only', 'just', 'being', 'been', 'which', 'what', 'who',
+  'how', 'why', 'where', 'step', 'steps', 'click', 'page', 'user', 'expected', 'actual', 'result',
+  // Severity, priority and status words are part of the indexed text but say nothing about the defect
+  'critical', 'major', 'minor', 'trivial', 'new', 'assigned', 'progress', 'fixed', 'reopened',
+]);
+
+/**
+ * Helper: Lowercase words of a text, without stop words and very short tokens
+ */
+function tokenize(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((token) => token.length >= 3 && !STOP_WORDS.has(token)),
+  );
+}
+
+/**
+ * Helper: Dice coefficient of two token sets (0 to 1)
+ */
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) shared++;
+  }
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Find open bugs of a project that a new or existing bug may duplicate
+ * @param {number} projectId - Project ID
+ * @param {Object} draft - Bug being written
+ * @param {string} [draft.title]
+ * @param {string} [draft.description]
+ * @param {string} [draft.stepsToReproduce]
+ * @param {number} [draft.testCaseId] - Test case the bug is filed against
+ * @param {number} [draft.executionId] - Execution the bug is filed from
+ * @param {number} [draft.excludeBugId] - Bug to leave out, when checking an existing bug
+ * @param {number} [limit=5] - Maximum suggestions
+ * @returns {Promise<Array>} Candidates, best first: bug summary with score (0-100) and reasons
+ */
+export async function findDuplicateBugCandidates(projectId, draft = {}, limit = DEFAULT_LIMIT) {
+  const projectIdNum = Number(projectId);
+  const testCaseId = draft.testCaseId ? Number(draft.testCaseId) : null;
+  const executionId = draft.executionId ? Number(draft.executionId) : null;
+  const excludeBugId = draft.excludeBugId ? Number(draft.excludeBugId) : null;
+  const take = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const titleTokens = tokenize(draft.title);
+  const textTokens = tokenize([draft.title, draft.description, draft.stepsToReproduce].join(' '));
+
+  if (textTokens.size === 0 && !testCaseId && !executionId) {
+    return [];
+  }
+
+  const workflow = await getProjectBugWorkflow(projectIdNum);
+  const openBugWhere = {
+    projectId: projectIdNum,
+    status: { notIn: getResolvedBugStatuses(workflow) },
+    ...(excludeBugId && { id: { not: excludeBugId } }),
+  };
+
+  // Longer words are rarer, so they narrow the index scan best
+  const queryTokens = [...textTokens].sort((a, b) => b.length - a.length).slice(0, MAX_QUERY_TOKENS);
+  const indexRows = queryTokens.length > 0
+    ? await prisma.searchIndex.findMany({
+      where: {
+        projectId: projectIdNum,
+        resourceType: 'BUG',
+        OR: queryTokens.map((token) => ({ searchText: { contains: token, mode: 'insensitive' } })),
+      },
+      select: { resourceId: true, title: true, searchText: true },
+      orderBy: { updatedAt: 'desc' },
+      take: MAX_INDEX_CANDIDATES,
+    })
+    : [];
+
+  const contextBugs = testCaseId || executionId
+    ? await prisma.bug.findMany({
+      where: {
+        ...openBugWhere,
+        OR: [
+          ...(testCaseId ? [{ testCaseId }] : []),
+          ...(executionId ? [{ executionId }] : []),
+        ],
+      },
+      select: { id: true },
+      take: MAX_INDEX_CANDIDATES,
+    })
+    : [];
+
+  // Index rows are not filtered by the excluded bug, so it is dropped here
+  const candidateIds = [...new Set([...indexRows.map((row) => row.resourceId), ...contextBugs.map((bug) => bug.id)])]
+    .filter((id) => id !== excludeBugId);
+  if (candidateIds.length === 0) {
+    return [];
+  }
+
+  const bugs = await prisma.bug.findMany({
+    where: { ...openBugWhere, id: { in: candidateIds } },
+    select: {
+      id: true,
+      bugNumber: true,
+      title: true,
+      status: true,
+      severity: true,
+      priority: true,
+      testCaseId: true,
+      executionId: true,
+      createdAt: true,
+      assignee: { select: { id: true, name: true } },
+    },
+  });
+
+  const indexByBugId = new Map(indexRows.map((row) => [row.resourceId, row]));
+
+  return bugs
+    .map((bug) => {
+      const indexed = indexByBugId.get(bug.id);
+      const titleScore = similarity(titleTokens, tokenize(bug.title));
+      const textScore = indexed ? similarity(textTokens, tokenize(indexed.searchText)) : 0;
+      let score = TITLE_WEIGHT * titleScore + (1 - TITLE_WEIGHT) * textScore;
+
+      const reasons = [];
+      if (executionId && bug.executionId === executionId) {
+        score += SAME_EXECUTION_BOOST;
+        reasons.push('SAME_EXECUTION');
+      } else if (testCaseId && bug.testCaseId === testCaseId) {
+        score += SAME_TEST_CASE_BOOST;
+        reasons.push('SAME_TEST_CASE');
+      }
+      if (titleScore >= SIMILAR_TITLE_THRESHOLD) reasons.push('SIMILAR_TITLE');
+      if (textScore >= SIMILAR_TEXT_THRESHOLD) reasons.push('SIMILAR_TEXT');
+
+      return { ...bug, score: Math.round(Math.min(score, 1) * 100), reasons };
+    })
+    .filter((candidate) => candidate.score >= MIN_SCORE * 100)
+    .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt)
+    .slice(0, take);
+}
+
+export default {
+  findDuplicateBugCandidates,
+};
@@ -24,9 +24,49 @@ import {
 import {
   indexBug,
 } from './searchIndexService.js';
+import {
+  CUSTOM_FIELD_VALUES_INCLUDE,
+  getEntityCustomFieldValues,
+  resolveCustomFieldValues,
+  saveCustomFieldValues,
+  withCustomFields,
+  buildCustomFieldConditions,
+} from './customFieldService.js';
+import {
+  getProjectBugWorkflow,
+  getInitialBugStatus,
+  resolveBugTransition,
+} from './bugWorkflowService.js';
+import { triggerWebhook } from './webhookService.js';
+import {
+  syncBugCreated,
+  syncBugStatus,
+  syncBugAssignee,
+  syncBugComment,
+} from './issueTrackerService.js';
 
 const prisma = getPrismaClient();
 
+/**
+ * Helper: Bug fields sent in webhook payloads
+ * @param {Object} bug - Bug record
+ * @returns {Object} Webhook-safe bug summary
+ */
+function toWebhookBug(bug) {
+  return {
+    id: bug.id,
+    bugNumber: bug.bugNumber,
+    title: bug.title,
+    status: bug.status,
+    severity: bug.severity,
+    priority: bug.priority,
+    assigneeId: bug.assigneeId,
+    reportedBy: bug.reportedBy,
+    testCaseId: bug.testCaseId,
+    executionId: bug.executionId,
+  };
+}
+
 /**
  * Generate unique bug number with atomic increment to prevent collisions
  * Uses database transaction with serializable isolation to prevent race conditions
@@ -89,6 +129,7 @@ export async function createBugFromExecution(data, userId, permissionContext = n
     reproducibility = 'SOMETIMES',
     stepsToReproduce,
     assigneeId,
+    customFields = {},
   } = data;
 
   const normalizedAffectedVersion =
@@ -186,33 +227,47 @@ export async function createBugFromExecution(data, userId, permissionContext = n
     }
   }
 
+  const customFieldEntries = await resolveCustomFieldValues(validatedProjectId, 'BUG', customFields);
+
   const bugNumber = await generateBugNumber(validatedProjectId);
+  const workflow = await getProjectBugWorkflow(validatedProjectId);
 
-  const bug = await prisma.bug.create({
-    data: {
-      projectId: validatedProjectId,
-      title,
-      description: stepsToReproduce || description,
-      bugNumber,
-      severity: validatedSeverity,
-      priority: validatedPriority,
-      environment: validatedEnvironment,
-      affectedVersion: normalizedAffectedVersion,
-      reproducibility: validatedReproducibility,
-      reportedBy: userId,
-      executionId: validatedExecutionId,
-      testCaseId: finalTestCaseId,
-      assigneeId: validatedAssigneeId,
-      status: validatedAssigneeId ? 'ASSIGNED' : 'NEW',
-    },
-    include: {
-      project: { select: { id: true, name: true } },
-      reporter: { select: { id: true, name: true, email: true } },
-      assignee: { select: { id: true, name: true, email: true } },
-      testCase: { select: { id: true, name: true } },
-    },
+  const created = await prisma.$transaction(async (tx) => {
+    const newBug = await tx.bug.create({
+      data: {
+        projectId: validatedProjectId,
+        title,
+        description: stepsToReproduce || description,
+        bugNumber,
+        severity: validatedSeverity,
+        priority: validatedPriority,
+        environment: validatedEnvironment,
+        affectedVersion: normalizedAffectedVersion,
+        reproducibility: validatedReproducibility,
+        reportedBy: userId,
+        executionId: validatedExecutionId,
+        testCaseId: finalTestCaseId,
+        assigneeId: validatedAssigneeId,
+        status: getInitialBugStatus(workflow, Boolean(validatedAssigneeId)),
+      },
+      include: {
+        project: { select: { id: true, name: true } },
+        reporter: { select: { id: true, name: true, email: true } },
+        assignee: { select: { id: true, name: true, email: true } },
+        testCase: { select: { id: true, name: true } },
+      },
+    });
+
+    await saveCustomFieldValues('BUG', newBug.id, customFieldEntries, tx);
+
+    return newBug;
   });
 
+  const bug = {
+    ...created,
+    customFields: await getEntityCustomFieldValues('BUG', created.id),
+  };
+
   // Audit log
   await logAuditAction(userId, 'BUG_CREATED', {
     resourceType: 'BUG',
@@ -224,6 +279,7 @@ export async function createBugFromExecution(data, userId, permissionContext = n
       severity: bug.severity,
       priority: bug.priority,
       assigneeId: bug.assigneeId,
+      ...(customFieldEntries.length > 0 && { customFields: bug.customFields }),
     }),
   });
 
@@ -257,11 +313,18 @@ export async function createBugFromExecution(data, userId, permissionContext = n
     console.error('Error broadcasting bug creation:', error);
   }
 
+  await triggerWebhook('BUG_CREATED', { projectId: bug.projectId, bug: toWebhookBug(bug) });
+
+  // Open the linked issue in the project's external tracker
+  await syncBugCreated(bug);
+
   return bug;
 }
 
 /**
  * Update bug details
+ * When custom field values are submitted, required custom fields must still
+ * have a value after the update is applied.
  * @param {number} bugId - Bug ID
  * @param {Object} updates - Fields to update
  * @param {number} userId - User making update
@@ -298,9 +361,17 @@ export async function updateBug(bugId, updates, userId, projectId, permissionCon
     estimatedFixHours,
     targetFixVersion,
     regressionRiskLevel,
+    customFields,
   } = updates;
 
-  const updated = await prisma.bug.update({
+  const existingCustomFields = await getEntityCustomFieldValues('BUG', bugId);
+  const customFieldEntries = customFields !== undefined
+    ? await resolveCustomFieldValues(existing.projectId, 'BUG', customFields, {
+      existingValues: existingCustomFields,
+    })
+    : [];
+
+  const bug = await prisma.bug.update({
     where: { id: bugId },
     data: {
       ...(title && { title }),
@@ -323,6 +394,13 @@ export async function updateBug(bugId, updates, userId, projectId, permissionCon
     },
   });
 
+  await saveCustomFieldValues('BUG', bugId, customFieldEntries);
+
+  const updated = {
+    ...bug,
+    customFields: await getEntityCustomFieldValues('BUG', bugId),
+  };
+
   // Audit log
   await logAuditAction(userId, 'BUG_STATUS_CHANGED', {
     resourceType: 'BUG',
@@ -330,92 +408,46 @@ export async function updateBug(bugId, updates, userId, projectId, permissionCon
     resourceName: existing.bugNumber,
     projectId: existing.projectId,
     description: `Updated bug ${existing.bugNumber}`,
-    oldValues: JSON.stringify({ severity: existing.severity, priority: existing.priority }),
-    newValues: JSON.stringify({ severity: updated.severity, priority: updated.priority }),
+    oldValues: JSON.stringify({
+      severity: existing.severity,
+      priority: existing.priority,
+      customFields: existingCustomFields,
+    }),
+    newValues: JSON.stringify({
+      severity: updated.severity,
+      priority: updated.priority,
+      customFields: updated.customFields,
+    }),
   });
 
+  await triggerWebhook('BUG_UPDATED', { projectId: existing.projectId, bug: toWebhookBug(updated) });
+
   return updated;
 }
 
 /**
- * Change bug status (with workflow validation)
- * @param {number} bugId - Bug ID
+ * Helper: Move a bug to a new status through the project workflow
+ * Saves the change, then audits, notifies, reindexes and syncs it.
+ * @param {Object} bug - Bug record before the change
  * @param {string} newStatus - New status
  * @param {number} userId - User changing status
- * @param {string} role - User role (deprecated - use permissionContext)
+ * @param {string} role - User role, checked against the workflow transition
  * @param {Object} auditContext - Audit context
- * @param {number} projectId - Project ID
- * @param {Object} permissionContext - Permission context from authorization layer
+ * @param {Object} fields - Transition fields saved with the change
  * @returns {Promise<Object>} Updated bug
- * @throws {Error} If permissionContext is invalid or missing
+ * @throws {Error} If the workflow rejects the transition
  */
-export async function changeBugStatus(bugId, newStatus, userId, role, auditContext = {}, projectId, permissionContext = null) {
-  if (!permissionContext) {
-    throw new Error('Missing permission context: direct service invocation not allowed');
-  }
-  assertPermissionContext(permissionContext, 'bug:status:change', { projectId });
-
-  const bug = await prisma.bug.findFirst({
-    where: { id: bugId, projectId: Number(projectId) },
-  });
-
-  if (!bug) {
-    throw new Error('Bug not found');
-  }
+async function applyBugStatusChange(bug, newStatus, userId, role, auditContext = {}, fields = {}) {
+  const bugId = bug.id;
 
   // Workflow validation
-  const validStatuses = [
-    'NEW', 'ASSIGNED', 'IN_PROGRESS', 'FIXED',
-    'AWAITING_VERIFICATION', 'VERIFIED_FIXED', 'REOPENED',
-    'CANNOT_REPRODUCE', 'DUPLICATE', 'WORKS_AS_DESIGNED',
-    'CLOSED', 'DEFERRED', 'WONTFIX'
-  ];
-
-  if (!validStatuses.includes(newStatus)) {
-    throw new Error(`Invalid status: ${newStatus}`);
-  }
-
-  // Role-based restrictions
-  if (newStatus === 'FIXED' && role !== 'DEVELOPER') {
-    throw new Error('Only developers can mark bugs as FIXED');
-  }
-
-  if (newStatus === 'VERIFIED_FIXED' && role !== 'TESTER') {
-    throw new Error('Only testers can verify bug fixes');
-  }
-
-  if (newStatus === 'REOPENED' && role !== 'TESTER') {
-    throw new Error('Only testers can reopen bugs');
-  }
-
-  // Developer-specific workflow constraints
-  const developerAllowedStatuses = [
-    'IN_PROGRESS',
-    'FIXED',
-    'WONTFIX',
-    'DUPLICATE',
-    'CANNOT_REPRODUCE',
-    'WORKS_AS_DESIGNED',
-  ];
-
-  if (
-    role === 'DEVELOPER' &&
-    !developerAllowedStatuses.includes(newStatus)
-  ) {
-    throw new Error(
-      `Developers can only transition to: ${developerAllowedStatuses.join(', ')}`
-    );
-  }
+  const workflow = await getProjectBugWorkflow(bug.projectId);
+  const { data } = resolveBugTransition(workflow, bug, newStatus, role, fields);
 
   // Update bug
   const updated = await prisma.bug.update({
     where: { id: bugId },
-    data: {
-      status: newStatus,
-      ...(newStatus === 'CLOSED' && {
-        closedAt: new Date(),
-      }),
-    },
+    data,
     include: {
       reporter: { select: { id: true, name: true, email: true } },
       assignee: { select: { id: true, name: true, email: true } },
@@ -441,8 +473,11 @@ export async function changeBugStatus(bugId, newStatus, userId, role, auditConte
     resourceName: bug.bugNumber,
     projectId: bug.projectId,
     description: `Changed bug ${bug.bugNumber} status: ${bug.status} → ${newStatus}`,
-    oldValues: JSON.stringify({ status: bug.status }),
-    newValues: JSON.stringify({ status: newStatus }),
+    oldValues: JSON.stringify({
+      status: bug.status,
+      ...Object.fromEntries(Object.keys(data).filter((key) => key in bug).map((key) => [key, bug[key]])),
+    }),
+    newValues: JSON.stringify(data),
     ...auditContext,
   });
 
@@ -475,6 +510,134 @@ export async function changeBugStatus(bugId, newStatus, userId, role, auditConte
     console.error('Error broadcasting bug status change:', error);
   }
 
+  await triggerWebhook('BUG_STATUS_CHANGED', {
+    projectId: updated.projectId,
+    previousStatus: bug.status,
+    bug: toWebhookBug(updated),
+  });
+
+  await syncBugStatus(updated);
+
+  return updated;
+}
+
+/**
+ * Change bug status (with workflow validation)
+ * The project's bug workflow decides which transitions exist, which roles may take them,
+ * which fields they require and whether they reassign the bug.
+ * @param {number} bugId - Bug ID
+ * @param {string} newStatus - New status
+ * @param {number} userId - User changing status
+ * @param {string} role - User role (deprecated - use permissionContext)
+ * @param {Object} auditContext - Audit context
+ * @param {number} projectId - Project ID
+ * @param {Object} permissionContext - Permission context from authorization layer
+ * @param {Object} fields - Transition fields (e.g. rootCauseCategory) saved with the change
+ * @returns {Promise<Object>} Updated bug
+ * @throws {Error} If permissionContext is invalid or missing, or the workflow rejects the transition
+ */
+export async function changeBugStatus(bugId, newStatus, userId, role, auditContext = {}, projectId, permissionContext = null, fields = {}) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'bug:status:change', { projectId });
+
+  const bug = await prisma.bug.findFirst({
+    where: { id: bugId, projectId: Number(projectId) },
+  });
+
+  if (!bug) {
+    throw new Error('Bug not found');
+  }
+
+  return applyBugStatusChange(bug, newStatus, userId, role, auditContext, fields);
+}
+
+/**
+ * Mark a bug as a duplicate of another bug in the same project
+ * Moves the bug to DUPLICATE through the project workflow and links it to the original.
+ * Duplicates always point at the first bug of a chain, so marking a bug that has
+ * duplicates of its own moves those over to the new original.
+ * @param {number} bugId - Bug ID
+ * @param {number} duplicateOfId - Original bug ID
+ * @param {number} userId - User marking the duplicate
+ * @param {string} role - User role (deprecated - use permissionContext)
+ * @param {Object} auditContext - Audit context
+ * @param {number} projectId - Project ID
+ * @param {Object} permissionContext - Permission context from authorization layer
+ * @returns {Promise<Object>} Updated bug with duplicateOf
+ * @throws {Error} If either bug is missing, the bugs are the same or the workflow has no DUPLICATE state
+ */
+export async function markBugAsDuplicate(bugId, duplicateOfId, userId, role, auditContext = {}, projectId, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'bug:duplicate', { projectId });
+
+  const bug = await prisma.bug.findFirst({
+    where: { id: bugId, projectId: Number(projectId) },
+  });
+  if (!bug) {
+    throw new Error('Bug not found');
+  }
+
+  let original = await prisma.bug.findFirst({
+    where: { id: Number(duplicateOfId), projectId: Number(projectId) },
+    select: { id: true, bugNumber: true, duplicateOfId: true },
+  });
+  if (!original) {
+    throw new Error('Original bug not found');
+  }
+
+  const visited = new Set([original.id]);
+  while (original.duplicateOfId && !visited.has(original.duplicateOfId)) {
+    visited.add(original.duplicateOfId);
+    original = await prisma.bug.findUnique({
+      where: { id: original.duplicateOfId },
+      select: { id: true, bugNumber: true, duplicateOfId: true },
+    });
+  }
+  if (visited.has(bug.id)) {
+    throw new Error('A bug cannot be a duplicate of itself or of its own duplicates');
+  }
+
+  const workflow = await getProjectBugWorkflow(bug.projectId);
+  if (!workflow.states.some((entry) => entry.key === 'DUPLICATE')) {
+    throw new Error('The project bug workflow has no DUPLICATE state');
+  }
+
+  // Re-pointing an existing duplicate keeps its status
+  if (bug.status !== 'DUPLICATE') {
+    await applyBugStatusChange(bug, 'DUPLICATE', userId, role, auditContext);
+  }
+
+  const [updated] = await prisma.$transaction([
+    prisma.bug.update({
+      where: { id: bugId },
+      data: { duplicateOfId: original.id },
+      include: {
+        reporter: { select: { id: true, name: true, email: true } },
+        assignee: { select: { id: true, name: true, email: true } },
+        duplicateOf: { select: { id: true, bugNumber: true, title: true, status: true } },
+      },
+    }),
+    prisma.bug.updateMany({
+      where: { duplicateOfId: bugId },
+      data: { duplicateOfId: original.id },
+    }),
+  ]);
+
+  await logAuditAction(userId, 'BUG_MARKED_DUPLICATE', {
+    resourceType: 'BUG',
+    resourceId: bugId,
+    resourceName: bug.bugNumber,
+    projectId: bug.projectId,
+    description: `Marked bug ${bug.bugNumber} as a duplicate of ${original.bugNumber}`,
+    oldValues: JSON.stringify({ duplicateOfId: bug.duplicateOfId }),
+    newValues: JSON.stringify({ duplicateOfId: original.id }),
+    ...auditContext,
+  });
+
   return updated;
 }
 
@@ -502,11 +665,14 @@ export async function assignBug(bugId, assigneeId, userId, projectId, permission
     throw new Error('Bug not found');
   }
 
+  // Workflows without an assigned state keep the bug's current status
+  const workflow = await getProjectBugWorkflow(bug.projectId);
+
   const updated = await prisma.bug.update({
     where: { id: bugId },
     data: {
       assigneeId: Number(assigneeId),
-      status: 'ASSIGNED',
+      status: workflow.assignedState || bug.status,
     },
     include: {
       assignee: { select: { id: true, name: true, email: true } },
@@ -531,6 +697,17 @@ export async function assignBug(bugId, assigneeId, userId, projectId, permission
     console.error('Error triggering bug assigned notifications:', error);
   }
 
+  await triggerWebhook('BUG_ASSIGNED', {
+    projectId: bug.projectId,
+    previousAssigneeId: bug.assigneeId,
+    bug: toWebhookBug(updated),
+  });
+
+  await syncBugAssignee(updated);
+  if (updated.status !== bug.status) {
+    await syncBugStatus(updated);
+  }
+
   return updated;
 }
 
@@ -587,6 +764,11 @@ export async function addBugComment(bugId, body, userId, isInternal = false, pro
     description: `Added comment to bug`,
   });
 
+  // Internal comments stay in TestTrack
+  if (!isInternal) {
+    await syncBugComment(comment);
+  }
+
   return comment;
 }
 
@@ -630,6 +812,15 @@ export async function getBugDetails(bugId, projectId) {
         },
         orderBy: { requestedAt: 'desc' },
       },
+      customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
+      externalIssue: {
+        select: { externalKey: true, externalUrl: true, lastSyncedAt: true, lastSyncError: true },
+      },
+      duplicateOf: { select: { id: true, bugNumber: true, title: true, status: true } },
+      duplicates: {
+        select: { id: true, bugNumber: true, title: true, status: true },
+        orderBy: { createdAt: 'asc' },
+      },
     },
   });
 
@@ -637,7 +828,7 @@ export async function getBugDetails(bugId, projectId) {
     throw new Error('Bug not found');
   }
 
-  return bug;
+  return withCustomFields(bug);
 }
 
 /**
@@ -654,6 +845,7 @@ export async function getProjectBugs(projectId, filters = {}) {
     assigneeId,
     reporterId,
     search,
+    customFields,
     skip = 0,
     take = 50,
   } = filters;
@@ -661,6 +853,11 @@ export async function getProjectBugs(projectId, filters = {}) {
   // Sanitize search input to prevent injection
   const sanitizedSearch = search ? String(search).trim().slice(0, 100) : null;
 
+  // Custom field values only have meaning within a single project
+  const customFieldConditions = projectId
+    ? await buildCustomFieldConditions(projectId, 'BUG', customFields)
+    : [];
+
   const where = {
     ...(projectId && { projectId: Number(projectId) }),
     ...(status && { status }),
@@ -675,6 +872,7 @@ export async function getProjectBugs(projectId, filters = {}) {
         { bugNumber: { contains: sanitizedSearch, mode: 'insensitive' } },
       ],
     }),
+    ...(customFieldConditions.length > 0 && { AND: customFieldConditions }),
   };
 
   const [bugs, total] = await Promise.all([
@@ -684,6 +882,7 @@ export async function getProjectBugs(projectId, filters = {}) {
         reporter: { select: { id: true, name: true } },
         assignee: { select: { id: true, name: true } },
         testCase: { select: { id: true, name: true } },
+        customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
       },
       skip: Number(skip),
       take: Number(take),
@@ -692,7 +891,7 @@ export async function getProjectBugs(projectId, filters = {}) {
     prisma.bug.count({ where }),
   ]);
 
-  return { bugs, total, skip, take };
+  return { bugs: bugs.map(withCustomFields), total, skip, take };
 }
 
 /**
@@ -954,6 +1153,7 @@ export default {
   createBugFromExecution,
   updateBug,
   changeBugStatus,
+  markBugAsDuplicate,
   assignBug,
   addBugComment,
   getBugDetails,
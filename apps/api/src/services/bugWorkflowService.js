@@ -0,0 +1,443 @@
+/**
+ * BUG WORKFLOW SERVICE
+ * Per-project bug states, allowed transitions, role rules, required fields and auto-assignment
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+import { logAuditAction } from './auditService.js';
+import { assertPermissionContext } from '../lib/policy.js';
+import { ROLES } from '../lib/permissions.js';
+
+const prisma = getPrismaClient();
+
+const ALL_ROLES = Object.values(ROLES);
+const STATE_KEY_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const ANY_STATE = '*';
+
+/**
+ * Bug fields a transition can require. They can be supplied together with the status change.
+ */
+export const BUG_TRANSITION_FIELDS = [
+  'rootCauseCategory',
+  'rootCauseAnalysis',
+  'fixStrategy',
+  'fixDocumentation',
+  'fixedInCommitHash',
+  'fixBranchName',
+  'codeReviewUrl',
+  'actualFixHours',
+  'fixedInVersion',
+  'targetFixVersion',
+];
+
+export const AUTO_ASSIGN_STRATEGIES = ['REPORTER', 'USER', 'UNASSIGN'];
+
+// Bugs in these states are resolved even though the workflow does not close them
+export const RESOLVED_BUG_STATUSES = ['VERIFIED_FIXED', 'WORKS_AS_DESIGNED', 'DUPLICATE', 'WONTFIX', 'CANNOT_REPRODUCE'];
+
+const state = (key, label, extra = {}) => ({ key, label, isInitial: false, isClosed: false, ...extra });
+const transition = (to, roles) => ({ from: [ANY_STATE], to, roles, requiredFields: [], autoAssign: null });
+
+/**
+ * Workflow used by projects that have not defined their own.
+ * Mirrors the rules changeBugStatus enforced before workflows were configurable.
+ */
+export const DEFAULT_BUG_WORKFLOW = {
+  states: [
+    state('NEW', 'New', { isInitial: true }),
+    state('ASSIGNED', 'Assigned'),
+    state('IN_PROGRESS', 'In Progress'),
+    state('FIXED', 'Fixed'),
+    state('AWAITING_VERIFICATION', 'Awaiting Verification'),
+    state('VERIFIED_FIXED', 'Verified Fixed'),
+    state('REOPENED', 'Reopened'),
+    state('CANNOT_REPRODUCE', 'Cannot Reproduce'),
+    state('DUPLICATE', 'Duplicate'),
+    state('WORKS_AS_DESIGNED', 'Works As Designed'),
+    state('CLOSED', 'Closed', { isClosed: true }),
+    state('DEFERRED', 'Deferred'),
+    state('WONTFIX', "Won't Fix"),
+  ],
+  assignedState: 'ASSIGNED',
+  transitions: [
+    transition('NEW', [ROLES.ADMIN, ROLES.TESTER]),
+    transition('ASSIGNED', [ROLES.ADMIN, ROLES.TESTER]),
+    transition('IN_PROGRESS', ALL_ROLES),
+    transition('FIXED', [ROLES.DEVELOPER]),
+    transition('AWAITING_VERIFICATION', [ROLES.ADMIN, ROLES.TESTER]),
+    transition('VERIFIED_FIXED', [ROLES.TESTER]),
+    transition('REOPENED', [ROLES.TESTER]),
+    transition('CANNOT_REPRODUCE', ALL_ROLES),
+    transition('DUPLICATE', ALL_ROLES),
+    transition('WORKS_AS_DESIGNED', ALL_ROLES),
+    transition('CLOSED', [ROLES.ADMIN, ROLES.TESTER]),
+    transition('DEFERRED', [ROLES.ADMIN, ROLES.TESTER]),
+    transition('WONTFIX', ALL_ROLES),
+  ],
+};
+
+/**
+ * Helper: Check whether a bug field has a value
+ * @param {*} value - Field value
+ * @returns {boolean} True when set
+ */
+function hasValue(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Helper: Validate a workflow definition
+ * @param {Object} definition - { states, transitions, assignedState }
+ * @returns {Object} Normalized definition
+ * @throws {Error} Describing the first problem found
+ */
+function normalizeWorkflow(definition) {
+  const { states, transitions, assignedState = null } = definition || {};
+
+  if (!Array.isArray(states) || states.length === 0) {
+    throw new Error('Workflow needs at least one state');
+  }
+
+  const keys = new Set();
+  const normalizedStates = states.map((entry) => {
+    const key = entry.key?.trim().toUpperCase();
+    if (!key || !STATE_KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid state key "${entry.key ?? ''}": use upper-case letters, digits and underscores`);
+    }
+    if (keys.has(key)) {
+      throw new Error(`Duplicate state "${key}"`);
+    }
+    keys.add(key);
+    return {
+      key,
+      label: entry.label?.trim() || key,
+      isInitial: Boolean(entry.isInitial),
+      isClosed: Boolean(entry.isClosed),
+    };
+  });
+
+  if (normalizedStates.filter((entry) => entry.isInitial).length !== 1) {
+    throw new Error('Workflow needs exactly one initial state');
+  }
+
+  if (assignedState && !keys.has(assignedState)) {
+    throw new Error(`Assigned state "${assignedState}" is not a workflow state`);
+  }
+
+  if (!Array.isArray(transitions)) {
+    throw new Error('Transitions must be an array');
+  }
+
+  const normalizedTransitions = transitions.map((entry, index) => {
+    const label = `Transition ${index + 1}`;
+    const from = Array.isArray(entry.from) ? entry.from : [entry.from || ANY_STATE];
+
+    if (!keys.has(entry.to)) {
+      throw new Error(`${label}: target state "${entry.to}" is not a workflow state`);
+    }
+    const unknownFrom = from.filter((key) => key !== ANY_STATE && !keys.has(key));
+    if (from.length === 0 || unknownFrom.length > 0) {
+      throw new Error(`${label}: unknown source state(s) ${unknownFrom.join(', ') || '(none)'}`);
+    }
+    if (!Array.isArray(entry.roles) || entry.roles.length === 0 || entry.roles.some((role) => !ALL_ROLES.includes(role))) {
+      throw new Error(`${label}: roles must be a non-empty list of ${ALL_ROLES.join(', ')}`);
+    }
+
+    const requiredFields = entry.requiredFields || [];
+    const unknownFields = requiredFields.filter((field) => !BUG_TRANSITION_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      throw new Error(`${label}: unknown required field(s) ${unknownFields.join(', ')}`);
+    }
+
+    let autoAssign = null;
+    if (entry.autoAssign?.strategy) {
+      if (!AUTO_ASSIGN_STRATEGIES.includes(entry.autoAssign.strategy)) {
+        throw new Error(`${label}: auto-assign must be one of ${AUTO_ASSIGN_STRATEGIES.join(', ')}`);
+      }
+      if (entry.autoAssign.strategy === 'USER' && !entry.autoAssign.userId) {
+        throw new Error(`${label}: auto-assign to a user needs a userId`);
+      }
+      autoAssign = entry.autoAssign.strategy === 'USER'
+        ? { strategy: 'USER', userId: Number(entry.autoAssign.userId) }
+        : { strategy: entry.autoAssign.strategy };
+    }
+
+    return {
+      from: from.includes(ANY_STATE) ? [ANY_STATE] : [...new Set(from)],
+      to: entry.to,
+      roles: [...new Set(entry.roles)],
+      requiredFields: [...new Set(requiredFields)],
+      autoAssign,
+    };
+  });
+
+  return { states: normalizedStates, transitions: normalizedTransitions, assignedState };
+}
+
+/**
+ * Get the workflow a project uses
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Object>} { states, transitions, assignedState, isDefault, updatedAt, updater }
+ */
+export async function getProjectBugWorkflow(projectId) {
+  const workflow = await prisma.bugWorkflow.findUnique({
+    where: { projectId: Number(projectId) },
+    include: { updater: { select: { id: true, name: true } } },
+  });
+
+  if (!workflow) {
+    return { ...DEFAULT_BUG_WORKFLOW, isDefault: true, updatedAt: null, updater: null };
+  }
+
+  return {
+    states: workflow.states,
+    transitions: workflow.transitions,
+    assignedState: workflow.assignedState,
+    isDefault: false,
+    updatedAt: workflow.updatedAt,
+    updater: workflow.updater,
+  };
+}
+
+/**
+ * Status of a new bug under a workflow
+ * @param {Object} workflow - Project workflow
+ * @param {boolean} hasAssignee - Whether the bug is created with an assignee
+ * @returns {string} State key
+ */
+export function getInitialBugStatus(workflow, hasAssignee = false) {
+  if (hasAssignee && workflow.assignedState) {
+    return workflow.assignedState;
+  }
+  return workflow.states.find((entry) => entry.isInitial).key;
+}
+
+/**
+ * State keys of bugs that need no more work under a workflow
+ * @param {Object} workflow - Project workflow
+ * @returns {string[]} Closed states of the workflow plus RESOLVED_BUG_STATUSES
+ */
+export function getResolvedBugStatuses(workflow) {
+  return [
+    ...workflow.states.filter((entry) => entry.isClosed).map((entry) => entry.key),
+    ...RESOLVED_BUG_STATUSES,
+  ];
+}
+
+/**
+ * Helper: Transitions that lead from a state to another, in definition order
+ * @param {Object} workflow - Project workflow
+ * @param {string} from - Current state key
+ * @param {string} to - Target state key
+ * @returns {Array} Matching transitions
+ */
+function findTransitions(workflow, from, to) {
+  return workflow.transitions.filter((entry) =>
+    entry.to === to && (entry.from.includes(ANY_STATE) || entry.from.includes(from)));
+}
+
+/**
+ * Validate a status change against a workflow and build the bug update it implies
+ * @param {Object} workflow - Project workflow
+ * @param {Object} bug - Bug as stored
+ * @param {string} newStatus - Target state key
+ * @param {string} role - Role of the user making the change
+ * @param {Object} fields - Values for transition fields supplied with the change
+ * @returns {Object} { transition, targetState, data } where data is the Prisma update
+ * @throws {Error} If the state is unknown, the transition is not allowed, or required fields are missing
+ */
+export function resolveBugTransition(workflow, bug, newStatus, role, fields = {}) {
+  const targetState = workflow.states.find((entry) => entry.key === newStatus);
+  if (!targetState) {
+    throw new Error(`Invalid status: ${newStatus}`);
+  }
+
+  const candidates = findTransitions(workflow, bug.status, newStatus);
+  if (candidates.length === 0) {
+    throw new Error(`Transition from ${bug.status} to ${newStatus} is not allowed`);
+  }
+
+  const transitionForRole = candidates.find((entry) => entry.roles.includes(role));
+  if (!transitionForRole) {
+    const roles = [...new Set(candidates.flatMap((entry) => entry.roles))];
+    throw new Error(`Only ${roles.join(', ')} can move bugs from ${bug.status} to ${newStatus}`);
+  }
+
+  const suppliedFields = Object.fromEntries(
+    Object.entries(fields || {}).filter(([name]) => BUG_TRANSITION_FIELDS.includes(name)),
+  );
+  const missingFields = transitionForRole.requiredFields.filter((name) =>
+    !hasValue(suppliedFields[name] ?? bug[name]));
+  if (missingFields.length > 0) {
+    throw new Error(`Fields required to move to ${newStatus}: ${missingFields.join(', ')}`);
+  }
+
+  const data = {
+    ...suppliedFields,
+    ...(suppliedFields.actualFixHours !== undefined && { actualFixHours: Number(suppliedFields.actualFixHours) }),
+    status: newStatus,
+    ...(targetState.isClosed && { closedAt: new Date() }),
+  };
+
+  const autoAssign = transitionForRole.autoAssign;
+  if (autoAssign?.strategy === 'REPORTER') data.assigneeId = bug.reportedBy;
+  if (autoAssign?.strategy === 'USER') data.assigneeId = autoAssign.userId;
+  if (autoAssign?.strategy === 'UNASSIGN') data.assigneeId = null;
+
+  return { transition: transitionForRole, targetState, data };
+}
+
+/**
+ * List the transitions a role can take from a bug's current state
+ * @param {number} projectId - Project ID
+ * @param {number} bugId - Bug ID
+ * @param {string} role - Role of the requesting user
+ * @returns {Promise<Object>} { status, transitions: [{ to, label, requiredFields, autoAssign }] }
+ * @throws {Error} If the bug is not in the project
+ */
+export async function getAvailableBugTransitions(projectId, bugId, role) {
+  const bug = await prisma.bug.findFirst({
+    where: { id: Number(bugId), projectId: Number(projectId) },
+    select: { id: true, status: true },
+  });
+
+  if (!bug) {
+    throw new Error('Bug not found');
+  }
+
+  const workflow = await getProjectBugWorkflow(projectId);
+  const available = workflow.states
+    .filter((entry) => entry.key !== bug.status)
+    .map((entry) => ({
+      state: entry,
+      transition: findTransitions(workflow, bug.status, entry.key).find((candidate) => candidate.roles.includes(role)),
+    }))
+    .filter(({ transition: match }) => match)
+    .map(({ state: entry, transition: match }) => ({
+      to: entry.key,
+      label: entry.label,
+      requiredFields: match.requiredFields,
+      autoAssign: match.autoAssign,
+    }));
+
+  return { status: bug.status, transitions: available };
+}
+
+/**
+ * Save a project's workflow definition
+ * States still used by bugs of the project cannot be removed.
+ * @param {number} projectId - Project ID
+ * @param {Object} definition - { states, transitions, assignedState }
+ * @param {number} userId - Admin saving the workflow
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Saved workflow
+ * @throws {Error} If the definition is invalid
+ */
+export async function saveProjectBugWorkflow(projectId, definition, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'bugWorkflow:manage', { projectId });
+
+  const workflow = normalizeWorkflow(definition);
+  const stateKeys = workflow.states.map((entry) => entry.key);
+
+  const orphaned = await prisma.bug.groupBy({
+    by: ['status'],
+    where: { projectId: Number(projectId), status: { notIn: stateKeys } },
+    _count: { _all: true },
+  });
+  if (orphaned.length > 0) {
+    const summary = orphaned.map((group) => `${group.status} (${group._count._all})`).join(', ');
+    throw new Error(`Bugs are still in states missing from the workflow: ${summary}`);
+  }
+
+  const assigneeIds = [...new Set(workflow.transitions
+    .filter((entry) => entry.autoAssign?.strategy === 'USER')
+    .map((entry) => entry.autoAssign.userId))];
+  if (assigneeIds.length > 0) {
+    const [members, project] = await Promise.all([
+      prisma.projectUserAllocation.findMany({
+        where: { projectId: Number(projectId), userId: { in: assigneeIds }, isActive: true },
+        select: { userId: true },
+      }),
+      prisma.project.findUnique({ where: { id: Number(projectId) }, select: { ownerId: true } }),
+    ]);
+    const memberIds = new Set([...members.map((member) => member.userId), project?.ownerId]);
+    const outsiders = assigneeIds.filter((id) => !memberIds.has(id));
+    if (outsiders.length > 0) {
+      throw new Error(`Auto-assign users are not members of the project: ${outsiders.join(', ')}`);
+    }
+  }
+
+  const previous = await getProjectBugWorkflow(projectId);
+
+  await prisma.bugWorkflow.upsert({
+    where: { projectId: Number(projectId) },
+    create: { projectId: Number(projectId), ...workflow, updatedBy: userId },
+    update: { ...workflow, updatedBy: userId },
+  });
+
+  await logAuditAction(userId, 'BUG_WORKFLOW_UPDATED', {
+    resourceType: 'PROJECT',
+    resourceId: Number(projectId),
+    projectId: Number(projectId),
+    description: `Bug workflow saved with ${workflow.states.length} states and ${workflow.transitions.length} transitions`,
+    oldValues: JSON.stringify({ states: previous.states.map((entry) => entry.key), isDefault: previous.isDefault }),
+    newValues: JSON.stringify({ states: stateKeys }),
+    ...auditContext,
+  });
+
+  return getProjectBugWorkflow(projectId);
+}
+
+/**
+ * Drop a project's workflow so it uses the default one again
+ * @param {number} projectId - Project ID
+ * @param {number} userId - Admin resetting the workflow
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Default workflow
+ * @throws {Error} If bugs are in states the default workflow does not have
+ */
+export async function resetProjectBugWorkflow(projectId, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'bugWorkflow:manage', { projectId });
+
+  const defaultKeys = DEFAULT_BUG_WORKFLOW.states.map((entry) => entry.key);
+  const orphaned = await prisma.bug.count({
+    where: { projectId: Number(projectId), status: { notIn: defaultKeys } },
+  });
+  if (orphaned > 0) {
+    throw new Error(`${orphaned} bug(s) are in states the default workflow does not have`);
+  }
+
+  await prisma.bugWorkflow.deleteMany({ where: { projectId: Number(projectId) } });
+
+  await logAuditAction(userId, 'BUG_WORKFLOW_RESET', {
+    resourceType: 'PROJECT',
+    resourceId: Number(projectId),
+    projectId: Number(projectId),
+    description: 'Bug workflow reset to the default',
+    ...auditContext,
+  });
+
+  return getProjectBugWorkflow(projectId);
+}
+
+export default {
+  DEFAULT_BUG_WORKFLOW,
+  BUG_TRANSITION_FIELDS,
+  AUTO_ASSIGN_STRATEGIES,
+  RESOLVED_BUG_STATUSES,
+  getProjectBugWorkflow,
+  getInitialBugStatus,
+  getResolvedBugStatuses,
+  resolveBugTransition,
+  getAvailableBugTransitions,
+  saveProjectBugWorkflow,
+  resetProjectBugWorkflow,
+};
@@ -1,9 +1,10 @@
 import { getPrismaClient } from '../lib/prisma.js';
+import { appendChainedEntry, streamAuditExport } from './auditChainService.js';
 
 const prisma = getPrismaClient();
 
 /**
- * Write to chat audit log before executing admin actions
+ * Write to chat audit log before executing admin actions (appended to the hash chain)
  * @param {number} adminId - Admin user ID
  * @param {string} adminName - Admin user name
  * @param {string} actionType - Action type (MESSAGE_DELETED, USER_MUTED, etc)
@@ -22,16 +23,14 @@ export async function createAuditLog(
   targetType,
   reason = null
 ) {
-  return await prisma.chatAuditLog.create({
-    data: {
-      adminId,
-      adminName,
-      actionType,
-      targetId,
-      targetName,
-      targetType,
-      reason,
-    },
+  return await appendChainedEntry('chat', {
+    adminId,
+    adminName,
+    actionType,
+    targetId,
+    targetName,
+    targetType,
+    reason,
   });
 }
 
@@ -446,13 +445,9 @@ export async function getAllChannels(limit = 50, offset = 0) {
 }
 
 /**
- * Get audit logs with filters
- * @param {Object} filters - Filter object {actionType, dateFrom, dateTo, targetType}
- * @param {number} limit - Number to fetch
- * @param {number} offset - Pagination offset
- * @returns {Promise<{logs: Array, total: number}>}
+ * Helper: Where clause for chat audit log filters (valid for the archive table too)
  */
-export async function getAuditLogs(filters = {}, limit = 50, offset = 0) {
+function buildAuditLogWhere(filters) {
   const where = {};
 
   if (filters.actionType) {
@@ -486,6 +481,19 @@ export async function getAuditLogs(filters = {}, limit = 50, offset = 0) {
     }
   }
 
+  return where;
+}
+
+/**
+ * Get audit logs with filters
+ * @param {Object} filters - Filter object {actionType, dateFrom, dateTo, targetType}
+ * @param {number} limit - Number to fetch
+ * @param {number} offset - Pagination offset
+ * @returns {Promise<{logs: Array, total: number}>}
+ */
+export async function getAuditLogs(filters = {}, limit = 50, offset = 0) {
+  const where = buildAuditLogWhere(filters);
+
   const [logs, total] = await Promise.all([
     prisma.chatAuditLog.findMany({
       where,
@@ -504,6 +512,16 @@ export async function getAuditLogs(filters = {}, limit = 50, offset = 0) {
   return { logs, total };
 }
 
+/**
+ * Export chat audit logs, archived entries included, as a stream of CSV or NDJSON chunks
+ * @param {Object} filters - Same as getAuditLogs
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {AsyncGenerator<string>}
+ */
+export function exportAuditLogs(filters = {}, format = 'csv') {
+  return streamAuditExport('chat', buildAuditLogWhere(filters), format);
+}
+
 /**
  * Check if user is currently muted
  * @param {number} userId - User ID
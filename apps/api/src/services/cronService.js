@@ -10,6 +10,9 @@ import { retryFailedDeliveries, cleanupOldDeliveries } from './notificationEmitt
 import { retryFailedDeliveries as retryFailedWebhooks } from './webhookService.js';
 import { generateAndSendScheduledReports } from './scheduledReportService.js';
 import { autoUnmuteExpiredMutes } from './chatAdminService.js';
+import { recalculateAllFlakiness } from './flakinessService.js';
+import { syncRunTemplateSchedules, stopRunTemplateSchedules } from './runTemplateService.js';
+import { sealAuditChains, archiveExpiredAuditEntries } from './auditChainService.js';
 import { logInfo, logError, logWarn } from '../lib/logger.js';
 
 let scheduledJobs = [];
@@ -22,6 +25,9 @@ const jobFailureTracker = {
   cleanup: { consecutiveFailures: 0, lastFailure: null, lastSuccess: null },
   scheduledReports: { consecutiveFailures: 0, lastFailure: null, lastSuccess: null },
   autoUnmute: { consecutiveFailures: 0, lastFailure: null, lastSuccess: null },
+  flakiness: { consecutiveFailures: 0, lastFailure: null, lastSuccess: null },
+  runTemplates: { consecutiveFailures: 0, lastFailure: null, lastSuccess: null },
+  auditArchive: { consecutiveFailures: 0, lastFailure: null, lastSuccess: null },
 };
 
 const FAILURE_ALERT_THRESHOLD = 3; // Alert after N consecutive failures
@@ -139,9 +145,8 @@ export function initializeCronJobs() {
   });
   scheduledJobs.push(retryJob);
 
-  // Retry failed webhook deliveries every 5 minutes
-  const webhookRetryJob = cron.schedule('*/5 * * * *', async () => {
-    logInfo('Running failed webhook deliveries retry job');
+  // Process due webhook deliveries every minute (the shortest retry delay)
+  const webhookRetryJob = cron.schedule('* * * * *', async () => {
     try {
       const result = await retryFailedWebhooks();
       if (result.processed > 0) {
@@ -199,6 +204,65 @@ export function initializeCronJobs() {
   });
   scheduledJobs.push(autoUnmuteJob);
 
+  // Recalculate flakiness scores every day at 3 AM
+  const flakinessJob = cron.schedule('0 3 * * *', async () => {
+    logInfo('Running flakiness scoring job');
+    try {
+      const result = await recalculateAllFlakiness();
+      logInfo('Flakiness job completed', result);
+      trackJobExecution('flakiness', true);
+    } catch (error) {
+      logError('Error in flakiness job', { error });
+      trackJobExecution('flakiness', false, error);
+    }
+  });
+  scheduledJobs.push(flakinessJob);
+
+  // Each run template with a schedule gets its own cron task; resync every 5 minutes
+  // to pick up templates changed through another instance
+  const syncRunTemplates = async () => {
+    try {
+      const result = await syncRunTemplateSchedules();
+      trackJobExecution('runTemplates', true);
+      return result;
+    } catch (error) {
+      logError('Error syncing run template schedules', { error });
+      trackJobExecution('runTemplates', false, error);
+      return null;
+    }
+  };
+  syncRunTemplates().then((result) => {
+    if (result) {
+      logInfo('Run template schedules loaded', result);
+    }
+  });
+  const runTemplateSyncJob = cron.schedule('*/5 * * * *', syncRunTemplates);
+  scheduledJobs.push(runTemplateSyncJob);
+
+  // Seal audit entries written before hash chaining existed, so the first audited
+  // request does not have to; a no-op once the chains have started
+  sealAuditChains()
+    .then((result) => {
+      if (result.audit > 0 || result.chat > 0) {
+        logInfo('Sealed existing audit log entries', result);
+      }
+    })
+    .catch((error) => logError('Error sealing audit log entries', { error }));
+
+  // Move audit entries past their retention period to the archive tables every day at 4 AM
+  const auditArchiveJob = cron.schedule('0 4 * * *', async () => {
+    logInfo('Running audit log archive job');
+    try {
+      const result = await archiveExpiredAuditEntries();
+      logInfo('Audit log archive job completed', result);
+      trackJobExecution('auditArchive', true);
+    } catch (error) {
+      logError('Error in audit log archive job', { error });
+      trackJobExecution('auditArchive', false, error);
+    }
+  });
+  scheduledJobs.push(auditArchiveJob);
+
   logInfo('Cron jobs initialized', { count: scheduledJobs.length });
 }
 
@@ -209,6 +273,7 @@ export function stopAllCronJobs() {
   logInfo('Stopping all cron jobs');
   scheduledJobs.forEach((job) => job.stop());
   scheduledJobs = [];
+  stopRunTemplateSchedules();
   logInfo('All cron jobs stopped');
 }
 
@@ -238,7 +303,7 @@ export function getCronJobStatus() {
       },
       { 
         name: 'Webhook Delivery Retry', 
-        schedule: '*/5 * * * * (every 5 minutes)', 
+        schedule: '* * * * * (every minute)', 
         active: scheduledJobs.length > 0,
         consecutiveFailures: jobFailureTracker.webhookRetry.consecutiveFailures,
         lastSuccess: jobFailureTracker.webhookRetry.lastSuccess,
@@ -268,6 +333,30 @@ export function getCronJobStatus() {
         lastSuccess: jobFailureTracker.autoUnmute.lastSuccess,
         lastFailure: jobFailureTracker.autoUnmute.lastFailure,
       },
+      {
+        name: 'Flakiness Scoring',
+        schedule: '0 3 * * * (daily at 3 AM)',
+        active: scheduledJobs.length > 0,
+        consecutiveFailures: jobFailureTracker.flakiness.consecutiveFailures,
+        lastSuccess: jobFailureTracker.flakiness.lastSuccess,
+        lastFailure: jobFailureTracker.flakiness.lastFailure,
+      },
+      {
+        name: 'Run Template Schedules',
+        schedule: '*/5 * * * * (sync; runs follow each template\'s cron)',
+        active: scheduledJobs.length > 0,
+        consecutiveFailures: jobFailureTracker.runTemplates.consecutiveFailures,
+        lastSuccess: jobFailureTracker.runTemplates.lastSuccess,
+        lastFailure: jobFailureTracker.runTemplates.lastFailure,
+      },
+      {
+        name: 'Audit Log Archiving',
+        schedule: '0 4 * * * (daily at 4 AM)',
+        active: scheduledJobs.length > 0,
+        consecutiveFailures: jobFailureTracker.auditArchive.consecutiveFailures,
+        lastSuccess: jobFailureTracker.auditArchive.lastSuccess,
+        lastFailure: jobFailureTracker.auditArchive.lastFailure,
+      },
     ],
   };
 }
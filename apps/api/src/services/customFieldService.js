@@ -0,0 +1,341 @@
+/**
+ * CUSTOM FIELD SERVICE
+ * Resolves, validates and stores project custom field values for test cases and bugs
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+
+const prisma = getPrismaClient();
+
+export const CUSTOM_FIELD_TYPES = ['TEXT', 'NUMBER', 'SELECT', 'DATE', 'CHECKBOX'];
+export const CUSTOM_FIELD_ENTITY_TYPES = ['TEST_CASE', 'BUG', 'ALL'];
+
+// Column on CustomFieldValue that links a value to its owning entity
+const ENTITY_COLUMNS = {
+  TEST_CASE: 'testCaseId',
+  BUG: 'bugId',
+};
+
+// Prisma include used to load values together with their field definition
+export const CUSTOM_FIELD_VALUES_INCLUDE = {
+  include: {
+    customField: { select: { id: true, name: true, fieldType: true } },
+  },
+};
+
+const TRUE_VALUES = ['true', 'yes', '1'];
+const FALSE_VALUES = ['false', 'no', '0'];
+
+function getEntityColumn(entityType) {
+  const column = ENTITY_COLUMNS[entityType];
+  if (!column) {
+    throw new Error(`Invalid custom field entity type: ${entityType}`);
+  }
+  return column;
+}
+
+/**
+ * Get active custom fields of a project that apply to an entity type
+ * @param {number} projectId - Project ID
+ * @param {string} entityType - TEST_CASE or BUG (omit for all fields)
+ * @returns {Promise<Array>} Custom field definitions ordered for display
+ */
+export async function getProjectCustomFields(projectId, entityType = null) {
+  return prisma.customField.findMany({
+    where: {
+      projectId: Number(projectId),
+      isActive: true,
+      ...(entityType && { entityType: { in: [entityType, 'ALL'] } }),
+    },
+    orderBy: [{ order: 'asc' }, { name: 'asc' }],
+  });
+}
+
+/**
+ * Validate a raw value against its field type and convert it to storage form
+ * @param {Object} field - Custom field definition
+ * @param {*} rawValue - Value supplied by the client, CSV or API
+ * @returns {string|null} Serialized value, or null when the value is empty
+ * @throws {Error} If the value does not match the field type
+ */
+export function normalizeCustomFieldValue(field, rawValue) {
+  if (rawValue === undefined || rawValue === null) {
+    return null;
+  }
+
+  const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+  if (value === '') {
+    return null;
+  }
+
+  switch (field.fieldType) {
+    case 'TEXT':
+      return String(value);
+
+    case 'NUMBER': {
+      const number = typeof value === 'boolean' ? NaN : Number(value);
+      if (!Number.isFinite(number)) {
+        throw new Error(`Custom field "${field.name}" must be a number`);
+      }
+      return String(number);
+    }
+
+    case 'SELECT': {
+      const option = String(value);
+      if (!field.options.includes(option)) {
+        throw new Error(`Custom field "${field.name}" must be one of: ${field.options.join(', ')}`);
+      }
+      return option;
+    }
+
+    case 'DATE': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`Custom field "${field.name}" must be a valid date`);
+      }
+      return date.toISOString().slice(0, 10);
+    }
+
+    case 'CHECKBOX': {
+      const flag = String(value).toLowerCase();
+      if (TRUE_VALUES.includes(flag)) return 'true';
+      if (FALSE_VALUES.includes(flag)) return 'false';
+      throw new Error(`Custom field "${field.name}" must be true or false`);
+    }
+
+    default:
+      throw new Error(`Custom field "${field.name}" has unsupported type ${field.fieldType}`);
+  }
+}
+
+/**
+ * Convert a stored value back to its typed representation
+ * @param {string} fieldType - Custom field type
+ * @param {string|null} value - Serialized value
+ * @returns {string|number|boolean|null} Typed value
+ */
+export function parseCustomFieldValue(fieldType, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (fieldType === 'NUMBER') {
+    return Number(value);
+  }
+  if (fieldType === 'CHECKBOX') {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Map loaded CustomFieldValue rows to a { fieldName: typedValue } object
+ * @param {Array} values - Rows loaded with CUSTOM_FIELD_VALUES_INCLUDE
+ * @returns {Object} Custom field values keyed by field name
+ */
+export function mapCustomFieldValues(values = []) {
+  return values.reduce((acc, row) => {
+    acc[row.customField.name] = parseCustomFieldValue(row.customField.fieldType, row.value);
+    return acc;
+  }, {});
+}
+
+/**
+ * Replace the customFieldValues relation of a loaded entity with a customFields object
+ * @param {Object} entity - Test case or bug loaded with customFieldValues
+ * @returns {Object} Entity with customFields
+ */
+export function withCustomFields(entity) {
+  if (!entity) {
+    return entity;
+  }
+  const { customFieldValues, ...rest } = entity;
+  return {
+    ...rest,
+    customFields: mapCustomFieldValues(customFieldValues),
+  };
+}
+
+/**
+ * Get the custom field values stored for an entity
+ * @param {string} entityType - TEST_CASE or BUG
+ * @param {number} entityId - Test case or bug ID
+ * @returns {Promise<Object>} Custom field values keyed by field name
+ */
+export async function getEntityCustomFieldValues(entityType, entityId) {
+  const values = await prisma.customFieldValue.findMany({
+    where: { [getEntityColumn(entityType)]: Number(entityId) },
+    ...CUSTOM_FIELD_VALUES_INCLUDE,
+  });
+
+  return mapCustomFieldValues(values);
+}
+
+/**
+ * Validate submitted custom field values for an entity
+ * Required fields are checked against the submitted values merged over the
+ * values the entity already has, so partial updates do not trip the check.
+ * @param {number} projectId - Project ID
+ * @param {string} entityType - TEST_CASE or BUG
+ * @param {Object} input - Submitted values keyed by field name
+ * @param {Object} options - Validation options
+ * @param {Object} options.existingValues - Values currently stored for the entity
+ * @param {boolean} options.enforceRequired - Reject missing required values
+ * @returns {Promise<Array>} Entries of { field, value } ready for saveCustomFieldValues
+ * @throws {Error} If a field is unknown, a value is invalid or a required value is missing
+ */
+export async function resolveCustomFieldValues(projectId, entityType, input = {}, options = {}) {
+  const { existingValues = {}, enforceRequired = true } = options;
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('customFields must be an object keyed by field name');
+  }
+
+  const fields = await getProjectCustomFields(projectId, entityType);
+  const fieldsByName = new Map(fields.map(field => [field.name, field]));
+
+  const unknown = Object.keys(input).filter(name => !fieldsByName.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown custom field(s): ${unknown.join(', ')}`);
+  }
+
+  const entries = Object.entries(input).map(([name, rawValue]) => {
+    const field = fieldsByName.get(name);
+    return { field, value: normalizeCustomFieldValue(field, rawValue) };
+  });
+
+  if (enforceRequired) {
+    const submitted = new Map(entries.map(entry => [entry.field.name, entry.value]));
+    const missing = fields
+      .filter(field => field.isRequired)
+      .filter(field => {
+        const value = submitted.has(field.name) ? submitted.get(field.name) : existingValues[field.name];
+        return value === null || value === undefined || value === '';
+      })
+      .map(field => field.name);
+
+    if (missing.length > 0) {
+      throw new Error(`Missing required custom field(s): ${missing.join(', ')}`);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Store resolved custom field values for an entity, clearing empty ones
+ * @param {string} entityType - TEST_CASE or BUG
+ * @param {number} entityId - Test case or bug ID
+ * @param {Array} entries - Entries returned by resolveCustomFieldValues
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<void>}
+ */
+export async function saveCustomFieldValues(entityType, entityId, entries, client = prisma) {
+  if (!entries || entries.length === 0) {
+    return;
+  }
+
+  const column = getEntityColumn(entityType);
+
+  await client.customFieldValue.deleteMany({
+    where: {
+      [column]: Number(entityId),
+      customFieldId: { in: entries.map(entry => entry.field.id) },
+    },
+  });
+
+  const rows = entries
+    .filter(entry => entry.value !== null)
+    .map(entry => ({
+      customFieldId: entry.field.id,
+      [column]: Number(entityId),
+      value: entry.value,
+    }));
+
+  if (rows.length > 0) {
+    await client.customFieldValue.createMany({ data: rows });
+  }
+}
+
+/**
+ * Parse a custom field filter supplied as a JSON query string or object
+ * @param {string|Object} raw - e.g. '{"Component":"Checkout","Automated":true}'
+ * @returns {Object|null} Filter values keyed by field name
+ * @throws {Error} If the filter is not a JSON object
+ */
+export function parseCustomFieldFilters(raw) {
+  if (!raw) {
+    return null;
+  }
+
+  let filters = raw;
+  if (typeof raw === 'string') {
+    try {
+      filters = JSON.parse(raw);
+    } catch {
+      throw new Error('customFields filter must be a JSON object');
+    }
+  }
+
+  if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('customFields filter must be a JSON object');
+  }
+
+  return filters;
+}
+
+/**
+ * Build Prisma conditions that match entities by custom field values
+ * TEXT values match case-insensitively by substring, other types match exactly.
+ * @param {number} projectId - Project ID
+ * @param {string} entityType - TEST_CASE or BUG
+ * @param {Object} filters - Filter values keyed by field name
+ * @returns {Promise<Array>} Conditions to combine with AND in a where clause
+ * @throws {Error} If a field is unknown or a value is invalid
+ */
+export async function buildCustomFieldConditions(projectId, entityType, filters) {
+  if (!filters || Object.keys(filters).length === 0) {
+    return [];
+  }
+
+  const fields = await getProjectCustomFields(projectId, entityType);
+  const fieldsByName = new Map(fields.map(field => [field.name, field]));
+
+  const conditions = [];
+  for (const [name, rawValue] of Object.entries(filters)) {
+    const field = fieldsByName.get(name);
+    if (!field) {
+      throw new Error(`Unknown custom field: ${name}`);
+    }
+
+    const value = normalizeCustomFieldValue(field, rawValue);
+    if (value === null) {
+      continue;
+    }
+
+    conditions.push({
+      customFieldValues: {
+        some: {
+          customFieldId: field.id,
+          value: field.fieldType === 'TEXT' ? { contains: value, mode: 'insensitive' } : value,
+        },
+      },
+    });
+  }
+
+  return conditions;
+}
+
+export default {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_ENTITY_TYPES,
+  getProjectCustomFields,
+  normalizeCustomFieldValue,
+  parseCustomFieldValue,
+  mapCustomFieldValues,
+  withCustomFields,
+  getEntityCustomFieldValues,
+  resolveCustomFieldValues,
+  saveCustomFieldValues,
+  parseCustomFieldFilters,
+  buildCustomFieldConditions,
+};
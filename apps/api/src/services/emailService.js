@@ -171,6 +171,46 @@ export async function sendPasswordChangedEmail(email, name) {
   }
 }
 
+/**
+ * Send new device sign-in notification email
+ */
+export async function sendNewDeviceLoginEmail(email, name, { device, ipAddress, signedInAt }) {
+  const devicesUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/settings?tab=devices`;
+
+  try {
+    const response = await resend.emails.send({
+      from: process.env.RESEND_FROM_EMAIL || 'onboarding@resend.dev',
+      to: email,
+      subject: '🔐 New Sign-in to Your Account - TestTrack Pro',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #2563eb;">🔐 New Sign-in Detected</h2>
+          <p>Hello ${name},</p>
+          <p>Your TestTrack Pro account was just used to sign in from a device we haven't seen before.</p>
+          <div style="background-color: #eff6ff; border-left: 4px solid #2563eb; padding: 15px; margin: 20px 0;">
+            <p style="margin: 0; color: #1e3a8a;"><strong>Sign-in Details:</strong></p>
+            <p style="margin: 10px 0 0 0; color: #1e3a8a;">Device: ${device}</p>
+            <p style="margin: 5px 0 0 0; color: #1e3a8a;">IP address: ${ipAddress || 'Unknown'}</p>
+            <p style="margin: 5px 0 0 0; color: #1e3a8a;">Date: ${signedInAt.toLocaleString()}</p>
+          </div>
+          <div style="background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0;">
+            <p style="margin: 0; color: #92400e;"><strong>⚠️ Wasn't you?</strong></p>
+            <p style="margin: 10px 0 0 0; color: #92400e;">Sign the device out and change your password right away.</p>
+          </div>
+          <p style="margin: 30px 0;">
+            <a href="${devicesUrl}" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: 600;">Review Devices</a>
+          </p>
+        </div>
+      `,
+    });
+
+    return response;
+  } catch (error) {
+    logError('Failed to send new device login email', { error, email });
+    throw new Error('Failed to send new device login email');
+  }
+}
+
 // ============================================
 // NOTIFICATION EMAILS
 // ============================================
@@ -1,21 +1,16 @@
 import { randomUUID } from 'crypto';
 import { getPrismaClient } from '../lib/prisma.js';
-import { getAllowedFormats, getCloudinary, getCloudinaryFolder, getEvidenceConfig } from '../lib/cloudinary.js';
+import {
+  getAllowedFormats,
+  getContentTypeForFormat,
+  getEvidenceConfig,
+  getMaxBytesForResource,
+} from '../lib/cloudinary.js';
+import { getEvidenceFolder, getEvidenceStorageDriver } from '../lib/evidenceStorage.js';
+import { logError } from '../lib/logger.js';
 
 const prisma = getPrismaClient();
 
-function ensureCloudinaryConfig() {
-  if (!process.env.CLOUDINARY_CLOUD_NAME) {
-    throw new Error('Cloudinary cloud name is not configured');
-  }
-  if (!process.env.CLOUDINARY_API_KEY) {
-    throw new Error('Cloudinary API key is not configured');
-  }
-  if (!process.env.CLOUDINARY_API_SECRET) {
-    throw new Error('Cloudinary API secret is not configured');
-  }
-}
-
 function parseId(value, label) {
   const parsed = Number.parseInt(value, 10);
   if (Number.isNaN(parsed)) {
@@ -43,12 +38,10 @@ async function resolveExecutionContext(projectId, executionId, stepId) {
 
   let step = null;
   if (stepId) {
-    step = await prisma.testExecutionStep.findUnique({
+    step = await prisma.testExecutionStep.findFirst({
       where: {
-        executionId_stepId: {
-          executionId: execution.id,
-          stepId,
-        },
+        id: stepId,
+        executionId: execution.id,
       },
     });
 
@@ -60,6 +53,17 @@ async function resolveExecutionContext(projectId, executionId, stepId) {
   return { execution, step, testCaseId: execution.testCase.id };
 }
 
+/**
+ * Attach a readable URL to an evidence record
+ * Drivers without public URLs (local, s3) hand out short-lived signed URLs in secureUrl.
+ */
+function withDownloadUrl(evidence) {
+  return {
+    ...evidence,
+    secureUrl: getEvidenceStorageDriver(evidence.storageDriver).getDownloadUrl(evidence),
+  };
+}
+
 export async function createSignedEvidenceUpload({
   projectId,
   executionId,
@@ -89,32 +93,29 @@ export async function createSignedEvidenceUpload({
     throw new Error('File exceeds size limit');
   }
 
-  ensureCloudinaryConfig();
+  const driver = getEvidenceStorageDriver();
+  driver.assertConfigured();
 
   const { testCaseId } = await resolveExecutionContext(projectId, executionId, stepId);
 
-  const folder = getCloudinaryFolder({ projectId, testCaseId, executionId, stepId });
+  const folder = getEvidenceFolder({ projectId, testCaseId, executionId, stepId });
   const publicId = `evidence_${randomUUID().replace(/-/g, '')}`;
-  const timestamp = Math.floor(Date.now() / 1000);
-
-  const cloudinary = getCloudinary();
-  const signature = cloudinary.utils.api_sign_request(
-    {
-      timestamp,
-      folder,
-      public_id: publicId,
-      resource_type: config.resourceType,
-    },
-    process.env.CLOUDINARY_API_SECRET
-  );
+  const key = driver.buildKey(`${folder}/${publicId}`, config.format);
 
   return {
-    signature,
-    timestamp,
-    cloudName: process.env.CLOUDINARY_CLOUD_NAME,
-    apiKey: process.env.CLOUDINARY_API_KEY,
+    driver: driver.name,
+    ...driver.createUpload({
+      key,
+      folder,
+      publicId,
+      contentType: fileType,
+      resourceType: config.resourceType,
+      maxBytes: config.maxBytes,
+    }),
+    key,
     folder,
     publicId,
+    format: config.format,
     resourceType: config.resourceType,
     allowedFormats: getAllowedFormats(config.resourceType),
     maxBytes: config.maxBytes,
@@ -129,19 +130,17 @@ export async function createEvidenceRecord({
   payload,
   userId,
 }) {
-  const { testCaseId } = await resolveExecutionContext(projectId, executionId, stepId);
+  const { testCaseId, step } = await resolveExecutionContext(projectId, executionId, stepId);
 
   const {
     publicId,
     resourceType,
-    secureUrl,
-    bytes,
     format,
     originalFilename,
   } = payload;
 
-  if (!publicId || !secureUrl || !resourceType || !bytes || !format) {
-    throw new Error('Missing required Cloudinary fields');
+  if (!publicId || !resourceType || !format) {
+    throw new Error('Missing required evidence fields');
   }
 
   const normalizedFormat = String(format).toLowerCase();
@@ -152,14 +151,25 @@ export async function createEvidenceRecord({
     throw new Error('Unsupported evidence format');
   }
 
+  const folder = getEvidenceFolder({ projectId, testCaseId, executionId, stepId });
+  if (!publicId.startsWith(`${folder}/`)) {
+    throw new Error('publicId does not match expected folder');
+  }
+
+  // The record is written with the active driver; it confirms the upload landed and reports its size
+  const driver = getEvidenceStorageDriver();
+  const { secureUrl, bytes } = await driver.resolveUpload({ key: publicId, payload });
+
   const parsedBytes = Number(bytes);
   if (!Number.isFinite(parsedBytes) || parsedBytes <= 0) {
     throw new Error('Invalid evidence size');
   }
 
-  const folder = getCloudinaryFolder({ projectId, testCaseId, executionId, stepId });
-  if (!publicId.startsWith(`${folder}/`)) {
-    throw new Error('publicId does not match expected folder');
+  if (parsedBytes > getMaxBytesForResource(normalizedResourceType)) {
+    await driver.deleteObject({ publicId, resourceType: normalizedResourceType }).catch((error) => {
+      logError('Failed to delete oversized evidence upload', error, { publicId });
+    });
+    throw new Error('File exceeds size limit');
   }
 
   let evidenceType = 'LOG';
@@ -172,9 +182,10 @@ export async function createEvidenceRecord({
   const evidence = await prisma.testExecutionEvidence.create({
     data: {
       executionId,
-      stepId,
+      stepId: step?.id ?? null,
       type: evidenceType,
       resourceType: normalizedResourceType,
+      storageDriver: driver.name,
       publicId,
       secureUrl,
       bytes: parsedBytes,
@@ -184,13 +195,13 @@ export async function createEvidenceRecord({
     },
   });
 
-  return evidence;
+  return withDownloadUrl(evidence);
 }
 
 export async function listEvidence({ projectId, executionId, stepId }) {
   await resolveExecutionContext(projectId, executionId, stepId || null);
 
-  return prisma.testExecutionEvidence.findMany({
+  const evidence = await prisma.testExecutionEvidence.findMany({
     where: {
       executionId,
       stepId: stepId || undefined,
@@ -198,6 +209,8 @@ export async function listEvidence({ projectId, executionId, stepId }) {
     },
     orderBy: { uploadedAt: 'desc' },
   });
+
+  return evidence.map(withDownloadUrl);
 }
 
 export async function softDeleteEvidence({ projectId, evidenceId, userId }) {
@@ -235,3 +248,100 @@ export function parseEvidenceParams(params) {
     stepId: params.stepId ? parseId(params.stepId, 'stepId') : null,
   };
 }
+
+/**
+ * Helper: Key for a record in the target driver
+ * Legacy records whose key is a URL get a key under legacy/.
+ */
+function getMigrationKey(record, target) {
+  const base = /^https?:\/\//.test(record.publicId)
+    ? `legacy/execution_${record.executionId}/evidence_${record.id}`
+    : record.publicId.replace(new RegExp(`\\.${record.format}$`), '');
+  return target.buildKey(base, record.format);
+}
+
+/**
+ * Move evidence files from one storage driver to another
+ * Records are copied one at a time and switched to the target driver once the copy succeeds,
+ * so an interrupted run can simply be started again. Soft-deleted evidence is moved too.
+ * @param {Object} options
+ * @param {string} options.from - Source driver name
+ * @param {string} options.to - Target driver name
+ * @param {boolean} [options.dryRun=false] - Only count the records that would move
+ * @param {boolean} [options.deleteSource=false] - Delete each source file after it is copied
+ * @param {number} [options.batchSize=50] - Records loaded per query
+ * @param {Function} [options.onProgress] - Called with ({ record, error }) after each record
+ * @returns {Promise<Object>} { total, migrated, failed: [{ id, error }], dryRun }
+ */
+export async function migrateEvidenceStorage({
+  from,
+  to,
+  dryRun = false,
+  deleteSource = false,
+  batchSize = 50,
+  onProgress,
+}) {
+  if (from === to) {
+    throw new Error('Source and target drivers must differ');
+  }
+
+  const source = getEvidenceStorageDriver(from);
+  const target = getEvidenceStorageDriver(to);
+  source.assertConfigured();
+  target.assertConfigured();
+
+  const total = await prisma.testExecutionEvidence.count({ where: { storageDriver: source.name } });
+  const summary = { total, migrated: 0, failed: [], dryRun };
+
+  if (dryRun) {
+    return summary;
+  }
+
+  let cursor = 0;
+  for (;;) {
+    const batch = await prisma.testExecutionEvidence.findMany({
+      where: { storageDriver: source.name, id: { gt: cursor } },
+      orderBy: { id: 'asc' },
+      take: batchSize,
+    });
+
+    if (batch.length === 0) {
+      break;
+    }
+
+    for (const record of batch) {
+      cursor = record.id;
+      let failure = null;
+
+      try {
+        const body = await source.readObject(record);
+        const key = getMigrationKey(record, target);
+        const { secureUrl } = await target.writeObject({
+          key,
+          body,
+          contentType: getContentTypeForFormat(record.format),
+          resourceType: record.resourceType,
+        });
+
+        await prisma.testExecutionEvidence.update({
+          where: { id: record.id },
+          data: { storageDriver: target.name, publicId: key, secureUrl },
+        });
+        summary.migrated += 1;
+
+        if (deleteSource && !/^https?:\/\//.test(record.publicId)) {
+          await source.deleteObject(record).catch((error) => {
+            logError('Failed to delete migrated evidence from source', error, { evidenceId: record.id });
+          });
+        }
+      } catch (error) {
+        failure = error.message;
+        summary.failed.push({ id: record.id, error: error.message });
+      }
+
+      onProgress?.({ record, error: failure });
+    }
+  }
+
+  return summary;
+}
@@ -6,9 +6,31 @@
 import { getPrismaClient } from '../lib/prisma.js';
 import { jsPDF } from 'jspdf';
 import ExcelJS from 'exceljs';
+import {
+  CUSTOM_FIELD_VALUES_INCLUDE,
+  getProjectCustomFields,
+  mapCustomFieldValues,
+} from './customFieldService.js';
+import { getTraceabilityMatrix } from './requirementService.js';
+import { compareTestRuns } from './testRunComparisonService.js';
 
 const prisma = getPrismaClient();
 
+/**
+ * Format a typed custom field value for a report cell
+ * @param {*} value - Value from mapCustomFieldValues
+ * @returns {string} Cell text
+ */
+function formatCustomFieldCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return String(value);
+}
+
 /**
  * Generate test execution report to CSV (enhanced)
  */
@@ -27,6 +49,7 @@ export async function generateEnhancedExecutionCSV(testRunId) {
               type: true,
               priority: true,
               severity: true,
+              customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
             },
           },
           steps: {
@@ -44,6 +67,8 @@ export async function generateEnhancedExecutionCSV(testRunId) {
     throw new Error('Test run not found');
   }
 
+  const customFields = await getProjectCustomFields(report.projectId, 'TEST_CASE');
+
   const headers = [
     'Test Case ID',
     'Test Case Name',
@@ -55,12 +80,14 @@ export async function generateEnhancedExecutionCSV(testRunId) {
     'Failed Steps',
     'Total Steps',
     'Duration (sec)',
+    ...customFields.map((field) => `"${field.name}"`),
   ];
 
   const rows = report.executions.map((exec) => {
     const passedSteps = exec.steps.filter((s) => s.status === 'PASSED').length;
     const failedSteps = exec.steps.filter((s) => s.status === 'FAILED').length;
     const totalSteps = exec.steps.length;
+    const customFieldValues = mapCustomFieldValues(exec.testCase.customFieldValues);
 
     return [
       exec.testCase.id,
@@ -73,6 +100,7 @@ export async function generateEnhancedExecutionCSV(testRunId) {
       failedSteps,
       totalSteps,
       exec.durationSeconds || 0,
+      ...customFields.map((field) => `"${formatCustomFieldCell(customFieldValues[field.name])}"`),
     ];
   });
 
@@ -95,14 +123,18 @@ export async function generateEnhancedBugReportCSV(projectId, filters = {}) {
     ...(filters.severity && { severity: filters.severity }),
   };
 
-  const bugs = await prisma.bug.findMany({
-    where,
-    include: {
-      reporter: { select: { name: true } },
-      assignee: { select: { name: true } },
-    },
-    orderBy: { createdAt: 'desc' },
-  });
+  const [bugs, customFields] = await Promise.all([
+    prisma.bug.findMany({
+      where,
+      include: {
+        reporter: { select: { name: true } },
+        assignee: { select: { name: true } },
+        customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
+      },
+      orderBy: { createdAt: 'desc' },
+    }),
+    getProjectCustomFields(projectId, 'BUG'),
+  ]);
 
   const headers = [
     'Bug Number',
@@ -115,11 +147,13 @@ export async function generateEnhancedBugReportCSV(projectId, filters = {}) {
     'Environment',
     'Created Date',
     'Days Open',
+    ...customFields.map((field) => `"${field.name}"`),
   ];
 
   const now = new Date();
   const rows = bugs.map((bug) => {
     const daysOpen = Math.floor((now - bug.createdAt) / (1000 * 60 * 60 * 24));
+    const customFieldValues = mapCustomFieldValues(bug.customFieldValues);
     return [
       bug.bugNumber,
       `"${bug.title}"`,
@@ -131,6 +165,7 @@ export async function generateEnhancedBugReportCSV(projectId, filters = {}) {
       bug.environment || 'N/A',
       bug.createdAt.toISOString().split('T')[0],
       daysOpen,
+      ...customFields.map((field) => `"${formatCustomFieldCell(customFieldValues[field.name])}"`),
     ];
   });
 
@@ -431,7 +466,14 @@ export async function generateExecutionExcel(testRunId) {
       executions: {
         include: {
           testCase: {
-            select: { id: true, name: true, type: true, priority: true, severity: true },
+            select: {
+              id: true,
+              name: true,
+              type: true,
+              priority: true,
+              severity: true,
+              customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
+            },
           },
           steps: { select: { status: true } },
         },
@@ -443,6 +485,8 @@ export async function generateExecutionExcel(testRunId) {
     throw new Error('Test run not found');
   }
 
+  const customFields = await getProjectCustomFields(report.projectId, 'TEST_CASE');
+
   const workbook = new ExcelJS.Workbook();
   
   // Summary Sheet
@@ -495,11 +539,13 @@ export async function generateExecutionExcel(testRunId) {
     { header: 'Passed Steps', key: 'passedSteps', width: 12 },
     { header: 'Failed Steps', key: 'failedSteps', width: 12 },
     { header: 'Total Steps', key: 'totalSteps', width: 12 },
+    ...customFields.map((field) => ({ header: field.name, key: `customField${field.id}`, width: 18 })),
   ];
 
   report.executions.forEach((exec) => {
     const passedSteps = exec.steps.filter((s) => s.status === 'PASSED').length;
     const failedSteps = exec.steps.filter((s) => s.status === 'FAILED').length;
+    const customFieldValues = mapCustomFieldValues(exec.testCase.customFieldValues);
 
     execSheet.addRow({
       id: exec.testCase.id,
@@ -511,6 +557,10 @@ export async function generateExecutionExcel(testRunId) {
       passedSteps: passedSteps,
       failedSteps: failedSteps,
       totalSteps: exec.steps.length,
+      ...Object.fromEntries(customFields.map((field) => [
+        `customField${field.id}`,
+        formatCustomFieldCell(customFieldValues[field.name]),
+      ])),
     });
   });
 
@@ -616,6 +666,398 @@ export async function generateTesterPerformancePDF(userId, weeks = 4) {
   return doc.output('arraybuffer');
 }
 
+/**
+ * Helper: Flatten a traceability matrix into one row per requirement/test case pair
+ * Uncovered requirements keep a single row with empty test case columns.
+ * @param {Object} matrix - Result of getTraceabilityMatrix
+ * @returns {Array<Object>} Report rows
+ */
+function flattenTraceabilityMatrix(matrix) {
+  return matrix.requirements.flatMap((req) => {
+    const base = {
+      requirementId: `${'  '.repeat(req.depth)}${req.key}`,
+      title: req.title,
+      requirementStatus: req.status,
+      coverageStatus: req.coverageStatus,
+    };
+
+    if (req.testCases.length === 0) {
+      return [{ ...base, testCaseId: '', testCaseName: '', result: '', testRun: '', executedAt: '' }];
+    }
+
+    return req.testCases.map((tc) => ({
+      ...base,
+      testCaseId: tc.id,
+      testCaseName: tc.name,
+      result: tc.latestExecution?.status || 'NOT_RUN',
+      testRun: tc.latestExecution?.testRunName || '',
+      executedAt: tc.latestExecution?.executedAt
+        ? new Date(tc.latestExecution.executedAt).toISOString().split('T')[0]
+        : '',
+    }));
+  });
+}
+
+/**
+ * Generate requirements traceability matrix as CSV
+ */
+export async function generateTraceabilityCSV(projectId, options = {}) {
+  const matrix = await getTraceabilityMatrix(projectId, options);
+
+  const headers = [
+    'Requirement ID',
+    'Requirement',
+    'Requirement Status',
+    'Coverage Status',
+    'Test Case ID',
+    'Test Case',
+    'Latest Result',
+    'Test Run',
+    'Executed Date',
+  ];
+
+  const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const rows = flattenTraceabilityMatrix(matrix).map((row) => [
+    quote(row.requirementId.trim()),
+    quote(row.title),
+    row.requirementStatus,
+    row.coverageStatus,
+    row.testCaseId,
+    quote(row.testCaseName),
+    row.result,
+    quote(row.testRun),
+    row.executedAt,
+  ]);
+
+  const csvLines = [
+    headers.join(','),
+    ...rows.map((row) => row.join(',')),
+  ];
+
+  return csvLines.join('\n');
+}
+
+/**
+ * Generate requirements traceability matrix as Excel
+ */
+export async function generateTraceabilityExcel(projectId, options = {}) {
+  const matrix = await getTraceabilityMatrix(projectId, options);
+  const { summary } = matrix;
+
+  const workbook = new ExcelJS.Workbook();
+
+  // Summary Sheet
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [
+    { header: 'Metric', key: 'metric', width: 30 },
+    { header: 'Value', key: 'value', width: 30 },
+  ];
+
+  summarySheet.addRows([
+    { metric: 'Project', value: matrix.project.name },
+    { metric: 'Test Run', value: matrix.testRun?.name || 'Latest execution per test case' },
+    { metric: 'Generated', value: matrix.generatedAt.toISOString() },
+    { metric: '', value: '' },
+    { metric: 'Total Requirements', value: summary.totalRequirements },
+    { metric: 'Covered Requirements', value: summary.coveredRequirements },
+    { metric: 'Uncovered Requirements', value: summary.uncoveredRequirements },
+    { metric: 'Passed Requirements', value: summary.passedRequirements },
+    { metric: 'Failed Requirements', value: summary.failedRequirements },
+    { metric: 'Coverage', value: `${summary.coveragePercent}%` },
+    { metric: 'Passing', value: `${summary.passPercent}%` },
+  ]);
+
+  summarySheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4472C4' },
+  };
+  summarySheet.getRow(1).font = { color: { argb: 'FFFFFFFF' }, bold: true };
+
+  // Matrix Sheet
+  const matrixSheet = workbook.addWorksheet('Traceability Matrix');
+  matrixSheet.columns = [
+    { header: 'Requirement ID', key: 'requirementId', width: 18 },
+    { header: 'Requirement', key: 'title', width: 40 },
+    { header: 'Requirement Status', key: 'requirementStatus', width: 18 },
+    { header: 'Coverage Status', key: 'coverageStatus', width: 16 },
+    { header: 'Test Case ID', key: 'testCaseId', width: 12 },
+    { header: 'Test Case', key: 'testCaseName', width: 40 },
+    { header: 'Latest Result', key: 'result', width: 14 },
+    { header: 'Test Run', key: 'testRun', width: 25 },
+    { header: 'Executed Date', key: 'executedAt', width: 14 },
+  ];
+
+  matrixSheet.addRows(flattenTraceabilityMatrix(matrix));
+
+  matrixSheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4472C4' },
+  };
+  matrixSheet.getRow(1).font = { color: { argb: 'FFFFFFFF' }, bold: true };
+
+  // Color code coverage column
+  const coverageColors = {
+    PASSED: 'FFC6EFCE',
+    FAILED: 'FFFFC7CE',
+    BLOCKED: 'FFFFEB9C',
+    UNCOVERED: 'FFD9D9D9',
+  };
+  matrixSheet.eachRow((row, rowNumber) => {
+    if (rowNumber > 1) {
+      const coverageCell = row.getCell('coverageStatus');
+      const color = coverageColors[coverageCell.value];
+      if (color) {
+        coverageCell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: color },
+        };
+      }
+    }
+  });
+
+  return await workbook.xlsx.writeBuffer();
+}
+
+/**
+ * Generate requirements traceability matrix as PDF
+ */
+export async function generateTraceabilityPDF(projectId, options = {}) {
+  const matrix = await getTraceabilityMatrix(projectId, options);
+  const { summary } = matrix;
+
+  const doc = new jsPDF();
+  let yPos = 20;
+
+  // Title
+  doc.setFontSize(20);
+  doc.text('Requirements Traceability Matrix', 20, yPos);
+  yPos += 15;
+
+  // Report Info
+  doc.setFontSize(12);
+  doc.text(`Project: ${matrix.project.name}`, 20, yPos);
+  yPos += 7;
+  doc.text(`Test Run: ${matrix.testRun?.name || 'Latest execution per test case'}`, 20, yPos);
+  yPos += 7;
+  doc.text(`Report Generated: ${matrix.generatedAt.toLocaleString()}`, 20, yPos);
+  yPos += 10;
+
+  // Summary
+  doc.setFontSize(14);
+  doc.text('Coverage Summary', 20, yPos);
+  yPos += 8;
+  doc.setFontSize(11);
+  doc.text(`Total Requirements: ${summary.totalRequirements}`, 25, yPos);
+  yPos += 6;
+  doc.text(`Covered: ${summary.coveredRequirements} (${summary.coveragePercent}%)`, 25, yPos);
+  yPos += 6;
+  doc.setTextColor(108, 117, 125);
+  doc.text(`Uncovered: ${summary.uncoveredRequirements}`, 25, yPos);
+  yPos += 6;
+  doc.setTextColor(40, 167, 69);
+  doc.text(`Passed: ${summary.passedRequirements} (${summary.passPercent}%)`, 25, yPos);
+  yPos += 6;
+  doc.setTextColor(220, 53, 69);
+  doc.text(`Failed: ${summary.failedRequirements}`, 25, yPos);
+  yPos += 12;
+
+  // Requirements
+  doc.setTextColor(0, 0, 0);
+  doc.setFontSize(14);
+  doc.text('Requirements', 20, yPos);
+  yPos += 8;
+
+  matrix.requirements.forEach((req) => {
+    if (yPos > 270) {
+      doc.addPage();
+      yPos = 20;
+    }
+    const indent = 25 + req.depth * 5;
+    doc.setFontSize(10);
+    doc.text(`${req.key} ${req.title} [${req.coverageStatus}]`, indent, yPos);
+    yPos += 5;
+
+    doc.setFontSize(8);
+    req.testCases.forEach((tc) => {
+      if (yPos > 280) {
+        doc.addPage();
+        yPos = 20;
+      }
+      const result = tc.latestExecution
+        ? `${tc.latestExecution.status} in ${tc.latestExecution.testRunName}`
+        : 'NOT_RUN';
+      doc.text(`#${tc.id} ${tc.name}: ${result}`, indent + 5, yPos);
+      yPos += 4;
+    });
+    yPos += 2;
+  });
+
+  return doc.output('arraybuffer');
+}
+
+/**
+ * Helper: Flatten a test run comparison into one row per changed test case
+ * @param {Object} comparison - Result of compareTestRuns
+ * @returns {Array<Object>} Report rows
+ */
+function flattenRunComparison(comparison) {
+  const categories = [
+    ['NEWLY_FAILING', comparison.newlyFailing],
+    ['NEWLY_PASSING', comparison.newlyPassing],
+    ['STILL_FAILING', comparison.stillFailing],
+    ['ADDED', comparison.added],
+    ['REMOVED', comparison.removed],
+    ['DURATION_REGRESSION', comparison.durationRegressions],
+  ];
+
+  return categories.flatMap(([change, rows]) => rows.map((row) => ({
+    change,
+    testCaseId: row.testCaseId,
+    testCaseName: row.testCaseName,
+    priority: row.priority,
+    dataRow: row.dataRowNumber ?? '',
+    baseStatus: row.baseStatus || '',
+    targetStatus: row.targetStatus || '',
+    baseDuration: row.baseDurationSeconds ?? '',
+    targetDuration: row.targetDurationSeconds ?? '',
+    durationChange: row.deltaPercent !== undefined ? `+${row.deltaPercent}%` : '',
+  })));
+}
+
+/**
+ * Generate build-over-build test run comparison as CSV
+ */
+export async function generateRunComparisonCSV(projectId, options = {}) {
+  const comparison = await compareTestRuns(projectId, options);
+
+  const headers = [
+    'Change',
+    'Test Case ID',
+    'Test Case',
+    'Priority',
+    'Data Row',
+    `Base Status (${comparison.base.buildVersion || comparison.base.name})`,
+    `Target Status (${comparison.target.buildVersion || comparison.target.name})`,
+    'Base Duration (s)',
+    'Target Duration (s)',
+    'Duration Change',
+  ];
+
+  const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const rows = flattenRunComparison(comparison).map((row) => [
+    row.change,
+    row.testCaseId,
+    quote(row.testCaseName),
+    row.priority,
+    row.dataRow,
+    row.baseStatus,
+    row.targetStatus,
+    row.baseDuration,
+    row.targetDuration,
+    row.durationChange,
+  ]);
+
+  const csvLines = [
+    headers.map(quote).join(','),
+    ...rows.map((row) => row.join(',')),
+  ];
+
+  return csvLines.join('\n');
+}
+
+/**
+ * Generate build-over-build test run comparison as Excel
+ */
+export async function generateRunComparisonExcel(projectId, options = {}) {
+  const comparison = await compareTestRuns(projectId, options);
+  const { base, target, summary } = comparison;
+
+  const workbook = new ExcelJS.Workbook();
+
+  // Summary Sheet
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [
+    { header: 'Metric', key: 'metric', width: 30 },
+    { header: 'Base', key: 'base', width: 30 },
+    { header: 'Target', key: 'target', width: 30 },
+  ];
+
+  summarySheet.addRows([
+    { metric: 'Test Run', base: base.name, target: target.name },
+    { metric: 'Build Version', base: base.buildVersion || '', target: target.buildVersion || '' },
+    { metric: 'Environment', base: base.environment || '', target: target.environment || '' },
+    { metric: 'Executions', base: base.total, target: target.total },
+    { metric: 'Passed', base: base.passed, target: target.passed },
+    { metric: 'Failed', base: base.failed, target: target.failed },
+    { metric: 'Pass Rate', base: `${base.passRate}%`, target: `${target.passRate}%` },
+    { metric: 'Total Duration (s)', base: base.totalDurationSeconds, target: target.totalDurationSeconds },
+    { metric: '', base: '', target: '' },
+    { metric: 'Newly Failing', target: summary.newlyFailing },
+    { metric: 'Newly Passing', target: summary.newlyPassing },
+    { metric: 'Still Failing', target: summary.stillFailing },
+    { metric: 'Added', target: summary.added },
+    { metric: 'Removed', target: summary.removed },
+    { metric: 'Duration Regressions', target: summary.durationRegressions },
+  ]);
+
+  summarySheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4472C4' },
+  };
+  summarySheet.getRow(1).font = { color: { argb: 'FFFFFFFF' }, bold: true };
+
+  // Changes Sheet
+  const changesSheet = workbook.addWorksheet('Changes');
+  changesSheet.columns = [
+    { header: 'Change', key: 'change', width: 22 },
+    { header: 'Test Case ID', key: 'testCaseId', width: 12 },
+    { header: 'Test Case', key: 'testCaseName', width: 40 },
+    { header: 'Priority', key: 'priority', width: 10 },
+    { header: 'Data Row', key: 'dataRow', width: 10 },
+    { header: 'Base Status', key: 'baseStatus', width: 14 },
+    { header: 'Target Status', key: 'targetStatus', width: 14 },
+    { header: 'Base Duration (s)', key: 'baseDuration', width: 18 },
+    { header: 'Target Duration (s)', key: 'targetDuration', width: 18 },
+    { header: 'Duration Change', key: 'durationChange', width: 16 },
+  ];
+
+  changesSheet.addRows(flattenRunComparison(comparison));
+
+  changesSheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF4472C4' },
+  };
+  changesSheet.getRow(1).font = { color: { argb: 'FFFFFFFF' }, bold: true };
+
+  // Color code change column
+  const changeColors = {
+    NEWLY_FAILING: 'FFFFC7CE',
+    NEWLY_PASSING: 'FFC6EFCE',
+    STILL_FAILING: 'FFFFEB9C',
+    DURATION_REGRESSION: 'FFFFEB9C',
+  };
+  changesSheet.eachRow((row, rowNumber) => {
+    if (rowNumber > 1) {
+      const changeCell = row.getCell('change');
+      const color = changeColors[changeCell.value];
+      if (color) {
+        changeCell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: color },
+        };
+      }
+    }
+  });
+
+  return await workbook.xlsx.writeBuffer();
+}
+
 export default {
   generateEnhancedExecutionCSV,
   generateEnhancedBugReportCSV,
@@ -625,4 +1067,9 @@ export default {
   generateExecutionPDF,
   generateExecutionExcel,
   generateTesterPerformancePDF,
+  generateTraceabilityCSV,
+  generateTraceabilityExcel,
+  generateTraceabilityPDF,
+  generateRunComparisonCSV,
+  generateRunComparisonExcel,
 };
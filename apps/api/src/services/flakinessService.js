@@ -0,0 +1,349 @@
+/**
+ * FLAKINESS SERVICE
+ * Scores how flaky each test case is from its recent execution history,
+ * persists the scores, and manages the quarantine flag on test cases
+ *
+ * A flip is a PASSED/FAILED change between consecutive executions in the same
+ * environment. Flips within the same build are strong evidence of flakiness
+ * (nothing changed, the result did); flips across builds may be real regressions
+ * or fixes and count for less.
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+import { assertPermissionContext } from '../lib/policy.js';
+import { logAuditAction } from './auditService.js';
+import { createNotification, shouldSendNotification } from './notificationService.js';
+import { logError } from '../lib/logger.js';
+
+const prisma = getPrismaClient();
+
+const {
+  FLAKINESS_WINDOW_DAYS = '30',
+  FLAKINESS_THRESHOLD = '0.3',
+  FLAKINESS_MIN_EXECUTIONS = '5',
+} = process.env;
+
+const SAME_BUILD_FLIP_WEIGHT = 1;
+const CROSS_BUILD_FLIP_WEIGHT = 0.5;
+const UNSPECIFIED = 'unspecified';
+
+/**
+ * Current flakiness settings
+ * @returns {Object} { windowDays, threshold, minExecutions }
+ */
+export function getFlakinessSettings() {
+  return {
+    windowDays: Number.parseInt(FLAKINESS_WINDOW_DAYS, 10) || 30,
+    threshold: Number.parseFloat(FLAKINESS_THRESHOLD) || 0.3,
+    minExecutions: Number.parseInt(FLAKINESS_MIN_EXECUTIONS, 10) || 5,
+  };
+}
+
+/**
+ * Score an execution history
+ * @param {Array} executions - { status, at, environment, buildVersion }, PASSED or FAILED only
+ * @returns {Object} { score, flipCount, executionCount, passCount, failCount, breakdown }
+ */
+export function scoreExecutionHistory(executions) {
+  const byEnvironment = new Map();
+  for (const execution of [...executions].sort((a, b) => a.at - b.at)) {
+    const environment = execution.environment || UNSPECIFIED;
+    if (!byEnvironment.has(environment)) {
+      byEnvironment.set(environment, []);
+    }
+    byEnvironment.get(environment).push(execution);
+  }
+
+  let transitions = 0;
+  let weightedFlips = 0;
+  let flipCount = 0;
+  const breakdown = {};
+
+  for (const [environment, history] of byEnvironment) {
+    let environmentFlips = 0;
+
+    for (let i = 1; i < history.length; i++) {
+      const previous = history[i - 1];
+      const current = history[i];
+      transitions++;
+
+      if (previous.status !== current.status) {
+        const sameBuild = Boolean(current.buildVersion) && current.buildVersion === previous.buildVersion;
+        weightedFlips += sameBuild ? SAME_BUILD_FLIP_WEIGHT : CROSS_BUILD_FLIP_WEIGHT;
+        environmentFlips++;
+      }
+    }
+
+    flipCount += environmentFlips;
+    breakdown[environment] = { executions: history.length, flips: environmentFlips };
+  }
+
+  const passCount = executions.filter((e) => e.status === 'PASSED').length;
+
+  return {
+    score: transitions > 0 ? Number((weightedFlips / transitions).toFixed(3)) : 0,
+    flipCount,
+    executionCount: executions.length,
+    passCount,
+    failCount: executions.length - passCount,
+    breakdown,
+  };
+}
+
+/**
+ * Helper: Tell the people responsible for a test case that it became flaky
+ */
+async function notifyFlakyTestCase(testCase, result) {
+  const recipients = [...new Set([testCase.ownedById, testCase.assignedToId, testCase.createdBy].filter(Boolean))];
+
+  for (const userId of recipients) {
+    try {
+      if (!(await shouldSendNotification(userId, 'IN_APP', 'TEST_FLAKY_DETECTED'))) continue;
+
+      await createNotification(userId, {
+        title: `Flaky test detected: ${testCase.name}`,
+        message: `Flakiness score ${Math.round(result.score * 100)}% (${result.flipCount} flips in ${result.executionCount} runs)`,
+        type: 'TEST_FLAKY_DETECTED',
+        sourceType: 'TESTCASE',
+        sourceId: testCase.id,
+        actionUrl: `/test-cases/${testCase.id}`,
+        actionType: 'REVIEW',
+        metadata: { testCaseId: testCase.id, score: result.score, flipCount: result.flipCount },
+      });
+    } catch (error) {
+      logError('Failed to send flaky test notification', error, { testCaseId: testCase.id, userId });
+    }
+  }
+}
+
+/**
+ * Recalculate and persist flakiness scores for every test case in a project
+ * Reads the whole window in one query. Cases that newly cross the threshold are flagged
+ * and their owner, assignee and author notified.
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Object>} { projectId, scored, flaky, newlyFlagged }
+ */
+export async function recalculateProjectFlakiness(projectId) {
+  const { windowDays, threshold, minExecutions } = getFlakinessSettings();
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+
+  const [testCases, executions, existingScores] = await Promise.all([
+    prisma.testCase.findMany({
+      where: { projectId, isDeleted: false },
+      select: { id: true, name: true, ownedById: true, assignedToId: true, createdBy: true },
+    }),
+    prisma.testExecution.findMany({
+      where: {
+        testRun: { projectId },
+        status: { in: ['PASSED', 'FAILED'] },
+        createdAt: { gte: since },
+      },
+      select: {
+        testCaseId: true,
+        status: true,
+        createdAt: true,
+        completedAt: true,
+        testRun: { select: { environment: true, buildVersion: true } },
+      },
+    }),
+    prisma.testCaseFlakiness.findMany({
+      where: { projectId },
+      select: { testCaseId: true, isFlaky: true, flaggedAt: true },
+    }),
+  ]);
+
+  const historyByCase = new Map();
+  for (const execution of executions) {
+    if (!historyByCase.has(execution.testCaseId)) {
+      historyByCase.set(execution.testCaseId, []);
+    }
+    historyByCase.get(execution.testCaseId).push({
+      status: execution.status,
+      at: execution.completedAt || execution.createdAt,
+      environment: execution.testRun.environment,
+      buildVersion: execution.testRun.buildVersion,
+    });
+  }
+
+  const previousByCase = new Map(existingScores.map((s) => [s.testCaseId, s]));
+  const summary = { projectId, scored: 0, flaky: 0, newlyFlagged: 0 };
+
+  for (const testCase of testCases) {
+    const history = historyByCase.get(testCase.id) || [];
+    const previous = previousByCase.get(testCase.id);
+
+    // Nothing to score and nothing to reset
+    if (history.length === 0 && !previous) continue;
+
+    const result = scoreExecutionHistory(history);
+    const isFlaky = result.executionCount >= minExecutions && result.score >= threshold;
+    const newlyFlagged = isFlaky && !previous?.isFlaky;
+
+    const data = {
+      ...result,
+      windowDays,
+      isFlaky,
+      flaggedAt: isFlaky ? (newlyFlagged ? new Date() : previous.flaggedAt) : null,
+      calculatedAt: new Date(),
+    };
+
+    await prisma.testCaseFlakiness.upsert({
+      where: { testCaseId: testCase.id },
+      create: { testCaseId: testCase.id, projectId, ...data },
+      update: data,
+    });
+
+    summary.scored++;
+    if (isFlaky) summary.flaky++;
+    if (newlyFlagged) {
+      summary.newlyFlagged++;
+      await notifyFlakyTestCase(testCase, result);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Recalculate flakiness for all active projects (called from the cron job)
+ * @returns {Promise<Object>} { projects, scored, flaky, newlyFlagged, failed }
+ */
+export async function recalculateAllFlakiness() {
+  const projects = await prisma.project.findMany({
+    where: { status: 'ACTIVE', deletedAt: null },
+    select: { id: true },
+  });
+
+  const totals = { projects: projects.length, scored: 0, flaky: 0, newlyFlagged: 0, failed: 0 };
+
+  for (const project of projects) {
+    try {
+      const result = await recalculateProjectFlakiness(project.id);
+      totals.scored += result.scored;
+      totals.flaky += result.flaky;
+      totals.newlyFlagged += result.newlyFlagged;
+    } catch (error) {
+      totals.failed++;
+      logError('Flakiness recalculation failed', error, { projectId: project.id });
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Stored flakiness scores of a project, highest first
+ * @param {number} projectId - Project ID
+ * @param {Object} options
+ * @param {boolean} [options.flakyOnly=false] - Only cases over the threshold
+ * @param {number} [options.minExecutions] - Only cases with at least this many scored runs
+ * @returns {Promise<Array>} Scores with test case name and quarantine state
+ */
+export async function getProjectFlakiness(projectId, { flakyOnly = false, minExecutions } = {}) {
+  return prisma.testCaseFlakiness.findMany({
+    where: {
+      projectId,
+      ...(flakyOnly && { isFlaky: true }),
+      ...(minExecutions && { executionCount: { gte: minExecutions } }),
+      testCase: { isDeleted: false },
+    },
+    include: {
+      testCase: {
+        select: { id: true, name: true, moduleArea: true, isQuarantined: true, quarantinedAt: true },
+      },
+    },
+    orderBy: { score: 'desc' },
+  });
+}
+
+/**
+ * IDs of quarantined test cases in a project
+ * Pass-rate gates and milestone progress leave these cases out.
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Set<number>>} Quarantined test case IDs
+ */
+export async function getQuarantinedTestCaseIds(projectId) {
+  const testCases = await prisma.testCase.findMany({
+    where: { projectId, isQuarantined: true, isDeleted: false },
+    select: { id: true },
+  });
+  return new Set(testCases.map((tc) => tc.id));
+}
+
+/**
+ * Put a test case into quarantine or release it
+ * @param {number} testCaseId - Test case ID
+ * @param {Object} data - { quarantined: boolean, reason?: string }
+ * @param {number} userId - User making the change
+ * @param {Object} auditContext - { ipAddress, userAgent }
+ * @param {Object} permissionContext - Permission context from the route
+ * @returns {Promise<Object>} Updated test case quarantine fields
+ * @throws {Error} If the test case does not exist or the caller lacks permission
+ */
+export async function setTestCaseQuarantine(testCaseId, data, userId, auditContext = {}, permissionContext = null) {
+  const existing = await prisma.testCase.findUnique({
+    where: { id: testCaseId },
+    select: { id: true, name: true, projectId: true, isDeleted: true, isQuarantined: true },
+  });
+
+  if (!existing || existing.isDeleted) {
+    throw new Error('Test case not found');
+  }
+
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'testCase:quarantine', { projectId: existing.projectId });
+
+  const quarantined = Boolean(data?.quarantined);
+
+  const updated = await prisma.testCase.update({
+    where: { id: testCaseId },
+    data: quarantined
+      ? {
+        isQuarantined: true,
+        quarantinedAt: existing.isQuarantined ? undefined : new Date(),
+        quarantinedById: userId,
+        quarantineReason: data.reason?.trim() || null,
+      }
+      : {
+        isQuarantined: false,
+        quarantinedAt: null,
+        quarantinedById: null,
+        quarantineReason: null,
+      },
+    select: {
+      id: true,
+      name: true,
+      isQuarantined: true,
+      quarantinedAt: true,
+      quarantineReason: true,
+      quarantinedBy: { select: { id: true, name: true } },
+    },
+  });
+
+  await logAuditAction(userId, quarantined ? 'TESTCASE_QUARANTINED' : 'TESTCASE_RELEASED_FROM_QUARANTINE', {
+    resourceType: 'TESTCASE',
+    resourceId: existing.id,
+    resourceName: existing.name,
+    projectId: existing.projectId,
+    description: quarantined
+      ? `Quarantined test case: ${existing.name}`
+      : `Released test case from quarantine: ${existing.name}`,
+    oldValues: { isQuarantined: existing.isQuarantined },
+    newValues: { isQuarantined: quarantined, reason: updated.quarantineReason },
+    ...auditContext,
+  });
+
+  return updated;
+}
+
+export default {
+  getFlakinessSettings,
+  scoreExecutionHistory,
+  recalculateProjectFlakiness,
+  recalculateAllFlakiness,
+  getProjectFlakiness,
+  getQuarantinedTestCaseIds,
+  setTestCaseQuarantine,
+};
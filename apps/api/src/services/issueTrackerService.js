@@ -0,0 +1,648 @@
+/**
+ * ISSUE TRACKER SYNC SERVICE
+ * Links bugs to issues in an external tracker (Jira first) and keeps status,
+ * assignee and comments in sync in both directions
+ */
+
+import crypto from 'crypto';
+import { getPrismaClient } from '../lib/prisma.js';
+import { assertPermissionContext } from '../lib/policy.js';
+import { logError, logWarn } from '../lib/logger.js';
+import { logAuditAction } from './auditService.js';
+import { getProjectBugWorkflow } from './bugWorkflowService.js';
+import { indexBug } from './searchIndexService.js';
+import { broadcastToProject } from './notificationEmitter.js';
+import { createJiraAdapter } from './jiraService.js';
+
+const prisma = getPrismaClient();
+
+// Provider key -> adapter factory. Adapters implement testConnection, createIssue,
+// setStatus, setAssignee, addComment and parseWebhook.
+const ADAPTERS = {
+  JIRA: createJiraAdapter,
+};
+
+export const ISSUE_TRACKER_PROVIDERS = Object.keys(ADAPTERS);
+
+// Comments pushed to the tracker carry this prefix so their webhook echo is never imported
+const OUTBOUND_COMMENT_PREFIX = '[TestTrack]';
+
+const MAPPING_SECTIONS = ['status', 'priority', 'users'];
+
+/**
+ * Helper: Adapter for an integration
+ * @param {Object} integration - IssueTrackerIntegration record
+ * @returns {Object} Provider adapter
+ */
+function getAdapter(integration) {
+  const factory = ADAPTERS[integration.provider];
+  if (!factory) {
+    throw new Error(`Unsupported issue tracker provider: ${integration.provider}`);
+  }
+  return factory(integration);
+}
+
+/**
+ * Helper: Integration without its API token
+ * @param {Object} integration - IssueTrackerIntegration record
+ * @returns {Object} Integration safe to return to clients
+ */
+function toPublicIntegration(integration) {
+  const publicIntegration = { ...integration, hasApiToken: Boolean(integration.apiToken) };
+  delete publicIntegration.apiToken;
+  return publicIntegration;
+}
+
+/**
+ * Helper: Validate field mappings and drop empty entries
+ * @param {Object} mappings - { status, priority, users } maps of TestTrack value -> tracker value
+ * @returns {Object} Normalized mappings
+ * @throws {Error} If a section is not a map of strings
+ */
+export function normalizeFieldMappings(mappings = {}) {
+  const normalized = {};
+
+  for (const section of MAPPING_SECTIONS) {
+    const entries = mappings?.[section] || {};
+    if (typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error(`Field mapping "${section}" must be an object`);
+    }
+
+    normalized[section] = {};
+    for (const [key, value] of Object.entries(entries)) {
+      if (value === null || value === undefined || String(value).trim() === '') continue;
+      if (typeof value !== 'string') {
+        throw new Error(`Field mapping "${section}.${key}" must be a string`);
+      }
+      normalized[section][String(key)] = value.trim();
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Helper: TestTrack key whose mapped tracker value matches (case-insensitive)
+ * When several keys map to the same value the preferred key wins, so a bug whose
+ * status already maps to the incoming value is left unchanged.
+ * @param {Object} map - TestTrack value -> tracker value
+ * @param {string} externalValue - Value reported by the tracker
+ * @param {string} preferred - Key to keep if it matches
+ * @returns {string|null} Matching TestTrack key
+ */
+function reverseLookup(map, externalValue, preferred = null) {
+  const target = String(externalValue).toLowerCase();
+  const matches = Object.keys(map).filter((key) => map[key].toLowerCase() === target);
+  if (matches.length === 0) return null;
+  return matches.includes(String(preferred)) ? String(preferred) : matches[0];
+}
+
+/**
+ * Get the project's issue tracker integration
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Object|null>} Integration without its API token, or null
+ */
+export async function getProjectIssueTracker(projectId) {
+  const integration = await prisma.issueTrackerIntegration.findUnique({
+    where: { projectId: Number(projectId) },
+  });
+
+  return integration ? toPublicIntegration(integration) : null;
+}
+
+/**
+ * Create or update the project's issue tracker integration
+ * The API token is kept when omitted on update; a webhook secret is generated on create.
+ * @param {number} projectId - Project ID
+ * @param {Object} data - { provider, baseUrl, projectKey, issueType, authEmail, apiToken, fieldMappings, syncComments, isActive }
+ * @param {number} userId - User saving the integration
+ * @param {Object} auditContext - { ipAddress, userAgent }
+ * @param {Object} permissionContext - Permission context from authorization layer
+ * @returns {Promise<Object>} Saved integration without its API token
+ * @throws {Error} If permissionContext is invalid or missing, or the configuration is invalid
+ */
+export async function saveProjectIssueTracker(projectId, data, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'issueTracker:manage', { projectId });
+
+  const provider = data.provider || 'JIRA';
+  if (!ADAPTERS[provider]) {
+    throw new Error(`Unsupported issue tracker provider: ${provider}`);
+  }
+
+  let baseUrl;
+  try {
+    baseUrl = new URL(data.baseUrl);
+  } catch {
+    throw new Error('baseUrl must be a valid URL');
+  }
+  if (!['http:', 'https:'].includes(baseUrl.protocol)) {
+    throw new Error('baseUrl must use http or https');
+  }
+
+  if (!data.projectKey?.trim()) {
+    throw new Error('projectKey is required');
+  }
+
+  const existing = await prisma.issueTrackerIntegration.findUnique({
+    where: { projectId: Number(projectId) },
+  });
+
+  const apiToken = data.apiToken?.trim() || existing?.apiToken;
+  if (!apiToken) {
+    throw new Error('apiToken is required');
+  }
+
+  const values = {
+    provider,
+    baseUrl: baseUrl.toString().replace(/\/+$/, ''),
+    projectKey: data.projectKey.trim(),
+    issueType: data.issueType?.trim() || 'Bug',
+    authEmail: data.authEmail?.trim() || null,
+    apiToken,
+    fieldMappings: normalizeFieldMappings(data.fieldMappings),
+    syncComments: data.syncComments !== undefined ? Boolean(data.syncComments) : true,
+    isActive: data.isActive !== undefined ? Boolean(data.isActive) : true,
+  };
+
+  const integration = await prisma.issueTrackerIntegration.upsert({
+    where: { projectId: Number(projectId) },
+    create: {
+      ...values,
+      projectId: Number(projectId),
+      webhookSecret: crypto.randomBytes(24).toString('hex'),
+      createdById: userId,
+    },
+    update: {
+      ...values,
+      ...(values.isActive && { lastError: null }),
+    },
+  });
+
+  const auditValues = { ...values };
+  delete auditValues.apiToken;
+  await logAuditAction(userId, existing ? 'ISSUE_TRACKER_UPDATED' : 'ISSUE_TRACKER_CREATED', {
+    resourceType: 'PROJECT',
+    resourceId: Number(projectId),
+    projectId: Number(projectId),
+    description: `${existing ? 'Updated' : 'Connected'} ${provider} issue tracker (${values.projectKey})`,
+    oldValues: existing ? { ...toPublicIntegration(existing), webhookSecret: undefined } : undefined,
+    newValues: { ...auditValues, apiTokenChanged: Boolean(data.apiToken?.trim()) },
+    ...auditContext,
+  });
+
+  return toPublicIntegration(integration);
+}
+
+/**
+ * Remove the project's issue tracker integration and its issue links
+ * @param {number} projectId - Project ID
+ * @param {number} userId - User removing the integration
+ * @param {Object} auditContext - { ipAddress, userAgent }
+ * @param {Object} permissionContext - Permission context from authorization layer
+ * @throws {Error} If permissionContext is invalid or missing, or no integration exists
+ */
+export async function deleteProjectIssueTracker(projectId, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'issueTracker:manage', { projectId });
+
+  const existing = await prisma.issueTrackerIntegration.findUnique({
+    where: { projectId: Number(projectId) },
+  });
+
+  if (!existing) {
+    throw new Error('Issue tracker integration not found');
+  }
+
+  await prisma.issueTrackerIntegration.delete({ where: { id: existing.id } });
+
+  await logAuditAction(userId, 'ISSUE_TRACKER_DELETED', {
+    resourceType: 'PROJECT',
+    resourceId: Number(projectId),
+    projectId: Number(projectId),
+    description: `Disconnected ${existing.provider} issue tracker (${existing.projectKey})`,
+    oldValues: { ...toPublicIntegration(existing), webhookSecret: undefined },
+    ...auditContext,
+  });
+}
+
+/**
+ * Check that the saved credentials can reach the tracker project
+ * @param {number} projectId - Project ID
+ * @param {Object} permissionContext - Permission context from authorization layer
+ * @returns {Promise<Object>} { success, project } or { success: false, error }
+ * @throws {Error} If permissionContext is invalid or missing, or no integration exists
+ */
+export async function testIssueTrackerConnection(projectId, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'issueTracker:manage', { projectId });
+
+  const integration = await prisma.issueTrackerIntegration.findUnique({
+    where: { projectId: Number(projectId) },
+  });
+
+  if (!integration) {
+    throw new Error('Issue tracker integration not found');
+  }
+
+  try {
+    const project = await getAdapter(integration).testConnection();
+    return { success: true, project };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Helper: Record the outcome of an outbound sync on the link and integration
+ * @param {Object} integration - IssueTrackerIntegration record
+ * @param {Object|null} link - ExternalIssueLink record
+ * @param {Error|null} error - Failure, or null on success
+ */
+async function recordSyncResult(integration, link, error) {
+  const now = new Date();
+  const message = error ? error.message.substring(0, 500) : null;
+
+  if (link) {
+    await prisma.externalIssueLink.update({
+      where: { id: link.id },
+      data: { lastSyncError: message, ...(!error && { lastSyncedAt: now }) },
+    });
+  }
+
+  await prisma.issueTrackerIntegration.update({
+    where: { id: integration.id },
+    data: { lastError: message, ...(!error && { lastSyncAt: now }) },
+  });
+}
+
+/**
+ * Helper: Issue description for a new external issue
+ * @param {Object} bug - Bug record
+ * @returns {string} Plain-text description
+ */
+function buildIssueDescription(bug) {
+  const sections = [
+    bug.description,
+    bug.stepsToReproduce && `Steps to reproduce:\n${bug.stepsToReproduce}`,
+    bug.expectedBehavior && `Expected:\n${bug.expectedBehavior}`,
+    bug.actualBehavior && `Actual:\n${bug.actualBehavior}`,
+    bug.environment && `Environment: ${bug.environment}`,
+    `Severity: ${bug.severity} | Priority: ${bug.priority}`,
+    `TestTrack bug: ${bug.bugNumber}`,
+  ];
+  return sections.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Helper: Run an outbound sync for a linked bug
+ * Never throws; failures are logged and stored on the link.
+ * @param {number} bugId - Bug ID
+ * @param {Function} push - async (adapter, link, integration) => void
+ */
+async function pushToLinkedIssue(bugId, push) {
+  const link = await prisma.externalIssueLink.findUnique({
+    where: { bugId },
+    include: { integration: true },
+  });
+
+  if (!link || !link.integration.isActive) {
+    return;
+  }
+
+  try {
+    await push(getAdapter(link.integration), link, link.integration);
+    await recordSyncResult(link.integration, link, null);
+  } catch (error) {
+    logError('Issue tracker sync failed', error, { bugId, externalKey: link.externalKey });
+    await recordSyncResult(link.integration, link, error).catch(() => {});
+  }
+}
+
+/**
+ * Open a linked external issue for a new bug
+ * Never throws: bug creation must not fail because the tracker is unreachable.
+ * @param {Object} bug - Created bug
+ * @returns {Promise<Object|null>} ExternalIssueLink, or null when nothing was created
+ */
+export async function syncBugCreated(bug) {
+  try {
+    const integration = await prisma.issueTrackerIntegration.findUnique({
+      where: { projectId: bug.projectId },
+    });
+
+    if (!integration?.isActive) {
+      return null;
+    }
+
+    const mappings = integration.fieldMappings || {};
+
+    try {
+      const issue = await getAdapter(integration).createIssue({
+        summary: `[${bug.bugNumber}] ${bug.title}`,
+        description: buildIssueDescription(bug),
+        priority: mappings.priority?.[bug.priority],
+        assigneeExternalId: bug.assigneeId ? mappings.users?.[bug.assigneeId] : undefined,
+      });
+
+      const link = await prisma.externalIssueLink.create({
+        data: {
+          bugId: bug.id,
+          integrationId: integration.id,
+          ...issue,
+          lastSyncedAt: new Date(),
+        },
+      });
+
+      await recordSyncResult(integration, null, null);
+      return link;
+    } catch (error) {
+      logError('Failed to create external issue', error, { bugId: bug.id, projectId: bug.projectId });
+      await recordSyncResult(integration, null, error).catch(() => {});
+      return null;
+    }
+  } catch (error) {
+    logError('Error syncing new bug to issue tracker', error, { bugId: bug.id });
+    return null;
+  }
+}
+
+/**
+ * Helper: Move the linked issue to the bug's mapped status
+ * Statuses without a mapping are not synced.
+ */
+async function pushStatus(adapter, link, integration, bug) {
+  const externalStatus = integration.fieldMappings?.status?.[bug.status];
+  if (externalStatus) {
+    await adapter.setStatus(link.externalId, externalStatus);
+  }
+}
+
+/**
+ * Helper: Set the linked issue's assignee from the user mapping
+ * Assignees without a user mapping leave the issue unassigned.
+ */
+async function pushAssignee(adapter, link, integration, bug) {
+  const accountId = bug.assigneeId ? integration.fieldMappings?.users?.[bug.assigneeId] : null;
+  await adapter.setAssignee(link.externalId, accountId || null);
+}
+
+/**
+ * Push a bug's status to its linked issue
+ * @param {Object} bug - Bug after the change
+ */
+export async function syncBugStatus(bug) {
+  await pushToLinkedIssue(bug.id, (adapter, link, integration) => pushStatus(adapter, link, integration, bug))
+    .catch((error) => logError('Error syncing bug status', error, { bugId: bug.id }));
+}
+
+/**
+ * Push a bug's assignee to its linked issue
+ * @param {Object} bug - Bug after the change
+ */
+export async function syncBugAssignee(bug) {
+  await pushToLinkedIssue(bug.id, (adapter, link, integration) => pushAssignee(adapter, link, integration, bug))
+    .catch((error) => logError('Error syncing bug assignee', error, { bugId: bug.id }));
+}
+
+/**
+ * Push a new comment to the linked issue
+ * @param {Object} comment - BugComment with user
+ */
+export async function syncBugComment(comment) {
+  await pushToLinkedIssue(comment.bugId, async (adapter, link, integration) => {
+    if (!integration.syncComments) return;
+
+    const body = `${OUTBOUND_COMMENT_PREFIX} ${comment.user?.name || 'TestTrack user'}: ${comment.comment}`;
+    const externalCommentId = await adapter.addComment(link.externalId, body);
+
+    await prisma.bugComment.update({
+      where: { id: comment.id },
+      data: { externalCommentId },
+    });
+  }).catch((error) => logError('Error syncing bug comment', error, { bugId: comment.bugId }));
+}
+
+/**
+ * Create the linked issue if missing, otherwise push status and assignee again
+ * Used to repair a bug whose automatic sync failed.
+ * @param {number} bugId - Bug ID
+ * @param {number} projectId - Project ID
+ * @param {Object} permissionContext - Permission context from authorization layer
+ * @returns {Promise<Object>} ExternalIssueLink after the sync
+ * @throws {Error} If permissionContext is invalid or missing, the bug or integration is missing, or the sync fails
+ */
+export async function resyncBug(bugId, projectId, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'bug:edit', { projectId });
+
+  const bug = await prisma.bug.findFirst({
+    where: { id: bugId, projectId: Number(projectId) },
+    include: { externalIssue: true },
+  });
+
+  if (!bug) {
+    throw new Error('Bug not found');
+  }
+
+  const integration = await prisma.issueTrackerIntegration.findUnique({
+    where: { projectId: Number(projectId) },
+  });
+
+  if (!integration?.isActive) {
+    throw new Error('Issue tracker integration not found or inactive');
+  }
+
+  if (!bug.externalIssue) {
+    const link = await syncBugCreated(bug);
+    if (!link) {
+      const { lastError } = await prisma.issueTrackerIntegration.findUnique({ where: { id: integration.id } });
+      throw new Error(`Failed to create external issue: ${lastError}`);
+    }
+    return link;
+  }
+
+  await pushToLinkedIssue(bugId, async (adapter, link, linkedIntegration) => {
+    await pushStatus(adapter, link, linkedIntegration, bug);
+    await pushAssignee(adapter, link, linkedIntegration, bug);
+  });
+
+  const link = await prisma.externalIssueLink.findUnique({ where: { bugId } });
+  if (link.lastSyncError) {
+    throw new Error(`Sync failed: ${link.lastSyncError}`);
+  }
+  return link;
+}
+
+/**
+ * Helper: Compare a presented webhook token with the stored secret
+ */
+function isValidWebhookToken(secret, token) {
+  if (!token) return false;
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(String(token));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Apply an inbound tracker webhook to the linked bug
+ * Changes are written directly rather than through the bug workflow, since the tracker
+ * is the source of truth for them, and are not pushed back to the tracker.
+ * @param {number} integrationId - IssueTrackerIntegration ID from the webhook URL
+ * @param {string} token - Token presented by the caller
+ * @param {Object} payload - Webhook body
+ * @returns {Promise<Object>} { applied: [...] } or { ignored: reason }
+ * @throws {Error} If the integration does not exist or the token is wrong
+ */
+export async function handleIssueTrackerWebhook(integrationId, token, payload) {
+  const integration = await prisma.issueTrackerIntegration.findUnique({
+    where: { id: Number(integrationId) },
+    include: { project: { select: { ownerId: true } } },
+  });
+
+  if (!integration || !isValidWebhookToken(integration.webhookSecret, token)) {
+    throw new Error('Invalid webhook token');
+  }
+
+  if (!integration.isActive) {
+    return { ignored: 'Integration is inactive' };
+  }
+
+  const event = getAdapter(integration).parseWebhook(payload);
+  if (!event) {
+    return { ignored: 'Not an issue event' };
+  }
+
+  const link = await prisma.externalIssueLink.findUnique({
+    where: { integrationId_externalId: { integrationId: integration.id, externalId: event.externalId } },
+    include: { bug: true },
+  });
+
+  if (!link) {
+    return { ignored: 'Issue is not linked to a bug' };
+  }
+
+  const { bug } = link;
+  const mappings = integration.fieldMappings || {};
+  const actorId = integration.createdById || integration.project.ownerId;
+  const data = {};
+  const applied = [];
+
+  if (event.status) {
+    const status = reverseLookup(mappings.status || {}, event.status, bug.status);
+    const workflow = await getProjectBugWorkflow(bug.projectId);
+    const state = workflow.states.find((s) => s.key === status);
+
+    if (state && status !== bug.status) {
+      data.status = status;
+      if (state.isClosed) data.closedAt = new Date();
+      // A reopened issue is no longer resolved
+      else if (bug.closedAt) data.closedAt = null;
+      applied.push('status');
+    } else if (!state) {
+      logWarn(`Unmapped issue tracker status "${event.status}" ignored`, { bugId: bug.id });
+    }
+  }
+
+  if (event.assigneeExternalId !== undefined) {
+    const assigneeId = event.assigneeExternalId === null
+      ? null
+      : reverseLookup(mappings.users || {}, event.assigneeExternalId, bug.assigneeId);
+
+    if (event.assigneeExternalId !== null && !assigneeId) {
+      logWarn('Unmapped issue tracker assignee ignored', { bugId: bug.id });
+    } else if ((assigneeId ? Number(assigneeId) : null) !== bug.assigneeId) {
+      data.assigneeId = assigneeId ? Number(assigneeId) : null;
+      applied.push('assignee');
+    }
+  }
+
+  if (Object.keys(data).length > 0) {
+    await prisma.bug.update({ where: { id: bug.id }, data });
+
+    await logAuditAction(actorId, 'BUG_EXTERNAL_SYNC', {
+      resourceType: 'BUG',
+      resourceId: bug.id,
+      resourceName: bug.bugNumber,
+      projectId: bug.projectId,
+      description: `Synced ${applied.join(' and ')} of bug ${bug.bugNumber} from ${link.externalKey}`,
+      oldValues: Object.fromEntries(Object.keys(data).map((key) => [key, bug[key]])),
+      newValues: data,
+    });
+
+    try {
+      await indexBug(bug.id, bug.projectId);
+    } catch (error) {
+      logError('Error indexing bug', error, { bugId: bug.id });
+    }
+
+    try {
+      await broadcastToProject(bug.projectId, {
+        id: bug.id,
+        title: `Bug updated from ${link.externalKey}: ${bug.bugNumber}`,
+        message: data.status ? `${bug.status} → ${data.status}` : 'Assignee changed',
+        type: 'BUG_STATUS_CHANGED',
+        sourceType: 'BUG',
+        sourceId: bug.id,
+        createdAt: new Date(),
+      });
+    } catch (error) {
+      logError('Error broadcasting external bug update', error, { bugId: bug.id });
+    }
+  }
+
+  if (event.comment && integration.syncComments && !event.comment.body?.startsWith(OUTBOUND_COMMENT_PREFIX)) {
+    const existing = await prisma.bugComment.findFirst({
+      where: { bugId: bug.id, externalCommentId: event.comment.externalId },
+      select: { id: true },
+    });
+
+    if (!existing && event.comment.body?.trim()) {
+      const authorId = event.comment.authorExternalId
+        ? reverseLookup(mappings.users || {}, event.comment.authorExternalId)
+        : null;
+
+      await prisma.bugComment.create({
+        data: {
+          bugId: bug.id,
+          userId: authorId ? Number(authorId) : actorId,
+          comment: authorId
+            ? event.comment.body.trim()
+            : `${event.comment.authorName} (${link.externalKey}): ${event.comment.body.trim()}`,
+          externalCommentId: event.comment.externalId,
+        },
+      });
+      applied.push('comment');
+    }
+  }
+
+  await prisma.externalIssueLink.update({
+    where: { id: link.id },
+    data: { lastSyncedAt: new Date(), lastSyncError: null },
+  });
+
+  return { applied };
+}
+
+export default {
+  ISSUE_TRACKER_PROVIDERS,
+  normalizeFieldMappings,
+  getProjectIssueTracker,
+  saveProjectIssueTracker,
+  deleteProjectIssueTracker,
+  testIssueTrackerConnection,
+  syncBugCreated,
+  syncBugStatus,
+  syncBugAssignee,
+  syncBugComment,
+  resyncBug,
+  handleIssueTrackerWebhook,
+};
@@ -0,0 +1,170 @@
+/**
+ * JIRA ISSUE TRACKER ADAPTER
+ * Jira REST API v2 client used by issueTrackerService. Talks to integration.baseUrl,
+ * so it works against Jira Cloud, Jira Data Center or a local mock server.
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Helper: Authorization header for an integration
+ * Basic auth (email + API token) for Jira Cloud, bearer personal access token otherwise.
+ * @param {Object} integration - IssueTrackerIntegration record
+ * @returns {string} Authorization header value
+ */
+function authorizationHeader(integration) {
+  if (integration.authEmail) {
+    return `Basic ${Buffer.from(`${integration.authEmail}:${integration.apiToken}`).toString('base64')}`;
+  }
+  return `Bearer ${integration.apiToken}`;
+}
+
+/**
+ * Create a Jira client bound to an integration
+ * @param {Object} integration - IssueTrackerIntegration record
+ * @returns {Object} Adapter implementing the issue tracker interface
+ */
+export function createJiraAdapter(integration) {
+  const baseUrl = integration.baseUrl.replace(/\/+$/, '');
+
+  async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}/rest/api/2${path}`, {
+      method,
+      headers: {
+        Authorization: authorizationHeader(integration),
+        Accept: 'application/json',
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    const text = await response.text().catch(() => '');
+
+    if (!response.ok) {
+      throw new Error(`Jira ${method} ${path} failed: HTTP ${response.status} ${text.substring(0, 200)}`);
+    }
+
+    return text ? JSON.parse(text) : null;
+  }
+
+  return {
+    /**
+     * Verify credentials and that the configured project exists
+     * @returns {Promise<Object>} Project key and name
+     */
+    async testConnection() {
+      const project = await request('GET', `/project/${encodeURIComponent(integration.projectKey)}`);
+      return { key: project.key, name: project.name };
+    },
+
+    /**
+     * Create an issue
+     * @param {Object} issue - { summary, description, priority, assigneeExternalId }
+     * @returns {Promise<Object>} { externalId, externalKey, externalUrl }
+     */
+    async createIssue({ summary, description, priority, assigneeExternalId }) {
+      const created = await request('POST', '/issue', {
+        fields: {
+          project: { key: integration.projectKey },
+          issuetype: { name: integration.issueType },
+          summary,
+          description,
+          ...(priority && { priority: { name: priority } }),
+          ...(assigneeExternalId && { assignee: { accountId: assigneeExternalId } }),
+        },
+      });
+
+      return {
+        externalId: String(created.id),
+        externalKey: created.key,
+        externalUrl: `${baseUrl}/browse/${created.key}`,
+      };
+    },
+
+    /**
+     * Move an issue to a status
+     * Jira only changes status through workflow transitions, so this picks the
+     * transition whose target status matches. An issue already in the status is left alone.
+     * @param {string} externalId - Issue ID
+     * @param {string} statusName - Target Jira status name
+     */
+    async setStatus(externalId, statusName) {
+      const { transitions = [] } = await request('GET', `/issue/${externalId}/transitions`);
+      const target = statusName.toLowerCase();
+      const transition = transitions.find((t) => t.to?.name?.toLowerCase() === target)
+        || transitions.find((t) => t.name?.toLowerCase() === target);
+
+      if (transition) {
+        await request('POST', `/issue/${externalId}/transitions`, { transition: { id: transition.id } });
+        return;
+      }
+
+      const issue = await request('GET', `/issue/${externalId}?fields=status`);
+      if (issue.fields?.status?.name?.toLowerCase() !== target) {
+        throw new Error(`No Jira transition leads to status "${statusName}"`);
+      }
+    },
+
+    /**
+     * Set or clear the issue assignee
+     * @param {string} externalId - Issue ID
+     * @param {string|null} assigneeExternalId - Jira accountId, or null to unassign
+     */
+    async setAssignee(externalId, assigneeExternalId) {
+      await request('PUT', `/issue/${externalId}/assignee`, { accountId: assigneeExternalId });
+    },
+
+    /**
+     * Add a comment
+     * @param {string} externalId - Issue ID
+     * @param {string} body - Comment text
+     * @returns {Promise<string>} Jira comment ID
+     */
+    async addComment(externalId, body) {
+      const comment = await request('POST', `/issue/${externalId}/comment`, { body });
+      return String(comment.id);
+    },
+
+    /**
+     * Normalize a Jira webhook payload
+     * Only fields present in the event are set: assigneeExternalId is undefined when the
+     * assignee did not change and null when the issue was unassigned.
+     * @param {Object} payload - Jira webhook body
+     * @returns {Object|null} { externalId, status, assigneeExternalId, comment } or null if not an issue event
+     */
+    parseWebhook(payload) {
+      if (!payload?.issue?.id) {
+        return null;
+      }
+
+      const event = { externalId: String(payload.issue.id) };
+      const changes = payload.changelog?.items || [];
+
+      const statusChange = changes.find((item) => item.field === 'status');
+      if (statusChange) {
+        event.status = statusChange.toString;
+      }
+
+      const assigneeChange = changes.find((item) => item.field === 'assignee');
+      if (assigneeChange) {
+        event.assigneeExternalId = assigneeChange.to || null;
+      }
+
+      if (payload.comment && payload.webhookEvent === 'comment_created') {
+        event.comment = {
+          externalId: String(payload.comment.id),
+          body: payload.comment.body,
+          authorExternalId: payload.comment.author?.accountId || null,
+          authorName: payload.comment.author?.displayName || 'Jira user',
+        };
+      }
+
+      return event;
+    },
+  };
+}
+
+export default {
+  createJiraAdapter,
+};
@@ -0,0 +1,490 @@
+/**
+ * MFA SERVICE
+ * TOTP two-factor authentication (RFC 6238): enrollment with a QR code,
+ * one-time recovery codes, code verification for the login challenge and
+ * admin reset. Roles listed in MFA_REQUIRED_ROLES must use a second factor.
+ */
+
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { getPrismaClient } from '../lib/prisma.js';
+import { logAuditAction } from './auditService.js';
+
+const prisma = getPrismaClient();
+
+const MFA_ISSUER = 'TestTrack Pro';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next code too, for clock drift between server and phone
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Roles that must use two-factor authentication, from MFA_REQUIRED_ROLES (comma separated)
+ * @returns {string[]} Upper-case role names
+ */
+export function getMfaRequiredRoles() {
+  return String(process.env.MFA_REQUIRED_ROLES || '')
+    .split(',')
+    .map((role) => role.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Whether users with a role must use two-factor authentication
+ * @param {string} role - User role
+ * @returns {boolean}
+ */
+export function isMfaRequiredForRole(role) {
+  return getMfaRequiredRoles().includes(String(role || '').toUpperCase());
+}
+
+/**
+ * Helper: RFC 4648 base32 without padding, the secret format authenticator apps expect
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Helper: Decode an RFC 4648 base32 string
+ */
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Helper: TOTP code of a base32 secret for a time step
+ */
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Helper: Time step of a code that matches the secret, or null
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastUsedStep - Steps up to this one are rejected (replay protection)
+ */
+function matchTotpStep(secret, code, lastUsedStep = null) {
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = Buffer.from(generateTotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Helper: AES-256-GCM key for TOTP secrets (MFA_ENCRYPTION_KEY, falls back to JWT_SECRET)
+ */
+function getEncryptionKey() {
+  const secret = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('MFA_ENCRYPTION_KEY or JWT_SECRET must be set to store two-factor secrets');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Helper: Encrypt a TOTP secret for storage as iv:tag:ciphertext (base64)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':');
+}
+
+/**
+ * Helper: Decrypt a stored TOTP secret
+ */
+function decryptSecret(stored) {
+  const [iv, tag, ciphertext] = stored.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Helper: Recovery codes are compared without dashes, spaces or case
+ */
+function normalizeCode(code) {
+  return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+}
+
+/**
+ * Helper: SHA-256 of a normalized recovery code
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+/**
+ * Helper: New recovery codes, returned once in plain text and stored hashed
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Record a wrong two-factor code in the audit log
+ * @param {Object} user - User record (id, email)
+ * @param {string} description - Where the code was rejected
+ * @param {Object} auditContext - Audit context (ipAddress, userAgent)
+ * @returns {Promise<void>}
+ */
+export async function logMfaFailure(user, description, auditContext = {}) {
+  await logAuditAction(user.id, 'MFA_VERIFICATION_FAILED', {
+    resourceType: 'USER',
+    resourceId: user.id,
+    resourceName: user.email,
+    description,
+    ...auditContext,
+  });
+}
+
+/**
+ * Check a TOTP or recovery code for a user with two-factor authentication enabled
+ * An accepted TOTP code cannot be used again; an accepted recovery code is used up.
+ * @param {Object} user - User record with the mfa fields
+ * @param {string} code - 6-digit TOTP code or recovery code
+ * @param {Object} auditContext - Audit context (ipAddress, userAgent)
+ * @returns {Promise<string|null>} 'TOTP' or 'RECOVERY_CODE' when the code is valid, otherwise null
+ */
+export async function verifyMfaCode(user, code, auditContext = {}) {
+  if (!user.mfaEnabled || !user.mfaSecret) {
+    return null;
+  }
+
+  const normalized = normalizeCode(code);
+  const step = matchTotpStep(decryptSecret(user.mfaSecret), normalized, user.mfaLastUsedStep ?? null);
+  if (step !== null) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { mfaLastUsedStep: step },
+    });
+    return 'TOTP';
+  }
+
+  const hash = hashRecoveryCode(normalized);
+  if (normalized.length > 0 && user.mfaRecoveryCodes.includes(hash)) {
+    const remaining = user.mfaRecoveryCodes.filter((entry) => entry !== hash);
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { mfaRecoveryCodes: remaining },
+    });
+    await logAuditAction(user.id, 'MFA_RECOVERY_CODE_USED', {
+      resourceType: 'USER',
+      resourceId: user.id,
+      resourceName: user.email,
+      description: `Recovery code used, ${remaining.length} left`,
+      ...auditContext,
+    });
+    return 'RECOVERY_CODE';
+  }
+
+  return null;
+}
+
+/**
+ * Two-factor status of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { enabled, required, enabledAt, recoveryCodesRemaining }
+ */
+export async function getMfaStatus(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { role: true, mfaEnabled: true, mfaEnabledAt: true, mfaRecoveryCodes: true },
+  });
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return {
+    enabled: user.mfaEnabled,
+    required: isMfaRequiredForRole(user.role),
+    enabledAt: user.mfaEnabledAt,
+    recoveryCodesRemaining: user.mfaEnabled ? user.mfaRecoveryCodes.length : 0,
+  };
+}
+
+/**
+ * Start enrollment: create a secret and the QR code for an authenticator app
+ * The secret only becomes active once confirmMfaEnrollment accepts a code from it.
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode (PNG data URL) }
+ * @throws {Error} If two-factor authentication is already enabled
+ */
+export async function startMfaEnrollment(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, mfaEnabled: true },
+  });
+  if (!user) {
+    throw new Error('User not found');
+  }
+  if (user.mfaEnabled) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await prisma.user.update({
+    where: { id: userId },
+    data: { mfaPendingSecret: encryptSecret(secret) },
+  });
+
+  const label = encodeURIComponent(`${MFA_ISSUER}:${user.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(MFA_ISSUER)}`
+    + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl),
+  };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {number} userId - User ID
+ * @param {string} code - 6-digit code for the pending secret
+ * @param {Object} auditContext - Audit context
+ * @returns {Promise<Object>} { recoveryCodes } shown to the user once
+ * @throws {Error} If no enrollment was started or the code is wrong
+ */
+export async function confirmMfaEnrollment(userId, code, auditContext = {}) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('User not found');
+  }
+  if (user.mfaEnabled) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+  if (!user.mfaPendingSecret) {
+    throw new Error('Start two-factor enrollment first');
+  }
+
+  const step = matchTotpStep(decryptSecret(user.mfaPendingSecret), normalizeCode(code));
+  if (step === null) {
+    await logMfaFailure(user, 'Wrong code while enrolling two-factor authentication', auditContext);
+    throw new Error('Invalid two-factor code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      mfaEnabled: true,
+      mfaSecret: user.mfaPendingSecret,
+      mfaPendingSecret: null,
+      mfaRecoveryCodes: hashes,
+      mfaLastUsedStep: step,
+      mfaEnabledAt: new Date(),
+    },
+  });
+
+  await logAuditAction(userId, 'MFA_ENROLLED', {
+    resourceType: 'USER',
+    resourceId: userId,
+    resourceName: user.email,
+    description: 'Enabled two-factor authentication',
+    ...auditContext,
+  });
+
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Turn off two-factor authentication (needs the password and a current code)
+ * @param {number} userId - User ID
+ * @param {string} password - Current password
+ * @param {string} code - TOTP or recovery code
+ * @param {Object} auditContext - Audit context
+ * @returns {Promise<Object>} Success message
+ * @throws {Error} If the role requires two-factor authentication or a credential is wrong
+ */
+export async function disableMfa(userId, password, code, auditContext = {}) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('User not found');
+  }
+  if (!user.mfaEnabled) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+  if (isMfaRequiredForRole(user.role)) {
+    throw new Error('Two-factor authentication is required for your role');
+  }
+  if (!user.password || !(await bcrypt.compare(String(password || ''), user.password))) {
+    await logMfaFailure(user, 'Wrong password while disabling two-factor authentication', auditContext);
+    throw new Error('Current password is incorrect');
+  }
+  if (!(await verifyMfaCode(user, code, auditContext))) {
+    await logMfaFailure(user, 'Wrong code while disabling two-factor authentication', auditContext);
+    throw new Error('Invalid two-factor code');
+  }
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      mfaEnabled: false,
+      mfaSecret: null,
+      mfaPendingSecret: null,
+      mfaRecoveryCodes: [],
+      mfaLastUsedStep: null,
+      mfaEnabledAt: null,
+    },
+  });
+
+  await logAuditAction(userId, 'MFA_DISABLED', {
+    resourceType: 'USER',
+    resourceId: userId,
+    resourceName: user.email,
+    description: 'Disabled two-factor authentication',
+    ...auditContext,
+  });
+
+  return { message: 'Two-factor authentication disabled' };
+}
+
+/**
+ * Replace all recovery codes (needs a current code)
+ * @param {number} userId - User ID
+ * @param {string} code - TOTP or recovery code
+ * @param {Object} auditContext - Audit context
+ * @returns {Promise<Object>} { recoveryCodes } shown to the user once
+ * @throws {Error} If two-factor authentication is off or the code is wrong
+ */
+export async function regenerateRecoveryCodes(userId, code, auditContext = {}) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('User not found');
+  }
+  if (!user.mfaEnabled) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+  if (!(await verifyMfaCode(user, code, auditContext))) {
+    await logMfaFailure(user, 'Wrong code while regenerating recovery codes', auditContext);
+    throw new Error('Invalid two-factor code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await prisma.user.update({
+    where: { id: userId },
+    data: { mfaRecoveryCodes: hashes },
+  });
+
+  await logAuditAction(userId, 'MFA_RECOVERY_CODES_REGENERATED', {
+    resourceType: 'USER',
+    resourceId: userId,
+    resourceName: user.email,
+    description: 'Generated new two-factor recovery codes',
+    ...auditContext,
+  });
+
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Clear a user's two-factor setup (admin action, e.g. after a lost phone)
+ * Users whose role requires two-factor authentication enroll again at their next login.
+ * @param {number} adminId - Admin performing the reset
+ * @param {number} targetUserId - User to reset
+ * @param {Object} auditContext - Audit context
+ * @returns {Promise<Object>} Success message and user summary
+ * @throws {Error} If the user does not exist
+ */
+export async function resetMfa(adminId, targetUserId, auditContext = {}) {
+  const user = await prisma.user.findUnique({
+    where: { id: targetUserId },
+    select: { id: true, name: true, email: true, mfaEnabled: true },
+  });
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  await prisma.user.update({
+    where: { id: targetUserId },
+    data: {
+      mfaEnabled: false,
+      mfaSecret: null,
+      mfaPendingSecret: null,
+      mfaRecoveryCodes: [],
+      mfaLastUsedStep: null,
+      mfaEnabledAt: null,
+    },
+  });
+
+  await logAuditAction(adminId, 'MFA_RESET', {
+    resourceType: 'USER',
+    resourceId: user.id,
+    resourceName: user.name,
+    description: `Reset two-factor authentication for: ${user.email}`,
+    oldValues: { mfaEnabled: user.mfaEnabled },
+    newValues: { mfaEnabled: false },
+    ...auditContext,
+  });
+
+  return {
+    message: `Two-factor authentication reset for ${user.email}`,
+    user: { id: user.id, name: user.name, email: user.email, mfaEnabled: false },
+  };
+}
+
+export default {
+  getMfaRequiredRoles,
+  isMfaRequiredForRole,
+  verifyMfaCode,
+  logMfaFailure,
+  getMfaStatus,
+  startMfaEnrollment,
+  confirmMfaEnrollment,
+  disableMfa,
+  regenerateRecoveryCodes,
+  resetMfa,
+};
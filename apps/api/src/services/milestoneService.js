@@ -250,7 +250,9 @@ export async function updateMilestone(milestoneId, data, userId) {
     data: updateData,
     include: {
       creator: { select: { id: true, name: true, email: true } },
-      testCases: { select: { id: true, status: true } },
+      testCases: {
+        select: { id: true, status: true, isQuarantined: true, executions: { select: { status: true } } },
+      },
       defects: { select: { id: true, status: true } },
     },
   });
@@ -467,13 +469,15 @@ export async function calculateMilestoneProgress(milestoneId, milestoneData = nu
   let defectProgress = 0;
   let overallProgress = 0;
 
+  // Quarantined (flaky) test cases don't count towards progress
+  const trackedTestCases = milestone.testCases.filter(tc => !tc.isQuarantined);
+  const completedTestCases = trackedTestCases.filter(tc =>
+    tc.executions.length > 0 && tc.executions.some(e => e.status === 'PASSED'),
+  ).length;
+
   // Calculate test case completion percentage
-  if (milestone.testCases.length > 0) {
-    const completedTestCases = milestone.testCases.filter(tc => {
-      const executions = tc.executions;
-      return executions.length > 0 && executions.some(e => e.status === 'PASSED');
-    }).length;
-    testCaseProgress = (completedTestCases / milestone.testCases.length) * 100;
+  if (trackedTestCases.length > 0) {
+    testCaseProgress = (completedTestCases / trackedTestCases.length) * 100;
   }
 
   // Calculate defect resolution percentage
@@ -485,9 +489,9 @@ export async function calculateMilestoneProgress(milestoneId, milestoneData = nu
   }
 
   // Calculate overall progress (equal weight)
-  if (milestone.testCases.length > 0 && milestone.defects.length > 0) {
+  if (trackedTestCases.length > 0 && milestone.defects.length > 0) {
     overallProgress = (testCaseProgress + defectProgress) / 2;
-  } else if (milestone.testCases.length > 0) {
+  } else if (trackedTestCases.length > 0) {
     overallProgress = testCaseProgress;
   } else if (milestone.defects.length > 0) {
     overallProgress = defectProgress;
@@ -505,10 +509,9 @@ export async function calculateMilestoneProgress(milestoneId, milestoneData = nu
       overall: parseFloat(overallProgress.toFixed(2)),
       testCases: parseFloat(testCaseProgress.toFixed(2)),
       defects: parseFloat(defectProgress.toFixed(2)),
-      totalTestCases: milestone.testCases.length,
-      completedTestCases: milestone.testCases.filter(tc =>
-        tc.executions.length > 0 && tc.executions.some(e => e.status === 'PASSED')
-      ).length,
+      totalTestCases: trackedTestCases.length,
+      completedTestCases,
+      quarantinedTestCases: milestone.testCases.length - trackedTestCases.length,
       totalDefects: milestone.defects.length,
       resolvedDefects: milestone.defects.filter(d =>
         ['VERIFIED_FIXED', 'CLOSED', 'WORKS_AS_DESIGNED'].includes(d.status)
@@ -268,9 +268,11 @@ export async function shouldSendNotification(userId, type, notificationType) {
       BUG_VERIFIED: 'emailBugStatusChanged',
       BUG_REOPENED: 'emailBugStatusChanged',
       BUG_RETEST_REQUESTED: 'emailBugAssigned',
+      TEST_RUN_ASSIGNED: 'emailBugAssigned',
       TESTCASE_EXECUTED: 'emailTestFailed',
       TEST_EXECUTION_FAILED: 'emailTestFailed',
       TEST_EXECUTION_BLOCKED: 'emailTestFailed',
+      TEST_FLAKY_DETECTED: 'emailTestFailed',
       USER_MENTIONED: 'emailMentioned',
       COMMENT_REPLIED: 'emailMentioned',
       ANNOUNCEMENT: 'emailAnnouncements',
@@ -285,9 +287,11 @@ export async function shouldSendNotification(userId, type, notificationType) {
       BUG_VERIFIED: 'inAppBugStatusChanged',
       BUG_REOPENED: 'inAppBugStatusChanged',
       BUG_RETEST_REQUESTED: 'inAppBugAssigned',
+      TEST_RUN_ASSIGNED: 'inAppBugAssigned',
       TESTCASE_EXECUTED: 'inAppTestFailed',
       TEST_EXECUTION_FAILED: 'inAppTestFailed',
       TEST_EXECUTION_BLOCKED: 'inAppTestFailed',
+      TEST_FLAKY_DETECTED: 'inAppTestFailed',
       USER_MENTIONED: 'inAppMentioned',
       COMMENT_REPLIED: 'inAppMentioned',
       ANNOUNCEMENT: 'inAppAnnouncements',
@@ -193,6 +193,9 @@ export async function exchangeGitHubCodeForToken(code, redirectUrl = null) {
 /**
  * Find or create user from OAuth provider data
  * @param {Object} oauthData - OAuth provider user data
+ * @param {string} [oauthData.role='DEVELOPER'] - Role given to a user created here (SSO provisioning)
+ * @param {boolean} [oauthData.linkExistingUser=true] - Link an existing user with the same email; when false only new users are created
+ * @param {Object} [oauthData.metadata] - Extra metadata stored on the integration
  * @returns {Promise<Object>} User object
  */
 export async function findOrCreateOAuthUser(oauthData) {
@@ -202,11 +205,14 @@ export async function findOrCreateOAuthUser(oauthData) {
     email,
     name,
     picture,
+    role = 'DEVELOPER',
+    linkExistingUser = true,
+    metadata = {},
   } = oauthData;
 
   try {
     // Check if OAuth integration already exists
-    let oauthIntegration = await prisma.oauthIntegration.findUnique({
+    let oauthIntegration = await prisma.oAuthIntegration.findUnique({
       where: {
         provider_providerId: {
           provider,
@@ -230,14 +236,19 @@ export async function findOrCreateOAuthUser(oauthData) {
       where: { email },
     });
 
+    if (user && !linkExistingUser) {
+      throw new Error('An account with this email already exists');
+    }
+
     // If user doesn't exist, create new user
+    const isNewUser = !user;
     if (!user) {
       user = await prisma.user.create({
         data: {
           name,
           email,
           password: null, // OAuth users don't need password
-          role: 'DEVELOPER', // Default role
+          role,
           isVerified: true, // OAuth users are auto-verified
           picture,
         },
@@ -245,7 +256,7 @@ export async function findOrCreateOAuthUser(oauthData) {
     }
 
     // Create OAuth integration record
-    oauthIntegration = await prisma.oauthIntegration.create({
+    oauthIntegration = await prisma.oAuthIntegration.create({
       data: {
         provider,
         providerId,
@@ -255,6 +266,7 @@ export async function findOrCreateOAuthUser(oauthData) {
           name,
           picture,
           provider,
+          ...metadata,
         },
       },
     });
@@ -283,7 +295,7 @@ export async function findOrCreateOAuthUser(oauthData) {
 
     return {
       user,
-      isNewUser: !user.id,
+      isNewUser,
       oauthIntegration,
     };
   } catch (error) {
@@ -308,7 +320,7 @@ export async function linkOAuthProvider(userId, oauthData) {
 
   try {
     // Check if this OAuth provider is already linked to a different user
-    const existingIntegration = await prisma.oauthIntegration.findUnique({
+    const existingIntegration = await prisma.oAuthIntegration.findUnique({
       where: {
         provider_providerId: {
           provider,
@@ -322,7 +334,7 @@ export async function linkOAuthProvider(userId, oauthData) {
     }
 
     // Create or update OAuth integration
-    const oauthIntegration = await prisma.oauthIntegration.upsert({
+    const oauthIntegration = await prisma.oAuthIntegration.upsert({
       where: {
         provider_providerId: {
           provider,
@@ -365,7 +377,7 @@ export async function linkOAuthProvider(userId, oauthData) {
 export async function unlinkOAuthProvider(userId, provider) {
   try {
     // Get the OAuth integration
-    const oauthIntegration = await prisma.oauthIntegration.findFirst({
+    const oauthIntegration = await prisma.oAuthIntegration.findFirst({
       where: {
         userId,
         provider,
@@ -383,7 +395,7 @@ export async function unlinkOAuthProvider(userId, provider) {
 
     if (!user.password) {
       // Count other OAuth providers
-      const otherOAuthCount = await prisma.oauthIntegration.count({
+      const otherOAuthCount = await prisma.oAuthIntegration.count({
         where: {
           userId,
           provider: { not: provider },
@@ -396,7 +408,7 @@ export async function unlinkOAuthProvider(userId, provider) {
     }
 
     // Delete the OAuth integration
-    return await prisma.oauthIntegration.delete({
+    return await prisma.oAuthIntegration.delete({
       where: { id: oauthIntegration.id },
     });
   } catch (error) {
@@ -411,7 +423,7 @@ export async function unlinkOAuthProvider(userId, provider) {
  */
 export async function getUserOAuthProviders(userId) {
   try {
-    return await prisma.oauthIntegration.findMany({
+    return await prisma.oAuthIntegration.findMany({
       where: { userId },
       select: {
         id: true,
@@ -0,0 +1,421 @@
+/**
+ * PROJECT ROLE SERVICE
+ * Custom per-project roles (e.g. "Test Lead", "Read-only Stakeholder") built from
+ * project-scoped PERMISSIONS keys, and the effective permissions of a project member
+ *
+ * A member whose ProjectUserAllocation points at a custom role gets exactly that role's
+ * permissions for project-scoped keys; the global role matrix still applies everywhere else.
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+import { PERMISSIONS } from '../lib/permissions.js';
+import { POLICY_MAP, PROJECT_SCOPED_PERMISSIONS, assertPermissionContext, isAllowedInProject } from '../lib/policy.js';
+import { logAuditAction } from './auditService.js';
+
+const prisma = getPrismaClient();
+
+// Project roles available in every project without any definition
+export const BUILT_IN_PROJECT_ROLES = ['PROJECT_MANAGER', 'LEAD_TESTER', 'DEVELOPER', 'QA_ENGINEER', 'AUTOMATION_ENGINEER'];
+
+// Set by requireProjectAccess or the old default allocation role; never usable as a custom role key
+const RESERVED_ROLE_KEYS = ['OWNER', 'ADMIN', 'TESTER', 'API_KEY'];
+
+/**
+ * Helper: Derive the stored role key from a display name, e.g. "Test Lead" -> TEST_LEAD
+ */
+function toRoleKey(name) {
+  return name
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Helper: Validate a role name
+ */
+function normalizeName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new Error('Role name is required');
+  }
+  if (trimmed.length > 60) {
+    throw new Error('Role name must be 60 characters or fewer');
+  }
+  return trimmed;
+}
+
+/**
+ * Helper: Validate a permission list, keeping only unique project-scoped keys
+ */
+function normalizePermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    throw new Error('permissions must be an array of permission keys');
+  }
+
+  const unique = [...new Set(permissions)];
+  const invalid = unique.filter((key) => !PROJECT_SCOPED_PERMISSIONS.includes(key));
+  if (invalid.length > 0) {
+    throw new Error(`Permissions cannot be granted by a project role: ${invalid.join(', ')}`);
+  }
+
+  return unique;
+}
+
+/**
+ * Helper: Reject a name already used by another role in the project
+ */
+async function assertNameAvailable(projectId, name, excludeRoleId = null) {
+  const existing = await prisma.projectRole.findFirst({
+    where: {
+      projectId,
+      name: { equals: name, mode: 'insensitive' },
+      ...(excludeRoleId ? { id: { not: excludeRoleId } } : {}),
+    },
+    select: { id: true },
+  });
+  if (existing) {
+    throw new Error(`A role named "${name}" already exists in this project`);
+  }
+}
+
+/**
+ * Helper: Load a custom role of the project
+ */
+async function getProjectRole(projectId, roleId) {
+  const role = await prisma.projectRole.findFirst({
+    where: { id: Number(roleId), projectId: Number(projectId) },
+  });
+  if (!role) {
+    throw new Error('Project role not found');
+  }
+  return role;
+}
+
+/**
+ * Helper: Make sure the project exists
+ */
+async function assertProjectExists(projectId) {
+  const project = await prisma.project.findUnique({
+    where: { id: Number(projectId) },
+    select: { id: true, name: true, ownerId: true },
+  });
+  if (!project) {
+    throw new Error('Project not found');
+  }
+  return project;
+}
+
+/**
+ * Permissions a custom project role can grant, for the role editor
+ * @returns {Array<Object>} { key, resource, description }
+ */
+export function listAssignablePermissions() {
+  return PROJECT_SCOPED_PERMISSIONS.map((key) => ({
+    key,
+    resource: key.split(':')[0],
+    description: PERMISSIONS[key].description,
+  }));
+}
+
+/**
+ * List the custom roles of a project with the number of members holding each one
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Object>} { builtInRoles, roles }
+ */
+export async function listProjectRoles(projectId) {
+  await assertProjectExists(projectId);
+
+  const roles = await prisma.projectRole.findMany({
+    where: { projectId: Number(projectId) },
+    include: {
+      _count: { select: { allocations: { where: { isActive: true } } } },
+    },
+    orderBy: { name: 'asc' },
+  });
+
+  return {
+    builtInRoles: BUILT_IN_PROJECT_ROLES,
+    roles: roles.map(({ _count, ...role }) => ({ ...role, memberCount: _count.allocations })),
+  };
+}
+
+/**
+ * Create a custom project role
+ * @param {number} projectId - Project ID
+ * @param {Object} data - { name, description, permissions }
+ * @param {number} userId - User creating the role
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Created role
+ * @throws {Error} If the name is taken or reserved, or a permission is not project-scoped
+ */
+export async function createProjectRole(projectId, data, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'projectRole:manage', { projectId });
+
+  await assertProjectExists(projectId);
+
+  const name = normalizeName(data.name);
+  const key = toRoleKey(name);
+  if (!key) {
+    throw new Error('Role name must contain letters or digits');
+  }
+  if (BUILT_IN_PROJECT_ROLES.includes(key) || RESERVED_ROLE_KEYS.includes(key)) {
+    throw new Error(`"${name}" is a built-in role name`);
+  }
+  const permissions = normalizePermissions(data.permissions || []);
+
+  await assertNameAvailable(Number(projectId), name);
+  const keyTaken = await prisma.projectRole.findUnique({
+    where: { projectId_key: { projectId: Number(projectId), key } },
+    select: { id: true },
+  });
+  if (keyTaken) {
+    throw new Error(`A role with key ${key} already exists in this project`);
+  }
+
+  const role = await prisma.projectRole.create({
+    data: {
+      projectId: Number(projectId),
+      key,
+      name,
+      description: data.description?.trim() || null,
+      permissions,
+    },
+  });
+
+  await logAuditAction(userId, 'PROJECT_ROLE_CREATED', {
+    resourceType: 'PROJECT_ROLE',
+    resourceId: role.id,
+    resourceName: role.name,
+    projectId: Number(projectId),
+    description: `Project role "${role.name}" created with ${permissions.length} permission(s)`,
+    newValues: JSON.stringify({ key, permissions }),
+    ...auditContext,
+  });
+
+  return { ...role, memberCount: 0 };
+}
+
+/**
+ * Update the name, description or permissions of a custom project role
+ * The key stays the same so existing allocations keep pointing at the role.
+ * @param {number} projectId - Project ID
+ * @param {number} roleId - Project role ID
+ * @param {Object} data - Fields to change
+ * @param {number} userId - User updating the role
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Updated role
+ * @throws {Error} If the role does not exist or the definition is invalid
+ */
+export async function updateProjectRole(projectId, roleId, data, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'projectRole:manage', { projectId });
+
+  const existing = await getProjectRole(projectId, roleId);
+
+  const updates = {};
+  if (data.name !== undefined) {
+    updates.name = normalizeName(data.name);
+    await assertNameAvailable(existing.projectId, updates.name, existing.id);
+  }
+  if (data.description !== undefined) {
+    updates.description = data.description?.trim() || null;
+  }
+  if (data.permissions !== undefined) {
+    updates.permissions = normalizePermissions(data.permissions);
+  }
+
+  const role = await prisma.projectRole.update({
+    where: { id: existing.id },
+    data: updates,
+    include: {
+      _count: { select: { allocations: { where: { isActive: true } } } },
+    },
+  });
+
+  const added = (updates.permissions || []).filter((key) => !existing.permissions.includes(key));
+  const removed = updates.permissions
+    ? existing.permissions.filter((key) => !updates.permissions.includes(key))
+    : [];
+
+  await logAuditAction(userId, 'PROJECT_ROLE_UPDATED', {
+    resourceType: 'PROJECT_ROLE',
+    resourceId: role.id,
+    resourceName: role.name,
+    projectId: existing.projectId,
+    description: `Project role "${role.name}" updated (${added.length} permission(s) added, ${removed.length} removed)`,
+    oldValues: JSON.stringify({ name: existing.name, description: existing.description, permissions: existing.permissions }),
+    newValues: JSON.stringify({ name: role.name, description: role.description, permissions: role.permissions }),
+    ...auditContext,
+  });
+
+  const { _count, ...rest } = role;
+  return { ...rest, memberCount: _count.allocations };
+}
+
+/**
+ * Delete a custom project role
+ * Refused while active members hold the role; removed members that still reference it
+ * fall back to the default built-in role.
+ * @param {number} projectId - Project ID
+ * @param {number} roleId - Project role ID
+ * @param {number} userId - User deleting the role
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Success message
+ * @throws {Error} If the role does not exist or is still assigned
+ */
+export async function deleteProjectRole(projectId, roleId, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'projectRole:manage', { projectId });
+
+  const role = await getProjectRole(projectId, roleId);
+
+  const activeMembers = await prisma.projectUserAllocation.count({
+    where: { customRoleId: role.id, isActive: true },
+  });
+  if (activeMembers > 0) {
+    throw new Error(`Role is assigned to ${activeMembers} member(s); give them another role first`);
+  }
+
+  await prisma.$transaction([
+    prisma.projectUserAllocation.updateMany({
+      where: { customRoleId: role.id },
+      data: { customRoleId: null, projectRole: 'QA_ENGINEER' },
+    }),
+    prisma.projectRole.delete({ where: { id: role.id } }),
+  ]);
+
+  await logAuditAction(userId, 'PROJECT_ROLE_DELETED', {
+    resourceType: 'PROJECT_ROLE',
+    resourceId: role.id,
+    resourceName: role.name,
+    projectId: role.projectId,
+    description: `Project role "${role.name}" deleted`,
+    oldValues: JSON.stringify({ key: role.key, permissions: role.permissions }),
+    ...auditContext,
+  });
+
+  return { message: 'Project role deleted' };
+}
+
+/**
+ * Resolve a project role key for an allocation
+ * @param {number} projectId - Project ID
+ * @param {string} roleKey - Built-in role or custom role key
+ * @returns {Promise<Object>} { projectRole, customRoleId }
+ * @throws {Error} If the key names neither a built-in nor a custom role of the project
+ */
+export async function resolveAllocationRole(projectId, roleKey) {
+  const normalized = String(roleKey || '').trim().toUpperCase();
+  if (BUILT_IN_PROJECT_ROLES.includes(normalized)) {
+    return { projectRole: normalized, customRoleId: null };
+  }
+
+  const customRole = await prisma.projectRole.findUnique({
+    where: { projectId_key: { projectId: Number(projectId), key: normalized } },
+    select: { id: true, key: true },
+  });
+  if (!customRole) {
+    throw new Error(`Invalid project role. Must be one of: ${BUILT_IN_PROJECT_ROLES.join(', ')} or a custom role of this project`);
+  }
+
+  return { projectRole: customRole.key, customRoleId: customRole.id };
+}
+
+/**
+ * Work out what a user may do inside a project and why
+ * Mirrors requireProjectAccess and requirePermission: admins and the owner follow the
+ * global matrix, members with a custom role get that role's project permissions, other
+ * members follow the global matrix plus the project role overrides.
+ * @param {number} projectId - Project ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { user, source, projectRole, customRole, permissions }
+ * @throws {Error} If the project or user does not exist
+ */
+export async function getEffectivePermissions(projectId, userId) {
+  const project = await assertProjectExists(projectId);
+
+  const [user, allocation] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: Number(userId) },
+      select: { id: true, name: true, email: true, role: true },
+    }),
+    prisma.projectUserAllocation.findFirst({
+      where: { projectId: project.id, userId: Number(userId), isActive: true },
+      select: {
+        projectRole: true,
+        customRole: { select: { id: true, key: true, name: true, permissions: true } },
+      },
+    }),
+  ]);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const role = String(user.role || '').toUpperCase();
+  let source;
+  let projectRole = null;
+  let projectPermissions = null;
+  if (role === 'ADMIN') {
+    source = 'ADMIN';
+    projectRole = 'ADMIN';
+  } else if (project.ownerId === user.id) {
+    source = 'OWNER';
+    projectRole = 'OWNER';
+  } else if (!allocation) {
+    source = 'NOT_A_MEMBER';
+  } else if (allocation.customRole) {
+    source = 'CUSTOM_ROLE';
+    projectRole = allocation.projectRole;
+    projectPermissions = allocation.customRole.permissions;
+  } else {
+    source = 'GLOBAL_ROLE';
+    projectRole = allocation.projectRole;
+  }
+
+  const permissions = Object.keys(POLICY_MAP).map((key) => {
+    const { scope } = POLICY_MAP[key];
+    // Project-scoped permissions need project access, which non-members never get
+    const allowed = source === 'NOT_A_MEMBER' && scope === 'project'
+      ? false
+      : isAllowedInProject({ role, projectRole, projectPermissions }, key);
+
+    return {
+      key,
+      resource: key.split(':')[0],
+      description: PERMISSIONS[key].description,
+      scope,
+      allowed,
+    };
+  });
+
+  return {
+    user,
+    source,
+    projectRole,
+    customRole: allocation?.customRole
+      ? { id: allocation.customRole.id, key: allocation.customRole.key, name: allocation.customRole.name }
+      : null,
+    permissions,
+  };
+}
+
+export default {
+  BUILT_IN_PROJECT_ROLES,
+  listAssignablePermissions,
+  listProjectRoles,
+  createProjectRole,
+  updateProjectRole,
+  deleteProjectRole,
+  resolveAllocationRole,
+  getEffectivePermissions,
+};
@@ -0,0 +1,528 @@
+/**
+ * QUALITY GATE SERVICE
+ * Per-project release criteria and their evaluation against a test run or a build
+ *
+ * A gate combines any of: a minimum pass rate, test case priorities that must have
+ * no failed execution, a maximum number of open bugs per severity, and the share of
+ * a test plan that must have been executed. Quarantined test cases are left out of
+ * the pass rate and the failed-priority check.
+ */
+
+import { Prisma } from '@prisma/client';
+import { getPrismaClient } from '../lib/prisma.js';
+import { assertPermissionContext } from '../lib/policy.js';
+import { logAuditAction } from './auditService.js';
+import { getProjectBugWorkflow, getResolvedBugStatuses } from './bugWorkflowService.js';
+import { getQuarantinedTestCaseIds } from './flakinessService.js';
+
+const prisma = getPrismaClient();
+
+export const GATE_PRIORITIES = ['P0', 'P1', 'P2', 'P3', 'P4'];
+export const GATE_BUG_SEVERITIES = ['CRITICAL', 'MAJOR', 'MINOR', 'TRIVIAL'];
+
+const MAX_LISTED_FAILURES = 5;
+
+const GATE_INCLUDE = {
+  testPlan: { select: { id: true, name: true } },
+  createdBy: { select: { id: true, name: true } },
+};
+
+/**
+ * Helper: Parse a percentage setting, null when unset
+ */
+function normalizePercent(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 100) {
+    throw new Error(`${field} must be a percentage between 0 and 100`);
+  }
+  return number;
+}
+
+/**
+ * Helper: Validate a gate definition and return the fields to store
+ */
+async function normalizeGateDefinition(projectId, data) {
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) {
+    throw new Error('Quality gate name is required');
+  }
+
+  const blockingPriorities = [...new Set(data.blockingPriorities || [])];
+  const unknownPriorities = blockingPriorities.filter((priority) => !GATE_PRIORITIES.includes(priority));
+  if (unknownPriorities.length > 0) {
+    throw new Error(`Invalid blocking priorities: ${unknownPriorities.join(', ')}`);
+  }
+
+  let maxOpenBugs = null;
+  if (data.maxOpenBugs && Object.keys(data.maxOpenBugs).length > 0) {
+    maxOpenBugs = {};
+    for (const [severity, limit] of Object.entries(data.maxOpenBugs)) {
+      if (!GATE_BUG_SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid bug severity: ${severity}`);
+      }
+      if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error(`Open bug limit for ${severity} must be a non-negative integer`);
+      }
+      maxOpenBugs[severity] = limit;
+    }
+  }
+
+  const minPassRate = normalizePercent(data.minPassRate, 'minPassRate');
+  const minPlanCoverage = normalizePercent(data.minPlanCoverage, 'minPlanCoverage');
+  const testPlanId = data.testPlanId ? Number(data.testPlanId) : null;
+
+  if (minPlanCoverage !== null && !testPlanId) {
+    throw new Error('minPlanCoverage requires a testPlanId');
+  }
+  if (testPlanId) {
+    const plan = await prisma.testPlan.findFirst({
+      where: { id: testPlanId, projectId: Number(projectId) },
+      select: { id: true },
+    });
+    if (!plan) {
+      throw new Error('Test plan not found in this project');
+    }
+  }
+
+  if (minPassRate === null && blockingPriorities.length === 0 && !maxOpenBugs && minPlanCoverage === null) {
+    throw new Error('A quality gate needs at least one criterion');
+  }
+
+  return {
+    name,
+    description: data.description?.trim() || null,
+    isActive: data.isActive !== false,
+    minPassRate,
+    blockingPriorities,
+    maxOpenBugs,
+    testPlanId: minPlanCoverage !== null ? testPlanId : null,
+    minPlanCoverage,
+  };
+}
+
+/**
+ * Helper: Column values for a normalized definition
+ */
+function toGateData(definition) {
+  return { ...definition, maxOpenBugs: definition.maxOpenBugs ?? Prisma.DbNull };
+}
+
+/**
+ * List the quality gates of a project
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Array>} Gates, active first
+ */
+export async function listQualityGates(projectId) {
+  return prisma.qualityGate.findMany({
+    where: { projectId: Number(projectId) },
+    include: GATE_INCLUDE,
+    orderBy: [{ isActive: 'desc' }, { name: 'asc' }],
+  });
+}
+
+/**
+ * Create a quality gate
+ * @param {number} projectId - Project ID
+ * @param {Object} data - { name, description, isActive, minPassRate, blockingPriorities, maxOpenBugs, testPlanId, minPlanCoverage }
+ * @param {number} userId - User creating the gate
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Created gate
+ * @throws {Error} If the definition is invalid
+ */
+export async function createQualityGate(projectId, data, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'qualityGate:manage', { projectId });
+
+  const definition = await normalizeGateDefinition(projectId, data);
+
+  const gate = await prisma.qualityGate.create({
+    data: { projectId: Number(projectId), ...toGateData(definition), createdById: userId },
+    include: GATE_INCLUDE,
+  });
+
+  await logAuditAction(userId, 'QUALITY_GATE_CREATED', {
+    resourceType: 'QUALITY_GATE',
+    resourceId: gate.id,
+    resourceName: gate.name,
+    projectId: Number(projectId),
+    description: `Quality gate "${gate.name}" created`,
+    newValues: JSON.stringify(definition),
+    ...auditContext,
+  });
+
+  return gate;
+}
+
+/**
+ * Update a quality gate
+ * Fields left out of data keep their current value.
+ * @param {number} projectId - Project ID
+ * @param {number} gateId - Quality gate ID
+ * @param {Object} data - Fields to change
+ * @param {number} userId - User updating the gate
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Updated gate
+ * @throws {Error} If the gate does not exist or the definition is invalid
+ */
+export async function updateQualityGate(projectId, gateId, data, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'qualityGate:manage', { projectId });
+
+  const existing = await prisma.qualityGate.findFirst({
+    where: { id: Number(gateId), projectId: Number(projectId) },
+  });
+  if (!existing) {
+    throw new Error('Quality gate not found');
+  }
+
+  const definition = await normalizeGateDefinition(projectId, {
+    name: existing.name,
+    description: existing.description,
+    isActive: existing.isActive,
+    minPassRate: existing.minPassRate,
+    blockingPriorities: existing.blockingPriorities,
+    maxOpenBugs: existing.maxOpenBugs,
+    testPlanId: existing.testPlanId,
+    minPlanCoverage: existing.minPlanCoverage,
+    ...data,
+  });
+
+  const gate = await prisma.qualityGate.update({
+    where: { id: existing.id },
+    data: toGateData(definition),
+    include: GATE_INCLUDE,
+  });
+
+  await logAuditAction(userId, 'QUALITY_GATE_UPDATED', {
+    resourceType: 'QUALITY_GATE',
+    resourceId: gate.id,
+    resourceName: gate.name,
+    projectId: Number(projectId),
+    description: `Quality gate "${gate.name}" updated`,
+    oldValues: JSON.stringify(existing),
+    newValues: JSON.stringify(definition),
+    ...auditContext,
+  });
+
+  return gate;
+}
+
+/**
+ * Delete a quality gate
+ * @param {number} projectId - Project ID
+ * @param {number} gateId - Quality gate ID
+ * @param {number} userId - User deleting the gate
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Deleted gate
+ * @throws {Error} If the gate does not exist
+ */
+export async function deleteQualityGate(projectId, gateId, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'qualityGate:manage', { projectId });
+
+  const existing = await prisma.qualityGate.findFirst({
+    where: { id: Number(gateId), projectId: Number(projectId) },
+  });
+  if (!existing) {
+    throw new Error('Quality gate not found');
+  }
+
+  await prisma.qualityGate.delete({ where: { id: existing.id } });
+
+  await logAuditAction(userId, 'QUALITY_GATE_DELETED', {
+    resourceType: 'QUALITY_GATE',
+    resourceId: existing.id,
+    resourceName: existing.name,
+    projectId: Number(projectId),
+    description: `Quality gate "${existing.name}" deleted`,
+    oldValues: JSON.stringify(existing),
+    ...auditContext,
+  });
+
+  return existing;
+}
+
+/**
+ * Helper: Executions a gate is evaluated against
+ * A build is judged on the latest result of each test case (and data row) across its runs.
+ */
+async function loadEvaluationScope(projectId, { testRunId, buildVersion }) {
+  const executionSelect = {
+    testCaseId: true,
+    dataRowNumber: true,
+    status: true,
+    completedAt: true,
+    updatedAt: true,
+    testCase: { select: { id: true, name: true, priority: true } },
+  };
+
+  if (testRunId) {
+    const run = await prisma.testRun.findFirst({
+      where: { id: Number(testRunId), projectId },
+      select: {
+        id: true,
+        name: true,
+        status: true,
+        buildVersion: true,
+        executions: { select: executionSelect },
+      },
+    });
+    if (!run) {
+      throw new Error('Test run not found');
+    }
+
+    return {
+      scope: {
+        type: 'TEST_RUN',
+        testRunId: run.id,
+        testRunName: run.name,
+        buildVersion: run.buildVersion,
+        runIds: [run.id],
+        complete: run.status === 'COMPLETED',
+      },
+      executions: run.executions,
+    };
+  }
+
+  const runs = await prisma.testRun.findMany({
+    where: { projectId, buildVersion, status: { not: 'CANCELLED' } },
+    select: {
+      id: true,
+      status: true,
+      executions: { select: executionSelect },
+    },
+  });
+  if (runs.length === 0) {
+    throw new Error(`No test runs found for build ${buildVersion}`);
+  }
+
+  const latest = new Map();
+  for (const execution of runs.flatMap((run) => run.executions)) {
+    const key = `${execution.testCaseId}:${execution.dataRowNumber ?? ''}`;
+    const at = execution.completedAt || execution.updatedAt;
+    const current = latest.get(key);
+    if (!current || at > (current.completedAt || current.updatedAt)) {
+      latest.set(key, execution);
+    }
+  }
+
+  return {
+    scope: {
+      type: 'BUILD',
+      testRunId: null,
+      testRunName: null,
+      buildVersion,
+      runIds: runs.map((run) => run.id),
+      complete: runs.every((run) => run.status === 'COMPLETED'),
+    },
+    executions: [...latest.values()],
+  };
+}
+
+/**
+ * Helper: Whether an execution has a result
+ * New executions start out BLOCKED, so a BLOCKED status alone does not count.
+ */
+function isExecuted(execution) {
+  return Boolean(execution.completedAt) || ['PASSED', 'FAILED', 'SKIPPED'].includes(execution.status);
+}
+
+/**
+ * Helper: Open bugs of a project grouped by severity
+ */
+async function countOpenBugsBySeverity(projectId) {
+  const workflow = await getProjectBugWorkflow(projectId);
+  const resolvedStatuses = getResolvedBugStatuses(workflow);
+
+  const groups = await prisma.bug.groupBy({
+    by: ['severity'],
+    where: { projectId, status: { notIn: resolvedStatuses } },
+    _count: { _all: true },
+  });
+
+  return Object.fromEntries(groups.map((group) => [group.severity, group._count._all]));
+}
+
+/**
+ * Helper: Percentage rounded to one decimal
+ */
+function percent(part, total) {
+  return total > 0 ? Number(((part / total) * 100).toFixed(1)) : 0;
+}
+
+/**
+ * Helper: Evaluate one gate against the loaded scope
+ */
+function evaluateGate(gate, { executions, counted, openBugs, plans }) {
+  const checks = [];
+
+  if (gate.minPassRate !== null) {
+    const passed = counted.filter((e) => e.status === 'PASSED').length;
+    const passRate = percent(passed, counted.length);
+    const ok = counted.length > 0 && passRate >= gate.minPassRate;
+    checks.push({
+      key: 'PASS_RATE',
+      status: ok ? 'PASS' : 'FAIL',
+      actual: passRate,
+      threshold: gate.minPassRate,
+      reason: ok
+        ? null
+        : counted.length === 0
+          ? 'No executions to compute a pass rate from'
+          : `Pass rate ${passRate}% is below the ${gate.minPassRate}% minimum`,
+    });
+  }
+
+  if (gate.blockingPriorities.length > 0) {
+    const failures = counted.filter((e) =>
+      e.status === 'FAILED' && gate.blockingPriorities.includes(e.testCase.priority),
+    );
+    const names = [...new Set(failures.map((e) => e.testCase.name))];
+    const listed = names.slice(0, MAX_LISTED_FAILURES).join(', ');
+    const more = names.length > MAX_LISTED_FAILURES ? ` and ${names.length - MAX_LISTED_FAILURES} more` : '';
+    checks.push({
+      key: 'BLOCKING_FAILURES',
+      status: names.length === 0 ? 'PASS' : 'FAIL',
+      actual: names.length,
+      threshold: 0,
+      reason: names.length === 0
+        ? null
+        : `${names.length} ${gate.blockingPriorities.join('/')} test case(s) failed: ${listed}${more}`,
+    });
+  }
+
+  if (gate.maxOpenBugs) {
+    for (const [severity, limit] of Object.entries(gate.maxOpenBugs)) {
+      const open = openBugs[severity] || 0;
+      checks.push({
+        key: 'OPEN_BUGS',
+        severity,
+        status: open <= limit ? 'PASS' : 'FAIL',
+        actual: open,
+        threshold: limit,
+        reason: open <= limit ? null : `${open} open ${severity} bug(s), at most ${limit} allowed`,
+      });
+    }
+  }
+
+  if (gate.minPlanCoverage !== null && gate.testPlanId) {
+    const plan = plans.get(gate.testPlanId);
+    const planCaseIds = plan?.testCaseIds || [];
+    const executedIds = new Set(executions.filter(isExecuted).map((e) => e.testCaseId));
+    const covered = planCaseIds.filter((id) => executedIds.has(id)).length;
+    const coverage = percent(covered, planCaseIds.length);
+    const ok = planCaseIds.length > 0 && coverage >= gate.minPlanCoverage;
+    checks.push({
+      key: 'PLAN_COVERAGE',
+      status: ok ? 'PASS' : 'FAIL',
+      actual: coverage,
+      threshold: gate.minPlanCoverage,
+      reason: ok
+        ? null
+        : `Test plan "${plan?.name}" coverage ${coverage}% is below the ${gate.minPlanCoverage}% minimum `
+          + `(${covered} of ${planCaseIds.length} cases executed)`,
+    });
+  }
+
+  const failed = checks.filter((check) => check.status === 'FAIL');
+  return {
+    id: gate.id,
+    name: gate.name,
+    status: failed.length === 0 ? 'PASS' : 'FAIL',
+    checks,
+    reasons: failed.map((check) => check.reason),
+  };
+}
+
+/**
+ * Evaluate a project's quality gates against a test run or a build
+ * The result is PASS only when every evaluated gate passes; a project without
+ * active gates passes.
+ * @param {number} projectId - Project ID
+ * @param {Object} target - { testRunId } or { buildVersion }, plus an optional gateId
+ * @returns {Promise<Object>} { projectId, status, scope, gates, reasons, evaluatedAt }
+ * @throws {Error} If the target is missing or does not exist
+ */
+export async function evaluateQualityGates(projectId, { testRunId, buildVersion, gateId } = {}) {
+  projectId = Number(projectId);
+
+  if (Boolean(testRunId) === Boolean(buildVersion)) {
+    throw new Error('Provide either testRunId or buildVersion');
+  }
+
+  const gates = await prisma.qualityGate.findMany({
+    where: {
+      projectId,
+      ...(gateId ? { id: Number(gateId) } : { isActive: true }),
+    },
+    include: { testPlan: { select: { id: true, name: true, testCaseIds: true } } },
+    orderBy: { name: 'asc' },
+  });
+  if (gateId && gates.length === 0) {
+    throw new Error('Quality gate not found');
+  }
+
+  const [{ scope, executions }, quarantinedIds] = await Promise.all([
+    loadEvaluationScope(projectId, { testRunId, buildVersion }),
+    getQuarantinedTestCaseIds(projectId),
+  ]);
+  const counted = executions.filter((e) => !quarantinedIds.has(e.testCaseId));
+
+  const openBugs = gates.some((gate) => gate.maxOpenBugs)
+    ? await countOpenBugsBySeverity(projectId)
+    : {};
+
+  // Deleted test cases no longer count towards plan coverage
+  const plans = new Map();
+  for (const gate of gates) {
+    if (!gate.testPlan || plans.has(gate.testPlan.id)) continue;
+    const liveCases = await prisma.testCase.findMany({
+      where: { id: { in: gate.testPlan.testCaseIds }, projectId, isDeleted: false },
+      select: { id: true },
+    });
+    plans.set(gate.testPlan.id, {
+      name: gate.testPlan.name,
+      testCaseIds: liveCases.map((tc) => tc.id),
+    });
+  }
+
+  const results = gates.map((gate) => evaluateGate(gate, { executions, counted, openBugs, plans }));
+
+  return {
+    projectId,
+    status: results.every((result) => result.status === 'PASS') ? 'PASS' : 'FAIL',
+    scope: {
+      ...scope,
+      executions: executions.length,
+      passed: counted.filter((e) => e.status === 'PASSED').length,
+      failed: counted.filter((e) => e.status === 'FAILED').length,
+      notExecuted: executions.filter((e) => !isExecuted(e)).length,
+      quarantined: executions.length - counted.length,
+    },
+    gates: results,
+    reasons: results.flatMap((result) => result.reasons.map((reason) => `${result.name}: ${reason}`)),
+    evaluatedAt: new Date(),
+  };
+}
+
+export default {
+  GATE_PRIORITIES,
+  GATE_BUG_SEVERITIES,
+  listQualityGates,
+  createQualityGate,
+  updateQualityGate,
+  deleteQualityGate,
+  evaluateQualityGates,
+};
@@ -92,6 +92,38 @@ export async function generateExecutionReport(testRunId) {
     return acc;
   }, {});
 
+  // Results per data row of data-driven test cases
+  const byDataRow = Object.values(
+    testRun.executions
+      .filter((exec) => exec.dataRowNumber !== null)
+      .reduce((acc, exec) => {
+        if (!acc[exec.testCaseId]) {
+          acc[exec.testCaseId] = {
+            testCaseId: exec.testCaseId,
+            testCaseName: exec.testCase.name,
+            total: 0,
+            passed: 0,
+            failed: 0,
+            rows: [],
+          };
+        }
+        const entry = acc[exec.testCaseId];
+        entry.total++;
+        if (exec.status === 'PASSED') entry.passed++;
+        if (exec.status === 'FAILED') entry.failed++;
+        entry.rows.push({
+          executionId: exec.id,
+          dataRowNumber: exec.dataRowNumber,
+          values: exec.dataRowValues,
+          status: exec.status,
+        });
+        return acc;
+      }, {}),
+  ).map((entry) => ({
+    ...entry,
+    rows: entry.rows.sort((a, b) => a.dataRowNumber - b.dataRowNumber),
+  }));
+
   // Failed test cases for attention
   const failedTests = testRun.executions
     .filter((e) => e.status === 'FAILED')
@@ -99,6 +131,8 @@ export async function generateExecutionReport(testRunId) {
       id: e.id,
       testCaseId: e.testCase.id,
       testCaseName: e.testCase.name,
+      dataRowNumber: e.dataRowNumber,
+      dataRowValues: e.dataRowValues,
       priority: e.testCase.priority,
       severity: e.testCase.severity,
       failedSteps: e.steps.filter((s) => s.status === 'FAILED').length,
@@ -131,6 +165,7 @@ export async function generateExecutionReport(testRunId) {
     breakdown: {
       byType,
       byPriority,
+      byDataRow,
     },
     failedTests,
     generatedAt: new Date(),
@@ -238,15 +273,18 @@ export async function generateTesterPerformanceReport(userId, options = {}) {
 export async function exportTestRunToCSV(testRunId) {
   const report = await generateExecutionReport(testRunId);
 
-  let csv = 'Test Case ID,Test Case Name,Type,Priority,Severity,Status,Passed Steps,Failed Steps,Total Steps,Evidence Count\n';
+  let csv = 'Test Case ID,Test Case Name,Data Row,Data Values,Type,Priority,Severity,Status,Passed Steps,Failed Steps,Total Steps,Evidence Count\n';
 
   for (const exec of report.testRun.executions || []) {
     const passedSteps = exec.steps.filter((s) => s.status === 'PASSED').length;
     const failedSteps = exec.steps.filter((s) => s.status === 'FAILED').length;
     const totalSteps = exec.steps.length;
     const evidenceCount = exec.evidence.length;
+    const dataValues = exec.dataRowValues
+      ? Object.entries(exec.dataRowValues).map(([name, value]) => `${name}=${value ?? ''}`).join('; ').replace(/"/g, '""')
+      : '';
 
-    csv += `${exec.testCase.id},"${exec.testCase.name}",${exec.testCase.type},${exec.testCase.priority},${exec.testCase.severity},${exec.status},${passedSteps},${failedSteps},${totalSteps},${evidenceCount}\n`;
+    csv += `${exec.testCase.id},"${exec.testCase.name}",${exec.dataRowNumber ?? ''},"${dataValues}",${exec.testCase.type},${exec.testCase.priority},${exec.testCase.severity},${exec.status},${passedSteps},${failedSteps},${totalSteps},${evidenceCount}\n`;
   }
 
   return csv;
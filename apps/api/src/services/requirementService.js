@@ -0,0 +1,618 @@
+/**
+ * REQUIREMENT SERVICE
+ * Project requirements, their links to test cases and the traceability matrix
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+import { logAuditAction } from './auditService.js';
+import { assertPermissionContext } from '../lib/policy.js';
+
+const prisma = getPrismaClient();
+
+export const REQUIREMENT_STATUSES = ['DRAFT', 'APPROVED', 'IMPLEMENTED', 'VERIFIED', 'DEPRECATED'];
+
+// Roll-up of the latest results of a requirement's test cases, worst first
+export const COVERAGE_STATUSES = ['UNCOVERED', 'FAILED', 'BLOCKED', 'INCOMPLETE', 'PASSED'];
+
+const GENERATED_KEY_PATTERN = /^REQ-(\d+)$/;
+
+const REQUIREMENT_INCLUDE = {
+  creator: { select: { id: true, name: true, email: true } },
+  parent: { select: { id: true, key: true, title: true } },
+  _count: { select: { testCases: true, children: true } },
+};
+
+/**
+ * Helper: Require a permission context for a mutating call
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @param {string} permission - Permission being exercised
+ * @param {number} projectId - Project the call targets
+ */
+function checkPermission(permissionContext, permission, projectId) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, permission, { projectId });
+}
+
+/**
+ * Helper: Load a requirement and make sure it belongs to the project
+ * @param {number} projectId - Project ID
+ * @param {number} requirementId - Requirement ID
+ * @returns {Promise<Object>} Requirement
+ */
+async function findProjectRequirement(projectId, requirementId) {
+  const requirement = await prisma.requirement.findFirst({
+    where: { id: Number(requirementId), projectId: Number(projectId) },
+  });
+
+  if (!requirement) {
+    throw new Error('Requirement not found');
+  }
+
+  return requirement;
+}
+
+/**
+ * Helper: Validate a requirement status
+ * @param {string} status - Requested status
+ */
+function validateStatus(status) {
+  if (!REQUIREMENT_STATUSES.includes(status)) {
+    throw new Error(`Invalid status. Must be one of: ${REQUIREMENT_STATUSES.join(', ')}`);
+  }
+}
+
+/**
+ * Helper: Validate a parent requirement and guard against cycles
+ * @param {number} projectId - Project ID
+ * @param {number} parentId - Proposed parent ID
+ * @param {number|null} requirementId - Requirement being moved (null on create)
+ */
+async function validateParent(projectId, parentId, requirementId = null) {
+  const parent = await prisma.requirement.findUnique({
+    where: { id: Number(parentId) },
+    select: { id: true, projectId: true },
+  });
+
+  if (!parent) {
+    throw new Error('Parent requirement not found');
+  }
+
+  if (parent.projectId !== Number(projectId)) {
+    throw new Error('Parent requirement must be in the same project');
+  }
+
+  if (requirementId === null) {
+    return;
+  }
+
+  if (Number(parentId) === Number(requirementId)) {
+    throw new Error('Requirement cannot be its own parent');
+  }
+
+  // Walk up from the proposed parent; reaching the requirement means a cycle
+  let currentId = parent.id;
+  while (currentId) {
+    const current = await prisma.requirement.findUnique({
+      where: { id: currentId },
+      select: { parentId: true },
+    });
+    if (!current) break;
+    if (current.parentId === Number(requirementId)) {
+      throw new Error('Cannot move requirement under its own descendant');
+    }
+    currentId = current.parentId;
+  }
+}
+
+/**
+ * Helper: Generate the next REQ-<n> key for a project
+ * @param {number} projectId - Project ID
+ * @returns {Promise<string>} Unused requirement key
+ */
+async function generateRequirementKey(projectId) {
+  const requirements = await prisma.requirement.findMany({
+    where: { projectId: Number(projectId), key: { startsWith: 'REQ-' } },
+    select: { key: true },
+  });
+
+  const highest = requirements.reduce((max, { key }) => {
+    const match = GENERATED_KEY_PATTERN.exec(key);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+
+  return `REQ-${highest + 1}`;
+}
+
+/**
+ * Create a requirement
+ * @param {Object} data - Requirement data (projectId, title, key, description, status, parentId)
+ * @param {number} userId - Creator user ID
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Created requirement
+ */
+export async function createRequirement(data, userId, permissionContext = null) {
+  checkPermission(permissionContext, 'requirement:create', data.projectId);
+
+  const {
+    projectId,
+    title,
+    description,
+    status = 'DRAFT',
+    parentId,
+    order = 0,
+    testCaseIds = [],
+  } = data;
+
+  if (!projectId || !title?.trim()) {
+    throw new Error('ProjectId and title are required');
+  }
+
+  validateStatus(status);
+
+  if (parentId) {
+    await validateParent(projectId, parentId);
+  }
+
+  const key = data.key?.trim() || await generateRequirementKey(projectId);
+
+  const existing = await prisma.requirement.findUnique({
+    where: { projectId_key: { projectId: Number(projectId), key } },
+  });
+  if (existing) {
+    throw new Error(`Requirement ${key} already exists in project`);
+  }
+
+  const requirement = await prisma.requirement.create({
+    data: {
+      projectId: Number(projectId),
+      key,
+      title: title.trim(),
+      description: description || null,
+      status,
+      parentId: parentId ? Number(parentId) : null,
+      order: Number(order) || 0,
+      createdBy: userId,
+    },
+    include: REQUIREMENT_INCLUDE,
+  });
+
+  if (testCaseIds.length > 0) {
+    await addLinks(requirement, testCaseIds, userId);
+  }
+
+  await logAuditAction(userId, 'REQUIREMENT_CREATED', {
+    resourceType: 'REQUIREMENT',
+    resourceId: requirement.id,
+    resourceName: `${requirement.key} ${requirement.title}`,
+    projectId: requirement.projectId,
+    description: `Requirement ${requirement.key} created`,
+  });
+
+  return getRequirementById(requirement.projectId, requirement.id);
+}
+
+/**
+ * Get requirements of a project
+ * @param {number} projectId - Project ID
+ * @param {Object} filters - Filter options (status, parentId, search)
+ * @returns {Promise<Array>} Requirements ordered by order then key
+ */
+export async function getProjectRequirements(projectId, filters = {}) {
+  const { status, parentId, search } = filters;
+
+  return prisma.requirement.findMany({
+    where: {
+      projectId: Number(projectId),
+      ...(status && { status }),
+      ...(parentId !== undefined && { parentId: parentId ? Number(parentId) : null }),
+      ...(search && {
+        OR: [
+          { key: { contains: search, mode: 'insensitive' } },
+          { title: { contains: search, mode: 'insensitive' } },
+          { description: { contains: search, mode: 'insensitive' } },
+        ],
+      }),
+    },
+    include: REQUIREMENT_INCLUDE,
+    orderBy: [{ order: 'asc' }, { key: 'asc' }],
+  });
+}
+
+/**
+ * Get a requirement with its children and linked test cases
+ * @param {number} projectId - Project ID
+ * @param {number} requirementId - Requirement ID
+ * @returns {Promise<Object>} Requirement details
+ */
+export async function getRequirementById(projectId, requirementId) {
+  const requirement = await prisma.requirement.findFirst({
+    where: { id: Number(requirementId), projectId: Number(projectId) },
+    include: {
+      ...REQUIREMENT_INCLUDE,
+      children: {
+        select: { id: true, key: true, title: true, status: true },
+        orderBy: [{ order: 'asc' }, { key: 'asc' }],
+      },
+      testCases: {
+        where: { testCase: { isDeleted: false } },
+        include: {
+          testCase: {
+            select: { id: true, name: true, priority: true, status: true, type: true },
+          },
+        },
+        orderBy: { testCaseId: 'asc' },
+      },
+    },
+  });
+
+  if (!requirement) {
+    throw new Error('Requirement not found');
+  }
+
+  return requirement;
+}
+
+/**
+ * Update a requirement
+ * @param {number} projectId - Project ID
+ * @param {number} requirementId - Requirement ID
+ * @param {Object} data - Fields to update
+ * @param {number} userId - User performing the update
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Updated requirement
+ */
+export async function updateRequirement(projectId, requirementId, data, userId, permissionContext = null) {
+  checkPermission(permissionContext, 'requirement:edit', projectId);
+
+  const requirement = await findProjectRequirement(projectId, requirementId);
+  const { key, title, description, status, parentId, order } = data;
+
+  if (status !== undefined) {
+    validateStatus(status);
+  }
+
+  if (title !== undefined && !String(title).trim()) {
+    throw new Error('Title cannot be empty');
+  }
+
+  if (parentId !== undefined && parentId !== requirement.parentId && parentId) {
+    await validateParent(projectId, parentId, requirement.id);
+  }
+
+  if (key !== undefined && key.trim() !== requirement.key) {
+    if (!key.trim()) {
+      throw new Error('Requirement ID cannot be empty');
+    }
+    const existing = await prisma.requirement.findUnique({
+      where: { projectId_key: { projectId: requirement.projectId, key: key.trim() } },
+    });
+    if (existing) {
+      throw new Error(`Requirement ${key.trim()} already exists in project`);
+    }
+  }
+
+  const updated = await prisma.requirement.update({
+    where: { id: requirement.id },
+    data: {
+      ...(key !== undefined && { key: key.trim() }),
+      ...(title !== undefined && { title: String(title).trim() }),
+      ...(description !== undefined && { description: description || null }),
+      ...(status !== undefined && { status }),
+      ...(parentId !== undefined && { parentId: parentId ? Number(parentId) : null }),
+      ...(order !== undefined && { order: Number(order) || 0 }),
+    },
+  });
+
+  await logAuditAction(userId, 'REQUIREMENT_UPDATED', {
+    resourceType: 'REQUIREMENT',
+    resourceId: updated.id,
+    resourceName: `${updated.key} ${updated.title}`,
+    projectId: updated.projectId,
+    description: `Requirement ${updated.key} updated`,
+    oldValues: requirement,
+    newValues: updated,
+  });
+
+  return getRequirementById(updated.projectId, updated.id);
+}
+
+/**
+ * Delete a requirement
+ * @param {number} projectId - Project ID
+ * @param {number} requirementId - Requirement ID
+ * @param {number} userId - User performing the deletion
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Deletion result
+ */
+export async function deleteRequirement(projectId, requirementId, userId, permissionContext = null) {
+  checkPermission(permissionContext, 'requirement:delete', projectId);
+
+  const requirement = await findProjectRequirement(projectId, requirementId);
+
+  const childCount = await prisma.requirement.count({ where: { parentId: requirement.id } });
+  if (childCount > 0) {
+    throw new Error('Cannot delete requirement with child requirements. Delete or move them first.');
+  }
+
+  await prisma.requirement.delete({ where: { id: requirement.id } });
+
+  await logAuditAction(userId, 'REQUIREMENT_DELETED', {
+    resourceType: 'REQUIREMENT',
+    resourceId: requirement.id,
+    resourceName: `${requirement.key} ${requirement.title}`,
+    projectId: requirement.projectId,
+    description: `Requirement ${requirement.key} deleted`,
+    oldValues: requirement,
+  });
+
+  return { message: 'Requirement deleted successfully' };
+}
+
+/**
+ * Helper: Create links between a requirement and project test cases
+ * @param {Object} requirement - Requirement
+ * @param {Array<number>} testCaseIds - Test case IDs
+ * @param {number} userId - User creating the links
+ * @returns {Promise<number>} Number of new links
+ */
+async function addLinks(requirement, testCaseIds, userId) {
+  const ids = [...new Set(testCaseIds.map((id) => Number(id)))];
+
+  const testCases = await prisma.testCase.findMany({
+    where: { id: { in: ids }, projectId: requirement.projectId, isDeleted: false },
+    select: { id: true },
+  });
+
+  if (testCases.length !== ids.length) {
+    throw new Error('Some test cases not found or belong to different project');
+  }
+
+  const result = await prisma.requirementTestCase.createMany({
+    data: ids.map((testCaseId) => ({
+      requirementId: requirement.id,
+      testCaseId,
+      linkedBy: userId,
+    })),
+    skipDuplicates: true,
+  });
+
+  return result.count;
+}
+
+/**
+ * Link test cases to a requirement
+ * @param {number} projectId - Project ID
+ * @param {number} requirementId - Requirement ID
+ * @param {Array<number>} testCaseIds - Test case IDs to link
+ * @param {number} userId - User creating the links
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Requirement with its linked test cases
+ */
+export async function linkTestCasesToRequirement(projectId, requirementId, testCaseIds, userId, permissionContext = null) {
+  checkPermission(permissionContext, 'requirement:edit', projectId);
+
+  if (!Array.isArray(testCaseIds) || testCaseIds.length === 0) {
+    throw new Error('testCaseIds array is required');
+  }
+
+  const requirement = await findProjectRequirement(projectId, requirementId);
+  const linked = await addLinks(requirement, testCaseIds, userId);
+
+  await logAuditAction(userId, 'REQUIREMENT_TEST_CASES_LINKED', {
+    resourceType: 'REQUIREMENT',
+    resourceId: requirement.id,
+    resourceName: `${requirement.key} ${requirement.title}`,
+    projectId: requirement.projectId,
+    description: `Linked ${linked} test case(s) to requirement ${requirement.key}`,
+    newValues: { testCaseIds },
+  });
+
+  return getRequirementById(requirement.projectId, requirement.id);
+}
+
+/**
+ * Unlink test cases from a requirement
+ * @param {number} projectId - Project ID
+ * @param {number} requirementId - Requirement ID
+ * @param {Array<number>} testCaseIds - Test case IDs to unlink
+ * @param {number} userId - User removing the links
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Removal result
+ */
+export async function unlinkTestCasesFromRequirement(projectId, requirementId, testCaseIds, userId, permissionContext = null) {
+  checkPermission(permissionContext, 'requirement:edit', projectId);
+
+  const requirement = await findProjectRequirement(projectId, requirementId);
+
+  const result = await prisma.requirementTestCase.deleteMany({
+    where: {
+      requirementId: requirement.id,
+      testCaseId: { in: testCaseIds.map((id) => Number(id)) },
+    },
+  });
+
+  await logAuditAction(userId, 'REQUIREMENT_TEST_CASES_UNLINKED', {
+    resourceType: 'REQUIREMENT',
+    resourceId: requirement.id,
+    resourceName: `${requirement.key} ${requirement.title}`,
+    projectId: requirement.projectId,
+    description: `Unlinked ${result.count} test case(s) from requirement ${requirement.key}`,
+    oldValues: { testCaseIds },
+  });
+
+  return {
+    message: `Unlinked ${result.count} test case(s) from requirement`,
+    count: result.count,
+  };
+}
+
+/**
+ * Helper: Roll the latest results of a requirement's test cases into one status
+ * @param {Array} testCases - Linked test cases with latestExecution
+ * @returns {string} One of COVERAGE_STATUSES
+ */
+function rollUpCoverage(testCases) {
+  if (testCases.length === 0) return 'UNCOVERED';
+
+  const statuses = testCases.map((tc) => tc.latestExecution?.status || 'NOT_RUN');
+  if (statuses.includes('FAILED')) return 'FAILED';
+  if (statuses.includes('BLOCKED')) return 'BLOCKED';
+  if (statuses.every((status) => status === 'PASSED')) return 'PASSED';
+  return 'INCOMPLETE';
+}
+
+/**
+ * Build the requirements traceability matrix of a project
+ * Each requirement is rolled up from the latest TestExecution of every linked
+ * test case: the most recent run that executed the case, or the given run.
+ * @param {number} projectId - Project ID
+ * @param {Object} options - Matrix options
+ * @param {number} options.testRunId - Only consider executions from this run
+ * @param {boolean} options.includeDeprecated - Include DEPRECATED requirements
+ * @returns {Promise<Object>} { summary, requirements } with rows in hierarchy order
+ */
+export async function getTraceabilityMatrix(projectId, options = {}) {
+  const { testRunId, includeDeprecated = false } = options;
+
+  const [project, requirements, testRun] = await Promise.all([
+    prisma.project.findUnique({
+      where: { id: Number(projectId) },
+      select: { id: true, name: true, key: true },
+    }),
+    prisma.requirement.findMany({
+      where: {
+        projectId: Number(projectId),
+        ...(!includeDeprecated && { status: { not: 'DEPRECATED' } }),
+      },
+      include: {
+        testCases: {
+          where: { testCase: { isDeleted: false } },
+          include: {
+            testCase: { select: { id: true, name: true, priority: true, status: true } },
+          },
+          orderBy: { testCaseId: 'asc' },
+        },
+      },
+      orderBy: [{ order: 'asc' }, { key: 'asc' }],
+    }),
+    testRunId
+      ? prisma.testRun.findFirst({
+          where: { id: Number(testRunId), projectId: Number(projectId) },
+          select: { id: true, name: true },
+        })
+      : null,
+  ]);
+
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  if (testRunId && !testRun) {
+    throw new Error('Test run not found');
+  }
+
+  const testCaseIds = [...new Set(requirements.flatMap((req) => req.testCases.map((link) => link.testCaseId)))];
+
+  // One row per test case: the execution from the newest run that included it
+  const executions = testCaseIds.length > 0
+    ? await prisma.testExecution.findMany({
+        where: {
+          testCaseId: { in: testCaseIds },
+          ...(testRunId ? { testRunId: Number(testRunId) } : { testRun: { projectId: Number(projectId) } }),
+        },
+        orderBy: [{ testRun: { createdAt: 'desc' } }, { id: 'desc' }],
+        distinct: ['testCaseId'],
+        select: {
+          testCaseId: true,
+          status: true,
+          completedAt: true,
+          testRun: { select: { id: true, name: true } },
+        },
+      })
+    : [];
+
+  const latestByTestCase = new Map(executions.map((exec) => [exec.testCaseId, {
+    status: exec.status,
+    testRunId: exec.testRun.id,
+    testRunName: exec.testRun.name,
+    executedAt: exec.completedAt,
+  }]));
+
+  const rows = requirements.map((req) => {
+    const testCases = req.testCases.map((link) => ({
+      ...link.testCase,
+      latestExecution: latestByTestCase.get(link.testCaseId) || null,
+    }));
+    const countStatus = (status) => testCases.filter((tc) => tc.latestExecution?.status === status).length;
+
+    return {
+      id: req.id,
+      key: req.key,
+      title: req.title,
+      status: req.status,
+      parentId: req.parentId,
+      testCaseCount: testCases.length,
+      passedCount: countStatus('PASSED'),
+      failedCount: countStatus('FAILED'),
+      blockedCount: countStatus('BLOCKED'),
+      notRunCount: testCases.filter((tc) => !['PASSED', 'FAILED', 'BLOCKED'].includes(tc.latestExecution?.status)).length,
+      coverageStatus: rollUpCoverage(testCases),
+      testCases,
+    };
+  });
+
+  // Order rows depth-first so children follow their parent
+  const ids = new Set(rows.map((row) => row.id));
+  const childrenOf = new Map();
+  rows.forEach((row) => {
+    const parentKey = row.parentId && ids.has(row.parentId) ? row.parentId : null;
+    if (!childrenOf.has(parentKey)) childrenOf.set(parentKey, []);
+    childrenOf.get(parentKey).push(row);
+  });
+
+  const ordered = [];
+  const visit = (parentKey, depth) => {
+    (childrenOf.get(parentKey) || []).forEach((row) => {
+      ordered.push({ ...row, depth });
+      visit(row.id, depth + 1);
+    });
+  };
+  visit(null, 0);
+
+  const total = ordered.length;
+  const covered = ordered.filter((row) => row.coverageStatus !== 'UNCOVERED').length;
+  const passed = ordered.filter((row) => row.coverageStatus === 'PASSED').length;
+  const failed = ordered.filter((row) => row.coverageStatus === 'FAILED').length;
+  const percent = (value) => (total > 0 ? Number(((value / total) * 100).toFixed(2)) : 0);
+
+  return {
+    project,
+    testRun,
+    generatedAt: new Date(),
+    summary: {
+      totalRequirements: total,
+      coveredRequirements: covered,
+      uncoveredRequirements: total - covered,
+      passedRequirements: passed,
+      failedRequirements: failed,
+      coveragePercent: percent(covered),
+      passPercent: percent(passed),
+    },
+    requirements: ordered,
+  };
+}
+
+export default {
+  REQUIREMENT_STATUSES,
+  COVERAGE_STATUSES,
+  createRequirement,
+  getProjectRequirements,
+  getRequirementById,
+  updateRequirement,
+  deleteRequirement,
+  linkTestCasesToRequirement,
+  unlinkTestCasesFromRequirement,
+  getTraceabilityMatrix,
+};
@@ -0,0 +1,302 @@
+/**
+ * RUN BOARD SERVICE
+ * Live board for a test run: execution cards grouped by status, progress counters,
+ * and soft locks showing who is executing which case.
+ *
+ * Updates are broadcast to the Socket.IO room run:<runId>. Locks are advisory and
+ * held in memory (single instance, like socket presence); they are released when
+ * the holder leaves the execution or disconnects.
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+import { logError } from '../lib/logger.js';
+
+const prisma = getPrismaClient();
+
+export const BOARD_COLUMNS = ['TODO', 'IN_PROGRESS', 'PASSED', 'FAILED', 'BLOCKED', 'SKIPPED'];
+
+const CARD_SELECT = {
+  id: true,
+  testRunId: true,
+  testCaseId: true,
+  dataRowNumber: true,
+  status: true,
+  startedAt: true,
+  completedAt: true,
+  updatedAt: true,
+  testCase: { select: { id: true, name: true, priority: true } },
+  assignee: { select: { id: true, name: true } },
+};
+
+let ioInstance = null;
+
+// runId -> Map(executionId -> lock)
+const runLocks = new Map();
+
+/**
+ * Initialize the run board with the Socket.IO instance
+ * @param {Server} io - Socket.IO server instance
+ */
+export function initializeRunBoard(io) {
+  ioInstance = io;
+}
+
+/**
+ * Socket.IO room of a test run
+ */
+export function runRoom(runId) {
+  return `run:${Number(runId)}`;
+}
+
+/**
+ * Helper: Board column of an execution
+ * New executions default to BLOCKED, so only a completed one counts as a blocked result.
+ */
+function boardColumn(execution) {
+  if (['PASSED', 'FAILED', 'SKIPPED', 'IN_PROGRESS'].includes(execution.status)) {
+    return execution.status;
+  }
+  if (execution.status === 'BLOCKED' && execution.completedAt) {
+    return 'BLOCKED';
+  }
+  return 'TODO';
+}
+
+/**
+ * Helper: Card shown on the board
+ */
+function toCard(execution) {
+  return {
+    id: execution.id,
+    testCaseId: execution.testCaseId,
+    testCaseName: execution.testCase?.name || `Test case #${execution.testCaseId}`,
+    priority: execution.testCase?.priority || null,
+    dataRowNumber: execution.dataRowNumber,
+    status: execution.status,
+    column: boardColumn(execution),
+    assignee: execution.assignee || null,
+    updatedAt: execution.updatedAt,
+  };
+}
+
+/**
+ * Helper: Progress counters from execution cards
+ */
+function countCards(cards) {
+  const counters = Object.fromEntries(BOARD_COLUMNS.map((column) => [column, 0]));
+  cards.forEach((card) => {
+    counters[card.column]++;
+  });
+
+  const total = cards.length;
+  const done = counters.PASSED + counters.FAILED + counters.BLOCKED + counters.SKIPPED;
+
+  return {
+    total,
+    done,
+    byColumn: counters,
+    progressPercent: total > 0 ? Math.round((done / total) * 100) : 0,
+  };
+}
+
+async function loadRunCards(runId) {
+  const executions = await prisma.testExecution.findMany({
+    where: { testRunId: Number(runId) },
+    select: CARD_SELECT,
+    orderBy: [{ testCaseId: 'asc' }, { dataRowNumber: 'asc' }],
+  });
+  return executions.map(toCard);
+}
+
+/**
+ * Get the board of a test run
+ * @param {number} projectId - Project ID
+ * @param {number} runId - Test run ID
+ * @returns {Promise<Object>} { run, columns, cards, counters, locks }
+ * @throws {Error} If the run does not belong to the project
+ */
+export async function getRunBoard(projectId, runId) {
+  const run = await prisma.testRun.findFirst({
+    where: { id: Number(runId), projectId: Number(projectId) },
+    select: { id: true, name: true, status: true, buildVersion: true, environment: true },
+  });
+
+  if (!run) {
+    throw new Error('Test run not found');
+  }
+
+  const cards = await loadRunCards(run.id);
+
+  return {
+    run,
+    columns: BOARD_COLUMNS,
+    cards,
+    counters: countCards(cards),
+    locks: getRunLocks(run.id),
+  };
+}
+
+/**
+ * Broadcast the new state of an execution and the run counters
+ * Failures are logged; a missed broadcast must not fail the result being saved.
+ * @param {number} executionId - Execution ID
+ */
+export async function publishExecutionUpdate(executionId) {
+  if (!ioInstance) return;
+
+  try {
+    const execution = await prisma.testExecution.findUnique({
+      where: { id: Number(executionId) },
+      select: CARD_SELECT,
+    });
+    if (!execution) return;
+
+    const cards = await loadRunCards(execution.testRunId);
+    ioInstance.to(runRoom(execution.testRunId)).emit('run:execution_updated', {
+      runId: execution.testRunId,
+      card: toCard(execution),
+      counters: countCards(cards),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logError('Failed to publish run board update', error, { executionId });
+  }
+}
+
+/**
+ * Ask run board clients to reload, after changes to many executions at once
+ * (result imports, bulk assignment)
+ * @param {number} runId - Test run ID
+ */
+export function publishRunRefresh(runId) {
+  if (!ioInstance) return;
+
+  ioInstance.to(runRoom(runId)).emit('run:refresh', {
+    runId: Number(runId),
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Helper: Lock as sent to clients (without the holder's socket)
+ */
+function toPublicLock(lock) {
+  return {
+    executionId: lock.executionId,
+    userId: lock.userId,
+    userName: lock.userName,
+    since: lock.since,
+  };
+}
+
+/**
+ * Current soft locks of a run
+ * @param {number} runId - Test run ID
+ * @returns {Array<Object>} Locks
+ */
+export function getRunLocks(runId) {
+  const locks = runLocks.get(Number(runId));
+  return locks ? Array.from(locks.values()).map(toPublicLock) : [];
+}
+
+function broadcastLock(runId, executionId, lock) {
+  if (!ioInstance) return;
+
+  ioInstance.to(runRoom(runId)).emit('run:lock_changed', {
+    runId: Number(runId),
+    executionId: Number(executionId),
+    lock: lock ? toPublicLock(lock) : null,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Mark an execution as being worked on by a user
+ * Another user's lock is not taken over; the caller gets it back to show a warning.
+ * @param {number} runId - Test run ID
+ * @param {number} executionId - Execution ID
+ * @param {Object} holder - { userId, userName, socketId }
+ * @returns {{ acquired: boolean, lock: Object }}
+ */
+export function claimExecutionLock(runId, executionId, holder) {
+  runId = Number(runId);
+  executionId = Number(executionId);
+
+  if (!runLocks.has(runId)) {
+    runLocks.set(runId, new Map());
+  }
+  const locks = runLocks.get(runId);
+  const existing = locks.get(executionId);
+
+  if (existing && existing.userId !== holder.userId) {
+    return { acquired: false, lock: toPublicLock(existing) };
+  }
+
+  const lock = {
+    executionId,
+    userId: holder.userId,
+    userName: holder.userName,
+    socketId: holder.socketId,
+    since: existing?.since || new Date().toISOString(),
+  };
+  locks.set(executionId, lock);
+
+  if (!existing) {
+    broadcastLock(runId, executionId, lock);
+  }
+
+  return { acquired: true, lock: toPublicLock(lock) };
+}
+
+/**
+ * Release a user's lock on an execution
+ * @returns {boolean} Whether a lock was released
+ */
+export function releaseExecutionLock(runId, executionId, userId) {
+  runId = Number(runId);
+  executionId = Number(executionId);
+
+  const locks = runLocks.get(runId);
+  const existing = locks?.get(executionId);
+  if (!existing || existing.userId !== userId) {
+    return false;
+  }
+
+  locks.delete(executionId);
+  if (locks.size === 0) {
+    runLocks.delete(runId);
+  }
+  broadcastLock(runId, executionId, null);
+  return true;
+}
+
+/**
+ * Release every lock held through a socket (on disconnect)
+ * @param {string} socketId - Socket ID
+ */
+export function releaseSocketLocks(socketId) {
+  for (const [runId, locks] of runLocks) {
+    for (const [executionId, lock] of locks) {
+      if (lock.socketId === socketId) {
+        locks.delete(executionId);
+        broadcastLock(runId, executionId, null);
+      }
+    }
+    if (locks.size === 0) {
+      runLocks.delete(runId);
+    }
+  }
+}
+
+export default {
+  BOARD_COLUMNS,
+  initializeRunBoard,
+  runRoom,
+  getRunBoard,
+  publishExecutionUpdate,
+  publishRunRefresh,
+  getRunLocks,
+  claimExecutionLock,
+  releaseExecutionLock,
+  releaseSocketLocks,
+};
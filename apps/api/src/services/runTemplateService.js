@@ -0,0 +1,609 @@
+/**
+ * RUN TEMPLATE SERVICE
+ * Saved test run setups (case selection, environment, assignees, naming pattern)
+ * that create a new run on demand, on a cron schedule, or when CI reports a release.
+ *
+ * The case selection is resolved when the run is created, so suite, plan and filter
+ * templates pick up cases added since the template was saved. Schedules run inside
+ * every API instance; a run is only created by the instance that claims the slot.
+ */
+
+import cron from 'node-cron';
+import { Prisma } from '@prisma/client';
+import { getPrismaClient } from '../lib/prisma.js';
+import { assertPermissionContext } from '../lib/policy.js';
+import { logAuditAction } from './auditService.js';
+import { createNotification, shouldSendNotification } from './notificationService.js';
+import { createTestRunWithExecutions } from './testRunService.js';
+import { validateAssignmentOptions } from './testRunAssignmentService.js';
+import { getTestCasesInSuite, normalizeSuiteCriteria, previewSuiteCriteria } from './testSuiteService.js';
+import { logInfo, logError } from '../lib/logger.js';
+
+const prisma = getPrismaClient();
+
+export const RUN_TEMPLATE_SELECTIONS = ['CASES', 'SUITE', 'PLAN', 'FILTER'];
+export const RUN_TEMPLATE_TRIGGERS = ['MANUAL', 'SCHEDULE', 'RELEASE'];
+
+const DEFAULT_NAME_PATTERN = '{template} - {date}';
+const MAX_NAME_LENGTH = 200;
+
+// A slot claimed less than this long ago was already run by another instance
+const SCHEDULE_CLAIM_WINDOW_MS = 50 * 1000;
+
+const TEMPLATE_INCLUDE = {
+  testSuite: { select: { id: true, name: true, suiteType: true } },
+  testPlan: { select: { id: true, name: true } },
+  createdBy: { select: { id: true, name: true } },
+};
+
+// templateId -> { schedule, task }
+const scheduledTemplates = new Map();
+
+/**
+ * Helper: Validate a template definition and return the fields to store
+ */
+async function normalizeTemplateDefinition(projectId, data) {
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) {
+    throw new Error('Run template name is required');
+  }
+
+  const selectionType = data.selectionType || 'CASES';
+  if (!RUN_TEMPLATE_SELECTIONS.includes(selectionType)) {
+    throw new Error(`Invalid selection type. Must be one of: ${RUN_TEMPLATE_SELECTIONS.join(', ')}`);
+  }
+
+  const selection = { testCaseIds: [], testSuiteId: null, testPlanId: null, criteria: null };
+
+  if (selectionType === 'CASES') {
+    const ids = [...new Set((data.testCaseIds || []).map(Number))];
+    if (ids.length === 0 || ids.some((id) => !Number.isInteger(id))) {
+      throw new Error('Select at least one test case');
+    }
+    const found = await prisma.testCase.count({
+      where: { id: { in: ids }, projectId: Number(projectId), isDeleted: false },
+    });
+    if (found !== ids.length) {
+      throw new Error('Some test cases were not found in this project');
+    }
+    selection.testCaseIds = ids;
+  } else if (selectionType === 'SUITE') {
+    const suite = data.testSuiteId
+      ? await prisma.testSuite.findFirst({
+        where: { id: Number(data.testSuiteId), projectId: Number(projectId), isDeleted: false },
+        select: { id: true },
+      })
+      : null;
+    if (!suite) {
+      throw new Error('Test suite not found in this project');
+    }
+    selection.testSuiteId = suite.id;
+  } else if (selectionType === 'PLAN') {
+    const plan = data.testPlanId
+      ? await prisma.testPlan.findFirst({
+        where: { id: Number(data.testPlanId), projectId: Number(projectId) },
+        select: { id: true },
+      })
+      : null;
+    if (!plan) {
+      throw new Error('Test plan not found in this project');
+    }
+    selection.testPlanId = plan.id;
+  } else {
+    selection.criteria = normalizeSuiteCriteria(data.criteria);
+  }
+
+  let assignment = null;
+  if (data.assignment?.testerIds?.length > 0) {
+    const { strategy = 'ROUND_ROBIN', balanceByDuration = true } = data.assignment;
+    const testerIds = await validateAssignmentOptions(projectId, { testerIds: data.assignment.testerIds, strategy });
+    assignment = { testerIds, strategy, balanceByDuration: balanceByDuration !== false };
+  }
+
+  const namePattern = typeof data.namePattern === 'string' && data.namePattern.trim()
+    ? data.namePattern.trim()
+    : DEFAULT_NAME_PATTERN;
+  if (namePattern.length > MAX_NAME_LENGTH) {
+    throw new Error(`Name pattern must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+
+  const schedule = typeof data.schedule === 'string' && data.schedule.trim() ? data.schedule.trim() : null;
+  if (schedule && !cron.validate(schedule)) {
+    throw new Error('Invalid cron schedule');
+  }
+
+  return {
+    name,
+    description: data.description?.trim() || null,
+    selectionType,
+    ...selection,
+    environment: data.environment?.trim() || null,
+    buildVersion: data.buildVersion?.trim() || null,
+    assignment,
+    namePattern,
+    schedule,
+    isActive: data.isActive !== false,
+  };
+}
+
+/**
+ * Helper: Column values for a normalized definition
+ */
+function toTemplateData(definition) {
+  return {
+    ...definition,
+    criteria: definition.criteria ?? Prisma.DbNull,
+    assignment: definition.assignment ?? Prisma.DbNull,
+  };
+}
+
+/**
+ * Helper: Load a template and verify it belongs to the project
+ */
+async function getProjectTemplate(projectId, templateId) {
+  const template = await prisma.testRunTemplate.findFirst({
+    where: { id: Number(templateId), projectId: Number(projectId) },
+    include: TEMPLATE_INCLUDE,
+  });
+
+  if (!template) {
+    throw new Error('Run template not found');
+  }
+
+  return template;
+}
+
+/**
+ * Build a run name from a template's naming pattern
+ * Supported tokens: {template}, {date} (YYYY-MM-DD), {time} (HH:mm), {build} and {n},
+ * the run's sequence number for this template. Dates use UTC.
+ * @param {Object} template - Run template
+ * @param {Object} values - { buildVersion, date }
+ * @returns {string} Run name
+ */
+export function renderRunName(template, { buildVersion = null, date = new Date() } = {}) {
+  const iso = date.toISOString();
+  const tokens = {
+    template: template.name,
+    date: iso.slice(0, 10),
+    time: iso.slice(11, 16),
+    build: buildVersion || 'no build',
+    n: String((template.runCount || 0) + 1),
+  };
+
+  const name = (template.namePattern || DEFAULT_NAME_PATTERN)
+    .replace(/\{(\w+)\}/g, (token, key) => (key in tokens ? tokens[key] : token))
+    .trim();
+
+  return name.slice(0, MAX_NAME_LENGTH) || template.name;
+}
+
+/**
+ * Resolve the test cases a template selects right now
+ * @param {Object} template - Run template
+ * @returns {Promise<number[]>} IDs of active test cases
+ */
+export async function resolveTemplateTestCaseIds(template) {
+  let ids;
+
+  if (template.selectionType === 'SUITE') {
+    if (!template.testSuiteId) {
+      throw new Error('The template\'s test suite was deleted');
+    }
+    const rows = await getTestCasesInSuite(template.testSuiteId);
+    ids = rows.map((row) => row.testCaseId);
+  } else if (template.selectionType === 'PLAN') {
+    if (!template.testPlanId) {
+      throw new Error('The template\'s test plan was deleted');
+    }
+    const plan = await prisma.testPlan.findUnique({
+      where: { id: template.testPlanId },
+      select: { testCaseIds: true },
+    });
+    ids = plan?.testCaseIds || [];
+  } else if (template.selectionType === 'FILTER') {
+    const preview = await previewSuiteCriteria(template.projectId, template.criteria);
+    return preview.testCases.map((row) => row.testCaseId);
+  } else {
+    ids = template.testCaseIds;
+  }
+
+  // Fixed selections may reference cases deleted since the template was saved
+  const active = await prisma.testCase.findMany({
+    where: { id: { in: ids }, projectId: template.projectId, isDeleted: false },
+    select: { id: true },
+  });
+  const activeIds = new Set(active.map((testCase) => testCase.id));
+
+  return ids.filter((id) => activeIds.has(id));
+}
+
+/**
+ * Helper: Tell the testers of a new run that it has work for them
+ */
+async function notifyRunAssignees(template, testRun, excludeUserId) {
+  const recipients = [...new Set(testRun.executions.map((e) => e.assignedToId).filter(Boolean))]
+    .filter((userId) => userId !== excludeUserId);
+
+  for (const userId of recipients) {
+    try {
+      if (!(await shouldSendNotification(userId, 'IN_APP', 'TEST_RUN_ASSIGNED'))) continue;
+
+      const assigned = testRun.executions.filter((e) => e.assignedToId === userId).length;
+      await createNotification(userId, {
+        title: `New test run: ${testRun.name}`,
+        message: `${assigned} execution${assigned === 1 ? '' : 's'} assigned to you from template "${template.name}"`,
+        type: 'TEST_RUN_ASSIGNED',
+        sourceType: 'TESTRUN',
+        sourceId: testRun.id,
+        actionUrl: `/test-run/${testRun.id}`,
+        actionType: 'EXECUTE',
+        metadata: { testRunId: testRun.id, templateId: template.id, assigned },
+      });
+    } catch (error) {
+      logError('Failed to notify run assignee', error, { userId, testRunId: testRun.id });
+    }
+  }
+}
+
+/**
+ * List the run templates of a project
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Array>} Templates, active first
+ */
+export async function listRunTemplates(projectId) {
+  return prisma.testRunTemplate.findMany({
+    where: { projectId: Number(projectId) },
+    include: TEMPLATE_INCLUDE,
+    orderBy: [{ isActive: 'desc' }, { name: 'asc' }],
+  });
+}
+
+/**
+ * Get a run template with its most recent runs
+ * @param {number} projectId - Project ID
+ * @param {number} templateId - Template ID
+ * @returns {Promise<Object>} Template with recentRuns
+ * @throws {Error} If the template does not exist
+ */
+export async function getRunTemplate(projectId, templateId) {
+  const template = await getProjectTemplate(projectId, templateId);
+
+  const recentRuns = await prisma.testRun.findMany({
+    where: { templateId: template.id },
+    select: {
+      id: true,
+      name: true,
+      status: true,
+      buildVersion: true,
+      totalTestCases: true,
+      passedCount: true,
+      failedCount: true,
+      createdAt: true,
+    },
+    orderBy: { createdAt: 'desc' },
+    take: 10,
+  });
+
+  return { ...template, recentRuns };
+}
+
+/**
+ * Create a run template
+ * @param {number} projectId - Project ID
+ * @param {Object} data - { name, description, selectionType, testCaseIds, testSuiteId, testPlanId, criteria,
+ *   environment, buildVersion, assignment, namePattern, schedule, isActive }
+ * @param {number} userId - User creating the template; scheduled and CI runs are created in their name
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Created template
+ * @throws {Error} If the definition is invalid
+ */
+export async function createRunTemplate(projectId, data, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'runTemplate:manage', { projectId });
+
+  const definition = await normalizeTemplateDefinition(projectId, data);
+
+  const template = await prisma.testRunTemplate.create({
+    data: { projectId: Number(projectId), ...toTemplateData(definition), createdById: userId },
+    include: TEMPLATE_INCLUDE,
+  });
+
+  scheduleRunTemplate(template);
+
+  await logAuditAction(userId, 'RUN_TEMPLATE_CREATED', {
+    resourceType: 'RUN_TEMPLATE',
+    resourceId: template.id,
+    resourceName: template.name,
+    projectId: Number(projectId),
+    description: `Run template "${template.name}" created`,
+    newValues: JSON.stringify(definition),
+    ...auditContext,
+  });
+
+  return template;
+}
+
+/**
+ * Update a run template
+ * Fields left out of data keep their current value.
+ * @param {number} projectId - Project ID
+ * @param {number} templateId - Template ID
+ * @param {Object} data - Fields to change
+ * @param {number} userId - User updating the template
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Updated template
+ * @throws {Error} If the template does not exist or the definition is invalid
+ */
+export async function updateRunTemplate(projectId, templateId, data, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'runTemplate:manage', { projectId });
+
+  const existing = await getProjectTemplate(projectId, templateId);
+
+  const definition = await normalizeTemplateDefinition(projectId, {
+    name: existing.name,
+    description: existing.description,
+    selectionType: existing.selectionType,
+    testCaseIds: existing.testCaseIds,
+    testSuiteId: existing.testSuiteId,
+    testPlanId: existing.testPlanId,
+    criteria: existing.criteria,
+    environment: existing.environment,
+    buildVersion: existing.buildVersion,
+    assignment: existing.assignment,
+    namePattern: existing.namePattern,
+    schedule: existing.schedule,
+    isActive: existing.isActive,
+    ...data,
+  });
+
+  const template = await prisma.testRunTemplate.update({
+    where: { id: existing.id },
+    data: { ...toTemplateData(definition), lastError: null },
+    include: TEMPLATE_INCLUDE,
+  });
+
+  scheduleRunTemplate(template);
+
+  await logAuditAction(userId, 'RUN_TEMPLATE_UPDATED', {
+    resourceType: 'RUN_TEMPLATE',
+    resourceId: template.id,
+    resourceName: template.name,
+    projectId: Number(projectId),
+    description: `Run template "${template.name}" updated`,
+    oldValues: JSON.stringify(existing),
+    newValues: JSON.stringify(definition),
+    ...auditContext,
+  });
+
+  return template;
+}
+
+/**
+ * Delete a run template
+ * Runs created from it are kept.
+ * @param {number} projectId - Project ID
+ * @param {number} templateId - Template ID
+ * @param {number} userId - User deleting the template
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Deleted template
+ * @throws {Error} If the template does not exist
+ */
+export async function deleteRunTemplate(projectId, templateId, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'runTemplate:manage', { projectId });
+
+  const existing = await getProjectTemplate(projectId, templateId);
+
+  await prisma.testRunTemplate.delete({ where: { id: existing.id } });
+  unscheduleRunTemplate(existing.id);
+
+  await logAuditAction(userId, 'RUN_TEMPLATE_DELETED', {
+    resourceType: 'RUN_TEMPLATE',
+    resourceId: existing.id,
+    resourceName: existing.name,
+    projectId: Number(projectId),
+    description: `Run template "${existing.name}" deleted`,
+    oldValues: JSON.stringify(existing),
+    ...auditContext,
+  });
+
+  return existing;
+}
+
+/**
+ * Create a test run from a template
+ * @param {number} projectId - Project ID
+ * @param {number} templateId - Template ID
+ * @param {Object} options
+ * @param {string} [options.trigger='MANUAL'] - MANUAL, SCHEDULE or RELEASE
+ * @param {string} [options.buildVersion] - Overrides the template's build version
+ * @param {number} [options.userId] - User starting a manual run; others run as the template creator
+ * @returns {Promise<Object>} { testRun, executionCount }
+ * @throws {Error} If the template does not exist, is inactive or selects no test cases
+ */
+export async function instantiateRunTemplate(projectId, templateId, options = {}) {
+  const { trigger = 'MANUAL', buildVersion, userId = null } = options;
+
+  if (!RUN_TEMPLATE_TRIGGERS.includes(trigger)) {
+    throw new Error(`Invalid trigger. Must be one of: ${RUN_TEMPLATE_TRIGGERS.join(', ')}`);
+  }
+
+  const template = await getProjectTemplate(projectId, templateId);
+  if (!template.isActive) {
+    throw new Error('Run template is inactive');
+  }
+
+  const testCaseIds = await resolveTemplateTestCaseIds(template);
+  if (testCaseIds.length === 0) {
+    throw new Error('Run template selects no test cases');
+  }
+
+  // Testers may have left the project since the template was saved
+  if (template.assignment) {
+    await validateAssignmentOptions(template.projectId, template.assignment);
+  }
+
+  const ownerId = userId || template.createdById;
+  const build = buildVersion?.trim() || template.buildVersion;
+
+  const result = await createTestRunWithExecutions(
+    template.projectId,
+    {
+      name: renderRunName(template, { buildVersion: build }),
+      description: template.description,
+      environment: template.environment,
+      buildVersion: build,
+      testCaseIds,
+      assignment: template.assignment,
+      templateId: template.id,
+    },
+    ownerId,
+  );
+
+  await prisma.testRunTemplate.update({
+    where: { id: template.id },
+    data: {
+      runCount: { increment: 1 },
+      lastRunAt: new Date(),
+      lastRunId: result.testRun.id,
+      lastError: null,
+    },
+  });
+
+  await logAuditAction(ownerId, 'RUN_TEMPLATE_INSTANTIATED', {
+    resourceType: 'RUN_TEMPLATE',
+    resourceId: template.id,
+    resourceName: template.name,
+    projectId: template.projectId,
+    description: `Test run "${result.testRun.name}" created from template (${trigger.toLowerCase()})`,
+    newValues: JSON.stringify({ testRunId: result.testRun.id, trigger, testCaseCount: testCaseIds.length }),
+  });
+
+  await notifyRunAssignees(template, result.testRun, userId);
+
+  return result;
+}
+
+/**
+ * Helper: Create the scheduled run of a template, unless another instance already did
+ */
+async function runScheduledTemplate(templateId, schedule) {
+  const now = new Date();
+  const claimed = await prisma.testRunTemplate.updateMany({
+    where: {
+      id: templateId,
+      isActive: true,
+      schedule,
+      OR: [{ lastRunAt: null }, { lastRunAt: { lt: new Date(now.getTime() - SCHEDULE_CLAIM_WINDOW_MS) } }],
+    },
+    data: { lastRunAt: now },
+  });
+  if (claimed.count === 0) return;
+
+  const template = await prisma.testRunTemplate.findUnique({
+    where: { id: templateId },
+    select: { projectId: true },
+  });
+
+  try {
+    const { testRun } = await instantiateRunTemplate(template.projectId, templateId, { trigger: 'SCHEDULE' });
+    logInfo('Scheduled test run created', { templateId, testRunId: testRun.id });
+  } catch (error) {
+    logError('Failed to create scheduled test run', error, { templateId });
+    await prisma.testRunTemplate.update({
+      where: { id: templateId },
+      data: { lastError: error.message },
+    });
+  }
+}
+
+/**
+ * Start, restart or stop the cron task of a template to match its settings
+ * @param {Object} template - Run template
+ */
+export function scheduleRunTemplate(template) {
+  const current = scheduledTemplates.get(template.id);
+  const schedule = template.isActive ? template.schedule : null;
+
+  if (current && current.schedule === schedule) return;
+  unscheduleRunTemplate(template.id);
+  if (!schedule) return;
+
+  const task = cron.schedule(schedule, () => {
+    runScheduledTemplate(template.id, schedule).catch((error) => {
+      logError('Error in run template schedule', error, { templateId: template.id });
+    });
+  });
+  scheduledTemplates.set(template.id, { schedule, task });
+}
+
+/**
+ * Stop the cron task of a template
+ * @param {number} templateId - Template ID
+ */
+export function unscheduleRunTemplate(templateId) {
+  const current = scheduledTemplates.get(templateId);
+  if (current) {
+    current.task.stop();
+    scheduledTemplates.delete(templateId);
+  }
+}
+
+/**
+ * Align the cron tasks of this instance with the templates in the database
+ * Picks up templates changed through another API instance.
+ * @returns {Promise<{ scheduled: number }>}
+ */
+export async function syncRunTemplateSchedules() {
+  const templates = await prisma.testRunTemplate.findMany({
+    where: { isActive: true, schedule: { not: null } },
+    select: { id: true, schedule: true, isActive: true },
+  });
+
+  const ids = new Set(templates.map((template) => template.id));
+  for (const templateId of [...scheduledTemplates.keys()]) {
+    if (!ids.has(templateId)) {
+      unscheduleRunTemplate(templateId);
+    }
+  }
+  templates.forEach(scheduleRunTemplate);
+
+  return { scheduled: scheduledTemplates.size };
+}
+
+/**
+ * Stop every template cron task of this instance
+ */
+export function stopRunTemplateSchedules() {
+  for (const templateId of [...scheduledTemplates.keys()]) {
+    unscheduleRunTemplate(templateId);
+  }
+}
+
+export default {
+  RUN_TEMPLATE_SELECTIONS,
+  RUN_TEMPLATE_TRIGGERS,
+  renderRunName,
+  resolveTemplateTestCaseIds,
+  listRunTemplates,
+  getRunTemplate,
+  createRunTemplate,
+  updateRunTemplate,
+  deleteRunTemplate,
+  instantiateRunTemplate,
+  scheduleRunTemplate,
+  unscheduleRunTemplate,
+  syncRunTemplateSchedules,
+  stopRunTemplateSchedules,
+};
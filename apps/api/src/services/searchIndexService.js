@@ -88,6 +88,7 @@ export async function indexBug(bugId, projectId) {
         bugNumber: true,
         title: true,
         description: true,
+        stepsToReproduce: true,
         severity: true,
         priority: true,
         status: true,
@@ -107,6 +108,7 @@ export async function indexBug(bugId, projectId) {
       bug.bugNumber,
       bug.title,
       bug.description,
+      bug.stepsToReproduce,
       bug.severity,
       bug.priority,
       bug.status,
@@ -0,0 +1,249 @@
+/**
+ * SESSION SERVICE
+ * Lists and revokes a user's signed-in devices (UserSession rows), for the
+ * user themselves and for admins, and warns users about sign-ins from new devices.
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+import { logAuditAction } from './auditService.js';
+import { createNotification } from './notificationService.js';
+import { sendNewDeviceLoginEmail } from './emailService.js';
+
+const prisma = getPrismaClient();
+
+const SESSION_SELECT = {
+  id: true,
+  ipAddress: true,
+  userAgent: true,
+  deviceLabel: true,
+  createdAt: true,
+  lastUsedAt: true,
+  expiresAt: true,
+};
+
+// Checked in order; the first match names the browser or OS
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS/],
+  ['Chrome', /Chrome\/|CriOS/],
+  ['Safari', /Safari\//],
+];
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Readable device name for a session, e.g. "Chrome on Windows"
+ * @param {string|null} userAgent - User-Agent header
+ * @param {string|null} deviceLabel - Label supplied by the client, preferred when set
+ * @returns {string}
+ */
+export function describeDevice(userAgent, deviceLabel = null) {
+  if (deviceLabel) {
+    return deviceLabel;
+  }
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (browser && os) {
+    return `${browser} on ${os}`;
+  }
+  return browser || os || userAgent.slice(0, 60);
+}
+
+/**
+ * Helper: Shape a session row for the API
+ */
+function formatSession(session, currentSessionId) {
+  return {
+    ...session,
+    device: describeDevice(session.userAgent, session.deviceLabel),
+    current: session.id === currentSessionId,
+  };
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {number} userId - User ID
+ * @param {number|null} currentSessionId - Session of the request, marked as current
+ * @returns {Promise<Array>} Sessions with device and current flags
+ */
+export async function listUserSessions(userId, currentSessionId = null) {
+  const sessions = await prisma.userSession.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    select: SESSION_SELECT,
+    orderBy: [{ lastUsedAt: { sort: 'desc', nulls: 'last' } }, { createdAt: 'desc' }],
+  });
+
+  return sessions.map((session) => formatSession(session, currentSessionId));
+}
+
+/**
+ * Helper: Find an active session that belongs to the user
+ */
+async function getActiveSession(userId, sessionId) {
+  const session = await prisma.userSession.findUnique({
+    where: { id: sessionId },
+    select: { ...SESSION_SELECT, userId: true, revokedAt: true },
+  });
+
+  if (!session || session.userId !== userId || session.revokedAt) {
+    throw new Error('Session not found');
+  }
+
+  return session;
+}
+
+/**
+ * Sign out one of the user's own sessions
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session to revoke
+ * @param {Object} auditContext - Audit context (ipAddress, userAgent)
+ * @returns {Promise<Object>} Success message
+ * @throws {Error} If the session does not exist or belongs to someone else
+ */
+export async function revokeUserSession(userId, sessionId, auditContext = {}) {
+  const session = await getActiveSession(userId, sessionId);
+
+  await prisma.userSession.update({
+    where: { id: session.id },
+    data: { revokedAt: new Date() },
+  });
+
+  await logAuditAction(userId, 'SESSION_REVOKED', {
+    resourceType: 'USER_SESSION',
+    resourceId: session.id,
+    resourceName: describeDevice(session.userAgent, session.deviceLabel),
+    description: `Signed out session from ${session.ipAddress || 'unknown IP'}`,
+    ...auditContext,
+  });
+
+  return { message: 'Session revoked' };
+}
+
+/**
+ * Force sign-out of one session, or all sessions, of a user (admin action)
+ * @param {number} adminId - Admin performing the revocation
+ * @param {number} targetUserId - User whose sessions are revoked
+ * @param {number|null} sessionId - Session to revoke, or null for every session
+ * @param {Object} auditContext - Audit context (ipAddress, userAgent)
+ * @returns {Promise<Object>} Success message and number of revoked sessions
+ * @throws {Error} If the user or session does not exist
+ */
+export async function forceRevokeSessions(adminId, targetUserId, sessionId = null, auditContext = {}) {
+  const user = await prisma.user.findUnique({
+    where: { id: targetUserId },
+    select: { id: true, name: true, email: true },
+  });
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  let revoked;
+  if (sessionId) {
+    const session = await getActiveSession(targetUserId, sessionId);
+    await prisma.userSession.update({
+      where: { id: session.id },
+      data: { revokedAt: new Date() },
+    });
+    revoked = 1;
+  } else {
+    const result = await prisma.userSession.updateMany({
+      where: { userId: targetUserId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    // Also rejects access tokens issued before sessions carried an ID
+    await prisma.user.update({
+      where: { id: targetUserId },
+      data: { tokenVersion: { increment: 1 } },
+    });
+    revoked = result.count;
+  }
+
+  await logAuditAction(adminId, sessionId ? 'SESSION_REVOKED_BY_ADMIN' : 'ALL_SESSIONS_REVOKED_BY_ADMIN', {
+    resourceType: 'USER',
+    resourceId: user.id,
+    resourceName: user.name,
+    description: sessionId
+      ? `Signed out session ${sessionId} of: ${user.email}`
+      : `Signed out all ${revoked} session(s) of: ${user.email}`,
+    ...auditContext,
+  });
+
+  return {
+    message: sessionId ? 'Session revoked' : `${revoked} session(s) revoked`,
+    revoked,
+  };
+}
+
+/**
+ * Warn a user by email and in-app notification when a sign-in comes from a new device
+ * A device counts as new when none of the user's earlier sessions had the same
+ * User-Agent. The very first sign-in of an account is not reported.
+ * @param {Object} user - User record (id, name, email)
+ * @param {Object} context - Request context (ipAddress, userAgent, deviceLabel)
+ * @returns {Promise<boolean>} Whether the user was notified
+ */
+export async function notifyIfNewDevice(user, context = {}) {
+  if (!context.userAgent) {
+    return false;
+  }
+
+  const [knownDevice, previousSessions] = await Promise.all([
+    prisma.userSession.findFirst({
+      where: { userId: user.id, userAgent: context.userAgent },
+      select: { id: true },
+    }),
+    prisma.userSession.count({ where: { userId: user.id } }),
+  ]);
+  if (knownDevice || previousSessions === 0) {
+    return false;
+  }
+
+  const device = describeDevice(context.userAgent, context.deviceLabel);
+
+  // Both channels are best-effort; the sign-in itself must not fail
+  try {
+    await sendNewDeviceLoginEmail(user.email, user.name, {
+      device,
+      ipAddress: context.ipAddress,
+      signedInAt: new Date(),
+    });
+  } catch {
+    // Email failure is non-critical
+  }
+
+  try {
+    await createNotification(user.id, {
+      title: 'New sign-in to your account',
+      message: `${device} from ${context.ipAddress || 'an unknown IP address'}`,
+      type: 'NEW_DEVICE_LOGIN',
+      sourceType: 'USER_SESSION',
+      actionUrl: '/settings?tab=devices',
+    });
+  } catch {
+    // Notification failure is non-critical
+  }
+
+  return true;
+}
+
+export default {
+  describeDevice,
+  listUserSessions,
+  revokeUserSession,
+  forceRevokeSessions,
+  notifyIfNewDevice,
+};
@@ -0,0 +1,444 @@
+/**
+ * SHARED STEP SERVICE
+ * Project-level reusable step blocks that test cases reference instead of inline steps
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+import { logAuditAction } from './auditService.js';
+import { assertPermissionContext } from '../lib/policy.js';
+import { substituteParameters } from './testDataService.js';
+
+const prisma = getPrismaClient();
+
+const BLOCK_INCLUDE = {
+  creator: { select: { id: true, name: true, email: true } },
+  steps: { orderBy: { stepNumber: 'asc' } },
+};
+
+/**
+ * Helper: Require a permission context for a mutating call
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @param {string} permission - Permission being exercised
+ * @param {number} projectId - Project the call targets
+ */
+function checkPermission(permissionContext, permission, projectId) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, permission, { projectId });
+}
+
+/**
+ * Helper: Load a block and make sure it belongs to the project
+ * @param {number} projectId - Project ID
+ * @param {number} blockId - Block ID
+ * @returns {Promise<Object>} Block
+ */
+async function findProjectBlock(projectId, blockId) {
+  const block = await prisma.sharedStepBlock.findFirst({
+    where: { id: Number(blockId), projectId: Number(projectId) },
+  });
+
+  if (!block) {
+    throw new Error('Shared step block not found');
+  }
+
+  return block;
+}
+
+/**
+ * Helper: Validate and number the steps of a block
+ * @param {Array} steps - Steps in order
+ * @returns {Array} Step rows without blockId
+ */
+function normalizeBlockSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('A shared step block needs at least one step');
+  }
+
+  return steps.map((step, index) => {
+    if (!step.action?.trim()) {
+      throw new Error(`Step ${index + 1} needs an action`);
+    }
+    return {
+      stepNumber: index + 1,
+      action: step.action.trim(),
+      expectedResult: step.expectedResult?.trim() || '',
+      notes: step.notes || null,
+    };
+  });
+}
+
+/**
+ * Helper: Placeholder text stored on a test case step that references a block
+ * Readers that do not expand blocks still see which block is used
+ * @param {Object} block - Block with a name
+ * @returns {string} Step action text
+ */
+function referenceAction(block) {
+  return `Shared steps: ${block.name}`;
+}
+
+/**
+ * Resolve test case step input into TestCaseStep data
+ * A step is either inline ({ action, expectedResult, notes }) or a block reference ({ sharedStepBlockId })
+ * @param {number} projectId - Project the test case belongs to
+ * @param {Array} steps - Step input in order
+ * @returns {Promise<Array>} Step rows without testCaseId
+ * @throws {Error} If a referenced block is not in the project
+ */
+export async function buildTestCaseStepData(projectId, steps = []) {
+  const blockIds = [...new Set(steps.filter((step) => step.sharedStepBlockId).map((step) => Number(step.sharedStepBlockId)))];
+
+  const blocks = blockIds.length > 0
+    ? await prisma.sharedStepBlock.findMany({
+      where: { id: { in: blockIds }, projectId: Number(projectId) },
+      select: { id: true, name: true },
+    })
+    : [];
+  const blocksById = new Map(blocks.map((block) => [block.id, block]));
+
+  return steps.map((step, index) => {
+    if (step.sharedStepBlockId) {
+      const block = blocksById.get(Number(step.sharedStepBlockId));
+      if (!block) {
+        throw new Error(`Shared step block ${step.sharedStepBlockId} not found in project`);
+      }
+      return {
+        stepNumber: index + 1,
+        action: referenceAction(block),
+        expectedResult: '',
+        notes: null,
+        sharedStepBlockId: block.id,
+      };
+    }
+
+    return {
+      stepNumber: index + 1,
+      action: step.action,
+      expectedResult: step.expectedResult,
+      notes: step.notes || null,
+      sharedStepBlockId: null,
+    };
+  });
+}
+
+/**
+ * Expand the steps of test cases, replacing block references with the block's current steps
+ * @param {Array<number>} testCaseIds - Test case IDs
+ * @returns {Promise<Map>} testCaseId -> [{ stepId, stepNumber, action, expectedResult, notes, sharedStepBlockId }]
+ */
+export async function expandTestCaseSteps(testCaseIds) {
+  const steps = await prisma.testCaseStep.findMany({
+    where: { testCaseId: { in: testCaseIds.map(Number) } },
+    include: {
+      sharedStepBlock: {
+        select: { id: true, steps: { orderBy: { stepNumber: 'asc' } } },
+      },
+    },
+    orderBy: [{ testCaseId: 'asc' }, { stepNumber: 'asc' }],
+  });
+
+  const expanded = new Map(testCaseIds.map((id) => [Number(id), []]));
+
+  for (const step of steps) {
+    const caseSteps = expanded.get(step.testCaseId);
+    const concrete = step.sharedStepBlock
+      ? step.sharedStepBlock.steps.map((sharedStep) => ({
+        stepId: step.id,
+        action: sharedStep.action,
+        expectedResult: sharedStep.expectedResult,
+        notes: sharedStep.notes,
+        sharedStepBlockId: step.sharedStepBlock.id,
+      }))
+      : [{
+        stepId: step.id,
+        action: step.action,
+        expectedResult: step.expectedResult,
+        notes: step.notes,
+        sharedStepBlockId: null,
+      }];
+
+    concrete.forEach((entry) => caseSteps.push({ ...entry, stepNumber: caseSteps.length + 1 }));
+  }
+
+  return expanded;
+}
+
+/**
+ * Create TestExecutionStep rows for new executions from their test cases' expanded steps
+ * Executions of a data row get its values substituted into {{param}} placeholders
+ * @param {Array<Object>} executions - [{ id, testCaseId, dataRowValues? }]
+ * @param {string} status - Initial step status
+ * @returns {Promise<number>} Number of execution steps created
+ */
+export async function seedExecutionSteps(executions, status = 'SKIPPED') {
+  if (executions.length === 0) return 0;
+
+  const stepsByCaseId = await expandTestCaseSteps(executions.map((execution) => execution.testCaseId));
+
+  const data = executions.flatMap((execution) =>
+    (stepsByCaseId.get(Number(execution.testCaseId)) || []).map((step) => ({
+      executionId: execution.id,
+      stepId: step.stepId,
+      stepNumber: step.stepNumber,
+      action: substituteParameters(step.action, execution.dataRowValues),
+      expectedResult: substituteParameters(step.expectedResult, execution.dataRowValues),
+      sharedStepBlockId: step.sharedStepBlockId,
+      status,
+    })),
+  );
+
+  if (data.length > 0) {
+    await prisma.testExecutionStep.createMany({ data });
+  }
+
+  return data.length;
+}
+
+/**
+ * Create a shared step block
+ * @param {Object} data - { projectId, name, description, steps }
+ * @param {number} userId - Creator user ID
+ * @param {Object} permissionContext - Permission context from authorization layer
+ * @returns {Promise<Object>} Created block with steps
+ * @throws {Error} If permissionContext is invalid or missing
+ */
+export async function createSharedStepBlock(data, userId, permissionContext = null) {
+  checkPermission(permissionContext, 'sharedStep:create', data.projectId);
+
+  const { projectId, name, description, steps } = data;
+
+  if (!projectId || !name?.trim()) {
+    throw new Error('ProjectId and name are required');
+  }
+
+  const existing = await prisma.sharedStepBlock.findUnique({
+    where: { projectId_name: { projectId: Number(projectId), name: name.trim() } },
+  });
+  if (existing) {
+    throw new Error('A shared step block with this name already exists in project');
+  }
+
+  const block = await prisma.sharedStepBlock.create({
+    data: {
+      projectId: Number(projectId),
+      name: name.trim(),
+      description: description || null,
+      createdBy: userId,
+      steps: { create: normalizeBlockSteps(steps) },
+    },
+    include: BLOCK_INCLUDE,
+  });
+
+  await logAuditAction(userId, 'SHARED_STEP_BLOCK_CREATED', {
+    resourceType: 'SHARED_STEP_BLOCK',
+    resourceId: block.id,
+    resourceName: block.name,
+    projectId: block.projectId,
+    description: `Created shared step block: ${block.name}`,
+    newValues: JSON.stringify({ name: block.name, stepCount: block.steps.length }),
+  });
+
+  return { ...block, usageCount: 0 };
+}
+
+/**
+ * Get the shared step blocks of a project with how many test cases use each
+ * @param {number} projectId - Project ID
+ * @param {Object} filters - { search }
+ * @returns {Promise<Array>} Blocks
+ */
+export async function getProjectSharedStepBlocks(projectId, filters = {}) {
+  const { search } = filters;
+
+  const blocks = await prisma.sharedStepBlock.findMany({
+    where: {
+      projectId: Number(projectId),
+      ...(search && {
+        OR: [
+          { name: { contains: search, mode: 'insensitive' } },
+          { description: { contains: search, mode: 'insensitive' } },
+        ],
+      }),
+    },
+    include: {
+      ...BLOCK_INCLUDE,
+      references: {
+        where: { testCase: { isDeleted: false } },
+        select: { testCaseId: true },
+        distinct: ['testCaseId'],
+      },
+    },
+    orderBy: { name: 'asc' },
+  });
+
+  return blocks.map(({ references, ...block }) => ({ ...block, usageCount: references.length }));
+}
+
+/**
+ * Get a shared step block
+ * @param {number} projectId - Project ID
+ * @param {number} blockId - Block ID
+ * @returns {Promise<Object>} Block with steps
+ */
+export async function getSharedStepBlockById(projectId, blockId) {
+  const block = await prisma.sharedStepBlock.findFirst({
+    where: { id: Number(blockId), projectId: Number(projectId) },
+    include: BLOCK_INCLUDE,
+  });
+
+  if (!block) {
+    throw new Error('Shared step block not found');
+  }
+
+  return block;
+}
+
+/**
+ * List the test cases that reference a block ("used by")
+ * @param {number} projectId - Project ID
+ * @param {number} blockId - Block ID
+ * @returns {Promise<Object>} { block, testCases: [{ id, name, status, priority, stepNumbers }] }
+ */
+export async function getSharedStepBlockUsage(projectId, blockId) {
+  const block = await findProjectBlock(projectId, blockId);
+
+  const references = await prisma.testCaseStep.findMany({
+    where: { sharedStepBlockId: block.id, testCase: { isDeleted: false } },
+    select: {
+      stepNumber: true,
+      testCase: { select: { id: true, name: true, status: true, priority: true } },
+    },
+    orderBy: [{ testCaseId: 'asc' }, { stepNumber: 'asc' }],
+  });
+
+  const testCases = new Map();
+  for (const reference of references) {
+    if (!testCases.has(reference.testCase.id)) {
+      testCases.set(reference.testCase.id, { ...reference.testCase, stepNumbers: [] });
+    }
+    testCases.get(reference.testCase.id).stepNumbers.push(reference.stepNumber);
+  }
+
+  return { block: { id: block.id, name: block.name }, testCases: [...testCases.values()] };
+}
+
+/**
+ * Update a shared step block
+ * Step changes apply to every referencing test case from its next execution
+ * @param {number} projectId - Project ID
+ * @param {number} blockId - Block ID
+ * @param {Object} data - { name, description, steps }
+ * @param {number} userId - Editor user ID
+ * @param {Object} permissionContext - Permission context from authorization layer
+ * @returns {Promise<Object>} Updated block
+ * @throws {Error} If permissionContext is invalid or missing
+ */
+export async function updateSharedStepBlock(projectId, blockId, data, userId, permissionContext = null) {
+  checkPermission(permissionContext, 'sharedStep:edit', projectId);
+
+  const existing = await findProjectBlock(projectId, blockId);
+  const { name, description, steps } = data;
+
+  if (name !== undefined && !name.trim()) {
+    throw new Error('Name cannot be empty');
+  }
+
+  const renamed = name !== undefined && name.trim() !== existing.name;
+  if (renamed) {
+    const duplicate = await prisma.sharedStepBlock.findUnique({
+      where: { projectId_name: { projectId: existing.projectId, name: name.trim() } },
+    });
+    if (duplicate) {
+      throw new Error('A shared step block with this name already exists in project');
+    }
+  }
+
+  const newSteps = steps !== undefined ? normalizeBlockSteps(steps) : null;
+
+  const block = await prisma.$transaction(async (tx) => {
+    const updated = await tx.sharedStepBlock.update({
+      where: { id: existing.id },
+      data: {
+        ...(renamed && { name: name.trim() }),
+        ...(description !== undefined && { description: description || null }),
+      },
+    });
+
+    if (newSteps) {
+      await tx.sharedStep.deleteMany({ where: { blockId: existing.id } });
+      await tx.sharedStep.createMany({
+        data: newSteps.map((step) => ({ ...step, blockId: existing.id })),
+      });
+    }
+
+    // Keep the placeholder text on referencing test case steps in sync with the name
+    if (renamed) {
+      await tx.testCaseStep.updateMany({
+        where: { sharedStepBlockId: existing.id },
+        data: { action: referenceAction(updated) },
+      });
+    }
+
+    return tx.sharedStepBlock.findUnique({ where: { id: existing.id }, include: BLOCK_INCLUDE });
+  });
+
+  await logAuditAction(userId, 'SHARED_STEP_BLOCK_EDITED', {
+    resourceType: 'SHARED_STEP_BLOCK',
+    resourceId: block.id,
+    resourceName: block.name,
+    projectId: block.projectId,
+    description: `Updated shared step block: ${block.name}`,
+    oldValues: JSON.stringify({ name: existing.name }),
+    newValues: JSON.stringify({ name: block.name, stepCount: block.steps.length }),
+  });
+
+  return block;
+}
+
+/**
+ * Delete a shared step block that no test case references
+ * @param {number} projectId - Project ID
+ * @param {number} blockId - Block ID
+ * @param {number} userId - User deleting
+ * @param {Object} permissionContext - Permission context from authorization layer
+ * @returns {Promise<Object>} { success: true }
+ * @throws {Error} If the block is still referenced
+ */
+export async function deleteSharedStepBlock(projectId, blockId, userId, permissionContext = null) {
+  checkPermission(permissionContext, 'sharedStep:delete', projectId);
+
+  const existing = await findProjectBlock(projectId, blockId);
+
+  const referenceCount = await prisma.testCaseStep.count({
+    where: { sharedStepBlockId: existing.id },
+  });
+  if (referenceCount > 0) {
+    throw new Error(`Shared step block is used by ${referenceCount} test case step(s); replace those references first`);
+  }
+
+  await prisma.sharedStepBlock.delete({ where: { id: existing.id } });
+
+  await logAuditAction(userId, 'SHARED_STEP_BLOCK_DELETED', {
+    resourceType: 'SHARED_STEP_BLOCK',
+    resourceId: existing.id,
+    resourceName: existing.name,
+    projectId: existing.projectId,
+    description: `Deleted shared step block: ${existing.name}`,
+  });
+
+  return { success: true };
+}
+
+export default {
+  buildTestCaseStepData,
+  expandTestCaseSteps,
+  seedExecutionSteps,
+  createSharedStepBlock,
+  getProjectSharedStepBlocks,
+  getSharedStepBlockById,
+  getSharedStepBlockUsage,
+  updateSharedStepBlock,
+  deleteSharedStepBlock,
+};
@@ -0,0 +1,1193 @@
+/**
+ * SSO SERVICE
+ * Enterprise single sign-on through generic OIDC (issuer discovery, authorization code
+ * flow with PKCE) and SAML 2.0 (SP-initiated: HTTP-Redirect request, HTTP-POST response)
+ *
+ * Users are provisioned just in time through findOrCreateOAuthUser. The groups the identity
+ * provider reports decide the user's role and project allocations (roleMappings,
+ * projectMappings). A provider can also turn off password sign-in for its email domains.
+ *
+ * An identity only signs in to an account this provider created, or one its owner connected
+ * from their settings while signed in. Existing accounts are never taken over by email, and
+ * administrator accounts are never linked or re-roled through SSO.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { SAML, ValidateInResponseTo } from '@node-saml/node-saml';
+import { getPrismaClient } from '../lib/prisma.js';
+import { getRedisClient } from '../lib/socket.js';
+import { ROLES } from '../lib/permissions.js';
+import { logAuditAction } from './auditService.js';
+import { findOrCreateOAuthUser } from './oauthService.js';
+import { resolveAllocationRole } from './projectRoleService.js';
+
+const prisma = getPrismaClient();
+
+const API_BASE_URL = process.env.WEBHOOK_BASE_URL || 'http://localhost:3001';
+
+export const SSO_PROTOCOLS = ['OIDC', 'SAML'];
+
+// Time allowed between leaving for the identity provider and coming back to the callback
+const SSO_STATE_TTL_MS = 10 * 60 * 1000;
+// Time the browser has to trade the one-time sign-in token for a session
+const SSO_LOGIN_TOKEN_TTL = '2m';
+// Time a signed-in user has to leave for the identity provider after asking to connect it
+const SSO_CONNECT_TOKEN_TTL = '2m';
+const METADATA_CACHE_MS = 10 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+// Roles SSO can grant; highest rank wins when a user's groups map to several. ADMIN is
+// never granted through SSO, so only an administrator can make someone an administrator
+const ROLE_RANK = { [ROLES.TESTER]: 1, [ROLES.DEVELOPER]: 2 };
+
+const SAML_EMAIL_ATTRIBUTES = [
+  'email',
+  'mail',
+  'urn:oid:0.9.2342.19200300.100.1.3',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+];
+const SAML_NAME_ATTRIBUTES = [
+  'displayName',
+  'name',
+  'urn:oid:2.16.840.1.113730.3.1.241',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name',
+];
+
+// Reasons passed to the web app when sign-in fails; anything else is reported as SIGN_IN_FAILED
+export const SSO_ERROR_CODES = [
+  'PROVIDER_NOT_FOUND',
+  'SIGN_IN_EXPIRED',
+  'BROWSER_MISMATCH',
+  'REFUSED',
+  'RESPONSE_REJECTED',
+  'MISSING_IDENTITY',
+  'DOMAIN_NOT_ALLOWED',
+  'EMAIL_NOT_VERIFIED',
+  'ACCOUNT_EXISTS',
+  'ACCOUNT_DEACTIVATED',
+  'ADMIN_NOT_ALLOWED',
+  'ALREADY_CONNECTED',
+];
+
+const oidcMetadataCache = new Map(); // issuer -> { expiresAt, metadata }
+const jwksCache = new Map(); // jwks_uri -> { expiresAt, keys }
+
+// SAML state awaiting a response from the identity provider: AuthnRequest IDs (every response
+// must answer one of them, once) and connect flows keyed by the ID carried in RelayState.
+// Kept in Redis when it is configured, so the response can reach any API instance.
+const SAML_STATE_PREFIX = 'sso:saml:';
+const pendingSamlState = new Map(); // in-memory fallback: key -> { value, expiresAt }
+
+/**
+ * Helper: Drop expired in-memory SAML state
+ */
+function pruneSamlState() {
+  const now = Date.now();
+  for (const [key, item] of pendingSamlState) {
+    if (item.expiresAt <= now) {
+      pendingSamlState.delete(key);
+    }
+  }
+}
+
+/**
+ * Helper: Store SAML state for SSO_STATE_TTL_MS unless the key is already taken
+ * @returns {Promise<boolean>} False if the key exists
+ */
+async function saveSamlState(key, value) {
+  const redisClient = getRedisClient();
+  if (redisClient) {
+    try {
+      const saved = await redisClient.set(`${SAML_STATE_PREFIX}${key}`, JSON.stringify(value), {
+        ex: SSO_STATE_TTL_MS / 1000,
+        nx: true,
+      });
+      return saved !== null;
+    } catch (error) {
+      console.error('Redis SAML state save failed, using in-memory fallback:', error);
+    }
+  }
+
+  pruneSamlState();
+  if (pendingSamlState.has(key)) {
+    return false;
+  }
+  pendingSamlState.set(key, { value, expiresAt: Date.now() + SSO_STATE_TTL_MS });
+  return true;
+}
+
+/**
+ * Helper: Read SAML state, removing it when `take` is set
+ * @returns {Promise<*>} Stored value, or null if it is missing or expired
+ */
+async function readSamlState(key, take = false) {
+  const redisClient = getRedisClient();
+  if (redisClient) {
+    try {
+      const redisKey = `${SAML_STATE_PREFIX}${key}`;
+      const data = take ? await redisClient.getdel(redisKey) : await redisClient.get(redisKey);
+      if (data !== null && data !== undefined) {
+        // The Upstash client may already have parsed the JSON
+        return typeof data === 'string' ? JSON.parse(data) : data;
+      }
+    } catch (error) {
+      console.error('Redis SAML state read failed, checking in-memory fallback:', error);
+    }
+  }
+
+  const item = pendingSamlState.get(key);
+  if (!item || item.expiresAt <= Date.now()) {
+    pendingSamlState.delete(key);
+    return null;
+  }
+  if (take) {
+    pendingSamlState.delete(key);
+  }
+  return item.value;
+}
+
+const samlRequestCache = {
+  async saveAsync(key, value) {
+    return (await saveSamlState(`request:${key}`, value)) ? { value, createdAt: Date.now() } : null;
+  },
+  async getAsync(key) {
+    return readSamlState(`request:${key}`);
+  },
+  async removeAsync(key) {
+    return readSamlState(`request:${key}`, true);
+  },
+};
+
+/**
+ * Helper: Error with a code from SSO_ERROR_CODES
+ */
+function ssoError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Helper: Domain part of an email address, lowercased
+ */
+function getEmailDomain(email) {
+  const at = String(email || '').lastIndexOf('@');
+  return at === -1 ? '' : String(email).slice(at + 1).trim().toLowerCase();
+}
+
+/**
+ * URLs the identity provider needs to know about a provider
+ * @param {string} slug - Provider slug
+ * @returns {Object} { loginUrl, callbackUrl, metadataUrl }; metadataUrl doubles as the SAML entity ID
+ */
+export function getServiceProviderUrls(slug) {
+  const base = `${API_BASE_URL}/api/auth/sso/${slug}`;
+  return {
+    loginUrl: `${base}/login`,
+    callbackUrl: `${base}/callback`,
+    metadataUrl: `${base}/metadata`,
+  };
+}
+
+/**
+ * Helper: Provider as returned by the API, without the client secret
+ */
+function toPublicProvider(provider) {
+  const { clientSecret, ...rest } = provider;
+  return {
+    ...rest,
+    hasClientSecret: Boolean(clientSecret),
+    ...getServiceProviderUrls(provider.slug),
+  };
+}
+
+/**
+ * Helper: Accept https URLs, and http for a local identity provider
+ */
+function normalizeUrl(value, field) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch {
+    throw new Error(`${field} must be a valid URL`);
+  }
+  const isLocal = ['localhost', '127.0.0.1'].includes(url.hostname);
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+    throw new Error(`${field} must use https`);
+  }
+  return url.toString().replace(/\/+$/, '');
+}
+
+/**
+ * Helper: Validate and normalize a list of email domains
+ */
+function normalizeDomains(domains) {
+  if (!Array.isArray(domains)) {
+    throw new Error('emailDomains must be an array');
+  }
+  const normalized = [...new Set(domains.map((domain) => String(domain).trim().toLowerCase().replace(/^@/, '')))]
+    .filter(Boolean);
+  const invalid = normalized.filter((domain) => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid email domains: ${invalid.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Helper: Validate group-to-role mappings
+ */
+function normalizeRoleMappings(mappings) {
+  if (!Array.isArray(mappings)) {
+    throw new Error('roleMappings must be an array');
+  }
+  return mappings.map(({ group, role }) => {
+    const normalizedRole = String(role || '').toUpperCase();
+    if (!String(group || '').trim()) {
+      throw new Error('Every role mapping needs a group');
+    }
+    if (normalizedRole === ROLES.ADMIN) {
+      throw new Error('Role mappings cannot grant the ADMIN role');
+    }
+    if (!ROLE_RANK[normalizedRole]) {
+      throw new Error(`Invalid role in role mapping: ${role}`);
+    }
+    return { group: String(group).trim(), role: normalizedRole };
+  });
+}
+
+/**
+ * Helper: Validate group-to-project mappings against existing projects and roles
+ */
+async function normalizeProjectMappings(mappings) {
+  if (!Array.isArray(mappings)) {
+    throw new Error('projectMappings must be an array');
+  }
+  const normalized = [];
+  for (const { group, projectId, projectRole } of mappings) {
+    if (!String(group || '').trim()) {
+      throw new Error('Every project mapping needs a group');
+    }
+    const project = await prisma.project.findUnique({
+      where: { id: Number(projectId) },
+      select: { id: true },
+    });
+    if (!project) {
+      throw new Error(`Project ${projectId} in project mapping not found`);
+    }
+    const resolved = await resolveAllocationRole(project.id, projectRole || 'QA_ENGINEER');
+    normalized.push({ group: String(group).trim(), projectId: project.id, projectRole: resolved.projectRole });
+  }
+  return normalized;
+}
+
+/**
+ * Helper: Validate a provider definition and return the fields to store
+ */
+async function normalizeProviderDefinition(data, existing = null) {
+  const fields = {};
+
+  if (!existing) {
+    const slug = String(data.slug || '').trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]{1,48}$/.test(slug)) {
+      throw new Error('slug must be 2-49 lowercase letters, digits or dashes');
+    }
+    fields.slug = slug;
+
+    const protocol = String(data.protocol || '').toUpperCase();
+    if (!SSO_PROTOCOLS.includes(protocol)) {
+      throw new Error(`protocol must be one of: ${SSO_PROTOCOLS.join(', ')}`);
+    }
+    fields.protocol = protocol;
+  }
+  const protocol = fields.protocol || existing.protocol;
+
+  if (data.name !== undefined || !existing) {
+    fields.name = String(data.name || '').trim();
+    if (!fields.name) {
+      throw new Error('Provider name is required');
+    }
+  }
+  if (data.isEnabled !== undefined) {
+    fields.isEnabled = Boolean(data.isEnabled);
+  }
+  if (data.disablePasswordLogin !== undefined) {
+    fields.disablePasswordLogin = Boolean(data.disablePasswordLogin);
+  }
+  if (data.enforcesMfa !== undefined) {
+    fields.enforcesMfa = Boolean(data.enforcesMfa);
+  }
+  if (data.emailDomains !== undefined) {
+    fields.emailDomains = normalizeDomains(data.emailDomains);
+  }
+  if (data.groupsClaim !== undefined) {
+    fields.groupsClaim = String(data.groupsClaim || '').trim() || 'groups';
+  }
+  if (data.defaultRole !== undefined) {
+    fields.defaultRole = String(data.defaultRole || '').toUpperCase();
+    if (fields.defaultRole === ROLES.ADMIN) {
+      throw new Error('defaultRole cannot be ADMIN');
+    }
+    if (!ROLE_RANK[fields.defaultRole]) {
+      throw new Error(`defaultRole must be one of: ${Object.keys(ROLE_RANK).join(', ')}`);
+    }
+  }
+  if (data.roleMappings !== undefined) {
+    fields.roleMappings = normalizeRoleMappings(data.roleMappings || []);
+  }
+  if (data.projectMappings !== undefined) {
+    fields.projectMappings = await normalizeProjectMappings(data.projectMappings || []);
+  }
+
+  if (protocol === 'OIDC') {
+    if (data.issuer !== undefined || !existing) {
+      fields.issuer = normalizeUrl(data.issuer, 'issuer');
+    }
+    if (data.clientId !== undefined || !existing) {
+      fields.clientId = String(data.clientId || '').trim();
+      if (!fields.clientId) {
+        throw new Error('clientId is required');
+      }
+    }
+    // A blank secret keeps the stored one
+    if (data.clientSecret?.trim()) {
+      fields.clientSecret = data.clientSecret.trim();
+    }
+    if (data.scopes !== undefined) {
+      const scopes = String(data.scopes || '').split(/\s+/).filter(Boolean);
+      fields.scopes = [...new Set(['openid', ...scopes])].join(' ');
+    }
+  } else {
+    if (data.entryPoint !== undefined || !existing) {
+      fields.entryPoint = normalizeUrl(data.entryPoint, 'entryPoint');
+    }
+    if (data.idpEntityId !== undefined) {
+      fields.idpEntityId = String(data.idpEntityId || '').trim() || null;
+    }
+    if (data.idpCertificate !== undefined || !existing) {
+      fields.idpCertificate = String(data.idpCertificate || '').trim();
+      if (!fields.idpCertificate) {
+        throw new Error('idpCertificate is required');
+      }
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Helper: Reject email domains already routed to another provider
+ */
+async function assertDomainsAvailable(domains, excludeProviderId = null) {
+  if (!domains || domains.length === 0) {
+    return;
+  }
+  const conflict = await prisma.ssoProvider.findFirst({
+    where: {
+      emailDomains: { hasSome: domains },
+      ...(excludeProviderId ? { id: { not: excludeProviderId } } : {}),
+    },
+    select: { name: true, emailDomains: true },
+  });
+  if (conflict) {
+    const shared = domains.filter((domain) => conflict.emailDomains.includes(domain));
+    throw new Error(`Email domain ${shared.join(', ')} already belongs to ${conflict.name}`);
+  }
+}
+
+/**
+ * List all SSO providers
+ * @returns {Promise<Array>} Providers without client secrets
+ */
+export async function listSsoProviders() {
+  const providers = await prisma.ssoProvider.findMany({ orderBy: { name: 'asc' } });
+  return providers.map(toPublicProvider);
+}
+
+/**
+ * Create an SSO provider
+ * @param {Object} data - Provider definition
+ * @param {number} adminId - Admin creating the provider
+ * @param {Object} auditContext - Client context for the audit log
+ * @returns {Promise<Object>} Created provider
+ * @throws {Error} If the definition is invalid or the slug or a domain is taken
+ */
+export async function createSsoProvider(data, adminId, auditContext = {}) {
+  const fields = await normalizeProviderDefinition(data);
+
+  const slugTaken = await prisma.ssoProvider.findUnique({ where: { slug: fields.slug }, select: { id: true } });
+  if (slugTaken) {
+    throw new Error(`An SSO provider with slug ${fields.slug} already exists`);
+  }
+  await assertDomainsAvailable(fields.emailDomains);
+
+  const provider = await prisma.ssoProvider.create({ data: fields });
+
+  await logAuditAction(adminId, 'SSO_PROVIDER_CREATED', {
+    resourceType: 'SSO_PROVIDER',
+    resourceId: provider.id,
+    resourceName: provider.name,
+    description: `${provider.protocol} provider "${provider.name}" created`,
+    newValues: JSON.stringify(toPublicProvider(provider)),
+    ...auditContext,
+  });
+
+  return toPublicProvider(provider);
+}
+
+/**
+ * Update an SSO provider
+ * The slug and protocol cannot change; a blank clientSecret keeps the stored secret.
+ * @param {number} providerId - Provider ID
+ * @param {Object} data - Fields to change
+ * @param {number} adminId - Admin updating the provider
+ * @param {Object} auditContext - Client context for the audit log
+ * @returns {Promise<Object>} Updated provider
+ * @throws {Error} If the provider does not exist or the definition is invalid
+ */
+export async function updateSsoProvider(providerId, data, adminId, auditContext = {}) {
+  const existing = await prisma.ssoProvider.findUnique({ where: { id: providerId } });
+  if (!existing) {
+    throw new Error('SSO provider not found');
+  }
+
+  const fields = await normalizeProviderDefinition(data, existing);
+  await assertDomainsAvailable(fields.emailDomains, existing.id);
+
+  const provider = await prisma.ssoProvider.update({
+    where: { id: existing.id },
+    data: fields,
+  });
+  oidcMetadataCache.delete(existing.issuer);
+
+  await logAuditAction(adminId, 'SSO_PROVIDER_UPDATED', {
+    resourceType: 'SSO_PROVIDER',
+    resourceId: provider.id,
+    resourceName: provider.name,
+    description: `SSO provider "${provider.name}" updated`,
+    oldValues: JSON.stringify(toPublicProvider(existing)),
+    newValues: JSON.stringify({ ...toPublicProvider(provider), clientSecretChanged: Boolean(fields.clientSecret) }),
+    ...auditContext,
+  });
+
+  return toPublicProvider(provider);
+}
+
+/**
+ * Delete an SSO provider
+ * Accounts it provisioned stay; their users sign in another way from then on.
+ * @param {number} providerId - Provider ID
+ * @param {number} adminId - Admin deleting the provider
+ * @param {Object} auditContext - Client context for the audit log
+ * @returns {Promise<Object>} Success message
+ * @throws {Error} If the provider does not exist
+ */
+export async function deleteSsoProvider(providerId, adminId, auditContext = {}) {
+  const provider = await prisma.ssoProvider.findUnique({ where: { id: providerId } });
+  if (!provider) {
+    throw new Error('SSO provider not found');
+  }
+
+  await prisma.$transaction([
+    prisma.oAuthIntegration.deleteMany({ where: { provider: `SSO:${provider.slug}` } }),
+    prisma.ssoProvider.delete({ where: { id: provider.id } }),
+  ]);
+
+  await logAuditAction(adminId, 'SSO_PROVIDER_DELETED', {
+    resourceType: 'SSO_PROVIDER',
+    resourceId: provider.id,
+    resourceName: provider.name,
+    description: `SSO provider "${provider.name}" deleted`,
+    oldValues: JSON.stringify(toPublicProvider(provider)),
+    ...auditContext,
+  });
+
+  return { message: 'SSO provider deleted' };
+}
+
+/**
+ * Find the enabled provider that handles an email address, for the login page
+ * @param {string} email - Email address typed by the user
+ * @returns {Promise<Object|null>} { slug, name, protocol, disablePasswordLogin, loginUrl } or null
+ */
+export async function findSsoProviderForEmail(email) {
+  const domain = getEmailDomain(email);
+  if (!domain) {
+    return null;
+  }
+
+  const provider = await prisma.ssoProvider.findFirst({
+    where: { isEnabled: true, emailDomains: { has: domain } },
+    select: { slug: true, name: true, protocol: true, disablePasswordLogin: true },
+  });
+  if (!provider) {
+    return null;
+  }
+
+  return { ...provider, loginUrl: getServiceProviderUrls(provider.slug).loginUrl };
+}
+
+/**
+ * Reject password sign-in for email domains whose provider requires SSO
+ * @param {string} email - Email address
+ * @returns {Promise<void>}
+ * @throws {Error} If password sign-in is disabled for the domain
+ */
+export async function assertPasswordLoginAllowed(email) {
+  const domain = getEmailDomain(email);
+  if (!domain) {
+    return;
+  }
+
+  const provider = await prisma.ssoProvider.findFirst({
+    where: { isEnabled: true, disablePasswordLogin: true, emailDomains: { has: domain } },
+    select: { name: true },
+  });
+  if (provider) {
+    throw new Error(`Password sign-in is disabled for ${domain}. Sign in with ${provider.name} single sign-on.`);
+  }
+}
+
+/**
+ * Helper: Load an enabled provider by slug
+ */
+async function getEnabledProvider(slug) {
+  const provider = await prisma.ssoProvider.findUnique({ where: { slug: String(slug || '').toLowerCase() } });
+  if (!provider || !provider.isEnabled) {
+    throw ssoError('PROVIDER_NOT_FOUND', 'SSO provider not found');
+  }
+  return provider;
+}
+
+/**
+ * Helper: Only same-site paths are accepted as the page to open after sign-in
+ */
+function normalizeRedirectPath(value) {
+  if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.includes('\\')) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Helper: fetch JSON with a timeout
+ */
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  const text = await response.text();
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    // Non-JSON error pages are reported by status below
+  }
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw new Error(`Identity provider request failed: ${detail}`);
+  }
+  return body;
+}
+
+/**
+ * Helper: OIDC discovery document of an issuer, cached
+ */
+async function getOidcMetadata(issuer) {
+  const cached = oidcMetadataCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (String(metadata?.issuer || '').replace(/\/+$/, '') !== issuer) {
+    throw new Error(`OIDC discovery document does not belong to issuer ${issuer}`);
+  }
+  if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+    throw new Error('OIDC discovery document is missing required endpoints');
+  }
+
+  oidcMetadataCache.set(issuer, { expiresAt: Date.now() + METADATA_CACHE_MS, metadata });
+  return metadata;
+}
+
+/**
+ * Helper: Public key that signed an ID token; the key set is fetched again once when the
+ * key ID is unknown, to follow key rotation
+ */
+async function getIdTokenKey(jwksUri, kid) {
+  for (const refresh of [false, true]) {
+    let cached = jwksCache.get(jwksUri);
+    if (refresh || !cached || cached.expiresAt <= Date.now()) {
+      const jwks = await fetchJson(jwksUri);
+      cached = { expiresAt: Date.now() + METADATA_CACHE_MS, keys: jwks?.keys || [] };
+      jwksCache.set(jwksUri, cached);
+    }
+
+    const jwk = cached.keys.find((key) => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+  throw new Error('No signing key of the identity provider matches the ID token');
+}
+
+/**
+ * Helper: PKCE code verifier for a sign-in attempt, derived from its state ID so it never
+ * has to leave the server
+ */
+function getCodeVerifier(stateId) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET || '').update(`sso-pkce:${stateId}`).digest('base64url');
+}
+
+/**
+ * Helper: SAML service provider for a provider; pending request IDs are shared across instances
+ */
+function getSamlClient(provider) {
+  const { callbackUrl, metadataUrl } = getServiceProviderUrls(provider.slug);
+  return new SAML({
+    callbackUrl,
+    entryPoint: provider.entryPoint,
+    issuer: metadataUrl,
+    audience: metadataUrl,
+    idpCert: provider.idpCertificate,
+    idpIssuer: provider.idpEntityId || undefined,
+    wantAssertionsSigned: true,
+    wantAuthnResponseSigned: false,
+    validateInResponseTo: ValidateInResponseTo.always,
+    requestIdExpirationPeriodMs: SSO_STATE_TTL_MS,
+    cacheProvider: samlRequestCache,
+    acceptedClockSkewMs: 60 * 1000,
+    disableRequestedAuthnContext: true,
+  });
+}
+
+/**
+ * SAML service provider metadata to register with the identity provider
+ * @param {string} slug - Provider slug
+ * @returns {Promise<string>} Metadata XML
+ * @throws {Error} If the provider does not exist or is not a SAML provider
+ */
+export async function getSamlMetadata(slug) {
+  const provider = await getEnabledProvider(slug);
+  if (provider.protocol !== 'SAML') {
+    throw ssoError('PROVIDER_NOT_FOUND', 'SSO provider not found');
+  }
+  return getSamlClient(provider).generateServiceProviderMetadata(null, null);
+}
+
+/**
+ * Helper: Administrator accounts are never linked or re-roled through SSO
+ */
+function isAdminAccount(user) {
+  return String(user.role || '').toUpperCase() === ROLES.ADMIN;
+}
+
+/**
+ * Start connecting a provider to the signed-in user's account
+ * The returned URL starts a normal sign-in that links the identity instead of opening a session.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} slug - Provider slug
+ * @param {number} userId - Signed-in user ID
+ * @returns {Promise<Object>} { url } to open in the browser within two minutes
+ * @throws {Error} If the provider does not exist, the user is an administrator or already connected
+ */
+export async function createSsoConnectUrl(fastify, slug, userId) {
+  const provider = await getEnabledProvider(slug);
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { oauthIntegrations: { where: { provider: `SSO:${provider.slug}` } } },
+  });
+  if (!user || !user.isActive) {
+    throw ssoError('ACCOUNT_DEACTIVATED', 'Account is deactivated. Please contact an administrator.');
+  }
+  if (isAdminAccount(user)) {
+    throw ssoError('ADMIN_NOT_ALLOWED', 'Administrator accounts cannot be connected to single sign-on');
+  }
+  if (user.oauthIntegrations.length > 0) {
+    throw ssoError('ALREADY_CONNECTED', `Your account is already connected to ${provider.name}`);
+  }
+
+  const connectToken = fastify.jwt.sign(
+    { purpose: 'sso-connect', id: user.id, providerId: provider.id, tokenVersion: user.tokenVersion },
+    { expiresIn: SSO_CONNECT_TOKEN_TTL },
+  );
+  return { url: `${getServiceProviderUrls(provider.slug).loginUrl}?${new URLSearchParams({ connectToken })}` };
+}
+
+/**
+ * Helper: User a connect token was issued to, as { id, tokenVersion }
+ */
+function readConnectToken(fastify, provider, connectToken) {
+  let payload;
+  try {
+    payload = fastify.jwt.verify(String(connectToken));
+  } catch {
+    throw ssoError('SIGN_IN_EXPIRED', 'Connect request expired. Please try again.');
+  }
+  if (payload?.purpose !== 'sso-connect' || payload.providerId !== provider.id || !payload.id) {
+    throw ssoError('SIGN_IN_EXPIRED', 'Connect request expired. Please try again.');
+  }
+  return { id: payload.id, tokenVersion: payload.tokenVersion };
+}
+
+/**
+ * Helper: Remember a SAML connect flow and return the ID RelayState carries back
+ */
+async function saveSamlConnect(connect) {
+  const connectId = crypto.randomBytes(16).toString('base64url');
+  await saveSamlState(`connect:${connectId}`, { id: connect.id, tokenVersion: connect.tokenVersion });
+  return connectId;
+}
+
+/**
+ * Helper: Take a SAML connect flow back out, once
+ */
+async function takeSamlConnect(connectId) {
+  const item = await readSamlState(`connect:${connectId}`, true);
+  if (!item) {
+    throw ssoError('SIGN_IN_EXPIRED', 'Connect request expired. Please try again.');
+  }
+  return { id: item.id, tokenVersion: item.tokenVersion };
+}
+
+/**
+ * Start an SSO sign-in
+ * @param {Object} fastify - Fastify instance
+ * @param {string} slug - Provider slug
+ * @param {string|null} redirectTo - Web app path to open after sign-in
+ * @param {string|null} connectToken - Token from createSsoConnectUrl; links the identity instead of signing in
+ * @returns {Promise<Object>} { url, stateId }; stateId must come back with the OIDC callback
+ * @throws {Error} If the provider does not exist or cannot be reached
+ */
+export async function startSsoLogin(fastify, slug, redirectTo = null, connectToken = null) {
+  const provider = await getEnabledProvider(slug);
+  const path = normalizeRedirectPath(redirectTo);
+  const connect = connectToken ? readConnectToken(fastify, provider, connectToken) : null;
+
+  if (provider.protocol === 'SAML') {
+    // RelayState is limited to 80 bytes, so it only carries the path (or a connect ID); InResponseTo ties the response to the request
+    const relayState = connect ? `connect:${await saveSamlConnect(connect)}` : path || '';
+    const url = await getSamlClient(provider).getAuthorizeUrlAsync(relayState, undefined, {});
+    return { url, stateId: null };
+  }
+
+  const metadata = await getOidcMetadata(provider.issuer);
+  const stateId = crypto.randomBytes(24).toString('base64url');
+  const state = fastify.jwt.sign(
+    { purpose: 'sso-state', providerId: provider.id, stateId, redirectTo: path, connect },
+    { expiresIn: `${SSO_STATE_TTL_MS / 1000}s` },
+  );
+  const codeChallenge = crypto.createHash('sha256').update(getCodeVerifier(stateId)).digest('base64url');
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getServiceProviderUrls(provider.slug).callbackUrl,
+    scope: provider.scopes,
+    state,
+    nonce: stateId,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  return { url: `${metadata.authorization_endpoint}?${params.toString()}`, stateId };
+}
+
+/**
+ * Helper: Normalize a groups claim or attribute to a list of group names
+ */
+function toGroupList(value) {
+  if (Array.isArray(value)) {
+    return value.map(String).filter(Boolean);
+  }
+  return value ? [String(value)] : [];
+}
+
+/**
+ * Helper: Role granted by the user's groups, or null when no mapping matches
+ * Mappings to roles SSO cannot grant (e.g. ADMIN, saved before that was rejected) are skipped.
+ */
+function resolveMappedRole(roleMappings, groups) {
+  return (roleMappings || [])
+    .filter((mapping) => groups.includes(mapping.group) && ROLE_RANK[mapping.role])
+    .map((mapping) => mapping.role)
+    .sort((a, b) => ROLE_RANK[b] - ROLE_RANK[a])[0] || null;
+}
+
+/**
+ * Helper: Allocate the user to the projects their groups map to
+ * A mapping that no longer resolves (deleted project or role) is skipped so sign-in still works.
+ */
+async function applyProjectMappings(provider, userId, groups) {
+  const allocated = [];
+  const seenProjects = new Set();
+
+  for (const mapping of provider.projectMappings || []) {
+    if (!groups.includes(mapping.group) || seenProjects.has(mapping.projectId)) {
+      continue;
+    }
+    seenProjects.add(mapping.projectId);
+
+    try {
+      const { projectRole, customRoleId } = await resolveAllocationRole(mapping.projectId, mapping.projectRole);
+      await prisma.projectUserAllocation.upsert({
+        where: { projectId_userId: { projectId: mapping.projectId, userId } },
+        update: { projectRole, customRoleId, isActive: true },
+        create: { projectId: mapping.projectId, userId, projectRole, customRoleId, isActive: true },
+      });
+      allocated.push(`${mapping.projectId}:${projectRole}`);
+    } catch (error) {
+      console.error(`SSO project mapping for ${provider.slug} skipped:`, error.message);
+    }
+  }
+
+  return allocated;
+}
+
+/**
+ * Helper: Normalized email of an identity, after checking it belongs to the provider's domains
+ */
+function getIdentityEmail(provider, identity) {
+  const email = String(identity.email || '').trim().toLowerCase();
+  if (!identity.subject || !email) {
+    throw ssoError('MISSING_IDENTITY', 'The identity provider did not return a user ID and email address');
+  }
+  if (provider.emailDomains.length > 0 && !provider.emailDomains.includes(getEmailDomain(email))) {
+    throw ssoError('DOMAIN_NOT_ALLOWED', `${email} does not belong to an email domain of ${provider.name}`);
+  }
+  return email;
+}
+
+/**
+ * Helper: Account an identity signs in to, creating it on first sign-in
+ * An identity this provider has not seen only reaches an existing account with the same email
+ * when the provider is limited to email domains and already links that account under an
+ * older subject (e.g. after the identity provider was migrated). Anyone else has to sign in
+ * with their password and connect the provider from their settings.
+ */
+async function findOrProvisionSsoAccount(provider, identity, email, mappedRole) {
+  const providerKey = `SSO:${provider.slug}`;
+  const subject = String(identity.subject);
+
+  const integration = await prisma.oAuthIntegration.findUnique({
+    where: { provider_providerId: { provider: providerKey, providerId: subject } },
+    include: { user: true },
+  });
+  if (integration) {
+    return { user: integration.user, linkedBy: integration.metadata?.linkedBy || null, isNewUser: false };
+  }
+
+  const existing = await prisma.user.findUnique({
+    where: { email },
+    include: { oauthIntegrations: { where: { provider: providerKey } } },
+  });
+  if (existing) {
+    if (isAdminAccount(existing)) {
+      throw ssoError('ADMIN_NOT_ALLOWED', 'Administrator accounts cannot sign in with single sign-on');
+    }
+    const previous = existing.oauthIntegrations[0];
+    if (provider.emailDomains.length === 0 || !previous) {
+      throw ssoError(
+        'ACCOUNT_EXISTS',
+        `An account already exists for ${email}. Sign in with your password and connect ${provider.name} in your settings.`,
+      );
+    }
+    await prisma.oAuthIntegration.update({ where: { id: previous.id }, data: { providerId: subject, email } });
+    return { user: existing, linkedBy: previous.metadata?.linkedBy || null, isNewUser: false };
+  }
+
+  const { user } = await findOrCreateOAuthUser({
+    provider: providerKey,
+    providerId: subject,
+    email,
+    name: identity.name || email.split('@')[0],
+    picture: null,
+    role: mappedRole || (ROLE_RANK[provider.defaultRole] ? provider.defaultRole : ROLES.TESTER),
+    linkExistingUser: false,
+    metadata: { linkedBy: 'provisioned' },
+  });
+  return { user, linkedBy: 'provisioned', isNewUser: true };
+}
+
+/**
+ * Helper: Provision or update the user an identity provider vouched for and return a
+ * one-time token the web app trades for a session
+ */
+async function provisionSsoUser(fastify, provider, identity, auditContext) {
+  const email = getIdentityEmail(provider, identity);
+  const groups = identity.groups;
+  const mappedRole = resolveMappedRole(provider.roleMappings, groups);
+
+  const { user: linkedUser, linkedBy, isNewUser } = await findOrProvisionSsoAccount(provider, identity, email, mappedRole);
+
+  if (!linkedUser.isActive) {
+    throw ssoError('ACCOUNT_DEACTIVATED', 'Account is deactivated. Please contact an administrator.');
+  }
+  if (linkedBy !== 'provisioned' && isAdminAccount(linkedUser)) {
+    throw ssoError('ADMIN_NOT_ALLOWED', 'Administrator accounts cannot sign in with single sign-on');
+  }
+
+  // Mapped roles follow the identity provider on every sign-in, for accounts it created and
+  // never to or from ADMIN; everyone else keeps the role given in the app
+  const updates = {};
+  if (
+    linkedBy === 'provisioned'
+    && mappedRole
+    && !isAdminAccount(linkedUser)
+    && String(linkedUser.role).toUpperCase() !== mappedRole
+  ) {
+    updates.role = mappedRole;
+  }
+  if (!linkedUser.isVerified) {
+    updates.isVerified = true;
+  }
+  const user = Object.keys(updates).length > 0
+    ? await prisma.user.update({ where: { id: linkedUser.id }, data: updates })
+    : linkedUser;
+
+  const allocated = await applyProjectMappings(provider, user.id, groups);
+
+  await logAuditAction(user.id, isNewUser ? 'SSO_USER_PROVISIONED' : 'SSO_LOGIN', {
+    resourceType: 'USER',
+    resourceId: user.id,
+    resourceName: user.name,
+    description: `${isNewUser ? 'Account created at sign-in' : 'Signed in'} through ${provider.name}`,
+    newValues: JSON.stringify({
+      provider: provider.slug,
+      groups,
+      ...(updates.role ? { role: updates.role, previousRole: linkedUser.role } : {}),
+      ...(allocated.length > 0 ? { projects: allocated } : {}),
+    }),
+    ...auditContext,
+  });
+
+  return {
+    loginToken: fastify.jwt.sign(
+      { id: user.id, purpose: 'sso', tokenVersion: user.tokenVersion, provider: provider.slug },
+      { expiresIn: SSO_LOGIN_TOKEN_TTL },
+    ),
+    isNewUser,
+  };
+}
+
+/**
+ * Helper: Link an identity to the account that asked to connect it
+ * Roles and project allocations stay as they are; the user keeps signing in either way.
+ */
+async function connectSsoIdentity(provider, connect, identity, auditContext) {
+  const email = getIdentityEmail(provider, identity);
+  const providerKey = `SSO:${provider.slug}`;
+  const subject = String(identity.subject);
+
+  const user = await prisma.user.findUnique({
+    where: { id: connect.id },
+    include: { oauthIntegrations: { where: { provider: providerKey } } },
+  });
+  if (!user || !user.isActive || user.tokenVersion !== connect.tokenVersion) {
+    throw ssoError('SIGN_IN_EXPIRED', 'Connect request expired. Please try again.');
+  }
+  if (isAdminAccount(user)) {
+    throw ssoError('ADMIN_NOT_ALLOWED', 'Administrator accounts cannot be connected to single sign-on');
+  }
+  if (user.oauthIntegrations.length > 0) {
+    throw ssoError('ALREADY_CONNECTED', `Your account is already connected to ${provider.name}`);
+  }
+
+  const linked = await prisma.oAuthIntegration.findUnique({
+    where: { provider_providerId: { provider: providerKey, providerId: subject } },
+  });
+  if (linked) {
+    throw ssoError('ALREADY_CONNECTED', `This ${provider.name} account is already connected to another user`);
+  }
+
+  await prisma.oAuthIntegration.create({
+    data: {
+      provider: providerKey,
+      providerId: subject,
+      userId: user.id,
+      email,
+      metadata: { name: identity.name || null, picture: null, provider: providerKey, linkedBy: 'connected' },
+    },
+  });
+
+  await logAuditAction(user.id, 'SSO_ACCOUNT_CONNECTED', {
+    resourceType: 'USER',
+    resourceId: user.id,
+    resourceName: user.name,
+    description: `Connected ${provider.name} single sign-on`,
+    newValues: JSON.stringify({ provider: provider.slug, email }),
+    ...auditContext,
+  });
+
+  return { connected: true, provider: provider.slug };
+}
+
+/**
+ * Finish an OIDC sign-in at the callback
+ * @param {Object} fastify - Fastify instance
+ * @param {string} slug - Provider slug
+ * @param {Object} query - Callback query (code, state, or error and error_description)
+ * @param {string|null} browserStateId - State ID stored in the browser when the sign-in started
+ * @param {Object} auditContext - Client context for the audit log
+ * @returns {Promise<Object>} { loginToken, isNewUser, redirectTo }, or { connected, provider } for a connect flow
+ * @throws {Error} If the identity provider refused or the response does not verify
+ */
+export async function completeOidcLogin(fastify, slug, query, browserStateId, auditContext = {}) {
+  const provider = await getEnabledProvider(slug);
+  if (provider.protocol !== 'OIDC') {
+    throw ssoError('PROVIDER_NOT_FOUND', 'SSO provider not found');
+  }
+  if (query.error) {
+    throw ssoError('REFUSED', `Sign-in was refused by ${provider.name}: ${query.error_description || query.error}`);
+  }
+  if (!query.code || !query.state) {
+    throw ssoError('RESPONSE_REJECTED', 'Authorization code and state are required');
+  }
+
+  let state;
+  try {
+    state = fastify.jwt.verify(String(query.state));
+  } catch {
+    throw ssoError('SIGN_IN_EXPIRED', 'Sign-in request expired. Please try again.');
+  }
+  if (state.purpose !== 'sso-state' || state.providerId !== provider.id) {
+    throw ssoError('RESPONSE_REJECTED', 'Invalid sign-in state');
+  }
+  // Stops a sign-in started in one browser (e.g. an attacker's) from finishing in another
+  if (!browserStateId || browserStateId !== state.stateId) {
+    throw ssoError('BROWSER_MISMATCH', 'Sign-in was started in another browser. Please try again.');
+  }
+
+  const metadata = await getOidcMetadata(provider.issuer);
+  const { callbackUrl } = getServiceProviderUrls(provider.slug);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: query.code,
+    redirect_uri: callbackUrl,
+    code_verifier: getCodeVerifier(state.stateId),
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (provider.clientSecret && authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', provider.clientId);
+    if (provider.clientSecret) {
+      body.set('client_secret', provider.clientSecret);
+    }
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: body.toString() });
+  if (!tokens?.id_token) {
+    throw ssoError('RESPONSE_REJECTED', 'The identity provider did not return an ID token');
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw ssoError('RESPONSE_REJECTED', 'Unsupported ID token');
+  }
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, await getIdTokenKey(metadata.jwks_uri, decoded.header.kid), {
+      algorithms: [decoded.header.alg],
+      issuer: metadata.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60,
+    });
+  } catch (error) {
+    throw ssoError('RESPONSE_REJECTED', `ID token rejected: ${error.message}`);
+  }
+  if (claims.nonce !== state.stateId) {
+    throw ssoError('RESPONSE_REJECTED', 'ID token rejected: nonce mismatch');
+  }
+
+  // Many providers leave email and groups out of the ID token
+  if ((!claims.email || claims[provider.groupsClaim] === undefined) && metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' },
+    });
+    if (userinfo?.sub === claims.sub) {
+      claims = { ...userinfo, ...claims };
+    }
+  }
+  if (claims.email_verified === false) {
+    throw ssoError('EMAIL_NOT_VERIFIED', `${provider.name} has not verified the email address ${claims.email}`);
+  }
+
+  const identity = {
+    subject: claims.sub,
+    email: claims.email,
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' '),
+    groups: toGroupList(claims[provider.groupsClaim]),
+  };
+  if (state.connect) {
+    return connectSsoIdentity(provider, state.connect, identity, auditContext);
+  }
+
+  const result = await provisionSsoUser(fastify, provider, identity, auditContext);
+  return { ...result, redirectTo: state.redirectTo || null };
+}
+
+/**
+ * Finish a SAML sign-in at the assertion consumer service
+ * @param {Object} fastify - Fastify instance
+ * @param {string} slug - Provider slug
+ * @param {Object} body - Posted form (SAMLResponse, RelayState)
+ * @param {Object} auditContext - Client context for the audit log
+ * @returns {Promise<Object>} { loginToken, isNewUser, redirectTo }, or { connected, provider } for a connect flow
+ * @throws {Error} If the response is unsigned, expired, replayed or answers no pending request
+ */
+export async function completeSamlLogin(fastify, slug, body, auditContext = {}) {
+  const provider = await getEnabledProvider(slug);
+  if (provider.protocol !== 'SAML') {
+    throw ssoError('PROVIDER_NOT_FOUND', 'SSO provider not found');
+  }
+  if (!body?.SAMLResponse) {
+    throw ssoError('RESPONSE_REJECTED', 'SAMLResponse is required');
+  }
+
+  let profile;
+  try {
+    ({ profile } = await getSamlClient(provider).validatePostResponseAsync({ SAMLResponse: body.SAMLResponse }));
+  } catch (error) {
+    throw ssoError('RESPONSE_REJECTED', `SAML response rejected: ${error.message}`);
+  }
+  if (!profile) {
+    throw ssoError('RESPONSE_REJECTED', 'SAML response rejected: no assertion');
+  }
+
+  const firstValue = (names) => names.map((name) => toGroupList(profile[name])[0]).find(Boolean);
+  const email = firstValue(SAML_EMAIL_ATTRIBUTES) || (profile.nameID?.includes('@') ? profile.nameID : null);
+
+  const identity = {
+    subject: profile.nameID,
+    email,
+    name: firstValue(SAML_NAME_ATTRIBUTES) || [profile.givenName, profile.sn].filter(Boolean).join(' '),
+    groups: toGroupList(profile[provider.groupsClaim]),
+  };
+  if (String(body.RelayState || '').startsWith('connect:')) {
+    return connectSsoIdentity(provider, await takeSamlConnect(body.RelayState.slice('connect:'.length)), identity, auditContext);
+  }
+
+  const result = await provisionSsoUser(fastify, provider, identity, auditContext);
+  return { ...result, redirectTo: normalizeRedirectPath(body.RelayState) };
+}
+
+export default {
+  SSO_PROTOCOLS,
+  SSO_ERROR_CODES,
+  getServiceProviderUrls,
+  listSsoProviders,
+  createSsoProvider,
+  updateSsoProvider,
+  deleteSsoProvider,
+  findSsoProviderForEmail,
+  assertPasswordLoginAllowed,
+  getSamlMetadata,
+  createSsoConnectUrl,
+  startSsoLogin,
+  completeOidcLogin,
+  completeSamlLogin,
+};
@@ -7,9 +7,170 @@ import { getPrismaClient } from '../lib/prisma.js';
 import { logAuditAction } from './auditService.js';
 import { indexTestCase } from './searchIndexService.js';
 import { assertPermissionContext } from '../lib/policy.js';
+import {
+  CUSTOM_FIELD_VALUES_INCLUDE,
+  getProjectCustomFields,
+  getEntityCustomFieldValues,
+  resolveCustomFieldValues,
+  saveCustomFieldValues,
+  mapCustomFieldValues,
+  withCustomFields,
+  buildCustomFieldConditions,
+} from './customFieldService.js';
+import { buildTestCaseStepData } from './sharedStepService.js';
+import { triggerWebhook } from './webhookService.js';
 
 const prisma = getPrismaClient();
 
+// Header prefix that marks custom field columns in CSV export/import
+const CUSTOM_FIELD_CSV_PREFIX = 'CF: ';
+
+// Test case fields captured in version snapshots and written back on restore
+const VERSIONED_FIELDS = [
+  'name',
+  'description',
+  'preconditions',
+  'testData',
+  'environment',
+  'type',
+  'priority',
+  'severity',
+  'status',
+  'estimatedDurationMinutes',
+  'moduleArea',
+  'tags',
+];
+
+// Steps that reference a shared block carry the block's current steps for display
+const STEP_SHARED_BLOCK_INCLUDE = {
+  sharedStepBlock: {
+    select: { id: true, name: true, steps: { orderBy: { stepNumber: 'asc' } } },
+  },
+};
+
+const UPDATED_TEST_CASE_INCLUDE = {
+  steps: {
+    include: STEP_SHARED_BLOCK_INCLUDE,
+    orderBy: { stepNumber: 'asc' },
+  },
+  assignedTo: { select: { id: true, name: true } },
+  owner: { select: { id: true, name: true } },
+};
+
+/**
+ * Normalize steps to the shape stored in version snapshots
+ * @param {Array} steps - TestCaseStep rows or snapshot steps
+ * @returns {Array} Steps numbered from 1 in execution order
+ */
+function toVersionSteps(steps = []) {
+  return [...steps]
+    .sort((a, b) => (a.stepNumber || 0) - (b.stepNumber || 0))
+    .map((step, index) => ({
+      stepNumber: index + 1,
+      action: step.action,
+      expectedResult: step.expectedResult,
+      notes: step.notes || null,
+      ...(step.sharedStepBlockId && { sharedStepBlockId: step.sharedStepBlockId }),
+    }));
+}
+
+/**
+ * Snapshot a test case (including its steps) as its next version
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} testCase - Test case with steps included
+ * @param {Object} options - { userId, changeNote, restoredFromVersion }
+ * @returns {Promise<Object>} Created TestCaseVersion
+ */
+async function createVersionSnapshot(tx, testCase, { userId, changeNote, restoredFromVersion } = {}) {
+  const latest = await tx.testCaseVersion.findFirst({
+    where: { testCaseId: testCase.id },
+    orderBy: { versionNumber: 'desc' },
+    select: { versionNumber: true },
+  });
+
+  const fields = Object.fromEntries(VERSIONED_FIELDS.map((field) => [field, testCase[field] ?? null]));
+
+  return tx.testCaseVersion.create({
+    data: {
+      ...fields,
+      tags: testCase.tags || [],
+      testCaseId: testCase.id,
+      versionNumber: (latest?.versionNumber || 0) + 1,
+      steps: toVersionSteps(testCase.steps),
+      changeNote: changeNote || null,
+      changedBy: userId || null,
+      restoredFromVersion: restoredFromVersion ?? null,
+    },
+  });
+}
+
+/**
+ * Replace all steps of a test case
+ * Execution steps keep a copy of their step content, so existing executions are unaffected
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} testCaseId - Test case ID
+ * @param {Array} stepData - Step rows from buildTestCaseStepData
+ */
+async function replaceTestCaseSteps(tx, testCaseId, stepData) {
+  await tx.testCaseStep.deleteMany({ where: { testCaseId } });
+
+  if (stepData.length > 0) {
+    await tx.testCaseStep.createMany({
+      data: stepData.map((step) => ({ ...step, testCaseId })),
+    });
+  }
+}
+
+/**
+ * Diff two step lists position by position
+ * @param {Array} currentSteps - Steps of the current test case
+ * @param {Array} targetSteps - Steps of the version being compared
+ * @returns {Array} One entry per step number with change ADDED, REMOVED, MODIFIED or UNCHANGED
+ */
+export function diffTestCaseSteps(currentSteps = [], targetSteps = []) {
+  const current = toVersionSteps(currentSteps);
+  const target = toVersionSteps(targetSteps);
+  const length = Math.max(current.length, target.length);
+
+  return Array.from({ length }, (_, index) => {
+    const from = current[index] || null;
+    const to = target[index] || null;
+
+    let change = 'UNCHANGED';
+    if (!from) {
+      change = 'ADDED';
+    } else if (!to) {
+      change = 'REMOVED';
+    } else if (
+      from.action !== to.action
+      || from.expectedResult !== to.expectedResult
+      || from.notes !== to.notes
+      || (from.sharedStepBlockId || null) !== (to.sharedStepBlockId || null)
+    ) {
+      change = 'MODIFIED';
+    }
+
+    return { stepNumber: index + 1, change, current: from, version: to };
+  });
+}
+
+/**
+ * Helper: Test case fields sent in webhook payloads
+ * @param {Object} testCase - Test case record
+ * @returns {Object} Webhook-safe test case summary
+ */
+function toWebhookTestCase(testCase) {
+  return {
+    id: testCase.id,
+    name: testCase.name,
+    type: testCase.type,
+    priority: testCase.priority,
+    severity: testCase.severity,
+    status: testCase.status,
+    moduleArea: testCase.moduleArea,
+  };
+}
+
 /**
  * Create a new test case with steps
  * @param {Object} data - Test case data
@@ -42,6 +203,7 @@ export async function createTestCase(data, userId, auditContext = {}, permission
     steps = [],
     assignedToId,
     ownedById,
+    customFields = {},
   } = data;
 
   // Validate required fields
@@ -49,6 +211,9 @@ export async function createTestCase(data, userId, auditContext = {}, permission
     throw new Error('ProjectId and name are required');
   }
 
+  const customFieldEntries = await resolveCustomFieldValues(projectId, 'TEST_CASE', customFields);
+  const stepData = await buildTestCaseStepData(projectId, steps);
+
   // Check if test case with same name exists in project
   const existing = await prisma.testCase.findFirst({
     where: {
@@ -62,43 +227,45 @@ export async function createTestCase(data, userId, auditContext = {}, permission
     throw new Error('Test case with this name already exists in project');
   }
 
-  // Create test case with steps
-  const testCase = await prisma.testCase.create({
-    data: {
-      projectId: Number(projectId),
-      name,
-      description: description || null,
-      preconditions: preconditions || null,
-      testData: testData || null,
-      environment: environment || null,
-      type,
-      priority,
-      severity,
-      status,
-      estimatedDurationMinutes: estimatedDurationMinutes || null,
-      moduleArea: moduleArea || null,
-      tags: tags.length > 0 ? tags : [],
-      assignedToId: assignedToId ? Number(assignedToId) : null,
-      ownedById: ownedById ? Number(ownedById) : null,
-      createdBy: userId,
-      lastModifiedBy: userId,
-      steps: {
-        create: steps.map((step, index) => ({
-          stepNumber: index + 1,
-          action: step.action,
-          expectedResult: step.expectedResult,
-          notes: step.notes || null,
-        })),
+  // Create test case with steps and custom field values
+  const testCase = await prisma.$transaction(async (tx) => {
+    const created = await tx.testCase.create({
+      data: {
+        projectId: Number(projectId),
+        name,
+        description: description || null,
+        preconditions: preconditions || null,
+        testData: testData || null,
+        environment: environment || null,
+        type,
+        priority,
+        severity,
+        status,
+        estimatedDurationMinutes: estimatedDurationMinutes || null,
+        moduleArea: moduleArea || null,
+        tags: tags.length > 0 ? tags : [],
+        assignedToId: assignedToId ? Number(assignedToId) : null,
+        ownedById: ownedById ? Number(ownedById) : null,
+        createdBy: userId,
+        lastModifiedBy: userId,
+        steps: {
+          create: stepData,
+        },
       },
-    },
-    include: {
-      steps: {
-        orderBy: { stepNumber: 'asc' },
+      include: {
+        steps: {
+          include: STEP_SHARED_BLOCK_INCLUDE,
+          orderBy: { stepNumber: 'asc' },
+        },
+        creator: { select: { id: true, name: true, email: true } },
+        assignedTo: { select: { id: true, name: true, email: true } },
+        owner: { select: { id: true, name: true, email: true } },
       },
-      creator: { select: { id: true, name: true, email: true } },
-      assignedTo: { select: { id: true, name: true, email: true } },
-      owner: { select: { id: true, name: true, email: true } },
-    },
+    });
+
+    await saveCustomFieldValues('TEST_CASE', created.id, customFieldEntries, tx);
+
+    return created;
   });
 
   // Audit log
@@ -113,6 +280,7 @@ export async function createTestCase(data, userId, auditContext = {}, permission
       type: testCase.type,
       priority: testCase.priority,
       stepCount: testCase.steps.length,
+      ...(customFieldEntries.length > 0 && { customFields }),
     }),
     ...auditContext,
   });
@@ -124,7 +292,12 @@ export async function createTestCase(data, userId, auditContext = {}, permission
     // Non-critical error, log but don't fail the operation
   }
 
-  return testCase;
+  await triggerWebhook('TEST_CREATED', { projectId: testCase.projectId, testCase: toWebhookTestCase(testCase) });
+
+  return {
+    ...testCase,
+    customFields: await getEntityCustomFieldValues('TEST_CASE', testCase.id),
+  };
 }
 
 /**
@@ -175,37 +348,23 @@ export async function updateTestCase(testCaseId, updates, userId, auditContext =
     assignedToId,
     ownedById,
     changeNote,
-    automationStatus,
+    customFields,
   } = updates;
 
-  // Capture current state for version snapshot (before update)
-  const versionSnapshot = {
-    testCaseId: existing.id,
-    caseVersion: existing.version,
-    name: existing.name,
-    description: existing.description,
-    type: existing.type,
-    priority: existing.priority,
-    severity: existing.severity,
-    status: existing.status,
-    automationStatus: existing.automationStatus,
-    preconditions: existing.preconditions,
-    postconditions: null, // Not yet in TestCase schema
-    expectedResult: null, // Not on test case level
-    tags: existing.tags,
-    steps: existing.steps.map(step => ({
-      action: step.action,
-      expectedResult: step.expectedResult,
-      notes: step.notes,
-    })),
-    changeNote: changeNote || null,
-    changedBy: userId,
-    changedAt: new Date(),
-  };
+  // Validate custom fields up front; required fields are checked against the merged values
+  const existingCustomFields = await getEntityCustomFieldValues('TEST_CASE', testCaseId);
+  const customFieldEntries = customFields !== undefined
+    ? await resolveCustomFieldValues(existing.projectId, 'TEST_CASE', customFields, {
+      existingValues: existingCustomFields,
+    })
+    : [];
+  const stepData = Array.isArray(steps) ? await buildTestCaseStepData(existing.projectId, steps) : null;
 
-  // Update test case with version increment and create version snapshot in transaction
-  const [updated] = await prisma.$transaction([
-    prisma.testCase.update({
+  // Snapshot the current state as a new version, then apply the update in the same transaction
+  const { updated, snapshot } = await prisma.$transaction(async (tx) => {
+    const snapshot = await createVersionSnapshot(tx, existing, { userId, changeNote });
+
+    await tx.testCase.update({
       where: { id: testCaseId },
       data: {
         ...(name && { name }),
@@ -220,102 +379,26 @@ export async function updateTestCase(testCaseId, updates, userId, auditContext =
         ...(estimatedDurationMinutes !== undefined && { estimatedDurationMinutes }),
         ...(moduleArea !== undefined && { moduleArea }),
         ...(tags !== undefined && { tags }),
-        ...(automationStatus && { automationStatus }),
         ...(assignedToId !== undefined && { assignedToId: assignedToId ? Number(assignedToId) : null }),
         ...(ownedById !== undefined && { ownedById: ownedById ? Number(ownedById) : null }),
         lastModifiedBy: userId,
-        version: { increment: 1 },
-      },
-      include: {
-        steps: {
-          orderBy: { stepNumber: 'asc' },
-        },
-        assignedTo: { select: { id: true, name: true } },
-        owner: { select: { id: true, name: true } },
-      },
-    }),
-    prisma.testCaseVersion.create({
-      data: versionSnapshot,
-    }),
-  ]);
-
-  // Update steps if provided
-  if (steps && Array.isArray(steps)) {
-    const existingSteps = await prisma.testStep.findMany({
-      where: { testCaseId },
-      select: {
-        id: true,
-        stepNumber: true,
-        _count: { select: { executionSteps: true } },
       },
-      orderBy: { stepNumber: 'asc' },
     });
 
-    const normalizedSteps = steps.map((step) => ({
-      action: step.action,
-      expectedResult: step.expectedResult,
-      notes: step.notes || null,
-    }));
-
-    const operations = [];
-    normalizedSteps.forEach((step, index) => {
-      const existingStep = existingSteps[index];
-      if (existingStep) {
-        operations.push(
-          prisma.testStep.update({
-            where: { id: existingStep.id },
-            data: {
-              stepNumber: index + 1,
-              action: step.action,
-              expectedResult: step.expectedResult,
-              notes: step.notes,
-            },
-          })
-        );
-      } else {
-        operations.push(
-          prisma.testStep.create({
-            data: {
-              testCaseId,
-              stepNumber: index + 1,
-              action: step.action,
-              expectedResult: step.expectedResult,
-              notes: step.notes,
-            },
-          })
-        );
-      }
-    });
-
-    const extraSteps = existingSteps.slice(normalizedSteps.length);
-    const lockedSteps = extraSteps.filter((step) => step._count.executionSteps > 0);
-    if (lockedSteps.length > 0) {
-      throw new Error('Cannot remove steps that have execution history.');
-    }
-
-    if (extraSteps.length > 0) {
-      operations.push(
-        prisma.testStep.deleteMany({
-          where: { id: { in: extraSteps.map((step) => step.id) } },
-        })
-      );
+    if (stepData) {
+      await replaceTestCaseSteps(tx, testCaseId, stepData);
     }
 
-    if (operations.length > 0) {
-      await prisma.$transaction(operations);
-    }
-
-    updated = await prisma.testCase.findUnique({
+    const updated = await tx.testCase.findUnique({
       where: { id: testCaseId },
-      include: {
-        steps: {
-          orderBy: { stepNumber: 'asc' },
-        },
-        assignedTo: { select: { id: true, name: true } },
-        owner: { select: { id: true, name: true } },
-      },
+      include: UPDATED_TEST_CASE_INCLUDE,
     });
-  }
+
+    return { updated, snapshot };
+  });
+
+  await saveCustomFieldValues('TEST_CASE', testCaseId, customFieldEntries);
+  const updatedCustomFields = await getEntityCustomFieldValues('TEST_CASE', testCaseId);
 
   // Audit log for test case update
   await logAuditAction(userId, 'TESTCASE_EDITED', {
@@ -330,8 +413,8 @@ export async function updateTestCase(testCaseId, updates, userId, auditContext =
       priority: existing.priority,
       severity: existing.severity,
       status: existing.status,
-      automationStatus: existing.automationStatus,
       description: existing.description,
+      customFields: existingCustomFields,
     }),
     newValues: JSON.stringify({
       name: updated.name,
@@ -339,8 +422,8 @@ export async function updateTestCase(testCaseId, updates, userId, auditContext =
       priority: updated.priority,
       severity: updated.severity,
       status: updated.status,
-      automationStatus: updated.automationStatus,
       description: updated.description,
+      customFields: updatedCustomFields,
     }),
     ...auditContext,
   });
@@ -351,12 +434,17 @@ export async function updateTestCase(testCaseId, updates, userId, auditContext =
     resourceId: testCaseId,
     resourceName: updated.name,
     projectId: updated.projectId,
-    description: `Created version ${existing.version} snapshot${changeNote ? ': ' + changeNote : ''}`,
-    metadata: { version: existing.version, changeNote },
+    description: `Created version ${snapshot.versionNumber} snapshot${changeNote ? ': ' + changeNote : ''}`,
+    metadata: { version: snapshot.versionNumber, changeNote },
     ...auditContext,
   });
 
-  return updated;
+  await triggerWebhook('TEST_UPDATED', { projectId: updated.projectId, testCase: toWebhookTestCase(updated) });
+
+  return {
+    ...updated,
+    customFields: updatedCustomFields,
+  };
 }
 
 /**
@@ -408,6 +496,8 @@ export async function deleteTestCase(testCaseId, userId, auditContext = {}, perm
     ...auditContext,
   });
 
+  await triggerWebhook('TEST_DELETED', { projectId: existing.projectId, testCase: toWebhookTestCase(existing) });
+
   return deleted;
 }
 
@@ -460,6 +550,151 @@ export async function restoreTestCase(testCaseId, userId, auditContext = {}, per
   return restored;
 }
 
+/**
+ * Diff a stored version against the current state of a test case
+ * Used to preview what restoring the version would change
+ * @param {number} projectId - Project ID
+ * @param {number} testCaseId - Test case ID
+ * @param {number} versionNumber - Version number to compare
+ * @returns {Promise<Object>} { version, fields, steps, hasChanges }
+ */
+export async function getTestCaseVersionDiff(projectId, testCaseId, versionNumber) {
+  const [testCase, version] = await Promise.all([
+    prisma.testCase.findFirst({
+      where: { id: testCaseId, projectId },
+      include: { steps: { orderBy: { stepNumber: 'asc' } } },
+    }),
+    prisma.testCaseVersion.findFirst({
+      where: { testCaseId, versionNumber, testCase: { projectId } },
+      include: { user: { select: { id: true, name: true, email: true } } },
+    }),
+  ]);
+
+  if (!testCase) {
+    throw new Error('Test case not found');
+  }
+  if (!version) {
+    throw new Error(`Version ${versionNumber} not found`);
+  }
+
+  const fields = VERSIONED_FIELDS
+    .filter((field) => JSON.stringify(testCase[field] ?? null) !== JSON.stringify(version[field] ?? null))
+    .map((field) => ({ field, current: testCase[field] ?? null, version: version[field] ?? null }));
+  const steps = diffTestCaseSteps(testCase.steps, version.steps);
+
+  return {
+    version,
+    fields,
+    steps,
+    hasChanges: fields.length > 0 || steps.some((step) => step.change !== 'UNCHANGED'),
+  };
+}
+
+/**
+ * Restore a test case to a previous version
+ * The current state is snapshotted first as a new version that records who restored it
+ * @param {number} testCaseId - Test case ID
+ * @param {number} versionNumber - Version number to restore
+ * @param {number} userId - User restoring
+ * @param {Object} auditContext - Audit context
+ * @param {Object} permissionContext - Permission context from authorization layer
+ * @returns {Promise<Object>} Restored test case
+ * @throws {Error} If permissionContext is invalid or missing
+ */
+export async function restoreTestCaseVersion(testCaseId, versionNumber, userId, auditContext = {}, permissionContext = null) {
+  const existing = await prisma.testCase.findUnique({
+    where: { id: testCaseId },
+    include: {
+      steps: true,
+    },
+  });
+
+  if (!existing) {
+    throw new Error('Test case not found');
+  }
+
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'testCase:edit', { projectId: existing.projectId });
+
+  if (existing.isDeleted) {
+    throw new Error('Cannot restore a version of a deleted test case');
+  }
+
+  const version = await prisma.testCaseVersion.findUnique({
+    where: { testCaseId_versionNumber: { testCaseId, versionNumber } },
+  });
+
+  if (!version) {
+    throw new Error(`Version ${versionNumber} not found`);
+  }
+
+  if (version.name !== existing.name) {
+    const nameTaken = await prisma.testCase.findFirst({
+      where: {
+        projectId: existing.projectId,
+        name: version.name,
+        isDeleted: false,
+        id: { not: testCaseId },
+      },
+    });
+    if (nameTaken) {
+      throw new Error(`Cannot restore version ${versionNumber}: another test case is named "${version.name}"`);
+    }
+  }
+
+  const restoredFields = Object.fromEntries(VERSIONED_FIELDS.map((field) => [field, version[field]]));
+  const stepData = await buildTestCaseStepData(existing.projectId, Array.isArray(version.steps) ? version.steps : []);
+
+  const { updated, snapshot } = await prisma.$transaction(async (tx) => {
+    const snapshot = await createVersionSnapshot(tx, existing, {
+      userId,
+      changeNote: `Restored version ${versionNumber}`,
+      restoredFromVersion: versionNumber,
+    });
+
+    await tx.testCase.update({
+      where: { id: testCaseId },
+      data: {
+        ...restoredFields,
+        tags: version.tags || [],
+        lastModifiedBy: userId,
+      },
+    });
+    await replaceTestCaseSteps(tx, testCaseId, stepData);
+
+    const updated = await tx.testCase.findUnique({
+      where: { id: testCaseId },
+      include: UPDATED_TEST_CASE_INCLUDE,
+    });
+
+    return { updated, snapshot };
+  });
+
+  await logAuditAction(userId, 'TESTCASE_VERSION_RESTORED', {
+    resourceType: 'TESTCASE_VERSION',
+    resourceId: testCaseId,
+    resourceName: updated.name,
+    projectId: updated.projectId,
+    description: `Restored test case to version ${versionNumber} (previous state saved as version ${snapshot.versionNumber})`,
+    oldValues: JSON.stringify({ name: existing.name, stepCount: existing.steps.length }),
+    newValues: JSON.stringify({ name: updated.name, stepCount: updated.steps.length, restoredFromVersion: versionNumber }),
+    ...auditContext,
+  });
+
+  try {
+    await indexTestCase(testCaseId, updated.projectId);
+  } catch (error) {
+    // Non-critical error, log but don't fail the operation
+  }
+
+  return {
+    ...updated,
+    customFields: await getEntityCustomFieldValues('TEST_CASE', testCaseId),
+  };
+}
+
 /**
  * Clone test case (duplicate with new name)
  * @param {number} testCaseId - Source test case ID
@@ -477,6 +712,9 @@ export async function cloneTestCase(testCaseId, newName, userId, auditContext =
       steps: {
         orderBy: { stepNumber: 'asc' },
       },
+      customFieldValues: true,
+      parameters: true,
+      dataRows: true,
     },
   });
 
@@ -527,13 +765,27 @@ export async function cloneTestCase(testCaseId, newName, userId, auditContext =
           action: step.action,
           expectedResult: step.expectedResult,
           notes: step.notes,
+          sharedStepBlockId: step.sharedStepBlockId,
+        })),
+      },
+      customFieldValues: {
+        create: source.customFieldValues.map((fieldValue) => ({
+          customFieldId: fieldValue.customFieldId,
+          value: fieldValue.value,
         })),
       },
+      parameters: {
+        create: source.parameters.map(({ name, type, position }) => ({ name, type, position })),
+      },
+      dataRows: {
+        create: source.dataRows.map(({ rowNumber, values }) => ({ rowNumber, values })),
+      },
     },
     include: {
       steps: {
         orderBy: { stepNumber: 'asc' },
       },
+      customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
     },
   });
 
@@ -551,13 +803,14 @@ export async function cloneTestCase(testCaseId, newName, userId, auditContext =
     ...auditContext,
   });
 
-  return cloned;
+  return withCustomFields(cloned);
 }
 
 /**
  * Get test cases for project with filters
  * @param {number} projectId - Project ID
  * @param {Object} filters - Filter options
+ * @param {Object} filters.customFields - Custom field values to match, keyed by field name
  * @returns {Promise<Array>} Test cases
  */
 export async function getProjectTestCases(projectId, filters = {}) {
@@ -567,10 +820,13 @@ export async function getProjectTestCases(projectId, filters = {}) {
     status,
     includeDeleted = false,
     search,
+    customFields,
     skip = 0,
     take = 50,
   } = filters;
 
+  const customFieldConditions = await buildCustomFieldConditions(projectId, 'TEST_CASE', customFields);
+
   const where = {
     projectId: Number(projectId),
     ...(type && { type }),
@@ -583,6 +839,7 @@ export async function getProjectTestCases(projectId, filters = {}) {
         { description: { contains: search, mode: 'insensitive' } },
       ],
     }),
+    ...(customFieldConditions.length > 0 && { AND: customFieldConditions }),
   };
 
   const [testCases, total] = await Promise.all([
@@ -595,11 +852,14 @@ export async function getProjectTestCases(projectId, filters = {}) {
             stepNumber: true,
             action: true,
             expectedResult: true,
+            notes: true,
+            sharedStepBlockId: true,
           },
           orderBy: { stepNumber: 'asc' },
         },
         creator: { select: { id: true, name: true } },
         lastModifier: { select: { id: true, name: true } },
+        customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
       },
       skip: Number(skip),
       take: Number(take),
@@ -608,7 +868,7 @@ export async function getProjectTestCases(projectId, filters = {}) {
     prisma.testCase.count({ where }),
   ]);
 
-  return { testCases, total, skip, take };
+  return { testCases: testCases.map(withCustomFields), total, skip, take };
 }
 
 /**
@@ -617,21 +877,26 @@ export async function getProjectTestCases(projectId, filters = {}) {
  * @returns {Promise<string>} CSV string
  */
 export async function exportTestCasesToCSV(projectId) {
-  const testCases = await prisma.testCase.findMany({
-    where: {
-      projectId: Number(projectId),
-      isDeleted: false,
-    },
-    include: {
-      steps: {
-        orderBy: { stepNumber: 'asc' },
+  const [testCases, customFieldDefs] = await Promise.all([
+    prisma.testCase.findMany({
+      where: {
+        projectId: Number(projectId),
+        isDeleted: false,
       },
-    },
-    orderBy: { id: 'asc' },
-  });
+      include: {
+        steps: {
+          orderBy: { stepNumber: 'asc' },
+        },
+        customFieldValues: CUSTOM_FIELD_VALUES_INCLUDE,
+      },
+      orderBy: { id: 'asc' },
+    }),
+    getProjectCustomFields(projectId, 'TEST_CASE'),
+  ]);
 
-  // CSV header
-  let csv = 'ID,Name,Description,Type,Priority,Severity,Status,Module,Tags,Preconditions,TestData,Environment,Steps\n';
+  // CSV header, custom fields follow the fixed columns as "CF: <name>"
+  const customFieldHeaders = customFieldDefs.map(field => `,"${CUSTOM_FIELD_CSV_PREFIX}${field.name}"`).join('');
+  let csv = `ID,Name,Description,Type,Priority,Severity,Status,Module,Tags,Preconditions,TestData,Environment,Steps${customFieldHeaders}\n`;
 
   // CSV rows
   for (const tc of testCases) {
@@ -639,7 +904,12 @@ export async function exportTestCasesToCSV(projectId) {
       .map((s) => `Step ${s.stepNumber}: ${s.action} | Expected: ${s.expectedResult}`)
       .join(' | ');
 
-    csv += `${tc.id},"${tc.name}","${tc.description || ''}",${tc.type},${tc.priority},${tc.severity},${tc.status},"${tc.moduleArea || ''}","${tc.tags.join(',')}","${tc.preconditions || ''}","${tc.testData || ''}","${tc.environment || ''}","${stepsText}"\n`;
+    const customFieldValues = mapCustomFieldValues(tc.customFieldValues);
+    const customFieldColumns = customFieldDefs
+      .map(field => `,"${customFieldValues[field.name] ?? ''}"`)
+      .join('');
+
+    csv += `${tc.id},"${tc.name}","${tc.description || ''}",${tc.type},${tc.priority},${tc.severity},${tc.status},"${tc.moduleArea || ''}","${tc.tags.join(',')}","${tc.preconditions || ''}","${tc.testData || ''}","${tc.environment || ''}","${stepsText}"${customFieldColumns}\n`;
   }
 
   return csv;
@@ -667,7 +937,12 @@ export async function importTestCasesFromCSV(projectId, csvContent, userId, audi
     throw new Error('CSV file must contain header and at least one data row');
   }
 
-  const headers = lines[0].split(',').map(h => h.trim());
+  const headers = parseCSVRow(lines[0]).map(h => h.trim());
+  const customFieldColumns = headers
+    .map((header, index) => ({ header, index }))
+    .filter(({ header }) => header.startsWith(CUSTOM_FIELD_CSV_PREFIX))
+    .map(({ header, index }) => ({ name: header.slice(CUSTOM_FIELD_CSV_PREFIX.length).trim(), index }));
+
   const results = {
     imported: [],
     failed: [],
@@ -697,6 +972,12 @@ export async function importTestCasesFromCSV(projectId, csvContent, userId, audi
         environment: values[11]?.trim() || null,
       };
 
+      const customFields = customFieldColumns.reduce((acc, column) => {
+        acc[column.name] = values[column.index];
+        return acc;
+      }, {});
+      const customFieldEntries = await resolveCustomFieldValues(projectId, 'TEST_CASE', customFields);
+
       // Check if test case already exists
       const existing = await prisma.testCase.findFirst({
         where: {
@@ -716,15 +997,21 @@ export async function importTestCasesFromCSV(projectId, csvContent, userId, audi
       }
 
       // Create test case
-      const testCase = await prisma.testCase.create({
-        data: {
-          ...testCaseData,
-          createdBy: userId,
-          lastModifiedBy: userId,
-        },
-        include: {
-          creator: { select: { id: true, name: true } },
-        },
+      const testCase = await prisma.$transaction(async (tx) => {
+        const created = await tx.testCase.create({
+          data: {
+            ...testCaseData,
+            createdBy: userId,
+            lastModifiedBy: userId,
+          },
+          include: {
+            creator: { select: { id: true, name: true } },
+          },
+        });
+
+        await saveCustomFieldValues('TEST_CASE', created.id, customFieldEntries, tx);
+
+        return created;
       });
 
       results.imported.push({
@@ -964,6 +1251,8 @@ export default {
   updateTestCase,
   deleteTestCase,
   restoreTestCase,
+  getTestCaseVersionDiff,
+  restoreTestCaseVersion,
   cloneTestCase,
   getProjectTestCases,
   exportTestCasesToCSV,
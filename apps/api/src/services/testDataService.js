@@ -0,0 +1,378 @@
+/**
+ * TEST DATA SERVICE
+ * Parameter tables for data-driven test cases and their expansion into per-row executions
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+import { logAuditAction } from './auditService.js';
+import { assertPermissionContext } from '../lib/policy.js';
+
+const prisma = getPrismaClient();
+
+const PARAMETER_TYPES = ['STRING', 'NUMBER', 'BOOLEAN'];
+const PARAMETER_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const MAX_DATA_ROWS = 200;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Helper: Validate parameter columns
+ * @param {Array} columns - [{ name, type }]
+ * @returns {Array} Columns with position and upper-case type
+ */
+function normalizeColumns(columns) {
+  if (!Array.isArray(columns)) {
+    throw new Error('Columns must be an array');
+  }
+
+  const seen = new Set();
+  return columns.map((column, index) => {
+    const name = column.name?.trim();
+    const type = (column.type || 'STRING').toUpperCase();
+
+    if (!name || !PARAMETER_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid parameter name "${column.name ?? ''}": use letters, digits and underscores`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`Duplicate parameter name "${name}"`);
+    }
+    if (!PARAMETER_TYPES.includes(type)) {
+      throw new Error(`Invalid type for parameter "${name}". Must be one of: ${PARAMETER_TYPES.join(', ')}`);
+    }
+
+    seen.add(name);
+    return { name, type, position: index };
+  });
+}
+
+/**
+ * Helper: Convert a cell value to the column type
+ * Empty cells are stored as null
+ * @param {Object} column - { name, type }
+ * @param {*} raw - Value supplied by the client or CSV
+ * @param {number} rowNumber - Row number for error messages
+ * @returns {*} Typed value
+ */
+function coerceValue(column, raw, rowNumber) {
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+
+  if (column.type === 'NUMBER') {
+    const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    if (!Number.isFinite(value)) {
+      throw new Error(`Row ${rowNumber}: "${column.name}" must be a number`);
+    }
+    return value;
+  }
+
+  if (column.type === 'BOOLEAN') {
+    if (typeof raw === 'boolean') return raw;
+    const text = String(raw).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    throw new Error(`Row ${rowNumber}: "${column.name}" must be true or false`);
+  }
+
+  return String(raw);
+}
+
+/**
+ * Helper: Validate data rows against the columns
+ * A row is either an array of cells in column order or an object keyed by parameter name
+ * @param {Array} columns - Normalized columns
+ * @param {Array} rows - Row input
+ * @returns {Array} [{ rowNumber, values }]
+ */
+function normalizeRows(columns, rows) {
+  if (!Array.isArray(rows)) {
+    throw new Error('Rows must be an array');
+  }
+  if (rows.length > MAX_DATA_ROWS) {
+    throw new Error(`A test case can have at most ${MAX_DATA_ROWS} data rows`);
+  }
+  if (rows.length > 0 && columns.length === 0) {
+    throw new Error('Define at least one parameter before adding data rows');
+  }
+
+  const names = new Set(columns.map((column) => column.name));
+
+  return rows.map((row, index) => {
+    const rowNumber = index + 1;
+    const cells = Array.isArray(row) || typeof row?.values !== 'object' ? row : row.values;
+
+    if (!Array.isArray(cells)) {
+      const unknown = Object.keys(cells || {}).filter((key) => !names.has(key));
+      if (unknown.length > 0) {
+        throw new Error(`Row ${rowNumber}: unknown parameter(s) ${unknown.join(', ')}`);
+      }
+    }
+
+    const values = {};
+    columns.forEach((column, columnIndex) => {
+      const raw = Array.isArray(cells) ? cells[columnIndex] : cells?.[column.name];
+      values[column.name] = coerceValue(column, raw, rowNumber);
+    });
+
+    return { rowNumber, values };
+  });
+}
+
+/**
+ * Helper: Split one CSV line, honouring quotes and "" escapes
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Cells
+ */
+function parseCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"' && inQuotes && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      cells.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  cells.push(current);
+  return cells;
+}
+
+/**
+ * Parse an uploaded CSV into a parameter table
+ * The header row names the parameters; "name:NUMBER" or "name:BOOLEAN" sets a column type
+ * @param {string} csvContent - CSV text
+ * @returns {Object} { columns, rows } ready for saveTestCaseDataTable
+ * @throws {Error} If the CSV has no header
+ */
+export function parseDataTableCsv(csvContent) {
+  const lines = (csvContent || '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .filter((line) => line.trim());
+
+  if (lines.length === 0) {
+    throw new Error('CSV file must contain a header row');
+  }
+
+  const columns = parseCsvLine(lines[0]).map((header) => {
+    const [name, type] = header.trim().split(':');
+    return { name: name.trim(), type: type?.trim() || 'STRING' };
+  });
+
+  const rows = lines.slice(1).map((line) => parseCsvLine(line).map((cell) => cell.trim()));
+
+  return { columns, rows };
+}
+
+/**
+ * Replace {{param}} placeholders with data row values
+ * Placeholders without a matching parameter are left as they are
+ * @param {string} text - Step text
+ * @param {Object} values - Parameter name -> value
+ * @returns {string} Text with values substituted
+ */
+export function substituteParameters(text, values) {
+  if (!text || !values) return text;
+
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(values, name)) return placeholder;
+    const value = values[name];
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+/**
+ * Collect the parameter names used as placeholders in a set of texts
+ * @param {Array<string>} texts - Step actions and expected results
+ * @returns {Array<string>} Unique placeholder names in order of appearance
+ */
+export function extractPlaceholders(texts) {
+  const names = new Set();
+  for (const text of texts) {
+    for (const match of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1]);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Get the parameter table of a test case
+ * Also reports placeholders used in the steps (including shared steps) that have no column
+ * @param {number} projectId - Project ID
+ * @param {number} testCaseId - Test case ID
+ * @returns {Promise<Object>} { testCaseId, columns, rows, placeholders, missingParameters }
+ * @throws {Error} If the test case is not in the project
+ */
+export async function getTestCaseDataTable(projectId, testCaseId) {
+  const testCase = await prisma.testCase.findFirst({
+    where: { id: Number(testCaseId), projectId: Number(projectId) },
+    select: {
+      id: true,
+      parameters: { orderBy: { position: 'asc' } },
+      dataRows: { orderBy: { rowNumber: 'asc' } },
+      steps: {
+        select: {
+          action: true,
+          expectedResult: true,
+          sharedStepBlock: { select: { steps: { select: { action: true, expectedResult: true } } } },
+        },
+      },
+    },
+  });
+
+  if (!testCase) {
+    throw new Error('Test case not found');
+  }
+
+  const stepTexts = testCase.steps.flatMap((step) => (step.sharedStepBlock
+    ? step.sharedStepBlock.steps.flatMap((sharedStep) => [sharedStep.action, sharedStep.expectedResult])
+    : [step.action, step.expectedResult]));
+  const placeholders = extractPlaceholders(stepTexts);
+  const columnNames = new Set(testCase.parameters.map((parameter) => parameter.name));
+
+  return {
+    testCaseId: testCase.id,
+    columns: testCase.parameters.map(({ name, type }) => ({ name, type })),
+    rows: testCase.dataRows.map(({ id, rowNumber, values }) => ({ id, rowNumber, values })),
+    placeholders,
+    missingParameters: placeholders.filter((name) => !columnNames.has(name)),
+  };
+}
+
+/**
+ * Replace the parameter table of a test case
+ * Executions already created keep the row values they were created with
+ * @param {number} testCaseId - Test case ID
+ * @param {Object} table - { columns: [{ name, type }], rows: [[...] | { name: value }] }
+ * @param {number} userId - User making the change
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Saved table, as returned by getTestCaseDataTable
+ * @throws {Error} If the test case is missing or the table is invalid
+ */
+export async function saveTestCaseDataTable(testCaseId, table, userId, auditContext = {}, permissionContext = null) {
+  const testCase = await prisma.testCase.findUnique({
+    where: { id: Number(testCaseId) },
+    include: {
+      parameters: { orderBy: { position: 'asc' } },
+      _count: { select: { dataRows: true } },
+    },
+  });
+
+  if (!testCase) {
+    throw new Error('Test case not found');
+  }
+
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'testCase:edit', { projectId: testCase.projectId });
+
+  if (testCase.isDeleted) {
+    throw new Error('Cannot edit deleted test case');
+  }
+
+  const columns = normalizeColumns(table.columns || []);
+  const rows = normalizeRows(columns, table.rows || []);
+
+  await prisma.$transaction([
+    prisma.testCaseDataRow.deleteMany({ where: { testCaseId: testCase.id } }),
+    prisma.testCaseParameter.deleteMany({ where: { testCaseId: testCase.id } }),
+    prisma.testCaseParameter.createMany({
+      data: columns.map((column) => ({ ...column, testCaseId: testCase.id })),
+    }),
+    prisma.testCaseDataRow.createMany({
+      data: rows.map((row) => ({ ...row, testCaseId: testCase.id })),
+    }),
+  ]);
+
+  await logAuditAction(userId, 'TESTCASE_DATA_TABLE_UPDATED', {
+    resourceType: 'TESTCASE',
+    resourceId: testCase.id,
+    resourceName: testCase.name,
+    projectId: testCase.projectId,
+    description: `Data table set to ${columns.length} parameter(s) and ${rows.length} row(s)`,
+    oldValues: JSON.stringify({
+      columns: testCase.parameters.map(({ name, type }) => ({ name, type })),
+      rowCount: testCase._count.dataRows,
+    }),
+    newValues: JSON.stringify({
+      columns: columns.map(({ name, type }) => ({ name, type })),
+      rowCount: rows.length,
+    }),
+    ...auditContext,
+  });
+
+  return getTestCaseDataTable(testCase.projectId, testCase.id);
+}
+
+/**
+ * Replace the parameter table of a test case from an uploaded CSV
+ * @param {number} testCaseId - Test case ID
+ * @param {string} csvContent - CSV text, header row first
+ * @param {number} userId - User making the change
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} Saved table
+ */
+export async function importTestCaseDataCsv(testCaseId, csvContent, userId, auditContext = {}, permissionContext = null) {
+  const table = parseDataTableCsv(csvContent);
+  return saveTestCaseDataTable(testCaseId, table, userId, auditContext, permissionContext);
+}
+
+/**
+ * Build the execution entries of a new run: one per data row, or one per test case without rows
+ * Spread each entry into the TestExecution create data
+ * @param {Array<number>} testCaseIds - Test case IDs in run order
+ * @returns {Promise<Array>} [{ testCaseId, dataRowId?, dataRowNumber?, dataRowValues? }]
+ */
+export async function buildRunExecutionEntries(testCaseIds) {
+  const ids = testCaseIds.map(Number);
+  const dataRows = await prisma.testCaseDataRow.findMany({
+    where: { testCaseId: { in: ids } },
+    orderBy: [{ testCaseId: 'asc' }, { rowNumber: 'asc' }],
+  });
+
+  const rowsByCaseId = dataRows.reduce((acc, row) => {
+    if (!acc.has(row.testCaseId)) acc.set(row.testCaseId, []);
+    acc.get(row.testCaseId).push(row);
+    return acc;
+  }, new Map());
+
+  return ids.flatMap((testCaseId) => {
+    const rows = rowsByCaseId.get(testCaseId);
+    if (!rows) {
+      return [{ testCaseId }];
+    }
+    return rows.map((row) => ({
+      testCaseId,
+      dataRowId: row.id,
+      dataRowNumber: row.rowNumber,
+      dataRowValues: row.values,
+    }));
+  });
+}
+
+export default {
+  parseDataTableCsv,
+  substituteParameters,
+  extractPlaceholders,
+  getTestCaseDataTable,
+  saveTestCaseDataTable,
+  importTestCaseDataCsv,
+  buildRunExecutionEntries,
+};
@@ -0,0 +1,373 @@
+/**
+ * TEST PLAN MATRIX SERVICE
+ * Executes a test plan across project environments crossed with configuration
+ * axes (e.g. browser x OS). Every cell of the matrix becomes its own test run,
+ * linked to the plan and the matrix, so cells are executed and tracked like any
+ * other run and the results can be read back as a case x cell grid.
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+import { assertPermissionContext } from '../lib/policy.js';
+import { logAuditAction } from './auditService.js';
+import { createTestRunWithExecutions } from './testRunService.js';
+
+const prisma = getPrismaClient();
+
+const MAX_MATRIX_CELLS = 50;
+const MAX_CONFIGURATION_AXES = 3;
+
+const CELL_RUN_SELECT = {
+  id: true,
+  name: true,
+  status: true,
+  environment: true,
+  configuration: true,
+  totalTestCases: true,
+  passedCount: true,
+  failedCount: true,
+  blockedCount: true,
+  skippedCount: true,
+  createdAt: true,
+  completedAt: true,
+};
+
+/**
+ * Helper: Load a test plan and verify it belongs to the project
+ */
+async function getProjectTestPlan(projectId, testPlanId) {
+  const testPlan = await prisma.testPlan.findFirst({
+    where: { id: Number(testPlanId), projectId: Number(projectId) },
+  });
+
+  if (!testPlan) {
+    throw new Error('Test plan not found');
+  }
+
+  return testPlan;
+}
+
+/**
+ * Helper: Unique, trimmed, non-empty strings of a list
+ */
+function uniqueValues(values) {
+  return [...new Set((Array.isArray(values) ? values : []).map((value) => String(value).trim()).filter(Boolean))];
+}
+
+/**
+ * Helper: Validate the configuration axes, e.g. { Browser: ['Chrome', 'Firefox'] }
+ */
+function normalizeConfigurations(configurations) {
+  if (configurations == null) {
+    return {};
+  }
+  if (typeof configurations !== 'object' || Array.isArray(configurations)) {
+    throw new Error('Configurations must map an axis name to its values');
+  }
+
+  const axes = {};
+  for (const [axis, values] of Object.entries(configurations)) {
+    const name = axis.trim();
+    const axisValues = uniqueValues(values);
+    if (!name || axisValues.length === 0) {
+      throw new Error(`Configuration axis "${axis}" needs a name and at least one value`);
+    }
+    if (name.toLowerCase() === 'environment') {
+      throw new Error('Environments are chosen separately, not as a configuration axis');
+    }
+    axes[name] = axisValues;
+  }
+
+  if (Object.keys(axes).length > MAX_CONFIGURATION_AXES) {
+    throw new Error(`At most ${MAX_CONFIGURATION_AXES} configuration axes are supported`);
+  }
+
+  return axes;
+}
+
+/**
+ * Helper: Every combination of one value per axis, as { axis: value } objects
+ */
+function expandConfigurations(axes) {
+  return Object.entries(axes).reduce(
+    (combinations, [axis, values]) => combinations.flatMap((combination) =>
+      values.map((value) => ({ ...combination, [axis]: value })),
+    ),
+    [{}],
+  );
+}
+
+/**
+ * Helper: Whether an execution has a result
+ * New executions start out BLOCKED, so a BLOCKED status alone does not count.
+ */
+function isExecuted(execution) {
+  return Boolean(execution.completedAt) || ['PASSED', 'FAILED', 'SKIPPED'].includes(execution.status);
+}
+
+/**
+ * Helper: Label of a cell, e.g. "STAGING / Chrome / Windows"
+ */
+function cellLabel(environment, configuration) {
+  return [environment, ...Object.values(configuration || {})].join(' / ');
+}
+
+/**
+ * Active environments of a project, the choices for a matrix's environment axis
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Array>} Environments in display order
+ */
+export async function getMatrixEnvironments(projectId) {
+  return prisma.projectEnvironment.findMany({
+    where: { projectId: Number(projectId), isActive: true },
+    select: { id: true, name: true, description: true },
+    orderBy: [{ order: 'asc' }, { name: 'asc' }],
+  });
+}
+
+/**
+ * Execute a test plan across environments x configurations
+ * Creates one started test run per cell, each with one execution per test case
+ * and data row of the plan.
+ * @param {number} projectId - Project ID
+ * @param {number} testPlanId - Test plan ID
+ * @param {Object} data - { name, buildVersion, environments, configurations }
+ * @param {string[]} data.environments - Names of active project environments
+ * @param {Object} [data.configurations] - Axis name -> values, e.g. { Browser: ['Chrome', 'Firefox'] }
+ * @param {number} userId - User executing the plan
+ * @param {Object} auditContext - Client context for the audit log
+ * @param {Object} permissionContext - Context built by requirePermission
+ * @returns {Promise<Object>} { matrix, runs }
+ * @throws {Error} If the plan does not exist, has no test cases or the matrix is invalid
+ */
+export async function executeTestPlanMatrix(projectId, testPlanId, data, userId, auditContext = {}, permissionContext = null) {
+  if (!permissionContext) {
+    throw new Error('Missing permission context: direct service invocation not allowed');
+  }
+  assertPermissionContext(permissionContext, 'testPlan:execute', { projectId });
+
+  const testPlan = await getProjectTestPlan(projectId, testPlanId);
+
+  const environments = uniqueValues(data.environments);
+  if (environments.length === 0) {
+    throw new Error('Select at least one environment');
+  }
+
+  const projectEnvironments = await getMatrixEnvironments(testPlan.projectId);
+  const knownNames = new Set(projectEnvironments.map((env) => env.name));
+  const unknown = environments.filter((name) => !knownNames.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown or inactive environments: ${unknown.join(', ')}`);
+  }
+
+  const axes = normalizeConfigurations(data.configurations);
+  const configurations = expandConfigurations(axes);
+  const cellCount = environments.length * configurations.length;
+  if (cellCount > MAX_MATRIX_CELLS) {
+    throw new Error(`Matrix has ${cellCount} cells; at most ${MAX_MATRIX_CELLS} are allowed`);
+  }
+
+  // Cases deleted since they were added to the plan are not executed
+  const testCases = await prisma.testCase.findMany({
+    where: { id: { in: testPlan.testCaseIds }, projectId: testPlan.projectId, isDeleted: false },
+    select: { id: true },
+  });
+  if (testCases.length === 0) {
+    throw new Error('Test plan has no test cases');
+  }
+  const activeIds = new Set(testCases.map((testCase) => testCase.id));
+  const testCaseIds = testPlan.testCaseIds.filter((id) => activeIds.has(id));
+
+  const name = data.name?.trim() || `${testPlan.name} - Matrix ${new Date().toISOString().split('T')[0]}`;
+  const buildVersion = data.buildVersion?.trim() || null;
+
+  const matrix = await prisma.testRunMatrix.create({
+    data: {
+      projectId: testPlan.projectId,
+      testPlanId: testPlan.id,
+      name,
+      buildVersion,
+      environments,
+      configurations: axes,
+      createdById: userId,
+    },
+  });
+
+  // Cells are created one at a time; each run seeds executions and steps for the whole plan
+  const runs = [];
+  for (const environment of environments) {
+    for (const configuration of configurations) {
+      const hasConfiguration = Object.keys(configuration).length > 0;
+      const { testRun, executionCount } = await createTestRunWithExecutions(
+        testPlan.projectId,
+        {
+          name: `${name} [${cellLabel(environment, configuration)}]`,
+          description: testPlan.description,
+          environment,
+          buildVersion,
+          testCaseIds,
+          testPlanId: testPlan.id,
+          matrixId: matrix.id,
+          configuration: hasConfiguration ? configuration : null,
+        },
+        userId,
+      );
+      runs.push({
+        id: testRun.id,
+        name: testRun.name,
+        environment,
+        configuration: hasConfiguration ? configuration : null,
+        executionCount,
+      });
+    }
+  }
+
+  await prisma.testPlan.update({
+    where: { id: testPlan.id },
+    data: { status: 'IN_PROGRESS' },
+  });
+
+  await logAuditAction(userId, 'TESTPLAN_MATRIX_EXECUTED', {
+    resourceType: 'TESTPLAN',
+    resourceId: testPlan.id,
+    resourceName: testPlan.name,
+    projectId: testPlan.projectId,
+    description: `Matrix "${name}" created ${runs.length} test runs`,
+    newValues: JSON.stringify({ matrixId: matrix.id, environments, configurations: axes, runIds: runs.map((run) => run.id) }),
+    ...auditContext,
+  });
+
+  return { matrix, runs };
+}
+
+/**
+ * List the matrix executions of a test plan, newest first, with per-cell run totals
+ * @param {number} projectId - Project ID
+ * @param {number} testPlanId - Test plan ID
+ * @returns {Promise<Array>} Matrices with their runs
+ * @throws {Error} If the plan does not exist
+ */
+export async function listTestPlanMatrices(projectId, testPlanId) {
+  const testPlan = await getProjectTestPlan(projectId, testPlanId);
+
+  return prisma.testRunMatrix.findMany({
+    where: { testPlanId: testPlan.id },
+    include: {
+      createdBy: { select: { id: true, name: true } },
+      runs: { select: CELL_RUN_SELECT, orderBy: { id: 'asc' } },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+/**
+ * Result grid of a matrix execution: one row per test case (and data row),
+ * one column per cell run
+ * Executions without a result are reported as NOT_RUN. A row is marked
+ * inconsistent when executed cells disagree, which points at environment- or
+ * configuration-specific failures.
+ * @param {number} projectId - Project ID
+ * @param {number} testPlanId - Test plan ID
+ * @param {number} matrixId - Matrix ID
+ * @returns {Promise<Object>} { matrix, axes, cells, rows, summary }
+ * @throws {Error} If the plan or matrix does not exist
+ */
+export async function getTestPlanMatrixResults(projectId, testPlanId, matrixId) {
+  const testPlan = await getProjectTestPlan(projectId, testPlanId);
+
+  const matrix = await prisma.testRunMatrix.findFirst({
+    where: { id: Number(matrixId), testPlanId: testPlan.id },
+    include: {
+      createdBy: { select: { id: true, name: true } },
+      runs: {
+        select: {
+          ...CELL_RUN_SELECT,
+          executions: {
+            select: {
+              id: true,
+              testCaseId: true,
+              dataRowNumber: true,
+              status: true,
+              completedAt: true,
+              testCase: { select: { id: true, name: true, priority: true } },
+            },
+          },
+        },
+        orderBy: { id: 'asc' },
+      },
+    },
+  });
+
+  if (!matrix) {
+    throw new Error('Matrix not found');
+  }
+
+  const rowsByKey = new Map();
+  const cells = matrix.runs.map((run, index) => {
+    const counts = { PASSED: 0, FAILED: 0, BLOCKED: 0, SKIPPED: 0, NOT_RUN: 0 };
+
+    for (const execution of run.executions) {
+      const status = isExecuted(execution) ? execution.status : 'NOT_RUN';
+      counts[status] = (counts[status] || 0) + 1;
+
+      const key = `${execution.testCaseId}:${execution.dataRowNumber ?? ''}`;
+      if (!rowsByKey.has(key)) {
+        rowsByKey.set(key, {
+          testCaseId: execution.testCaseId,
+          testCaseName: execution.testCase.name,
+          priority: execution.testCase.priority,
+          dataRowNumber: execution.dataRowNumber,
+          results: new Array(matrix.runs.length).fill(null),
+        });
+      }
+      rowsByKey.get(key).results[index] = { executionId: execution.id, status };
+    }
+
+    const total = run.executions.length;
+    return {
+      runId: run.id,
+      name: run.name,
+      status: run.status,
+      environment: run.environment,
+      configuration: run.configuration || {},
+      label: cellLabel(run.environment, run.configuration),
+      total,
+      passed: counts.PASSED,
+      failed: counts.FAILED,
+      blocked: counts.BLOCKED,
+      skipped: counts.SKIPPED,
+      notRun: counts.NOT_RUN,
+      passRate: total > 0 ? Number(((counts.PASSED / total) * 100).toFixed(2)) : 0,
+    };
+  });
+
+  const rows = [...rowsByKey.values()]
+    .map((row) => {
+      const executedStatuses = new Set(
+        row.results.filter((result) => result && result.status !== 'NOT_RUN').map((result) => result.status),
+      );
+      return { ...row, inconsistent: executedStatuses.size > 1 };
+    })
+    .sort((a, b) => a.testCaseName.localeCompare(b.testCaseName) || (a.dataRowNumber ?? 0) - (b.dataRowNumber ?? 0));
+
+  const { runs, ...matrixFields } = matrix;
+
+  return {
+    matrix: matrixFields,
+    axes: ['Environment', ...Object.keys(matrix.configurations || {})],
+    cells,
+    rows,
+    summary: {
+      cells: cells.length,
+      completedCells: runs.filter((run) => run.status === 'COMPLETED').length,
+      testCases: rows.length,
+      inconsistent: rows.filter((row) => row.inconsistent).length,
+    },
+  };
+}
+
+export default {
+  getMatrixEnvironments,
+  executeTestPlanMatrix,
+  listTestPlanMatrices,
+  getTestPlanMatrixResults,
+};
@@ -8,6 +8,7 @@ import { getPrismaClient } from '../lib/prisma.js';
 import { logAuditAction } from './auditService.js';
 import { assertPermissionContext } from '../lib/policy.js';
 import { getCachedValue, setCachedValue, invalidateCache } from '../lib/cacheService.js';
+import { createTestRunWithExecutions } from './testRunService.js';
 
 const prisma = getPrismaClient();
 
@@ -232,39 +233,18 @@ export async function executeTestPlan(testPlanId, executionData, userId, project
     throw new Error('Test plan has no test cases');
   }
 
-  // Create test run
-  const testRun = await prisma.testRun.create({
-    data: {
-      projectId: testPlan.projectId,
-      testPlanId: testPlan.id,
+  // One execution per test case and data row, steps seeded from the case
+  const { testRun, executionCount } = await createTestRunWithExecutions(
+    testPlan.projectId,
+    {
       name: name || `${testPlan.name} - Run ${new Date().toISOString().split('T')[0]}`,
       description: testPlan.description,
-      environment: environment || null,
-      buildVersion: buildVersion || null,
-      totalTestCases: testPlan.testCaseIds.length,
-      status: 'PLANNED',
-      createdBy: userId,
-      executedBy: userId,
-      actualStartDate: new Date(),
-    },
-    include: {
-      creator: { select: { id: true, name: true, email: true } },
-      executor: { select: { id: true, name: true, email: true } },
+      environment,
+      buildVersion,
+      testCaseIds: testPlan.testCaseIds,
+      testPlanId: testPlan.id,
     },
-  });
-
-  // Create test executions for each test case
-  const executions = await Promise.all(
-    testPlan.testCaseIds.map(tcId =>
-      prisma.testExecution.create({
-        data: {
-          testRunId: testRun.id,
-          testCaseId: Number(tcId),
-          status: 'BLOCKED',
-          executedBy: userId,
-        },
-      })
-    )
+    userId,
   );
 
   // Update test plan status
@@ -281,7 +261,7 @@ export async function executeTestPlan(testPlanId, executionData, userId, project
     description: `Test run created: ${testRun.name}`,
   });
 
-  return { testRun, executionCount: executions.length };
+  return { testRun, executionCount };
 }
 
 // Clone test plan
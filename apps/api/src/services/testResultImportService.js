@@ -0,0 +1,432 @@
+/**
+ * TEST RESULT IMPORT SERVICE
+ * Ingests JUnit, xUnit and NUnit XML reports produced by CI pipelines into test runs
+ */
+
+import { XMLParser } from 'fast-xml-parser';
+import { getPrismaClient } from '../lib/prisma.js';
+import { logAuditAction } from './auditService.js';
+import { recalculateTestRunCounts } from './testRunService.js';
+import { publishRunRefresh } from './runBoardService.js';
+
+const prisma = getPrismaClient();
+
+export const IMPORT_FORMATS = ['JUNIT', 'XUNIT', 'NUNIT'];
+
+const AUTOMATED_TAG = 'automated';
+
+// Result attribute values per format mapped to TestExecution statuses
+const XUNIT_STATUS_MAP = {
+  PASS: 'PASSED',
+  FAIL: 'FAILED',
+  SKIP: 'SKIPPED',
+  NOTRUN: 'SKIPPED',
+};
+
+const NUNIT_STATUS_MAP = {
+  PASSED: 'PASSED',
+  SUCCESS: 'PASSED',
+  FAILED: 'FAILED',
+  FAILURE: 'FAILED',
+  ERROR: 'FAILED',
+  SKIPPED: 'SKIPPED',
+  IGNORED: 'SKIPPED',
+  INCONCLUSIVE: 'SKIPPED',
+  NOTRUNNABLE: 'BLOCKED',
+};
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  // Every element becomes an array so nested and repeated nodes are handled uniformly
+  isArray: (_name, _jpath, _isLeafNode, isAttribute) => !isAttribute,
+});
+
+/**
+ * Helper: Error about the report or request, for the client to fix (400)
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+function importValidationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Recursively collect every element with the given tag name
+ * @param {Object|Array} node - Parsed XML node
+ * @param {string} tagName - Element name to collect
+ * @param {Array} acc - Accumulator
+ * @returns {Array<Object>} Matching elements in document order
+ */
+function collectElements(node, tagName, acc = []) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectElements(child, tagName, acc));
+    return acc;
+  }
+
+  if (!node || typeof node !== 'object') {
+    return acc;
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith('@_') || key === '#text') {
+      continue;
+    }
+    if (key === tagName) {
+      value.forEach((element) => acc.push(element));
+    }
+    collectElements(value, tagName, acc);
+  }
+
+  return acc;
+}
+
+function textOf(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return textOf(value[0]);
+  }
+  if (typeof value === 'object') {
+    return String(value['#text'] ?? '').trim();
+  }
+  return String(value).trim();
+}
+
+function firstChild(element, tagName) {
+  const children = element?.[tagName];
+  return Array.isArray(children) ? children[0] : undefined;
+}
+
+function toDurationSeconds(value) {
+  const seconds = Number.parseFloat(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds) : null;
+}
+
+function splitQualifiedName(fullName) {
+  const lastDot = fullName.lastIndexOf('.');
+  if (lastDot <= 0) {
+    return { classname: null, name: fullName };
+  }
+  return { classname: fullName.slice(0, lastDot), name: fullName.slice(lastDot + 1) };
+}
+
+/**
+ * Build the failure text stored in TestExecution.actualResult
+ * @param {Object|string} failure - failure/error element
+ * @returns {string|null} Message followed by the stack trace or body text
+ */
+function describeFailure(failure) {
+  if (failure === undefined) {
+    return null;
+  }
+
+  const message = typeof failure === 'object'
+    ? failure['@_message'] || textOf(failure.message)
+    : '';
+  const details = typeof failure === 'object'
+    ? textOf(failure['stack-trace']) || textOf(failure)
+    : textOf(failure);
+
+  return [message, details].filter(Boolean).join('\n\n') || null;
+}
+
+function parseJUnit(document) {
+  return collectElements(document, 'testcase').map((testcase) => {
+    const classname = testcase['@_classname'] || null;
+    const name = testcase['@_name'] || 'Unnamed test';
+    const failure = firstChild(testcase, 'failure') ?? firstChild(testcase, 'error');
+    const skipped = firstChild(testcase, 'skipped');
+
+    let status = 'PASSED';
+    if (failure !== undefined) status = 'FAILED';
+    else if (skipped !== undefined) status = 'SKIPPED';
+
+    return {
+      classname,
+      name,
+      status,
+      durationSeconds: toDurationSeconds(testcase['@_time']),
+      message: failure !== undefined ? describeFailure(failure) : describeFailure(skipped),
+    };
+  });
+}
+
+function parseXUnit(document) {
+  return collectElements(document, 'test').map((test) => {
+    const fullName = test['@_name'] || 'Unnamed test';
+    const qualified = splitQualifiedName(fullName);
+    const classname = test['@_type'] || qualified.classname;
+    const name = test['@_method'] || qualified.name;
+    const status = XUNIT_STATUS_MAP[String(test['@_result'] || '').toUpperCase()] || 'BLOCKED';
+    const failure = firstChild(test, 'failure');
+
+    return {
+      classname,
+      name,
+      status,
+      durationSeconds: toDurationSeconds(test['@_time']),
+      message: failure !== undefined ? describeFailure(failure) : textOf(test.reason) || null,
+    };
+  });
+}
+
+function parseNUnit(document) {
+  return collectElements(document, 'test-case').map((testCase) => {
+    const fullName = testCase['@_fullname'] || testCase['@_name'] || 'Unnamed test';
+    const qualified = splitQualifiedName(fullName);
+    const classname = testCase['@_classname'] || qualified.classname;
+    const name = testCase['@_methodname'] || qualified.name;
+    const status = NUNIT_STATUS_MAP[String(testCase['@_result'] || '').toUpperCase()] || 'BLOCKED';
+    const failure = firstChild(testCase, 'failure');
+    const reason = firstChild(testCase, 'reason');
+
+    return {
+      classname,
+      name,
+      status,
+      durationSeconds: toDurationSeconds(testCase['@_duration'] ?? testCase['@_time']),
+      message: failure !== undefined ? describeFailure(failure) : describeFailure(reason),
+    };
+  });
+}
+
+/**
+ * Detect the report format from its root element
+ * @param {Object} document - Parsed XML document
+ * @returns {string|null} JUNIT, XUNIT, NUNIT or null
+ */
+function detectFormat(document) {
+  if (document.testsuites || document.testsuite) return 'JUNIT';
+  if (document.assemblies || document.assembly) return 'XUNIT';
+  if (document['test-run'] || document['test-results']) return 'NUNIT';
+  return null;
+}
+
+function reportTitle(document, format) {
+  let root;
+  if (format === 'JUNIT') {
+    root = firstChild(document, 'testsuites') || firstChild(document, 'testsuite');
+  } else if (format === 'XUNIT') {
+    root = firstChild(firstChild(document, 'assemblies') || document, 'assembly');
+  } else {
+    root = firstChild(document, 'test-run') || firstChild(document, 'test-results');
+  }
+
+  return root?.['@_name'] || null;
+}
+
+/**
+ * Parse a JUnit/xUnit/NUnit XML report into normalized results
+ * @param {string} xmlContent - Raw XML report
+ * @param {string} format - Optional explicit format (JUNIT, XUNIT, NUNIT)
+ * @returns {Object} { format, title, results: [{ classname, name, fullName, status, durationSeconds, message }] }
+ */
+export function parseTestReport(xmlContent, format = null) {
+  if (!xmlContent || typeof xmlContent !== 'string' || !xmlContent.trim()) {
+    throw importValidationError('Report content is required');
+  }
+
+  let document;
+  try {
+    document = parser.parse(xmlContent, true);
+  } catch (error) {
+    throw importValidationError(`Invalid XML report: ${error.message}`);
+  }
+
+  const requestedFormat = format ? String(format).toUpperCase() : null;
+  if (requestedFormat && !IMPORT_FORMATS.includes(requestedFormat)) {
+    throw importValidationError(`Unsupported report format. Must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const resolvedFormat = requestedFormat || detectFormat(document);
+  if (!resolvedFormat) {
+    throw importValidationError('Unable to detect report format. Expected JUnit, xUnit or NUnit XML');
+  }
+
+  const parsers = { JUNIT: parseJUnit, XUNIT: parseXUnit, NUNIT: parseNUnit };
+  const results = parsers[resolvedFormat](document).map((result) => ({
+    ...result,
+    fullName: result.classname ? `${result.classname}.${result.name}` : result.name,
+  }));
+
+  return {
+    format: resolvedFormat,
+    title: reportTitle(document, resolvedFormat),
+    results,
+  };
+}
+
+/**
+ * Map each parsed result to an existing test case, creating DRAFT cases for unknown ones.
+ * A result matches a test case named after its fully qualified name, or a case
+ * with the bare test name whose moduleArea is the result's classname.
+ * @param {Object} tx - Transaction client of the import, so new cases roll back with the run
+ * @param {number} projectId - Project ID
+ * @param {Array<Object>} results - Normalized results
+ * @param {number} userId - User recorded as creator of new test cases
+ * @returns {Promise<Object>} { testCaseIdByFullName, createdTestCases }
+ */
+async function resolveTestCases(tx, projectId, results, userId) {
+  const names = [...new Set(results.flatMap((result) => [result.fullName, result.name]))];
+
+  const existing = await tx.testCase.findMany({
+    where: {
+      projectId,
+      isDeleted: false,
+      name: { in: names },
+    },
+    select: { id: true, name: true, moduleArea: true },
+  });
+
+  const byName = new Map(existing.map((testCase) => [testCase.name, testCase]));
+  const testCaseIdByFullName = new Map();
+  const createdTestCases = [];
+
+  for (const result of results) {
+    if (testCaseIdByFullName.has(result.fullName)) {
+      continue;
+    }
+
+    const exact = byName.get(result.fullName);
+    const byModule = existing.find(
+      (testCase) => testCase.name === result.name && result.classname && testCase.moduleArea === result.classname,
+    );
+    const match = exact || byModule;
+
+    if (match) {
+      testCaseIdByFullName.set(result.fullName, match.id);
+      continue;
+    }
+
+    const created = await tx.testCase.create({
+      data: {
+        projectId,
+        name: result.fullName,
+        description: 'Created automatically from an imported automated test report',
+        type: 'FUNCTIONAL',
+        status: 'DRAFT',
+        moduleArea: result.classname,
+        tags: [AUTOMATED_TAG],
+        createdBy: userId,
+        lastModifiedBy: userId,
+      },
+      select: { id: true, name: true },
+    });
+
+    byName.set(created.name, created);
+    testCaseIdByFullName.set(result.fullName, created.id);
+    createdTestCases.push(created);
+  }
+
+  return { testCaseIdByFullName, createdTestCases };
+}
+
+/**
+ * Import an automated test report as a completed test run
+ * @param {number} projectId - Project ID
+ * @param {string} xmlContent - JUnit/xUnit/NUnit XML report
+ * @param {Object} options - Run metadata
+ * @param {string} options.format - Explicit report format (auto-detected when omitted)
+ * @param {string} options.name - Test run name
+ * @param {string} options.description - Test run description
+ * @param {string} options.environment - Target environment
+ * @param {string} options.buildVersion - Build version under test
+ * @param {Object} apiKeyContext - Validated API key attached by authenticateApiKey
+ * @returns {Promise<Object>} Import summary with the created test run
+ */
+export async function importTestResults(projectId, xmlContent, options = {}, apiKeyContext = null) {
+  if (!apiKeyContext?.projectId || Number(apiKeyContext.projectId) !== Number(projectId)) {
+    throw importValidationError('API key is not valid for this project');
+  }
+
+  const userId = apiKeyContext.createdBy;
+  const { format, title, results } = parseTestReport(xmlContent, options.format);
+
+  if (results.length === 0) {
+    throw importValidationError('Report does not contain any test cases');
+  }
+
+  const normalizedProjectId = Number(projectId);
+  const completedAt = new Date();
+  const totalSeconds = results.reduce((sum, result) => sum + (result.durationSeconds || 0), 0);
+  const startedAt = new Date(completedAt.getTime() - totalSeconds * 1000);
+
+  const { testRun, testCaseIdByFullName, createdTestCases } = await prisma.$transaction(async (tx) => {
+    const resolved = await resolveTestCases(tx, normalizedProjectId, results, userId);
+
+    const run = await tx.testRun.create({
+      data: {
+        projectId: normalizedProjectId,
+        name: options.name || `${title || `${format} import`} (${completedAt.toISOString()})`,
+        description: options.description || `Imported from ${format} report via API key "${apiKeyContext.name}"`,
+        environment: options.environment || null,
+        buildVersion: options.buildVersion || null,
+        status: 'COMPLETED',
+        totalTestCases: results.length,
+        executedBy: userId,
+        createdBy: userId,
+        startedAt,
+        completedAt,
+      },
+    });
+
+    await tx.testExecution.createMany({
+      data: results.map((result) => ({
+        testRunId: run.id,
+        testCaseId: resolved.testCaseIdByFullName.get(result.fullName),
+        status: result.status,
+        actualResult: result.message,
+        actualDurationSeconds: result.durationSeconds,
+        userId,
+        startedAt,
+        completedAt,
+      })),
+    });
+
+    return { testRun: run, ...resolved };
+  });
+
+  const updatedTestRun = await recalculateTestRunCounts(testRun.id);
+  publishRunRefresh(testRun.id);
+
+  await logAuditAction(userId, 'TEST_RESULTS_IMPORTED', {
+    resourceType: 'TESTRUN',
+    resourceId: testRun.id,
+    resourceName: testRun.name,
+    projectId: normalizedProjectId,
+    description: `Imported ${results.length} ${format} results via API key "${apiKeyContext.name}"`,
+    newValues: {
+      format,
+      total: results.length,
+      passed: updatedTestRun.passedCount,
+      failed: updatedTestRun.failedCount,
+      createdTestCases: createdTestCases.length,
+    },
+  });
+
+  return {
+    testRun: updatedTestRun,
+    format,
+    total: results.length,
+    passed: updatedTestRun.passedCount,
+    failed: updatedTestRun.failedCount,
+    blocked: updatedTestRun.blockedCount,
+    skipped: updatedTestRun.skippedCount,
+    matchedTestCases: testCaseIdByFullName.size - createdTestCases.length,
+    createdTestCases,
+  };
+}
+
+export default {
+  IMPORT_FORMATS,
+  parseTestReport,
+  importTestResults,
+};
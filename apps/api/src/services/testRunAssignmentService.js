@@ -0,0 +1,410 @@
+/**
+ * TEST RUN ASSIGNMENT SERVICE
+ * Splits the executions of a test run across several testers.
+ * Executions are grouped by suite, module area or individually (round robin) and
+ * each group goes to the tester with the least planned work so far, weighted by
+ * the test cases' estimated duration.
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+import { logAuditAction } from './auditService.js';
+import { publishExecutionUpdate, publishRunRefresh } from './runBoardService.js';
+
+const prisma = getPrismaClient();
+
+export const ASSIGNMENT_STRATEGIES = ['SUITE', 'MODULE_AREA', 'ROUND_ROBIN'];
+
+// Used for cases without an estimate when no case in the run has one
+const FALLBACK_DURATION_MINUTES = 15;
+
+/**
+ * Helper: Load a test run and verify it belongs to the project
+ */
+async function getProjectTestRun(projectId, runId) {
+  const testRun = await prisma.testRun.findFirst({
+    where: { id: Number(runId), projectId: Number(projectId) },
+  });
+
+  if (!testRun) {
+    throw new Error('Test run not found');
+  }
+
+  return testRun;
+}
+
+/**
+ * Helper: Verify every user is an active tester allocated to the project
+ * @returns {Promise<number[]>} Normalized, de-duplicated tester IDs in the given order
+ */
+async function resolveProjectTesters(projectId, testerIds) {
+  if (!Array.isArray(testerIds) || testerIds.length === 0) {
+    throw new Error('At least one tester is required');
+  }
+
+  const ids = [...new Set(testerIds.map(Number))];
+  if (ids.some((id) => !Number.isInteger(id))) {
+    throw new Error('Tester IDs must be numbers');
+  }
+
+  const allocations = await prisma.projectUserAllocation.findMany({
+    where: {
+      projectId: Number(projectId),
+      userId: { in: ids },
+      isActive: true,
+      user: { role: 'TESTER', isActive: true },
+    },
+    select: { userId: true },
+  });
+
+  const allowed = new Set(allocations.map((a) => a.userId));
+  const invalid = ids.filter((id) => !allowed.has(id));
+  if (invalid.length > 0) {
+    throw new Error(`Users are not active testers on this project: ${invalid.join(', ')}`);
+  }
+
+  return ids;
+}
+
+/**
+ * Helper: Group key of an execution for the chosen strategy
+ * Executions without a suite or module area form their own group.
+ */
+function getGroupKey(execution, strategy, suiteByCase) {
+  if (strategy === 'SUITE') {
+    const suiteId = suiteByCase.get(execution.testCaseId);
+    if (suiteId) return `suite:${suiteId}`;
+  } else if (strategy === 'MODULE_AREA') {
+    const moduleArea = execution.testCase.moduleArea?.trim().toLowerCase();
+    if (moduleArea) return `module:${moduleArea}`;
+  }
+  return `execution:${execution.id}`;
+}
+
+/**
+ * Helper: Weight function for executions
+ * Cases without an estimate count as the average estimate of the given executions.
+ */
+function createExecutionWeigher(executions, balanceByDuration) {
+  if (!balanceByDuration) {
+    return () => 1;
+  }
+
+  const estimates = executions
+    .map((e) => e.testCase.estimatedDurationMinutes)
+    .filter((minutes) => Number.isFinite(minutes) && minutes > 0);
+  const defaultMinutes = estimates.length > 0
+    ? estimates.reduce((sum, minutes) => sum + minutes, 0) / estimates.length
+    : FALLBACK_DURATION_MINUTES;
+
+  return (execution) => {
+    const minutes = execution.testCase.estimatedDurationMinutes;
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : defaultMinutes;
+  };
+}
+
+/**
+ * Plan which tester runs each execution
+ * Groups are placed largest first on the least loaded tester; ties go to the tester
+ * listed first, so without duration balancing ROUND_ROBIN rotates through the testers.
+ * @param {Array} executions - Executions with testCase { moduleArea, estimatedDurationMinutes }
+ * @param {number[]} testerIds - Testers to spread the work over
+ * @param {Object} options
+ * @param {string} options.strategy - SUITE, MODULE_AREA or ROUND_ROBIN
+ * @param {boolean} [options.balanceByDuration=true] - Weigh executions by estimated duration instead of count
+ * @param {Map<number, number>} [options.suiteByCase] - Suite ID per test case ID, for SUITE
+ * @param {Map<number, number>} [options.initialLoad] - Minutes (or count) already assigned per tester
+ * @param {Function} [options.weightOf] - Weight of an execution; defaults to its estimated duration
+ * @returns {{ assignments: Map<number, number>, load: Map<number, number> }} Tester per execution ID and planned load per tester
+ */
+export function planExecutionAssignments(executions, testerIds, options) {
+  const {
+    strategy,
+    balanceByDuration = true,
+    suiteByCase = new Map(),
+    initialLoad = new Map(),
+  } = options;
+
+  const weightOf = options.weightOf || createExecutionWeigher(executions, balanceByDuration);
+
+  const groups = new Map();
+  for (const execution of executions) {
+    const key = getGroupKey(execution, strategy, suiteByCase);
+    if (!groups.has(key)) {
+      groups.set(key, { executions: [], weight: 0 });
+    }
+    const group = groups.get(key);
+    group.executions.push(execution);
+    group.weight += weightOf(execution);
+  }
+
+  // Largest groups first gives a much more even split than run order
+  const ordered = [...groups.values()];
+  if (balanceByDuration) {
+    ordered.sort((a, b) => b.weight - a.weight);
+  }
+
+  const load = new Map(testerIds.map((id) => [id, initialLoad.get(id) || 0]));
+  const assignments = new Map();
+
+  for (const group of ordered) {
+    let target = testerIds[0];
+    for (const testerId of testerIds) {
+      if (load.get(testerId) < load.get(target)) {
+        target = testerId;
+      }
+    }
+
+    load.set(target, load.get(target) + group.weight);
+    for (const execution of group.executions) {
+      assignments.set(execution.id, target);
+    }
+  }
+
+  return { assignments, load };
+}
+
+/**
+ * Check assignment options before anything is written
+ * @param {number} projectId - Project ID
+ * @param {Object} options - { testerIds, strategy }
+ * @returns {Promise<number[]>} Validated tester IDs
+ * @throws {Error} If the strategy is unknown or a user is not a tester on the project
+ */
+export async function validateAssignmentOptions(projectId, { testerIds, strategy = 'ROUND_ROBIN' }) {
+  if (!ASSIGNMENT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid assignment strategy. Must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`);
+  }
+
+  return resolveProjectTesters(projectId, testerIds);
+}
+
+/**
+ * Bulk-assign the executions of a test run to testers
+ * @param {number} projectId - Project ID
+ * @param {number} runId - Test run ID
+ * @param {Object} options
+ * @param {number[]} options.testerIds - Testers to assign to
+ * @param {string} [options.strategy='ROUND_ROBIN'] - SUITE, MODULE_AREA or ROUND_ROBIN
+ * @param {boolean} [options.balanceByDuration=true] - Balance by estimated duration
+ * @param {boolean} [options.onlyUnassigned=false] - Keep existing assignments and only place the rest
+ * @param {number} userId - User performing the assignment
+ * @returns {Promise<Object>} Assignment count and the resulting workload
+ * @throws {Error} If the run, testers or strategy are invalid
+ */
+export async function assignRunExecutions(projectId, runId, options, userId) {
+  const {
+    testerIds,
+    strategy = 'ROUND_ROBIN',
+    balanceByDuration = true,
+    onlyUnassigned = false,
+  } = options || {};
+
+  const testers = await validateAssignmentOptions(projectId, { testerIds, strategy });
+  const testRun = await getProjectTestRun(projectId, runId);
+
+  const executions = await prisma.testExecution.findMany({
+    where: { testRunId: testRun.id },
+    select: {
+      id: true,
+      testCaseId: true,
+      assignedToId: true,
+      testCase: { select: { moduleArea: true, estimatedDurationMinutes: true } },
+    },
+    orderBy: [{ testCaseId: 'asc' }, { dataRowNumber: 'asc' }],
+  });
+
+  const pending = onlyUnassigned ? executions.filter((e) => !e.assignedToId) : executions;
+  const kept = onlyUnassigned ? executions.filter((e) => e.assignedToId) : [];
+
+  // Executions that keep their tester still count towards that tester's load
+  const weightOf = createExecutionWeigher(executions, balanceByDuration);
+  const initialLoad = new Map();
+  for (const execution of kept) {
+    if (testers.includes(execution.assignedToId)) {
+      initialLoad.set(execution.assignedToId, (initialLoad.get(execution.assignedToId) || 0) + weightOf(execution));
+    }
+  }
+
+  let suiteByCase = new Map();
+  if (strategy === 'SUITE') {
+    const memberships = await prisma.testSuiteTestCase.findMany({
+      where: {
+        testCaseId: { in: [...new Set(pending.map((e) => e.testCaseId))] },
+        suite: { projectId: testRun.projectId, isDeleted: false },
+      },
+      select: { suiteId: true, testCaseId: true },
+      orderBy: { suiteId: 'asc' },
+    });
+    // A case in several suites goes with its oldest suite
+    suiteByCase = memberships.reduce((map, m) => {
+      if (!map.has(m.testCaseId)) map.set(m.testCaseId, m.suiteId);
+      return map;
+    }, new Map());
+  }
+
+  const { assignments } = planExecutionAssignments(pending, testers, {
+    strategy,
+    balanceByDuration,
+    suiteByCase,
+    initialLoad,
+    weightOf,
+  });
+
+  // One update per tester keeps this to a handful of queries even for large runs
+  const idsByTester = new Map(testers.map((id) => [id, []]));
+  for (const [executionId, testerId] of assignments) {
+    idsByTester.get(testerId).push(executionId);
+  }
+
+  await prisma.$transaction(
+    [...idsByTester.entries()]
+      .filter(([, ids]) => ids.length > 0)
+      .map(([testerId, ids]) =>
+        prisma.testExecution.updateMany({
+          where: { id: { in: ids } },
+          data: { assignedToId: testerId },
+        }),
+      ),
+  );
+
+  await logAuditAction(userId, 'TEST_RUN_ASSIGNED', {
+    resourceType: 'TEST_RUN',
+    resourceId: testRun.id,
+    resourceName: testRun.name,
+    projectId: testRun.projectId,
+    description: `Assigned ${assignments.size} execution(s) of ${testRun.name} to ${testers.length} tester(s)`,
+    newValues: { strategy, balanceByDuration, onlyUnassigned, testerIds: testers },
+  });
+
+  publishRunRefresh(testRun.id);
+
+  return {
+    assigned: assignments.size,
+    workload: await getRunWorkload(projectId, runId),
+  };
+}
+
+/**
+ * Assign or unassign a single execution
+ * @param {number} projectId - Project ID
+ * @param {number} runId - Test run ID
+ * @param {number} executionId - Execution ID
+ * @param {number|null} assigneeId - Tester ID, or null to unassign
+ * @param {number} userId - User performing the change
+ * @returns {Promise<Object>} Updated execution with assignee
+ */
+export async function assignExecution(projectId, runId, executionId, assigneeId, userId) {
+  const testRun = await getProjectTestRun(projectId, runId);
+
+  const execution = await prisma.testExecution.findFirst({
+    where: { id: Number(executionId), testRunId: testRun.id },
+    include: { testCase: { select: { name: true } } },
+  });
+
+  if (!execution) {
+    throw new Error('Test execution not found');
+  }
+
+  let nextAssigneeId = null;
+  if (assigneeId !== null && assigneeId !== undefined) {
+    [nextAssigneeId] = await resolveProjectTesters(projectId, [assigneeId]);
+  }
+
+  const updated = await prisma.testExecution.update({
+    where: { id: execution.id },
+    data: { assignedToId: nextAssigneeId },
+    include: { assignee: { select: { id: true, name: true, email: true } } },
+  });
+
+  await logAuditAction(userId, 'TEST_EXECUTION_ASSIGNED', {
+    resourceType: 'TEST_EXECUTION',
+    resourceId: execution.id,
+    resourceName: execution.testCase.name,
+    projectId: testRun.projectId,
+    description: nextAssigneeId
+      ? `Assigned execution of ${execution.testCase.name} to user ${nextAssigneeId}`
+      : `Unassigned execution of ${execution.testCase.name}`,
+    oldValues: { assignedToId: execution.assignedToId },
+    newValues: { assignedToId: nextAssigneeId },
+  });
+
+  await publishExecutionUpdate(execution.id);
+
+  return updated;
+}
+
+/**
+ * Planned and remaining work per tester in a test run
+ * @param {number} projectId - Project ID
+ * @param {number} runId - Test run ID
+ * @returns {Promise<Array>} One entry per assignee (null for unassigned) with counts and estimated minutes
+ */
+export async function getRunWorkload(projectId, runId) {
+  const testRun = await getProjectTestRun(projectId, runId);
+
+  const executions = await prisma.testExecution.findMany({
+    where: { testRunId: testRun.id },
+    select: {
+      status: true,
+      assignedToId: true,
+      assignee: { select: { id: true, name: true, email: true } },
+      testCase: { select: { estimatedDurationMinutes: true } },
+    },
+  });
+
+  const byAssignee = new Map();
+  for (const execution of executions) {
+    const key = execution.assignedToId ?? null;
+    if (!byAssignee.has(key)) {
+      byAssignee.set(key, {
+        assignee: execution.assignee,
+        total: 0,
+        remaining: 0,
+        estimatedMinutes: 0,
+        remainingMinutes: 0,
+      });
+    }
+
+    const entry = byAssignee.get(key);
+    const minutes = execution.testCase.estimatedDurationMinutes || 0;
+    const done = ['PASSED', 'FAILED', 'SKIPPED'].includes(execution.status);
+
+    entry.total++;
+    entry.estimatedMinutes += minutes;
+    if (!done) {
+      entry.remaining++;
+      entry.remainingMinutes += minutes;
+    }
+  }
+
+  return [...byAssignee.values()].sort((a, b) => b.estimatedMinutes - a.estimatedMinutes);
+}
+
+/**
+ * Testers on a project who can receive executions
+ * @param {number} projectId - Project ID
+ * @returns {Promise<Array>} Users with id, name and email
+ */
+export async function getAssignableTesters(projectId) {
+  const allocations = await prisma.projectUserAllocation.findMany({
+    where: {
+      projectId: Number(projectId),
+      isActive: true,
+      user: { role: 'TESTER', isActive: true },
+    },
+    select: { user: { select: { id: true, name: true, email: true } } },
+    orderBy: { user: { name: 'asc' } },
+  });
+
+  return allocations.map((a) => a.user);
+}
+
+export default {
+  ASSIGNMENT_STRATEGIES,
+  planExecutionAssignments,
+  validateAssignmentOptions,
+  assignRunExecutions,
+  assignExecution,
+  getRunWorkload,
+  getAssignableTesters,
+};
@@ -0,0 +1,229 @@
+/**
+ * TEST RUN COMPARISON SERVICE
+ * Diffs two whole test runs, typically of consecutive builds, to surface regressions.
+ * Executions are matched by test case and data row, so data-driven cases compare
+ * row by row.
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+
+const prisma = getPrismaClient();
+
+// A duration regression must be this much slower in both relative and absolute terms
+const DEFAULT_DURATION_THRESHOLD_PERCENT = 20;
+const DEFAULT_MIN_DURATION_DELTA_SECONDS = 5;
+
+const RUN_SELECT = {
+  id: true,
+  name: true,
+  buildVersion: true,
+  environment: true,
+  status: true,
+  createdAt: true,
+  completedAt: true,
+  executions: {
+    select: {
+      id: true,
+      testCaseId: true,
+      dataRowNumber: true,
+      status: true,
+      actualDurationSeconds: true,
+      testCase: { select: { id: true, name: true, priority: true, moduleArea: true } },
+    },
+  },
+};
+
+/**
+ * Helper: Load a run of the project by ID, or the latest non-cancelled run of a build
+ */
+async function resolveRun(projectId, runId, buildVersion, label) {
+  if (runId) {
+    const run = await prisma.testRun.findFirst({
+      where: { id: Number(runId), projectId },
+      select: RUN_SELECT,
+    });
+    if (!run) {
+      throw new Error(`${label} test run not found`);
+    }
+    return run;
+  }
+
+  if (buildVersion) {
+    const run = await prisma.testRun.findFirst({
+      where: { projectId, buildVersion, status: { not: 'CANCELLED' } },
+      select: RUN_SELECT,
+      orderBy: { createdAt: 'desc' },
+    });
+    if (!run) {
+      throw new Error(`No test run found for ${label.toLowerCase()} build ${buildVersion}`);
+    }
+    return run;
+  }
+
+  throw new Error(`${label} run ID or build version is required`);
+}
+
+/**
+ * Helper: Key that matches the same case (and data row) across runs
+ */
+function executionKey(execution) {
+  return `${execution.testCaseId}:${execution.dataRowNumber ?? ''}`;
+}
+
+/**
+ * Helper: Totals of one run
+ */
+function summarizeRun(run) {
+  const total = run.executions.length;
+  const passed = run.executions.filter((e) => e.status === 'PASSED').length;
+  const failed = run.executions.filter((e) => e.status === 'FAILED').length;
+
+  return {
+    id: run.id,
+    name: run.name,
+    buildVersion: run.buildVersion,
+    environment: run.environment,
+    status: run.status,
+    createdAt: run.createdAt,
+    completedAt: run.completedAt,
+    total,
+    passed,
+    failed,
+    passRate: total > 0 ? Number(((passed / total) * 100).toFixed(2)) : 0,
+    totalDurationSeconds: run.executions.reduce((sum, e) => sum + (e.actualDurationSeconds || 0), 0),
+  };
+}
+
+/**
+ * Helper: Row describing one test case in the comparison
+ */
+function toCaseRow(base, target) {
+  const execution = target || base;
+  return {
+    testCaseId: execution.testCaseId,
+    testCaseName: execution.testCase.name,
+    priority: execution.testCase.priority,
+    moduleArea: execution.testCase.moduleArea,
+    dataRowNumber: execution.dataRowNumber,
+    baseExecutionId: base?.id ?? null,
+    targetExecutionId: target?.id ?? null,
+    baseStatus: base?.status ?? null,
+    targetStatus: target?.status ?? null,
+    baseDurationSeconds: base?.actualDurationSeconds ?? null,
+    targetDurationSeconds: target?.actualDurationSeconds ?? null,
+  };
+}
+
+/**
+ * Compare two test runs of a project
+ * Each run is picked by ID or as the latest non-cancelled run of a build version.
+ * @param {number} projectId - Project ID
+ * @param {Object} options
+ * @param {number} [options.baseRunId] - Run to compare against (older build)
+ * @param {string} [options.baseBuild] - Build version of the base run
+ * @param {number} [options.targetRunId] - Run being checked (newer build)
+ * @param {string} [options.targetBuild] - Build version of the target run
+ * @param {number} [options.durationThresholdPercent=20] - Minimum slowdown to report, in percent
+ * @param {number} [options.minDurationDeltaSeconds=5] - Minimum slowdown to report, in seconds
+ * @returns {Promise<Object>} { base, target, summary, newlyFailing, newlyPassing, stillFailing, added, removed, durationRegressions }
+ * @throws {Error} If a run cannot be found or both sides are the same run
+ */
+export async function compareTestRuns(projectId, options = {}) {
+  projectId = Number(projectId);
+  const {
+    baseRunId,
+    baseBuild,
+    targetRunId,
+    targetBuild,
+    durationThresholdPercent = DEFAULT_DURATION_THRESHOLD_PERCENT,
+    minDurationDeltaSeconds = DEFAULT_MIN_DURATION_DELTA_SECONDS,
+  } = options;
+
+  const [baseRun, targetRun] = await Promise.all([
+    resolveRun(projectId, baseRunId, baseBuild, 'Base'),
+    resolveRun(projectId, targetRunId, targetBuild, 'Target'),
+  ]);
+
+  if (baseRun.id === targetRun.id) {
+    throw new Error('Cannot compare a test run with itself');
+  }
+
+  const baseByKey = new Map(baseRun.executions.map((e) => [executionKey(e), e]));
+  const targetByKey = new Map(targetRun.executions.map((e) => [executionKey(e), e]));
+
+  const newlyFailing = [];
+  const newlyPassing = [];
+  const stillFailing = [];
+  const added = [];
+  const removed = [];
+  const durationRegressions = [];
+  let unchanged = 0;
+
+  for (const [key, target] of targetByKey) {
+    const base = baseByKey.get(key);
+
+    if (!base) {
+      added.push(toCaseRow(null, target));
+      continue;
+    }
+
+    if (target.status === 'FAILED' && base.status === 'FAILED') {
+      stillFailing.push(toCaseRow(base, target));
+    } else if (target.status === 'FAILED') {
+      newlyFailing.push(toCaseRow(base, target));
+    } else if (target.status === 'PASSED' && base.status !== 'PASSED') {
+      newlyPassing.push(toCaseRow(base, target));
+    } else {
+      unchanged++;
+    }
+
+    const baseDuration = base.actualDurationSeconds;
+    const targetDuration = target.actualDurationSeconds;
+    if (baseDuration > 0 && targetDuration !== null) {
+      const deltaSeconds = targetDuration - baseDuration;
+      const deltaPercent = Number(((deltaSeconds / baseDuration) * 100).toFixed(1));
+      if (deltaSeconds >= minDurationDeltaSeconds && deltaPercent >= durationThresholdPercent) {
+        durationRegressions.push({ ...toCaseRow(base, target), deltaSeconds, deltaPercent });
+      }
+    }
+  }
+
+  for (const [key, base] of baseByKey) {
+    if (!targetByKey.has(key)) {
+      removed.push(toCaseRow(base, null));
+    }
+  }
+
+  durationRegressions.sort((a, b) => b.deltaSeconds - a.deltaSeconds);
+
+  const base = summarizeRun(baseRun);
+  const target = summarizeRun(targetRun);
+
+  return {
+    base,
+    target,
+    summary: {
+      newlyFailing: newlyFailing.length,
+      newlyPassing: newlyPassing.length,
+      stillFailing: stillFailing.length,
+      added: added.length,
+      removed: removed.length,
+      unchanged,
+      durationRegressions: durationRegressions.length,
+      passRateDiff: Number((target.passRate - base.passRate).toFixed(2)),
+      durationDiffSeconds: target.totalDurationSeconds - base.totalDurationSeconds,
+      hasRegressions: newlyFailing.length > 0 || durationRegressions.length > 0,
+    },
+    settings: { durationThresholdPercent, minDurationDeltaSeconds },
+    newlyFailing,
+    newlyPassing,
+    stillFailing,
+    added,
+    removed,
+    durationRegressions,
+  };
+}
+
+export default {
+  compareTestRuns,
+};
@@ -0,0 +1,151 @@
+/**
+ * TEST RUN SERVICE
+ * Shared test run bookkeeping used by manual execution, run templates and
+ * automated result ingestion
+ */
+
+import { getPrismaClient } from '../lib/prisma.js';
+import { seedExecutionSteps } from './sharedStepService.js';
+import { buildRunExecutionEntries } from './testDataService.js';
+import { assignRunExecutions } from './testRunAssignmentService.js';
+
+const prisma = getPrismaClient();
+
+/**
+ * Recalculate the passed/failed/blocked/skipped counters of a test run
+ * from the current status of its executions
+ * @param {number} testRunId - Test run ID
+ * @returns {Promise<Object|null>} Updated test run or null if it does not exist
+ */
+export async function recalculateTestRunCounts(testRunId) {
+  const testRun = await prisma.testRun.findUnique({
+    where: { id: Number(testRunId) },
+  });
+
+  if (!testRun) {
+    return null;
+  }
+
+  const allExecutions = await prisma.testExecution.findMany({
+    where: { testRunId: testRun.id },
+    select: { status: true },
+  });
+
+  const runStats = allExecutions.reduce(
+    (acc, exe) => {
+      if (exe.status === 'PASSED') acc.passed++;
+      else if (exe.status === 'FAILED') acc.failed++;
+      else if (exe.status === 'BLOCKED') acc.blocked++;
+      else if (exe.status === 'SKIPPED') acc.skipped++;
+      return acc;
+    },
+    { passed: 0, failed: 0, blocked: 0, skipped: 0 },
+  );
+
+  return prisma.testRun.update({
+    where: { id: testRun.id },
+    data: {
+      passedCount: runStats.passed,
+      failedCount: runStats.failed,
+      blockedCount: runStats.blocked,
+      skippedCount: runStats.skipped,
+    },
+  });
+}
+
+/**
+ * Create a test run with one execution per test case and data row, and start it
+ * Assignment options must already be validated (validateAssignmentOptions).
+ * @param {number} projectId - Project ID
+ * @param {Object} data - { name, description, environment, buildVersion, testCaseIds, assignment,
+ *   templateId, testPlanId, matrixId, configuration }
+ * @param {number} userId - User creating the run
+ * @returns {Promise<Object>} { testRun, executionCount }, the run including its executions
+ */
+export async function createTestRunWithExecutions(projectId, data, userId) {
+  const {
+    name,
+    description,
+    environment,
+    buildVersion,
+    testCaseIds,
+    assignment,
+    templateId,
+    testPlanId,
+    matrixId,
+    configuration,
+  } = data;
+
+  // Data-driven test cases get one execution per data row
+  const runEntries = await buildRunExecutionEntries(testCaseIds);
+
+  const testRun = await prisma.testRun.create({
+    data: {
+      projectId: Number(projectId),
+      name,
+      description: description || null,
+      environment: environment || null,
+      buildVersion: buildVersion || null,
+      status: 'PLANNED',
+      totalTestCases: runEntries.length,
+      executedBy: userId,
+      createdBy: userId,
+      templateId: templateId || null,
+      testPlanId: testPlanId || null,
+      matrixId: matrixId || null,
+      ...(configuration && { configuration }),
+    },
+  });
+
+  // Create executions for each test case and data row
+  const executions = await Promise.all(
+    runEntries.map((entry) =>
+      prisma.testExecution.create({
+        data: {
+          ...entry,
+          testRunId: testRun.id,
+          status: 'BLOCKED', // Initial status
+          userId,
+          // Without an explicit split the creator runs everything
+          assignedToId: assignment ? null : userId,
+        },
+        include: {
+          testCase: { select: { id: true, name: true } },
+        },
+      }),
+    ),
+  );
+
+  // Create execution steps, expanding shared step blocks into concrete steps
+  await seedExecutionSteps(executions);
+
+  if (assignment) {
+    await assignRunExecutions(projectId, testRun.id, assignment, userId);
+  }
+
+  const startedRun = await prisma.testRun.update({
+    where: { id: testRun.id },
+    data: {
+      status: 'IN_PROGRESS',
+      startedAt: new Date(),
+    },
+    include: {
+      executions: {
+        select: {
+          id: true,
+          testCaseId: true,
+          dataRowNumber: true,
+          status: true,
+          assignedToId: true,
+        },
+      },
+    },
+  });
+
+  return { testRun: startedRun, executionCount: executions.length };
+}
+
+export default {
+  recalculateTestRunCounts,
+  createTestRunWithExecutions,
+};
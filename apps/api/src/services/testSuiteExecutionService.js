@@ -8,6 +8,9 @@ import { logAuditAction } from './auditService.js';
 import { createNotification } from './notificationService.js';
 import { indexTestExecution } from './searchIndexService.js';
 import { getTestCasesInSuite, getChildSuites } from './testSuiteService.js';
+import { seedExecutionSteps } from './sharedStepService.js';
+import { buildRunExecutionEntries } from './testDataService.js';
+import { triggerWebhook } from './webhookService.js';
 
 const prisma = getPrismaClient();
 
@@ -51,6 +54,9 @@ export async function executeSuite(suiteId, options, userId) {
     throw new Error('Suite has no test cases to execute');
   }
 
+  // Data-driven test cases get one execution per data row
+  const runEntries = await buildRunExecutionEntries(testCases.map((tc) => tc.testCase?.id || tc.id));
+
   // Create a TestRun for this suite execution
   const testRun = await prisma.testRun.create({
     data: {
@@ -60,7 +66,7 @@ export async function executeSuite(suiteId, options, userId) {
         description || `Execution of suite "${suite.name}" at ${new Date().toISOString()}`,
       status: 'IN_PROGRESS',
       actualStartDate: new Date(),
-      totalTestCases: testCases.length,
+      totalTestCases: runEntries.length,
       executedBy: userId,
       createdBy: userId,
       environment,
@@ -77,7 +83,7 @@ export async function executeSuite(suiteId, options, userId) {
       description,
       status: 'IN_PROGRESS',
       actualStartDate: new Date(),
-      totalTestCases: testCases.length,
+      totalTestCases: runEntries.length,
       environment,
       buildVersion,
       stopOnFailure,
@@ -86,15 +92,13 @@ export async function executeSuite(suiteId, options, userId) {
     },
   });
 
-  const testCaseIds = [...new Set(testCases.map((tc) => tc.testCase?.id || tc.id))];
-
-  // Create TestExecution records for each test case
+  // Create TestExecution records for each test case and data row
   const executions = await Promise.all(
-    testCases.map((tc) =>
+    runEntries.map((entry) =>
       prisma.testExecution.create({
         data: {
+          ...entry,
           testRunId: testRun.id,
-          testCaseId: tc.testCase?.id || tc.id,
           suiteRunId: suiteRun.id,
           status: 'BLOCKED',
           executedBy: userId,
@@ -102,50 +106,14 @@ export async function executeSuite(suiteId, options, userId) {
         select: {
           id: true,
           testCaseId: true,
+          dataRowValues: true,
         },
       })
     )
   );
 
-  // Seed execution steps from test case steps
-  const testSteps = await prisma.testStep.findMany({
-    where: {
-      testCaseId: { in: testCaseIds },
-    },
-    select: {
-      id: true,
-      testCaseId: true,
-    },
-    orderBy: {
-      stepNumber: 'asc',
-    },
-  });
-
-  const stepsByCaseId = new Map();
-  for (const step of testSteps) {
-    if (!stepsByCaseId.has(step.testCaseId)) {
-      stepsByCaseId.set(step.testCaseId, []);
-    }
-    stepsByCaseId.get(step.testCaseId).push(step);
-  }
-
-  const executionSteps = [];
-  for (const execution of executions) {
-    const steps = stepsByCaseId.get(execution.testCaseId) || [];
-    for (const step of steps) {
-      executionSteps.push({
-        executionId: execution.id,
-        stepId: step.id,
-        status: 'SKIPPED',
-      });
-    }
-  }
-
-  if (executionSteps.length > 0) {
-    await prisma.testExecutionStep.createMany({
-      data: executionSteps,
-    });
-  }
+  // Seed execution steps from test case steps, expanding shared step blocks
+  await seedExecutionSteps(executions);
 
   // If executeChildSuites, recursively execute child suites
   if (executeChildSuites) {
@@ -326,6 +294,24 @@ export async function updateSuiteRunMetrics(suiteRunId) {
     });
   }
 
+  // Notify webhooks once, when the run first reaches a final status
+  if (suiteRun.status === 'IN_PROGRESS' && status !== 'IN_PROGRESS') {
+    await triggerWebhook(status === 'FAILED' ? 'SUITE_FAILED' : 'SUITE_COMPLETED', {
+      projectId: suiteRun.projectId,
+      suiteRun: {
+        id: suiteRun.id,
+        suiteId: suiteRun.suiteId,
+        name: suiteRun.name,
+        status,
+        totalTestCases: suiteRun.totalTestCases,
+        passedCount,
+        failedCount,
+        blockedCount,
+        skippedCount,
+      },
+    });
+  }
+
   // Trigger notification if tests failed or were blocked
   if (failedCount > 0 || blockedCount > 0) {
     try {
@@ -3,11 +3,27 @@
  * Handles CRUD operations, cloning, and management for test suites
  */
 
+import { Prisma } from '@prisma/client';
 import { getPrismaClient } from '../lib/prisma.js';
 import { logAuditAction } from './auditService.js';
 
 const prisma = getPrismaClient();
 
+export const SUITE_TYPES = ['STATIC', 'DYNAMIC'];
+
+// Test case fields a dynamic suite rule can query, with the operators each supports
+export const SUITE_CRITERIA_FIELDS = {
+  priority: { operators: ['equals', 'notEquals', 'in', 'notIn'] },
+  severity: { operators: ['equals', 'notEquals', 'in', 'notIn'] },
+  status: { operators: ['equals', 'notEquals', 'in', 'notIn'] },
+  type: { operators: ['equals', 'notEquals', 'in', 'notIn'] },
+  moduleArea: { operators: ['equals', 'notEquals', 'in', 'notIn', 'contains'], nullable: true },
+  environment: { operators: ['equals', 'notEquals', 'in', 'notIn', 'contains'], nullable: true },
+  tags: { operators: ['contains', 'notContains', 'in'], list: true },
+};
+
+const LIST_OPERATORS = ['in', 'notIn'];
+
 /**
  * Create a new test suite
  * @param {Object} data - Suite data
@@ -21,6 +37,8 @@ export async function createTestSuite(data, userId) {
     description,
     status = 'ACTIVE',
     parentSuiteId,
+    suiteType = 'STATIC',
+    criteria,
   } = data;
 
   // Validate required fields
@@ -28,6 +46,12 @@ export async function createTestSuite(data, userId) {
     throw new Error('ProjectId and name are required');
   }
 
+  if (!SUITE_TYPES.includes(suiteType)) {
+    throw new Error(`Invalid suite type. Must be one of: ${SUITE_TYPES.join(', ')}`);
+  }
+
+  const normalizedCriteria = suiteType === 'DYNAMIC' ? normalizeSuiteCriteria(criteria) : null;
+
   // Check if suite with same name exists in project
   const existing = await prisma.testSuite.findFirst({
     where: {
@@ -64,6 +88,8 @@ export async function createTestSuite(data, userId) {
       description,
       status,
       parentSuiteId: parentSuiteId ? Number(parentSuiteId) : null,
+      suiteType,
+      criteria: normalizedCriteria ?? undefined,
       createdBy: userId,
     },
     include: {
@@ -96,12 +122,14 @@ export async function createTestSuite(data, userId) {
 
 /**
  * Get test suites for a project with filters
+ * Dynamic suites also carry matchingTestCaseCount, the live size of their rule set.
  * @param {number} projectId - Project ID
- * @param {Object} filters - Filter options
+ * @param {Object} filters - Filter options (type filters by suiteType)
  * @returns {Promise<Array>} List of test suites
  */
 export async function getProjectTestSuites(projectId, filters = {}) {
   const {
+    type,
     status,
     parentSuiteId,
     includeArchived = false,
@@ -110,6 +138,7 @@ export async function getProjectTestSuites(projectId, filters = {}) {
 
   const where = {
     projectId: Number(projectId),
+    ...(type && { suiteType: type }),
     ...(status && { status }),
     ...(parentSuiteId !== undefined && {
       parentSuiteId: parentSuiteId ? Number(parentSuiteId) : null,
@@ -146,7 +175,7 @@ export async function getProjectTestSuites(projectId, filters = {}) {
     ],
   });
 
-  return suites;
+  return Promise.all(suites.map(withMatchingTestCaseCount));
 }
 
 /**
@@ -237,7 +266,7 @@ export async function getTestSuiteById(suiteId) {
     throw new Error('Test suite not found');
   }
 
-  return suite;
+  return withMatchingTestCaseCount(suite);
 }
 
 /**
@@ -265,8 +294,25 @@ export async function updateTestSuite(suiteId, data, userId) {
     description,
     status,
     parentSuiteId,
+    suiteType,
+    criteria,
   } = data;
 
+  if (suiteType !== undefined && !SUITE_TYPES.includes(suiteType)) {
+    throw new Error(`Invalid suite type. Must be one of: ${SUITE_TYPES.join(', ')}`);
+  }
+
+  // Criteria are re-validated whenever the suite is (or becomes) dynamic and new rules are sent
+  const nextSuiteType = suiteType ?? suite.suiteType;
+  let nextCriteria;
+  if (nextSuiteType === 'DYNAMIC') {
+    if (criteria !== undefined || suite.suiteType !== 'DYNAMIC') {
+      nextCriteria = normalizeSuiteCriteria(criteria !== undefined ? criteria : suite.criteria);
+    }
+  } else if (suite.suiteType === 'DYNAMIC') {
+    nextCriteria = Prisma.DbNull;
+  }
+
   // If changing parent, validate it
   if (parentSuiteId !== undefined && parentSuiteId !== suite.parentSuiteId) {
     if (parentSuiteId) {
@@ -323,6 +369,8 @@ export async function updateTestSuite(suiteId, data, userId) {
       ...(parentSuiteId !== undefined && {
         parentSuiteId: parentSuiteId ? Number(parentSuiteId) : null,
       }),
+      ...(suiteType !== undefined && { suiteType }),
+      ...(nextCriteria !== undefined && { criteria: nextCriteria }),
     },
     include: {
       creator: {
@@ -538,11 +586,13 @@ export async function cloneTestSuite(suiteId, newName, userId, options = {}) {
         ? `${sourceSuite.description} (Cloned)`
         : 'Cloned suite',
       status: 'ACTIVE',
+      suiteType: sourceSuite.suiteType,
+      criteria: sourceSuite.criteria ?? undefined,
       createdBy: userId,
     },
   });
 
-  // Clone test case associations if requested
+  // Clone test case associations if requested (dynamic suites carry their rules instead)
   if (includeTestCases && sourceSuite.testCases.length > 0) {
     const testCaseAssociations = sourceSuite.testCases.map((tc) => ({
       suiteId: clonedSuite.id,
@@ -604,6 +654,8 @@ export async function addTestCasesToSuite(suiteId, testCaseIds, userId) {
     throw new Error('Cannot modify archived suite');
   }
 
+  assertStaticSuite(suite);
+
   // Filter out already added test cases
   const existingTestCaseIds = new Set(suite.testCases.map((tc) => tc.testCaseId));
   const newTestCaseIds = testCaseIds.filter((id) => !existingTestCaseIds.has(Number(id)));
@@ -682,6 +734,8 @@ export async function removeTestCasesFromSuite(suiteId, testCaseIds) {
     throw new Error('Cannot modify archived suite');
   }
 
+  assertStaticSuite(suite);
+
   const result = await prisma.testSuiteTestCase.deleteMany({
     where: {
       suiteId: Number(suiteId),
@@ -714,6 +768,8 @@ export async function reorderTestCasesInSuite(suiteId, orderMap) {
     throw new Error('Cannot modify archived suite');
   }
 
+  assertStaticSuite(suite);
+
   // Update execution order for each test case
   const updates = orderMap.map(({ testCaseId, executionOrder }) =>
     prisma.testSuiteTestCase.updateMany({
@@ -747,6 +803,11 @@ export async function getTestCasesInSuite(suiteId, filters = {}) {
     throw new Error('Test suite not found');
   }
 
+  // Dynamic suites resolve their membership from the saved criteria at read time
+  if (suite.suiteType === 'DYNAMIC') {
+    return findMatchingTestCases(suite.projectId, suite.criteria, filters, suite.id);
+  }
+
   // For static suites, return associated test cases
   const { priority, type, status } = filters;
 
@@ -783,9 +844,10 @@ export async function getTestCasesInSuite(suiteId, filters = {}) {
 /**
  * Evaluate dynamic suite criteria and return matching test cases
  * @param {number} suiteId - Suite ID
- * @returns {Promise<Array>} Matching test cases
+ * @param {Object} filters - Additional priority/type/status filters
+ * @returns {Promise<Array>} Matching test cases, each with the reasons it matched
  */
-export async function evaluateDynamicSuite(suiteId) {
+export async function evaluateDynamicSuite(suiteId, filters = {}) {
   const suite = await prisma.testSuite.findUnique({
     where: { id: Number(suiteId) },
   });
@@ -794,7 +856,241 @@ export async function evaluateDynamicSuite(suiteId) {
     throw new Error('Test suite not found');
   }
 
-  throw new Error('Dynamic suites are not supported by the current schema');
+  if (suite.suiteType !== 'DYNAMIC') {
+    throw new Error('Test suite is not dynamic');
+  }
+
+  return findMatchingTestCases(suite.projectId, suite.criteria, filters, suite.id);
+}
+
+/**
+ * Preview which test cases a set of dynamic suite criteria would match
+ * @param {number} projectId - Project ID
+ * @param {Object} criteria - Criteria of the form { match, rules }
+ * @returns {Promise<Object>} Normalized criteria, match count and matching test cases
+ */
+export async function previewSuiteCriteria(projectId, criteria) {
+  const normalized = normalizeSuiteCriteria(criteria);
+  const testCases = await findMatchingTestCases(projectId, normalized);
+
+  return {
+    criteria: normalized,
+    total: testCases.length,
+    testCases,
+  };
+}
+
+/**
+ * Validate dynamic suite criteria and convert it to storage form
+ * @param {Object} criteria - { match: 'ALL'|'ANY', rules: [{ field, operator, value }] }
+ * @returns {Object} Normalized criteria
+ * @throws {Error} If the criteria or one of its rules is invalid
+ */
+export function normalizeSuiteCriteria(criteria) {
+  if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+    throw new Error('Dynamic suites require criteria with at least one rule');
+  }
+
+  const match = criteria.match ? String(criteria.match).toUpperCase() : 'ALL';
+  if (!['ALL', 'ANY'].includes(match)) {
+    throw new Error('Criteria match must be ALL or ANY');
+  }
+
+  if (!Array.isArray(criteria.rules) || criteria.rules.length === 0) {
+    throw new Error('Dynamic suites require criteria with at least one rule');
+  }
+
+  const rules = criteria.rules.map((rule, index) => {
+    const { field, operator } = rule || {};
+    const definition = SUITE_CRITERIA_FIELDS[field];
+    if (!definition) {
+      throw new Error(
+        `Rule ${index + 1}: field must be one of: ${Object.keys(SUITE_CRITERIA_FIELDS).join(', ')}`,
+      );
+    }
+
+    if (!definition.operators.includes(operator)) {
+      throw new Error(
+        `Rule ${index + 1}: operator for ${field} must be one of: ${definition.operators.join(', ')}`,
+      );
+    }
+
+    if (LIST_OPERATORS.includes(operator)) {
+      const rawValues = Array.isArray(rule.value) ? rule.value : String(rule.value ?? '').split(',');
+      const values = [...new Set(rawValues.map((value) => String(value).trim()).filter(Boolean))];
+      if (values.length === 0) {
+        throw new Error(`Rule ${index + 1}: ${operator} requires at least one value`);
+      }
+      return { field, operator, value: values };
+    }
+
+    const value = rule.value === undefined || rule.value === null ? '' : String(rule.value).trim();
+    if (!value) {
+      throw new Error(`Rule ${index + 1}: value is required`);
+    }
+    return { field, operator, value };
+  });
+
+  return { match, rules };
+}
+
+/**
+ * Helper: Throw if a suite's membership is managed by criteria
+ * @param {Object} suite - Test suite
+ * @throws {Error} If the suite is dynamic
+ */
+function assertStaticSuite(suite) {
+  if (suite.suiteType === 'DYNAMIC') {
+    throw new Error('Test cases of a dynamic suite are managed by its criteria');
+  }
+}
+
+/**
+ * Helper: Build the Prisma condition for a single criteria rule
+ * Nullable fields treat a missing value as "not equal" so negative rules match them.
+ * @param {Object} rule - Normalized rule
+ * @returns {Object} Prisma where condition on TestCase
+ */
+function buildRuleCondition({ field, operator, value }) {
+  const { nullable, list } = SUITE_CRITERIA_FIELDS[field];
+
+  if (list) {
+    switch (operator) {
+      case 'contains':
+        return { [field]: { has: value } };
+      case 'notContains':
+        return { NOT: { [field]: { has: value } } };
+      default:
+        return { [field]: { hasSome: value } };
+    }
+  }
+
+  const orNull = (condition) => (nullable ? { OR: [condition, { [field]: null }] } : condition);
+
+  switch (operator) {
+    case 'equals':
+      return { [field]: value };
+    case 'notEquals':
+      return orNull({ [field]: { not: value } });
+    case 'in':
+      return { [field]: { in: value } };
+    case 'notIn':
+      return orNull({ [field]: { notIn: value } });
+    default:
+      return { [field]: { contains: value, mode: 'insensitive' } };
+  }
+}
+
+/**
+ * Helper: Describe why a test case satisfies a rule, or null if it does not
+ * Mirrors buildRuleCondition so the preview explains exactly what the query matched.
+ * @param {Object} rule - Normalized rule
+ * @param {Object} testCase - Test case
+ * @returns {string|null} Human-readable reason
+ */
+function explainRuleMatch({ field, operator, value }, testCase) {
+  const actual = testCase[field];
+
+  if (SUITE_CRITERIA_FIELDS[field].list) {
+    const tags = actual || [];
+    switch (operator) {
+      case 'contains':
+        return tags.includes(value) ? `tags contain "${value}"` : null;
+      case 'notContains':
+        return tags.includes(value) ? null : `tags do not contain "${value}"`;
+      default: {
+        const found = value.filter((tag) => tags.includes(tag));
+        return found.length > 0 ? `tags contain ${found.map((tag) => `"${tag}"`).join(', ')}` : null;
+      }
+    }
+  }
+
+  const shown = actual === null || actual === undefined ? 'not set' : `"${actual}"`;
+
+  switch (operator) {
+    case 'equals':
+      return actual === value ? `${field} is "${actual}"` : null;
+    case 'notEquals':
+      return actual !== value ? `${field} is ${shown} (not "${value}")` : null;
+    case 'in':
+      return value.includes(actual) ? `${field} is "${actual}" (one of ${value.join(', ')})` : null;
+    case 'notIn':
+      return !value.includes(actual) ? `${field} is ${shown} (none of ${value.join(', ')})` : null;
+    default:
+      return actual && actual.toLowerCase().includes(value.toLowerCase())
+        ? `${field} "${actual}" contains "${value}"`
+        : null;
+  }
+}
+
+/**
+ * Helper: Find project test cases matching dynamic suite criteria
+ * Rows are shaped like TestSuiteTestCase so callers can treat dynamic and
+ * static membership the same, e.g. when a suite run snapshots its cases.
+ * @param {number} projectId - Project ID
+ * @param {Object} criteria - Saved criteria
+ * @param {Object} filters - Additional priority/type/status filters
+ * @param {number|null} suiteId - Suite the rows belong to (null for previews)
+ * @returns {Promise<Array>} Rows of { suiteId, testCaseId, order, testCase, matchReasons }
+ */
+async function findMatchingTestCases(projectId, criteria, filters = {}, suiteId = null) {
+  const { match, rules } = normalizeSuiteCriteria(criteria);
+  const { priority, type, status } = filters;
+  const conditions = rules.map(buildRuleCondition);
+
+  const testCases = await prisma.testCase.findMany({
+    where: {
+      projectId: Number(projectId),
+      isDeleted: false,
+      ...(priority && { priority }),
+      ...(type && { type }),
+      ...(status && { status }),
+      ...(match === 'ALL' ? { AND: conditions } : { OR: conditions }),
+    },
+    include: {
+      creator: {
+        select: { id: true, name: true, email: true },
+      },
+      _count: {
+        select: { steps: true },
+      },
+    },
+    orderBy: [
+      { priority: 'asc' },
+      { id: 'asc' },
+    ],
+  });
+
+  return testCases.map((testCase, index) => ({
+    suiteId,
+    testCaseId: testCase.id,
+    order: index + 1,
+    testCase,
+    matchReasons: rules.map((rule) => explainRuleMatch(rule, testCase)).filter(Boolean),
+  }));
+}
+
+/**
+ * Helper: Add the live match count to a dynamic suite
+ * @param {Object} suite - Test suite
+ * @returns {Promise<Object>} Suite, with matchingTestCaseCount when dynamic
+ */
+async function withMatchingTestCaseCount(suite) {
+  if (suite.suiteType !== 'DYNAMIC' || !suite.criteria) {
+    return suite;
+  }
+
+  const { match, rules } = normalizeSuiteCriteria(suite.criteria);
+  const conditions = rules.map(buildRuleCondition);
+  const matchingTestCaseCount = await prisma.testCase.count({
+    where: {
+      projectId: suite.projectId,
+      isDeleted: false,
+      ...(match === 'ALL' ? { AND: conditions } : { OR: conditions }),
+    },
+  });
+
+  return { ...suite, matchingTestCaseCount };
 }
 
 /**
@@ -6,6 +6,30 @@ const prisma = getPrismaClient();
 
 const MAX_CONSECUTIVE_FAILURES = 10;
 const RETRY_DELAYS = [60000, 300000, 900000]; // 1min, 5min, 15min in milliseconds
+const DELIVERY_TIMEOUT_MS = 30000;
+const STALE_DELIVERY_MS = 5 * 60000; // DELIVERING rows older than this were interrupted
+
+export const WEBHOOK_EVENTS = [
+  'TEST_CREATED',
+  'TEST_UPDATED',
+  'TEST_DELETED',
+  'BUG_CREATED',
+  'BUG_UPDATED',
+  'BUG_STATUS_CHANGED',
+  'BUG_ASSIGNED',
+  'EXECUTION_COMPLETED',
+  'EXECUTION_FAILED',
+  'SUITE_COMPLETED',
+  'SUITE_FAILED',
+];
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC over `${timestamp}.${body}`
+ * and reject requests whose timestamp is too old.
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
 
 /**
  * Register a new webhook for a project
@@ -17,7 +41,7 @@ export async function registerWebhook(projectId, data, createdById) {
       name: data.name,
       url: data.url,
       secret: data.secret || crypto.randomBytes(32).toString('hex'),
-      events: data.events || [],
+      events: [...new Set(data.events || [])],
       description: data.description,
       isActive: data.isActive !== undefined ? data.isActive : true,
       createdById,
@@ -64,6 +88,7 @@ export async function getWebhookById(webhookId, projectId) {
 
 /**
  * Update webhook
+ * Re-enabling a webhook clears its failure streak and auto-disable marker.
  */
 export async function updateWebhook(webhookId, projectId, data) {
   const webhook = await prisma.webhook.updateMany({
@@ -74,9 +99,10 @@ export async function updateWebhook(webhookId, projectId, data) {
     data: {
       name: data.name,
       url: data.url,
-      events: data.events,
+      events: data.events ? [...new Set(data.events)] : undefined,
       isActive: data.isActive,
       description: data.description,
+      ...(data.isActive === true && { failureCount: 0, autoDisabledAt: null }),
     },
   });
 
@@ -99,13 +125,14 @@ export async function deleteWebhook(webhookId, projectId) {
 
 /**
  * Trigger webhook for an event
+ * Never throws: event sources must not fail because a webhook could not be queued.
  */
 export async function triggerWebhook(event, payload) {
   try {
     const { projectId, ...eventData } = payload;
 
     if (!projectId) {
-      logError('No projectId provided for webhook trigger', { event, payload });
+      logError('No projectId provided for webhook trigger', null, { event });
       return;
     }
 
@@ -118,188 +145,199 @@ export async function triggerWebhook(event, payload) {
           has: event,
         },
       },
+      select: { id: true },
     });
 
     if (webhooks.length === 0) {
       return;
     }
 
-    // Queue deliveries for each webhook
-    const deliveryPromises = webhooks.map((webhook) =>
-      queueWebhookDelivery(webhook.id, event, eventData),
-    );
+    const body = JSON.stringify({
+      id: crypto.randomUUID(),
+      event,
+      timestamp: new Date().toISOString(),
+      projectId,
+      data: eventData,
+    });
 
-    await Promise.all(deliveryPromises);
+    // Queue deliveries for each webhook
+    await Promise.all(webhooks.map((webhook) => queueWebhookDelivery(webhook.id, event, body)));
   } catch (error) {
-    logError('Error triggering webhooks', { error, event, projectId: payload.projectId });
+    logError('Error triggering webhooks', error, { event, projectId: payload?.projectId });
   }
 }
 
 /**
  * Queue a webhook delivery
+ * The row is due immediately, so the retry job picks it up if the immediate attempt never runs.
  */
-async function queueWebhookDelivery(webhookId, event, payload) {
-  try {
-    const delivery = await prisma.webhookDelivery.create({
-      data: {
-        webhookId,
-        event,
-        payload: JSON.stringify(payload),
-        status: 'PENDING',
-        scheduledAt: new Date(),
-      },
-    });
+async function queueWebhookDelivery(webhookId, event, body) {
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      webhookId,
+      event,
+      payload: body,
+      status: 'PENDING',
+      nextRetryAt: new Date(),
+    },
+  });
 
-    // Attempt immediate delivery (don't await - fire and forget)
-    deliverWebhook(delivery.id).catch((err) => {
-      logError('Failed to deliver webhook', { error: err, deliveryId: delivery.id, webhookId });
-    });
+  // Attempt immediate delivery (don't await - fire and forget)
+  deliverWebhook(delivery.id).catch((err) => {
+    logError('Failed to deliver webhook', err, { deliveryId: delivery.id, webhookId });
+  });
 
-    return delivery;
-  } catch (error) {
-    logError('Error queuing webhook delivery', { error, webhookId, event });
-    throw error;
-  }
+  return delivery;
 }
 
 /**
  * Deliver a webhook
+ * Claims a PENDING delivery, makes one attempt and records the outcome. Failed attempts
+ * are rescheduled with RETRY_DELAYS until they run out.
+ * @returns {Promise<Object|null>} Delivery after the attempt, or null if another worker claimed it
  */
 export async function deliverWebhook(deliveryId) {
-  const startTime = Date.now();
+  // Claim the delivery so the immediate attempt and the retry job never both send it
+  const claimed = await prisma.webhookDelivery.updateMany({
+    where: { id: deliveryId, status: 'PENDING' },
+    data: {
+      status: 'DELIVERING',
+      attemptCount: { increment: 1 },
+    },
+  });
 
-  try {
-    const delivery = await prisma.webhookDelivery.findUnique({
-      where: { id: deliveryId },
-      include: {
-        webhook: true,
-      },
-    });
+  if (claimed.count === 0) {
+    return null;
+  }
 
-    if (!delivery || !delivery.webhook) {
-      throw new Error('Delivery or webhook not found');
-    }
+  const delivery = await prisma.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { webhook: true },
+  });
 
-    const { webhook } = delivery;
+  const { webhook } = delivery;
 
-    // Check if webhook is still active
-    if (!webhook.isActive) {
-      await prisma.webhookDelivery.update({
-        where: { id: deliveryId },
-        data: {
-          status: 'FAILED',
-          errorMessage: 'Webhook is inactive',
-        },
-      });
-      return;
-    }
-
-    // Update status to retrying
-    await prisma.webhookDelivery.update({
+  if (!webhook.isActive) {
+    return prisma.webhookDelivery.update({
       where: { id: deliveryId },
       data: {
-        status: 'RETRYING',
-        attemptCount: { increment: 1 },
+        status: 'FAILED',
+        errorMessage: 'Webhook is inactive',
+        nextRetryAt: null,
       },
     });
+  }
 
-    // Create signature
-    const signature = crypto
-      .createHmac('sha256', webhook.secret)
-      .update(delivery.payload)
-      .digest('hex');
+  const startTime = Date.now();
+  const timestamp = Math.floor(startTime / 1000).toString();
 
-    // Make HTTP request
+  try {
     const response = await fetch(webhook.url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'X-Webhook-Signature': signature,
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, delivery.payload)}`,
+        'X-Webhook-Timestamp': timestamp,
         'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
         'User-Agent': 'TestTrack-Pro-Webhook/1.0',
       },
       body: delivery.payload,
-      signal: AbortSignal.timeout(30000), // 30 second timeout
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
     });
 
     const responseBody = await response.text().catch(() => '');
-    const duration = Date.now() - startTime;
-
-    if (response.ok) {
-      // Success
-      await prisma.webhookDelivery.update({
-        where: { id: deliveryId },
-        data: {
-          status: 'SUCCESS',
-          responseCode: response.status,
-          responseBody: responseBody.substring(0, 1000), // Limit to 1000 chars
-          durationMs: duration,
-          deliveredAt: new Date(),
-        },
-      });
 
-      // Reset failure count on webhook
-      await prisma.webhook.update({
-        where: { id: webhook.id },
-        data: {
-          failureCount: 0,
-          lastSuccessAt: new Date(),
-          lastTriggeredAt: new Date(),
-        },
+    if (!response.ok) {
+      return recordFailedAttempt(delivery, `HTTP ${response.status}: ${responseBody.substring(0, 200)}`, {
+        responseCode: response.status,
+        responseBody: responseBody.substring(0, 1000),
+        durationMs: Date.now() - startTime,
       });
-    } else {
-      // HTTP error
-      throw new Error(`HTTP ${response.status}: ${responseBody.substring(0, 200)}`);
     }
-  } catch (error) {
-    const duration = Date.now() - startTime;
-
-    // Get current delivery to check attempt count
-    const delivery = await prisma.webhookDelivery.findUnique({
-      where: { id: deliveryId },
-      include: { webhook: true },
-    });
-
-    const attemptCount = delivery.attemptCount || 0;
-    const shouldRetry = attemptCount < RETRY_DELAYS.length;
 
-    await prisma.webhookDelivery.update({
+    const updated = await prisma.webhookDelivery.update({
       where: { id: deliveryId },
       data: {
-        status: shouldRetry ? 'PENDING' : 'FAILED',
-        errorMessage: error.message.substring(0, 500),
-        durationMs: duration,
-        nextRetryAt: shouldRetry ? new Date(Date.now() + RETRY_DELAYS[attemptCount]) : null,
+        status: 'SUCCESS',
+        responseCode: response.status,
+        responseBody: responseBody.substring(0, 1000), // Limit to 1000 chars
+        errorMessage: null,
+        durationMs: Date.now() - startTime,
+        deliveredAt: new Date(),
+        nextRetryAt: null,
       },
     });
 
-    // Update webhook failure count
-    const newFailureCount = (delivery.webhook.failureCount || 0) + 1;
+    // Reset failure count on webhook
     await prisma.webhook.update({
-      where: { id: delivery.webhook.id },
+      where: { id: webhook.id },
       data: {
-        failureCount: newFailureCount,
-        lastFailureAt: new Date(),
+        failureCount: 0,
+        lastSuccessAt: new Date(),
         lastTriggeredAt: new Date(),
-        // Auto-disable after max consecutive failures
-        ...(newFailureCount >= MAX_CONSECUTIVE_FAILURES
-          ? {
-              isActive: false,
-              autoDisabledAt: new Date(),
-            }
-          : {}),
       },
     });
 
-    throw error;
+    return updated;
+  } catch (error) {
+    return recordFailedAttempt(delivery, error.message, { durationMs: Date.now() - startTime });
   }
 }
 
+/**
+ * Helper: Reschedule or fail a delivery after an unsuccessful attempt and update the webhook's failure streak
+ */
+async function recordFailedAttempt(delivery, errorMessage, details) {
+  const retryDelay = RETRY_DELAYS[delivery.attemptCount - 1];
+
+  const updated = await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      ...details,
+      status: retryDelay ? 'PENDING' : 'FAILED',
+      errorMessage: errorMessage.substring(0, 500),
+      nextRetryAt: retryDelay ? new Date(Date.now() + retryDelay) : null,
+    },
+  });
+
+  const webhook = await prisma.webhook.update({
+    where: { id: delivery.webhookId },
+    data: {
+      failureCount: { increment: 1 },
+      lastFailureAt: new Date(),
+      lastTriggeredAt: new Date(),
+    },
+  });
+
+  // Auto-disable after max consecutive failures
+  if (webhook.isActive && webhook.failureCount >= MAX_CONSECUTIVE_FAILURES) {
+    await prisma.webhook.update({
+      where: { id: webhook.id },
+      data: {
+        isActive: false,
+        autoDisabledAt: new Date(),
+      },
+    });
+  }
+
+  return updated;
+}
+
 /**
  * Retry failed webhook deliveries
+ * Also requeues deliveries left DELIVERING by an interrupted process.
  */
 export async function retryFailedDeliveries() {
   try {
+    await prisma.webhookDelivery.updateMany({
+      where: {
+        status: 'DELIVERING',
+        updatedAt: { lt: new Date(Date.now() - STALE_DELIVERY_MS) },
+      },
+      data: { status: 'PENDING', nextRetryAt: new Date() },
+    });
+
     const pendingDeliveries = await prisma.webhookDelivery.findMany({
       where: {
         status: 'PENDING',
@@ -307,18 +345,20 @@ export async function retryFailedDeliveries() {
           lte: new Date(),
         },
       },
+      orderBy: { nextRetryAt: 'asc' },
+      select: { id: true },
       take: 50, // Process max 50 at a time
     });
 
     for (const delivery of pendingDeliveries) {
       await deliverWebhook(delivery.id).catch((err) => {
-        logError('Failed to deliver webhook during retry', { error: err, deliveryId: delivery.id });
+        logError('Failed to deliver webhook during retry', err, { deliveryId: delivery.id });
       });
     }
 
     return { processed: pendingDeliveries.length };
   } catch (error) {
-    logError('Error retrying failed webhook deliveries', { error });
+    logError('Error retrying failed webhook deliveries', error);
     throw error;
   }
 }
@@ -326,21 +366,53 @@ export async function retryFailedDeliveries() {
 /**
  * Get webhook deliveries for a webhook
  */
-export async function getWebhookDeliveries(webhookId, { skip = 0, take = 50 } = {}) {
+export async function getWebhookDeliveries(webhookId, projectId, { skip = 0, take = 50 } = {}) {
+  const where = { webhookId, webhook: { projectId } };
+
   const deliveries = await prisma.webhookDelivery.findMany({
-    where: { webhookId },
+    where,
     orderBy: { createdAt: 'desc' },
     skip,
     take,
   });
 
-  const total = await prisma.webhookDelivery.count({
-    where: { webhookId },
-  });
+  const total = await prisma.webhookDelivery.count({ where });
 
   return { deliveries, total };
 }
 
+/**
+ * Redeliver a past delivery
+ * Sends the original body again as a new delivery, so receivers can dedupe on the body's id.
+ */
+export async function redeliverWebhookDelivery(deliveryId, webhookId, projectId) {
+  const original = await prisma.webhookDelivery.findFirst({
+    where: { id: deliveryId, webhookId, webhook: { projectId } },
+    include: { webhook: { select: { isActive: true } } },
+  });
+
+  if (!original) {
+    throw new Error('Delivery not found');
+  }
+
+  if (!original.webhook.isActive) {
+    throw new Error('Enable the webhook before redelivering');
+  }
+
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      webhookId,
+      event: original.event,
+      payload: original.payload,
+      status: 'PENDING',
+      nextRetryAt: new Date(),
+      redeliveredFromId: original.id,
+    },
+  });
+
+  return (await deliverWebhook(delivery.id)) || delivery;
+}
+
 /**
  * Send test webhook ping
  */
@@ -354,11 +426,15 @@ export async function sendTestWebhook(webhookId, projectId) {
   }
 
   const testPayload = {
+    id: crypto.randomUUID(),
     event: 'TEST_PING',
     timestamp: new Date().toISOString(),
-    message: 'This is a test webhook from TestTrack Pro',
-    webhookId: webhook.id,
-    webhookName: webhook.name,
+    projectId,
+    data: {
+      message: 'This is a test webhook from TestTrack Pro',
+      webhookId: webhook.id,
+      webhookName: webhook.name,
+    },
   };
 
   const delivery = await prisma.webhookDelivery.create({
@@ -367,11 +443,9 @@ export async function sendTestWebhook(webhookId, projectId) {
       event: 'TEST_PING',
       payload: JSON.stringify(testPayload),
       status: 'PENDING',
-      scheduledAt: new Date(),
+      nextRetryAt: new Date(),
     },
   });
 
-  await deliverWebhook(delivery.id);
-
-  return delivery;
+  return (await deliverWebhook(delivery.id)) || delivery;
 }
@@ -0,0 +1,21 @@
+/**
+ * The parts of a Fastify instance the services use: jwt (as registered by @fastify/jwt) and log
+ */
+
+import jwt from 'jsonwebtoken';
+
+export function createFastifyStub() {
+  const secret = process.env.JWT_SECRET;
+  return {
+    jwt: {
+      sign: (payload, options = {}) => jwt.sign(payload, secret, options),
+      verify: (token) => jwt.verify(token, secret),
+      decode: (token) => jwt.decode(token),
+    },
+    log: {
+      info: () => {},
+      warn: () => {},
+      error: () => {},
+    },
+  };
+}
@@ -0,0 +1,13 @@
+/**
+ * Module resolution hook: the services' src/lib/prisma.js becomes tests/helpers/prismaMock.js
+ */
+
+const PRISMA_MOCK_URL = new URL('./prismaMock.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  if (resolved.url.endsWith('/src/lib/prisma.js')) {
+    return { ...resolved, url: PRISMA_MOCK_URL, shortCircuit: true };
+  }
+  return resolved;
+}
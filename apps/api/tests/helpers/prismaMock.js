@@ -0,0 +1,515 @@
+/**
+ * IN-MEMORY PRISMA CLIENT FOR UNIT TESTS
+ *
+ * Services call getPrismaClient() when they load, so tests/helpers/register.js points
+ * every import of src/lib/prisma.js at this module instead. Models are created on first
+ * use and keep plain objects; only the query features the services rely on are supported:
+ * equality and not/in/gt/gte/lt/lte/has/hasSome/contains/startsWith filters (mode: 'insensitive'
+ * too), AND/OR/NOT, compound unique keys, orderBy (also on a to-one relation), distinct,
+ * take/skip, select/include, _count and nested create (with the relations registered in
+ * RELATIONS), increment, createMany skipDuplicates (keys in UNIQUE_KEYS), groupBy with
+ * _count and transactions (interactive ones roll back when the callback throws).
+ */
+
+// model -> field -> { model, from, to, many }
+const RELATIONS = {
+  user: {
+    oauthIntegrations: { model: 'oAuthIntegration', from: 'id', to: 'userId', many: true },
+    sessions: { model: 'userSession', from: 'id', to: 'userId', many: true },
+  },
+  oAuthIntegration: {
+    user: { model: 'user', from: 'userId', to: 'id' },
+  },
+  userSession: {
+    user: { model: 'user', from: 'userId', to: 'id' },
+  },
+  issueTrackerIntegration: {
+    project: { model: 'project', from: 'projectId', to: 'id' },
+  },
+  externalIssueLink: {
+    bug: { model: 'bug', from: 'bugId', to: 'id' },
+    integration: { model: 'issueTrackerIntegration', from: 'integrationId', to: 'id' },
+  },
+  bug: {
+    externalIssue: { model: 'externalIssueLink', from: 'id', to: 'bugId' },
+    assignee: { model: 'user', from: 'assigneeId', to: 'id' },
+  },
+  testCase: {
+    customFieldValues: { model: 'customFieldValue', from: 'id', to: 'testCaseId', many: true },
+    steps: { model: 'testCaseStep', from: 'id', to: 'testCaseId', many: true },
+    parameters: { model: 'testCaseParameter', from: 'id', to: 'testCaseId', many: true },
+    dataRows: { model: 'testCaseDataRow', from: 'id', to: 'testCaseId', many: true },
+    quarantinedBy: { model: 'user', from: 'quarantinedById', to: 'id' },
+  },
+  testCaseStep: {
+    testCase: { model: 'testCase', from: 'testCaseId', to: 'id' },
+    sharedStepBlock: { model: 'sharedStepBlock', from: 'sharedStepBlockId', to: 'id' },
+  },
+  sharedStepBlock: {
+    creator: { model: 'user', from: 'createdBy', to: 'id' },
+    steps: { model: 'sharedStep', from: 'id', to: 'blockId', many: true },
+    references: { model: 'testCaseStep', from: 'id', to: 'sharedStepBlockId', many: true },
+  },
+  testCaseVersion: {
+    testCase: { model: 'testCase', from: 'testCaseId', to: 'id' },
+    user: { model: 'user', from: 'changedBy', to: 'id' },
+  },
+  customFieldValue: {
+    customField: { model: 'customField', from: 'customFieldId', to: 'id' },
+  },
+  testRun: {
+    executions: { model: 'testExecution', from: 'id', to: 'testRunId', many: true },
+  },
+  testExecution: {
+    testRun: { model: 'testRun', from: 'testRunId', to: 'id' },
+    testCase: { model: 'testCase', from: 'testCaseId', to: 'id' },
+    steps: { model: 'testExecutionStep', from: 'id', to: 'executionId', many: true },
+    assignee: { model: 'user', from: 'assignedToId', to: 'id' },
+  },
+  testSuiteTestCase: {
+    suite: { model: 'testSuite', from: 'suiteId', to: 'id' },
+    testCase: { model: 'testCase', from: 'testCaseId', to: 'id' },
+  },
+  testCaseFlakiness: {
+    testCase: { model: 'testCase', from: 'testCaseId', to: 'id' },
+  },
+  testExecutionStep: {
+    execution: { model: 'testExecution', from: 'executionId', to: 'id' },
+  },
+  requirement: {
+    creator: { model: 'user', from: 'createdBy', to: 'id' },
+    parent: { model: 'requirement', from: 'parentId', to: 'id' },
+    children: { model: 'requirement', from: 'id', to: 'parentId', many: true },
+    testCases: { model: 'requirementTestCase', from: 'id', to: 'requirementId', many: true },
+  },
+  requirementTestCase: {
+    requirement: { model: 'requirement', from: 'requirementId', to: 'id' },
+    testCase: { model: 'testCase', from: 'testCaseId', to: 'id' },
+  },
+  webhook: {
+    project: { model: 'project', from: 'projectId', to: 'id' },
+    deliveries: { model: 'webhookDelivery', from: 'id', to: 'webhookId', many: true },
+  },
+  webhookDelivery: {
+    webhook: { model: 'webhook', from: 'webhookId', to: 'id' },
+  },
+  qualityGate: {
+    testPlan: { model: 'testPlan', from: 'testPlanId', to: 'id' },
+    createdBy: { model: 'user', from: 'createdById', to: 'id' },
+  },
+  testRunTemplate: {
+    testSuite: { model: 'testSuite', from: 'testSuiteId', to: 'id' },
+    testPlan: { model: 'testPlan', from: 'testPlanId', to: 'id' },
+    createdBy: { model: 'user', from: 'createdById', to: 'id' },
+  },
+  testRunMatrix: {
+    createdBy: { model: 'user', from: 'createdById', to: 'id' },
+    runs: { model: 'testRun', from: 'id', to: 'matrixId', many: true },
+  },
+  projectUserAllocation: {
+    customRole: { model: 'projectRole', from: 'customRoleId', to: 'id' },
+    user: { model: 'user', from: 'userId', to: 'id' },
+    project: { model: 'project', from: 'projectId', to: 'id' },
+  },
+};
+
+// Unique constraints that createMany({ skipDuplicates: true }) honours
+const UNIQUE_KEYS = {
+  requirementTestCase: ['requirementId', 'testCaseId'],
+};
+
+// Columns Prisma fills in when a record is created without them
+const DEFAULTS = {
+  user: () => ({
+    isActive: true,
+    isVerified: true,
+    failedLoginAttempts: 0,
+    lockedUntil: null,
+    lastLoginAt: null,
+    tokenVersion: 0,
+    mfaEnabled: false,
+    mfaSecret: null,
+    mfaRecoveryCodes: [],
+    mfaLastUsedStep: null,
+    password: null,
+  }),
+  userSession: () => ({ revokedAt: null, lastUsedAt: null }),
+  issueTrackerIntegration: () => ({
+    provider: 'JIRA',
+    issueType: 'Bug',
+    authEmail: null,
+    syncComments: true,
+    isActive: true,
+    lastSyncAt: null,
+    lastError: null,
+  }),
+  testExecutionEvidence: () => ({ storageDriver: 'cloudinary', uploadedAt: new Date(), isDeleted: false }),
+  webhook: () => ({ isActive: true, failureCount: 0, autoDisabledAt: null }),
+  webhookDelivery: () => ({ status: 'PENDING', attemptCount: 0, redeliveredFromId: null }),
+  ssoProvider: () => ({
+    isEnabled: true,
+    emailDomains: [],
+    disablePasswordLogin: false,
+    enforcesMfa: false,
+    groupsClaim: 'groups',
+    defaultRole: 'TESTER',
+    scopes: 'openid profile email',
+    roleMappings: null,
+    projectMappings: null,
+  }),
+};
+
+const tables = new Map();
+const counters = new Map();
+
+function getTable(model) {
+  if (!tables.has(model)) {
+    tables.set(model, []);
+    counters.set(model, 0);
+  }
+  return tables.get(model);
+}
+
+function clone(value) {
+  return structuredClone(value);
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+function equals(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a !== null && b !== null && a !== undefined && b !== undefined && new Date(a).getTime() === new Date(b).getTime();
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+function matchesCondition(value, condition) {
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return equals(value, condition);
+  }
+
+  // mode: 'insensitive' compares strings case-insensitively
+  const insensitive = condition.mode === 'insensitive';
+  const fold = (item) => (insensitive && typeof item === 'string' ? item.toLowerCase() : item);
+  const subject = fold(value);
+
+  return Object.entries(condition).every(([operator, rawOperand]) => {
+    const operand = Array.isArray(rawOperand) ? rawOperand.map(fold) : fold(rawOperand);
+    switch (operator) {
+      case 'mode': return true;
+      case 'equals': return equals(subject, operand);
+      case 'not': return !matchesCondition(value, rawOperand);
+      case 'in': return operand.some((item) => equals(subject, item));
+      case 'notIn': return !operand.some((item) => equals(subject, item));
+      case 'gt': return subject !== null && subject !== undefined && subject > operand;
+      case 'gte': return subject !== null && subject !== undefined && subject >= operand;
+      case 'lt': return subject !== null && subject !== undefined && subject < operand;
+      case 'lte': return subject !== null && subject !== undefined && subject <= operand;
+      case 'has': return Array.isArray(subject) && subject.includes(operand);
+      case 'hasSome': return Array.isArray(subject) && operand.some((item) => subject.includes(item));
+      case 'contains': return typeof subject === 'string' && subject.includes(operand);
+      case 'startsWith': return typeof subject === 'string' && subject.startsWith(operand);
+      default: throw new Error(`prismaMock: unsupported filter ${operator}`);
+    }
+  });
+}
+
+function matches(model, record, where = {}) {
+  return Object.entries(where || {}).every(([field, condition]) => {
+    if (condition === undefined) return true;
+    if (field === 'AND') return [].concat(condition).every((part) => matches(model, record, part));
+    if (field === 'OR') return condition.some((part) => matches(model, record, part));
+    if (field === 'NOT') return ![].concat(condition).some((part) => matches(model, record, part));
+
+    const relation = RELATIONS[model]?.[field];
+    if (relation) {
+      const related = getTable(relation.model).filter((item) => equals(item[relation.to], record[relation.from]));
+      if (relation.many) {
+        if (condition.some) return related.some((item) => matches(relation.model, item, condition.some));
+        if (condition.none) return !related.some((item) => matches(relation.model, item, condition.none));
+        if (condition.every) return related.every((item) => matches(relation.model, item, condition.every));
+      }
+      return related.length > 0 && matches(relation.model, related[0], condition.is || condition);
+    }
+
+    // Compound unique key, e.g. provider_providerId: { provider, providerId }
+    if (field.includes('_') && !(field in record) && condition && typeof condition === 'object') {
+      return Object.entries(condition).every(([key, value]) => equals(record[key], value));
+    }
+
+    return matchesCondition(record[field], condition);
+  });
+}
+
+function sortRecords(model, records, orderBy) {
+  const orders = [].concat(orderBy || []);
+  // { testRun: { createdAt: 'desc' } } sorts by a field of a to-one relation
+  const sortValue = (record, field, direction) => {
+    const relation = RELATIONS[model]?.[field];
+    if (!relation || relation.many || typeof direction !== 'object') return [record[field], direction];
+    const related = getTable(relation.model).find((item) => equals(item[relation.to], record[relation.from]));
+    const [[relatedField, relatedDirection]] = Object.entries(direction);
+    return [related?.[relatedField], relatedDirection];
+  };
+
+  return [...records].sort((a, b) => {
+    for (const order of orders) {
+      for (const [field, direction] of Object.entries(order)) {
+        const [valueA, sortDirection] = sortValue(a, field, direction);
+        const [valueB] = sortValue(b, field, direction);
+        const sort = typeof sortDirection === 'object' ? sortDirection.sort : sortDirection;
+        const result = compare(valueA, valueB) * (sort === 'desc' ? -1 : 1);
+        if (result !== 0) return result;
+      }
+    }
+    return 0;
+  });
+}
+
+function distinctRecords(records, distinct) {
+  if (!distinct) return records;
+  const seen = new Set();
+  return records.filter((record) => {
+    const key = JSON.stringify(distinct.map((field) => record[field]));
+    return !seen.has(key) && seen.add(key);
+  });
+}
+
+function shape(model, record, args = {}) {
+  if (!record) return null;
+  const { select, include } = args;
+  const result = select ? {} : clone(record);
+
+  for (const [field, spec] of Object.entries(select || include || {})) {
+    if (!spec) continue;
+    if (field === '_count') {
+      result._count = Object.fromEntries(Object.keys(spec.select || {}).map((countField) => {
+        const counted = RELATIONS[model]?.[countField];
+        const related = counted ? getTable(counted.model).filter((item) => equals(item[counted.to], record[counted.from])) : [];
+        return [countField, related.length];
+      }));
+      continue;
+    }
+    const relation = RELATIONS[model]?.[field];
+    if (!relation) {
+      if (select) result[field] = clone(record[field]);
+      continue;
+    }
+
+    const nested = spec === true ? {} : spec;
+    const related = getTable(relation.model).filter(
+      (item) => equals(item[relation.to], record[relation.from]) && matches(relation.model, item, nested.where),
+    );
+    result[field] = relation.many
+      ? distinctRecords(sortRecords(relation.model, related, nested.orderBy), nested.distinct).map((item) => shape(relation.model, item, nested))
+      : shape(relation.model, related[0] || null, nested);
+  }
+
+  return result;
+}
+
+function applyData(record, data) {
+  for (const [field, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    if (value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) {
+      if ('increment' in value) {
+        record[field] = (record[field] || 0) + value.increment;
+        continue;
+      }
+      if ('decrement' in value) {
+        record[field] = (record[field] || 0) - value.decrement;
+        continue;
+      }
+      if ('set' in value) {
+        record[field] = clone(value.set);
+        continue;
+      }
+    }
+    record[field] = clone(value);
+  }
+  record.updatedAt = new Date();
+  return record;
+}
+
+function createModel(model) {
+  const table = () => getTable(model);
+
+  const findMany = async (args = {}) => {
+    let records = table().filter((record) => matches(model, record, args.where));
+    records = sortRecords(model, records, args.orderBy);
+    records = distinctRecords(records, args.distinct);
+    if (args.skip) records = records.slice(args.skip);
+    if (args.take !== undefined) records = records.slice(0, args.take);
+    return records.map((record) => shape(model, record, args));
+  };
+
+  const findFirst = async (args = {}) => (await findMany({ ...args, take: 1 }))[0] || null;
+
+  const create = async ({ data, ...args }) => {
+    const rows = table();
+    counters.set(model, counters.get(model) + 1);
+    const now = new Date();
+    const record = {
+      id: counters.get(model),
+      createdAt: now,
+      updatedAt: now,
+      ...(DEFAULTS[model]?.() || {}),
+    };
+    // Nested writes: { steps: { create: [...] } } on a to-many relation
+    const nestedCreates = Object.entries(data).filter(([field, value]) => RELATIONS[model]?.[field]?.many && value?.create);
+    applyData(record, Object.fromEntries(Object.entries(data).filter(([field]) => !RELATIONS[model]?.[field])));
+    if (data.updatedAt === undefined) record.updatedAt = now;
+    rows.push(record);
+    for (const [field, { create: items }] of nestedCreates) {
+      const relation = RELATIONS[model][field];
+      for (const item of [].concat(items)) {
+        await prismaMock[relation.model].create({ data: { ...item, [relation.to]: record[relation.from] } });
+      }
+    }
+    return shape(model, record, args);
+  };
+
+  const update = async ({ where, data, ...args }) => {
+    const record = table().find((item) => matches(model, item, where));
+    if (!record) {
+      throw new Error(`prismaMock: ${model} to update not found`);
+    }
+    applyData(record, data);
+    return shape(model, record, args);
+  };
+
+  return {
+    findMany,
+    findFirst,
+    findUnique: findFirst,
+    findFirstOrThrow: async (args) => {
+      const record = await findFirst(args);
+      if (!record) throw new Error(`prismaMock: ${model} not found`);
+      return record;
+    },
+    findUniqueOrThrow: async (args) => {
+      const record = await findFirst(args);
+      if (!record) throw new Error(`prismaMock: ${model} not found`);
+      return record;
+    },
+    count: async (args = {}) => table().filter((record) => matches(model, record, args.where)).length,
+    // Only the _count: { _all: true } aggregate is supported
+    groupBy: async ({ by, where }) => {
+      const groups = new Map();
+      for (const record of table().filter((item) => matches(model, item, where))) {
+        const key = JSON.stringify(by.map((field) => record[field]));
+        if (!groups.has(key)) {
+          groups.set(key, { ...Object.fromEntries(by.map((field) => [field, record[field]])), _count: { _all: 0 } });
+        }
+        groups.get(key)._count._all += 1;
+      }
+      return [...groups.values()];
+    },
+    create,
+    createMany: async ({ data, skipDuplicates }) => {
+      let count = 0;
+      for (const item of data) {
+        const isDuplicate = skipDuplicates && UNIQUE_KEYS[model]
+          && table().some((record) => UNIQUE_KEYS[model].every((field) => equals(record[field], item[field])));
+        if (isDuplicate) continue;
+        await create({ data: item });
+        count += 1;
+      }
+      return { count };
+    },
+    update,
+    updateMany: async ({ where, data }) => {
+      const records = table().filter((record) => matches(model, record, where));
+      records.forEach((record) => applyData(record, data));
+      return { count: records.length };
+    },
+    upsert: async ({ where, create: createData, update: updateData, ...args }) => {
+      const existing = table().find((record) => matches(model, record, where));
+      return existing ? update({ where, data: updateData, ...args }) : create({ data: createData, ...args });
+    },
+    delete: async ({ where }) => {
+      const index = table().findIndex((record) => matches(model, record, where));
+      if (index === -1) throw new Error(`prismaMock: ${model} to delete not found`);
+      return table().splice(index, 1)[0];
+    },
+    deleteMany: async ({ where } = {}) => {
+      const kept = table().filter((record) => !matches(model, record, where));
+      const count = table().length - kept.length;
+      tables.set(model, kept);
+      return { count };
+    },
+  };
+}
+
+const models = new Map();
+
+export const prismaMock = new Proxy(
+  {
+    $connect: async () => {},
+    $disconnect: async () => {},
+    $executeRaw: async () => 0,
+    $queryRaw: async () => [],
+    $transaction: async (work) => {
+      if (Array.isArray(work)) return Promise.all(work);
+      // Interactive transactions roll back every table when the callback throws
+      const snapshot = [...tables].map(([model, rows]) => [model, clone(rows)]);
+      const savedCounters = new Map(counters);
+      try {
+        return await work(prismaMock);
+      } catch (error) {
+        tables.clear();
+        snapshot.forEach(([model, rows]) => tables.set(model, rows));
+        counters.clear();
+        savedCounters.forEach((value, model) => counters.set(model, value));
+        throw error;
+      }
+    },
+  },
+  {
+    get(target, property) {
+      if (property in target || typeof property !== 'string') {
+        return target[property];
+      }
+      if (!models.has(property)) {
+        models.set(property, createModel(property));
+      }
+      return models.get(property);
+    },
+  },
+);
+
+/**
+ * Rows of a model, as stored (tests may change them directly to simulate tampering)
+ * @param {string} model - Model name as used on the client, e.g. 'auditLog'
+ * @returns {Array<Object>}
+ */
+export function getRows(model) {
+  return getTable(model);
+}
+
+/**
+ * Empty every model; call before each test
+ */
+export function resetPrismaMock() {
+  tables.clear();
+  counters.clear();
+}
+
+export function getPrismaClient() {
+  return prismaMock;
+}
+
+export async function ensurePrismaConnected() {}
+
+export async function disconnectPrisma() {}
+
+export function systemQueryRaw() {
+  return prismaMock.$queryRaw();
+}
+
+export default { getPrismaClient };
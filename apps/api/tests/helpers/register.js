@@ -0,0 +1,12 @@
+/**
+ * Preloaded by `npm test` (node --import): test environment variables and the module
+ * hook that swaps src/lib/prisma.js for the in-memory client in prismaMock.js
+ */
+
+import { register } from 'node:module';
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET ||= 'test-jwt-secret';
+process.env.RESEND_API_KEY ||= 're_test_key';
+
+register('./prismaHooks.js', import.meta.url);
@@ -0,0 +1,200 @@
+/**
+ * UNIT TESTS - Audit log hash chain: verification, tamper detection, archiving and export
+ *
+ * Tampering is simulated by editing the stored rows of the in-memory client directly,
+ * the way someone with database access would.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  appendChainedEntry,
+  verifyAuditChain,
+  sealAuditChains,
+  archiveExpiredAuditEntries,
+  streamAuditExport,
+} from '../../src/services/auditChainService.js';
+
+async function appendEntries(count, description = 'Updated test case') {
+  for (let index = 1; index <= count; index++) {
+    await appendChainedEntry('audit', {
+      userId: 1,
+      action: 'TEST_CASE_UPDATED',
+      resourceType: 'TEST_CASE',
+      resourceId: index,
+      description: `${description} ${index}`,
+    });
+  }
+}
+
+function auditRows() {
+  return getRows('auditLog');
+}
+
+function issueTypes(result) {
+  return result.issues.map((issue) => issue.type);
+}
+
+async function collect(stream) {
+  let output = '';
+  for await (const chunk of stream) {
+    output += chunk;
+  }
+  return output;
+}
+
+describe('Audit chain', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+  });
+
+  it('links each entry to the one before it and verifies an untouched chain', async () => {
+    await appendEntries(3);
+
+    const [first, second, third] = auditRows();
+    assert.deepEqual([first.sequence, second.sequence, third.sequence], [1, 2, 3]);
+    assert.equal(first.previousHash, null);
+    assert.equal(second.previousHash, first.hash);
+    assert.equal(third.previousHash, second.hash);
+
+    const result = await verifyAuditChain('audit');
+    assert.equal(result.valid, true);
+    assert.equal(result.checkedEntries, 3);
+    assert.deepEqual(result.head, { sequence: 3, hash: third.hash, timestamp: third.timestamp });
+  });
+
+  it('reports an edited entry', async () => {
+    await appendEntries(3);
+
+    auditRows()[1].description = 'Nothing to see here';
+
+    const result = await verifyAuditChain('audit');
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.issues, [{ type: 'MODIFIED', sequence: 2, id: auditRows()[1].id, archived: false }]);
+  });
+
+  it('reports a deleted entry as a gap', async () => {
+    await appendEntries(3);
+
+    auditRows().splice(1, 1);
+
+    const result = await verifyAuditChain('audit');
+    assert.deepEqual(result.issues, [{ type: 'GAP', fromSequence: 2, toSequence: 2 }]);
+  });
+
+  it('reports a broken link when entries are renumbered to hide a deletion', async () => {
+    await appendEntries(3);
+
+    const rows = auditRows();
+    rows.splice(1, 1);
+    rows[1].sequence = 2;
+
+    const result = await verifyAuditChain('audit');
+    assert.deepEqual(issueTypes(result), ['MODIFIED', 'BROKEN_LINK']);
+  });
+
+  it('reports entries written outside the API', async () => {
+    await appendEntries(2);
+
+    await prismaMock.auditLog.create({ data: { userId: 1, action: 'BACKDOOR', timestamp: new Date(), sequence: null } });
+
+    const result = await verifyAuditChain('audit');
+    assert.deepEqual(issueTypes(result), ['UNSEALED']);
+    assert.equal(result.checkedEntries, 3);
+  });
+
+  it('detects deleted newest entries only against a recorded head', async () => {
+    await appendEntries(3);
+    const { head } = await verifyAuditChain('audit');
+
+    auditRows().pop();
+
+    assert.equal((await verifyAuditChain('audit')).valid, true);
+    const result = await verifyAuditChain('audit', head);
+    assert.deepEqual(result.issues, [{ type: 'ANCHOR_MISMATCH', sequence: 3, reason: 'Anchor entry is missing' }]);
+  });
+
+  it('detects a rewritten newest entry against a recorded head', async () => {
+    await appendEntries(2);
+    const { head } = await verifyAuditChain('audit');
+
+    // Rebuilt from scratch with the real HMAC, e.g. by someone who cleared the chain columns
+    auditRows().splice(0);
+    await appendEntries(2, 'Rewritten test case');
+
+    assert.equal((await verifyAuditChain('audit')).valid, true);
+    assert.deepEqual(issueTypes(await verifyAuditChain('audit', head)), ['ANCHOR_MISMATCH']);
+  });
+
+  it('seals entries written before chaining, oldest first', async () => {
+    for (const action of ['LEGACY_ONE', 'LEGACY_TWO']) {
+      await prismaMock.auditLog.create({ data: { userId: 1, action, timestamp: new Date(), sequence: null, hash: null } });
+    }
+
+    assert.deepEqual(await sealAuditChains(), { audit: 2, chat: 0 });
+    assert.deepEqual(await sealAuditChains(), { audit: 0, chat: 0 });
+    await appendEntries(1);
+
+    assert.deepEqual(auditRows().map((row) => [row.action, row.sequence]), [
+      ['LEGACY_ONE', 1],
+      ['LEGACY_TWO', 2],
+      ['TEST_CASE_UPDATED', 3],
+    ]);
+    assert.equal((await verifyAuditChain('audit')).valid, true);
+  });
+
+  it('archives expired entries without breaking the chain', async () => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2020-01-01T00:00:00Z') });
+    try {
+      await appendEntries(2);
+    } finally {
+      mock.timers.reset();
+    }
+    await appendEntries(1);
+
+    const archived = await archiveExpiredAuditEntries();
+
+    assert.equal(archived.audit, 2);
+    assert.deepEqual(auditRows().map((row) => row.sequence), [3]);
+    assert.deepEqual(getRows('auditLogArchive').map((row) => row.sequence), [1, 2]);
+    const result = await verifyAuditChain('audit');
+    assert.equal(result.valid, true);
+    assert.equal(result.checkedEntries, 3);
+
+    getRows('auditLogArchive')[0].action = 'LOGIN';
+    assert.deepEqual((await verifyAuditChain('audit')).issues.map(({ type, archived: fromArchive }) => [type, fromArchive]), [
+      ['MODIFIED', true],
+    ]);
+  });
+
+  it('exports archived and live entries in chain order with their hashes', async () => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2020-01-01T00:00:00Z') });
+    try {
+      await appendEntries(1);
+    } finally {
+      mock.timers.reset();
+    }
+    await appendEntries(1);
+    await archiveExpiredAuditEntries();
+
+    const rows = (await collect(streamAuditExport('audit', {}, 'ndjson')))
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(rows.map((row) => [row.sequence, row.archived]), [[1, true], [2, false]]);
+    assert.equal(rows[1].previousHash, rows[0].hash);
+    assert.equal(rows[0].timestamp, '2020-01-01T00:00:00.000Z');
+
+    const csv = (await collect(streamAuditExport('audit', {}, 'csv'))).trim().split('\n');
+    assert.equal(csv.length, 3);
+    assert.match(csv[0], /^sequence,id,userId,action,/);
+    await assert.rejects(collect(streamAuditExport('audit', {}, 'xml')), /Unsupported export format/);
+  });
+
+  it('rejects unknown chains', async () => {
+    await assert.rejects(verifyAuditChain('billing'), /Unknown audit chain: billing/);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * UNIT TESTS - Bug duplicate detection: candidate search, scoring and shared test context
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock } from '../helpers/prismaMock.js';
+import { findDuplicateBugCandidates } from '../../src/services/bugDuplicateService.js';
+
+const TEST_CASE_ID = 7;
+const EXECUTION_ID = 9;
+
+const draft = {
+  title: 'Checkout button unresponsive on Safari',
+  description: 'Payment button does nothing',
+  testCaseId: String(TEST_CASE_ID),
+  executionId: EXECUTION_ID,
+};
+
+let bugNumber = 0;
+
+/**
+ * Bug with the SearchIndex row the search indexer would write for it (none when searchText is null)
+ */
+async function createBug(title, searchText, { status = 'NEW', projectId = 1, ...fields } = {}) {
+  bugNumber++;
+  const bug = await prismaMock.bug.create({
+    data: {
+      projectId,
+      bugNumber: `WEB-${String(bugNumber).padStart(3, '0')}`,
+      title,
+      status,
+      severity: 'MAJOR',
+      priority: 'P2',
+      testCaseId: null,
+      executionId: null,
+      assigneeId: null,
+      createdAt: new Date(Date.UTC(2026, 9, bugNumber)),
+      ...fields,
+    },
+  });
+  if (searchText !== null) {
+    await prismaMock.searchIndex.create({
+      data: { projectId, resourceType: 'BUG', resourceId: bug.id, title, searchText, updatedAt: bug.createdAt },
+    });
+  }
+  return bug;
+}
+
+function summarize(candidates) {
+  return candidates.map((candidate) => [candidate.title, candidate.score, candidate.reasons]);
+}
+
+describe('findDuplicateBugCandidates', () => {
+  beforeEach(async () => {
+    resetPrismaMock();
+    bugNumber = 0;
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: 1 } });
+    await prismaMock.user.create({ data: { name: 'Dana', email: 'dana@example.com', role: 'DEVELOPER' } });
+  });
+
+  it('ranks open bugs by text similarity plus the shared test context', async () => {
+    const same = await createBug(
+      'Checkout button unresponsive in Safari',
+      'Checkout button unresponsive in Safari Payment button does nothing MAJOR NEW',
+      { assigneeId: 1 },
+    );
+    await createBug('Safari layout broken', 'Safari layout broken Footer overlaps checkout summary');
+    await createBug('Button colour in dark theme', 'Button colour in dark theme');
+    await createBug('Export PDF fails', null, { testCaseId: TEST_CASE_ID, executionId: EXECUTION_ID });
+    await createBug('Export CSV missing header', null, { testCaseId: TEST_CASE_ID });
+    await createBug('Checkout button unresponsive in Safari', 'Checkout button unresponsive in Safari', { status: 'VERIFIED_FIXED' });
+    await createBug('Checkout button unresponsive in Safari', 'Checkout button unresponsive in Safari', { projectId: 2 });
+
+    const candidates = await findDuplicateBugCandidates(1, draft);
+
+    // Dice overlap weighs the title 0.6 and the indexed text 0.4; "Button colour" stays under the 25 cut-off
+    assert.deepEqual(summarize(candidates), [
+      ['Checkout button unresponsive in Safari', 100, ['SIMILAR_TITLE', 'SIMILAR_TEXT']],
+      ['Export PDF fails', 40, ['SAME_EXECUTION']],
+      ['Safari layout broken', 29, ['SIMILAR_TEXT']],
+      ['Export CSV missing header', 25, ['SAME_TEST_CASE']],
+    ]);
+    assert.deepEqual(
+      [candidates[0].id, candidates[0].bugNumber, candidates[0].severity, candidates[0].assignee],
+      [same.id, 'WEB-001', 'MAJOR', { id: 1, name: 'Dana' }],
+    );
+  });
+
+  it('leaves out the bug being checked and honours the limit', async () => {
+    const same = await createBug('Checkout button unresponsive in Safari', 'Checkout button unresponsive in Safari');
+    await createBug('Export PDF fails', null, { executionId: EXECUTION_ID });
+    await createBug('Export CSV missing header', null, { testCaseId: TEST_CASE_ID });
+
+    const others = await findDuplicateBugCandidates(1, { ...draft, excludeBugId: String(same.id) });
+    assert.deepEqual(others.map((candidate) => candidate.title), ['Export PDF fails', 'Export CSV missing header']);
+
+    const top = await findDuplicateBugCandidates('1', draft, '1');
+    assert.deepEqual(top.map((candidate) => candidate.id), [same.id]);
+  });
+
+  it('treats the closed states of a custom workflow as resolved', async () => {
+    await prismaMock.bugWorkflow.create({
+      data: {
+        projectId: 1,
+        states: [
+          { key: 'TRIAGE', label: 'Triage', isInitial: true, isClosed: false },
+          { key: 'DONE', label: 'Done', isInitial: false, isClosed: true },
+        ],
+        transitions: [],
+        assignedState: null,
+      },
+    });
+    await createBug('Checkout button unresponsive in Safari', 'Checkout button unresponsive in Safari', { status: 'DONE' });
+    const open = await createBug('Safari checkout button unresponsive', 'Safari checkout button unresponsive', { status: 'TRIAGE' });
+
+    const candidates = await findDuplicateBugCandidates(1, draft);
+
+    assert.deepEqual(candidates.map((candidate) => candidate.id), [open.id]);
+  });
+
+  it('returns nothing for drafts without words or test context to match on', async () => {
+    await createBug('The page', 'The page', { testCaseId: TEST_CASE_ID });
+
+    assert.deepEqual(await findDuplicateBugCandidates(1), []);
+    assert.deepEqual(await findDuplicateBugCandidates(1, { title: 'The page is not there', description: 'Click it' }), []);
+    assert.deepEqual(await findDuplicateBugCandidates(1, { title: 'Invoice rounding error' }), []);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * UNIT TESTS - Bug workflows: transitions, role rules, required fields and auto-assignment
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  DEFAULT_BUG_WORKFLOW,
+  getProjectBugWorkflow,
+  getInitialBugStatus,
+  getResolvedBugStatuses,
+  resolveBugTransition,
+  getAvailableBugTransitions,
+  saveProjectBugWorkflow,
+  resetProjectBugWorkflow,
+} from '../../src/services/bugWorkflowService.js';
+
+const ADMIN_ID = 1;
+
+const permissionContext = {
+  validated: true,
+  projectId: 1,
+  permissions: ['bugWorkflow:manage'],
+};
+
+/**
+ * Triage -> fixing -> review -> done; only developers fix, and a fix needs a root cause
+ */
+const REVIEW_WORKFLOW = {
+  states: [
+    { key: 'triage', label: 'Triage', isInitial: true },
+    { key: 'FIXING', label: 'Fixing' },
+    { key: 'REVIEW', label: 'In Review' },
+    { key: 'DONE', label: 'Done', isClosed: true },
+  ],
+  assignedState: 'FIXING',
+  transitions: [
+    { from: ['TRIAGE'], to: 'FIXING', roles: ['ADMIN', 'TESTER'], autoAssign: { strategy: 'USER', userId: '7' } },
+    { from: 'FIXING', to: 'REVIEW', roles: ['DEVELOPER'], requiredFields: ['rootCauseCategory'] },
+    { from: ['REVIEW'], to: 'FIXING', roles: ['TESTER'], autoAssign: { strategy: 'REPORTER' } },
+    { from: ['REVIEW'], to: 'DONE', roles: ['TESTER'], autoAssign: { strategy: 'UNASSIGN' } },
+  ],
+};
+
+function save(definition) {
+  return saveProjectBugWorkflow(1, definition, ADMIN_ID, {}, permissionContext);
+}
+
+async function createBug(status) {
+  return prismaMock.bug.create({ data: { projectId: 1, title: 'Checkout fails', status, reportedBy: 3, assigneeId: 7 } });
+}
+
+describe('resolveBugTransition', () => {
+  const bug = { status: 'FIXING', reportedBy: 3, assigneeId: 7, rootCauseCategory: null };
+  let workflow;
+
+  beforeEach(async () => {
+    resetPrismaMock();
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: ADMIN_ID } });
+    await prismaMock.projectUserAllocation.create({ data: { projectId: 1, userId: 7, isActive: true } });
+    workflow = await save(REVIEW_WORKFLOW);
+  });
+
+  it('enforces source states and roles', () => {
+    assert.throws(() => resolveBugTransition(workflow, bug, 'CLOSED', 'TESTER'), /Invalid status: CLOSED/);
+    assert.throws(
+      () => resolveBugTransition(workflow, { status: 'TRIAGE' }, 'DONE', 'TESTER'),
+      /Transition from TRIAGE to DONE is not allowed/,
+    );
+    assert.throws(
+      () => resolveBugTransition(workflow, bug, 'REVIEW', 'TESTER', { rootCauseCategory: 'CODE' }),
+      /Only DEVELOPER can move bugs from FIXING to REVIEW/,
+    );
+  });
+
+  it('requires transition fields unless the bug already has them', () => {
+    assert.throws(
+      () => resolveBugTransition(workflow, bug, 'REVIEW', 'DEVELOPER', { rootCauseCategory: ' ' }),
+      /Fields required to move to REVIEW: rootCauseCategory/,
+    );
+
+    const { data } = resolveBugTransition(workflow, bug, 'REVIEW', 'DEVELOPER', {
+      rootCauseCategory: 'CODE',
+      actualFixHours: '2.5',
+      severity: 'CRITICAL',
+    });
+    assert.deepEqual(data, { rootCauseCategory: 'CODE', actualFixHours: 2.5, status: 'REVIEW' });
+
+    const analysed = { ...bug, rootCauseCategory: 'CONFIG' };
+    assert.deepEqual(resolveBugTransition(workflow, analysed, 'REVIEW', 'DEVELOPER').data, { status: 'REVIEW' });
+  });
+
+  it('auto-assigns and closes as the transition says', () => {
+    assert.equal(resolveBugTransition(workflow, { status: 'TRIAGE' }, 'FIXING', 'ADMIN').data.assigneeId, 7);
+    assert.equal(resolveBugTransition(workflow, { ...bug, status: 'REVIEW' }, 'FIXING', 'TESTER').data.assigneeId, 3);
+
+    const { data } = resolveBugTransition(workflow, { ...bug, status: 'REVIEW' }, 'DONE', 'TESTER');
+    assert.equal(data.assigneeId, null);
+    assert.ok(data.closedAt instanceof Date);
+  });
+
+  it('keeps the rules of the default workflow', () => {
+    const fixed = resolveBugTransition(DEFAULT_BUG_WORKFLOW, { status: 'IN_PROGRESS' }, 'FIXED', 'DEVELOPER');
+    assert.deepEqual(fixed.data, { status: 'FIXED' });
+    assert.throws(
+      () => resolveBugTransition(DEFAULT_BUG_WORKFLOW, { status: 'FIXED' }, 'VERIFIED_FIXED', 'DEVELOPER'),
+      /Only TESTER can move bugs/,
+    );
+    assert.equal(getInitialBugStatus(DEFAULT_BUG_WORKFLOW), 'NEW');
+    assert.equal(getInitialBugStatus(DEFAULT_BUG_WORKFLOW, true), 'ASSIGNED');
+  });
+});
+
+describe('Project bug workflows', () => {
+  beforeEach(async () => {
+    resetPrismaMock();
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: ADMIN_ID } });
+    await prismaMock.projectUserAllocation.create({ data: { projectId: 1, userId: 7, isActive: true } });
+  });
+
+  it('uses the default workflow until one is saved', async () => {
+    const workflow = await getProjectBugWorkflow(1);
+
+    assert.equal(workflow.isDefault, true);
+    assert.equal(workflow.states.length, DEFAULT_BUG_WORKFLOW.states.length);
+  });
+
+  it('normalizes and stores a valid definition', async () => {
+    const workflow = await save(REVIEW_WORKFLOW);
+
+    assert.equal(workflow.isDefault, false);
+    assert.deepEqual(workflow.states.map((entry) => entry.key), ['TRIAGE', 'FIXING', 'REVIEW', 'DONE']);
+    assert.deepEqual(workflow.transitions[0].autoAssign, { strategy: 'USER', userId: 7 });
+    assert.deepEqual(workflow.transitions[1].from, ['FIXING']);
+    assert.equal(getInitialBugStatus(workflow), 'TRIAGE');
+    assert.equal(getInitialBugStatus(workflow, true), 'FIXING');
+    assert.deepEqual(getResolvedBugStatuses(workflow).slice(0, 2), ['DONE', 'VERIFIED_FIXED']);
+    assert.equal(getRows('auditLog').at(-1).action, 'BUG_WORKFLOW_UPDATED');
+  });
+
+  it('rejects invalid definitions', async () => {
+    const withTransitions = (transitions) => ({ ...REVIEW_WORKFLOW, transitions });
+    const invalid = [
+      [{ states: [] }, /at least one state/],
+      [{ ...REVIEW_WORKFLOW, states: [{ key: 'open-bug', isInitial: true }] }, /Invalid state key "open-bug"/],
+      [{ ...REVIEW_WORKFLOW, states: [{ key: 'A', isInitial: true }, { key: 'a' }] }, /Duplicate state "A"/],
+      [{ ...REVIEW_WORKFLOW, states: [{ key: 'A' }] }, /exactly one initial state/],
+      [{ ...REVIEW_WORKFLOW, assignedState: 'ASSIGNED' }, /Assigned state "ASSIGNED" is not a workflow state/],
+      [withTransitions([{ to: 'CLOSED', roles: ['TESTER'] }]), /Transition 1: target state "CLOSED"/],
+      [withTransitions([{ from: ['NEW'], to: 'DONE', roles: ['TESTER'] }]), /unknown source state\(s\) NEW/],
+      [withTransitions([{ to: 'DONE', roles: ['MANAGER'] }]), /roles must be a non-empty list/],
+      [withTransitions([{ to: 'DONE', roles: ['TESTER'], requiredFields: ['title'] }]), /unknown required field\(s\) title/],
+      [withTransitions([{ to: 'DONE', roles: ['TESTER'], autoAssign: { strategy: 'USER' } }]), /needs a userId/],
+      [withTransitions([{ to: 'DONE', roles: ['TESTER'], autoAssign: { strategy: 'USER', userId: 99 } }]), /not members of the project: 99/],
+    ];
+
+    for (const [definition, message] of invalid) {
+      await assert.rejects(save(definition), message);
+    }
+    assert.deepEqual(getRows('bugWorkflow'), []);
+  });
+
+  it('keeps states that bugs are still in', async () => {
+    await createBug('NEW');
+    await createBug('NEW');
+
+    await assert.rejects(save(REVIEW_WORKFLOW), /Bugs are still in states missing from the workflow: NEW \(2\)/);
+  });
+
+  it('lists the transitions a role can take from the current state', async () => {
+    await save(REVIEW_WORKFLOW);
+    const bug = await createBug('REVIEW');
+
+    const forTester = await getAvailableBugTransitions(1, bug.id, 'TESTER');
+    const forDeveloper = await getAvailableBugTransitions(1, bug.id, 'DEVELOPER');
+
+    assert.deepEqual(forTester.transitions.map((entry) => [entry.to, entry.autoAssign]), [
+      ['FIXING', { strategy: 'REPORTER' }],
+      ['DONE', { strategy: 'UNASSIGN' }],
+    ]);
+    assert.deepEqual(forDeveloper.transitions, []);
+    await assert.rejects(getAvailableBugTransitions(2, bug.id, 'TESTER'), /Bug not found/);
+  });
+
+  it('resets to the default only when every bug fits it', async () => {
+    await save(REVIEW_WORKFLOW);
+    const bug = await createBug('REVIEW');
+
+    await assert.rejects(
+      resetProjectBugWorkflow(1, ADMIN_ID, {}, permissionContext),
+      /1 bug\(s\) are in states the default workflow does not have/,
+    );
+
+    await prismaMock.bug.update({ where: { id: bug.id }, data: { status: 'CLOSED' } });
+    const workflow = await resetProjectBugWorkflow(1, ADMIN_ID, {}, permissionContext);
+    assert.equal(workflow.isDefault, true);
+    assert.deepEqual(getRows('bugWorkflow'), []);
+  });
+});
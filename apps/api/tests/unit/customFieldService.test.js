@@ -0,0 +1,150 @@
+/**
+ * UNIT TESTS - Custom field values: validation, required fields, storage and filters
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  normalizeCustomFieldValue,
+  parseCustomFieldValue,
+  withCustomFields,
+  resolveCustomFieldValues,
+  saveCustomFieldValues,
+  getEntityCustomFieldValues,
+  parseCustomFieldFilters,
+  buildCustomFieldConditions,
+} from '../../src/services/customFieldService.js';
+
+const field = (fieldType, extra = {}) => ({ id: 1, name: 'Field', fieldType, options: [], ...extra });
+
+async function createFields() {
+  const definitions = [
+    { name: 'Component', fieldType: 'SELECT', options: ['Checkout', 'Search'], entityType: 'ALL', isRequired: true },
+    { name: 'Story points', fieldType: 'NUMBER', entityType: 'TEST_CASE' },
+    { name: 'Automated', fieldType: 'CHECKBOX', entityType: 'TEST_CASE' },
+    { name: 'Notes', fieldType: 'TEXT', entityType: 'TEST_CASE' },
+    { name: 'Found in', fieldType: 'TEXT', entityType: 'BUG' },
+    { name: 'Retired', fieldType: 'TEXT', entityType: 'ALL', isActive: false },
+  ];
+  for (const [order, definition] of definitions.entries()) {
+    await prismaMock.customField.create({
+      data: { projectId: 1, options: [], isRequired: false, isActive: true, order, ...definition },
+    });
+  }
+}
+
+describe('normalizeCustomFieldValue', () => {
+  it('stores each type in a canonical text form', () => {
+    assert.equal(normalizeCustomFieldValue(field('TEXT'), '  hello '), 'hello');
+    assert.equal(normalizeCustomFieldValue(field('NUMBER'), '3.50'), '3.5');
+    assert.equal(normalizeCustomFieldValue(field('SELECT', { options: ['A', 'B'] }), 'B'), 'B');
+    assert.equal(normalizeCustomFieldValue(field('DATE'), '2026-03-04T15:00:00Z'), '2026-03-04');
+    assert.equal(normalizeCustomFieldValue(field('CHECKBOX'), 'Yes'), 'true');
+    assert.equal(normalizeCustomFieldValue(field('CHECKBOX'), false), 'false');
+  });
+
+  it('treats empty values as cleared', () => {
+    assert.equal(normalizeCustomFieldValue(field('NUMBER'), '  '), null);
+    assert.equal(normalizeCustomFieldValue(field('SELECT'), null), null);
+    assert.equal(normalizeCustomFieldValue(field('TEXT'), undefined), null);
+  });
+
+  it('rejects values that do not fit the type', () => {
+    assert.throws(() => normalizeCustomFieldValue(field('NUMBER'), 'many'), /"Field" must be a number/);
+    assert.throws(() => normalizeCustomFieldValue(field('NUMBER'), true), /must be a number/);
+    assert.throws(
+      () => normalizeCustomFieldValue(field('SELECT', { options: ['A', 'B'] }), 'C'),
+      /"Field" must be one of: A, B/,
+    );
+    assert.throws(() => normalizeCustomFieldValue(field('DATE'), 'someday'), /must be a valid date/);
+    assert.throws(() => normalizeCustomFieldValue(field('CHECKBOX'), 'maybe'), /must be true or false/);
+    assert.throws(() => normalizeCustomFieldValue(field('RATING'), 5), /unsupported type RATING/);
+  });
+
+  it('reads stored values back as typed values', () => {
+    assert.equal(parseCustomFieldValue('NUMBER', '3.5'), 3.5);
+    assert.equal(parseCustomFieldValue('CHECKBOX', 'false'), false);
+    assert.equal(parseCustomFieldValue('DATE', '2026-03-04'), '2026-03-04');
+    assert.equal(parseCustomFieldValue('TEXT', null), null);
+    assert.deepEqual(
+      withCustomFields({ id: 7, customFieldValues: [{ value: '2', customField: { name: 'Story points', fieldType: 'NUMBER' } }] }),
+      { id: 7, customFields: { 'Story points': 2 } },
+    );
+  });
+});
+
+describe('Custom field values', () => {
+  beforeEach(async () => {
+    resetPrismaMock();
+    await createFields();
+  });
+
+  it('accepts fields of the entity type and ALL, and rejects the rest', async () => {
+    const entries = await resolveCustomFieldValues(1, 'TEST_CASE', { Component: 'Search', 'Story points': '5' });
+    assert.deepEqual(entries.map(({ field: { name }, value }) => [name, value]), [
+      ['Component', 'Search'],
+      ['Story points', '5'],
+    ]);
+
+    await assert.rejects(
+      resolveCustomFieldValues(1, 'TEST_CASE', { Component: 'Search', 'Found in': '2.1', Retired: 'x' }),
+      /Unknown custom field\(s\): Found in, Retired/,
+    );
+    await assert.rejects(resolveCustomFieldValues(1, 'BUG', ['Component']), /must be an object keyed by field name/);
+  });
+
+  it('checks required fields against stored values on partial updates', async () => {
+    await assert.rejects(
+      resolveCustomFieldValues(1, 'TEST_CASE', { Automated: true }),
+      /Missing required custom field\(s\): Component/,
+    );
+    await assert.rejects(
+      resolveCustomFieldValues(1, 'TEST_CASE', { Component: '' }, { existingValues: { Component: 'Search' } }),
+      /Missing required custom field\(s\): Component/,
+    );
+
+    const entries = await resolveCustomFieldValues(1, 'TEST_CASE', { Automated: true }, {
+      existingValues: { Component: 'Search' },
+    });
+    assert.equal(entries.length, 1);
+    assert.equal((await resolveCustomFieldValues(1, 'BUG', {}, { enforceRequired: false })).length, 0);
+  });
+
+  it('replaces the submitted values and deletes cleared ones', async () => {
+    const first = await resolveCustomFieldValues(1, 'TEST_CASE', { Component: 'Search', Notes: 'Flaky on CI' });
+    await saveCustomFieldValues('TEST_CASE', 10, first);
+    await saveCustomFieldValues('TEST_CASE', 11, first);
+
+    const update = await resolveCustomFieldValues(1, 'TEST_CASE', { Component: 'Checkout', Notes: '' });
+    await saveCustomFieldValues('TEST_CASE', 10, update);
+
+    assert.deepEqual(await getEntityCustomFieldValues('TEST_CASE', 10), { Component: 'Checkout' });
+    assert.deepEqual(await getEntityCustomFieldValues('TEST_CASE', 11), { Component: 'Search', Notes: 'Flaky on CI' });
+    assert.equal(getRows('customFieldValue').length, 3);
+    await assert.rejects(saveCustomFieldValues('REQUIREMENT', 1, update), /Invalid custom field entity type/);
+  });
+
+  it('filters test cases by value, matching text by substring and ignoring case', async () => {
+    for (const [id, values] of [[1, { Component: 'Checkout', Notes: 'Fails on Safari' }], [2, { Component: 'Search' }]]) {
+      await prismaMock.testCase.create({ data: { id, projectId: 1, name: `Case ${id}` } });
+      await saveCustomFieldValues('TEST_CASE', id, await resolveCustomFieldValues(1, 'TEST_CASE', values));
+    }
+
+    const find = async (filters) => {
+      const conditions = await buildCustomFieldConditions(1, 'TEST_CASE', parseCustomFieldFilters(filters));
+      const testCases = await prismaMock.testCase.findMany({ where: { AND: conditions } });
+      return testCases.map((testCase) => testCase.id);
+    };
+
+    assert.deepEqual(await find('{"Component":"Search"}'), [2]);
+    assert.deepEqual(await find({ Notes: 'safari' }), [1]);
+    assert.deepEqual(await find({ Notes: '' }), [1, 2]);
+    await assert.rejects(find({ Severity: 'High' }), /Unknown custom field: Severity/);
+    assert.throws(() => parseCustomFieldFilters('Component=Search'), /must be a JSON object/);
+    assert.throws(() => parseCustomFieldFilters('[1]'), /must be a JSON object/);
+    assert.equal(parseCustomFieldFilters(''), null);
+  });
+});
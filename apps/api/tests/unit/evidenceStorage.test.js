@@ -0,0 +1,237 @@
+/**
+ * UNIT TESTS - Evidence storage: local driver, signed URLs and migration between drivers
+ *
+ * The local driver writes to a temporary directory. The S3 driver talks to a minimal
+ * path-style object store on a free local port that keeps objects in memory and does
+ * not check signatures.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import Fastify from 'fastify';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import { verifyEvidenceUrl } from '../../src/lib/evidenceStorage.js';
+import { signEvidenceUrl } from '../../src/lib/storageDrivers/signing.js';
+import { resolveLocalEvidencePath } from '../../src/lib/storageDrivers/localDriver.js';
+import {
+  createSignedEvidenceUpload,
+  createEvidenceRecord,
+  listEvidence,
+  migrateEvidenceStorage,
+} from '../../src/services/evidenceService.js';
+import { evidenceRoutes } from '../../src/routes/evidence.js';
+
+let app;
+let s3Server;
+let s3Objects;
+let localDir;
+
+function startObjectStore() {
+  s3Server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const key = decodeURIComponent(pathname);
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => {
+      if (request.method === 'PUT') {
+        s3Objects.set(key, Buffer.concat(chunks));
+        response.writeHead(200);
+      } else if (!s3Objects.has(key)) {
+        response.writeHead(404);
+      } else if (request.method === 'DELETE') {
+        s3Objects.delete(key);
+        response.writeHead(204);
+      } else {
+        response.writeHead(200, { 'Content-Length': s3Objects.get(key).length });
+        if (request.method === 'GET') {
+          response.end(s3Objects.get(key));
+          return;
+        }
+      }
+      response.end();
+    });
+  });
+  return new Promise((resolve) => s3Server.listen(0, '127.0.0.1', resolve));
+}
+
+async function createExecution() {
+  await prismaMock.project.create({ data: { name: 'Web', ownerId: 1 } });
+  await prismaMock.testCase.create({ data: { projectId: 1, name: 'Checkout' } });
+  await prismaMock.testRun.create({ data: { projectId: 1, name: 'Regression' } });
+  const execution = await prismaMock.testExecution.create({ data: { testRunId: 1, testCaseId: 1, status: 'IN_PROGRESS' } });
+  const step = await prismaMock.testExecutionStep.create({ data: { executionId: execution.id, stepNumber: 1 } });
+  return { projectId: 1, executionId: execution.id, stepId: step.id };
+}
+
+/**
+ * Sign, upload through the API and record a text file, as the web client does
+ */
+async function uploadEvidence(context, content) {
+  const upload = await createSignedEvidenceUpload({
+    ...context,
+    fileName: 'console.txt',
+    fileType: 'text/plain',
+    fileSize: content.length,
+  });
+  const { pathname, search } = new URL(upload.uploadUrl);
+  const response = await app.inject({
+    method: upload.uploadMethod,
+    url: `${pathname}${search}`,
+    headers: upload.uploadHeaders,
+    payload: content,
+  });
+  assert.equal(response.statusCode, 201);
+
+  return createEvidenceRecord({
+    ...context,
+    payload: { publicId: upload.key, resourceType: upload.resourceType, format: upload.format },
+    userId: 1,
+  });
+}
+
+async function download(url) {
+  const { pathname, search } = new URL(url);
+  return app.inject({ method: 'GET', url: `${pathname}${search}` });
+}
+
+describe('Evidence storage', () => {
+  before(async () => {
+    localDir = await fs.mkdtemp(path.join(os.tmpdir(), 'evidence-'));
+    await startObjectStore();
+    process.env.EVIDENCE_LOCAL_DIR = localDir;
+    process.env.EVIDENCE_S3_ENDPOINT = `http://127.0.0.1:${s3Server.address().port}`;
+    process.env.EVIDENCE_S3_BUCKET = 'evidence';
+    process.env.EVIDENCE_S3_ACCESS_KEY_ID = 'minio';
+    process.env.EVIDENCE_S3_SECRET_ACCESS_KEY = 'minio-secret';
+
+    app = Fastify();
+    await app.register(evidenceRoutes);
+    await app.ready();
+  });
+
+  after(async () => {
+    await app.close();
+    await new Promise((resolve) => s3Server.close(resolve));
+    await fs.rm(localDir, { recursive: true, force: true });
+    delete process.env.EVIDENCE_STORAGE_DRIVER;
+  });
+
+  beforeEach(() => {
+    resetPrismaMock();
+    s3Objects = new Map();
+    process.env.EVIDENCE_STORAGE_DRIVER = 'local';
+  });
+
+  it('only accepts signed URLs for the same method, key and size limit before they expire', () => {
+    const expires = Math.floor(Date.now() / 1000) + 60;
+    const fields = { method: 'PUT', key: 'a/b.txt', expires, maxBytes: 10 };
+    const signature = signEvidenceUrl(fields);
+
+    assert.equal(verifyEvidenceUrl({ ...fields, signature }), true);
+    assert.equal(verifyEvidenceUrl({ ...fields, method: 'GET', signature }), false);
+    assert.equal(verifyEvidenceUrl({ ...fields, key: 'a/c.txt', signature }), false);
+    assert.equal(verifyEvidenceUrl({ ...fields, maxBytes: 1000, signature }), false);
+    assert.equal(verifyEvidenceUrl({ ...fields, signature: signature.slice(2) }), false);
+
+    const expired = { ...fields, expires: Math.floor(Date.now() / 1000) - 1 };
+    assert.equal(verifyEvidenceUrl({ ...expired, signature: signEvidenceUrl(expired) }), false);
+  });
+
+  it('keeps local keys inside the storage directory', () => {
+    assert.equal(resolveLocalEvidencePath('p/a.txt'), path.join(localDir, 'p', 'a.txt'));
+    assert.throws(() => resolveLocalEvidencePath('../outside.txt'), /Invalid evidence key/);
+    assert.throws(() => resolveLocalEvidencePath('/etc/passwd'), /Invalid evidence key/);
+  });
+
+  it('uploads to local disk and serves the file from a signed download URL', async () => {
+    const context = await createExecution();
+
+    const evidence = await uploadEvidence(context, 'GET /cart 500');
+
+    assert.equal(evidence.storageDriver, 'local');
+    assert.equal(evidence.type, 'LOG');
+    assert.equal(evidence.bytes, 13);
+    assert.match(evidence.publicId, /^testtrack-pro\/project_1\/case_1\/execution_1\/step_1\/evidence_\w+\.txt$/);
+    const response = await download(evidence.secureUrl);
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body, 'GET /cart 500');
+
+    const tampered = evidence.secureUrl.replace('step_1', 'step_2');
+    assert.equal((await download(tampered)).statusCode, 403);
+  });
+
+  it('rejects oversized files, tampered limits, missing uploads and keys outside the execution folder', async () => {
+    const context = await createExecution();
+    await assert.rejects(
+      createSignedEvidenceUpload({ ...context, fileName: 'a.txt', fileType: 'text/plain', fileSize: 2 * 1048576 }),
+      /File exceeds size limit/,
+    );
+    const upload = await createSignedEvidenceUpload({ ...context, fileName: 'a.txt', fileType: 'text/plain', fileSize: 5 });
+    const { pathname, search } = new URL(upload.uploadUrl);
+
+    const tampered = await app.inject({
+      method: 'PUT',
+      url: `${pathname}${search.replace(/maxBytes=\d+/, 'maxBytes=3')}`,
+      headers: { 'Content-Type': 'text/plain' },
+      payload: 'hello',
+    });
+    assert.equal(tampered.statusCode, 403);
+
+    const record = (publicId) => createEvidenceRecord({
+      ...context,
+      payload: { publicId, resourceType: 'raw', format: 'txt' },
+      userId: 1,
+    });
+    await assert.rejects(record(upload.key), /Uploaded file not found in storage/);
+    await assert.rejects(record('testtrack-pro/project_1/other.txt'), /publicId does not match expected folder/);
+    await assert.rejects(
+      createSignedEvidenceUpload({ ...context, fileName: 'a.exe', fileType: 'application/x-msdownload', fileSize: 5 }),
+      /Unsupported file type/,
+    );
+    assert.deepEqual(getRows('testExecutionEvidence'), []);
+  });
+
+  it('moves evidence to another driver and back', async () => {
+    const context = await createExecution();
+    const first = await uploadEvidence(context, 'first log');
+    const second = await uploadEvidence(context, 'second log');
+
+    const dryRun = await migrateEvidenceStorage({ from: 'local', to: 's3', dryRun: true });
+    assert.deepEqual(dryRun, { total: 2, migrated: 0, failed: [], dryRun: true });
+
+    const progress = [];
+    const toS3 = await migrateEvidenceStorage({
+      from: 'local',
+      to: 's3',
+      deleteSource: true,
+      batchSize: 1,
+      onProgress: ({ record, error }) => progress.push([record.id, error]),
+    });
+
+    assert.deepEqual(toS3, { total: 2, migrated: 2, failed: [], dryRun: false });
+    assert.deepEqual(progress, [[first.id, null], [second.id, null]]);
+    assert.equal(s3Objects.get(`/evidence/${first.publicId}`).toString(), 'first log');
+    await assert.rejects(fs.access(resolveLocalEvidencePath(first.publicId)));
+
+    const listed = await listEvidence({ ...context, stepId: null });
+    assert.deepEqual(listed.map((evidence) => evidence.storageDriver), ['s3', 's3']);
+    assert.match(listed[0].secureUrl, /^http:\/\/127\.0\.0\.1:\d+\/evidence\/.+X-Amz-Signature=/);
+
+    s3Objects.delete(`/evidence/${second.publicId}`);
+    const back = await migrateEvidenceStorage({ from: 's3', to: 'local' });
+
+    assert.equal(back.migrated, 1);
+    assert.deepEqual(back.failed.map((failure) => failure.id), [second.id]);
+    assert.match(back.failed[0].error, /HTTP 404/);
+    const movedBack = (await listEvidence({ ...context, stepId: null })).find((evidence) => evidence.id === first.id);
+    assert.equal(movedBack.storageDriver, 'local');
+    assert.equal((await download(movedBack.secureUrl)).body, 'first log');
+    await assert.rejects(migrateEvidenceStorage({ from: 'local', to: 'local' }), /Source and target drivers must differ/);
+  });
+});
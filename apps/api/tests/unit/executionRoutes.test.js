@@ -0,0 +1,148 @@
+/**
+ * ROUTE TESTS - Who may record results on a test execution
+ *
+ * Step updates, progress auto-save and completion share one rule: access to the run's
+ * project, and an assigned execution belongs to its assignee and creator. Step results
+ * synced from an offline queue are also checked against the values the client last saw.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+import jwt from '@fastify/jwt';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import { executionRoutes } from '../../src/routes/executions.js';
+
+let app;
+let users;
+
+async function createUser(name, allocated = true) {
+  const user = await prismaMock.user.create({ data: { name, email: `${name}@example.com`, role: 'TESTER' } });
+  if (allocated) {
+    await prismaMock.projectUserAllocation.create({
+      data: { projectId: 1, userId: user.id, projectRole: 'QA_ENGINEER', isActive: true },
+    });
+  }
+  return user;
+}
+
+/**
+ * Project 1 with a one-step execution created by the run owner
+ */
+async function createExecution(assignedToId) {
+  const run = await prismaMock.testRun.create({ data: { projectId: 1, name: 'Regression', createdBy: users.owner.id } });
+  const testCase = await prismaMock.testCase.create({ data: { projectId: 1, name: 'Checkout' } });
+  const execution = await prismaMock.testExecution.create({
+    data: {
+      testRunId: run.id,
+      testCaseId: testCase.id,
+      userId: users.owner.id,
+      assignedToId,
+      status: 'BLOCKED',
+      startedAt: new Date(),
+      completedAt: null,
+    },
+  });
+  await prismaMock.testExecutionStep.create({
+    data: { executionId: execution.id, stepId: 1, status: 'BLOCKED', actualResult: null, notes: null },
+  });
+  return execution;
+}
+
+function asUser(user, method, url, payload = {}) {
+  const token = app.jwt.sign({ id: user.id, role: user.role, tokenVersion: user.tokenVersion });
+  return app.inject({ method, url, payload, headers: { authorization: `Bearer ${token}` } });
+}
+
+function updateStep(user, execution) {
+  return asUser(user, 'PATCH', `/api/test-executions/${execution.id}/steps/1`, { status: 'PASSED' });
+}
+
+function saveProgress(user, execution) {
+  return asUser(user, 'PATCH', `/api/test-executions/${execution.id}/progress`, { elapsedSeconds: 30 });
+}
+
+function complete(user, execution) {
+  return asUser(user, 'PATCH', `/api/test-executions/${execution.id}/complete`, { comments: 'Done' });
+}
+
+describe('Recording results on a test execution', () => {
+  before(async () => {
+    app = Fastify();
+    await app.register(jwt, { secret: process.env.JWT_SECRET });
+    await app.register(executionRoutes);
+    await app.ready();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(async () => {
+    resetPrismaMock();
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: 99 } });
+    users = {
+      owner: await createUser('olivia'),
+      assignee: await createUser('aaron'),
+      colleague: await createUser('carla'),
+      outsider: await createUser('oscar', false),
+    };
+  });
+
+  it('lets any project tester run an unassigned execution', async () => {
+    const execution = await createExecution(null);
+
+    assert.equal((await saveProgress(users.colleague, execution)).statusCode, 200);
+    assert.equal((await updateStep(users.colleague, execution)).statusCode, 200);
+    assert.equal((await complete(users.colleague, execution)).statusCode, 200);
+
+    assert.equal(getRows('testExecution')[0].status, 'PASSED');
+    assert.equal(getRows('testExecution')[0].actualDurationSeconds, 30);
+  });
+
+  it('keeps an assigned execution to its assignee and creator', async () => {
+    const execution = await createExecution(users.assignee.id);
+
+    for (const send of [updateStep, saveProgress, complete]) {
+      const response = await send(users.colleague, execution);
+      assert.equal(response.statusCode, 403);
+      assert.equal(response.json().error, 'This execution is assigned to another tester');
+    }
+    assert.equal(getRows('testExecutionStep')[0].status, 'BLOCKED');
+
+    assert.equal((await saveProgress(users.owner, execution)).statusCode, 200);
+    assert.equal((await updateStep(users.assignee, execution)).statusCode, 200);
+    assert.equal((await complete(users.assignee, execution)).statusCode, 200);
+  });
+
+  it('rejects testers outside the project', async () => {
+    const execution = await createExecution(null);
+
+    for (const send of [updateStep, saveProgress, complete]) {
+      assert.equal((await send(users.outsider, execution)).statusCode, 403);
+    }
+    assert.equal(getRows('testExecution')[0].status, 'BLOCKED');
+  });
+
+  it('rejects a queued step result when the step changed after it was recorded', async () => {
+    const execution = await createExecution(null);
+    const url = `/api/test-executions/${execution.id}/steps/1`;
+    const seen = { status: 'BLOCKED', actualResult: null, notes: null };
+    await asUser(users.colleague, 'PATCH', url, { status: 'FAILED', actualResult: 'Error 500' });
+
+    const conflict = await asUser(users.owner, 'PATCH', url, { status: 'PASSED', expected: seen });
+    assert.equal(conflict.statusCode, 409);
+    assert.deepEqual(conflict.json().step, { stepId: 1, status: 'FAILED', actualResult: 'Error 500', notes: null });
+    assert.equal(getRows('testExecutionStep')[0].status, 'FAILED');
+
+    // A retry of a result that already reached the server is not a conflict
+    const replay = await asUser(users.colleague, 'PATCH', url, { status: 'FAILED', actualResult: 'Error 500', expected: seen });
+    assert.equal(replay.statusCode, 200);
+
+    const current = { status: 'FAILED', actualResult: 'Error 500', notes: null };
+    assert.equal((await asUser(users.owner, 'PATCH', url, { status: 'PASSED', expected: current })).statusCode, 200);
+    assert.equal(getRows('testExecutionStep')[0].status, 'PASSED');
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * UNIT TESTS - Flaky test detection: flip scoring, stored scores and quarantine
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  getFlakinessSettings,
+  scoreExecutionHistory,
+  recalculateProjectFlakiness,
+  getProjectFlakiness,
+  getQuarantinedTestCaseIds,
+  setTestCaseQuarantine,
+} from '../../src/services/flakinessService.js';
+
+const OWNER_ID = 1;
+const TESTER_ID = 2;
+const DAY = 24 * 60 * 60 * 1000;
+
+const permissionContext = {
+  validated: true,
+  projectId: 1,
+  permissions: ['testCase:quarantine'],
+};
+
+function history(environment, buildVersion, statuses, start = 0) {
+  return statuses.map((status, index) => ({ status, at: new Date(start + index), environment, buildVersion }));
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY);
+}
+
+/**
+ * Record one execution per status in its own run, oldest first
+ */
+async function recordRuns(testCaseId, statuses, { projectId = 1, buildVersion = '1.0.0', startDaysAgo = 10 } = {}) {
+  for (const [index, status] of statuses.entries()) {
+    const at = new Date(daysAgo(startDaysAgo).getTime() + index * 60000);
+    const run = await prismaMock.testRun.create({
+      data: { projectId, name: `Run ${index + 1}`, environment: 'staging', buildVersion },
+    });
+    await prismaMock.testExecution.create({
+      data: { testRunId: run.id, testCaseId, status, createdAt: at, completedAt: at },
+    });
+  }
+}
+
+async function createTestCase(name, data = {}) {
+  return prismaMock.testCase.create({
+    data: { projectId: 1, name, isDeleted: false, isQuarantined: false, createdBy: OWNER_ID, ...data },
+  });
+}
+
+describe('scoreExecutionHistory', () => {
+  it('weighs flips within a build fully and flips across builds by half', () => {
+    const executions = [
+      ...history('production', '2.0', ['FAILED', 'FAILED'], 10),
+      ...history('staging', '1.0', ['PASSED', 'FAILED']),
+      ...history('staging', '2.0', ['PASSED'], 5),
+      ...history(null, null, ['PASSED']),
+    ].reverse();
+
+    assert.deepEqual(scoreExecutionHistory(executions), {
+      score: 0.5,
+      flipCount: 2,
+      executionCount: 6,
+      passCount: 3,
+      failCount: 3,
+      breakdown: {
+        staging: { executions: 3, flips: 2 },
+        unspecified: { executions: 1, flips: 0 },
+        production: { executions: 2, flips: 0 },
+      },
+    });
+  });
+
+  it('does not treat missing build versions as the same build', () => {
+    assert.equal(scoreExecutionHistory(history('staging', null, ['PASSED', 'FAILED'])).score, 0.5);
+    assert.equal(scoreExecutionHistory(history('staging', 'b7', ['PASSED', 'FAILED', 'PASSED'])).score, 1);
+    assert.equal(scoreExecutionHistory([]).score, 0);
+  });
+
+  it('uses the documented defaults', () => {
+    assert.deepEqual(getFlakinessSettings(), { windowDays: 30, threshold: 0.3, minExecutions: 5 });
+  });
+});
+
+describe('Project flakiness', () => {
+  beforeEach(async () => {
+    resetPrismaMock();
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: OWNER_ID } });
+    for (const [userId, inAppTestFailed] of [[OWNER_ID, true], [TESTER_ID, false]]) {
+      await prismaMock.notificationPreference.create({ data: { userId, inAppEnabled: true, inAppTestFailed } });
+    }
+  });
+
+  it('flags cases over the threshold once and notifies the people responsible', async () => {
+    const flaky = await createTestCase('Checkout', { ownedById: OWNER_ID, assignedToId: TESTER_ID });
+    const stable = await createTestCase('Search');
+    const young = await createTestCase('Login');
+    await recordRuns(flaky.id, ['PASSED', 'FAILED', 'BLOCKED', 'PASSED', 'FAILED', 'PASSED', 'PASSED']);
+    await recordRuns(stable.id, ['PASSED', 'PASSED', 'PASSED', 'PASSED', 'FAILED']);
+    await recordRuns(young.id, ['PASSED', 'FAILED', 'PASSED']);
+
+    const summary = await recalculateProjectFlakiness(1);
+
+    assert.deepEqual(summary, { projectId: 1, scored: 3, flaky: 1, newlyFlagged: 1 });
+    const scores = await getProjectFlakiness(1);
+    assert.deepEqual(scores.map((entry) => [entry.testCase.name, entry.score, entry.isFlaky]), [
+      ['Login', 1, false],
+      ['Checkout', 0.8, true],
+      ['Search', 0.25, false],
+    ]);
+    assert.deepEqual((await getProjectFlakiness(1, { flakyOnly: true })).map((entry) => entry.testCaseId), [flaky.id]);
+    assert.equal((await getProjectFlakiness(1, { minExecutions: 5 })).length, 2);
+
+    const notifications = getRows('notification');
+    assert.deepEqual(notifications.map((notification) => [notification.userId, notification.type]), [
+      [OWNER_ID, 'TEST_FLAKY_DETECTED'],
+    ]);
+    assert.equal(notifications[0].message, 'Flakiness score 80% (4 flips in 6 runs)');
+
+    const flaggedAt = scores[1].flaggedAt;
+    assert.deepEqual(await recalculateProjectFlakiness(1), { projectId: 1, scored: 3, flaky: 1, newlyFlagged: 0 });
+    assert.deepEqual(getRows('testCaseFlakiness').find((entry) => entry.testCaseId === flaky.id).flaggedAt, flaggedAt);
+    assert.equal(getRows('notification').length, 1);
+  });
+
+  it('only scores the window of this project and resets cases that left it', async () => {
+    const testCase = await createTestCase('Checkout');
+    const removed = await createTestCase('Legacy', { isDeleted: true });
+    await recordRuns(testCase.id, ['PASSED', 'FAILED', 'PASSED', 'FAILED', 'PASSED'], { startDaysAgo: 40 });
+    await recordRuns(testCase.id, ['PASSED', 'FAILED'], { projectId: 2 });
+    await recordRuns(removed.id, ['PASSED', 'FAILED', 'PASSED', 'FAILED', 'PASSED']);
+    await prismaMock.testCaseFlakiness.create({
+      data: { testCaseId: testCase.id, projectId: 1, score: 1, isFlaky: true, flaggedAt: daysAgo(20) },
+    });
+
+    const summary = await recalculateProjectFlakiness(1);
+
+    assert.deepEqual(summary, { projectId: 1, scored: 1, flaky: 0, newlyFlagged: 0 });
+    const [stored] = getRows('testCaseFlakiness');
+    assert.deepEqual([stored.score, stored.executionCount, stored.isFlaky, stored.flaggedAt], [0, 0, false, null]);
+    assert.equal(getRows('testCaseFlakiness').length, 1);
+  });
+});
+
+describe('Test case quarantine', () => {
+  beforeEach(async () => {
+    resetPrismaMock();
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: OWNER_ID } });
+    await prismaMock.user.create({ data: { name: 'Owner', email: 'owner@example.com', role: 'ADMIN' } });
+  });
+
+  it('quarantines with a reason, keeps the first date and releases', async () => {
+    const testCase = await createTestCase('Checkout');
+    await createTestCase('Search');
+
+    const quarantined = await setTestCaseQuarantine(testCase.id, { quarantined: true, reason: '  Timing issue ' }, OWNER_ID, {}, permissionContext);
+    const since = daysAgo(3);
+    await prismaMock.testCase.update({ where: { id: testCase.id }, data: { quarantinedAt: since } });
+    const again = await setTestCaseQuarantine(testCase.id, { quarantined: true }, OWNER_ID, {}, permissionContext);
+
+    assert.equal(quarantined.quarantineReason, 'Timing issue');
+    assert.equal(quarantined.quarantinedBy.name, 'Owner');
+    assert.deepEqual(again.quarantinedAt, since);
+    assert.equal(again.quarantineReason, null);
+    assert.deepEqual([...await getQuarantinedTestCaseIds(1)], [testCase.id]);
+
+    const released = await setTestCaseQuarantine(testCase.id, { quarantined: false }, OWNER_ID, {}, permissionContext);
+    assert.deepEqual([released.isQuarantined, released.quarantinedAt, released.quarantinedBy], [false, null, null]);
+    assert.deepEqual([...await getQuarantinedTestCaseIds(1)], []);
+    assert.deepEqual(getRows('auditLog').map((entry) => entry.action), [
+      'TESTCASE_QUARANTINED',
+      'TESTCASE_QUARANTINED',
+      'TESTCASE_RELEASED_FROM_QUARANTINE',
+    ]);
+  });
+
+  it('needs a permission context for the test case project', async () => {
+    const testCase = await createTestCase('Checkout');
+    const quarantine = (context) => setTestCaseQuarantine(testCase.id, { quarantined: true }, OWNER_ID, {}, context);
+
+    await assert.rejects(quarantine(null), /direct service invocation not allowed/);
+    await assert.rejects(quarantine({ ...permissionContext, permissions: ['testCase:edit'] }), /Missing permission context/);
+    await assert.rejects(quarantine({ ...permissionContext, projectId: 2 }), /Project scope mismatch/);
+    await assert.rejects(setTestCaseQuarantine(99, { quarantined: true }, OWNER_ID, {}, permissionContext), /Test case not found/);
+    assert.equal(getRows('testCase')[0].isQuarantined, false);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * ROUTE TESTS - Inbound issue tracker webhook
+ *
+ * Runs the issue tracker routes behind the CSRF hooks and posts the webhook as Jira
+ * would: no cookie, CSRF token or API key, only the webhook token.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import { csrfProtectionPlugin } from '../../src/plugins/csrfProtection.js';
+import issueTrackerRoutes from '../../src/routes/issueTracker.js';
+
+const WEBHOOK_SECRET = 'webhook-secret';
+
+let app;
+
+async function createLinkedBug() {
+  const project = await prismaMock.project.create({ data: { name: 'Web', ownerId: 1 } });
+  const bug = await prismaMock.bug.create({
+    data: { projectId: project.id, bugNumber: 'BUG-1', title: 'Checkout fails', status: 'IN_PROGRESS', assigneeId: null },
+  });
+  const integration = await prismaMock.issueTrackerIntegration.create({
+    data: {
+      projectId: project.id,
+      baseUrl: 'http://localhost:4100',
+      projectKey: 'QA',
+      apiToken: 'jira-token',
+      webhookSecret: WEBHOOK_SECRET,
+      fieldMappings: { status: { CLOSED: 'Done' }, priority: {}, users: {} },
+      createdById: 1,
+    },
+  });
+  await prismaMock.externalIssueLink.create({
+    data: { bugId: bug.id, integrationId: integration.id, externalId: '10001', externalKey: 'QA-1' },
+  });
+  return integration;
+}
+
+function postWebhook(integrationId, token) {
+  return app.inject({
+    method: 'POST',
+    url: `/api/integrations/issue-tracker/${integrationId}/webhook?token=${token}`,
+    payload: {
+      webhookEvent: 'jira:issue_updated',
+      issue: { id: '10001', key: 'QA-1' },
+      changelog: { items: [{ field: 'status', fromString: 'In Progress', toString: 'Done' }] },
+    },
+  });
+}
+
+describe('POST /api/integrations/issue-tracker/:integrationId/webhook', () => {
+  before(async () => {
+    app = Fastify();
+    // Same context, so the CSRF hooks run for the issue tracker routes
+    await app.register(async (instance) => {
+      await csrfProtectionPlugin(instance);
+      await instance.register(issueTrackerRoutes);
+    });
+    await app.ready();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    resetPrismaMock();
+  });
+
+  it('accepts a webhook without a CSRF token and applies it', async () => {
+    const integration = await createLinkedBug();
+
+    const response = await postWebhook(integration.id, WEBHOOK_SECRET);
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.json(), { applied: ['status'] });
+    assert.equal(getRows('bug')[0].status, 'CLOSED');
+  });
+
+  it('rejects a wrong webhook token', async () => {
+    const integration = await createLinkedBug();
+
+    const response = await postWebhook(integration.id, 'guess');
+
+    assert.equal(response.statusCode, 401);
+    assert.equal(getRows('bug')[0].status, 'IN_PROGRESS');
+  });
+
+  it('still requires a CSRF token on the project integration routes', async () => {
+    const response = await app.inject({ method: 'PUT', url: '/api/projects/1/issue-tracker', payload: {} });
+
+    assert.equal(response.statusCode, 403);
+    assert.equal(response.json().message, 'CSRF token is missing');
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * UNIT TESTS - Issue tracker sync
+ *
+ * Outbound sync runs against scripts/dev/mock-jira.js on a free local port; inbound
+ * webhooks are passed straight to handleIssueTrackerWebhook.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import { createMockJira } from '../../../../scripts/dev/mock-jira.js';
+import {
+  syncBugCreated,
+  syncBugStatus,
+  syncBugAssignee,
+  syncBugComment,
+  handleIssueTrackerWebhook,
+  normalizeFieldMappings,
+} from '../../src/services/issueTrackerService.js';
+
+const API_TOKEN = 'mock-token';
+const WEBHOOK_SECRET = 'webhook-secret';
+
+const FIELD_MAPPINGS = {
+  status: { NEW: 'To Do', IN_PROGRESS: 'In Progress', FIXED: 'In Review', CLOSED: 'Done', VERIFIED_FIXED: 'Done' },
+  priority: { P1: 'High' },
+  users: { 7: 'acc-dev' },
+};
+
+let jira;
+let baseUrl;
+
+async function createIntegration(overrides = {}) {
+  const project = await prismaMock.project.create({ data: { name: 'Web', ownerId: 1 } });
+  return prismaMock.issueTrackerIntegration.create({
+    data: {
+      projectId: project.id,
+      baseUrl,
+      projectKey: 'QA',
+      authEmail: 'bot@example.com',
+      apiToken: API_TOKEN,
+      webhookSecret: WEBHOOK_SECRET,
+      fieldMappings: FIELD_MAPPINGS,
+      createdById: 1,
+      ...overrides,
+    },
+  });
+}
+
+async function createBug(integration, overrides = {}) {
+  return prismaMock.bug.create({
+    data: {
+      projectId: integration.projectId,
+      bugNumber: 'BUG-1',
+      title: 'Checkout fails',
+      description: 'Pay button does nothing',
+      severity: 'MAJOR',
+      priority: 'P1',
+      status: 'NEW',
+      assigneeId: 7,
+      closedAt: null,
+      ...overrides,
+    },
+  });
+}
+
+/**
+ * A bug linked to issue 10001 without going through Jira
+ */
+async function createLinkedBug(overrides = {}, integrationOverrides = {}) {
+  const integration = await createIntegration(integrationOverrides);
+  const bug = await createBug(integration, overrides);
+  await prismaMock.externalIssueLink.create({
+    data: { bugId: bug.id, integrationId: integration.id, externalId: '10001', externalKey: 'QA-1' },
+  });
+  return { integration, bug };
+}
+
+function webhook(integration, payload, token = WEBHOOK_SECRET) {
+  return handleIssueTrackerWebhook(integration.id, token, { issue: { id: '10001', key: 'QA-1' }, ...payload });
+}
+
+function statusChange(toString) {
+  return { webhookEvent: 'jira:issue_updated', changelog: { items: [{ field: 'status', toString }] } };
+}
+
+function storedBug() {
+  return getRows('bug')[0];
+}
+
+describe('Outbound issue tracker sync', () => {
+  before(async () => {
+    jira = createMockJira({ projectKey: 'QA', apiToken: API_TOKEN });
+    await new Promise((resolve) => jira.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${jira.server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => jira.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    resetPrismaMock();
+    jira.issues.clear();
+    jira.requests.length = 0;
+  });
+
+  it('opens a linked issue with the mapped priority and assignee', async () => {
+    const integration = await createIntegration();
+    const bug = await createBug(integration);
+
+    const link = await syncBugCreated(bug);
+
+    const [issue] = jira.issues.values();
+    assert.equal(issue.summary, '[BUG-1] Checkout fails');
+    assert.match(issue.description, /Pay button does nothing/);
+    assert.equal(issue.priority, 'High');
+    assert.equal(issue.assignee, 'acc-dev');
+    assert.equal(link.externalKey, 'QA-1');
+    assert.equal(link.externalUrl, `${baseUrl}/browse/QA-1`);
+    assert.ok(getRows('issueTrackerIntegration')[0].lastSyncAt);
+  });
+
+  it('moves the issue to the mapped status and skips unmapped ones', async () => {
+    const integration = await createIntegration();
+    const bug = await createBug(integration);
+    await syncBugCreated(bug);
+    const [issue] = jira.issues.values();
+
+    await syncBugStatus({ ...bug, status: 'FIXED' });
+    assert.equal(issue.status, 'In Review');
+
+    await syncBugStatus({ ...bug, status: 'DEFERRED' });
+    assert.equal(issue.status, 'In Review');
+    assert.equal(getRows('externalIssueLink')[0].lastSyncError, null);
+  });
+
+  it('unassigns the issue when the assignee has no user mapping', async () => {
+    const integration = await createIntegration();
+    const bug = await createBug(integration);
+    await syncBugCreated(bug);
+
+    await syncBugAssignee({ ...bug, assigneeId: 99 });
+
+    assert.equal([...jira.issues.values()][0].assignee, null);
+  });
+
+  it('pushes comments with the TestTrack prefix and remembers their Jira ID', async () => {
+    const integration = await createIntegration();
+    const bug = await createBug(integration);
+    await syncBugCreated(bug);
+    const comment = await prismaMock.bugComment.create({ data: { bugId: bug.id, userId: 7, comment: 'Repro on Safari' } });
+
+    await syncBugComment({ ...comment, user: { name: 'Dana' } });
+
+    const [issue] = jira.issues.values();
+    assert.equal(issue.comments[0].body, '[TestTrack] Dana: Repro on Safari');
+    assert.equal(getRows('bugComment')[0].externalCommentId, issue.comments[0].id);
+  });
+
+  it('records a failed sync instead of throwing', async () => {
+    const integration = await createIntegration({ apiToken: 'revoked' });
+    const bug = await createBug(integration);
+
+    assert.equal(await syncBugCreated(bug), null);
+
+    assert.equal(jira.issues.size, 0);
+    assert.match(getRows('issueTrackerIntegration')[0].lastError, /HTTP 401/);
+  });
+
+  it('does nothing for inactive integrations', async () => {
+    const integration = await createIntegration({ isActive: false });
+    const bug = await createBug(integration);
+
+    assert.equal(await syncBugCreated(bug), null);
+    assert.deepEqual(jira.requests, []);
+  });
+});
+
+describe('Inbound issue tracker webhook', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+    baseUrl = 'http://127.0.0.1:9';
+  });
+
+  it('maps the Jira status back to the bug state', async () => {
+    const { integration } = await createLinkedBug();
+
+    const result = await webhook(integration, statusChange('in review'));
+
+    assert.deepEqual(result, { applied: ['status'] });
+    assert.equal(storedBug().status, 'FIXED');
+    assert.equal(storedBug().closedAt, null);
+    assert.equal(getRows('auditLog')[0].action, 'BUG_EXTERNAL_SYNC');
+  });
+
+  it('keeps the current state when several states map to the incoming status', async () => {
+    const { integration } = await createLinkedBug({ status: 'VERIFIED_FIXED' });
+
+    const result = await webhook(integration, statusChange('Done'));
+
+    assert.deepEqual(result, { applied: [] });
+    assert.equal(storedBug().status, 'VERIFIED_FIXED');
+  });
+
+  it('ignores statuses without a mapping', async () => {
+    const { integration } = await createLinkedBug();
+
+    const result = await webhook(integration, statusChange('Blocked'));
+
+    assert.deepEqual(result, { applied: [] });
+    assert.equal(storedBug().status, 'NEW');
+  });
+
+  it('sets closedAt when the issue closes and clears it when it reopens', async () => {
+    const { integration } = await createLinkedBug({ status: 'IN_PROGRESS' });
+
+    await webhook(integration, statusChange('Done'));
+    assert.equal(storedBug().status, 'CLOSED');
+    assert.ok(storedBug().closedAt instanceof Date);
+
+    await webhook(integration, statusChange('In Progress'));
+    assert.equal(storedBug().status, 'IN_PROGRESS');
+    assert.equal(storedBug().closedAt, null);
+  });
+
+  it('maps assignees back to users and applies unassignment', async () => {
+    const { integration } = await createLinkedBug({ assigneeId: null });
+    const assigneeChange = (to) => ({ changelog: { items: [{ field: 'assignee', to }] } });
+
+    assert.deepEqual(await webhook(integration, assigneeChange('acc-dev')), { applied: ['assignee'] });
+    assert.equal(storedBug().assigneeId, 7);
+
+    assert.deepEqual(await webhook(integration, assigneeChange('acc-unknown')), { applied: [] });
+    assert.equal(storedBug().assigneeId, 7);
+
+    assert.deepEqual(await webhook(integration, assigneeChange(null)), { applied: ['assignee'] });
+    assert.equal(storedBug().assigneeId, null);
+  });
+
+  it('imports Jira comments once and never its own echoes', async () => {
+    const { integration, bug } = await createLinkedBug();
+    const commentEvent = (id, body, author) => ({ webhookEvent: 'comment_created', comment: { id, body, author } });
+
+    await webhook(integration, commentEvent('c1', 'Fixed in 2.1', { accountId: 'acc-dev', displayName: 'Dev' }));
+    await webhook(integration, commentEvent('c1', 'Fixed in 2.1', { accountId: 'acc-dev', displayName: 'Dev' }));
+    await webhook(integration, commentEvent('c2', 'Can you retest?', { accountId: 'acc-pm', displayName: 'Pat PM' }));
+    await webhook(integration, commentEvent('c3', '[TestTrack] Dana: Repro on Safari', { accountId: 'testtrack' }));
+
+    assert.deepEqual(
+      getRows('bugComment').map(({ bugId, userId, comment }) => ({ bugId, userId, comment })),
+      [
+        { bugId: bug.id, userId: 7, comment: 'Fixed in 2.1' },
+        { bugId: bug.id, userId: 1, comment: 'Pat PM (QA-1): Can you retest?' },
+      ],
+    );
+  });
+
+  it('rejects a wrong token and ignores unlinked issues and inactive integrations', async () => {
+    const { integration } = await createLinkedBug();
+
+    await assert.rejects(webhook(integration, statusChange('Done'), 'guess'), /Invalid webhook token/);
+    assert.deepEqual(
+      await handleIssueTrackerWebhook(integration.id, WEBHOOK_SECRET, { issue: { id: '999' }, ...statusChange('Done') }),
+      { ignored: 'Issue is not linked to a bug' },
+    );
+
+    await prismaMock.issueTrackerIntegration.update({ where: { id: integration.id }, data: { isActive: false } });
+    assert.deepEqual(await webhook(integration, statusChange('Done')), { ignored: 'Integration is inactive' });
+    assert.equal(storedBug().status, 'NEW');
+  });
+});
+
+describe('normalizeFieldMappings', () => {
+  it('drops empty entries and trims values', () => {
+    assert.deepEqual(
+      normalizeFieldMappings({ status: { NEW: ' To Do ', FIXED: '' }, users: { 7: null } }),
+      { status: { NEW: 'To Do' }, priority: {}, users: {} },
+    );
+  });
+
+  it('rejects sections that are not maps of strings', () => {
+    assert.throws(() => normalizeFieldMappings({ status: ['To Do'] }), /"status" must be an object/);
+    assert.throws(() => normalizeFieldMappings({ priority: { P1: 1 } }), /"priority.P1" must be a string/);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * UNIT TESTS - Two-factor login challenge, enrollment, recovery codes and lockout
+ *
+ * Codes are computed here the way an authenticator app would (RFC 6238, SHA-1, 30 s).
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import { createFastifyStub } from '../helpers/fastify.js';
+import { startMfaEnrollment, confirmMfaEnrollment } from '../../src/services/mfaService.js';
+import { login, completeMfaLogin, startMfaLoginEnrollment } from '../../src/services/authService.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PASSWORD = 'Password1!';
+
+const fastify = createFastifyStub();
+let originalFetch;
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Code for a secret, offset time steps from now
+ */
+function totp(secret, offset = 0) {
+  const step = Math.floor(Date.now() / 1000 / 30) + offset;
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const binary = hmac.readUInt32BE(hmac[hmac.length - 1] & 15) & 0x7fffffff;
+  return String(binary % 1000000).padStart(6, '0');
+}
+
+async function createUser(overrides = {}) {
+  return prismaMock.user.create({
+    data: {
+      name: 'Tess Tester',
+      email: 'tess@example.com',
+      password: await bcrypt.hash(PASSWORD, 4),
+      role: 'TESTER',
+      ...overrides,
+    },
+  });
+}
+
+/**
+ * Enroll a user in two-factor authentication; the enrollment code uses the current step
+ */
+async function enroll(userId) {
+  const { secret } = await startMfaEnrollment(userId);
+  const { recoveryCodes } = await confirmMfaEnrollment(userId, totp(secret));
+  return { secret, recoveryCodes };
+}
+
+function storedUser() {
+  return getRows('user')[0];
+}
+
+describe('Two-factor login', () => {
+  before(() => {
+    // Lockout emails go nowhere
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => new Response('{}', { status: 503 });
+  });
+
+  after(() => {
+    globalThis.fetch = originalFetch;
+    delete process.env.MFA_REQUIRED_ROLES;
+  });
+
+  beforeEach(() => {
+    resetPrismaMock();
+    delete process.env.MFA_REQUIRED_ROLES;
+  });
+
+  it('signs in users without two-factor authentication directly', async () => {
+    await createUser();
+
+    const result = await login(fastify, { email: 'tess@example.com', password: PASSWORD });
+
+    assert.ok(result.token);
+    assert.equal(getRows('userSession').length, 1);
+  });
+
+  it('asks for a code after the password and opens the session once it is accepted', async () => {
+    const user = await createUser();
+    const { secret } = await enroll(user.id);
+
+    const challenge = await login(fastify, { email: 'tess@example.com', password: PASSWORD });
+    assert.equal(challenge.mfaRequired, true);
+    assert.equal(challenge.mfaEnrollmentRequired, false);
+    assert.equal(challenge.token, undefined);
+    assert.equal(getRows('userSession').length, 0);
+
+    // The enrollment code used the current step, so the app shows the next one
+    const result = await completeMfaLogin(fastify, { mfaToken: challenge.mfaToken, code: totp(secret, 1) });
+    assert.ok(result.token);
+    assert.equal(getRows('userSession').length, 1);
+  });
+
+  it('does not accept a code twice', async () => {
+    const user = await createUser();
+    const { secret } = await enroll(user.id);
+    const code = totp(secret, 1);
+
+    const first = await login(fastify, { email: 'tess@example.com', password: PASSWORD });
+    await completeMfaLogin(fastify, { mfaToken: first.mfaToken, code });
+
+    const second = await login(fastify, { email: 'tess@example.com', password: PASSWORD });
+    await assert.rejects(
+      completeMfaLogin(fastify, { mfaToken: second.mfaToken, code }),
+      /Invalid two-factor code/,
+    );
+  });
+
+  it('accepts each recovery code once', async () => {
+    const user = await createUser();
+    const { recoveryCodes } = await enroll(user.id);
+    assert.equal(recoveryCodes.length, 10);
+
+    const first = await login(fastify, { email: 'tess@example.com', password: PASSWORD });
+    const result = await completeMfaLogin(fastify, { mfaToken: first.mfaToken, code: recoveryCodes[0].toUpperCase() });
+    assert.ok(result.token);
+    assert.equal(storedUser().mfaRecoveryCodes.length, 9);
+
+    const second = await login(fastify, { email: 'tess@example.com', password: PASSWORD });
+    await assert.rejects(
+      completeMfaLogin(fastify, { mfaToken: second.mfaToken, code: recoveryCodes[0] }),
+      /Invalid two-factor code/,
+    );
+  });
+
+  it('locks the account after five wrong codes, then refuses the right one', async () => {
+    const user = await createUser();
+    const { secret } = await enroll(user.id);
+    const { mfaToken } = await login(fastify, { email: 'tess@example.com', password: PASSWORD });
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      await assert.rejects(
+        completeMfaLogin(fastify, { mfaToken, code: '000000' }),
+        new RegExp(`Invalid two-factor code\\. ${5 - attempt} attempt\\(s\\) remaining`),
+      );
+    }
+    await assert.rejects(completeMfaLogin(fastify, { mfaToken, code: '000000' }), /Account locked/);
+    assert.ok(storedUser().lockedUntil > new Date());
+
+    await assert.rejects(completeMfaLogin(fastify, { mfaToken, code: totp(secret, 1) }), /Account is locked/);
+    await assert.rejects(login(fastify, { email: 'tess@example.com', password: PASSWORD }), /Account is locked/);
+    assert.equal(getRows('userSession').length, 0);
+  });
+
+  it('counts wrong passwords and wrong codes together', async () => {
+    const user = await createUser();
+    await enroll(user.id);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await assert.rejects(login(fastify, { email: 'tess@example.com', password: 'Wrong-password1' }));
+    }
+    const { mfaToken } = await login(fastify, { email: 'tess@example.com', password: PASSWORD });
+    await assert.rejects(completeMfaLogin(fastify, { mfaToken, code: '000000' }), /1 attempt\(s\) remaining/);
+  });
+
+  it('makes users of a role that requires two-factor enroll during login', async () => {
+    process.env.MFA_REQUIRED_ROLES = 'developer, admin';
+    await createUser({ role: 'DEVELOPER' });
+
+    const challenge = await login(fastify, { email: 'tess@example.com', password: PASSWORD });
+    assert.equal(challenge.mfaRequired, true);
+    assert.equal(challenge.mfaEnrollmentRequired, true);
+
+    const { secret } = await startMfaLoginEnrollment(fastify, challenge.mfaToken);
+    const result = await completeMfaLogin(fastify, { mfaToken: challenge.mfaToken, code: totp(secret) });
+
+    assert.ok(result.token);
+    assert.equal(result.recoveryCodes.length, 10);
+    assert.equal(storedUser().mfaEnabled, true);
+  });
+
+  it('rejects a challenge token after the password changes', async () => {
+    const user = await createUser();
+    const { secret } = await enroll(user.id);
+    const { mfaToken } = await login(fastify, { email: 'tess@example.com', password: PASSWORD });
+
+    await prismaMock.user.update({ where: { id: user.id }, data: { tokenVersion: { increment: 1 } } });
+
+    await assert.rejects(
+      completeMfaLogin(fastify, { mfaToken, code: totp(secret, 1) }),
+      /Two-factor session expired/,
+    );
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * UNIT TESTS - Custom project roles in isAllowedInProject, requirePermission
+ * and the effective-permissions view
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock } from '../helpers/prismaMock.js';
+import { hasPermission } from '../../src/lib/permissions.js';
+import { POLICY_MAP, isAllowedInProject, requirePermission } from '../../src/lib/policy.js';
+import { getEffectivePermissions } from '../../src/services/projectRoleService.js';
+
+// A permission outside project scope, so custom roles never affect it
+const GLOBAL_PERMISSION = Object.keys(POLICY_MAP).find((key) => POLICY_MAP[key].scope === 'global');
+
+function createReply() {
+  return {
+    statusCode: 200,
+    body: null,
+    code(status) {
+      this.statusCode = status;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+/**
+ * Run a requirePermission guard for a user on project 1
+ */
+async function runGuard(permission, user) {
+  const request = { user, params: { projectId: '1' } };
+  const reply = createReply();
+  await requirePermission(permission)(request, reply);
+  return { request, reply };
+}
+
+async function createProjectWithMember({ permissions = null, isActive = true } = {}) {
+  const owner = await prismaMock.user.create({ data: { name: 'Owner', email: 'owner@example.com', role: 'TESTER' } });
+  const member = await prismaMock.user.create({ data: { name: 'Member', email: 'member@example.com', role: 'DEVELOPER' } });
+  const project = await prismaMock.project.create({ data: { name: 'Web', ownerId: owner.id, status: 'ACTIVE' } });
+
+  let customRole = null;
+  if (permissions) {
+    customRole = await prismaMock.projectRole.create({
+      data: { projectId: project.id, key: 'RUN_COORDINATOR', name: 'Run Coordinator', permissions },
+    });
+  }
+  await prismaMock.projectUserAllocation.create({
+    data: {
+      projectId: project.id,
+      userId: member.id,
+      projectRole: customRole ? customRole.key : 'DEVELOPER',
+      customRoleId: customRole?.id ?? null,
+      isActive,
+    },
+  });
+
+  return { owner, member, project };
+}
+
+describe('isAllowedInProject', () => {
+  it('gives members with a custom role exactly its project permissions', () => {
+    const access = { role: 'DEVELOPER', projectRole: 'RUN_COORDINATOR', projectPermissions: ['testRun:create'] };
+
+    assert.equal(hasPermission('DEVELOPER', 'testRun:create'), false);
+    assert.equal(isAllowedInProject(access, 'testRun:create'), true);
+    assert.equal(hasPermission('DEVELOPER', 'testCase:read'), true);
+    assert.equal(isAllowedInProject(access, 'testCase:read'), false);
+  });
+
+  it('applies the global matrix to permissions outside project scope', () => {
+    const access = { role: 'TESTER', projectRole: 'RUN_COORDINATOR', projectPermissions: [GLOBAL_PERMISSION] };
+
+    assert.equal(isAllowedInProject(access, GLOBAL_PERMISSION), hasPermission('TESTER', GLOBAL_PERMISSION));
+    assert.equal(
+      isAllowedInProject({ role: 'ADMIN', projectPermissions: [] }, GLOBAL_PERMISSION),
+      hasPermission('ADMIN', GLOBAL_PERMISSION),
+    );
+  });
+
+  it('falls back to the global matrix without a custom role', () => {
+    const access = { role: 'DEVELOPER', projectRole: 'DEVELOPER', projectPermissions: null };
+
+    assert.equal(isAllowedInProject(access, 'testCase:read'), true);
+    assert.equal(isAllowedInProject(access, 'testRun:create'), false);
+  });
+
+  it('denies unknown permissions', () => {
+    assert.equal(isAllowedInProject({ role: 'ADMIN', projectPermissions: null }, 'testCase:teleport'), false);
+  });
+});
+
+describe('requirePermission with custom project roles', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+  });
+
+  it('lets a custom role grant what the global role does not', async () => {
+    const { member } = await createProjectWithMember({ permissions: ['testRun:create', 'testCase:read'] });
+
+    const { request, reply } = await runGuard('testRun:create', { id: member.id, role: 'DEVELOPER' });
+
+    assert.equal(reply.statusCode, 200);
+    assert.equal(request.projectRole, 'RUN_COORDINATOR');
+    assert.deepEqual(request.permissionContext.projectPermissions, ['testRun:create', 'testCase:read']);
+  });
+
+  it('forbids what the custom role leaves out, even if the global role allows it', async () => {
+    const { member } = await createProjectWithMember({ permissions: ['testCase:read'] });
+
+    const { reply } = await runGuard('testCase:delete', { id: member.id, role: 'DEVELOPER' });
+
+    assert.equal(reply.statusCode, 403);
+  });
+
+  it('uses the global matrix for members with a built-in role', async () => {
+    const { member } = await createProjectWithMember();
+
+    assert.equal((await runGuard('testCase:delete', { id: member.id, role: 'DEVELOPER' })).reply.statusCode, 200);
+    assert.equal((await runGuard('testRun:create', { id: member.id, role: 'DEVELOPER' })).reply.statusCode, 403);
+  });
+
+  it('ignores inactive allocations and non-members', async () => {
+    const { member } = await createProjectWithMember({ permissions: ['testRun:create'], isActive: false });
+    const outsider = await prismaMock.user.create({ data: { name: 'Outsider', email: 'out@example.com', role: 'TESTER' } });
+
+    assert.equal((await runGuard('testRun:create', { id: member.id, role: 'DEVELOPER' })).reply.statusCode, 403);
+    assert.equal((await runGuard('testCase:read', { id: outsider.id, role: 'TESTER' })).reply.statusCode, 403);
+  });
+
+  it('keeps the global matrix for admins and the project owner', async () => {
+    const { owner } = await createProjectWithMember({ permissions: ['testRun:create'] });
+    const admin = await prismaMock.user.create({ data: { name: 'Admin', email: 'admin@example.com', role: 'ADMIN' } });
+
+    const ownerCheck = await runGuard('testRun:create', { id: owner.id, role: 'TESTER' });
+    assert.equal(ownerCheck.reply.statusCode, 200);
+    assert.equal(ownerCheck.request.projectPermissions, null);
+    assert.equal((await runGuard('testCase:read', { id: admin.id, role: 'ADMIN' })).reply.statusCode, 200);
+  });
+});
+
+describe('getEffectivePermissions', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+  });
+
+  it('reports the custom role and matches the guard', async () => {
+    const { member, project } = await createProjectWithMember({ permissions: ['testRun:create'] });
+
+    const result = await getEffectivePermissions(project.id, member.id);
+    const allowed = (key) => result.permissions.find((permission) => permission.key === key).allowed;
+
+    assert.equal(result.source, 'CUSTOM_ROLE');
+    assert.deepEqual(result.customRole, { id: 1, key: 'RUN_COORDINATOR', name: 'Run Coordinator' });
+    assert.equal(allowed('testRun:create'), true);
+    assert.equal(allowed('testCase:read'), false);
+  });
+
+  it('grants no project permissions to non-members', async () => {
+    const { project } = await createProjectWithMember();
+    const outsider = await prismaMock.user.create({ data: { name: 'Outsider', email: 'out@example.com', role: 'TESTER' } });
+
+    const result = await getEffectivePermissions(project.id, outsider.id);
+
+    assert.equal(result.source, 'NOT_A_MEMBER');
+    assert.equal(result.permissions.some((permission) => permission.scope === 'project' && permission.allowed), false);
+  });
+});
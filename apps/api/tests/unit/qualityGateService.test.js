@@ -0,0 +1,232 @@
+/**
+ * UNIT TESTS - Quality gates: definitions and evaluation against runs and builds
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  listQualityGates,
+  createQualityGate,
+  updateQualityGate,
+  deleteQualityGate,
+  evaluateQualityGates,
+} from '../../src/services/qualityGateService.js';
+
+const USER_ID = 1;
+
+const permissionContext = {
+  validated: true,
+  projectId: 1,
+  permissions: ['qualityGate:manage'],
+};
+
+function create(data) {
+  return createQualityGate(1, data, USER_ID, {}, permissionContext);
+}
+
+async function createTestCase(name, priority, data = {}) {
+  return prismaMock.testCase.create({
+    data: { projectId: 1, name, priority, isDeleted: false, isQuarantined: false, ...data },
+  });
+}
+
+/**
+ * Run with one execution per [testCase, status] pair, finished in the given order
+ */
+async function createRun(name, results, { status = 'COMPLETED', buildVersion = '2.4.0', startedAt = 0 } = {}) {
+  const run = await prismaMock.testRun.create({ data: { projectId: 1, name, status, buildVersion } });
+  for (const [index, [testCase, executionStatus, dataRowNumber = null]] of results.entries()) {
+    const finished = executionStatus === 'BLOCKED' ? null : new Date(Date.UTC(2026, 9, 1, 0, startedAt + index));
+    await prismaMock.testExecution.create({
+      data: { testRunId: run.id, testCaseId: testCase.id, dataRowNumber, status: executionStatus, completedAt: finished },
+    });
+  }
+  return run;
+}
+
+describe('Quality gate definitions', () => {
+  beforeEach(async () => {
+    resetPrismaMock();
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: USER_ID } });
+    await prismaMock.user.create({ data: { name: 'Lead', email: 'lead@example.com', role: 'ADMIN' } });
+    await prismaMock.testPlan.create({ data: { projectId: 1, name: 'Release 2.4', testCaseIds: [] } });
+    await prismaMock.testPlan.create({ data: { projectId: 2, name: 'Mobile', testCaseIds: [] } });
+  });
+
+  it('normalizes a definition and records who created it', async () => {
+    const gate = await create({
+      name: '  Release ',
+      minPassRate: '95',
+      blockingPriorities: ['P0', 'P1', 'P0'],
+      maxOpenBugs: { CRITICAL: 0 },
+      testPlanId: 1,
+    });
+
+    assert.equal(gate.name, 'Release');
+    assert.equal(gate.minPassRate, 95);
+    assert.deepEqual(gate.blockingPriorities, ['P0', 'P1']);
+    assert.deepEqual(gate.maxOpenBugs, { CRITICAL: 0 });
+    assert.equal(gate.testPlanId, null);
+    assert.equal(gate.isActive, true);
+    assert.equal(gate.createdBy.name, 'Lead');
+    assert.equal(getRows('auditLog').at(-1).action, 'QUALITY_GATE_CREATED');
+  });
+
+  it('rejects invalid definitions', async () => {
+    const invalid = [
+      [{ name: ' ', minPassRate: 90 }, /Quality gate name is required/],
+      [{ name: 'Gate' }, /at least one criterion/],
+      [{ name: 'Gate', blockingPriorities: ['P5'] }, /Invalid blocking priorities: P5/],
+      [{ name: 'Gate', maxOpenBugs: { BLOCKER: 0 } }, /Invalid bug severity: BLOCKER/],
+      [{ name: 'Gate', maxOpenBugs: { MAJOR: 1.5 } }, /Open bug limit for MAJOR must be a non-negative integer/],
+      [{ name: 'Gate', minPassRate: 101 }, /minPassRate must be a percentage between 0 and 100/],
+      [{ name: 'Gate', minPlanCoverage: 80 }, /minPlanCoverage requires a testPlanId/],
+      [{ name: 'Gate', minPlanCoverage: 80, testPlanId: 2 }, /Test plan not found in this project/],
+    ];
+
+    for (const [data, message] of invalid) {
+      await assert.rejects(create(data), message);
+    }
+    await assert.rejects(createQualityGate(1, { name: 'Gate', minPassRate: 90 }, USER_ID), /direct service invocation not allowed/);
+    await assert.rejects(
+      createQualityGate(2, { name: 'Gate', minPassRate: 90 }, USER_ID, {}, permissionContext),
+      /Project scope mismatch/,
+    );
+    assert.deepEqual(getRows('qualityGate'), []);
+  });
+
+  it('updates only the given fields, lists active gates first and deletes', async () => {
+    const release = await create({ name: 'Release', minPassRate: 95, blockingPriorities: ['P0'] });
+    await create({ name: 'Nightly', minPassRate: 80 });
+    await create({ name: 'Archive', minPassRate: 50, isActive: false });
+
+    const updated = await updateQualityGate(1, release.id, { minPlanCoverage: 90, testPlanId: 1 }, USER_ID, {}, permissionContext);
+
+    assert.deepEqual([updated.minPassRate, updated.blockingPriorities, updated.minPlanCoverage], [95, ['P0'], 90]);
+    assert.equal(updated.testPlan.name, 'Release 2.4');
+    await assert.rejects(
+      updateQualityGate(1, release.id, { blockingPriorities: [], minPassRate: null, minPlanCoverage: null }, USER_ID, {}, permissionContext),
+      /at least one criterion/,
+    );
+    assert.deepEqual((await listQualityGates(1)).map((gate) => gate.name), ['Nightly', 'Release', 'Archive']);
+
+    await deleteQualityGate(1, release.id, USER_ID, {}, permissionContext);
+    await assert.rejects(deleteQualityGate(1, release.id, USER_ID, {}, permissionContext), /Quality gate not found/);
+    assert.deepEqual(getRows('auditLog').map((entry) => entry.action).slice(-2), ['QUALITY_GATE_UPDATED', 'QUALITY_GATE_DELETED']);
+  });
+});
+
+describe('evaluateQualityGates', () => {
+  let checkout;
+  let search;
+  let login;
+  let flaky;
+
+  beforeEach(async () => {
+    resetPrismaMock();
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: USER_ID } });
+    checkout = await createTestCase('Checkout', 'P0');
+    search = await createTestCase('Search', 'P2');
+    login = await createTestCase('Login', 'P1');
+    flaky = await createTestCase('Upload', 'P0', { isQuarantined: true });
+  });
+
+  it('passes a run that meets every criterion and leaves quarantined cases out', async () => {
+    const run = await createRun('Regression', [[checkout, 'PASSED'], [search, 'PASSED'], [login, 'PASSED'], [flaky, 'FAILED']]);
+    await create({ name: 'Release', minPassRate: 100, blockingPriorities: ['P0'] });
+    await create({ name: 'Disabled', minPassRate: 100, isActive: false });
+
+    const result = await evaluateQualityGates(1, { testRunId: run.id });
+
+    assert.equal(result.status, 'PASS');
+    assert.deepEqual(result.reasons, []);
+    assert.deepEqual(result.gates.map((gate) => [gate.name, gate.checks.map((check) => [check.key, check.actual])]), [
+      ['Release', [['PASS_RATE', 100], ['BLOCKING_FAILURES', 0]]],
+    ]);
+    assert.deepEqual(result.scope, {
+      type: 'TEST_RUN',
+      testRunId: run.id,
+      testRunName: 'Regression',
+      buildVersion: '2.4.0',
+      runIds: [run.id],
+      complete: true,
+      executions: 4,
+      passed: 3,
+      failed: 0,
+      notExecuted: 0,
+      quarantined: 1,
+    });
+  });
+
+  it('explains every failed check', async () => {
+    const removed = await createTestCase('Legacy', 'P3', { isDeleted: true });
+    const plan = await prismaMock.testPlan.create({
+      data: { projectId: 1, name: 'Release 2.4', testCaseIds: [checkout.id, search.id, login.id, removed.id] },
+    });
+    const run = await createRun('Regression', [[checkout, 'FAILED'], [search, 'PASSED'], [login, 'BLOCKED']], { status: 'IN_PROGRESS' });
+    for (const [severity, status] of [['CRITICAL', 'NEW'], ['CRITICAL', 'IN_PROGRESS'], ['MAJOR', 'CLOSED'], ['MINOR', 'NEW']]) {
+      await prismaMock.bug.create({ data: { projectId: 1, title: `${severity} bug`, severity, status } });
+    }
+    await create({
+      name: 'Release',
+      minPassRate: 90,
+      blockingPriorities: ['P0', 'P1'],
+      maxOpenBugs: { CRITICAL: 1, MAJOR: 0 },
+      testPlanId: plan.id,
+      minPlanCoverage: 100,
+    });
+
+    const result = await evaluateQualityGates(1, { testRunId: run.id });
+
+    assert.equal(result.status, 'FAIL');
+    assert.equal(result.scope.complete, false);
+    assert.equal(result.scope.notExecuted, 1);
+    assert.deepEqual(result.gates[0].checks.map((check) => [check.key, check.severity, check.status]), [
+      ['PASS_RATE', undefined, 'FAIL'],
+      ['BLOCKING_FAILURES', undefined, 'FAIL'],
+      ['OPEN_BUGS', 'CRITICAL', 'FAIL'],
+      ['OPEN_BUGS', 'MAJOR', 'PASS'],
+      ['PLAN_COVERAGE', undefined, 'FAIL'],
+    ]);
+    assert.deepEqual(result.reasons, [
+      'Release: Pass rate 33.3% is below the 90% minimum',
+      'Release: 1 P0/P1 test case(s) failed: Checkout',
+      'Release: 2 open CRITICAL bug(s), at most 1 allowed',
+      'Release: Test plan "Release 2.4" coverage 66.7% is below the 100% minimum (2 of 3 cases executed)',
+    ]);
+  });
+
+  it('judges a build on the latest result of each case and data row', async () => {
+    const first = await createRun('Nightly', [[checkout, 'FAILED'], [search, 'FAILED', 1], [search, 'PASSED', 2]]);
+    const rerun = await createRun('Rerun', [[checkout, 'PASSED'], [search, 'PASSED', 1]], { status: 'IN_PROGRESS', startedAt: 10 });
+    await createRun('Aborted', [[checkout, 'FAILED']], { status: 'CANCELLED', startedAt: 20 });
+    await createRun('Next', [[checkout, 'FAILED']], { buildVersion: '2.5.0', startedAt: 30 });
+    const gate = await create({ name: 'Release', minPassRate: 100, blockingPriorities: ['P0'] });
+    await create({ name: 'Nightly', minPassRate: 100, blockingPriorities: ['P2'] });
+
+    const result = await evaluateQualityGates(1, { buildVersion: '2.4.0', gateId: gate.id });
+
+    assert.equal(result.status, 'PASS');
+    assert.deepEqual(result.gates.map((entry) => entry.name), ['Release']);
+    assert.deepEqual(
+      [result.scope.type, result.scope.runIds, result.scope.complete, result.scope.executions, result.scope.passed],
+      ['BUILD', [first.id, rerun.id], false, 3, 3],
+    );
+  });
+
+  it('needs exactly one existing target', async () => {
+    const run = await createRun('Regression', [[checkout, 'PASSED']]);
+
+    await assert.rejects(evaluateQualityGates(1, {}), /Provide either testRunId or buildVersion/);
+    await assert.rejects(evaluateQualityGates(1, { testRunId: run.id, buildVersion: '2.4.0' }), /Provide either/);
+    await assert.rejects(evaluateQualityGates(2, { testRunId: run.id }), /Test run not found/);
+    await assert.rejects(evaluateQualityGates(1, { buildVersion: '9.9.9' }), /No test runs found for build 9\.9\.9/);
+    await assert.rejects(evaluateQualityGates(1, { testRunId: run.id, gateId: 5 }), /Quality gate not found/);
+
+    const withoutGates = await evaluateQualityGates(1, { testRunId: run.id });
+    assert.deepEqual([withoutGates.status, withoutGates.gates], ['PASS', []]);
+  });
+});
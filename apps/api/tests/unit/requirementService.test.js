@@ -0,0 +1,179 @@
+/**
+ * UNIT TESTS - Requirements: keys, test case links and traceability coverage
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  createRequirement,
+  updateRequirement,
+  linkTestCasesToRequirement,
+  unlinkTestCasesFromRequirement,
+  getTraceabilityMatrix,
+} from '../../src/services/requirementService.js';
+
+const USER_ID = 1;
+
+// What requirePermission hands to the service for a project member
+const permissionContext = {
+  validated: true,
+  projectId: 1,
+  permissions: ['requirement:create', 'requirement:edit', 'requirement:delete'],
+};
+
+async function createProjectWithTestCases() {
+  await prismaMock.project.create({ data: { name: 'Web', key: 'WEB', ownerId: USER_ID } });
+  await prismaMock.project.create({ data: { name: 'Mobile', key: 'MOB', ownerId: USER_ID } });
+  const names = ['Pay by card', 'Pay by wallet', 'Refund', 'Search'];
+  for (const name of names) {
+    await prismaMock.testCase.create({
+      data: { projectId: 1, name, priority: 'P2', status: 'ACTIVE', type: 'FUNCTIONAL', isDeleted: false },
+    });
+  }
+  await prismaMock.testCase.create({
+    data: { projectId: 2, name: 'Other project', priority: 'P2', status: 'ACTIVE', type: 'FUNCTIONAL', isDeleted: false },
+  });
+}
+
+function requirement(data) {
+  return createRequirement({ projectId: 1, ...data }, USER_ID, permissionContext);
+}
+
+/**
+ * A run created at the given date with one execution per { testCaseId: status }
+ */
+async function createRun(name, createdAt, results) {
+  const run = await prismaMock.testRun.create({ data: { projectId: 1, name, createdAt } });
+  for (const [testCaseId, status] of Object.entries(results)) {
+    await prismaMock.testExecution.create({
+      data: { testRunId: run.id, testCaseId: Number(testCaseId), status, completedAt: createdAt },
+    });
+  }
+  return run;
+}
+
+describe('Requirement keys and links', () => {
+  beforeEach(async () => {
+    resetPrismaMock();
+    await createProjectWithTestCases();
+  });
+
+  it('generates the next REQ-<n> key and rejects duplicates', async () => {
+    await requirement({ title: 'Imported', key: 'REQ-7' });
+    await requirement({ title: 'Custom key', key: 'REQ-LOGIN' });
+
+    const generated = await requirement({ title: 'Checkout' });
+
+    assert.equal(generated.key, 'REQ-8');
+    await assert.rejects(requirement({ title: 'Again', key: 'REQ-8' }), /Requirement REQ-8 already exists in project/);
+  });
+
+  it('refuses to be created without a permission context', async () => {
+    await assert.rejects(
+      createRequirement({ projectId: 1, title: 'Checkout' }, USER_ID),
+      /direct service invocation not allowed/,
+    );
+    assert.deepEqual(getRows('requirement'), []);
+  });
+
+  it('keeps links unique and only to test cases of the project', async () => {
+    const req = await requirement({ title: 'Checkout', testCaseIds: [1] });
+
+    const linked = await linkTestCasesToRequirement(1, req.id, [1, 2, 2], USER_ID, permissionContext);
+
+    assert.deepEqual(linked.testCases.map((link) => link.testCase.name), ['Pay by card', 'Pay by wallet']);
+    await assert.rejects(
+      linkTestCasesToRequirement(1, req.id, [3, 5], USER_ID, permissionContext),
+      /Some test cases not found or belong to different project/,
+    );
+    assert.equal(getRows('requirementTestCase').length, 2);
+
+    const result = await unlinkTestCasesFromRequirement(1, req.id, [1, 4], USER_ID, permissionContext);
+    assert.equal(result.count, 1);
+    assert.deepEqual(getRows('requirementTestCase').map((link) => link.testCaseId), [2]);
+  });
+
+  it('does not move a requirement under its own descendant', async () => {
+    const parent = await requirement({ title: 'Payments' });
+    const child = await requirement({ title: 'Cards', parentId: parent.id });
+    const grandchild = await requirement({ title: 'Saved cards', parentId: child.id });
+
+    await assert.rejects(
+      updateRequirement(1, parent.id, { parentId: grandchild.id }, USER_ID, permissionContext),
+      /Cannot move requirement under its own descendant/,
+    );
+    await assert.rejects(
+      updateRequirement(1, parent.id, { parentId: parent.id }, USER_ID, permissionContext),
+      /Requirement cannot be its own parent/,
+    );
+  });
+});
+
+describe('getTraceabilityMatrix', () => {
+  beforeEach(async () => {
+    resetPrismaMock();
+    await createProjectWithTestCases();
+  });
+
+  it('rolls up the latest result of every linked test case', async () => {
+    const failing = await requirement({ title: 'Card payments', testCaseIds: [1, 2] });
+    const passing = await requirement({ title: 'Refunds', testCaseIds: [3] });
+    const incomplete = await requirement({ title: 'Search', testCaseIds: [3, 4] });
+    const uncovered = await requirement({ title: 'Invoices' });
+    await createRun('Sprint 1', new Date('2026-01-01'), { 1: 'PASSED', 2: 'FAILED', 3: 'FAILED' });
+    await createRun('Sprint 2', new Date('2026-02-01'), { 1: 'BLOCKED', 3: 'PASSED' });
+
+    const matrix = await getTraceabilityMatrix(1);
+    const row = (id) => matrix.requirements.find((item) => item.id === id);
+
+    assert.equal(row(failing.id).coverageStatus, 'FAILED');
+    assert.deepEqual(
+      row(failing.id).testCases.map((tc) => [tc.name, tc.latestExecution.status, tc.latestExecution.testRunName]),
+      [['Pay by card', 'BLOCKED', 'Sprint 2'], ['Pay by wallet', 'FAILED', 'Sprint 1']],
+    );
+    assert.equal(row(passing.id).coverageStatus, 'PASSED');
+    assert.equal(row(incomplete.id).coverageStatus, 'INCOMPLETE');
+    assert.equal(row(incomplete.id).notRunCount, 1);
+    assert.equal(row(uncovered.id).coverageStatus, 'UNCOVERED');
+    assert.deepEqual(matrix.summary, {
+      totalRequirements: 4,
+      coveredRequirements: 3,
+      uncoveredRequirements: 1,
+      passedRequirements: 1,
+      failedRequirements: 1,
+      coveragePercent: 75,
+      passPercent: 25,
+    });
+  });
+
+  it('only counts the given run when one is selected', async () => {
+    const req = await requirement({ title: 'Card payments', testCaseIds: [1] });
+    const first = await createRun('Sprint 1', new Date('2026-01-01'), { 1: 'PASSED' });
+    await createRun('Sprint 2', new Date('2026-02-01'), { 1: 'FAILED' });
+
+    const matrix = await getTraceabilityMatrix(1, { testRunId: first.id });
+
+    assert.deepEqual(matrix.testRun, { id: first.id, name: 'Sprint 1' });
+    assert.equal(matrix.requirements.find((row) => row.id === req.id).coverageStatus, 'PASSED');
+    await assert.rejects(getTraceabilityMatrix(2, { testRunId: first.id }), /Test run not found/);
+  });
+
+  it('orders children after their parent and hides deprecated requirements', async () => {
+    const parent = await requirement({ title: 'Payments', order: 2 });
+    await requirement({ title: 'Search', order: 1 });
+    await requirement({ title: 'Cards', parentId: parent.id });
+    await requirement({ title: 'Old flow', status: 'DEPRECATED' });
+
+    const matrix = await getTraceabilityMatrix(1);
+    const withDeprecated = await getTraceabilityMatrix(1, { includeDeprecated: true });
+
+    assert.deepEqual(
+      matrix.requirements.map((row) => [row.title, row.depth]),
+      [['Search', 0], ['Payments', 0], ['Cards', 1]],
+    );
+    assert.equal(withDeprecated.summary.totalRequirements, 4);
+  });
+});
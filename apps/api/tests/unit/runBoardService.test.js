@@ -0,0 +1,150 @@
+/**
+ * UNIT TESTS - Live run board: status columns, counters, broadcasts and soft locks
+ *
+ * Broadcasts go to a stand-in Socket.IO server that records every emit.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock } from '../helpers/prismaMock.js';
+import {
+  initializeRunBoard,
+  getRunBoard,
+  publishExecutionUpdate,
+  publishRunRefresh,
+  getRunLocks,
+  claimExecutionLock,
+  releaseExecutionLock,
+  releaseSocketLocks,
+} from '../../src/services/runBoardService.js';
+
+const ALICE = { userId: 2, userName: 'Alice', socketId: 'socket-a' };
+const BOB = { userId: 3, userName: 'Bob', socketId: 'socket-b' };
+
+let emitted;
+
+const io = {
+  to: (room) => ({
+    emit: (event, payload) => emitted.push({ room, event, payload }),
+  }),
+};
+
+async function createRun(statuses) {
+  const run = await prismaMock.testRun.create({
+    data: { projectId: 1, name: 'Regression', status: 'IN_PROGRESS', buildVersion: '2.4.0', environment: 'staging' },
+  });
+  await prismaMock.user.create({ data: { name: 'Dana', email: 'dana@example.com', role: 'TESTER' } });
+  for (const [index, [status, completed]] of statuses.entries()) {
+    const testCase = await prismaMock.testCase.create({ data: { projectId: 1, name: `Case ${index + 1}`, priority: 'P2' } });
+    await prismaMock.testExecution.create({
+      data: {
+        testRunId: run.id,
+        testCaseId: testCase.id,
+        dataRowNumber: null,
+        status,
+        completedAt: completed ? new Date() : null,
+        assignedToId: index === 0 ? 1 : null,
+      },
+    });
+  }
+  return run;
+}
+
+describe('Run board', () => {
+  before(() => {
+    initializeRunBoard(io);
+  });
+
+  after(() => {
+    initializeRunBoard(null);
+  });
+
+  beforeEach(async () => {
+    resetPrismaMock();
+    emitted = [];
+    releaseSocketLocks(ALICE.socketId);
+    releaseSocketLocks(BOB.socketId);
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: 1 } });
+  });
+
+  it('puts executions in columns and counts finished ones', async () => {
+    const run = await createRun([
+      ['PASSED', true],
+      ['FAILED', true],
+      ['BLOCKED', false],
+      ['BLOCKED', true],
+      ['IN_PROGRESS', false],
+    ]);
+
+    const board = await getRunBoard(1, String(run.id));
+
+    assert.deepEqual(board.run, { id: run.id, name: 'Regression', status: 'IN_PROGRESS', buildVersion: '2.4.0', environment: 'staging' });
+    assert.deepEqual(board.cards.map((card) => card.column), ['PASSED', 'FAILED', 'TODO', 'BLOCKED', 'IN_PROGRESS']);
+    assert.deepEqual(board.cards[0].assignee, { id: 1, name: 'Dana' });
+    assert.equal(board.cards[1].assignee, null);
+    assert.deepEqual(board.counters, {
+      total: 5,
+      done: 3,
+      byColumn: { TODO: 1, IN_PROGRESS: 1, PASSED: 1, FAILED: 1, BLOCKED: 1, SKIPPED: 0 },
+      progressPercent: 60,
+    });
+    await assert.rejects(getRunBoard(2, run.id), /Test run not found/);
+  });
+
+  it('broadcasts execution updates and refreshes to the run room', async () => {
+    const run = await createRun([['BLOCKED', false], ['BLOCKED', false]]);
+    await prismaMock.testExecution.update({ where: { id: 2 }, data: { status: 'PASSED', completedAt: new Date() } });
+
+    await publishExecutionUpdate(2);
+    await publishExecutionUpdate(99);
+    publishRunRefresh(String(run.id));
+
+    assert.deepEqual(emitted.map(({ room, event }) => [room, event]), [
+      [`run:${run.id}`, 'run:execution_updated'],
+      [`run:${run.id}`, 'run:refresh'],
+    ]);
+    const [{ payload }] = emitted;
+    assert.deepEqual([payload.runId, payload.card.testCaseName, payload.card.column], [run.id, 'Case 2', 'PASSED']);
+    assert.deepEqual([payload.counters.done, payload.counters.progressPercent], [1, 50]);
+    assert.equal(emitted[1].payload.runId, run.id);
+  });
+
+  it('keeps a lock with its holder until they release it', () => {
+    const claimed = claimExecutionLock(1, 5, ALICE);
+    const refused = claimExecutionLock('1', '5', BOB);
+    const renewed = claimExecutionLock(1, 5, { ...ALICE, socketId: 'socket-a2' });
+
+    assert.equal(claimed.acquired, true);
+    assert.deepEqual(refused, { acquired: false, lock: claimed.lock });
+    assert.deepEqual(renewed, { acquired: true, lock: claimed.lock });
+    assert.deepEqual(getRunLocks(1), [{ executionId: 5, userId: 2, userName: 'Alice', since: claimed.lock.since }]);
+
+    assert.equal(releaseExecutionLock(1, 5, BOB.userId), false);
+    assert.equal(releaseExecutionLock(1, 5, ALICE.userId), true);
+    assert.equal(releaseExecutionLock(1, 5, ALICE.userId), false);
+    assert.deepEqual(getRunLocks(1), []);
+
+    assert.deepEqual(emitted.map(({ event, payload }) => [event, payload.executionId, payload.lock?.userName ?? null]), [
+      ['run:lock_changed', 5, 'Alice'],
+      ['run:lock_changed', 5, null],
+    ]);
+  });
+
+  it('releases the locks of a socket that disconnects', () => {
+    claimExecutionLock(1, 5, ALICE);
+    claimExecutionLock(2, 6, ALICE);
+    claimExecutionLock(1, 7, BOB);
+    emitted = [];
+
+    releaseSocketLocks(ALICE.socketId);
+
+    assert.deepEqual(getRunLocks(1).map((lock) => lock.executionId), [7]);
+    assert.deepEqual(getRunLocks(2), []);
+    assert.deepEqual(emitted.map(({ room, payload }) => [room, payload.executionId, payload.lock]), [
+      ['run:1', 5, null],
+      ['run:2', 6, null],
+    ]);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * UNIT TESTS - Run templates: definitions, run naming and creating runs from a template
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  renderRunName,
+  resolveTemplateTestCaseIds,
+  getRunTemplate,
+  createRunTemplate,
+  updateRunTemplate,
+  deleteRunTemplate,
+  instantiateRunTemplate,
+  syncRunTemplateSchedules,
+  stopRunTemplateSchedules,
+} from '../../src/services/runTemplateService.js';
+
+const LEAD_ID = 1;
+const ALICE = 2;
+const BOB = 3;
+
+const permissionContext = {
+  validated: true,
+  projectId: 1,
+  permissions: ['runTemplate:manage'],
+};
+
+function create(data) {
+  return createRunTemplate(1, data, LEAD_ID, {}, permissionContext);
+}
+
+function update(templateId, data) {
+  return updateRunTemplate(1, templateId, data, LEAD_ID, {}, permissionContext);
+}
+
+function assignees() {
+  return getRows('testExecution').map((execution) => execution.assignedToId);
+}
+
+describe('renderRunName', () => {
+  const date = new Date('2026-10-19T07:05:00Z');
+
+  it('fills in the pattern tokens', () => {
+    const template = { name: 'Nightly', namePattern: '{template} #{n} on {build} at {date} {time} {unknown}', runCount: 4 };
+
+    assert.equal(renderRunName(template, { buildVersion: '2.4.0', date }), 'Nightly #5 on 2.4.0 at 2026-10-19 07:05 {unknown}');
+    assert.equal(renderRunName({ ...template, runCount: undefined }, { date }), 'Nightly #1 on no build at 2026-10-19 07:05 {unknown}');
+  });
+
+  it('defaults to the template name and date and keeps names within 200 characters', () => {
+    assert.equal(renderRunName({ name: 'Smoke' }, { date }), 'Smoke - 2026-10-19');
+    assert.equal(renderRunName({ name: 'Smoke', namePattern: '   ' }, { date }), 'Smoke');
+    assert.equal(renderRunName({ name: 'Smoke', namePattern: `{template}${'x'.repeat(250)}` }, { date }).length, 200);
+  });
+});
+
+describe('Run templates', () => {
+  let cases;
+
+  after(() => {
+    stopRunTemplateSchedules();
+  });
+
+  beforeEach(async () => {
+    resetPrismaMock();
+    stopRunTemplateSchedules();
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: LEAD_ID } });
+    await prismaMock.user.create({ data: { name: 'Lead', email: 'lead@example.com', role: 'ADMIN' } });
+    for (const name of ['Alice', 'Bob']) {
+      const user = await prismaMock.user.create({ data: { name, email: `${name.toLowerCase()}@example.com`, role: 'TESTER' } });
+      await prismaMock.projectUserAllocation.create({ data: { projectId: 1, userId: user.id, isActive: true } });
+      await prismaMock.notificationPreference.create({ data: { userId: user.id, inAppEnabled: true, inAppBugAssigned: true } });
+    }
+    cases = [];
+    for (const name of ['Checkout', 'Search', 'Login']) {
+      cases.push(await prismaMock.testCase.create({ data: { projectId: 1, name, isDeleted: false, estimatedDurationMinutes: 10 } }));
+    }
+    await prismaMock.testCase.create({ data: { projectId: 2, name: 'Mobile login', isDeleted: false } });
+  });
+
+  it('stores a normalized definition', async () => {
+    const template = await create({
+      name: ' Nightly ',
+      testCaseIds: [cases[0].id, String(cases[1].id), cases[0].id],
+      environment: ' staging ',
+      assignment: { testerIds: [ALICE, BOB], strategy: 'MODULE_AREA', balanceByDuration: false },
+    });
+
+    assert.equal(template.name, 'Nightly');
+    assert.equal(template.selectionType, 'CASES');
+    assert.deepEqual(template.testCaseIds, [cases[0].id, cases[1].id]);
+    assert.equal(template.environment, 'staging');
+    assert.deepEqual(template.assignment, { testerIds: [ALICE, BOB], strategy: 'MODULE_AREA', balanceByDuration: false });
+    assert.equal(template.namePattern, '{template} - {date}');
+    assert.equal(template.createdBy.name, 'Lead');
+    assert.equal(getRows('auditLog').at(-1).action, 'RUN_TEMPLATE_CREATED');
+  });
+
+  it('rejects invalid definitions', async () => {
+    await prismaMock.testSuite.create({ data: { projectId: 1, name: 'Old', isDeleted: true } });
+    await prismaMock.testPlan.create({ data: { projectId: 2, name: 'Mobile', testCaseIds: [] } });
+    const withCases = { name: 'Nightly', testCaseIds: [1] };
+    const invalid = [
+      [{ testCaseIds: [1] }, /Run template name is required/],
+      [{ name: 'Nightly', selectionType: 'TAGS' }, /Invalid selection type/],
+      [{ name: 'Nightly', testCaseIds: [] }, /Select at least one test case/],
+      [{ name: 'Nightly', testCaseIds: [1, 4] }, /Some test cases were not found in this project/],
+      [{ name: 'Nightly', selectionType: 'SUITE', testSuiteId: 1 }, /Test suite not found in this project/],
+      [{ name: 'Nightly', selectionType: 'PLAN', testPlanId: 1 }, /Test plan not found in this project/],
+      [{ ...withCases, schedule: 'every night' }, /Invalid cron schedule/],
+      [{ ...withCases, namePattern: 'x'.repeat(201) }, /Name pattern must be at most 200 characters/],
+      [{ ...withCases, assignment: { testerIds: [ALICE, LEAD_ID] } }, /not active testers on this project: 1/],
+      [{ ...withCases, assignment: { testerIds: [ALICE], strategy: 'RANDOM' } }, /Invalid assignment strategy/],
+    ];
+
+    for (const [data, message] of invalid) {
+      await assert.rejects(create(data), message);
+    }
+    await assert.rejects(createRunTemplate(1, withCases, LEAD_ID), /direct service invocation not allowed/);
+    assert.deepEqual(getRows('testRunTemplate'), []);
+  });
+
+  it('creates a run from the cases that still exist and spreads it over the testers', async () => {
+    const template = await create({
+      name: 'Nightly',
+      namePattern: '{template} #{n} ({build})',
+      testCaseIds: cases.map((testCase) => testCase.id),
+      buildVersion: '2.4.0',
+      assignment: { testerIds: [ALICE, BOB] },
+    });
+    await prismaMock.testCase.update({ where: { id: cases[2].id }, data: { isDeleted: true } });
+
+    const { testRun, executionCount } = await instantiateRunTemplate(1, template.id, { userId: ALICE });
+
+    assert.equal(executionCount, 2);
+    assert.deepEqual([testRun.name, testRun.status, testRun.templateId, testRun.createdBy], ['Nightly #1 (2.4.0)', 'IN_PROGRESS', template.id, ALICE]);
+    assert.deepEqual(assignees(), [ALICE, BOB]);
+    // The tester who started the run is not told about it
+    assert.deepEqual(getRows('notification').map((notification) => [notification.userId, notification.message]), [
+      [BOB, '1 execution assigned to you from template "Nightly"'],
+    ]);
+
+    const second = await instantiateRunTemplate(1, template.id, { trigger: 'RELEASE', buildVersion: ' 2.5.0 ' });
+    assert.deepEqual([second.testRun.name, second.testRun.createdBy], ['Nightly #2 (2.5.0)', LEAD_ID]);
+    const stored = getRows('testRunTemplate')[0];
+    assert.deepEqual([stored.runCount, stored.lastRunId], [2, second.testRun.id]);
+    assert.equal(getRows('auditLog').at(-1).action, 'RUN_TEMPLATE_INSTANTIATED');
+
+    const withRecentRuns = await getRunTemplate(1, template.id);
+    assert.deepEqual(withRecentRuns.recentRuns.map((run) => run.id).sort((a, b) => a - b), [testRun.id, second.testRun.id]);
+  });
+
+  it('resolves plan selections when the run is created', async () => {
+    const plan = await prismaMock.testPlan.create({ data: { projectId: 1, name: 'Release', testCaseIds: [cases[1].id] } });
+    const template = await create({ name: 'Release', selectionType: 'PLAN', testPlanId: plan.id });
+    await prismaMock.testPlan.update({ where: { id: plan.id }, data: { testCaseIds: [cases[1].id, cases[2].id, 4] } });
+
+    assert.deepEqual(await resolveTemplateTestCaseIds(template), [cases[1].id, cases[2].id]);
+    await assert.rejects(resolveTemplateTestCaseIds({ ...template, testPlanId: null }), /test plan was deleted/);
+  });
+
+  it('refuses runs from inactive or empty templates and testers who left', async () => {
+    const template = await create({ name: 'Nightly', testCaseIds: [cases[0].id], assignment: { testerIds: [BOB] } });
+
+    await assert.rejects(instantiateRunTemplate(1, template.id, { trigger: 'PUSH' }), /Invalid trigger/);
+    await assert.rejects(instantiateRunTemplate(2, template.id), /Run template not found/);
+
+    await prismaMock.projectUserAllocation.updateMany({ where: { userId: BOB }, data: { isActive: false } });
+    await assert.rejects(instantiateRunTemplate(1, template.id), /not active testers on this project: 3/);
+
+    await prismaMock.testCase.update({ where: { id: cases[0].id }, data: { isDeleted: true } });
+    await assert.rejects(instantiateRunTemplate(1, template.id), /Run template selects no test cases/);
+
+    await prismaMock.testRunTemplate.update({ where: { id: template.id }, data: { isActive: false } });
+    await assert.rejects(instantiateRunTemplate(1, template.id), /Run template is inactive/);
+    assert.deepEqual(getRows('testRun'), []);
+  });
+
+  it('keeps fields that an update leaves out and schedules active templates', async () => {
+    const template = await create({ name: 'Nightly', testCaseIds: [cases[0].id], environment: 'staging' });
+
+    const scheduled = await update(template.id, { schedule: '0 2 * * *' });
+    assert.deepEqual([scheduled.environment, scheduled.testCaseIds, scheduled.schedule], ['staging', [cases[0].id], '0 2 * * *']);
+    assert.deepEqual(await syncRunTemplateSchedules(), { scheduled: 1 });
+
+    await update(template.id, { isActive: false });
+    assert.deepEqual(await syncRunTemplateSchedules(), { scheduled: 0 });
+
+    await deleteRunTemplate(1, template.id, LEAD_ID, {}, permissionContext);
+    await assert.rejects(getRunTemplate(1, template.id), /Run template not found/);
+    assert.deepEqual(getRows('auditLog').map((entry) => entry.action).slice(-3), [
+      'RUN_TEMPLATE_UPDATED',
+      'RUN_TEMPLATE_UPDATED',
+      'RUN_TEMPLATE_DELETED',
+    ]);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * UNIT TESTS - Session listing, revocation and new-device warnings
+ *
+ * Sessions are opened with the real login, and access tokens are checked with
+ * verifyTokenAndLoadUser, the same check the HTTP and Socket.IO guards use.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import { createFastifyStub } from '../helpers/fastify.js';
+import { verifyTokenAndLoadUser } from '../../src/lib/rbac.js';
+import { login, refreshSession, logoutAll } from '../../src/services/authService.js';
+import {
+  listUserSessions,
+  revokeUserSession,
+  forceRevokeSessions,
+  describeDevice,
+} from '../../src/services/sessionService.js';
+
+const PASSWORD = 'Password1!';
+const LAPTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+const PHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+const fastify = createFastifyStub();
+let originalFetch;
+
+async function createUser(email = 'sam@example.com') {
+  return prismaMock.user.create({
+    data: {
+      name: 'Sam',
+      email,
+      password: await bcrypt.hash(PASSWORD, 4),
+      role: 'TESTER',
+    },
+  });
+}
+
+function signIn(email, userAgent) {
+  return login(fastify, { email, password: PASSWORD }, { ipAddress: '203.0.113.7', userAgent });
+}
+
+function sessionIdOf(token) {
+  return fastify.jwt.decode(token).sessionId;
+}
+
+describe('Sessions', () => {
+  before(() => {
+    // New-device emails go nowhere
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => new Response('{}', { status: 503 });
+  });
+
+  after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  beforeEach(() => {
+    resetPrismaMock();
+  });
+
+  it('names devices from the user agent, preferring the client label', () => {
+    assert.equal(describeDevice(LAPTOP), 'Chrome on Windows');
+    assert.equal(describeDevice(PHONE), 'Safari on iOS');
+    assert.equal(describeDevice(LAPTOP, 'Work laptop'), 'Work laptop');
+    assert.equal(describeDevice(null), 'Unknown device');
+  });
+
+  it('lists active sessions and marks the current one', async () => {
+    const user = await createUser();
+    const laptop = await signIn('sam@example.com', LAPTOP);
+    await signIn('sam@example.com', PHONE);
+
+    const sessions = await listUserSessions(user.id, sessionIdOf(laptop.token));
+
+    assert.equal(sessions.length, 2);
+    assert.deepEqual(
+      sessions.map(({ device, current }) => ({ device, current })).sort((a, b) => a.device.localeCompare(b.device)),
+      [
+        { device: 'Chrome on Windows', current: true },
+        { device: 'Safari on iOS', current: false },
+      ],
+    );
+    assert.equal(sessions[0].refreshTokenHash, undefined);
+  });
+
+  it('rejects the access and refresh tokens of a revoked session only', async () => {
+    const user = await createUser();
+    const laptop = await signIn('sam@example.com', LAPTOP);
+    const phone = await signIn('sam@example.com', PHONE);
+
+    await revokeUserSession(user.id, sessionIdOf(phone.token));
+
+    assert.equal(await verifyTokenAndLoadUser(fastify, phone.token), null);
+    await assert.rejects(refreshSession(fastify, phone.refreshToken), /Invalid refresh token/);
+    assert.equal((await verifyTokenAndLoadUser(fastify, laptop.token)).id, user.id);
+    assert.equal((await listUserSessions(user.id)).length, 1);
+  });
+
+  it('does not let users revoke sessions of other users', async () => {
+    await createUser();
+    const other = await createUser('other@example.com');
+    const { token } = await signIn('sam@example.com', LAPTOP);
+
+    await assert.rejects(revokeUserSession(other.id, sessionIdOf(token)), /Session not found/);
+    assert.ok(await verifyTokenAndLoadUser(fastify, token));
+  });
+
+  it('lets an admin sign a user out everywhere', async () => {
+    const user = await createUser();
+    const admin = await createUser('admin@example.com');
+    const laptop = await signIn('sam@example.com', LAPTOP);
+    const phone = await signIn('sam@example.com', PHONE);
+
+    const result = await forceRevokeSessions(admin.id, user.id);
+
+    assert.equal(result.revoked, 2);
+    assert.equal(await verifyTokenAndLoadUser(fastify, laptop.token), null);
+    assert.equal(await verifyTokenAndLoadUser(fastify, phone.token), null);
+    assert.deepEqual(await listUserSessions(user.id), []);
+  });
+
+  it('rejects tokens of expired sessions and of sessions closed by logout from all devices', async () => {
+    const user = await createUser();
+    const laptop = await signIn('sam@example.com', LAPTOP);
+
+    const [session] = getRows('userSession');
+    session.expiresAt = new Date(Date.now() - 1000);
+    assert.equal(await verifyTokenAndLoadUser(fastify, laptop.token), null);
+
+    const phone = await signIn('sam@example.com', PHONE);
+    await logoutAll(user.id);
+    assert.equal(await verifyTokenAndLoadUser(fastify, phone.token), null);
+  });
+
+  it('notifies the user of sign-ins from a new device, but not the first sign-in', async () => {
+    const user = await createUser();
+
+    await signIn('sam@example.com', LAPTOP);
+    await signIn('sam@example.com', LAPTOP);
+    assert.equal(getRows('notification').length, 0);
+
+    await signIn('sam@example.com', PHONE);
+    const notifications = getRows('notification');
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].userId, user.id);
+    assert.equal(notifications[0].type, 'NEW_DEVICE_LOGIN');
+    assert.match(notifications[0].message, /^Safari on iOS from 203\.0\.113\.7/);
+  });
+});
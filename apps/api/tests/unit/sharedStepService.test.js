@@ -0,0 +1,158 @@
+/**
+ * UNIT TESTS - Shared step blocks: references, expansion and execution steps
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  buildTestCaseStepData,
+  expandTestCaseSteps,
+  seedExecutionSteps,
+  createSharedStepBlock,
+  getProjectSharedStepBlocks,
+  updateSharedStepBlock,
+  deleteSharedStepBlock,
+} from '../../src/services/sharedStepService.js';
+
+const USER_ID = 1;
+
+const permissionContext = {
+  validated: true,
+  projectId: 1,
+  permissions: ['sharedStep:create', 'sharedStep:edit', 'sharedStep:delete'],
+};
+
+function createBlock(name, steps) {
+  return createSharedStepBlock({ projectId: 1, name, steps }, USER_ID, permissionContext);
+}
+
+/**
+ * Test case whose steps are built from the given input, as createTestCase does
+ */
+async function createTestCase(name, steps, overrides = {}) {
+  const testCase = await prismaMock.testCase.create({ data: { projectId: 1, name, isDeleted: false, ...overrides } });
+  const stepData = await buildTestCaseStepData(1, steps);
+  await prismaMock.testCaseStep.createMany({ data: stepData.map((step) => ({ ...step, testCaseId: testCase.id })) });
+  return testCase;
+}
+
+function actions(steps) {
+  return steps.map((step) => `${step.stepNumber}. ${step.action}`);
+}
+
+describe('Shared step blocks', () => {
+  let login;
+
+  beforeEach(async () => {
+    resetPrismaMock();
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: USER_ID } });
+    await prismaMock.project.create({ data: { name: 'Mobile', ownerId: USER_ID } });
+    login = await createBlock('Login', [
+      { action: ' Open {{url}} ', expectedResult: 'Login form is shown' },
+      { action: 'Sign in as {{user}}', expectedResult: 'Dashboard is shown' },
+    ]);
+  });
+
+  it('validates blocks and stores their steps in order', async () => {
+    assert.deepEqual(
+      login.steps.map(({ stepNumber, action, expectedResult }) => [stepNumber, action, expectedResult]),
+      [[1, 'Open {{url}}', 'Login form is shown'], [2, 'Sign in as {{user}}', 'Dashboard is shown']],
+    );
+    await assert.rejects(createBlock('Empty', []), /needs at least one step/);
+    await assert.rejects(createBlock('Blank', [{ action: ' ' }]), /Step 1 needs an action/);
+    await assert.rejects(createBlock('Login', [{ action: 'Again' }]), /already exists in project/);
+  });
+
+  it('stores block references as placeholder steps of the same project only', async () => {
+    const stepData = await buildTestCaseStepData(1, [
+      { sharedStepBlockId: login.id },
+      { action: 'Pay', expectedResult: 'Paid', notes: '' },
+    ]);
+
+    assert.deepEqual(stepData, [
+      { stepNumber: 1, action: 'Shared steps: Login', expectedResult: '', notes: null, sharedStepBlockId: login.id },
+      { stepNumber: 2, action: 'Pay', expectedResult: 'Paid', notes: null, sharedStepBlockId: null },
+    ]);
+    await assert.rejects(
+      buildTestCaseStepData(2, [{ sharedStepBlockId: login.id }]),
+      new RegExp(`Shared step block ${login.id} not found in project`),
+    );
+  });
+
+  it('expands references into the block steps and renumbers the test case', async () => {
+    const checkout = await createTestCase('Checkout', [
+      { action: 'Clear cookies', expectedResult: 'No session' },
+      { sharedStepBlockId: login.id },
+      { action: 'Pay', expectedResult: 'Paid' },
+    ]);
+    const empty = await prismaMock.testCase.create({ data: { projectId: 1, name: 'No steps', isDeleted: false } });
+
+    const expanded = await expandTestCaseSteps([checkout.id, empty.id]);
+
+    assert.deepEqual(actions(expanded.get(checkout.id)), [
+      '1. Clear cookies',
+      '2. Open {{url}}',
+      '3. Sign in as {{user}}',
+      '4. Pay',
+    ]);
+    assert.equal(expanded.get(checkout.id)[1].sharedStepBlockId, login.id);
+    assert.deepEqual(expanded.get(empty.id), []);
+  });
+
+  it('copies expanded steps into executions with data row values substituted', async () => {
+    const checkout = await createTestCase('Checkout', [{ sharedStepBlockId: login.id }]);
+
+    const count = await seedExecutionSteps([
+      { id: 10, testCaseId: checkout.id, dataRowValues: { url: '/login', user: 'alice' } },
+      { id: 11, testCaseId: checkout.id },
+    ], 'BLOCKED');
+
+    assert.equal(count, 4);
+    assert.deepEqual(
+      getRows('testExecutionStep').map(({ executionId, action, status }) => [executionId, action, status]),
+      [
+        [10, 'Open /login', 'BLOCKED'],
+        [10, 'Sign in as alice', 'BLOCKED'],
+        [11, 'Open {{url}}', 'BLOCKED'],
+        [11, 'Sign in as {{user}}', 'BLOCKED'],
+      ],
+    );
+    assert.equal(await seedExecutionSteps([]), 0);
+  });
+
+  it('applies block edits to the next execution only and renames the placeholders', async () => {
+    const checkout = await createTestCase('Checkout', [{ sharedStepBlockId: login.id }]);
+    await seedExecutionSteps([{ id: 10, testCaseId: checkout.id }]);
+
+    await updateSharedStepBlock(1, login.id, {
+      name: 'Sign in',
+      steps: [{ action: 'Use SSO', expectedResult: 'Signed in' }],
+    }, USER_ID, permissionContext);
+    await seedExecutionSteps([{ id: 11, testCaseId: checkout.id }]);
+
+    assert.deepEqual(
+      getRows('testExecutionStep').map(({ executionId, action }) => [executionId, action]),
+      [[10, 'Open {{url}}'], [10, 'Sign in as {{user}}'], [11, 'Use SSO']],
+    );
+    assert.equal(getRows('testCaseStep')[0].action, 'Shared steps: Sign in');
+  });
+
+  it('counts users once and refuses to delete a block that is still referenced', async () => {
+    await createTestCase('Checkout', [{ sharedStepBlockId: login.id }, { sharedStepBlockId: login.id }]);
+    await createTestCase('Old checkout', [{ sharedStepBlockId: login.id }], { isDeleted: true });
+    const unused = await createBlock('Logout', [{ action: 'Sign out' }]);
+
+    const blocks = await getProjectSharedStepBlocks(1);
+
+    assert.deepEqual(blocks.map((block) => [block.name, block.usageCount]), [['Login', 1], ['Logout', 0]]);
+    await assert.rejects(
+      deleteSharedStepBlock(1, login.id, USER_ID, permissionContext),
+      /used by 3 test case step\(s\)/,
+    );
+    assert.deepEqual(await deleteSharedStepBlock(1, unused.id, USER_ID, permissionContext), { success: true });
+    assert.deepEqual(getRows('sharedStepBlock').map((block) => block.name), ['Login']);
+  });
+});
@@ -0,0 +1,372 @@
+/**
+ * UNIT TESTS - SSO account linking, role mapping and the two-factor step
+ *
+ * Runs the OIDC flow against a fake identity provider (discovery, token endpoint and
+ * key set answered by a stubbed fetch) and the in-memory Prisma client.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import { createFastifyStub } from '../helpers/fastify.js';
+import {
+  createSsoProvider,
+  updateSsoProvider,
+  startSsoLogin,
+  completeOidcLogin,
+  createSsoConnectUrl,
+} from '../../src/services/ssoService.js';
+import { login, completeSsoLogin } from '../../src/services/authService.js';
+
+const ISSUER = 'https://idp.acme.test';
+const CLIENT_ID = 'testtrack';
+const KEY_ID = 'test-key';
+
+const fastify = createFastifyStub();
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Claims the fake identity provider puts in the next ID token
+let nextIdToken = null;
+let originalFetch;
+
+function jsonResponse(body) {
+  return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+async function fakeIdentityProvider(url) {
+  const { pathname } = new URL(url);
+  if (pathname === '/.well-known/openid-configuration') {
+    return jsonResponse({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      jwks_uri: `${ISSUER}/jwks`,
+    });
+  }
+  if (pathname === '/jwks') {
+    return jsonResponse({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+  }
+  if (pathname === '/token') {
+    return jsonResponse({ id_token: nextIdToken, token_type: 'Bearer' });
+  }
+  return new Response('not found', { status: 404 });
+}
+
+/**
+ * Go through the OIDC flow as the identity provider user described by claims
+ */
+async function signInAtIdp(claims, connectToken = null) {
+  const { url, stateId } = await startSsoLogin(fastify, 'acme', null, connectToken);
+  const state = new URL(url).searchParams.get('state');
+  nextIdToken = jwt.sign({ email_verified: true, groups: [], ...claims, nonce: stateId }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m',
+  });
+  return completeOidcLogin(fastify, 'acme', { code: 'authorization-code', state }, stateId);
+}
+
+async function createProvider(overrides = {}) {
+  return prismaMock.ssoProvider.create({
+    data: {
+      slug: 'acme',
+      name: 'Acme SSO',
+      protocol: 'OIDC',
+      issuer: ISSUER,
+      clientId: CLIENT_ID,
+      clientSecret: 'client-secret',
+      emailDomains: ['acme.test'],
+      roleMappings: [
+        { group: 'qa-leads', role: 'DEVELOPER' },
+        // Saved before ADMIN mappings were rejected
+        { group: 'it-admins', role: 'ADMIN' },
+      ],
+      ...overrides,
+    },
+  });
+}
+
+async function createLocalUser(overrides = {}) {
+  return prismaMock.user.create({
+    data: {
+      name: 'Local User',
+      email: 'alice@acme.test',
+      password: await bcrypt.hash('Password1!', 4),
+      role: 'TESTER',
+      ...overrides,
+    },
+  });
+}
+
+function ssoIntegrations() {
+  return getRows('oAuthIntegration').filter((row) => row.provider === 'SSO:acme');
+}
+
+describe('SSO sign-in', () => {
+  before(() => {
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = fakeIdentityProvider;
+  });
+
+  after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  beforeEach(() => {
+    resetPrismaMock();
+  });
+
+  it('provisions a new account with the role its groups map to', async () => {
+    await createProvider();
+
+    const result = await signInAtIdp({ sub: 'idp-1', email: 'new@acme.test', groups: ['qa-leads'] });
+
+    assert.equal(result.isNewUser, true);
+    const [user] = getRows('user');
+    assert.equal(user.email, 'new@acme.test');
+    assert.equal(user.role, 'DEVELOPER');
+    assert.equal(ssoIntegrations()[0].metadata.linkedBy, 'provisioned');
+    assert.equal(fastify.jwt.verify(result.loginToken).id, user.id);
+  });
+
+  it('does not take over an existing local account with the same email', async () => {
+    await createProvider();
+    await createLocalUser();
+
+    await assert.rejects(
+      signInAtIdp({ sub: 'idp-1', email: 'alice@acme.test' }),
+      { code: 'ACCOUNT_EXISTS' },
+    );
+    assert.equal(ssoIntegrations().length, 0);
+  });
+
+  it('rejects email addresses outside the provider domains', async () => {
+    await createProvider();
+
+    await assert.rejects(
+      signInAtIdp({ sub: 'idp-1', email: 'mallory@elsewhere.test' }),
+      { code: 'DOMAIN_NOT_ALLOWED' },
+    );
+    assert.equal(getRows('user').length, 0);
+  });
+
+  it('never links administrator accounts', async () => {
+    await createProvider();
+    await createLocalUser({ email: 'admin@acme.test', role: 'ADMIN' });
+
+    await assert.rejects(
+      signInAtIdp({ sub: 'idp-1', email: 'admin@acme.test', groups: ['it-admins'] }),
+      { code: 'ADMIN_NOT_ALLOWED' },
+    );
+    assert.equal(ssoIntegrations().length, 0);
+  });
+
+  it('moves a provisioned account to a new subject only for a domain-limited provider', async () => {
+    await createProvider();
+    await signInAtIdp({ sub: 'old-subject', email: 'bob@acme.test' });
+
+    await signInAtIdp({ sub: 'new-subject', email: 'bob@acme.test' });
+
+    assert.equal(getRows('user').length, 1);
+    assert.deepEqual(ssoIntegrations().map((row) => row.providerId), ['new-subject']);
+  });
+
+  it('does not link by email when the provider accepts every domain', async () => {
+    await createProvider({ emailDomains: [] });
+    await signInAtIdp({ sub: 'old-subject', email: 'bob@acme.test' });
+
+    await assert.rejects(
+      signInAtIdp({ sub: 'new-subject', email: 'bob@acme.test' }),
+      { code: 'ACCOUNT_EXISTS' },
+    );
+  });
+
+  it('follows mapped roles for provisioned accounts, but never to or from ADMIN', async () => {
+    await createProvider();
+    await signInAtIdp({ sub: 'idp-1', email: 'carol@acme.test' });
+    assert.equal(getRows('user')[0].role, 'TESTER');
+
+    await signInAtIdp({ sub: 'idp-1', email: 'carol@acme.test', groups: ['qa-leads'] });
+    assert.equal(getRows('user')[0].role, 'DEVELOPER');
+
+    await signInAtIdp({ sub: 'idp-1', email: 'carol@acme.test', groups: ['it-admins'] });
+    assert.equal(getRows('user')[0].role, 'DEVELOPER');
+  });
+
+  it('never creates an administrator account from a stored ADMIN mapping or default role', async () => {
+    await createProvider({ defaultRole: 'ADMIN' });
+
+    await signInAtIdp({ sub: 'idp-1', email: 'frank@acme.test', groups: ['it-admins'] });
+
+    assert.equal(getRows('user')[0].role, 'TESTER');
+  });
+
+  it('keeps lower mappings when a stored ADMIN mapping also matches', async () => {
+    await createProvider();
+
+    await signInAtIdp({ sub: 'idp-1', email: 'grace@acme.test', groups: ['it-admins', 'qa-leads'] });
+
+    assert.equal(getRows('user')[0].role, 'DEVELOPER');
+  });
+});
+
+describe('SSO provider settings', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+  });
+
+  const definition = {
+    slug: 'acme',
+    name: 'Acme SSO',
+    protocol: 'OIDC',
+    issuer: ISSUER,
+    clientId: CLIENT_ID,
+    clientSecret: 'client-secret',
+  };
+
+  it('rejects ADMIN as a mapped or default role', async () => {
+    await assert.rejects(
+      createSsoProvider({ ...definition, roleMappings: [{ group: 'it-admins', role: 'admin' }] }, 1),
+      /Role mappings cannot grant the ADMIN role/,
+    );
+    await assert.rejects(createSsoProvider({ ...definition, defaultRole: 'ADMIN' }, 1), /defaultRole cannot be ADMIN/);
+    assert.equal(getRows('ssoProvider').length, 0);
+
+    const provider = await createSsoProvider({ ...definition, roleMappings: [{ group: 'qa-leads', role: 'developer' }] }, 1);
+    assert.deepEqual(provider.roleMappings, [{ group: 'qa-leads', role: 'DEVELOPER' }]);
+    await assert.rejects(updateSsoProvider(provider.id, { defaultRole: 'ADMIN' }, 1), /defaultRole cannot be ADMIN/);
+  });
+});
+
+describe('SSO connect', () => {
+  before(() => {
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = fakeIdentityProvider;
+  });
+
+  after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  beforeEach(() => {
+    resetPrismaMock();
+  });
+
+  it('links the identity to the signed-in account and keeps its role', async () => {
+    await createProvider();
+    const user = await createLocalUser();
+
+    const { url } = await createSsoConnectUrl(fastify, 'acme', user.id);
+    const connectToken = new URL(url).searchParams.get('connectToken');
+    const result = await signInAtIdp({ sub: 'idp-1', email: 'alice@acme.test' }, connectToken);
+
+    assert.deepEqual(result, { connected: true, provider: 'acme' });
+    assert.equal(ssoIntegrations()[0].userId, user.id);
+    assert.equal(ssoIntegrations()[0].metadata.linkedBy, 'connected');
+
+    const signIn = await signInAtIdp({ sub: 'idp-1', email: 'alice@acme.test', groups: ['qa-leads'] });
+    assert.equal(fastify.jwt.verify(signIn.loginToken).id, user.id);
+    assert.equal(getRows('user')[0].role, 'TESTER');
+  });
+
+  it('refuses administrator accounts', async () => {
+    await createProvider();
+    const admin = await createLocalUser({ email: 'admin@acme.test', role: 'ADMIN' });
+
+    await assert.rejects(createSsoConnectUrl(fastify, 'acme', admin.id), { code: 'ADMIN_NOT_ALLOWED' });
+  });
+
+  it('refuses an identity already linked to someone else', async () => {
+    await createProvider();
+    await signInAtIdp({ sub: 'idp-1', email: 'dave@acme.test' });
+    const user = await createLocalUser();
+
+    const { url } = await createSsoConnectUrl(fastify, 'acme', user.id);
+    const connectToken = new URL(url).searchParams.get('connectToken');
+
+    await assert.rejects(
+      signInAtIdp({ sub: 'idp-1', email: 'dave@acme.test' }, connectToken),
+      { code: 'ALREADY_CONNECTED' },
+    );
+  });
+});
+
+describe('SSO session and password sign-in', () => {
+  before(() => {
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = fakeIdentityProvider;
+  });
+
+  after(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  beforeEach(() => {
+    resetPrismaMock();
+  });
+
+  it('asks for the second factor after SSO for users who use two-factor authentication', async () => {
+    await createProvider();
+    const { loginToken } = await signInAtIdp({ sub: 'idp-1', email: 'erin@acme.test' });
+    await prismaMock.user.update({ where: { id: getRows('user')[0].id }, data: { mfaEnabled: true } });
+
+    const result = await completeSsoLogin(fastify, loginToken);
+
+    assert.equal(result.mfaRequired, true);
+    assert.equal(result.mfaEnrollmentRequired, false);
+    assert.equal(fastify.jwt.verify(result.mfaToken).purpose, 'mfa');
+    assert.equal(result.token, undefined);
+  });
+
+  it('uses up the sign-in token when it asks for the second factor', async () => {
+    await createProvider();
+    const { loginToken } = await signInAtIdp({ sub: 'idp-1', email: 'erin@acme.test' });
+    await prismaMock.user.update({ where: { id: getRows('user')[0].id }, data: { mfaEnabled: true } });
+
+    assert.equal((await completeSsoLogin(fastify, loginToken)).mfaRequired, true);
+
+    await assert.rejects(completeSsoLogin(fastify, loginToken), /Single sign-on session already used/);
+  });
+
+  it('opens only one session per sign-in token', async () => {
+    await createProvider();
+    const { loginToken } = await signInAtIdp({ sub: 'idp-1', email: 'erin@acme.test' });
+
+    const results = await Promise.allSettled([completeSsoLogin(fastify, loginToken), completeSsoLogin(fastify, loginToken)]);
+
+    assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(getRows('userSession').length, 1);
+  });
+
+  it('skips the app\'s second factor when the provider enforces its own', async () => {
+    await createProvider({ enforcesMfa: true });
+    const { loginToken } = await signInAtIdp({ sub: 'idp-1', email: 'erin@acme.test' });
+    await prismaMock.user.update({ where: { id: getRows('user')[0].id }, data: { mfaEnabled: true } });
+
+    const result = await completeSsoLogin(fastify, loginToken);
+
+    assert.ok(result.token);
+    assert.equal(result.mfaRequired, undefined);
+  });
+
+  it('reports disabled password sign-in only after the password is verified', async () => {
+    await createProvider({ disablePasswordLogin: true });
+    await createLocalUser();
+
+    await assert.rejects(
+      login(fastify, { email: 'alice@acme.test', password: 'Wrong-password1' }),
+      /^Error: Invalid credentials/,
+    );
+    await assert.rejects(
+      login(fastify, { email: 'alice@acme.test', password: 'Password1!' }),
+      /Password sign-in is disabled for acme\.test/,
+    );
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * UNIT TESTS - Test case versions: snapshots, diffs and restore
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  updateTestCase,
+  deleteTestCase,
+  diffTestCaseSteps,
+  getTestCaseVersionDiff,
+  restoreTestCaseVersion,
+} from '../../src/services/testCaseService.js';
+
+const USER_ID = 1;
+
+const permissionContext = {
+  validated: true,
+  projectId: 1,
+  permissions: ['testCase:edit', 'testCase:delete'],
+};
+
+/**
+ * Test case "Checkout" with two plain steps and a reference to the "Login" shared block
+ */
+async function createTestCase() {
+  await prismaMock.project.create({ data: { name: 'Web', ownerId: USER_ID } });
+  const block = await prismaMock.sharedStepBlock.create({ data: { projectId: 1, name: 'Login', createdBy: USER_ID } });
+  const testCase = await prismaMock.testCase.create({
+    data: {
+      projectId: 1,
+      name: 'Checkout',
+      description: 'Pay for the cart',
+      type: 'FUNCTIONAL',
+      priority: 'P2',
+      severity: 'MINOR',
+      status: 'ACTIVE',
+      tags: ['payments'],
+      isDeleted: false,
+    },
+  });
+  const steps = [
+    { action: 'Open the cart', expectedResult: 'Cart is shown' },
+    { action: 'Shared steps: Login', expectedResult: '', sharedStepBlockId: block.id },
+    { action: 'Pay', expectedResult: 'Order is placed' },
+  ];
+  for (const [index, step] of steps.entries()) {
+    await prismaMock.testCaseStep.create({
+      data: { testCaseId: testCase.id, stepNumber: index + 1, notes: null, sharedStepBlockId: null, ...step },
+    });
+  }
+  return { testCase, block };
+}
+
+function update(testCaseId, updates) {
+  return updateTestCase(testCaseId, updates, USER_ID, {}, permissionContext);
+}
+
+function restore(testCaseId, versionNumber) {
+  return restoreTestCaseVersion(testCaseId, versionNumber, USER_ID, {}, permissionContext);
+}
+
+describe('diffTestCaseSteps', () => {
+  it('compares steps position by position', () => {
+    const current = [
+      { stepNumber: 2, action: 'Pay', expectedResult: 'Paid' },
+      { stepNumber: 1, action: 'Open', expectedResult: 'Open' },
+      { stepNumber: 3, action: 'Logout', expectedResult: 'Logged out' },
+    ];
+    const version = [
+      { stepNumber: 1, action: 'Open', expectedResult: 'Open' },
+      { stepNumber: 2, action: 'Pay by card', expectedResult: 'Paid' },
+    ];
+
+    assert.deepEqual(
+      diffTestCaseSteps(current, version).map((step) => [step.stepNumber, step.change]),
+      [[1, 'UNCHANGED'], [2, 'MODIFIED'], [3, 'REMOVED']],
+    );
+    assert.deepEqual(
+      diffTestCaseSteps(version, current).map((step) => step.change),
+      ['UNCHANGED', 'MODIFIED', 'ADDED'],
+    );
+  });
+});
+
+describe('Test case versions', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+  });
+
+  it('snapshots the state before every update as the next version', async () => {
+    const { testCase, block } = await createTestCase();
+
+    await update(testCase.id, { priority: 'P1', changeNote: 'Raise priority' });
+    await update(testCase.id, { steps: [{ action: 'Pay', expectedResult: 'Order is placed' }] });
+
+    const versions = getRows('testCaseVersion');
+    assert.deepEqual(versions.map((version) => [version.versionNumber, version.priority, version.changeNote]), [
+      [1, 'P2', 'Raise priority'],
+      [2, 'P1', null],
+    ]);
+    assert.deepEqual(versions[1].steps.map((step) => [step.stepNumber, step.sharedStepBlockId]), [
+      [1, undefined],
+      [2, block.id],
+      [3, undefined],
+    ]);
+    assert.equal(getRows('testCaseStep').length, 1);
+  });
+
+  it('previews what restoring a version changes', async () => {
+    const { testCase } = await createTestCase();
+    await update(testCase.id, {
+      name: 'Checkout with card',
+      steps: [{ action: 'Open the cart', expectedResult: 'Cart is shown' }],
+    });
+
+    const diff = await getTestCaseVersionDiff(1, testCase.id, 1);
+
+    assert.deepEqual(diff.fields, [{ field: 'name', current: 'Checkout with card', version: 'Checkout' }]);
+    assert.deepEqual(diff.steps.map((step) => step.change), ['UNCHANGED', 'ADDED', 'ADDED']);
+    assert.equal(diff.hasChanges, true);
+    await assert.rejects(getTestCaseVersionDiff(1, testCase.id, 9), /Version 9 not found/);
+  });
+
+  it('restores fields and steps and keeps the replaced state as a new version', async () => {
+    const { testCase, block } = await createTestCase();
+    await update(testCase.id, {
+      name: 'Checkout with card',
+      priority: 'P1',
+      tags: ['payments', 'cards'],
+      steps: [{ action: 'Pay by card', expectedResult: 'Paid' }],
+    });
+
+    const restored = await restore(testCase.id, 1);
+
+    assert.equal(restored.name, 'Checkout');
+    assert.equal(restored.priority, 'P2');
+    assert.deepEqual(restored.tags, ['payments']);
+    assert.deepEqual(
+      restored.steps.map((step) => [step.stepNumber, step.action, step.sharedStepBlockId]),
+      [[1, 'Open the cart', null], [2, 'Shared steps: Login', block.id], [3, 'Pay', null]],
+    );
+
+    const snapshot = getRows('testCaseVersion')[1];
+    assert.equal(snapshot.versionNumber, 2);
+    assert.equal(snapshot.name, 'Checkout with card');
+    assert.equal(snapshot.restoredFromVersion, 1);
+    assert.equal(snapshot.changeNote, 'Restored version 1');
+    assert.equal(getRows('auditLog').at(-1).action, 'TESTCASE_VERSION_RESTORED');
+  });
+
+  it('refuses to restore a name another test case now uses', async () => {
+    const { testCase } = await createTestCase();
+    await update(testCase.id, { name: 'Checkout with card' });
+    await prismaMock.testCase.create({ data: { projectId: 1, name: 'Checkout', isDeleted: false } });
+
+    await assert.rejects(restore(testCase.id, 1), /another test case is named "Checkout"/);
+    assert.equal(getRows('testCaseVersion').length, 1);
+    assert.equal(getRows('testCase')[0].name, 'Checkout with card');
+  });
+
+  it('refuses unknown versions and deleted test cases', async () => {
+    const { testCase } = await createTestCase();
+    await update(testCase.id, { priority: 'P1' });
+
+    await assert.rejects(restore(testCase.id, 5), /Version 5 not found/);
+
+    await deleteTestCase(testCase.id, USER_ID, {}, permissionContext);
+    await assert.rejects(restore(testCase.id, 1), /Cannot restore a version of a deleted test case/);
+  });
+});
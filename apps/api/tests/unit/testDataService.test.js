@@ -0,0 +1,171 @@
+/**
+ * UNIT TESTS - Data-driven test cases: parameter tables and per-row executions
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  parseDataTableCsv,
+  substituteParameters,
+  extractPlaceholders,
+  saveTestCaseDataTable,
+  importTestCaseDataCsv,
+  buildRunExecutionEntries,
+} from '../../src/services/testDataService.js';
+
+const USER_ID = 1;
+
+const permissionContext = {
+  validated: true,
+  projectId: 1,
+  permissions: ['testCase:edit'],
+};
+
+async function createTestCase(name, steps = []) {
+  const testCase = await prismaMock.testCase.create({ data: { projectId: 1, name, isDeleted: false } });
+  for (const [index, step] of steps.entries()) {
+    await prismaMock.testCaseStep.create({
+      data: { testCaseId: testCase.id, stepNumber: index + 1, sharedStepBlockId: null, ...step },
+    });
+  }
+  return testCase;
+}
+
+function save(testCaseId, table) {
+  return saveTestCaseDataTable(testCaseId, table, USER_ID, {}, permissionContext);
+}
+
+describe('Parameter placeholders and CSV parsing', () => {
+  it('substitutes known parameters and leaves the others', () => {
+    const values = { user: 'alice', retries: 3, note: null };
+
+    assert.equal(
+      substituteParameters('Sign in as {{ user }} ({{retries}}x){{note}} with {{password}}', values),
+      'Sign in as alice (3x) with {{password}}',
+    );
+    assert.equal(substituteParameters('Open {{url}}', undefined), 'Open {{url}}');
+    assert.deepEqual(extractPlaceholders(['{{a}} and {{b}}', null, '{{ a }} then {{c_1}}']), ['a', 'b', 'c_1']);
+  });
+
+  it('reads typed headers and quoted cells', () => {
+    const csv = 'user,age:NUMBER,active:BOOLEAN\r\n"Smith, Jo",42,yes\n\n"say ""hi""",,no\n';
+
+    assert.deepEqual(parseDataTableCsv(csv), {
+      columns: [
+        { name: 'user', type: 'STRING' },
+        { name: 'age', type: 'NUMBER' },
+        { name: 'active', type: 'BOOLEAN' },
+      ],
+      rows: [['Smith, Jo', '42', 'yes'], ['say "hi"', '', 'no']],
+    });
+    assert.throws(() => parseDataTableCsv(' \n'), /CSV file must contain a header row/);
+  });
+});
+
+describe('Test case data tables', () => {
+  beforeEach(async () => {
+    resetPrismaMock();
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: USER_ID } });
+  });
+
+  it('stores typed rows given as arrays or objects', async () => {
+    const testCase = await createTestCase('Login', [
+      { action: 'Sign in as {{user}}', expectedResult: 'Welcome {{user}}' },
+    ]);
+
+    const table = await save(testCase.id, {
+      columns: [{ name: 'user' }, { name: 'age', type: 'number' }, { name: 'admin', type: 'BOOLEAN' }],
+      rows: [['alice', '42', 'Y'], { user: 'bob', admin: false }, { values: { user: 'carol', age: 7 } }],
+    });
+
+    assert.deepEqual(table.columns, [
+      { name: 'user', type: 'STRING' },
+      { name: 'age', type: 'NUMBER' },
+      { name: 'admin', type: 'BOOLEAN' },
+    ]);
+    assert.deepEqual(table.rows.map((row) => [row.rowNumber, row.values]), [
+      [1, { user: 'alice', age: 42, admin: true }],
+      [2, { user: 'bob', age: null, admin: false }],
+      [3, { user: 'carol', age: 7, admin: null }],
+    ]);
+    assert.deepEqual(table.placeholders, ['user']);
+    assert.deepEqual(table.missingParameters, []);
+  });
+
+  it('reports placeholders of shared steps that have no parameter', async () => {
+    const block = await prismaMock.sharedStepBlock.create({ data: { projectId: 1, name: 'Login', createdBy: USER_ID } });
+    await prismaMock.sharedStep.create({
+      data: { blockId: block.id, stepNumber: 1, action: 'Open {{url}}', expectedResult: 'Form for {{user}}' },
+    });
+    const testCase = await createTestCase('Checkout', [
+      { action: 'Shared steps: Login', expectedResult: '', sharedStepBlockId: block.id },
+      { action: 'Pay {{amount}}', expectedResult: 'Paid' },
+    ]);
+
+    const table = await save(testCase.id, { columns: [{ name: 'user' }], rows: [] });
+
+    assert.deepEqual(table.placeholders, ['url', 'user', 'amount']);
+    assert.deepEqual(table.missingParameters, ['url', 'amount']);
+  });
+
+  it('rejects invalid tables and keeps the saved one', async () => {
+    const testCase = await createTestCase('Login');
+    await save(testCase.id, { columns: [{ name: 'user' }], rows: [['alice']] });
+
+    const invalid = [
+      [{ columns: [{ name: 'first name' }] }, /Invalid parameter name "first name"/],
+      [{ columns: [{ name: 'user' }, { name: 'user' }] }, /Duplicate parameter name "user"/],
+      [{ columns: [{ name: 'user', type: 'DATE' }] }, /Invalid type for parameter "user"/],
+      [{ columns: [], rows: [['alice']] }, /Define at least one parameter/],
+      [{ columns: [{ name: 'age', type: 'NUMBER' }], rows: [['ten']] }, /Row 1: "age" must be a number/],
+      [{ columns: [{ name: 'admin', type: 'BOOLEAN' }], rows: [[], ['maybe']] }, /Row 2: "admin" must be true or false/],
+      [{ columns: [{ name: 'user' }], rows: [{ user: 'bob', role: 'admin' }] }, /Row 1: unknown parameter\(s\) role/],
+      [{ columns: [{ name: 'user' }], rows: Array.from({ length: 201 }, () => ['x']) }, /at most 200 data rows/],
+    ];
+    for (const [table, message] of invalid) {
+      await assert.rejects(save(testCase.id, table), message);
+    }
+
+    assert.deepEqual(getRows('testCaseDataRow').map((row) => row.values), [{ user: 'alice' }]);
+  });
+
+  it('replaces the table from a CSV upload', async () => {
+    const testCase = await createTestCase('Login');
+    await save(testCase.id, { columns: [{ name: 'user' }, { name: 'role' }], rows: [['alice', 'admin']] });
+
+    const table = await importTestCaseDataCsv(testCase.id, 'user,retries:NUMBER\nbob,2\ncarol,', USER_ID, {}, permissionContext);
+
+    assert.deepEqual(table.rows.map((row) => row.values), [{ user: 'bob', retries: 2 }, { user: 'carol', retries: null }]);
+    assert.deepEqual(getRows('testCaseParameter').map((parameter) => parameter.name), ['user', 'retries']);
+    assert.equal(getRows('auditLog').at(-1).action, 'TESTCASE_DATA_TABLE_UPDATED');
+  });
+
+  it('refuses deleted test cases and calls without a permission context', async () => {
+    const testCase = await createTestCase('Login');
+
+    await assert.rejects(
+      saveTestCaseDataTable(testCase.id, { columns: [] }, USER_ID),
+      /direct service invocation not allowed/,
+    );
+    await prismaMock.testCase.update({ where: { id: testCase.id }, data: { isDeleted: true } });
+    await assert.rejects(save(testCase.id, { columns: [] }), /Cannot edit deleted test case/);
+  });
+
+  it('creates one run entry per data row in run order', async () => {
+    const login = await createTestCase('Login');
+    const search = await createTestCase('Search');
+    await save(login.id, { columns: [{ name: 'user' }], rows: [['alice'], ['bob']] });
+
+    const entries = await buildRunExecutionEntries([search.id, String(login.id)]);
+    const [aliceRow, bobRow] = getRows('testCaseDataRow');
+
+    assert.deepEqual(entries, [
+      { testCaseId: search.id },
+      { testCaseId: login.id, dataRowId: aliceRow.id, dataRowNumber: 1, dataRowValues: { user: 'alice' } },
+      { testCaseId: login.id, dataRowId: bobRow.id, dataRowNumber: 2, dataRowValues: { user: 'bob' } },
+    ]);
+  });
+});
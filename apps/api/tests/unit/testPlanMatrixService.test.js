@@ -0,0 +1,168 @@
+/**
+ * UNIT TESTS - Test plan matrix: expanding environments x configurations into runs
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  getMatrixEnvironments,
+  executeTestPlanMatrix,
+  listTestPlanMatrices,
+  getTestPlanMatrixResults,
+} from '../../src/services/testPlanMatrixService.js';
+
+const USER_ID = 1;
+
+const permissionContext = {
+  validated: true,
+  projectId: 1,
+  permissions: ['testPlan:execute'],
+};
+
+let plan;
+let checkout;
+let search;
+
+function execute(data, testPlanId = plan.id) {
+  return executeTestPlanMatrix(1, testPlanId, data, USER_ID, {}, permissionContext);
+}
+
+// Record a result on the execution of a case (and data row) in a cell run
+async function record(runId, testCase, dataRowNumber, status) {
+  const execution = getRows('testExecution').find((entry) =>
+    entry.testRunId === runId && entry.testCaseId === testCase.id && (entry.dataRowNumber ?? null) === dataRowNumber,
+  );
+  await prismaMock.testExecution.update({
+    where: { id: execution.id },
+    data: { status, completedAt: status === 'BLOCKED' ? null : new Date() },
+  });
+}
+
+describe('Test plan matrix', () => {
+  beforeEach(async () => {
+    resetPrismaMock();
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: USER_ID } });
+    await prismaMock.user.create({ data: { name: 'Lead', email: 'lead@example.com', role: 'ADMIN' } });
+    for (const [name, order, isActive] of [['PRODUCTION', 2, true], ['STAGING', 1, true], ['QA', 0, false]]) {
+      await prismaMock.projectEnvironment.create({ data: { projectId: 1, name, order, isActive } });
+    }
+
+    checkout = await prismaMock.testCase.create({ data: { projectId: 1, name: 'Checkout', priority: 'P0', isDeleted: false } });
+    search = await prismaMock.testCase.create({ data: { projectId: 1, name: 'Search', priority: 'P2', isDeleted: false } });
+    const legacy = await prismaMock.testCase.create({ data: { projectId: 1, name: 'Legacy', isDeleted: true } });
+    for (const [rowNumber, user] of [[1, 'alice'], [2, 'bob']]) {
+      await prismaMock.testCaseDataRow.create({ data: { testCaseId: checkout.id, rowNumber, values: { user } } });
+    }
+    plan = await prismaMock.testPlan.create({
+      data: { projectId: 1, name: 'Release 2.4', status: 'PLANNED', testCaseIds: [search.id, checkout.id, legacy.id] },
+    });
+  });
+
+  it('lists the active environments in display order', async () => {
+    assert.deepEqual((await getMatrixEnvironments(1)).map((environment) => environment.name), ['STAGING', 'PRODUCTION']);
+  });
+
+  it('creates one run per environment and configuration combination', async () => {
+    const { matrix, runs } = await execute({
+      name: 'Release matrix',
+      buildVersion: ' 2.4.0 ',
+      environments: ['STAGING', ' PRODUCTION ', 'STAGING'],
+      configurations: { Browser: ['Chrome', 'Firefox', ' Chrome'], ' OS ': ['Windows'] },
+    });
+
+    assert.deepEqual(matrix.environments, ['STAGING', 'PRODUCTION']);
+    assert.deepEqual(matrix.configurations, { Browser: ['Chrome', 'Firefox'], OS: ['Windows'] });
+    assert.deepEqual(runs.map((run) => [run.name, run.executionCount]), [
+      ['Release matrix [STAGING / Chrome / Windows]', 3],
+      ['Release matrix [STAGING / Firefox / Windows]', 3],
+      ['Release matrix [PRODUCTION / Chrome / Windows]', 3],
+      ['Release matrix [PRODUCTION / Firefox / Windows]', 3],
+    ]);
+    assert.deepEqual(runs[3].configuration, { Browser: 'Firefox', OS: 'Windows' });
+
+    const [cell] = getRows('testRun');
+    assert.deepEqual(
+      [cell.environment, cell.buildVersion, cell.testPlanId, cell.matrixId, cell.status],
+      ['STAGING', '2.4.0', plan.id, matrix.id, 'IN_PROGRESS'],
+    );
+    // Plan order, one execution per data row, deleted cases left out
+    assert.deepEqual(
+      getRows('testExecution').filter((execution) => execution.testRunId === cell.id).map((execution) => [execution.testCaseId, execution.dataRowNumber ?? null]),
+      [[search.id, null], [checkout.id, 1], [checkout.id, 2]],
+    );
+    assert.equal(getRows('testPlan')[0].status, 'IN_PROGRESS');
+    assert.equal(getRows('auditLog').at(-1).action, 'TESTPLAN_MATRIX_EXECUTED');
+  });
+
+  it('runs environments alone when there are no configuration axes', async () => {
+    const { matrix, runs } = await execute({ environments: ['PRODUCTION'] });
+
+    assert.match(matrix.name, /^Release 2\.4 - Matrix \d{4}-\d{2}-\d{2}$/);
+    assert.deepEqual(runs.map((run) => [run.environment, run.configuration]), [['PRODUCTION', null]]);
+    assert.equal(runs[0].name, `${matrix.name} [PRODUCTION]`);
+  });
+
+  it('rejects invalid matrices before creating anything', async () => {
+    const invalid = [
+      [{ environments: [' '] }, /Select at least one environment/],
+      [{ environments: ['STAGING', 'QA', 'DEV'] }, /Unknown or inactive environments: QA, DEV/],
+      [{ environments: ['STAGING'], configurations: ['Chrome'] }, /Configurations must map an axis name to its values/],
+      [{ environments: ['STAGING'], configurations: { Browser: [] } }, /Configuration axis "Browser" needs a name and at least one value/],
+      [{ environments: ['STAGING'], configurations: { Environment: ['EU'] } }, /Environments are chosen separately/],
+      [{ environments: ['STAGING'], configurations: { A: ['1'], B: ['1'], C: ['1'], D: ['1'] } }, /At most 3 configuration axes/],
+      [
+        { environments: ['STAGING', 'PRODUCTION'], configurations: { Device: Array.from({ length: 26 }, (_, i) => `D${i}`) } },
+        /Matrix has 52 cells; at most 50 are allowed/,
+      ],
+    ];
+
+    for (const [data, message] of invalid) {
+      await assert.rejects(execute(data), message);
+    }
+
+    const empty = await prismaMock.testPlan.create({ data: { projectId: 1, name: 'Empty', testCaseIds: [3] } });
+    await assert.rejects(execute({ environments: ['STAGING'] }, empty.id), /Test plan has no test cases/);
+    await assert.rejects(execute({ environments: ['STAGING'] }, 99), /Test plan not found/);
+    await assert.rejects(
+      executeTestPlanMatrix(1, plan.id, { environments: ['STAGING'] }, USER_ID),
+      /direct service invocation not allowed/,
+    );
+    assert.deepEqual([getRows('testRunMatrix'), getRows('testRun')], [[], []]);
+  });
+
+  it('reads results back as a case x cell grid and flags inconsistent cases', async () => {
+    const { matrix, runs } = await execute({ name: 'Release matrix', environments: ['STAGING', 'PRODUCTION'] });
+    const [staging, production] = runs.map((run) => run.id);
+    await record(staging, search, null, 'PASSED');
+    await record(staging, checkout, 1, 'PASSED');
+    await record(staging, checkout, 2, 'FAILED');
+    await record(production, search, null, 'FAILED');
+    await record(production, checkout, 1, 'PASSED');
+    await prismaMock.testRun.update({ where: { id: staging }, data: { status: 'COMPLETED' } });
+
+    const results = await getTestPlanMatrixResults(1, plan.id, matrix.id);
+
+    assert.deepEqual(results.axes, ['Environment']);
+    assert.deepEqual(results.cells.map((cell) => [cell.label, cell.passed, cell.failed, cell.notRun, cell.passRate]), [
+      ['STAGING', 2, 1, 0, 66.67],
+      ['PRODUCTION', 1, 1, 1, 33.33],
+    ]);
+    assert.deepEqual(
+      results.rows.map((row) => [row.testCaseName, row.dataRowNumber ?? null, row.results.map((result) => result.status), row.inconsistent]),
+      [
+        ['Checkout', 1, ['PASSED', 'PASSED'], false],
+        ['Checkout', 2, ['FAILED', 'NOT_RUN'], false],
+        ['Search', null, ['PASSED', 'FAILED'], true],
+      ],
+    );
+    assert.deepEqual(results.summary, { cells: 2, completedCells: 1, testCases: 3, inconsistent: 1 });
+    assert.equal(results.matrix.createdBy.name, 'Lead');
+
+    const listed = await listTestPlanMatrices(1, plan.id);
+    assert.deepEqual(listed.map((entry) => [entry.id, entry.runs.map((run) => run.id)]), [[matrix.id, [staging, production]]]);
+    await assert.rejects(getTestPlanMatrixResults(1, plan.id, 99), /Matrix not found/);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * UNIT TESTS - JUnit, xUnit and NUnit report parsing and import into test runs
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import { parseTestReport, importTestResults } from '../../src/services/testResultImportService.js';
+
+const API_KEY = { projectId: 1, createdBy: 5, name: 'CI' };
+
+const JUNIT_REPORT = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="checkout-e2e">
+  <testsuite name="CartTests" tests="4">
+    <testcase classname="shop.CartTests" name="adds item" time="1.4"/>
+    <testcase classname="shop.CartTests" name="removes item" time="0.2">
+      <failure message="expected 0 items">AssertionError: expected 0 items
+    at CartTests.removesItem (cart.test.js:42)</failure>
+    </testcase>
+    <testcase classname="shop.CartTests" name="applies coupon">
+      <error message="TypeError: coupon is undefined"/>
+    </testcase>
+    <testcase classname="shop.CartTests" name="pays with wallet">
+      <skipped message="wallet sandbox down"/>
+    </testcase>
+  </testsuite>
+  <testsuite name="Nested">
+    <testsuite name="Inner">
+      <testcase name="standalone" time="-1"/>
+    </testsuite>
+  </testsuite>
+</testsuites>`;
+
+const XUNIT_REPORT = `<?xml version="1.0" encoding="utf-8"?>
+<assemblies>
+  <assembly name="Shop.Tests.dll">
+    <collection name="Cart">
+      <test name="Shop.Tests.Cart.AddsItem" type="Shop.Tests.Cart" method="AddsItem" result="Pass" time="0.51"/>
+      <test name="Shop.Tests.Cart.RemovesItem" result="Fail" time="0.1">
+        <failure>
+          <message>Assert.Equal() Failure</message>
+          <stack-trace>at Shop.Tests.Cart.RemovesItem()</stack-trace>
+        </failure>
+      </test>
+      <test name="Shop.Tests.Cart.PaysWithWallet" result="Skip">
+        <reason>Sandbox down</reason>
+      </test>
+      <test name="Orphan" result="Unknown"/>
+    </collection>
+  </assembly>
+</assemblies>`;
+
+const NUNIT_REPORT = `<?xml version="1.0" encoding="utf-8"?>
+<test-run name="Shop.Tests.dll">
+  <test-suite type="Assembly">
+    <test-case fullname="Shop.Tests.Cart.AddsItem" name="AddsItem" result="Passed" duration="2.6"/>
+    <test-case fullname="Shop.Tests.Cart.RemovesItem" name="RemovesItem" result="Failed" duration="0.1">
+      <failure>
+        <message>Expected: 0 But was: 1</message>
+        <stack-trace>at Shop.Tests.Cart.RemovesItem()</stack-trace>
+      </failure>
+    </test-case>
+    <test-case fullname="Shop.Tests.Cart.PaysWithWallet" result="Skipped">
+      <reason><message>Ignored until sandbox returns</message></reason>
+    </test-case>
+    <test-case fullname="Shop.Tests.Cart.Refunds" result="NotRunnable"/>
+  </test-suite>
+</test-run>`;
+
+describe('parseTestReport', () => {
+  it('reads JUnit test cases, including nested suites', () => {
+    const report = parseTestReport(JUNIT_REPORT);
+
+    assert.equal(report.format, 'JUNIT');
+    assert.equal(report.title, 'checkout-e2e');
+    assert.deepEqual(
+      report.results.map(({ fullName, status, durationSeconds }) => ({ fullName, status, durationSeconds })),
+      [
+        { fullName: 'shop.CartTests.adds item', status: 'PASSED', durationSeconds: 1 },
+        { fullName: 'shop.CartTests.removes item', status: 'FAILED', durationSeconds: 0 },
+        { fullName: 'shop.CartTests.applies coupon', status: 'FAILED', durationSeconds: null },
+        { fullName: 'shop.CartTests.pays with wallet', status: 'SKIPPED', durationSeconds: null },
+        { fullName: 'standalone', status: 'PASSED', durationSeconds: null },
+      ],
+    );
+  });
+
+  it('keeps the JUnit failure message and stack trace', () => {
+    const [, removed, coupon, wallet] = parseTestReport(JUNIT_REPORT).results;
+
+    assert.match(removed.message, /^expected 0 items\n\nAssertionError: expected 0 items/);
+    assert.match(removed.message, /cart\.test\.js:42/);
+    assert.equal(coupon.message, 'TypeError: coupon is undefined');
+    assert.equal(wallet.message, 'wallet sandbox down');
+  });
+
+  it('reads xUnit results and splits qualified names', () => {
+    const report = parseTestReport(XUNIT_REPORT);
+
+    assert.equal(report.format, 'XUNIT');
+    assert.equal(report.title, 'Shop.Tests.dll');
+    assert.deepEqual(
+      report.results.map(({ classname, name, status }) => ({ classname, name, status })),
+      [
+        { classname: 'Shop.Tests.Cart', name: 'AddsItem', status: 'PASSED' },
+        { classname: 'Shop.Tests.Cart', name: 'RemovesItem', status: 'FAILED' },
+        { classname: 'Shop.Tests.Cart', name: 'PaysWithWallet', status: 'SKIPPED' },
+        { classname: null, name: 'Orphan', status: 'BLOCKED' },
+      ],
+    );
+    assert.equal(report.results[1].message, 'Assert.Equal() Failure\n\nat Shop.Tests.Cart.RemovesItem()');
+    assert.equal(report.results[2].message, 'Sandbox down');
+  });
+
+  it('reads NUnit results', () => {
+    const report = parseTestReport(NUNIT_REPORT);
+
+    assert.equal(report.format, 'NUNIT');
+    assert.equal(report.title, 'Shop.Tests.dll');
+    assert.deepEqual(
+      report.results.map(({ fullName, status, durationSeconds }) => ({ fullName, status, durationSeconds })),
+      [
+        { fullName: 'Shop.Tests.Cart.AddsItem', status: 'PASSED', durationSeconds: 3 },
+        { fullName: 'Shop.Tests.Cart.RemovesItem', status: 'FAILED', durationSeconds: 0 },
+        { fullName: 'Shop.Tests.Cart.PaysWithWallet', status: 'SKIPPED', durationSeconds: null },
+        { fullName: 'Shop.Tests.Cart.Refunds', status: 'BLOCKED', durationSeconds: null },
+      ],
+    );
+    assert.equal(report.results[1].message, 'Expected: 0 But was: 1\n\nat Shop.Tests.Cart.RemovesItem()');
+    assert.equal(report.results[2].message, 'Ignored until sandbox returns');
+  });
+
+  it('uses the requested format over detection', () => {
+    const report = parseTestReport(NUNIT_REPORT, 'junit');
+
+    assert.equal(report.format, 'JUNIT');
+    assert.deepEqual(report.results, []);
+  });
+
+  it('rejects empty, malformed and unknown reports', () => {
+    assert.throws(() => parseTestReport('  '), /Report content is required/);
+    assert.throws(() => parseTestReport('<testsuites><testcase></testsuites>'), /Invalid XML report/);
+    assert.throws(() => parseTestReport('<coverage/>'), /Unable to detect report format/);
+    assert.throws(() => parseTestReport(JUNIT_REPORT, 'TAP'), /Unsupported report format/);
+  });
+
+  it('marks report errors as client errors', () => {
+    assert.throws(() => parseTestReport('<coverage/>'), { statusCode: 400 });
+  });
+});
+
+describe('importTestResults', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+  });
+
+  it('records a completed run, matching known test cases and drafting the rest', async () => {
+    await prismaMock.testCase.create({ data: { projectId: 1, name: 'shop.CartTests.adds item', isDeleted: false } });
+    await prismaMock.testCase.create({
+      data: { projectId: 1, name: 'removes item', moduleArea: 'shop.CartTests', isDeleted: false },
+    });
+
+    const result = await importTestResults(1, JUNIT_REPORT, {}, API_KEY);
+
+    assert.equal(result.total, 5);
+    assert.equal(result.matchedTestCases, 2);
+    assert.deepEqual(result.createdTestCases.map((testCase) => testCase.name), [
+      'shop.CartTests.applies coupon',
+      'shop.CartTests.pays with wallet',
+      'standalone',
+    ]);
+    const drafts = getRows('testCase').filter((testCase) => testCase.status === 'DRAFT');
+    assert.equal(drafts.length, 3);
+    assert.deepEqual(drafts[0].tags, ['automated']);
+    assert.equal(getRows('testRun')[0].status, 'COMPLETED');
+    assert.equal(getRows('testExecution').length, 5);
+  });
+
+  it('leaves no drafted test cases behind when the run cannot be saved', async () => {
+    const { createMany } = prismaMock.testExecution;
+    prismaMock.testExecution.createMany = async () => {
+      throw new Error('connection lost');
+    };
+    try {
+      await assert.rejects(importTestResults(1, JUNIT_REPORT, {}, API_KEY), /connection lost/);
+    } finally {
+      prismaMock.testExecution.createMany = createMany;
+    }
+
+    assert.equal(getRows('testCase').length, 0);
+    assert.equal(getRows('testRun').length, 0);
+  });
+
+  it('rejects a key for another project and empty reports as client errors', async () => {
+    await assert.rejects(
+      importTestResults(2, JUNIT_REPORT, {}, API_KEY),
+      { statusCode: 400, message: 'API key is not valid for this project' },
+    );
+    await assert.rejects(
+      importTestResults(1, '<testsuites/>', { format: 'JUNIT' }, API_KEY),
+      { statusCode: 400, message: 'Report does not contain any test cases' },
+    );
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * UNIT TESTS - Test run assignment: grouping strategies and workload balancing
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  planExecutionAssignments,
+  assignRunExecutions,
+  assignExecution,
+  getRunWorkload,
+  getAssignableTesters,
+} from '../../src/services/testRunAssignmentService.js';
+
+const MANAGER_ID = 1;
+const ALICE = 2;
+const BOB = 3;
+const CAROL = 4;
+
+function execution(id, estimatedDurationMinutes = null, moduleArea = null) {
+  return { id, testCaseId: id, testCase: { estimatedDurationMinutes, moduleArea } };
+}
+
+// Tester ID -> execution IDs, in the order the plan lists them
+function byTester(assignments) {
+  const result = {};
+  for (const [executionId, testerId] of assignments) {
+    (result[testerId] ||= []).push(executionId);
+  }
+  return result;
+}
+
+/**
+ * Project with testers Alice, Bob and Carol, developer Dave, and a run over the given cases
+ */
+async function createRun(testCases) {
+  await prismaMock.project.create({ data: { name: 'Web', ownerId: MANAGER_ID } });
+  await prismaMock.user.create({ data: { name: 'Manager', email: 'pm@example.com', role: 'ADMIN' } });
+  const users = [['Carol', 'TESTER'], ['Alice', 'TESTER'], ['Bob', 'TESTER'], ['Dave', 'DEVELOPER']];
+  for (const [index, [name, role]] of users.entries()) {
+    await prismaMock.user.create({ data: { id: [CAROL, ALICE, BOB, 5][index], name, email: `${name.toLowerCase()}@example.com`, role } });
+  }
+  for (const userId of [ALICE, BOB, CAROL, 5]) {
+    await prismaMock.projectUserAllocation.create({ data: { projectId: 1, userId, isActive: true } });
+  }
+
+  const run = await prismaMock.testRun.create({ data: { projectId: 1, name: 'Regression' } });
+  for (const testCase of testCases) {
+    const created = await prismaMock.testCase.create({ data: { projectId: 1, name: testCase.name, ...testCase } });
+    await prismaMock.testExecution.create({
+      data: { testRunId: run.id, testCaseId: created.id, status: 'NOT_RUN', assignedToId: null },
+    });
+  }
+  return run;
+}
+
+function assign(options) {
+  return assignRunExecutions(1, 1, options, MANAGER_ID);
+}
+
+function assignees() {
+  return Object.fromEntries(getRows('testExecution').map((row) => [row.id, row.assignedToId]));
+}
+
+describe('planExecutionAssignments', () => {
+  it('rotates through the testers when every execution counts the same', () => {
+    const executions = [1, 2, 3, 4, 5].map((id) => execution(id));
+
+    const { assignments, load } = planExecutionAssignments(executions, [ALICE, BOB], {
+      strategy: 'ROUND_ROBIN',
+      balanceByDuration: false,
+    });
+
+    assert.deepEqual(byTester(assignments), { [ALICE]: [1, 3, 5], [BOB]: [2, 4] });
+    assert.deepEqual([...load], [[ALICE, 3], [BOB, 2]]);
+  });
+
+  it('places the longest work first on the least loaded tester', () => {
+    const executions = [execution(1, 10), execution(2, 60), execution(3, 30), execution(4, 20), execution(5, 20)];
+
+    const { assignments, load } = planExecutionAssignments(executions, [ALICE, BOB], { strategy: 'ROUND_ROBIN' });
+
+    assert.deepEqual(byTester(assignments), { [ALICE]: [2, 1], [BOB]: [3, 4, 5] });
+    assert.deepEqual([...load], [[ALICE, 70], [BOB, 70]]);
+  });
+
+  it('weighs cases without an estimate as the average estimate', () => {
+    const executions = [execution(1, 30), execution(2, 10), execution(3)];
+
+    const { load } = planExecutionAssignments(executions, [ALICE, BOB, CAROL], { strategy: 'ROUND_ROBIN' });
+
+    assert.deepEqual([...load], [[ALICE, 30], [BOB, 20], [CAROL, 10]]);
+    const unestimated = planExecutionAssignments([execution(1), execution(2)], [ALICE], { strategy: 'ROUND_ROBIN' });
+    assert.equal(unestimated.load.get(ALICE), 30);
+  });
+
+  it('keeps module areas and suites together and counts existing load', () => {
+    const executions = [
+      execution(1, 10, 'Checkout'),
+      execution(2, 10, ' checkout '),
+      execution(3, 10, 'Search'),
+      execution(4, 10),
+    ];
+
+    const byModule = planExecutionAssignments(executions, [ALICE, BOB], {
+      strategy: 'MODULE_AREA',
+      initialLoad: new Map([[ALICE, 25]]),
+    });
+    assert.deepEqual(byTester(byModule.assignments), { [BOB]: [1, 2, 3], [ALICE]: [4] });
+
+    const bySuite = planExecutionAssignments(executions, [ALICE, BOB], {
+      strategy: 'SUITE',
+      suiteByCase: new Map([[1, 7], [3, 7], [4, 8]]),
+    });
+    assert.deepEqual(byTester(bySuite.assignments), { [ALICE]: [1, 3], [BOB]: [2, 4] });
+  });
+});
+
+describe('Test run assignment', () => {
+  beforeEach(() => {
+    resetPrismaMock();
+  });
+
+  it('assigns a run and reports the workload per tester', async () => {
+    await createRun([
+      { name: 'Pay by card', estimatedDurationMinutes: 40 },
+      { name: 'Pay by wallet', estimatedDurationMinutes: 20 },
+      { name: 'Refund', estimatedDurationMinutes: 20 },
+    ]);
+
+    const result = await assign({ testerIds: [ALICE, String(BOB), ALICE] });
+
+    assert.equal(result.assigned, 3);
+    assert.deepEqual(assignees(), { 1: ALICE, 2: BOB, 3: BOB });
+    assert.deepEqual(
+      result.workload.map((entry) => [entry.assignee.name, entry.total, entry.estimatedMinutes]),
+      [['Alice', 1, 40], ['Bob', 2, 40]],
+    );
+    assert.equal(getRows('auditLog').at(-1).action, 'TEST_RUN_ASSIGNED');
+  });
+
+  it('groups by the oldest live suite of each case', async () => {
+    await createRun([{ name: 'A' }, { name: 'B' }, { name: 'C' }, { name: 'D' }]);
+    for (const name of ['Archived', 'Payments', 'Smoke']) {
+      await prismaMock.testSuite.create({ data: { projectId: 1, name, isDeleted: name === 'Archived' } });
+    }
+    const memberships = [[1, 1], [1, 2], [2, 3], [3, 1], [3, 3], [3, 4]];
+    for (const [suiteId, testCaseId] of memberships) {
+      await prismaMock.testSuiteTestCase.create({ data: { suiteId, testCaseId } });
+    }
+
+    await assign({ testerIds: [ALICE, BOB], strategy: 'SUITE', balanceByDuration: false });
+
+    assert.deepEqual(assignees(), { 1: ALICE, 2: BOB, 3: BOB, 4: ALICE });
+  });
+
+  it('only places unassigned executions when asked, counting what testers already have', async () => {
+    await createRun([
+      { name: 'A', estimatedDurationMinutes: 30 },
+      { name: 'B', estimatedDurationMinutes: 10 },
+      { name: 'C', estimatedDurationMinutes: 10 },
+    ]);
+    await prismaMock.testExecution.update({ where: { id: 1 }, data: { assignedToId: ALICE } });
+
+    const result = await assign({ testerIds: [ALICE, BOB], onlyUnassigned: true });
+
+    assert.equal(result.assigned, 2);
+    assert.deepEqual(assignees(), { 1: ALICE, 2: BOB, 3: BOB });
+  });
+
+  it('only accepts active testers of the project and known strategies', async () => {
+    await createRun([{ name: 'A' }]);
+    await prismaMock.user.update({ where: { id: CAROL }, data: { isActive: false } });
+
+    await assert.rejects(assign({ testerIds: [] }), /At least one tester is required/);
+    await assert.rejects(assign({ testerIds: ['x'] }), /Tester IDs must be numbers/);
+    await assert.rejects(assign({ testerIds: [ALICE, CAROL, 5, 99] }), /not active testers on this project: 4, 5, 99/);
+    await assert.rejects(assign({ testerIds: [ALICE], strategy: 'RANDOM' }), /Invalid assignment strategy/);
+    await assert.rejects(assignRunExecutions(2, 1, { testerIds: [ALICE] }, MANAGER_ID), /not active testers/);
+    assert.deepEqual(assignees(), { 1: null });
+    assert.deepEqual((await getAssignableTesters(1)).map((user) => user.name), ['Alice', 'Bob']);
+  });
+
+  it('assigns and unassigns single executions and tracks remaining work', async () => {
+    await createRun([
+      { name: 'A', estimatedDurationMinutes: 30 },
+      { name: 'B', estimatedDurationMinutes: 10 },
+    ]);
+
+    const updated = await assignExecution(1, 1, 1, BOB, MANAGER_ID);
+    await prismaMock.testExecution.update({ where: { id: 1 }, data: { status: 'PASSED' } });
+
+    assert.equal(updated.assignee.name, 'Bob');
+    assert.deepEqual(
+      (await getRunWorkload(1, 1)).map(({ assignee, remaining, remainingMinutes }) => [assignee?.name ?? null, remaining, remainingMinutes]),
+      [['Bob', 0, 0], [null, 1, 10]],
+    );
+
+    await assignExecution(1, 1, 1, null, MANAGER_ID);
+    assert.equal(assignees()[1], null);
+    await assert.rejects(assignExecution(1, 1, 9, BOB, MANAGER_ID), /Test execution not found/);
+    await assert.rejects(assignExecution(1, 2, 1, BOB, MANAGER_ID), /Test run not found/);
+  });
+});
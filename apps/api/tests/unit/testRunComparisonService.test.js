@@ -0,0 +1,165 @@
+/**
+ * UNIT TESTS - Test run comparison: status changes, added/removed cases and slowdowns
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock } from '../helpers/prismaMock.js';
+import { compareTestRuns } from '../../src/services/testRunComparisonService.js';
+
+const cases = {};
+
+/**
+ * Run whose executions are [caseName, status, durationSeconds, dataRowNumber?]
+ */
+async function createRun(name, buildVersion, executions, { status = 'COMPLETED', createdAt = new Date(), projectId = 1 } = {}) {
+  const run = await prismaMock.testRun.create({ data: { projectId, name, buildVersion, status, createdAt } });
+  for (const [caseName, executionStatus, actualDurationSeconds, dataRowNumber = null] of executions) {
+    await prismaMock.testExecution.create({
+      data: {
+        testRunId: run.id,
+        testCaseId: cases[caseName].id,
+        dataRowNumber,
+        status: executionStatus,
+        actualDurationSeconds,
+      },
+    });
+  }
+  return run;
+}
+
+function names(rows) {
+  return rows.map((row) => (row.dataRowNumber ? `${row.testCaseName}#${row.dataRowNumber}` : row.testCaseName));
+}
+
+describe('compareTestRuns', () => {
+  beforeEach(async () => {
+    resetPrismaMock();
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: 1 } });
+    for (const name of ['Checkout', 'Search', 'Login', 'Refund', 'Upload', 'Export']) {
+      cases[name] = await prismaMock.testCase.create({ data: { projectId: 1, name, priority: 'P1', moduleArea: 'Shop' } });
+    }
+  });
+
+  it('sorts cases into newly failing, newly passing, still failing, added and removed', async () => {
+    const base = await createRun('2.3 regression', '2.3.0', [
+      ['Checkout', 'PASSED', 60],
+      ['Search', 'FAILED', 30],
+      ['Login', 'FAILED', 20],
+      ['Refund', 'PASSED', 40],
+      ['Export', 'PASSED', 10],
+    ]);
+    const target = await createRun('2.4 regression', '2.4.0', [
+      ['Checkout', 'FAILED', 61],
+      ['Search', 'PASSED', 30],
+      ['Login', 'FAILED', 20],
+      ['Refund', 'PASSED', 40],
+      ['Upload', 'PASSED', 15],
+    ]);
+
+    const result = await compareTestRuns(1, { baseRunId: base.id, targetRunId: String(target.id) });
+
+    assert.deepEqual(names(result.newlyFailing), ['Checkout']);
+    assert.deepEqual(names(result.newlyPassing), ['Search']);
+    assert.deepEqual(names(result.stillFailing), ['Login']);
+    assert.deepEqual(names(result.added), ['Upload']);
+    assert.deepEqual(names(result.removed), ['Export']);
+    assert.deepEqual(result.newlyFailing[0], {
+      testCaseId: cases.Checkout.id,
+      testCaseName: 'Checkout',
+      priority: 'P1',
+      moduleArea: 'Shop',
+      dataRowNumber: null,
+      baseExecutionId: 1,
+      targetExecutionId: 6,
+      baseStatus: 'PASSED',
+      targetStatus: 'FAILED',
+      baseDurationSeconds: 60,
+      targetDurationSeconds: 61,
+    });
+    assert.deepEqual(result.summary, {
+      newlyFailing: 1,
+      newlyPassing: 1,
+      stillFailing: 1,
+      added: 1,
+      removed: 1,
+      unchanged: 1,
+      durationRegressions: 0,
+      passRateDiff: 0,
+      durationDiffSeconds: 6,
+      hasRegressions: true,
+    });
+    assert.deepEqual([result.base.passRate, result.target.passRate, result.target.totalDurationSeconds], [60, 60, 166]);
+  });
+
+  it('matches data-driven cases row by row', async () => {
+    const base = await createRun('Base', '2.3.0', [['Login', 'PASSED', 10, 1], ['Login', 'PASSED', 10, 2]]);
+    const target = await createRun('Target', '2.4.0', [['Login', 'PASSED', 10, 1], ['Login', 'FAILED', 10, 2], ['Login', 'PASSED', 10, 3]]);
+
+    const result = await compareTestRuns(1, { baseRunId: base.id, targetRunId: target.id });
+
+    assert.deepEqual(names(result.newlyFailing), ['Login#2']);
+    assert.deepEqual(names(result.added), ['Login#3']);
+    assert.equal(result.summary.unchanged, 1);
+  });
+
+  it('reports slowdowns over both the relative and the absolute threshold, largest first', async () => {
+    const base = await createRun('Base', '2.3.0', [
+      ['Checkout', 'PASSED', 100],
+      ['Search', 'PASSED', 10],
+      ['Login', 'PASSED', 50],
+      ['Refund', 'PASSED', 0],
+      ['Upload', 'PASSED', 20],
+    ]);
+    const target = await createRun('Target', '2.4.0', [
+      ['Checkout', 'PASSED', 119],
+      ['Search', 'PASSED', 14],
+      ['Login', 'PASSED', 80],
+      ['Refund', 'PASSED', 60],
+      ['Upload', 'PASSED', 30],
+    ]);
+
+    const result = await compareTestRuns(1, { baseRunId: base.id, targetRunId: target.id });
+
+    assert.deepEqual(
+      result.durationRegressions.map((row) => [row.testCaseName, row.deltaSeconds, row.deltaPercent]),
+      [['Login', 30, 60], ['Upload', 10, 50]],
+    );
+    assert.equal(result.summary.hasRegressions, true);
+
+    const relaxed = await compareTestRuns(1, {
+      baseRunId: base.id,
+      targetRunId: target.id,
+      durationThresholdPercent: 10,
+      minDurationDeltaSeconds: 2,
+    });
+    assert.deepEqual(names(relaxed.durationRegressions), ['Login', 'Checkout', 'Upload', 'Search']);
+    assert.deepEqual(relaxed.settings, { durationThresholdPercent: 10, minDurationDeltaSeconds: 2 });
+  });
+
+  it('picks the latest non-cancelled run of a build', async () => {
+    await createRun('2.3 first', '2.3.0', [['Checkout', 'FAILED', 10]], { createdAt: new Date('2026-09-01') });
+    const base = await createRun('2.3 rerun', '2.3.0', [['Checkout', 'PASSED', 10]], { createdAt: new Date('2026-09-02') });
+    await createRun('2.3 aborted', '2.3.0', [], { status: 'CANCELLED', createdAt: new Date('2026-09-03') });
+    const target = await createRun('2.4', '2.4.0', [['Checkout', 'FAILED', 10]], { createdAt: new Date('2026-09-04') });
+    await createRun('2.4 other project', '2.4.0', [], { projectId: 2, createdAt: new Date('2026-09-05') });
+
+    const result = await compareTestRuns(1, { baseBuild: '2.3.0', targetBuild: '2.4.0' });
+
+    assert.deepEqual([result.base.id, result.target.id], [base.id, target.id]);
+    assert.equal(result.base.name, '2.3 rerun');
+    assert.deepEqual(names(result.newlyFailing), ['Checkout']);
+  });
+
+  it('needs two different runs of the project', async () => {
+    const run = await createRun('2.4', '2.4.0', [['Checkout', 'PASSED', 10]]);
+    const other = await createRun('Mobile', '2.4.0', [], { projectId: 2 });
+
+    await assert.rejects(compareTestRuns(1, { targetRunId: run.id }), /Base run ID or build version is required/);
+    await assert.rejects(compareTestRuns(1, { baseRunId: run.id, targetRunId: other.id }), /Target test run not found/);
+    await assert.rejects(compareTestRuns(1, { baseBuild: '2.3.0', targetRunId: run.id }), /No test run found for base build 2\.3\.0/);
+    await assert.rejects(compareTestRuns(1, { baseRunId: run.id, targetBuild: '2.4.0' }), /Cannot compare a test run with itself/);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * UNIT TESTS - Rule-based dynamic test suites: criteria validation and matching
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  normalizeSuiteCriteria,
+  previewSuiteCriteria,
+  createTestSuite,
+  evaluateDynamicSuite,
+  addTestCasesToSuite,
+} from '../../src/services/testSuiteService.js';
+
+async function createTestCases() {
+  const testCases = [
+    { name: 'Pay by card', priority: 'P1', moduleArea: 'Checkout', tags: ['smoke', 'payments'] },
+    { name: 'Pay by wallet', priority: 'P2', moduleArea: 'checkout/wallet', tags: ['payments'] },
+    { name: 'Search by SKU', priority: 'P1', moduleArea: 'Search', tags: ['smoke'] },
+    { name: 'Legacy import', priority: 'P3', moduleArea: null, tags: [] },
+    { name: 'Deleted case', priority: 'P1', moduleArea: 'Checkout', tags: ['smoke'], isDeleted: true },
+  ];
+  for (const testCase of testCases) {
+    await prismaMock.testCase.create({
+      data: { projectId: 1, status: 'ACTIVE', type: 'FUNCTIONAL', isDeleted: false, ...testCase },
+    });
+  }
+}
+
+async function matchedNames(criteria) {
+  const { testCases } = await previewSuiteCriteria(1, criteria);
+  return testCases.map((row) => row.testCase.name);
+}
+
+describe('normalizeSuiteCriteria', () => {
+  it('defaults to ALL and cleans up list values', () => {
+    assert.deepEqual(
+      normalizeSuiteCriteria({
+        rules: [
+          { field: 'priority', operator: 'in', value: ' P1, P2,P1,' },
+          { field: 'moduleArea', operator: 'contains', value: ' checkout ' },
+        ],
+      }),
+      {
+        match: 'ALL',
+        rules: [
+          { field: 'priority', operator: 'in', value: ['P1', 'P2'] },
+          { field: 'moduleArea', operator: 'contains', value: 'checkout' },
+        ],
+      },
+    );
+    assert.equal(normalizeSuiteCriteria({ match: 'any', rules: [{ field: 'tags', operator: 'contains', value: 'smoke' }] }).match, 'ANY');
+  });
+
+  it('rejects criteria it cannot turn into a query', () => {
+    const rule = { field: 'priority', operator: 'equals', value: 'P1' };
+    assert.throws(() => normalizeSuiteCriteria(null), /require criteria with at least one rule/);
+    assert.throws(() => normalizeSuiteCriteria({ rules: [] }), /require criteria with at least one rule/);
+    assert.throws(() => normalizeSuiteCriteria({ match: 'SOME', rules: [rule] }), /match must be ALL or ANY/);
+    assert.throws(() => normalizeSuiteCriteria({ rules: [rule, { ...rule, field: 'owner' }] }), /^Error: Rule 2: field must be one of/);
+    assert.throws(() => normalizeSuiteCriteria({ rules: [{ ...rule, operator: 'contains' }] }), /operator for priority must be one of/);
+    assert.throws(() => normalizeSuiteCriteria({ rules: [{ ...rule, operator: 'in', value: ' , ' }] }), /in requires at least one value/);
+    assert.throws(() => normalizeSuiteCriteria({ rules: [{ ...rule, value: '  ' }] }), /Rule 1: value is required/);
+  });
+});
+
+describe('Dynamic suite matching', () => {
+  beforeEach(async () => {
+    resetPrismaMock();
+    await createTestCases();
+  });
+
+  it('combines rules with ALL or ANY and skips deleted test cases', async () => {
+    const rules = [
+      { field: 'priority', operator: 'equals', value: 'P1' },
+      { field: 'tags', operator: 'contains', value: 'payments' },
+    ];
+
+    assert.deepEqual(await matchedNames({ match: 'ALL', rules }), ['Pay by card']);
+    assert.deepEqual(await matchedNames({ match: 'ANY', rules }), ['Pay by card', 'Search by SKU', 'Pay by wallet']);
+  });
+
+  it('lets negative rules match test cases without a value', async () => {
+    assert.deepEqual(
+      await matchedNames({ rules: [{ field: 'moduleArea', operator: 'notEquals', value: 'Checkout' }] }),
+      ['Search by SKU', 'Pay by wallet', 'Legacy import'],
+    );
+    assert.deepEqual(
+      await matchedNames({ rules: [{ field: 'moduleArea', operator: 'notIn', value: ['Checkout', 'Search'] }] }),
+      ['Pay by wallet', 'Legacy import'],
+    );
+  });
+
+  it('matches text case-insensitively and tags by any or none', async () => {
+    assert.deepEqual(
+      await matchedNames({ rules: [{ field: 'moduleArea', operator: 'contains', value: 'CHECKOUT' }] }),
+      ['Pay by card', 'Pay by wallet'],
+    );
+    assert.deepEqual(
+      await matchedNames({ rules: [{ field: 'tags', operator: 'in', value: 'payments,regression' }] }),
+      ['Pay by card', 'Pay by wallet'],
+    );
+    assert.deepEqual(
+      await matchedNames({ rules: [{ field: 'tags', operator: 'notContains', value: 'smoke' }] }),
+      ['Pay by wallet', 'Legacy import'],
+    );
+  });
+
+  it('explains why each test case matched', async () => {
+    const { total, testCases } = await previewSuiteCriteria(1, {
+      match: 'ANY',
+      rules: [
+        { field: 'priority', operator: 'in', value: ['P1'] },
+        { field: 'moduleArea', operator: 'notEquals', value: 'Search' },
+      ],
+    });
+
+    assert.equal(total, 4);
+    assert.deepEqual(testCases[0].matchReasons, [
+      'priority is "P1" (one of P1)',
+      'moduleArea is "Checkout" (not "Search")',
+    ]);
+    assert.deepEqual(testCases.at(-1).matchReasons, ['moduleArea is not set (not "Search")']);
+  });
+
+  it('saves dynamic suites with normalized criteria and keeps their membership rule-based', async () => {
+    const suite = await createTestSuite(
+      {
+        projectId: 1,
+        name: 'Smoke',
+        suiteType: 'DYNAMIC',
+        criteria: { match: 'all', rules: [{ field: 'tags', operator: 'contains', value: 'smoke' }] },
+      },
+      1,
+    );
+
+    assert.equal(getRows('testSuite')[0].criteria.match, 'ALL');
+    const rows = await evaluateDynamicSuite(suite.id);
+    assert.deepEqual(rows.map((row) => [row.suiteId, row.order, row.testCase.name]), [
+      [suite.id, 1, 'Pay by card'],
+      [suite.id, 2, 'Search by SKU'],
+    ]);
+    await assert.rejects(addTestCasesToSuite(suite.id, [4], 1), /managed by its criteria/);
+    await assert.rejects(
+      createTestSuite({ projectId: 1, name: 'Broken', suiteType: 'DYNAMIC', criteria: {} }, 1),
+      /require criteria with at least one rule/,
+    );
+  });
+});
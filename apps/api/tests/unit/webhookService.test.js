@@ -0,0 +1,217 @@
+/**
+ * UNIT TESTS - Webhook delivery: signing, retries with backoff, auto-disable and redelivery
+ *
+ * Deliveries are sent to a receiver on a free local port whose response status each
+ * test sets.
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { prismaMock, resetPrismaMock, getRows } from '../helpers/prismaMock.js';
+import {
+  signWebhookPayload,
+  registerWebhook,
+  updateWebhook,
+  triggerWebhook,
+  deliverWebhook,
+  retryFailedDeliveries,
+  redeliverWebhookDelivery,
+} from '../../src/services/webhookService.js';
+
+const SECRET = 'webhook-secret';
+
+let server;
+let receiverUrl;
+let received;
+let responseStatus;
+
+function startReceiver() {
+  server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      received.push({ headers: request.headers, body });
+      response.writeHead(responseStatus);
+      response.end(responseStatus < 400 ? 'ok' : 'receiver error');
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+}
+
+function createWebhook(overrides = {}) {
+  return registerWebhook(1, {
+    name: 'CI',
+    url: receiverUrl,
+    secret: SECRET,
+    events: ['BUG_CREATED', 'BUG_CREATED', 'EXECUTION_COMPLETED'],
+    ...overrides,
+  }, 1);
+}
+
+async function queueDelivery(webhookId) {
+  return prismaMock.webhookDelivery.create({
+    data: { webhookId, event: 'BUG_CREATED', payload: '{"id":"evt-1"}', nextRetryAt: new Date() },
+  });
+}
+
+function storedDelivery(id) {
+  return getRows('webhookDelivery').find((delivery) => delivery.id === id);
+}
+
+// Make every PENDING delivery due now instead of waiting out its backoff
+function makeDue() {
+  getRows('webhookDelivery')
+    .filter((delivery) => delivery.status === 'PENDING')
+    .forEach((delivery) => {
+      delivery.nextRetryAt = new Date(Date.now() - 1000);
+    });
+}
+
+// Wait for the fire-and-forget attempts triggerWebhook starts
+async function waitForDeliveries(count) {
+  for (let i = 0; i < 200; i++) {
+    const finished = getRows('webhookDelivery').filter((delivery) => ['SUCCESS', 'FAILED'].includes(delivery.status));
+    if (finished.length >= count) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Expected ${count} finished deliveries`);
+}
+
+describe('Webhook delivery', () => {
+  before(async () => {
+    await startReceiver();
+    receiverUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    resetPrismaMock();
+    received = [];
+    responseStatus = 200;
+    await prismaMock.project.create({ data: { name: 'Web', ownerId: 1 } });
+  });
+
+  it('signs the timestamp and body with the webhook secret', async () => {
+    const webhook = await createWebhook();
+    const queued = await queueDelivery(webhook.id);
+
+    const delivery = await deliverWebhook(queued.id);
+
+    const [{ headers, body }] = received;
+    assert.equal(body, '{"id":"evt-1"}');
+    assert.equal(headers['x-webhook-signature'], `sha256=${signWebhookPayload(SECRET, headers['x-webhook-timestamp'], body)}`);
+    assert.equal(headers['x-webhook-event'], 'BUG_CREATED');
+    assert.equal(headers['x-webhook-delivery'], String(queued.id));
+    assert.equal(delivery.status, 'SUCCESS');
+    assert.equal(delivery.responseCode, 200);
+    assert.equal(await deliverWebhook(queued.id), null);
+    assert.equal(received.length, 1);
+  });
+
+  it('queues one delivery per active webhook subscribed to the event', async () => {
+    const subscribed = await createWebhook();
+    await createWebhook({ events: ['TEST_CREATED'] });
+    await createWebhook({ isActive: false });
+
+    await triggerWebhook('BUG_CREATED', { projectId: 1, bug: { id: 5 } });
+    await waitForDeliveries(1);
+
+    assert.deepEqual(subscribed.events, ['BUG_CREATED', 'EXECUTION_COMPLETED']);
+    assert.deepEqual(getRows('webhookDelivery').map((delivery) => [delivery.webhookId, delivery.status]), [
+      [subscribed.id, 'SUCCESS'],
+    ]);
+    const payload = JSON.parse(received[0].body);
+    assert.equal(payload.event, 'BUG_CREATED');
+    assert.deepEqual(payload.data, { bug: { id: 5 } });
+  });
+
+  it('retries failed attempts after 1, 5 and 15 minutes, then gives up', async () => {
+    responseStatus = 500;
+    const webhook = await createWebhook();
+    const queued = await queueDelivery(webhook.id);
+
+    const first = await deliverWebhook(queued.id);
+    const delays = [Math.round((first.nextRetryAt - Date.now()) / 60000)];
+    for (let attempt = 2; attempt <= 4; attempt++) {
+      makeDue();
+      await retryFailedDeliveries();
+      const delivery = storedDelivery(queued.id);
+      if (delivery.nextRetryAt) delays.push(Math.round((delivery.nextRetryAt - Date.now()) / 60000));
+    }
+
+    const delivery = storedDelivery(queued.id);
+    assert.deepEqual(delays, [1, 5, 15]);
+    assert.equal(delivery.status, 'FAILED');
+    assert.equal(delivery.attemptCount, 4);
+    assert.equal(delivery.responseCode, 500);
+    assert.match(delivery.errorMessage, /^HTTP 500: receiver error/);
+    assert.equal(getRows('webhook')[0].failureCount, 4);
+    assert.equal(received.length, 4);
+  });
+
+  it('disables the webhook after 10 consecutive failures and resets the streak on success', async () => {
+    const webhook = await createWebhook();
+    await prismaMock.webhook.update({ where: { id: webhook.id }, data: { failureCount: 8 } });
+
+    await deliverWebhook((await queueDelivery(webhook.id)).id);
+    assert.equal(getRows('webhook')[0].failureCount, 0);
+
+    responseStatus = 503;
+    await prismaMock.webhook.update({ where: { id: webhook.id }, data: { failureCount: 9 } });
+    await deliverWebhook((await queueDelivery(webhook.id)).id);
+    assert.equal(getRows('webhook')[0].isActive, false);
+    assert.ok(getRows('webhook')[0].autoDisabledAt instanceof Date);
+
+    const skipped = await deliverWebhook((await queueDelivery(webhook.id)).id);
+    assert.equal(skipped.status, 'FAILED');
+    assert.equal(skipped.errorMessage, 'Webhook is inactive');
+    assert.equal(received.length, 2);
+
+    await updateWebhook(webhook.id, 1, { isActive: true });
+    assert.deepEqual(
+      [getRows('webhook')[0].isActive, getRows('webhook')[0].failureCount, getRows('webhook')[0].autoDisabledAt],
+      [true, 0, null],
+    );
+  });
+
+  it('requeues deliveries left in flight by an interrupted process', async () => {
+    const webhook = await createWebhook();
+    const stale = await queueDelivery(webhook.id);
+    const inFlight = await queueDelivery(webhook.id);
+    Object.assign(storedDelivery(stale.id), { status: 'DELIVERING', updatedAt: new Date(Date.now() - 10 * 60000) });
+    Object.assign(storedDelivery(inFlight.id), { status: 'DELIVERING', updatedAt: new Date() });
+
+    const result = await retryFailedDeliveries();
+
+    assert.deepEqual(result, { processed: 1 });
+    assert.equal(storedDelivery(stale.id).status, 'SUCCESS');
+    assert.equal(storedDelivery(inFlight.id).status, 'DELIVERING');
+  });
+
+  it('redelivers the original body as a new delivery', async () => {
+    responseStatus = 500;
+    const webhook = await createWebhook();
+    const original = await queueDelivery(webhook.id);
+    await deliverWebhook(original.id);
+
+    responseStatus = 200;
+    const redelivery = await redeliverWebhookDelivery(original.id, webhook.id, 1);
+
+    assert.equal(redelivery.status, 'SUCCESS');
+    assert.equal(redelivery.redeliveredFromId, original.id);
+    assert.equal(redelivery.payload, original.payload);
+    assert.equal(received[1].body, received[0].body);
+    await assert.rejects(redeliverWebhookDelivery(original.id, webhook.id, 2), /Delivery not found/);
+
+    await updateWebhook(webhook.id, 1, { isActive: false });
+    await assert.rejects(redeliverWebhookDelivery(original.id, webhook.id, 1), /Enable the webhook before redelivering/);
+  });
+});
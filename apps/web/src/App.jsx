@@ -12,6 +12,7 @@ const Signup = lazy(() => import('@/pages/Signup'));
 const Login = lazy(() => import('@/pages/Login'));
 const Dashboard = lazy(() => import('@/pages/Dashboard'));
 const VerifyEmail = lazy(() => import('@/pages/VerifyEmail'));
+const SsoCallback = lazy(() => import('@/pages/SsoCallback'));
 const Chat = lazy(() => import('@/pages/Chat'));
 const TestRunCreation = lazy(() => import('@/pages/TestRunCreation'));
 const TestExecution = lazy(() => import('@/pages/TestExecution'));
@@ -28,12 +29,15 @@ const ScheduledReportsPage = lazy(() => import('@/pages/ScheduledReportsPage'));
 const AdminUserDetailPage = lazy(() => import('@/pages/AdminUserDetailPage'));
 const TestCaseDetailPage = lazy(() => import('@/pages/TestCaseDetailPage'));
 const TestRunDetailPage = lazy(() => import('@/pages/TestRunDetailPage'));
+const TestRunComparisonPage = lazy(() => import('@/pages/TestRunComparisonPage'));
 const SearchResultsPage = lazy(() => import('@/pages/SearchResultsPage'));
 const AnalyticsDashboard = lazy(() => import('@/pages/AnalyticsDashboard'));
 const TestPlansPage = lazy(() => import('@/pages/TestPlansPage'));
 const ApiKeysPage = lazy(() => import('@/pages/ApiKeysPage'));
 const IntegrationsPage = lazy(() => import('@/pages/IntegrationsPage'));
 const MilestonesPage = lazy(() => import('@/pages/MilestonesPage'));
+const RequirementsPage = lazy(() => import('@/pages/RequirementsPage'));
+const SharedStepsPage = lazy(() => import('@/pages/SharedStepsPage'));
 const NotificationsPage = lazy(() => import('@/pages/NotificationsPage'));
 const ResetPasswordPage = lazy(() => import('@/pages/ResetPasswordPage'));
 const ProjectDetailPage = lazy(() => import('@/pages/ProjectDetailPage'));
@@ -119,6 +123,7 @@ function AppRoutes() {
       <Route path="/signup" element={<Suspense fallback={<PageLoader />}><Signup /></Suspense>} />
       <Route path="/login" element={<Suspense fallback={<PageLoader />}><Login /></Suspense>} />
       <Route path="/verify-email" element={<Suspense fallback={<PageLoader />}><VerifyEmail /></Suspense>} />
+      <Route path="/sso/callback" element={<Suspense fallback={<PageLoader />}><SsoCallback /></Suspense>} />
       <Route path="/reset-password" element={<Suspense fallback={<PageLoader />}><ResetPasswordPage /></Suspense>} />
       <Route
         path="/dashboard"
@@ -300,6 +305,18 @@ function AppRoutes() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/projects/:projectId/test-runs/compare"
+        element={
+          <ProtectedRoute>
+            <RoleRoute allowedRoles={['ADMIN', 'DEVELOPER', 'TESTER']}>
+              <Suspense fallback={<PageLoader />}>
+                <TestRunComparisonPage />
+              </Suspense>
+            </RoleRoute>
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/test-run/:testRunId"
         element={
@@ -528,6 +545,30 @@ function AppRoutes() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/projects/:projectId/requirements"
+        element={
+          <ProtectedRoute>
+            <RoleRoute allowedRoles={['ADMIN', 'DEVELOPER', 'TESTER']}>
+              <Suspense fallback={<PageLoader />}>
+                <RequirementsPage />
+              </Suspense>
+            </RoleRoute>
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/projects/:projectId/shared-steps"
+        element={
+          <ProtectedRoute>
+            <RoleRoute allowedRoles={['ADMIN', 'DEVELOPER', 'TESTER']}>
+              <Suspense fallback={<PageLoader />}>
+                <SharedStepsPage />
+              </Suspense>
+            </RoleRoute>
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/notifications"
         element={
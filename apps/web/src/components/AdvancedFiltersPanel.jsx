@@ -1,13 +1,17 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { apiClient } from '../lib/apiClient';
+import { useCustomFields } from '../hooks/useCustomFields';
+import CustomFieldInputs from './CustomFieldInputs';
 
 /**
  * AdvancedFiltersPanel Component
- * Allows users to create, edit, and manage advanced filters for resources
+ * Allows users to create, edit, and manage advanced filters for resources.
+ * When a projectId is given, the project's custom fields can be used as filter criteria.
  */
-export default function AdvancedFiltersPanel({ resourceType = 'BUG', onFilterSelected = null }) {
+export default function AdvancedFiltersPanel({ resourceType = 'BUG', projectId = null, onFilterSelected = null }) {
   const { user, token } = useAuth();
+  const { fields: customFields } = useCustomFields(projectId, resourceType);
   const [filters, setFilters] = useState([]);
   const [isOpen, setIsOpen] = useState(false);
   const [editingId, setEditingId] = useState(null);
@@ -23,6 +27,7 @@ export default function AdvancedFiltersPanel({ resourceType = 'BUG', onFilterSel
     severity: [],
     assigneeId: null,
     tags: [],
+    customFields: {},
     isDefault: false,
     isFavorite: false,
   });
@@ -61,6 +66,9 @@ export default function AdvancedFiltersPanel({ resourceType = 'BUG', onFilterSel
         severity: filterForm.severity,
         assigneeId: filterForm.assigneeId,
         tags: filterForm.tags,
+        customFields: Object.fromEntries(
+          Object.entries(filterForm.customFields).filter(([, value]) => value !== null && value !== ''),
+        ),
       };
 
       if (editingId) {
@@ -126,6 +134,7 @@ export default function AdvancedFiltersPanel({ resourceType = 'BUG', onFilterSel
       severity: config.severity || [],
       assigneeId: config.assigneeId || null,
       tags: config.tags || [],
+      customFields: config.customFields || {},
       isDefault: filter.isDefault,
       isFavorite: filter.isFavorite,
     });
@@ -148,6 +157,7 @@ export default function AdvancedFiltersPanel({ resourceType = 'BUG', onFilterSel
       severity: [],
       assigneeId: null,
       tags: [],
+      customFields: {},
       isDefault: false,
       isFavorite: false,
     });
@@ -276,6 +286,20 @@ export default function AdvancedFiltersPanel({ resourceType = 'BUG', onFilterSel
                   </div>
                 </div>
 
+                {customFields.length > 0 && (
+                  <div>
+                    <label className="text-xs font-semibold text-[var(--muted)]">Custom Fields</label>
+                    <div className="mt-1">
+                      <CustomFieldInputs
+                        mode="filter"
+                        fields={customFields}
+                        values={filterForm.customFields}
+                        onChange={(values) => setFilterForm({ ...filterForm, customFields: values })}
+                      />
+                    </div>
+                  </div>
+                )}
+
                 <label className="flex items-center gap-2">
                   <input
                     type="checkbox"
@@ -1,5 +1,9 @@
 import { useState } from 'react';
 import { apiClient } from '../lib/apiClient';
+import { useCustomFields } from '../hooks/useCustomFields';
+import CustomFieldInputs from './CustomFieldInputs';
+import DuplicateBugSuggestions from './DuplicateBugSuggestions';
+import { logError } from '../lib/errorLogger';
 
 /**
  * Modal component for creating a bug from a failed test execution
@@ -20,14 +24,18 @@ export default function BugCreationModal({
     priority: 'P2',
     environment: 'PRODUCTION',
     reproducibility: 'ALWAYS',
-    affectedVersion: ''
+    affectedVersion: '',
+    customFields: {},
   });
 
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState(false);
+  const [duplicateOf, setDuplicateOf] = useState(null);
+  const [duplicateError, setDuplicateError] = useState('');
 
   const projectId = localStorage.getItem('selectedProjectId');
+  const { fields: customFields, applyDefaults } = useCustomFields(projectId, 'BUG');
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -66,9 +74,26 @@ export default function BugCreationModal({
           affectedVersion: formData.affectedVersion || 'Unknown',
           executionId: executionId,
           testCaseId: testCaseId,
+          customFields: applyDefaults(formData.customFields),
         }
       );
 
+      if (duplicateOf) {
+        try {
+          await apiClient.post(
+            `/api/projects/${projectId}/bugs/${response.id}/duplicate-of`,
+            { duplicateOfId: duplicateOf.id },
+          );
+        } catch (err) {
+          // The bug exists either way; stay open so the reporter sees why the link is missing
+          logError(err, 'BugCreationModal.markDuplicate');
+          setDuplicateError(`It could not be marked as a duplicate of ${duplicateOf.bugNumber}: ${err.message}`);
+          setSuccess(true);
+          onSuccess(response);
+          return;
+        }
+      }
+
       setSuccess(true);
       setTimeout(() => {
         onSuccess(response);
@@ -90,10 +115,13 @@ export default function BugCreationModal({
         priority: 'P2',
           environment: 'PRODUCTION',
         reproducibility: 'ALWAYS',
-        affectedVersion: ''
+        affectedVersion: '',
+        customFields: {},
       });
       setError('');
       setSuccess(false);
+      setDuplicateOf(null);
+      setDuplicateError('');
       onClose();
     }
   };
@@ -124,8 +152,13 @@ export default function BugCreationModal({
                 Bug Created Successfully
               </h3>
               <p className="text-[var(--muted)]">
-                The bug has been created and added to the bug tracking system.
+                {duplicateOf && !duplicateError
+                  ? `The bug has been created as a duplicate of ${duplicateOf.bugNumber}.`
+                  : 'The bug has been created and added to the bug tracking system.'}
               </p>
+              {duplicateError && (
+                <p className="text-sm text-[var(--danger)] mt-2">{duplicateError}</p>
+              )}
             </div>
           ) : (
             <form onSubmit={handleSubmit} className="space-y-4">
@@ -169,6 +202,19 @@ export default function BugCreationModal({
                 />
               </div>
 
+              {/* Possible Duplicates */}
+              <DuplicateBugSuggestions
+                projectId={projectId}
+                draft={{
+                  title: formData.title,
+                  description: formData.description,
+                  testCaseId,
+                  executionId,
+                }}
+                selectedId={duplicateOf?.id}
+                onSelect={setDuplicateOf}
+              />
+
               {/* Severity & Priority */}
               <div className="grid grid-cols-2 gap-4">
                 <div>
@@ -265,6 +311,17 @@ export default function BugCreationModal({
                 />
               </div>
 
+              {/* Custom Fields */}
+              {customFields.length > 0 && (
+                <CustomFieldInputs
+                  fields={customFields}
+                  values={formData.customFields}
+                  onChange={(values) => setFormData(prev => ({ ...prev, customFields: values }))}
+                  inputClassName="w-full p-2 border border-[var(--border)] rounded-lg bg-[var(--bg)] text-[var(--foreground)] text-sm"
+                  labelClassName="block font-semibold text-sm mb-1 text-[var(--foreground)]"
+                />
+              )}
+
               {/* Info */}
               {(executionId || testCaseId) && (
                 <div className="bg-blue-50 dark:bg-blue-900 border border-blue-200 dark:border-blue-700 p-3 rounded-lg text-xs">
@@ -281,7 +338,7 @@ export default function BugCreationModal({
                   disabled={submitting}
                   className="flex-1 tt-btn tt-btn-primary disabled:opacity-50 text-sm"
                 >
-                  {submitting ? 'Creating...' : 'Create Bug'}
+                  {submitting ? 'Creating...' : duplicateOf ? `Create as Duplicate of ${duplicateOf.bugNumber}` : 'Create Bug'}
                 </button>
                 <button
                   type="button"
@@ -0,0 +1,337 @@
+import { useEffect, useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { apiClient } from '@/lib/apiClient';
+
+const ROLES = ['ADMIN', 'DEVELOPER', 'TESTER'];
+const AUTO_ASSIGN_OPTIONS = [
+  { value: '', label: 'Keep assignee' },
+  { value: 'REPORTER', label: 'Assign to reporter' },
+  { value: 'USER', label: 'Assign to user' },
+  { value: 'UNASSIGN', label: 'Unassign' },
+];
+const EMPTY_TRANSITION = { from: ['*'], to: '', roles: [], requiredFields: [], autoAssign: null };
+
+/**
+ * BugWorkflowEditor Component
+ * Admin editor for a project's bug states and transition rules.
+ * Projects without a saved workflow show the default one.
+ */
+export default function BugWorkflowEditor({ projectId, members = [] }) {
+  const [states, setStates] = useState([]);
+  const [transitions, setTransitions] = useState([]);
+  const [assignedState, setAssignedState] = useState('');
+  const [transitionFields, setTransitionFields] = useState([]);
+  const [isDefault, setIsDefault] = useState(true);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const endpoint = `/api/projects/${projectId}/bug-workflow`;
+
+  useEffect(() => {
+    if (projectId) {
+      loadWorkflow();
+    }
+  }, [projectId]);
+
+  const applyWorkflow = (workflow) => {
+    setStates(workflow.states || []);
+    setTransitions(workflow.transitions || []);
+    setAssignedState(workflow.assignedState || '');
+    setTransitionFields(workflow.transitionFields || []);
+    setIsDefault(Boolean(workflow.isDefault));
+    setDirty(false);
+  };
+
+  const loadWorkflow = async () => {
+    try {
+      setError('');
+      applyWorkflow(await apiClient.get(endpoint));
+    } catch (err) {
+      setError(err.message || 'Failed to load bug workflow');
+    }
+  };
+
+  const updateState = (index, changes) => {
+    setStates(states.map((state, i) => (i === index ? { ...state, ...changes } : state)));
+    setDirty(true);
+  };
+
+  const setInitialState = (index) => {
+    setStates(states.map((state, i) => ({ ...state, isInitial: i === index })));
+    setDirty(true);
+  };
+
+  const removeState = (index) => {
+    const { key } = states[index];
+    setStates(states.filter((_, i) => i !== index));
+    // Drop transitions into the state and the state from source lists
+    setTransitions(transitions
+      .filter(transition => transition.to !== key)
+      .map(transition => ({ ...transition, from: transition.from.filter(from => from !== key) }))
+      .map(transition => (transition.from.length === 0 ? { ...transition, from: ['*'] } : transition)));
+    if (assignedState === key) setAssignedState('');
+    setDirty(true);
+  };
+
+  const updateTransition = (index, changes) => {
+    setTransitions(transitions.map((transition, i) => (i === index ? { ...transition, ...changes } : transition)));
+    setDirty(true);
+  };
+
+  const toggleValue = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      applyWorkflow(await apiClient.put(endpoint, {
+        states,
+        transitions,
+        assignedState: assignedState || null,
+      }));
+      setSuccess('Bug workflow saved');
+    } catch (err) {
+      setError(err.message || 'Failed to save bug workflow');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Replace this project\'s workflow with the default workflow?')) return;
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      applyWorkflow(await apiClient.delete(endpoint));
+      setSuccess('Bug workflow reset to the default');
+    } catch (err) {
+      setError(err.message || 'Failed to reset bug workflow');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const stateKeys = states.map(state => state.key).filter(Boolean);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <p className="text-xs text-[var(--muted)]">
+          {isDefault ? 'Using the default workflow.' : 'Custom workflow.'} Bugs can only move along the transitions below.
+        </p>
+        <div className="flex gap-2">
+          {!isDefault && (
+            <button onClick={handleReset} disabled={saving} className="text-xs px-2 py-1 border border-[var(--border)] rounded">
+              Reset to Default
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={!dirty || saving}
+            className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Workflow'}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="text-sm text-[var(--danger)]">{error}</div>}
+      {success && <div className="text-sm text-green-600">{success}</div>}
+
+      <div>
+        <h6 className="text-sm font-semibold mb-2">States</h6>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-[var(--muted)] text-left">
+              <th className="py-1">Key</th>
+              <th className="py-1">Label</th>
+              <th className="py-1">Initial</th>
+              <th className="py-1">Closes bug</th>
+              <th className="w-8" />
+            </tr>
+          </thead>
+          <tbody>
+            {states.map((state, index) => (
+              <tr key={index}>
+                <td className="py-1 pr-2">
+                  <input
+                    value={state.key}
+                    onChange={e => updateState(index, { key: e.target.value.toUpperCase().replace(/[^A-Z0-9_]/g, '_') })}
+                    className="w-full px-2 py-1 border border-[var(--border)] rounded font-mono text-xs"
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    value={state.label || ''}
+                    onChange={e => updateState(index, { label: e.target.value })}
+                    className="w-full px-2 py-1 border border-[var(--border)] rounded text-xs"
+                  />
+                </td>
+                <td className="py-1">
+                  <input type="radio" checked={Boolean(state.isInitial)} onChange={() => setInitialState(index)} />
+                </td>
+                <td className="py-1">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(state.isClosed)}
+                    onChange={e => updateState(index, { isClosed: e.target.checked })}
+                  />
+                </td>
+                <td className="py-1">
+                  <button onClick={() => removeState(index)} className="text-red-500 hover:text-red-700 p-1" title="Remove state">
+                    <Trash2 size={14} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="flex justify-between items-center mt-2">
+          <button
+            onClick={() => {
+              setStates([...states, { key: '', label: '', isInitial: states.length === 0, isClosed: false }]);
+              setDirty(true);
+            }}
+            className="text-xs px-2 py-1 border border-[var(--border)] rounded"
+          >
+            + State
+          </button>
+          <label className="text-xs flex items-center gap-2">
+            State when assigned
+            <select
+              value={assignedState}
+              onChange={e => {
+                setAssignedState(e.target.value);
+                setDirty(true);
+              }}
+              className="px-2 py-1 border border-[var(--border)] rounded text-xs"
+            >
+              <option value="">Keep current status</option>
+              {stateKeys.map(key => (
+                <option key={key} value={key}>{key}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      <div>
+        <h6 className="text-sm font-semibold mb-2">Transitions</h6>
+        <div className="space-y-2">
+          {transitions.map((transition, index) => (
+            <div key={index} className="p-3 bg-[var(--bg)] rounded border border-[var(--border)] space-y-2 text-xs">
+              <div className="flex flex-wrap items-center gap-2">
+                <span>From</span>
+                <select
+                  multiple
+                  value={transition.from}
+                  onChange={e => {
+                    const from = Array.from(e.target.selectedOptions, option => option.value);
+                    updateTransition(index, { from: from.includes('*') || from.length === 0 ? ['*'] : from });
+                  }}
+                  className="px-2 py-1 border border-[var(--border)] rounded h-20"
+                >
+                  <option value="*">Any state</option>
+                  {stateKeys.map(key => (
+                    <option key={key} value={key}>{key}</option>
+                  ))}
+                </select>
+                <span>to</span>
+                <select
+                  value={transition.to}
+                  onChange={e => updateTransition(index, { to: e.target.value })}
+                  className="px-2 py-1 border border-[var(--border)] rounded"
+                >
+                  <option value="">Select state...</option>
+                  {stateKeys.map(key => (
+                    <option key={key} value={key}>{key}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => {
+                    setTransitions(transitions.filter((_, i) => i !== index));
+                    setDirty(true);
+                  }}
+                  className="ml-auto text-red-500 hover:text-red-700 p-1"
+                  title="Remove transition"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+
+              <div className="flex flex-wrap items-center gap-3">
+                <span className="text-[var(--muted)]">Roles</span>
+                {ROLES.map(role => (
+                  <label key={role} className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={transition.roles.includes(role)}
+                      onChange={() => updateTransition(index, { roles: toggleValue(transition.roles, role) })}
+                    />
+                    {role}
+                  </label>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap items-center gap-3">
+                <span className="text-[var(--muted)]">Required fields</span>
+                {transitionFields.map(field => (
+                  <label key={field} className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={transition.requiredFields.includes(field)}
+                      onChange={() => updateTransition(index, { requiredFields: toggleValue(transition.requiredFields, field) })}
+                    />
+                    {field}
+                  </label>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-[var(--muted)]">Auto-assign</span>
+                <select
+                  value={transition.autoAssign?.strategy || ''}
+                  onChange={e => updateTransition(index, {
+                    autoAssign: e.target.value ? { strategy: e.target.value, userId: null } : null,
+                  })}
+                  className="px-2 py-1 border border-[var(--border)] rounded"
+                >
+                  {AUTO_ASSIGN_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                {transition.autoAssign?.strategy === 'USER' && (
+                  <select
+                    value={transition.autoAssign.userId || ''}
+                    onChange={e => updateTransition(index, {
+                      autoAssign: { strategy: 'USER', userId: e.target.value ? Number(e.target.value) : null },
+                    })}
+                    className="px-2 py-1 border border-[var(--border)] rounded"
+                  >
+                    <option value="">Select user...</option>
+                    {members.map(member => (
+                      <option key={member.user.id} value={member.user.id}>{member.user.name}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() => {
+            setTransitions([...transitions, { ...EMPTY_TRANSITION }]);
+            setDirty(true);
+          }}
+          className="mt-2 text-xs px-2 py-1 border border-[var(--border)] rounded"
+        >
+          + Transition
+        </button>
+      </div>
+    </div>
+  );
+}
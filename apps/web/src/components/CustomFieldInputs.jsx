@@ -0,0 +1,113 @@
+/**
+ * CustomFieldInputs Component
+ * Renders one input per project custom field based on its type.
+ * In "filter" mode every field can be left empty and checkboxes become Any/Yes/No selects.
+ */
+export default function CustomFieldInputs({
+  fields = [],
+  values = {},
+  onChange,
+  mode = 'edit',
+  inputClassName = 'w-full px-3 py-2 border border-[var(--border)] rounded text-sm',
+  labelClassName = 'block text-xs font-semibold text-[var(--muted)] mb-1',
+}) {
+  if (fields.length === 0) {
+    return null;
+  }
+
+  const isFilter = mode === 'filter';
+
+  const setValue = (name, value) => {
+    onChange({ ...values, [name]: value });
+  };
+
+  const renderInput = (field) => {
+    const value = values[field.name];
+
+    switch (field.fieldType) {
+      case 'NUMBER':
+        return (
+          <input
+            type="number"
+            value={value ?? ''}
+            onChange={(e) => setValue(field.name, e.target.value === '' ? null : Number(e.target.value))}
+            required={!isFilter && field.isRequired}
+            className={inputClassName}
+          />
+        );
+
+      case 'DATE':
+        return (
+          <input
+            type="date"
+            value={value ?? ''}
+            onChange={(e) => setValue(field.name, e.target.value || null)}
+            required={!isFilter && field.isRequired}
+            className={inputClassName}
+          />
+        );
+
+      case 'SELECT':
+        return (
+          <select
+            value={value ?? ''}
+            onChange={(e) => setValue(field.name, e.target.value || null)}
+            required={!isFilter && field.isRequired}
+            className={inputClassName}
+          >
+            <option value="">{isFilter ? 'Any' : 'Select...'}</option>
+            {field.options.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+
+      case 'CHECKBOX':
+        if (isFilter) {
+          return (
+            <select
+              value={value === true ? 'true' : value === false ? 'false' : ''}
+              onChange={(e) => setValue(field.name, e.target.value === '' ? null : e.target.value === 'true')}
+              className={inputClassName}
+            >
+              <option value="">Any</option>
+              <option value="true">Yes</option>
+              <option value="false">No</option>
+            </select>
+          );
+        }
+        return (
+          <input
+            type="checkbox"
+            checked={value === true}
+            onChange={(e) => setValue(field.name, e.target.checked)}
+          />
+        );
+
+      default:
+        return (
+          <input
+            type="text"
+            value={value ?? ''}
+            onChange={(e) => setValue(field.name, e.target.value || null)}
+            required={!isFilter && field.isRequired}
+            className={inputClassName}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {fields.map(field => (
+        <div key={field.id}>
+          <label className={labelClassName}>
+            {field.name}
+            {!isFilter && field.isRequired && ' *'}
+          </label>
+          {renderInput(field)}
+        </div>
+      ))}
+    </div>
+  );
+}
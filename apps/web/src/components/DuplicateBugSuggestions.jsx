@@ -0,0 +1,125 @@
+import { useEffect, useState } from 'react';
+import { apiClient } from '@/lib/apiClient';
+import { logError } from '@/lib/errorLogger';
+
+const SEARCH_DELAY_MS = 400;
+const MIN_TEXT_LENGTH = 8;
+
+const REASON_LABELS = {
+  SAME_EXECUTION: 'Same execution',
+  SAME_TEST_CASE: 'Same test case',
+  SIMILAR_TITLE: 'Similar title',
+  SIMILAR_TEXT: 'Similar description',
+};
+
+/**
+ * DuplicateBugSuggestions Component
+ * Lists open bugs that the bug being written may duplicate, refreshed as the
+ * reporter types, and lets them pick one to file the new bug as its duplicate.
+ * @param {number|string} projectId - Project ID
+ * @param {Object} draft - { title, description, stepsToReproduce, testCaseId, executionId }
+ * @param {number} selectedId - ID of the bug picked as the original, if any
+ * @param {Function} onSelect - Called with the picked candidate, or null to clear it
+ */
+export default function DuplicateBugSuggestions({ projectId, draft, selectedId = null, onSelect }) {
+  const [candidates, setCandidates] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const { title = '', description = '', stepsToReproduce = '', testCaseId = null, executionId = null } = draft;
+  const text = `${title} ${description} ${stepsToReproduce}`.trim();
+
+  useEffect(() => {
+    if (!projectId || (text.length < MIN_TEXT_LENGTH && !testCaseId && !executionId)) {
+      setCandidates([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const response = await apiClient.post(`/api/projects/${projectId}/bugs/duplicates`, {
+          title,
+          description,
+          stepsToReproduce,
+          testCaseId: testCaseId ? Number(testCaseId) : null,
+          executionId: executionId ? Number(executionId) : null,
+        });
+        if (!cancelled) {
+          setCandidates(response.candidates || []);
+        }
+      } catch (err) {
+        logError(err, 'DuplicateBugSuggestions.search');
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [projectId, title, description, stepsToReproduce, testCaseId, executionId]);
+
+  // Drop a pick that no longer shows up for the current text
+  useEffect(() => {
+    if (selectedId && !loading && !candidates.some(candidate => candidate.id === selectedId)) {
+      onSelect(null);
+    }
+  }, [candidates, loading, selectedId]);
+
+  if (candidates.length === 0) return null;
+
+  return (
+    <div className="border border-amber-300 dark:border-amber-700 bg-amber-50 dark:bg-amber-900/30 rounded-lg p-3 text-sm">
+      <p className="font-semibold text-amber-900 dark:text-amber-200 mb-2">
+        Possible duplicates {loading && <span className="font-normal text-xs">(checking...)</span>}
+      </p>
+      <ul className="space-y-2">
+        {candidates.map(candidate => {
+          const selected = candidate.id === selectedId;
+          return (
+            <li key={candidate.id} className="flex items-start justify-between gap-3">
+              <div className="min-w-0">
+                <a
+                  href={`/bugs/${candidate.id}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="font-medium text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  {candidate.bugNumber}
+                </a>
+                <span className="ml-2 text-[var(--foreground)]">{candidate.title}</span>
+                <div className="text-xs text-[var(--muted)] mt-0.5">
+                  {candidate.status} • {candidate.severity}
+                  {candidate.assignee && ` • ${candidate.assignee.name}`}
+                  {' • '}
+                  {candidate.reasons.map(reason => REASON_LABELS[reason] || reason).join(', ')}
+                  {` • ${candidate.score}% match`}
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => onSelect(selected ? null : candidate)}
+                className={`shrink-0 text-xs px-2 py-1 rounded border ${
+                  selected
+                    ? 'bg-amber-600 border-amber-600 text-white'
+                    : 'border-[var(--border)] hover:bg-[var(--hover-bg)]'
+                }`}
+              >
+                {selected ? '✓ Duplicate of this' : 'This is a duplicate of'}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      {selectedId && (
+        <p className="text-xs text-amber-900 dark:text-amber-200 mt-2">
+          The new bug will be created as DUPLICATE and linked to the selected bug.
+        </p>
+      )}
+    </div>
+  );
+}
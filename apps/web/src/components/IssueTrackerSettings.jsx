@@ -0,0 +1,301 @@
+import { useEffect, useState } from 'react';
+import { apiClient } from '@/lib/apiClient';
+
+const PRIORITIES = ['P0', 'P1', 'P2', 'P3'];
+const EMPTY_FORM = {
+  provider: 'JIRA',
+  baseUrl: '',
+  projectKey: '',
+  issueType: 'Bug',
+  authEmail: '',
+  apiToken: '',
+  syncComments: true,
+  isActive: true,
+};
+const EMPTY_MAPPINGS = { status: {}, priority: {}, users: {} };
+
+/**
+ * IssueTrackerSettings Component
+ * Admin form for the project's external issue tracker connection and the
+ * status, priority and user mappings used to sync bugs both ways.
+ */
+export default function IssueTrackerSettings({ projectId }) {
+  const [integration, setIntegration] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [mappings, setMappings] = useState(EMPTY_MAPPINGS);
+  const [states, setStates] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const endpoint = `/api/projects/${projectId}/issue-tracker`;
+
+  useEffect(() => {
+    if (projectId) {
+      loadSettings();
+    }
+  }, [projectId]);
+
+  const applyIntegration = (saved) => {
+    setIntegration(saved);
+    if (saved) {
+      setForm({
+        provider: saved.provider,
+        baseUrl: saved.baseUrl,
+        projectKey: saved.projectKey,
+        issueType: saved.issueType,
+        authEmail: saved.authEmail || '',
+        apiToken: '',
+        syncComments: saved.syncComments,
+        isActive: saved.isActive,
+      });
+      setMappings({ ...EMPTY_MAPPINGS, ...saved.fieldMappings });
+    } else {
+      setForm(EMPTY_FORM);
+      setMappings(EMPTY_MAPPINGS);
+    }
+  };
+
+  const loadSettings = async () => {
+    try {
+      setError('');
+      const [trackerData, workflow, project] = await Promise.all([
+        apiClient.get(endpoint),
+        apiClient.get(`/api/projects/${projectId}/bug-workflow`),
+        apiClient.get(`/api/admin/projects/${projectId}`),
+      ]);
+      applyIntegration(trackerData.integration);
+      setStates(workflow.states || []);
+      setMembers(project.projectUserAllocations || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load issue tracker settings');
+    }
+  };
+
+  const updateMapping = (section, key, value) => {
+    setMappings({ ...mappings, [section]: { ...mappings[section], [key]: value } });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      const data = await apiClient.put(endpoint, {
+        ...form,
+        apiToken: form.apiToken || undefined,
+        fieldMappings: mappings,
+      });
+      applyIntegration(data.integration);
+      setSuccess('Issue tracker settings saved');
+    } catch (err) {
+      setError(err.message || 'Failed to save issue tracker settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTest = async () => {
+    try {
+      setError('');
+      setSuccess('');
+      const result = await apiClient.post(`${endpoint}/test`);
+      if (result.success) {
+        setSuccess(`Connected to ${result.project.key} (${result.project.name})`);
+      } else {
+        setError(`Connection failed: ${result.error}`);
+      }
+    } catch (err) {
+      setError(err.message || 'Connection test failed');
+    }
+  };
+
+  const handleDisconnect = async () => {
+    if (!window.confirm('Disconnect the issue tracker? Bugs lose their links to external issues.')) return;
+    try {
+      setError('');
+      await apiClient.delete(endpoint);
+      applyIntegration(null);
+      setSuccess('Issue tracker disconnected');
+    } catch (err) {
+      setError(err.message || 'Failed to disconnect issue tracker');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 bg-[var(--input-bg)] text-[var(--foreground)] border border-[var(--border)] rounded-lg focus:outline-none focus:border-blue-500 text-sm';
+
+  return (
+    <form onSubmit={handleSave} className="space-y-6">
+      {error && <div className="text-sm text-[var(--danger)]">{error}</div>}
+      {success && <div className="text-sm text-green-600">{success}</div>}
+
+      <div className="grid grid-cols-2 gap-4">
+        <label className="text-sm">
+          <span className="block text-xs text-[var(--muted-foreground)] mb-1">Jira URL</span>
+          <input
+            type="url"
+            required
+            placeholder="https://acme.atlassian.net"
+            value={form.baseUrl}
+            onChange={(e) => setForm({ ...form, baseUrl: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <label className="text-sm">
+          <span className="block text-xs text-[var(--muted-foreground)] mb-1">Project key</span>
+          <input
+            required
+            placeholder="QA"
+            value={form.projectKey}
+            onChange={(e) => setForm({ ...form, projectKey: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <label className="text-sm">
+          <span className="block text-xs text-[var(--muted-foreground)] mb-1">Issue type</span>
+          <input
+            value={form.issueType}
+            onChange={(e) => setForm({ ...form, issueType: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <label className="text-sm">
+          <span className="block text-xs text-[var(--muted-foreground)] mb-1">Account email (empty for a personal access token)</span>
+          <input
+            type="email"
+            value={form.authEmail}
+            onChange={(e) => setForm({ ...form, authEmail: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <label className="text-sm col-span-2">
+          <span className="block text-xs text-[var(--muted-foreground)] mb-1">API token</span>
+          <input
+            type="password"
+            required={!integration?.hasApiToken}
+            placeholder={integration?.hasApiToken ? 'Saved — leave empty to keep' : ''}
+            value={form.apiToken}
+            onChange={(e) => setForm({ ...form, apiToken: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      <div className="flex gap-6 text-sm">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={form.isActive}
+            onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+          />
+          Sync enabled
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={form.syncComments}
+            onChange={(e) => setForm({ ...form, syncComments: e.target.checked })}
+          />
+          Sync comments
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 gap-6">
+        <div>
+          <h3 className="font-semibold text-[var(--foreground)] mb-2">Status mapping</h3>
+          <p className="text-xs text-[var(--muted-foreground)] mb-2">
+            Jira status for each bug state. Unmapped states are not synced.
+          </p>
+          {states.map((state) => (
+            <div key={state.key} className="flex items-center gap-2 mb-2 text-sm">
+              <span className="w-40 font-mono text-xs">{state.key}</span>
+              <input
+                value={mappings.status[state.key] || ''}
+                onChange={(e) => updateMapping('status', state.key, e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div>
+          <h3 className="font-semibold text-[var(--foreground)] mb-2">Priority mapping</h3>
+          <p className="text-xs text-[var(--muted-foreground)] mb-2">Jira priority set on new issues.</p>
+          {PRIORITIES.map((priority) => (
+            <div key={priority} className="flex items-center gap-2 mb-2 text-sm">
+              <span className="w-40 font-mono text-xs">{priority}</span>
+              <input
+                value={mappings.priority[priority] || ''}
+                onChange={(e) => updateMapping('priority', priority, e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-[var(--foreground)] mb-2">User mapping</h3>
+        <p className="text-xs text-[var(--muted-foreground)] mb-2">
+          Jira account ID for each project member, used for assignees and comment authors.
+        </p>
+        {members.map((member) => (
+          <div key={member.user.id} className="flex items-center gap-2 mb-2 text-sm">
+            <span className="w-40 truncate">{member.user.name}</span>
+            <input
+              value={mappings.users[member.user.id] || ''}
+              onChange={(e) => updateMapping('users', member.user.id, e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        ))}
+      </div>
+
+      {integration && (
+        <div className="p-4 bg-[var(--hover-bg)] rounded-lg border border-[var(--border)] text-sm space-y-2">
+          <h3 className="font-semibold text-[var(--foreground)]">Jira webhook</h3>
+          <p className="text-[var(--muted-foreground)]">
+            Add this URL as a Jira webhook for issue updated and comment created events:
+          </p>
+          <code className="block break-all text-xs">{integration.webhookUrl}</code>
+          <p className="text-xs text-[var(--muted-foreground)]">
+            Last sync: {integration.lastSyncAt ? new Date(integration.lastSyncAt).toLocaleString() : 'Never'}
+          </p>
+          {integration.lastError && (
+            <p className="text-xs text-[var(--danger)]">Last error: {integration.lastError}</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg transition disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : integration ? 'Save Settings' : 'Connect Jira'}
+        </button>
+        {integration && (
+          <>
+            <button
+              type="button"
+              onClick={handleTest}
+              className="px-4 py-2 bg-[var(--hover-bg)] border border-[var(--border)] rounded-lg text-[var(--foreground)] hover:bg-[var(--input-bg)] transition"
+            >
+              Test Connection
+            </button>
+            <button
+              type="button"
+              onClick={handleDisconnect}
+              className="ml-auto bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded-lg transition"
+            >
+              Disconnect
+            </button>
+          </>
+        )}
+      </div>
+    </form>
+  );
+}
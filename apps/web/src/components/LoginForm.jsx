@@ -1,16 +1,33 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '@/hooks';
 import ThemeToggle from '@/components/ThemeToggle';
+import RecoveryCodes from '@/components/RecoveryCodes';
+import { apiClient } from '@/lib/apiClient';
 
-export default function LoginForm({ message }) {
+export default function LoginForm({ message, ssoError, mfaChallenge: ssoMfaChallenge = null }) {
   const navigate = useNavigate();
-  const { login, error: authError, setError: setAuthError } = useAuth();
+  const {
+    login,
+    completeMfaLogin,
+    startMfaLoginEnrollment,
+    error: authError,
+    setError: setAuthError,
+  } = useAuth();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
-  const [formError, setFormError] = useState('');
+  const [formError, setFormError] = useState(ssoError || '');
   const [successMsg, setSuccessMsg] = useState(message || '');
   const [loading, setLoading] = useState(false);
+  // Two-factor step: { mfaToken, mfaEnrollmentRequired } after the password (or single sign-on) is accepted
+  const [mfaChallenge, setMfaChallenge] = useState(ssoMfaChallenge);
+  const [mfaCode, setMfaCode] = useState('');
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [signedInUser, setSignedInUser] = useState(null);
+  const [ssoLoading, setSsoLoading] = useState(false);
+  // Enrollment issues a new secret each time; StrictMode's double effect must start it once
+  const ssoEnrollmentStarted = useRef(false);
 
   useEffect(() => {
     if (authError) {
@@ -18,6 +35,19 @@ export default function LoginForm({ message }) {
     }
   }, [authError, setAuthError]);
 
+  // A single sign-on that needs two-factor enrollment arrives here without having started it
+  useEffect(() => {
+    if (!ssoMfaChallenge?.mfaEnrollmentRequired || ssoEnrollmentStarted.current) return;
+    ssoEnrollmentStarted.current = true;
+    startMfaLoginEnrollment(ssoMfaChallenge.mfaToken).then((setup) => {
+      if (setup.success) {
+        setEnrollment(setup);
+      } else {
+        setFormError(setup.error);
+      }
+    });
+  }, [ssoMfaChallenge, startMfaLoginEnrollment]);
+
   const handleEmailChange = (e) => {
     if (formError) {
       setFormError('');
@@ -38,6 +68,17 @@ export default function LoginForm({ message }) {
     setPassword(e.target.value);
   };
 
+  const goToWorkspace = (signedIn) => {
+    const normalizedEmail = String(signedIn?.email || email).toLowerCase();
+    const normalizedRole = String(signedIn?.role || '').toUpperCase();
+
+    if (normalizedEmail === 'admin@gmail.com' || normalizedRole === 'ADMIN') {
+      navigate('/admin');
+    } else {
+      navigate('/dashboard');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setFormError('');
@@ -52,15 +93,18 @@ export default function LoginForm({ message }) {
 
     const result = await login(email, password);
 
-    if (result.success) {
-      const normalizedEmail = String(result.user?.email || email).toLowerCase();
-      const normalizedRole = String(result.user?.role || '').toUpperCase();
-
-      if (normalizedEmail === 'admin@gmail.com' || normalizedRole === 'ADMIN') {
-        navigate('/admin');
-      } else {
-        navigate('/dashboard');
+    if (result.success && result.mfaRequired) {
+      setMfaChallenge({ mfaToken: result.mfaToken, mfaEnrollmentRequired: result.mfaEnrollmentRequired });
+      if (result.mfaEnrollmentRequired) {
+        const setup = await startMfaLoginEnrollment(result.mfaToken);
+        if (setup.success) {
+          setEnrollment(setup);
+        } else {
+          setFormError(setup.error);
+        }
       }
+    } else if (result.success) {
+      goToWorkspace(result.user);
     } else {
       setFormError(result.error || 'Login failed');
     }
@@ -68,6 +112,145 @@ export default function LoginForm({ message }) {
     setLoading(false);
   };
 
+  // Single sign-on: the email domain decides which identity provider to go to
+  const handleSsoLogin = async () => {
+    setFormError('');
+    setSuccessMsg('');
+
+    if (!email) {
+      setFormError('Enter your work email to sign in with SSO');
+      return;
+    }
+
+    setSsoLoading(true);
+    try {
+      const { provider } = await apiClient.get(`/api/auth/sso/discover?email=${encodeURIComponent(email)}`);
+      if (!provider) {
+        setFormError('Single sign-on is not set up for this email domain');
+        setSsoLoading(false);
+        return;
+      }
+      window.location.assign(provider.loginUrl);
+    } catch (err) {
+      setFormError(err.message || 'Could not start single sign-on');
+      setSsoLoading(false);
+    }
+  };
+
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!mfaCode.trim()) {
+      setFormError('Enter the code from your authenticator app');
+      return;
+    }
+
+    setLoading(true);
+    const result = await completeMfaLogin(mfaChallenge.mfaToken, mfaCode.trim());
+    setLoading(false);
+
+    if (!result.success) {
+      setFormError(result.error || 'Verification failed');
+      setMfaCode('');
+      return;
+    }
+
+    // Codes issued while enrolling are shown once before continuing
+    if (result.recoveryCodes.length > 0) {
+      setRecoveryCodes(result.recoveryCodes);
+      setSignedInUser(result.user);
+      return;
+    }
+
+    goToWorkspace(result.user);
+  };
+
+  const handleMfaCancel = () => {
+    setMfaChallenge(null);
+    setEnrollment(null);
+    setMfaCode('');
+    setPassword('');
+    setFormError('');
+  };
+
+  const renderMfaStep = () => {
+    if (recoveryCodes.length > 0) {
+      return (
+        <div className="space-y-4">
+          <p className="text-sm text-[var(--success)]">Two-factor authentication is now on.</p>
+          <RecoveryCodes codes={recoveryCodes} />
+          <button
+            type="button"
+            onClick={() => goToWorkspace(signedInUser)}
+            className="tt-btn tt-btn-primary w-full py-3 text-sm"
+          >
+            Continue
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <form onSubmit={handleMfaSubmit} className="space-y-4">
+        {mfaChallenge.mfaEnrollmentRequired ? (
+          <div className="space-y-3 text-sm">
+            <p className="text-[var(--muted)]">
+              Your role requires two-factor authentication. Scan this QR code with an authenticator
+              app, then enter the 6-digit code it shows.
+            </p>
+            {enrollment && (
+              <>
+                <img
+                  src={enrollment.qrCode}
+                  alt="Two-factor authentication QR code"
+                  className="mx-auto h-44 w-44 rounded-lg bg-white p-2"
+                />
+                <p className="text-xs text-[var(--muted)] break-all">
+                  Or enter this key manually: <span className="font-mono">{enrollment.secret}</span>
+                </p>
+              </>
+            )}
+          </div>
+        ) : (
+          <p className="text-sm text-[var(--muted)]">
+            Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+          </p>
+        )}
+
+        <div>
+          <label htmlFor="login-mfa-code" className="block text-sm font-semibold mb-2">
+            Authentication Code
+          </label>
+          <input
+            id="login-mfa-code"
+            name="code"
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={mfaCode}
+            onChange={(e) => setMfaCode(e.target.value)}
+            className="tt-input"
+            placeholder="123456"
+            autoFocus
+            required
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="tt-btn tt-btn-primary w-full py-3 text-sm disabled:opacity-70 disabled:cursor-not-allowed"
+        >
+          {loading ? 'Verifying...' : 'Verify'}
+        </button>
+        <button type="button" onClick={handleMfaCancel} className="tt-btn tt-btn-outline w-full py-3 text-sm">
+          Back to sign in
+        </button>
+      </form>
+    );
+  };
+
   return (
     <div className="min-h-screen flex flex-col">
       <header className="max-w-6xl w-full mx-auto px-6 pt-8">
@@ -124,47 +307,57 @@ export default function LoginForm({ message }) {
               </div>
             )}
 
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div>
-                <label htmlFor="login-email" className="block text-sm font-semibold mb-2">
-                  Email Address
-                </label>
-                <input
-                  id="login-email"
-                  name="email"
-                  type="email"
-                  value={email}
-                  onChange={handleEmailChange}
-                  className="tt-input"
-                  placeholder="you@example.com"
-                  required
-                />
-              </div>
+            {mfaChallenge ? renderMfaStep() : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                  <label htmlFor="login-email" className="block text-sm font-semibold mb-2">
+                    Email Address
+                  </label>
+                  <input
+                    id="login-email"
+                    name="email"
+                    type="email"
+                    value={email}
+                    onChange={handleEmailChange}
+                    className="tt-input"
+                    placeholder="you@example.com"
+                    required
+                  />
+                </div>
 
-              <div>
-                <label htmlFor="login-password" className="block text-sm font-semibold mb-2">
-                  Password
-                </label>
-                <input
-                  id="login-password"
-                  name="password"
-                  type="password"
-                  value={password}
-                  onChange={handlePasswordChange}
-                  className="tt-input"
-                  placeholder="Enter your password"
-                  required
-                />
-              </div>
+                <div>
+                  <label htmlFor="login-password" className="block text-sm font-semibold mb-2">
+                    Password
+                  </label>
+                  <input
+                    id="login-password"
+                    name="password"
+                    type="password"
+                    value={password}
+                    onChange={handlePasswordChange}
+                    className="tt-input"
+                    placeholder="Enter your password"
+                    required
+                  />
+                </div>
 
-              <button
-                type="submit"
-                disabled={loading}
-                className="tt-btn tt-btn-primary w-full py-3 text-sm disabled:opacity-70 disabled:cursor-not-allowed"
-              >
-                {loading ? 'Logging in...' : 'Sign in'}
-              </button>
-            </form>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="tt-btn tt-btn-primary w-full py-3 text-sm disabled:opacity-70 disabled:cursor-not-allowed"
+                >
+                  {loading ? 'Logging in...' : 'Sign in'}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleSsoLogin}
+                  disabled={loading || ssoLoading}
+                  className="tt-btn tt-btn-outline w-full py-3 text-sm disabled:opacity-70 disabled:cursor-not-allowed"
+                >
+                  {ssoLoading ? 'Redirecting...' : 'Sign in with SSO'}
+                </button>
+              </form>
+            )}
 
             <p className="text-center text-sm text-[var(--muted)] mt-6">
               Don't have an account?{' '}
@@ -94,6 +94,8 @@ export default function NotificationCenter() {
       BUG_COMMENTED: '💬',
       TESTCASE_EXECUTED: '✅',
       TEST_EXECUTION_FAILED: '❌',
+      TEST_FLAKY_DETECTED: '🎲',
+      TEST_RUN_ASSIGNED: '📋',
       USER_MENTIONED: '👉',
       ANNOUNCEMENT: '📢',
     };
@@ -108,6 +110,8 @@ export default function NotificationCenter() {
       BUG_COMMENTED: 'bg-yellow-50 border-l-4 border-yellow-400',
       TESTCASE_EXECUTED: 'bg-green-50 border-l-4 border-green-400',
       TEST_EXECUTION_FAILED: 'bg-orange-50 border-l-4 border-orange-400',
+      TEST_FLAKY_DETECTED: 'bg-yellow-50 border-l-4 border-yellow-400',
+      TEST_RUN_ASSIGNED: 'bg-blue-50 border-l-4 border-blue-400',
       ANNOUNCEMENT: 'bg-indigo-50 border-l-4 border-indigo-400',
     };
     return colors[type] || 'bg-gray-50 border-l-4 border-gray-400';
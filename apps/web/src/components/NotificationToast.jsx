@@ -65,6 +65,8 @@ export default function NotificationToast() {
       BUG_ASSIGNED: 'bg-blue-50 border-blue-200',
       BUG_STATUS_CHANGED: 'bg-purple-50 border-purple-200',
       TEST_EXECUTION_FAILED: 'bg-orange-50 border-orange-200',
+      TEST_FLAKY_DETECTED: 'bg-yellow-50 border-yellow-200',
+      TEST_RUN_ASSIGNED: 'bg-blue-50 border-blue-200',
       ANNOUNCEMENT: 'bg-green-50 border-green-200',
     };
     return colors[type] || 'bg-gray-50 border-gray-200';
@@ -76,6 +78,8 @@ export default function NotificationToast() {
       BUG_ASSIGNED: 'text-blue-900',
       BUG_STATUS_CHANGED: 'text-purple-900',
       TEST_EXECUTION_FAILED: 'text-orange-900',
+      TEST_FLAKY_DETECTED: 'text-yellow-900',
+      TEST_RUN_ASSIGNED: 'text-blue-900',
       ANNOUNCEMENT: 'text-green-900',
     };
     return colors[type] || 'text-gray-900';
@@ -88,6 +92,8 @@ export default function NotificationToast() {
       BUG_STATUS_CHANGED: '📊',
       BUG_COMMENTED: '💬',
       TEST_EXECUTION_FAILED: '❌',
+      TEST_FLAKY_DETECTED: '🎲',
+      TEST_RUN_ASSIGNED: '📋',
       TEST_SUITE_COMPLETED: '✅',
       USER_MENTIONED: '👉',
       ANNOUNCEMENT: '📢',
@@ -0,0 +1,114 @@
+/**
+ * OfflineSyncStatus Component
+ * Shows connectivity, results waiting to sync, and conflicts found while syncing
+ * @param {boolean} isOnline - Browser connectivity
+ * @param {boolean} isSyncing - Whether a sync is running
+ * @param {boolean} isOfflineCopy - Whether the execution was loaded from the local copy
+ * @param {Array} operations - Queued operations of the execution
+ * @param {Array} steps - Execution steps, used to label step results
+ * @param {function} onSync - Retry syncing now
+ * @param {function} onResolveConflict - Called with (operationId, keepLocal)
+ */
+export default function OfflineSyncStatus({
+  isOnline,
+  isSyncing,
+  isOfflineCopy,
+  operations = [],
+  steps = [],
+  onSync,
+  onResolveConflict,
+}) {
+  const pending = operations.filter((op) => op.state === 'PENDING');
+  const conflicts = operations.filter((op) => op.state === 'CONFLICT');
+  const failed = operations.filter((op) => op.state === 'FAILED');
+
+  if (isOnline && !isOfflineCopy && operations.length === 0) {
+    return null;
+  }
+
+  const stepLabel = (op) => {
+    const index = steps.findIndex((step) => step.stepId === op.stepId);
+    return index >= 0 ? `Step ${index + 1}` : 'Step';
+  };
+
+  const describe = (op) => {
+    if (op.type === 'EVIDENCE') return `${stepLabel(op)} evidence: ${op.fileName}`;
+    if (op.type === 'PROGRESS') return `Timer: ${op.payload.elapsedSeconds}s`;
+    return `${stepLabel(op)}: ${op.payload.status}`;
+  };
+
+  return (
+    <div
+      className={`tt-card mb-6 p-4 border text-sm space-y-3 ${
+        conflicts.length > 0 || failed.length > 0
+          ? 'border-rose-300 bg-rose-50 text-rose-900'
+          : 'border-amber-300 bg-amber-50 text-amber-900'
+      }`}
+    >
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <p className="font-semibold">
+            {isOnline ? 'Online' : 'Offline'}
+            {pending.length > 0 && ` • ${pending.length} change${pending.length === 1 ? '' : 's'} pending sync`}
+          </p>
+          {!isOnline && (
+            <p className="text-xs">Results are saved on this device and sync when the connection returns.</p>
+          )}
+          {isOfflineCopy && (
+            <p className="text-xs">Showing the copy saved on this device; it may be out of date.</p>
+          )}
+        </div>
+        {isOnline && pending.length > 0 && (
+          <button onClick={onSync} disabled={isSyncing} className="tt-btn tt-btn-outline px-3 py-1 text-xs">
+            {isSyncing ? 'Syncing...' : 'Sync now'}
+          </button>
+        )}
+      </div>
+
+      {pending.length > 0 && (
+        <ul className="text-xs list-disc ml-5">
+          {pending.map((op) => (
+            <li key={op.id}>{describe(op)}</li>
+          ))}
+        </ul>
+      )}
+
+      {conflicts.map((op) => (
+        <div key={op.id} className="border-t border-rose-200 pt-3 space-y-2">
+          <p className="font-medium">{stepLabel(op)} was changed by someone else while you were offline</p>
+          <div className="grid grid-cols-2 gap-3 text-xs">
+            <div>
+              <p className="font-semibold">Yours</p>
+              <p>{op.payload.status}</p>
+              {op.payload.actualResult && <p className="truncate">{op.payload.actualResult}</p>}
+            </div>
+            <div>
+              <p className="font-semibold">On the server</p>
+              <p>{op.serverStep?.status || '-'}</p>
+              {op.serverStep?.actualResult && <p className="truncate">{op.serverStep.actualResult}</p>}
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={() => onResolveConflict(op.id, true)} className="tt-btn tt-btn-outline px-3 py-1 text-xs">
+              Keep mine
+            </button>
+            <button onClick={() => onResolveConflict(op.id, false)} className="tt-btn tt-btn-outline px-3 py-1 text-xs">
+              Use server
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {failed.map((op) => (
+        <div key={op.id} className="border-t border-rose-200 pt-3 flex items-center justify-between gap-3">
+          <p className="text-xs">
+            {describe(op)} could not be synced: {op.error}
+          </p>
+          <button onClick={() => onResolveConflict(op.id, false)} className="tt-btn tt-btn-outline px-3 py-1 text-xs">
+            Discard
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,7 +1,10 @@
 import { useState, useEffect } from 'react';
-import { ChevronDown, Trash2, Plus, Edit2, Users, Settings } from 'lucide-react';
+import { ChevronDown, Trash2, Plus, Edit2, Users, Settings, GitBranch, ShieldCheck, KeyRound } from 'lucide-react';
 import { useAuth } from '@/hooks';
 import { apiClient } from '@/lib/apiClient';
+import BugWorkflowEditor from './BugWorkflowEditor';
+import QualityGateEditor from './QualityGateEditor';
+import ProjectRoleEditor from './ProjectRoleEditor';
 
 export default function ProjectManagement() {
   const { user } = useAuth();
@@ -29,9 +32,9 @@ export default function ProjectManagement() {
 
   const [customFieldForm, setCustomFieldForm] = useState({
     name: '',
-    label: '',
-    type: 'TEXT',
-    required: false,
+    fieldType: 'TEXT',
+    isRequired: false,
+    entityType: 'ALL',
     options: '',
   });
 
@@ -56,7 +59,12 @@ export default function ProjectManagement() {
     'OTHER',
   ];
 
-  const fieldTypes = ['TEXT', 'NUMBER', 'CHECKBOX', 'SELECT', 'MULTISELECT', 'DATE', 'EMAIL'];
+  const fieldTypes = ['TEXT', 'NUMBER', 'SELECT', 'DATE', 'CHECKBOX'];
+  const fieldEntityTypes = [
+    { value: 'ALL', label: 'Test cases and bugs' },
+    { value: 'TEST_CASE', label: 'Test cases only' },
+    { value: 'BUG', label: 'Bugs only' },
+  ];
 
   const projectRoles = [
     'PROJECT_MANAGER',
@@ -137,7 +145,7 @@ export default function ProjectManagement() {
   }
 
   async function handleAddCustomField(projectId) {
-    if (!customFieldForm.name || !customFieldForm.type) {
+    if (!customFieldForm.name || !customFieldForm.fieldType) {
       alert('Field name and type are required');
       return;
     }
@@ -151,7 +159,7 @@ export default function ProjectManagement() {
 
     try {
       await apiClient.post(`/api/admin/projects/${projectId}/custom-fields`, fieldData);
-      setCustomFieldForm({ name: '', label: '', type: 'TEXT', required: false, options: '' });
+      setCustomFieldForm({ name: '', fieldType: 'TEXT', isRequired: false, entityType: 'ALL', options: '' });
       await loadProjectDetails(projectId);
       alert('Custom field added successfully');
     } catch (error) {
@@ -527,37 +535,41 @@ export default function ProjectManagement() {
                           onChange={e => setCustomFieldForm({ ...customFieldForm, name: e.target.value })}
                           className="w-full px-3 py-2 border border-[var(--border)] rounded text-sm"
                         />
-                        <input
-                          type="text"
-                          placeholder="Label"
-                          value={customFieldForm.label}
-                          onChange={e => setCustomFieldForm({ ...customFieldForm, label: e.target.value })}
-                          className="w-full px-3 py-2 border border-[var(--border)] rounded text-sm"
-                        />
                         <select
-                          value={customFieldForm.type}
-                          onChange={e => setCustomFieldForm({ ...customFieldForm, type: e.target.value })}
+                          value={customFieldForm.fieldType}
+                          onChange={e => setCustomFieldForm({ ...customFieldForm, fieldType: e.target.value })}
                           className="w-full px-3 py-2 border border-[var(--border)] rounded text-sm"
                         >
                           {fieldTypes.map(t => (
                             <option key={t} value={t}>{t}</option>
                           ))}
                         </select>
+                        <select
+                          value={customFieldForm.entityType}
+                          onChange={e => setCustomFieldForm({ ...customFieldForm, entityType: e.target.value })}
+                          className="w-full px-3 py-2 border border-[var(--border)] rounded text-sm"
+                        >
+                          {fieldEntityTypes.map(t => (
+                            <option key={t.value} value={t.value}>{t.label}</option>
+                          ))}
+                        </select>
                         <label className="flex items-center gap-2 cursor-pointer">
                           <input
                             type="checkbox"
-                            checked={customFieldForm.required}
-                            onChange={e => setCustomFieldForm({ ...customFieldForm, required: e.target.checked })}
+                            checked={customFieldForm.isRequired}
+                            onChange={e => setCustomFieldForm({ ...customFieldForm, isRequired: e.target.checked })}
                           />
                           <span className="text-sm">Required</span>
                         </label>
-                        <input
-                          type="text"
-                          placeholder="Options (comma-separated, for SELECT/MULTISELECT)"
-                          value={customFieldForm.options}
-                          onChange={e => setCustomFieldForm({ ...customFieldForm, options: e.target.value })}
-                          className="w-full px-3 py-2 border border-[var(--border)] rounded text-sm"
-                        />
+                        {customFieldForm.fieldType === 'SELECT' && (
+                          <input
+                            type="text"
+                            placeholder="Options (comma-separated)"
+                            value={customFieldForm.options}
+                            onChange={e => setCustomFieldForm({ ...customFieldForm, options: e.target.value })}
+                            className="w-full px-3 py-2 border border-[var(--border)] rounded text-sm"
+                          />
+                        )}
                         <button
                           onClick={() => handleAddCustomField(project.id)}
                           className="w-full px-3 py-2 bg-blue-500 text-white rounded text-sm hover:bg-blue-600"
@@ -572,8 +584,11 @@ export default function ProjectManagement() {
                         selectedProject.customFields.map(field => (
                           <div key={field.id} className="flex justify-between items-start p-3 bg-[var(--bg)] rounded border border-[var(--border)]">
                             <div className="flex-1">
-                              <p className="font-medium text-sm">{field.label || field.name}</p>
-                              <p className="text-xs text-[var(--muted)]">{field.type} {field.required && '(Required)'}</p>
+                              <p className="font-medium text-sm">{field.name}</p>
+                              <p className="text-xs text-[var(--muted)]">
+                                {field.fieldType} · {fieldEntityTypes.find(t => t.value === field.entityType)?.label || field.entityType}
+                                {field.isRequired && ' (Required)'}
+                              </p>
                             </div>
                             <button
                               onClick={() => handleDeleteCustomField(project.id, field.id)}
@@ -625,6 +640,13 @@ export default function ProjectManagement() {
                           {projectRoles.map(role => (
                             <option key={role} value={role}>{role.replace(/_/g, ' ')}</option>
                           ))}
+                          {(selectedProject.roles || []).length > 0 && (
+                            <optgroup label="Custom roles">
+                              {selectedProject.roles.map(role => (
+                                <option key={role.key} value={role.key}>{role.name}</option>
+                              ))}
+                            </optgroup>
+                          )}
                         </select>
                         <button
                           onClick={() => handleAllocateUser(project.id)}
@@ -641,7 +663,7 @@ export default function ProjectManagement() {
                           <div key={allocation.user.id} className="flex justify-between items-center p-3 bg-[var(--bg)] rounded border border-[var(--border)]">
                             <div>
                               <p className="font-medium text-sm">{allocation.user.name}</p>
-                              <p className="text-xs text-[var(--muted)]">{allocation.user.email} • {allocation.role.replace(/_/g, ' ')}</p>
+                              <p className="text-xs text-[var(--muted)]">{allocation.user.email} • {allocation.customRole?.name || allocation.role.replace(/_/g, ' ')}</p>
                             </div>
                             <button
                               onClick={() => handleDeallocateUser(project.id, allocation.user.id)}
@@ -658,6 +680,70 @@ export default function ProjectManagement() {
                       )}
                     </div>
                   </div>
+
+                  {/* Bug Workflow Section */}
+                  <div>
+                    <div className="flex justify-between items-center mb-3">
+                      <h5 className="font-semibold flex items-center gap-2">
+                        <GitBranch size={18} /> Bug Workflow
+                      </h5>
+                      <button
+                        onClick={() => setShowConfigPanel(showConfigPanel === `workflow-${project.id}` ? null : `workflow-${project.id}`)}
+                        className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+                      >
+                        {showConfigPanel === `workflow-${project.id}` ? 'Hide' : 'Edit'}
+                      </button>
+                    </div>
+
+                    {showConfigPanel === `workflow-${project.id}` && (
+                      <BugWorkflowEditor
+                        projectId={project.id}
+                        members={selectedProject.projectUserAllocations || []}
+                      />
+                    )}
+                  </div>
+
+                  {/* Quality Gates Section */}
+                  <div>
+                    <div className="flex justify-between items-center mb-3">
+                      <h5 className="font-semibold flex items-center gap-2">
+                        <ShieldCheck size={18} /> Quality Gates
+                      </h5>
+                      <button
+                        onClick={() => setShowConfigPanel(showConfigPanel === `gates-${project.id}` ? null : `gates-${project.id}`)}
+                        className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+                      >
+                        {showConfigPanel === `gates-${project.id}` ? 'Hide' : 'Edit'}
+                      </button>
+                    </div>
+
+                    {showConfigPanel === `gates-${project.id}` && (
+                      <QualityGateEditor projectId={project.id} />
+                    )}
+                  </div>
+
+                  {/* Roles & Permissions Section */}
+                  <div>
+                    <div className="flex justify-between items-center mb-3">
+                      <h5 className="font-semibold flex items-center gap-2">
+                        <KeyRound size={18} /> Roles &amp; Permissions
+                      </h5>
+                      <button
+                        onClick={() => setShowConfigPanel(showConfigPanel === `roles-${project.id}` ? null : `roles-${project.id}`)}
+                        className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+                      >
+                        {showConfigPanel === `roles-${project.id}` ? 'Hide' : 'Edit'}
+                      </button>
+                    </div>
+
+                    {showConfigPanel === `roles-${project.id}` && (
+                      <ProjectRoleEditor
+                        projectId={project.id}
+                        users={allUsers}
+                        onRolesChange={() => loadProjectDetails(project.id)}
+                      />
+                    )}
+                  </div>
                 </div>
               )}
             </div>
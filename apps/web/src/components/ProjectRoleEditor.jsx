@@ -0,0 +1,311 @@
+import { useEffect, useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { apiClient } from '@/lib/apiClient';
+
+const EMPTY_ROLE = { name: '', description: '', permissions: [] };
+
+const SOURCE_LABELS = {
+  ADMIN: 'System admin: every permission',
+  OWNER: 'Project owner: global role matrix',
+  CUSTOM_ROLE: 'Custom role: only the role\'s project permissions',
+  GLOBAL_ROLE: 'Built-in project role: global role matrix',
+  NOT_A_MEMBER: 'Not a member: no access to project data',
+};
+
+/**
+ * ProjectRoleEditor Component
+ * Editor for a project's custom roles (e.g. "Test Lead", "Read-only Stakeholder")
+ * and a viewer for the permissions any user effectively has in the project.
+ * @param {number} projectId - Project ID
+ * @param {Array} users - Users to pick from in the effective permissions viewer
+ * @param {Function} onRolesChange - Called after a role is created, renamed or deleted
+ */
+export default function ProjectRoleEditor({ projectId, users = [], onRolesChange }) {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [effectiveUserId, setEffectiveUserId] = useState('');
+  const [effective, setEffective] = useState(null);
+
+  const endpoint = `/api/projects/${projectId}/roles`;
+
+  useEffect(() => {
+    if (projectId) {
+      loadRoles();
+    }
+  }, [projectId]);
+
+  const loadRoles = async () => {
+    try {
+      setError('');
+      const [roleList, assignable] = await Promise.all([
+        apiClient.get(endpoint),
+        apiClient.get(`${endpoint}/permissions`),
+      ]);
+      setRoles(roleList?.roles || []);
+      setPermissions(assignable?.permissions || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load project roles');
+    }
+  };
+
+  // Permissions grouped by resource, e.g. { testCase: [...], bug: [...] }
+  const permissionGroups = permissions.reduce((groups, permission) => {
+    (groups[permission.resource] = groups[permission.resource] || []).push(permission);
+    return groups;
+  }, {});
+
+  const updateDraft = (changes) => setDraft({ ...draft, ...changes });
+
+  const togglePermission = (key) => {
+    const selected = draft.permissions.includes(key)
+      ? draft.permissions.filter(item => item !== key)
+      : [...draft.permissions, key];
+    updateDraft({ permissions: selected });
+  };
+
+  const toggleGroup = (group) => {
+    const keys = permissionGroups[group].map(permission => permission.key);
+    const allSelected = keys.every(key => draft.permissions.includes(key));
+    updateDraft({
+      permissions: allSelected
+        ? draft.permissions.filter(key => !keys.includes(key))
+        : [...new Set([...draft.permissions, ...keys])],
+    });
+  };
+
+  const editRole = (role) => {
+    setSuccess('');
+    setDraft({
+      id: role.id,
+      name: role.name,
+      description: role.description || '',
+      permissions: role.permissions || [],
+    });
+  };
+
+  const handleSave = async () => {
+    const body = {
+      name: draft.name,
+      description: draft.description || null,
+      permissions: draft.permissions,
+    };
+
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      if (draft.id) {
+        await apiClient.patch(`${endpoint}/${draft.id}`, body);
+      } else {
+        await apiClient.post(endpoint, body);
+      }
+      setDraft(null);
+      setSuccess('Role saved');
+      await loadRoles();
+      onRolesChange?.();
+      if (effectiveUserId) {
+        await loadEffective(effectiveUserId);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to save role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete role "${role.name}"?`)) return;
+    try {
+      setError('');
+      setSuccess('');
+      await apiClient.delete(`${endpoint}/${role.id}`);
+      setRoles(roles.filter(item => item.id !== role.id));
+      onRolesChange?.();
+    } catch (err) {
+      setError(err.message || 'Failed to delete role');
+    }
+  };
+
+  const loadEffective = async (userId) => {
+    setEffectiveUserId(userId);
+    setEffective(null);
+    if (!userId) return;
+    try {
+      setError('');
+      const result = await apiClient.get(`/api/projects/${projectId}/members/${userId}/effective-permissions`);
+      setEffective(result);
+    } catch (err) {
+      setError(err.message || 'Failed to load effective permissions');
+    }
+  };
+
+  const allowedProjectPermissions = (effective?.permissions || []).filter(p => p.scope === 'project' && p.allowed);
+  const allowedOtherPermissions = (effective?.permissions || []).filter(p => p.scope !== 'project' && p.allowed);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <p className="text-xs text-[var(--muted)]">
+          Members with a custom role get exactly its project permissions instead of their global role's.
+        </p>
+        {!draft && (
+          <button
+            onClick={() => {
+              setSuccess('');
+              setDraft({ ...EMPTY_ROLE });
+            }}
+            className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+          >
+            + Role
+          </button>
+        )}
+      </div>
+
+      {error && <div className="text-sm text-[var(--danger)]">{error}</div>}
+      {success && <div className="text-sm text-green-600">{success}</div>}
+
+      {roles.length === 0 && !draft && (
+        <p className="text-sm text-[var(--muted)]">No custom roles defined</p>
+      )}
+
+      {roles.map(role => (
+        <div key={role.id} className="flex justify-between items-center p-3 bg-[var(--bg)] rounded border border-[var(--border)]">
+          <div>
+            <p className="font-medium text-sm">
+              {role.name}
+              <span className="ml-2 text-xs text-[var(--muted)] font-mono">{role.key}</span>
+            </p>
+            <p className="text-xs text-[var(--muted)]">
+              {role.permissions.length} permission(s) • {role.memberCount} member(s)
+              {role.description && ` • ${role.description}`}
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={() => editRole(role)} className="text-xs px-2 py-1 border border-[var(--border)] rounded">
+              Edit
+            </button>
+            <button
+              onClick={() => handleDelete(role)}
+              disabled={role.memberCount > 0}
+              className="text-red-500 hover:text-red-700 p-1 disabled:opacity-50 disabled:cursor-not-allowed"
+              title={role.memberCount > 0 ? 'Reassign its members before deleting' : 'Delete role'}
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {draft && (
+        <div className="p-3 border border-[var(--border)] rounded space-y-3 text-sm">
+          <input
+            value={draft.name}
+            onChange={e => updateDraft({ name: e.target.value })}
+            placeholder="Role name (e.g. Test Lead)"
+            className="w-full px-2 py-1 border border-[var(--border)] rounded"
+          />
+          <input
+            value={draft.description}
+            onChange={e => updateDraft({ description: e.target.value })}
+            placeholder="Description (optional)"
+            className="w-full px-2 py-1 border border-[var(--border)] rounded"
+          />
+
+          <div className="space-y-2 max-h-80 overflow-y-auto">
+            {Object.entries(permissionGroups).map(([group, groupPermissions]) => (
+              <div key={group} className="p-2 bg-[var(--bg)] rounded border border-[var(--border)]">
+                <label className="flex items-center gap-2 font-medium">
+                  <input
+                    type="checkbox"
+                    checked={groupPermissions.every(permission => draft.permissions.includes(permission.key))}
+                    onChange={() => toggleGroup(group)}
+                  />
+                  {group}
+                </label>
+                <div className="mt-1 grid grid-cols-1 md:grid-cols-2 gap-1 pl-6">
+                  {groupPermissions.map(permission => (
+                    <label key={permission.key} className="flex items-start gap-2 text-xs" title={permission.description}>
+                      <input
+                        type="checkbox"
+                        checked={draft.permissions.includes(permission.key)}
+                        onChange={() => togglePermission(permission.key)}
+                        className="mt-0.5"
+                      />
+                      <span>
+                        <span className="font-mono">{permission.key}</span>
+                        <span className="block text-[var(--muted)]">{permission.description}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setDraft(null)} className="text-xs px-2 py-1 border border-[var(--border)] rounded">
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || !draft.name.trim()}
+              className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Role'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="pt-3 border-t border-[var(--border)] space-y-2 text-sm">
+        <p className="font-medium">Effective permissions</p>
+        <select
+          value={effectiveUserId}
+          onChange={e => loadEffective(e.target.value)}
+          className="w-full px-3 py-2 border border-[var(--border)] rounded text-sm"
+        >
+          <option value="">Select user...</option>
+          {users.map(user => (
+            <option key={user.id} value={user.id}>
+              {user.name} ({user.email})
+            </option>
+          ))}
+        </select>
+
+        {effective && (
+          <div className="space-y-2">
+            <p className="text-xs text-[var(--muted)]">
+              {effective.user.role} • {effective.customRole?.name || effective.projectRole?.replace(/_/g, ' ') || 'No project role'}
+              {' • '}{SOURCE_LABELS[effective.source] || effective.source}
+            </p>
+            <div>
+              <p className="text-xs font-semibold mb-1">In this project ({allowedProjectPermissions.length})</p>
+              <div className="flex flex-wrap gap-1">
+                {allowedProjectPermissions.map(permission => (
+                  <span key={permission.key} title={permission.description} className="px-2 py-0.5 rounded bg-[var(--bg)] border border-[var(--border)] text-xs font-mono">
+                    {permission.key}
+                  </span>
+                ))}
+                {allowedProjectPermissions.length === 0 && <span className="text-xs text-[var(--muted)]">None</span>}
+              </div>
+            </div>
+            <div>
+              <p className="text-xs font-semibold mb-1">Outside project data, from the global role ({allowedOtherPermissions.length})</p>
+              <div className="flex flex-wrap gap-1">
+                {allowedOtherPermissions.map(permission => (
+                  <span key={permission.key} title={permission.description} className="px-2 py-0.5 rounded bg-[var(--bg)] border border-[var(--border)] text-xs font-mono text-[var(--muted)]">
+                    {permission.key}
+                  </span>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import { useState, useEffect } from 'react';
+import { apiClient } from '@/lib/apiClient';
+
+/**
+ * Release quality gate result for a test run
+ */
+export default function QualityGateBadge({ projectId, testRunId }) {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    if (!projectId || !testRunId) return;
+
+    let cancelled = false;
+    setError('');
+    apiClient
+      .get(`/api/projects/${projectId}/quality-gates/evaluate?testRunId=${testRunId}`)
+      .then((response) => {
+        if (!cancelled) setResult(response);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to evaluate quality gates');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId, testRunId]);
+
+  if (error) {
+    return <span className="text-xs text-[var(--muted)]">Quality gate unavailable</span>;
+  }
+
+  if (!result) {
+    return null;
+  }
+
+  if (result.gates.length === 0) {
+    return <span className="text-xs text-[var(--muted)]">No active quality gates</span>;
+  }
+
+  const passed = result.status === 'PASS';
+
+  return (
+    <div className="space-y-2">
+      <button
+        type="button"
+        onClick={() => setExpanded((value) => !value)}
+        className={`px-3 py-1 rounded-full text-xs font-semibold ${
+          passed
+            ? 'bg-green-500/10 text-green-600 dark:text-green-300'
+            : 'bg-red-500/10 text-red-600 dark:text-red-300'
+        }`}
+        title="Show quality gate details"
+      >
+        Quality gate: {result.status}
+        {!result.scope.complete && ' (run in progress)'}
+      </button>
+
+      {expanded && (
+        <ul className="text-sm space-y-1">
+          {result.gates.map((gate) => (
+            <li key={gate.id}>
+              <span className={gate.status === 'PASS' ? 'text-green-600' : 'text-red-600'}>
+                {gate.status === 'PASS' ? '✓' : '✗'}
+              </span>{' '}
+              <span className="font-medium">{gate.name}</span>
+              {gate.reasons.length > 0 && (
+                <ul className="ml-5 list-disc text-[var(--muted)]">
+                  {gate.reasons.map((reason) => (
+                    <li key={reason}>{reason}</li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,292 @@
+import { useEffect, useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { apiClient } from '@/lib/apiClient';
+
+const PRIORITIES = ['P0', 'P1', 'P2', 'P3', 'P4'];
+const SEVERITIES = ['CRITICAL', 'MAJOR', 'MINOR', 'TRIVIAL'];
+const EMPTY_GATE = {
+  name: '',
+  description: '',
+  isActive: true,
+  minPassRate: '',
+  blockingPriorities: ['P0', 'P1'],
+  maxOpenBugs: { CRITICAL: 0 },
+  testPlanId: '',
+  minPlanCoverage: '',
+};
+
+/**
+ * QualityGateEditor Component
+ * Editor for a project's release quality gates.
+ * Every active gate must pass for a test run or build to pass.
+ */
+export default function QualityGateEditor({ projectId }) {
+  const [gates, setGates] = useState([]);
+  const [testPlans, setTestPlans] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const endpoint = `/api/projects/${projectId}/quality-gates`;
+
+  useEffect(() => {
+    if (projectId) {
+      loadGates();
+    }
+  }, [projectId]);
+
+  const loadGates = async () => {
+    try {
+      setError('');
+      const [gateList, plans] = await Promise.all([
+        apiClient.get(endpoint),
+        apiClient.get(`/api/projects/${projectId}/test-plans?take=100`),
+      ]);
+      setGates(gateList || []);
+      setTestPlans(plans?.data || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load quality gates');
+    }
+  };
+
+  const editGate = (gate) => {
+    setSuccess('');
+    setDraft({
+      id: gate.id,
+      name: gate.name,
+      description: gate.description || '',
+      isActive: gate.isActive,
+      minPassRate: gate.minPassRate ?? '',
+      blockingPriorities: gate.blockingPriorities || [],
+      maxOpenBugs: gate.maxOpenBugs || {},
+      testPlanId: gate.testPlanId ?? '',
+      minPlanCoverage: gate.minPlanCoverage ?? '',
+    });
+  };
+
+  const updateDraft = (changes) => setDraft({ ...draft, ...changes });
+
+  const toggleValue = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+  const setBugLimit = (severity, value) => {
+    const maxOpenBugs = { ...draft.maxOpenBugs };
+    if (value === '') {
+      delete maxOpenBugs[severity];
+    } else {
+      maxOpenBugs[severity] = Number(value);
+    }
+    updateDraft({ maxOpenBugs });
+  };
+
+  const handleSave = async () => {
+    const body = {
+      name: draft.name,
+      description: draft.description || null,
+      isActive: draft.isActive,
+      minPassRate: draft.minPassRate === '' ? null : Number(draft.minPassRate),
+      blockingPriorities: draft.blockingPriorities,
+      maxOpenBugs: Object.keys(draft.maxOpenBugs).length > 0 ? draft.maxOpenBugs : null,
+      testPlanId: draft.testPlanId === '' ? null : Number(draft.testPlanId),
+      minPlanCoverage: draft.minPlanCoverage === '' ? null : Number(draft.minPlanCoverage),
+    };
+
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      if (draft.id) {
+        await apiClient.patch(`${endpoint}/${draft.id}`, body);
+      } else {
+        await apiClient.post(endpoint, body);
+      }
+      setDraft(null);
+      setSuccess('Quality gate saved');
+      await loadGates();
+    } catch (err) {
+      setError(err.message || 'Failed to save quality gate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (gate) => {
+    if (!window.confirm(`Delete quality gate "${gate.name}"?`)) return;
+    try {
+      setError('');
+      setSuccess('');
+      await apiClient.delete(`${endpoint}/${gate.id}`);
+      setGates(gates.filter(item => item.id !== gate.id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete quality gate');
+    }
+  };
+
+  const describeGate = (gate) => {
+    const parts = [];
+    if (gate.minPassRate !== null) parts.push(`pass rate ≥ ${gate.minPassRate}%`);
+    if (gate.blockingPriorities.length > 0) parts.push(`no failed ${gate.blockingPriorities.join('/')}`);
+    if (gate.maxOpenBugs) {
+      parts.push(...Object.entries(gate.maxOpenBugs).map(([severity, limit]) => `≤ ${limit} open ${severity}`));
+    }
+    if (gate.minPlanCoverage !== null && gate.testPlan) {
+      parts.push(`${gate.minPlanCoverage}% of "${gate.testPlan.name}" executed`);
+    }
+    return parts.join(' • ');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <p className="text-xs text-[var(--muted)]">
+          Test runs and builds pass only when every active gate passes. Quarantined test cases are not counted.
+        </p>
+        {!draft && (
+          <button
+            onClick={() => {
+              setSuccess('');
+              setDraft({ ...EMPTY_GATE });
+            }}
+            className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+          >
+            + Gate
+          </button>
+        )}
+      </div>
+
+      {error && <div className="text-sm text-[var(--danger)]">{error}</div>}
+      {success && <div className="text-sm text-green-600">{success}</div>}
+
+      {gates.length === 0 && !draft && (
+        <p className="text-sm text-[var(--muted)]">No quality gates defined</p>
+      )}
+
+      {gates.map(gate => (
+        <div key={gate.id} className="flex justify-between items-center p-3 bg-[var(--bg)] rounded border border-[var(--border)]">
+          <div>
+            <p className="font-medium text-sm">
+              {gate.name}
+              {!gate.isActive && <span className="ml-2 text-xs text-[var(--muted)]">(inactive)</span>}
+            </p>
+            <p className="text-xs text-[var(--muted)]">{describeGate(gate)}</p>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={() => editGate(gate)} className="text-xs px-2 py-1 border border-[var(--border)] rounded">
+              Edit
+            </button>
+            <button onClick={() => handleDelete(gate)} className="text-red-500 hover:text-red-700 p-1" title="Delete gate">
+              <Trash2 size={14} />
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {draft && (
+        <div className="p-3 border border-[var(--border)] rounded space-y-3 text-sm">
+          <div className="flex gap-2">
+            <input
+              value={draft.name}
+              onChange={e => updateDraft({ name: e.target.value })}
+              placeholder="Gate name (e.g. Release)"
+              className="flex-1 px-2 py-1 border border-[var(--border)] rounded"
+            />
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={draft.isActive}
+                onChange={e => updateDraft({ isActive: e.target.checked })}
+              />
+              Active
+            </label>
+          </div>
+
+          <input
+            value={draft.description}
+            onChange={e => updateDraft({ description: e.target.value })}
+            placeholder="Description (optional)"
+            className="w-full px-2 py-1 border border-[var(--border)] rounded"
+          />
+
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-[var(--muted)]">Minimum pass rate (%)</span>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={draft.minPassRate}
+              onChange={e => updateDraft({ minPassRate: e.target.value })}
+              className="w-20 px-2 py-1 border border-[var(--border)] rounded"
+            />
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="text-[var(--muted)]">No failed tests with priority</span>
+            {PRIORITIES.map(priority => (
+              <label key={priority} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={draft.blockingPriorities.includes(priority)}
+                  onChange={() => updateDraft({ blockingPriorities: toggleValue(draft.blockingPriorities, priority) })}
+                />
+                {priority}
+              </label>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="text-[var(--muted)]">Max open bugs</span>
+            {SEVERITIES.map(severity => (
+              <label key={severity} className="flex items-center gap-1 text-xs">
+                {severity}
+                <input
+                  type="number"
+                  min="0"
+                  value={draft.maxOpenBugs[severity] ?? ''}
+                  onChange={e => setBugLimit(severity, e.target.value)}
+                  className="w-14 px-1 py-1 border border-[var(--border)] rounded"
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-[var(--muted)]">Test plan coverage</span>
+            <select
+              value={draft.testPlanId}
+              onChange={e => updateDraft({ testPlanId: e.target.value })}
+              className="px-2 py-1 border border-[var(--border)] rounded"
+            >
+              <option value="">No test plan</option>
+              {testPlans.map(plan => (
+                <option key={plan.id} value={plan.id}>{plan.name}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={draft.minPlanCoverage}
+              onChange={e => updateDraft({ minPlanCoverage: e.target.value })}
+              disabled={draft.testPlanId === ''}
+              placeholder="%"
+              className="w-20 px-2 py-1 border border-[var(--border)] rounded disabled:opacity-50"
+            />
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setDraft(null)} className="text-xs px-2 py-1 border border-[var(--border)] rounded">
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || !draft.name.trim()}
+              className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Gate'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import { useState } from 'react';
+
+/**
+ * RecoveryCodes Component
+ * Shows freshly issued two-factor recovery codes once, with a copy button.
+ * @param {string[]} codes - Recovery codes
+ */
+export default function RecoveryCodes({ codes }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <div className="border border-[var(--border)] rounded-xl p-4 space-y-3">
+      <p className="text-sm text-[var(--muted)]">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator app, and they will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm">
+        {codes.map(code => (
+          <li key={code} className="px-2 py-1 rounded bg-[var(--surface-strong)] text-center">
+            {code}
+          </li>
+        ))}
+      </ul>
+      <button type="button" onClick={handleCopy} className="tt-btn tt-btn-outline text-sm">
+        {copied ? 'Copied' : 'Copy codes'}
+      </button>
+    </div>
+  );
+}
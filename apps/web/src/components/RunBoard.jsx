@@ -0,0 +1,104 @@
+import { useNavigate } from 'react-router-dom';
+import { useRunBoard } from '@/hooks/useRunBoard';
+
+const COLUMN_LABELS = {
+  TODO: 'To Do',
+  IN_PROGRESS: 'In Progress',
+  PASSED: 'Passed',
+  FAILED: 'Failed',
+  BLOCKED: 'Blocked',
+  SKIPPED: 'Skipped',
+};
+
+const COLUMN_ACCENTS = {
+  TODO: 'border-t-gray-400',
+  IN_PROGRESS: 'border-t-blue-500',
+  PASSED: 'border-t-green-500',
+  FAILED: 'border-t-red-500',
+  BLOCKED: 'border-t-amber-500',
+  SKIPPED: 'border-t-purple-400',
+};
+
+/**
+ * RunBoard Component
+ * Live kanban of a test run's executions; cards move as testers record results
+ * @param {number} projectId - Project ID
+ * @param {number} runId - Test run ID
+ */
+export default function RunBoard({ projectId, runId }) {
+  const navigate = useNavigate();
+  const { board, locks, loading, error, connected } = useRunBoard(projectId, runId);
+
+  if (loading) {
+    return <div className="p-6 text-sm text-[var(--muted)]">Loading board...</div>;
+  }
+
+  if (error || !board) {
+    return <div className="p-6 text-sm text-red-600">{error || 'Board unavailable'}</div>;
+  }
+
+  const { counters } = board;
+  const lockFor = (executionId) => locks.find((lock) => lock.executionId === executionId);
+
+  return (
+    <div className="p-6 space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex-1">
+          <div className="flex justify-between text-xs text-[var(--muted)] mb-1">
+            <span>
+              {counters.done} of {counters.total} executed
+            </span>
+            <span>{counters.progressPercent}%</span>
+          </div>
+          <div className="h-2 rounded-full bg-[var(--bg-elevated)] overflow-hidden">
+            <div
+              className="h-full bg-green-500 transition-all"
+              style={{ width: `${counters.progressPercent}%` }}
+            />
+          </div>
+        </div>
+        <span className={`text-xs font-medium ${connected ? 'text-green-600' : 'text-[var(--muted)]'}`}>
+          {connected ? '● Live' : '○ Connecting...'}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-3">
+        {board.columns.map((column) => {
+          const cards = board.cards.filter((card) => card.column === column);
+          return (
+            <div
+              key={column}
+              className={`rounded border border-[var(--border)] border-t-4 ${COLUMN_ACCENTS[column]} bg-[var(--bg-elevated)]`}
+            >
+              <div className="px-3 py-2 flex justify-between text-xs font-semibold uppercase tracking-wide">
+                <span>{COLUMN_LABELS[column]}</span>
+                <span className="text-[var(--muted)]">{counters.byColumn[column]}</span>
+              </div>
+              <div className="px-2 pb-2 space-y-2 max-h-96 overflow-y-auto">
+                {cards.map((card) => {
+                  const lock = lockFor(card.id);
+                  return (
+                    <button
+                      key={card.id}
+                      onClick={() => navigate(`/test-execution/${card.id}`)}
+                      className="w-full text-left rounded border border-[var(--border)] bg-[var(--bg)] p-2 text-xs hover:border-blue-400 transition"
+                    >
+                      <p className="font-medium truncate">{card.testCaseName}</p>
+                      {card.dataRowNumber && (
+                        <p className="text-[var(--muted)]">Row {card.dataRowNumber}</p>
+                      )}
+                      <p className="text-[var(--muted)] truncate">{card.assignee?.name || 'Unassigned'}</p>
+                      {lock && (
+                        <p className="mt-1 text-blue-600 truncate">{lock.userName} is executing</p>
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,387 @@
+import { useEffect, useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { apiClient } from '@/lib/apiClient';
+import SuiteCriteriaEditor, { EMPTY_CRITERIA, toEditableCriteria, isCriteriaComplete } from '@/components/SuiteCriteriaEditor';
+
+const SELECTION_LABELS = {
+  CASES: 'Selected test cases',
+  SUITE: 'Test suite',
+  PLAN: 'Test plan',
+  FILTER: 'Filter',
+};
+
+const SCHEDULE_PRESETS = [
+  { label: 'Manual / CI only', value: '' },
+  { label: 'Nightly (02:00)', value: '0 2 * * *' },
+  { label: 'Weekdays (06:00)', value: '0 6 * * 1-5' },
+  { label: 'Weekly (Monday 02:00)', value: '0 2 * * 1' },
+];
+
+/**
+ * RunTemplatePanel Component
+ * Saved run setups for a project: start a run from one, or save the current
+ * form as a new template with an optional cron schedule.
+ * @param {number} projectId - Project ID
+ * @param {Object} current - Current form: { testCaseIds, environment, buildVersion, assignment }
+ * @param {function} onRunCreated - Called with the created run response
+ */
+export default function RunTemplatePanel({ projectId, current, onRunCreated }) {
+  const [templates, setTemplates] = useState([]);
+  const [suites, setSuites] = useState([]);
+  const [testPlans, setTestPlans] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const endpoint = `/api/projects/${projectId}/run-templates`;
+
+  useEffect(() => {
+    if (projectId) {
+      loadTemplates();
+    }
+  }, [projectId]);
+
+  const loadTemplates = async () => {
+    try {
+      setError('');
+      const [templateList, suiteList, plans] = await Promise.all([
+        apiClient.get(endpoint),
+        apiClient.get(`/api/projects/${projectId}/test-suites`),
+        apiClient.get(`/api/projects/${projectId}/test-plans?take=100`),
+      ]);
+      setTemplates(templateList || []);
+      setSuites(Array.isArray(suiteList) ? suiteList : []);
+      setTestPlans(plans?.data || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load run templates');
+    }
+  };
+
+  const newDraft = () => {
+    setError('');
+    setDraft({
+      name: '',
+      namePattern: '{template} - {date}',
+      selectionType: 'CASES',
+      testSuiteId: '',
+      testPlanId: '',
+      criteria: EMPTY_CRITERIA,
+      schedule: '',
+      isActive: true,
+    });
+  };
+
+  const editTemplate = (template) => {
+    setError('');
+    setDraft({
+      id: template.id,
+      name: template.name,
+      namePattern: template.namePattern,
+      selectionType: template.selectionType,
+      testSuiteId: template.testSuiteId ?? '',
+      testPlanId: template.testPlanId ?? '',
+      criteria: toEditableCriteria(template.criteria),
+      schedule: template.schedule || '',
+      isActive: template.isActive,
+      caseCount: template.testCaseIds.length,
+    });
+  };
+
+  const updateDraft = (changes) => setDraft({ ...draft, ...changes });
+
+  const selectionBody = () => {
+    switch (draft.selectionType) {
+      case 'SUITE':
+        return { testSuiteId: Number(draft.testSuiteId) };
+      case 'PLAN':
+        return { testPlanId: Number(draft.testPlanId) };
+      case 'FILTER':
+        return { criteria: draft.criteria };
+      default:
+        // Editing keeps the saved cases; new templates take the cases ticked in the form
+        return draft.id ? {} : { testCaseIds: current.testCaseIds };
+    }
+  };
+
+  const canSave = () => {
+    if (!draft.name.trim()) return false;
+    if (draft.selectionType === 'SUITE') return draft.testSuiteId !== '';
+    if (draft.selectionType === 'PLAN') return draft.testPlanId !== '';
+    if (draft.selectionType === 'FILTER') return isCriteriaComplete(draft.criteria);
+    return draft.id ? draft.caseCount > 0 : current.testCaseIds.length > 0;
+  };
+
+  const handleSave = async () => {
+    const body = {
+      name: draft.name,
+      namePattern: draft.namePattern,
+      selectionType: draft.selectionType,
+      ...selectionBody(),
+      schedule: draft.schedule || null,
+      isActive: draft.isActive,
+      ...(!draft.id && {
+        environment: current.environment || null,
+        buildVersion: current.buildVersion || null,
+        assignment: current.assignment || null,
+      }),
+    };
+
+    try {
+      setBusyId('draft');
+      setError('');
+      if (draft.id) {
+        await apiClient.patch(`${endpoint}/${draft.id}`, body);
+      } else {
+        await apiClient.post(endpoint, body);
+      }
+      setDraft(null);
+      await loadTemplates();
+    } catch (err) {
+      setError(err.message || 'Failed to save run template');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRun = async (template) => {
+    try {
+      setBusyId(template.id);
+      setError('');
+      const response = await apiClient.post(`${endpoint}/${template.id}/runs`, {
+        ...(current.buildVersion && { buildVersion: current.buildVersion }),
+      });
+      onRunCreated(response);
+    } catch (err) {
+      setError(err.message || 'Failed to start run from template');
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete run template "${template.name}"? Runs created from it are kept.`)) return;
+    try {
+      setError('');
+      await apiClient.delete(`${endpoint}/${template.id}`);
+      setTemplates(templates.filter(item => item.id !== template.id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete run template');
+    }
+  };
+
+  const describeTemplate = (template) => {
+    const parts = [];
+    if (template.selectionType === 'SUITE') parts.push(`Suite: ${template.testSuite?.name || 'deleted'}`);
+    else if (template.selectionType === 'PLAN') parts.push(`Plan: ${template.testPlan?.name || 'deleted'}`);
+    else if (template.selectionType === 'FILTER') parts.push(`Filter: ${template.criteria?.rules?.length || 0} rules`);
+    else parts.push(`${template.testCaseIds.length} test cases`);
+    if (template.environment) parts.push(template.environment);
+    if (template.assignment?.testerIds?.length) parts.push(`${template.assignment.testerIds.length} testers`);
+    parts.push(template.schedule ? `cron ${template.schedule}` : 'manual');
+    return parts.join(' • ');
+  };
+
+  return (
+    <div className="tt-card p-4 space-y-3 text-sm">
+      <div className="flex justify-between items-center">
+        <h3 className="font-semibold">Run Templates</h3>
+        {!draft && (
+          <button
+            type="button"
+            onClick={newDraft}
+            className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+          >
+            + Save as template
+          </button>
+        )}
+      </div>
+
+      {error && <div className="text-xs text-[var(--danger)]">{error}</div>}
+
+      {templates.length === 0 && !draft && (
+        <p className="text-xs text-[var(--muted)]">
+          Save this setup to recreate it in one click or on a schedule.
+        </p>
+      )}
+
+      {templates.map(template => (
+        <div key={template.id} className="p-3 bg-[var(--bg)] rounded border border-[var(--border)] space-y-2">
+          <div className="flex justify-between items-start gap-2">
+            <div className="min-w-0">
+              <p className="font-medium truncate">
+                {template.name}
+                {!template.isActive && <span className="ml-2 text-xs text-[var(--muted)]">(inactive)</span>}
+              </p>
+              <p className="text-xs text-[var(--muted)]">{describeTemplate(template)}</p>
+              {template.lastRunAt && (
+                <p className="text-xs text-[var(--muted)]">
+                  Last run {new Date(template.lastRunAt).toLocaleString()} ({template.runCount} total)
+                </p>
+              )}
+              {template.lastError && (
+                <p className="text-xs text-[var(--danger)]">Last scheduled run failed: {template.lastError}</p>
+              )}
+            </div>
+            <button
+              type="button"
+              onClick={() => handleDelete(template)}
+              className="text-red-500 hover:text-red-700 p-1"
+              title="Delete template"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => handleRun(template)}
+              disabled={!template.isActive || busyId !== null}
+              className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+            >
+              {busyId === template.id ? 'Starting...' : '▶ Run now'}
+            </button>
+            <button
+              type="button"
+              onClick={() => editTemplate(template)}
+              className="text-xs px-2 py-1 border border-[var(--border)] rounded"
+            >
+              Edit
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {draft && (
+        <div className="p-3 border border-[var(--border)] rounded space-y-3">
+          <div className="flex gap-2">
+            <input
+              value={draft.name}
+              onChange={e => updateDraft({ name: e.target.value })}
+              placeholder="Template name (e.g. Sprint regression)"
+              className="flex-1 min-w-0 px-2 py-1 border border-[var(--border)] rounded bg-[var(--bg)]"
+            />
+            <label className="flex items-center gap-1 text-xs">
+              <input
+                type="checkbox"
+                checked={draft.isActive}
+                onChange={e => updateDraft({ isActive: e.target.checked })}
+              />
+              Active
+            </label>
+          </div>
+
+          <div>
+            <input
+              value={draft.namePattern}
+              onChange={e => updateDraft({ namePattern: e.target.value })}
+              className="w-full px-2 py-1 border border-[var(--border)] rounded bg-[var(--bg)]"
+            />
+            <p className="text-xs text-[var(--muted)] mt-1">
+              Run name. Tokens: {'{template}'}, {'{date}'}, {'{time}'}, {'{build}'}, {'{n}'}
+            </p>
+          </div>
+
+          <div className="space-y-2">
+            <select
+              value={draft.selectionType}
+              onChange={e => updateDraft({ selectionType: e.target.value })}
+              className="w-full px-2 py-1 border border-[var(--border)] rounded bg-[var(--bg)]"
+            >
+              {Object.entries(SELECTION_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+
+            {draft.selectionType === 'CASES' && (
+              <p className="text-xs text-[var(--muted)]">
+                {draft.id
+                  ? `Keeps the ${draft.caseCount} saved test cases`
+                  : `${current.testCaseIds.length} test cases ticked in the list`}
+              </p>
+            )}
+
+            {draft.selectionType === 'SUITE' && (
+              <select
+                value={draft.testSuiteId}
+                onChange={e => updateDraft({ testSuiteId: e.target.value })}
+                className="w-full px-2 py-1 border border-[var(--border)] rounded bg-[var(--bg)]"
+              >
+                <option value="">Select a suite…</option>
+                {suites.map(suite => (
+                  <option key={suite.id} value={suite.id}>
+                    {suite.name}{suite.suiteType === 'DYNAMIC' ? ' (dynamic)' : ''}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            {draft.selectionType === 'PLAN' && (
+              <select
+                value={draft.testPlanId}
+                onChange={e => updateDraft({ testPlanId: e.target.value })}
+                className="w-full px-2 py-1 border border-[var(--border)] rounded bg-[var(--bg)]"
+              >
+                <option value="">Select a test plan…</option>
+                {testPlans.map(plan => (
+                  <option key={plan.id} value={plan.id}>{plan.name}</option>
+                ))}
+              </select>
+            )}
+
+            {draft.selectionType === 'FILTER' && (
+              <SuiteCriteriaEditor
+                projectId={projectId}
+                criteria={draft.criteria}
+                onChange={criteria => updateDraft({ criteria })}
+              />
+            )}
+          </div>
+
+          <div className="space-y-1">
+            <select
+              value={SCHEDULE_PRESETS.some(preset => preset.value === draft.schedule) ? draft.schedule : 'custom'}
+              onChange={e => updateDraft({ schedule: e.target.value === 'custom' ? '0 2 * * *' : e.target.value })}
+              className="w-full px-2 py-1 border border-[var(--border)] rounded bg-[var(--bg)]"
+            >
+              {SCHEDULE_PRESETS.map(preset => (
+                <option key={preset.label} value={preset.value}>{preset.label}</option>
+              ))}
+              <option value="custom">Custom cron…</option>
+            </select>
+            {draft.schedule && (
+              <input
+                value={draft.schedule}
+                onChange={e => updateDraft({ schedule: e.target.value })}
+                placeholder="0 2 * * *"
+                className="w-full px-2 py-1 border border-[var(--border)] rounded bg-[var(--bg)] font-mono text-xs"
+              />
+            )}
+          </div>
+
+          {!draft.id && (
+            <p className="text-xs text-[var(--muted)]">
+              Environment, build and tester assignment are taken from the form.
+            </p>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setDraft(null)}
+              className="text-xs px-2 py-1 border border-[var(--border)] rounded"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={busyId !== null || !canSave()}
+              className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+            >
+              {busyId === 'draft' ? 'Saving...' : 'Save Template'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import { Monitor } from 'lucide-react';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+/**
+ * SessionList Component
+ * Lists signed-in devices (sessions) with a sign-out button for each one
+ * except the device being used right now.
+ * @param {Array} sessions - Sessions from /api/auth/sessions or /api/admin/users/:id/sessions
+ * @param {Function} onRevoke - Called with the session to sign out
+ * @param {number} revokingId - Session currently being signed out, if any
+ */
+export default function SessionList({ sessions, onRevoke, revokingId = null }) {
+  if (sessions.length === 0) {
+    return <p className="text-sm text-[var(--muted)]">No active sessions.</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-[var(--border)] border border-[var(--border)] rounded-lg">
+      {sessions.map(session => (
+        <li key={session.id} className="flex items-center justify-between gap-4 p-4">
+          <div className="flex items-start gap-3 min-w-0">
+            <Monitor className="h-5 w-5 mt-0.5 text-[var(--muted)] shrink-0" />
+            <div className="min-w-0">
+              <p className="font-medium">
+                {session.device}
+                {session.current && (
+                  <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-emerald-500/10 text-emerald-600 dark:text-emerald-300">
+                    This device
+                  </span>
+                )}
+              </p>
+              <p className="text-xs text-[var(--muted)] mt-1">
+                {session.ipAddress || 'Unknown IP'}
+                {' • '}Signed in {formatDateTime(session.createdAt)}
+                {' • '}Last active {formatDateTime(session.lastUsedAt)}
+              </p>
+            </div>
+          </div>
+          {!session.current && (
+            <button
+              onClick={() => onRevoke(session)}
+              disabled={revokingId === session.id}
+              className="tt-btn tt-btn-outline text-sm shrink-0"
+            >
+              {revokingId === session.id ? 'Signing out...' : 'Sign out'}
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react';
+import { apiClient } from '@/lib/apiClient';
+import { logError } from '@/lib/errorLogger';
+
+/**
+ * SsoConnection Component
+ * Connects the single sign-on provider of the user's email domain to their account.
+ * Single sign-on only opens accounts it created or that were connected here; administrator
+ * accounts keep signing in with their password.
+ * @param {Object} user - Signed-in user
+ */
+export default function SsoConnection({ user }) {
+  const [provider, setProvider] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!user?.email) return;
+    Promise.all([
+      apiClient.get(`/api/auth/sso/discover?email=${encodeURIComponent(user.email)}`),
+      apiClient.get('/api/auth/oauth/providers'),
+    ])
+      .then(([discovery, integrations]) => {
+        setProvider(discovery.provider);
+        setConnected((integrations || []).some(item => item.provider === `SSO:${discovery.provider?.slug}`));
+      })
+      .catch(err => logError(err, 'SsoConnection.load'));
+  }, [user?.email]);
+
+  if (!provider) {
+    return null;
+  }
+
+  const isAdmin = String(user.role || '').toUpperCase() === 'ADMIN';
+
+  const handleConnect = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const { url } = await apiClient.post(`/api/auth/sso/${provider.slug}/connect`);
+      window.location.assign(url);
+    } catch (err) {
+      setError(err.message || 'Could not start single sign-on');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="p-4 rounded-lg border border-[var(--border)]">
+      <h3 className="font-medium mb-2">Single Sign-On</h3>
+      {isAdmin ? (
+        <p className="text-sm text-[var(--muted)]">
+          Administrator accounts sign in with their password and cannot use {provider.name}.
+        </p>
+      ) : connected ? (
+        <p className="text-sm text-[var(--muted)]">Your account is connected to {provider.name}.</p>
+      ) : (
+        <>
+          <p className="text-sm text-[var(--muted)] mb-4">
+            Connect {provider.name} to sign in to this account through your organization.
+          </p>
+          {error && <p className="text-sm text-[var(--danger)] mb-2">{error}</p>}
+          <button onClick={handleConnect} disabled={busy} className="tt-btn-secondary">
+            {busy ? 'Redirecting...' : `Connect ${provider.name}`}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,387 @@
+import { useEffect, useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { apiClient } from '@/lib/apiClient';
+
+// SSO never grants ADMIN
+const ROLES = ['TESTER', 'DEVELOPER'];
+const PROJECT_ROLES = ['PROJECT_MANAGER', 'LEAD_TESTER', 'DEVELOPER', 'QA_ENGINEER', 'AUTOMATION_ENGINEER'];
+
+const EMPTY_PROVIDER = {
+  slug: '',
+  name: '',
+  protocol: 'OIDC',
+  isEnabled: true,
+  emailDomains: '',
+  disablePasswordLogin: false,
+  enforcesMfa: false,
+  issuer: '',
+  clientId: '',
+  clientSecret: '',
+  scopes: 'openid profile email',
+  entryPoint: '',
+  idpEntityId: '',
+  idpCertificate: '',
+  groupsClaim: 'groups',
+  defaultRole: 'TESTER',
+  roleMappings: [],
+  projectMappings: [],
+};
+
+/**
+ * SsoProviderSettings Component
+ * Admin settings for OIDC and SAML single sign-on providers: connection details, the
+ * email domains they handle, and how identity provider groups map to roles and projects.
+ */
+export default function SsoProviderSettings() {
+  const [providers, setProviders] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadProviders();
+    apiClient.get('/api/admin/projects?take=100')
+      .then(data => setProjects(data.projects || []))
+      .catch(() => setProjects([]));
+  }, []);
+
+  const loadProviders = async () => {
+    try {
+      setError('');
+      const data = await apiClient.get('/api/admin/sso/providers');
+      setProviders(data?.providers || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load SSO providers');
+    }
+  };
+
+  const updateDraft = (changes) => setDraft({ ...draft, ...changes });
+
+  const updateMapping = (list, index, changes) => updateDraft({
+    [list]: draft[list].map((mapping, i) => (i === index ? { ...mapping, ...changes } : mapping)),
+  });
+
+  const removeMapping = (list, index) => updateDraft({ [list]: draft[list].filter((_, i) => i !== index) });
+
+  const editProvider = (provider) => {
+    setSuccess('');
+    setDraft({
+      ...EMPTY_PROVIDER,
+      ...Object.fromEntries(Object.entries(provider).filter(([, value]) => value !== null)),
+      emailDomains: provider.emailDomains.join(', '),
+      clientSecret: '',
+      roleMappings: provider.roleMappings || [],
+      projectMappings: provider.projectMappings || [],
+    });
+  };
+
+  const handleSave = async () => {
+    const isOidc = draft.protocol === 'OIDC';
+    const body = {
+      name: draft.name,
+      isEnabled: draft.isEnabled,
+      emailDomains: draft.emailDomains.split(/[\s,]+/).filter(Boolean),
+      disablePasswordLogin: draft.disablePasswordLogin,
+      enforcesMfa: draft.enforcesMfa,
+      groupsClaim: draft.groupsClaim,
+      defaultRole: draft.defaultRole,
+      roleMappings: draft.roleMappings.filter(mapping => mapping.group.trim()),
+      projectMappings: draft.projectMappings
+        .filter(mapping => mapping.group.trim() && mapping.projectId)
+        .map(mapping => ({ ...mapping, projectId: Number(mapping.projectId) })),
+      ...(isOidc
+        ? {
+          issuer: draft.issuer,
+          clientId: draft.clientId,
+          scopes: draft.scopes,
+          ...(draft.clientSecret ? { clientSecret: draft.clientSecret } : {}),
+        }
+        : { entryPoint: draft.entryPoint, idpEntityId: draft.idpEntityId || null, idpCertificate: draft.idpCertificate }),
+    };
+
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      if (draft.id) {
+        await apiClient.patch(`/api/admin/sso/providers/${draft.id}`, body);
+      } else {
+        await apiClient.post('/api/admin/sso/providers', { ...body, slug: draft.slug, protocol: draft.protocol });
+      }
+      setDraft(null);
+      setSuccess('SSO provider saved');
+      await loadProviders();
+    } catch (err) {
+      setError(err.message || 'Failed to save SSO provider');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (provider) => {
+    if (!window.confirm(`Delete SSO provider "${provider.name}"? Its users will have to sign in another way.`)) return;
+    try {
+      setError('');
+      setSuccess('');
+      await apiClient.delete(`/api/admin/sso/providers/${provider.id}`);
+      setProviders(providers.filter(item => item.id !== provider.id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete SSO provider');
+    }
+  };
+
+  const field = (label, key, props = {}) => (
+    <label className="block">
+      <span className="text-xs text-[var(--muted)]">{label}</span>
+      <input
+        value={draft[key]}
+        onChange={e => updateDraft({ [key]: e.target.value })}
+        className="w-full px-2 py-1 border border-[var(--border)] rounded"
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <div className="tt-card mb-8">
+      <div className="px-6 py-4 border-b border-[var(--border)] flex justify-between items-center">
+        <div>
+          <h3 className="text-lg font-semibold">Single Sign-On</h3>
+          <p className="text-sm text-[var(--muted)]">OIDC and SAML identity providers, with accounts created at first sign-in</p>
+        </div>
+        {!draft && (
+          <button
+            onClick={() => {
+              setSuccess('');
+              setDraft({ ...EMPTY_PROVIDER });
+            }}
+            className="tt-btn tt-btn-primary px-4 py-2 text-sm"
+          >
+            Add Provider
+          </button>
+        )}
+      </div>
+
+      <div className="p-6 space-y-4">
+        {error && <div className="text-sm text-[var(--danger)]">{error}</div>}
+        {success && <div className="text-sm text-green-600">{success}</div>}
+
+        {providers.length === 0 && !draft && (
+          <p className="text-sm text-[var(--muted)]">No SSO providers configured</p>
+        )}
+
+        {providers.map(provider => (
+          <div key={provider.id} className="flex justify-between items-start p-3 bg-[var(--bg)] rounded border border-[var(--border)]">
+            <div className="text-sm space-y-1">
+              <p className="font-medium">
+                {provider.name}
+                <span className="ml-2 text-xs text-[var(--muted)]">{provider.protocol}</span>
+                {!provider.isEnabled && <span className="ml-2 text-xs text-[var(--danger)]">Disabled</span>}
+              </p>
+              <p className="text-xs text-[var(--muted)]">
+                {provider.emailDomains.join(', ') || 'Any email domain'}
+                {provider.disablePasswordLogin && ' • Password sign-in disabled'}
+                {provider.enforcesMfa && ' • Two-factor handled by the identity provider'}
+              </p>
+              <p className="text-xs text-[var(--muted)] font-mono break-all">
+                {provider.protocol === 'SAML'
+                  ? `ACS: ${provider.callbackUrl} • Metadata: ${provider.metadataUrl}`
+                  : `Redirect URI: ${provider.callbackUrl}`}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button onClick={() => editProvider(provider)} className="text-xs px-2 py-1 border border-[var(--border)] rounded">
+                Edit
+              </button>
+              <button
+                onClick={() => handleDelete(provider)}
+                className="text-red-500 hover:text-red-700 p-1"
+                title="Delete provider"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          </div>
+        ))}
+
+        {draft && (
+          <div className="p-3 border border-[var(--border)] rounded space-y-3 text-sm">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              {field('Name', 'name', { placeholder: 'Acme Okta' })}
+              {field('Slug (used in URLs)', 'slug', { placeholder: 'acme', disabled: !!draft.id })}
+              <label className="block">
+                <span className="text-xs text-[var(--muted)]">Protocol</span>
+                <select
+                  value={draft.protocol}
+                  onChange={e => updateDraft({ protocol: e.target.value })}
+                  disabled={!!draft.id}
+                  className="w-full px-2 py-1 border border-[var(--border)] rounded"
+                >
+                  <option value="OIDC">OpenID Connect</option>
+                  <option value="SAML">SAML 2.0</option>
+                </select>
+              </label>
+            </div>
+
+            {draft.protocol === 'OIDC' ? (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {field('Issuer URL', 'issuer', { placeholder: 'https://idp.example.com' })}
+                {field('Client ID', 'clientId')}
+                {field(draft.hasClientSecret ? 'Client secret (leave blank to keep)' : 'Client secret', 'clientSecret', { type: 'password' })}
+                {field('Scopes', 'scopes')}
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {field('IdP single sign-on URL', 'entryPoint', { placeholder: 'https://idp.example.com/sso/saml' })}
+                {field('IdP entity ID (issuer)', 'idpEntityId')}
+                <label className="block md:col-span-2">
+                  <span className="text-xs text-[var(--muted)]">IdP signing certificate (PEM)</span>
+                  <textarea
+                    value={draft.idpCertificate}
+                    onChange={e => updateDraft({ idpCertificate: e.target.value })}
+                    rows={4}
+                    className="w-full px-2 py-1 border border-[var(--border)] rounded font-mono text-xs"
+                    placeholder="-----BEGIN CERTIFICATE-----"
+                  />
+                </label>
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              {field('Email domains', 'emailDomains', { placeholder: 'acme.com, acme.io' })}
+              {field('Groups claim / attribute', 'groupsClaim')}
+              <label className="block">
+                <span className="text-xs text-[var(--muted)]">Role when no group matches</span>
+                <select
+                  value={draft.defaultRole}
+                  onChange={e => updateDraft({ defaultRole: e.target.value })}
+                  className="w-full px-2 py-1 border border-[var(--border)] rounded"
+                >
+                  {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+              </label>
+            </div>
+
+            <div className="flex flex-wrap gap-4">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={draft.isEnabled} onChange={e => updateDraft({ isEnabled: e.target.checked })} />
+                Enabled
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={draft.disablePasswordLogin}
+                  onChange={e => updateDraft({ disablePasswordLogin: e.target.checked })}
+                />
+                Disable password sign-in for these domains
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={draft.enforcesMfa}
+                  onChange={e => updateDraft({ enforcesMfa: e.target.checked })}
+                />
+                Identity provider requires two-factor (skip the app's own code)
+              </label>
+            </div>
+
+            <div className="space-y-2">
+              <div className="flex justify-between items-center">
+                <p className="font-medium">Group → role</p>
+                <button
+                  onClick={() => updateDraft({ roleMappings: [...draft.roleMappings, { group: '', role: 'TESTER' }] })}
+                  className="text-xs px-2 py-1 border border-[var(--border)] rounded"
+                >
+                  + Mapping
+                </button>
+              </div>
+              {draft.roleMappings.map((mapping, index) => (
+                <div key={index} className="flex gap-2 items-center">
+                  <input
+                    value={mapping.group}
+                    onChange={e => updateMapping('roleMappings', index, { group: e.target.value })}
+                    placeholder="IdP group"
+                    className="flex-1 px-2 py-1 border border-[var(--border)] rounded"
+                  />
+                  <select
+                    value={mapping.role}
+                    onChange={e => updateMapping('roleMappings', index, { role: e.target.value })}
+                    className="px-2 py-1 border border-[var(--border)] rounded"
+                  >
+                    {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                  <button onClick={() => removeMapping('roleMappings', index)} className="text-red-500 hover:text-red-700 p-1">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <div className="space-y-2">
+              <div className="flex justify-between items-center">
+                <p className="font-medium">Group → project</p>
+                <button
+                  onClick={() => updateDraft({
+                    projectMappings: [...draft.projectMappings, { group: '', projectId: '', projectRole: 'QA_ENGINEER' }],
+                  })}
+                  className="text-xs px-2 py-1 border border-[var(--border)] rounded"
+                >
+                  + Mapping
+                </button>
+              </div>
+              {draft.projectMappings.map((mapping, index) => (
+                <div key={index} className="flex gap-2 items-center">
+                  <input
+                    value={mapping.group}
+                    onChange={e => updateMapping('projectMappings', index, { group: e.target.value })}
+                    placeholder="IdP group"
+                    className="flex-1 px-2 py-1 border border-[var(--border)] rounded"
+                  />
+                  <select
+                    value={mapping.projectId}
+                    onChange={e => updateMapping('projectMappings', index, { projectId: e.target.value })}
+                    className="px-2 py-1 border border-[var(--border)] rounded"
+                  >
+                    <option value="">Project...</option>
+                    {projects.map(project => <option key={project.id} value={project.id}>{project.name}</option>)}
+                  </select>
+                  <input
+                    value={mapping.projectRole}
+                    onChange={e => updateMapping('projectMappings', index, { projectRole: e.target.value.toUpperCase() })}
+                    list="sso-project-roles"
+                    placeholder="Project role"
+                    className="w-44 px-2 py-1 border border-[var(--border)] rounded"
+                  />
+                  <button onClick={() => removeMapping('projectMappings', index)} className="text-red-500 hover:text-red-700 p-1">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+              <datalist id="sso-project-roles">
+                {PROJECT_ROLES.map(role => <option key={role} value={role} />)}
+              </datalist>
+              {draft.projectMappings.length > 0 && (
+                <p className="text-xs text-[var(--muted)]">Custom project roles can be entered by their key.</p>
+              )}
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <button onClick={() => setDraft(null)} className="text-xs px-2 py-1 border border-[var(--border)] rounded">
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saving || !draft.name.trim() || (!draft.id && !draft.slug.trim())}
+                className="text-xs px-2 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save Provider'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -66,7 +66,7 @@ export default function StepNavigator({
                     Step {idx + 1}
                   </div>
                   <div className="text-xs text-[var(--muted)] truncate mt-1">
-                    {step.testStep?.action || 'No action defined'}
+                    {step.action || 'No action defined'}
                   </div>
                 </div>
 
@@ -0,0 +1,217 @@
+import { useEffect, useState } from 'react';
+import { apiClient } from '../lib/apiClient';
+
+/**
+ * SuiteCriteriaEditor Component
+ * Edits the saved query of a dynamic test suite and previews the test cases it matches.
+ * Criteria shape: { match: 'ALL' | 'ANY', rules: [{ field, operator, value }] }
+ */
+
+const FIELD_OPTIONS = {
+  priority: { label: 'Priority', operators: ['equals', 'notEquals', 'in', 'notIn'], placeholder: 'P0, P1' },
+  severity: { label: 'Severity', operators: ['equals', 'notEquals', 'in', 'notIn'], placeholder: 'CRITICAL' },
+  status: { label: 'Status', operators: ['equals', 'notEquals', 'in', 'notIn'], placeholder: 'READY' },
+  type: { label: 'Type', operators: ['equals', 'notEquals', 'in', 'notIn'], placeholder: 'FUNCTIONAL' },
+  moduleArea: { label: 'Module Area', operators: ['equals', 'notEquals', 'in', 'notIn', 'contains'], placeholder: 'checkout' },
+  environment: { label: 'Environment', operators: ['equals', 'notEquals', 'in', 'notIn', 'contains'], placeholder: 'STAGING' },
+  tags: { label: 'Tags', operators: ['contains', 'notContains', 'in'], placeholder: 'smoke' },
+};
+
+const OPERATOR_LABELS = {
+  equals: 'is',
+  notEquals: 'is not',
+  in: 'is one of',
+  notIn: 'is not one of',
+  contains: 'contains',
+  notContains: 'does not contain',
+};
+
+const LIST_OPERATORS = ['in', 'notIn'];
+const PREVIEW_DELAY_MS = 400;
+
+export const EMPTY_CRITERIA = {
+  match: 'ALL',
+  rules: [{ field: 'priority', operator: 'in', value: '' }],
+};
+
+// Stored list values are arrays; the editor works with comma-separated text
+export function toEditableCriteria(criteria) {
+  if (!criteria?.rules?.length) {
+    return EMPTY_CRITERIA;
+  }
+  return {
+    match: criteria.match || 'ALL',
+    rules: criteria.rules.map(rule => ({
+      ...rule,
+      value: Array.isArray(rule.value) ? rule.value.join(', ') : rule.value ?? '',
+    })),
+  };
+}
+
+export function isCriteriaComplete(criteria) {
+  return criteria.rules.length > 0 && criteria.rules.every(rule => String(rule.value).trim() !== '');
+}
+
+export default function SuiteCriteriaEditor({ projectId, criteria, onChange, showPreview = true }) {
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState('');
+  const [previewLoading, setPreviewLoading] = useState(false);
+
+  const complete = isCriteriaComplete(criteria);
+
+  useEffect(() => {
+    if (!showPreview || !projectId || !complete) {
+      setPreview(null);
+      setPreviewError('');
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setPreviewLoading(true);
+      try {
+        const response = await apiClient.post(`/api/projects/${projectId}/test-suites/preview`, { criteria });
+        if (!cancelled) {
+          setPreview(response);
+          setPreviewError('');
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setPreview(null);
+          setPreviewError(err.message || 'Failed to preview matching test cases');
+        }
+      } finally {
+        if (!cancelled) {
+          setPreviewLoading(false);
+        }
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [projectId, criteria, complete, showPreview]);
+
+  const updateRule = (index, changes) => {
+    const rules = criteria.rules.map((rule, i) => {
+      if (i !== index) return rule;
+      const next = { ...rule, ...changes };
+      // Reset the operator when the new field does not support it
+      if (!FIELD_OPTIONS[next.field].operators.includes(next.operator)) {
+        next.operator = FIELD_OPTIONS[next.field].operators[0];
+      }
+      return next;
+    });
+    onChange({ ...criteria, rules });
+  };
+
+  const addRule = () => {
+    onChange({ ...criteria, rules: [...criteria.rules, { field: 'tags', operator: 'contains', value: '' }] });
+  };
+
+  const removeRule = (index) => {
+    onChange({ ...criteria, rules: criteria.rules.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2 text-sm">
+        <span>Include test cases that match</span>
+        <select
+          value={criteria.match}
+          onChange={(event) => onChange({ ...criteria, match: event.target.value })}
+          className="px-2 py-1 border rounded dark:bg-gray-800"
+        >
+          <option value="ALL">all</option>
+          <option value="ANY">any</option>
+        </select>
+        <span>of these rules:</span>
+      </div>
+
+      <div className="space-y-2">
+        {criteria.rules.map((rule, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            <select
+              value={rule.field}
+              onChange={(event) => updateRule(index, { field: event.target.value })}
+              className="px-2 py-1 border rounded dark:bg-gray-800"
+            >
+              {Object.entries(FIELD_OPTIONS).map(([field, option]) => (
+                <option key={field} value={field}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={rule.operator}
+              onChange={(event) => updateRule(index, { operator: event.target.value })}
+              className="px-2 py-1 border rounded dark:bg-gray-800"
+            >
+              {FIELD_OPTIONS[rule.field].operators.map(operator => (
+                <option key={operator} value={operator}>
+                  {rule.field === 'tags' && operator === 'in' ? 'contains any of' : OPERATOR_LABELS[operator]}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={rule.value}
+              onChange={(event) => updateRule(index, { value: event.target.value })}
+              placeholder={LIST_OPERATORS.includes(rule.operator) || (rule.field === 'tags' && rule.operator === 'in')
+                ? `${FIELD_OPTIONS[rule.field].placeholder}, ... (comma-separated)`
+                : FIELD_OPTIONS[rule.field].placeholder}
+              className="flex-1 min-w-[12rem] px-2 py-1 border rounded dark:bg-gray-800"
+            />
+            <button
+              type="button"
+              onClick={() => removeRule(index)}
+              disabled={criteria.rules.length === 1}
+              className="text-red-600 hover:text-red-800 disabled:opacity-40"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        onClick={addRule}
+        className="px-3 py-1 text-sm bg-gray-200 dark:bg-gray-700 rounded"
+      >
+        + Add Rule
+      </button>
+
+      {showPreview && (
+        <div className="border rounded p-3 bg-gray-50 dark:bg-gray-800">
+          <h3 className="text-sm font-semibold mb-2">
+            Live Preview
+            {preview && ` — ${preview.total} matching test case${preview.total === 1 ? '' : 's'}`}
+            {previewLoading && ' (updating...)'}
+          </h3>
+          {!complete && (
+            <p className="text-sm text-gray-500">Fill in every rule to preview matching test cases.</p>
+          )}
+          {previewError && <p className="text-sm text-red-600">{previewError}</p>}
+          {preview && preview.testCases.length === 0 && (
+            <p className="text-sm text-gray-500">No test cases match these rules.</p>
+          )}
+          {preview && preview.testCases.length > 0 && (
+            <ul className="space-y-2 max-h-80 overflow-y-auto">
+              {preview.testCases.map(row => (
+                <li key={row.testCaseId} className="text-sm">
+                  <div className="font-medium">
+                    #{row.testCaseId} {row.testCase.name}
+                    <span className="ml-2 text-xs text-gray-500">{row.testCase.priority} · {row.testCase.status}</span>
+                  </div>
+                  <div className="text-xs text-gray-600 dark:text-gray-400">
+                    Matched because {row.matchReasons.join('; ')}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
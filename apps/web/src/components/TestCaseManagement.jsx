@@ -1,7 +1,9 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useAuth } from '@/hooks';
+import { useAuth, useCustomFields } from '@/hooks';
 import axios from 'axios';
+import AdvancedFiltersPanel from './AdvancedFiltersPanel';
+import CustomFieldInputs from './CustomFieldInputs';
 
 /**
  * TestCaseManagement Component
@@ -12,6 +14,7 @@ export default function TestCaseManagement() {
   const { projectId } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
+  const { fields: customFields, applyDefaults } = useCustomFields(projectId, 'TEST_CASE');
   
   const [testCases, setTestCases] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -24,6 +27,7 @@ export default function TestCaseManagement() {
     priority: '',
     status: '',
     search: '',
+    customFields: {},
   });
   
   // Modal states
@@ -31,6 +35,8 @@ export default function TestCaseManagement() {
   const [showImportModal, setShowImportModal] = useState(false);
   const [selectedTestCase, setSelectedTestCase] = useState(null);
   const [editingTestCase, setEditingTestCase] = useState(null);
+  const [sharedStepBlocks, setSharedStepBlocks] = useState([]);
+  const [selectedSharedBlockId, setSelectedSharedBlockId] = useState('');
   
   // Form data
   const [formData, setFormData] = useState({
@@ -49,6 +55,7 @@ export default function TestCaseManagement() {
     estimatedDurationMinutes: '',
     assignedToId: '',
     ownedById: user?.id || '',
+    customFields: {},
   });
 
   // Load test cases
@@ -56,14 +63,26 @@ export default function TestCaseManagement() {
     loadTestCases();
   }, [projectId, filters]);
 
+  useEffect(() => {
+    loadSharedStepBlocks();
+  }, [projectId]);
+
   const loadTestCases = async () => {
     setLoading(true);
     setError('');
     try {
+      const activeCustomFields = Object.fromEntries(
+        Object.entries(filters.customFields).filter(([, value]) => value !== null && value !== ''),
+      );
       const response = await axios.get(
         `/api/projects/${projectId}/test-cases`,
         {
-          params: filters,
+          params: {
+            ...filters,
+            customFields: Object.keys(activeCustomFields).length > 0
+              ? JSON.stringify(activeCustomFields)
+              : undefined,
+          },
         }
       );
       setTestCases(response.data.testCases || []);
@@ -74,6 +93,25 @@ export default function TestCaseManagement() {
     }
   };
 
+  const loadSharedStepBlocks = async () => {
+    try {
+      const response = await axios.get(`/api/projects/${projectId}/shared-steps`);
+      setSharedStepBlocks(response.data.data || []);
+    } catch {
+      // The picker is optional; the editor still works with inline steps
+      setSharedStepBlocks([]);
+    }
+  };
+
+  const insertSharedStepBlock = () => {
+    const block = sharedStepBlocks.find(b => b.id === Number(selectedSharedBlockId));
+    if (!block) return;
+    const marker = `[shared:${block.id}] ${block.name}`;
+    const current = formData.steps ? formData.steps.trimEnd() : '';
+    setFormData({ ...formData, steps: current ? `${current}\n\n${marker}` : marker });
+    setSelectedSharedBlockId('');
+  };
+
   const handleCreateTestCase = async (e) => {
     e.preventDefault();
     setError('');
@@ -86,6 +124,7 @@ export default function TestCaseManagement() {
         estimatedDurationMinutes: formData.estimatedDurationMinutes 
           ? Number(formData.estimatedDurationMinutes) 
           : null,
+        customFields: applyDefaults(formData.customFields),
       };
 
       const response = await axios.post(
@@ -114,6 +153,7 @@ export default function TestCaseManagement() {
         estimatedDurationMinutes: formData.estimatedDurationMinutes 
           ? Number(formData.estimatedDurationMinutes) 
           : null,
+        customFields: applyDefaults(formData.customFields),
       };
 
       await axios.patch(
@@ -214,6 +254,10 @@ export default function TestCaseManagement() {
     if (!stepsText) return [];
     return stepsText.split('\n\n').filter(step => step.trim()).map(step => {
       const lines = step.trim().split('\n');
+      const sharedMatch = lines[0].match(/^\[shared:(\d+)\]/);
+      if (sharedMatch) {
+        return { sharedStepBlockId: Number(sharedMatch[1]) };
+      }
       return {
         action: lines[0] || '',
         expectedResult: lines[1] || '',
@@ -239,6 +283,7 @@ export default function TestCaseManagement() {
       estimatedDurationMinutes: '',
       assignedToId: '',
       ownedById: user?.id || '',
+      customFields: {},
     });
   };
 
@@ -259,14 +304,29 @@ export default function TestCaseManagement() {
       estimatedDurationMinutes: tc.estimatedDurationMinutes || '',
       assignedToId: tc.assignedToId || '',
       ownedById: tc.ownedById || user?.id,
+      customFields: tc.customFields || {},
     });
     setEditingTestCase(tc);
   };
 
+  const handleSavedFilterSelected = (savedFilter) => {
+    const config = typeof savedFilter.filterConfig === 'string'
+      ? JSON.parse(savedFilter.filterConfig)
+      : savedFilter.filterConfig;
+    setFilters({
+      ...filters,
+      status: config.status?.[0] || '',
+      priority: config.priority?.[0] || '',
+      customFields: config.customFields || {},
+    });
+  };
+
   const formatStepsForEdit = (steps) => {
     if (!steps) return '';
     return steps
-      .map(s => `${s.action}\n${s.expectedResult}${s.notes ? '\n' + s.notes : ''}`)
+      .map(s => (s.sharedStepBlockId
+        ? `[shared:${s.sharedStepBlockId}] ${s.sharedStepBlock?.name || s.action.replace(/^Shared steps: /, '')}`
+        : `${s.action}\n${s.expectedResult}${s.notes ? '\n' + s.notes : ''}`))
       .join('\n\n');
   };
 
@@ -375,6 +435,30 @@ export default function TestCaseManagement() {
               <option value="DEPRECATED">Deprecated</option>
             </select>
           </div>
+          <div className="flex items-center justify-between mt-4">
+            <div className="flex flex-wrap items-center gap-2">
+              {Object.entries(filters.customFields)
+                .filter(([, value]) => value !== null && value !== '')
+                .map(([name, value]) => (
+                  <span key={name} className="px-2 py-1 rounded bg-blue-100 text-blue-800 text-xs">
+                    {name}: {String(value)}
+                  </span>
+                ))}
+              {Object.keys(filters.customFields).length > 0 && (
+                <button
+                  onClick={() => setFilters({ ...filters, customFields: {} })}
+                  className="text-xs text-gray-600 hover:text-gray-800"
+                >
+                  Clear custom field filters
+                </button>
+              )}
+            </div>
+            <AdvancedFiltersPanel
+              resourceType="TEST_CASE"
+              projectId={projectId}
+              onFilterSelected={handleSavedFilterSelected}
+            />
+          </div>
         </div>
 
         {/* Test Cases List */}
@@ -546,6 +630,44 @@ export default function TestCaseManagement() {
                     className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:border-blue-500"
                     rows="4"
                   />
+
+                  <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <select
+                      value={selectedSharedBlockId}
+                      onChange={(e) => setSelectedSharedBlockId(e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded focus:outline-none focus:border-blue-500"
+                    >
+                      <option value="">Insert shared steps...</option>
+                      {sharedStepBlocks.map(block => (
+                        <option key={block.id} value={block.id}>
+                          {block.name} ({block.steps.length} steps, used by {block.usageCount})
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={insertSharedStepBlock}
+                      disabled={!selectedSharedBlockId}
+                      className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+                    >
+                      Insert
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => navigate(`/projects/${projectId}/shared-steps`)}
+                      className="px-3 py-2 text-blue-600 hover:underline"
+                    >
+                      Manage shared steps
+                    </button>
+                  </div>
+
+                  <CustomFieldInputs
+                    fields={customFields}
+                    values={formData.customFields}
+                    onChange={(values) => setFormData({ ...formData, customFields: values })}
+                    inputClassName="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:border-blue-500"
+                    labelClassName="block text-sm font-medium text-gray-700 mb-1"
+                  />
                 </div>
 
                 <div className="flex gap-3 mt-6">
@@ -591,6 +713,11 @@ export default function TestCaseManagement() {
                   <p className="text-gray-600 text-sm">
                     Upload a CSV file with test cases. Headers should include: Name, Description, Type, Priority, Severity, Status, Module, Tags, Preconditions, TestData, Environment
                   </p>
+                  {customFields.length > 0 && (
+                    <p className="text-gray-600 text-sm">
+                      Custom fields are read from columns named &quot;CF: &lt;field name&gt;&quot;, e.g. &quot;CF: {customFields[0].name}&quot;.
+                    </p>
+                  )}
 
                   <input
                     type="file"
@@ -0,0 +1,256 @@
+import { useEffect, useState } from 'react';
+import { apiClient } from '@/lib/apiClient';
+
+const PARAMETER_TYPES = ['STRING', 'NUMBER', 'BOOLEAN'];
+
+/**
+ * TestDataTableEditor Component
+ * Edits the parameter table of a data-driven test case.
+ * Steps use {{name}} placeholders; each row becomes its own execution in a run.
+ */
+export default function TestDataTableEditor({ projectId, testCaseId }) {
+  const [columns, setColumns] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [placeholders, setPlaceholders] = useState([]);
+  const [missingParameters, setMissingParameters] = useState([]);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const endpoint = `/api/projects/${projectId}/test-cases/${testCaseId}/data-table`;
+
+  useEffect(() => {
+    if (projectId && testCaseId) {
+      loadTable();
+    }
+  }, [projectId, testCaseId]);
+
+  const applyTable = (table) => {
+    setColumns(table.columns || []);
+    setRows((table.rows || []).map(row => ({ ...row.values })));
+    setPlaceholders(table.placeholders || []);
+    setMissingParameters(table.missingParameters || []);
+    setDirty(false);
+  };
+
+  const loadTable = async () => {
+    try {
+      setError('');
+      applyTable(await apiClient.get(endpoint));
+    } catch (err) {
+      setError(err.message || 'Failed to load test data');
+    }
+  };
+
+  const updateColumn = (index, field, value) => {
+    const previousName = columns[index].name;
+    setColumns(columns.map((column, i) => (i === index ? { ...column, [field]: value } : column)));
+    if (field === 'name') {
+      // Keep row values attached to the renamed column
+      setRows(rows.map(({ [previousName]: cell, ...rest }) => ({ ...rest, [value]: cell })));
+    }
+    setDirty(true);
+  };
+
+  const addColumn = (name = '') => {
+    setColumns([...columns, { name, type: 'STRING' }]);
+    setDirty(true);
+  };
+
+  const removeColumn = (index) => {
+    const name = columns[index].name;
+    setColumns(columns.filter((_, i) => i !== index));
+    setRows(rows.map(({ [name]: _removed, ...rest }) => rest));
+    setDirty(true);
+  };
+
+  const updateCell = (rowIndex, name, value) => {
+    setRows(rows.map((row, i) => (i === rowIndex ? { ...row, [name]: value } : row)));
+    setDirty(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      applyTable(await apiClient.put(endpoint, { columns, rows }));
+      setSuccess('Test data saved');
+    } catch (err) {
+      setError(err.message || 'Failed to save test data');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCsvUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    if (rows.length > 0 && !window.confirm('Replace the current test data with the CSV contents?')) return;
+
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      const csvContent = await file.text();
+      applyTable(await apiClient.post(`${endpoint}/import/csv`, { csvContent }));
+      setSuccess(`Imported ${file.name}`);
+    } catch (err) {
+      setError(err.message || 'Failed to import CSV');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="tt-card">
+      <div className="px-6 py-4 border-b border-[var(--border)] flex justify-between items-center">
+        <div>
+          <h3 className="text-lg font-bold">Test Data</h3>
+          <p className="text-xs text-[var(--muted)]">
+            Use {'{{name}}'} in step actions and expected results. Each row runs as its own execution.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <label className="tt-btn px-3 py-1 text-sm cursor-pointer">
+            Upload CSV
+            <input type="file" accept=".csv,text/csv" onChange={handleCsvUpload} className="hidden" />
+          </label>
+          <button
+            onClick={handleSave}
+            disabled={!dirty || saving}
+            className="tt-btn tt-btn-primary px-3 py-1 text-sm disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-4">
+        {error && <div className="text-sm text-[var(--danger)]">{error}</div>}
+        {success && <div className="text-sm text-green-600">{success}</div>}
+
+        {missingParameters.length > 0 && (
+          <div className="text-sm bg-yellow-500/10 text-yellow-700 dark:text-yellow-300 px-3 py-2 rounded flex flex-wrap items-center gap-2">
+            <span>Steps use placeholders without a column:</span>
+            {missingParameters.map(name => (
+              <button
+                key={name}
+                onClick={() => addColumn(name)}
+                disabled={columns.some(column => column.name === name)}
+                className="font-mono underline disabled:no-underline disabled:opacity-50"
+              >
+                {`{{${name}}}`}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {columns.length === 0 ? (
+          <p className="text-sm text-[var(--muted)]">
+            No parameters. The test case runs once per run.
+            {placeholders.length > 0 && ` Its steps reference ${placeholders.map(name => `{{${name}}}`).join(', ')}.`}
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-[var(--border)]">
+                  <th className="px-2 py-2 text-left text-xs text-[var(--muted)] w-10">#</th>
+                  {columns.map((column, index) => (
+                    <th key={index} className="px-2 py-2 text-left">
+                      <div className="flex gap-1">
+                        <input
+                          value={column.name}
+                          onChange={(e) => updateColumn(index, 'name', e.target.value)}
+                          placeholder="name"
+                          className="w-28 px-2 py-1 border border-[var(--border)] rounded font-mono text-xs"
+                        />
+                        <select
+                          value={column.type}
+                          onChange={(e) => updateColumn(index, 'type', e.target.value)}
+                          className="px-1 py-1 border border-[var(--border)] rounded text-xs"
+                        >
+                          {PARAMETER_TYPES.map(type => (
+                            <option key={type} value={type}>{type}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => removeColumn(index)}
+                          className="text-red-600 text-xs px-1"
+                          title="Remove parameter"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    </th>
+                  ))}
+                  <th className="w-10" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-[var(--border)]">
+                {rows.map((row, rowIndex) => (
+                  <tr key={rowIndex}>
+                    <td className="px-2 py-1 text-xs text-[var(--muted)]">{rowIndex + 1}</td>
+                    {columns.map((column, columnIndex) => (
+                      <td key={columnIndex} className="px-2 py-1">
+                        {column.type === 'BOOLEAN' ? (
+                          <select
+                            value={row[column.name] === null || row[column.name] === undefined ? '' : String(row[column.name])}
+                            onChange={(e) => updateCell(rowIndex, column.name, e.target.value)}
+                            className="w-full px-2 py-1 border border-[var(--border)] rounded"
+                          >
+                            <option value="">-</option>
+                            <option value="true">true</option>
+                            <option value="false">false</option>
+                          </select>
+                        ) : (
+                          <input
+                            type={column.type === 'NUMBER' ? 'number' : 'text'}
+                            value={row[column.name] ?? ''}
+                            onChange={(e) => updateCell(rowIndex, column.name, e.target.value)}
+                            className="w-full px-2 py-1 border border-[var(--border)] rounded"
+                          />
+                        )}
+                      </td>
+                    ))}
+                    <td className="px-2 py-1">
+                      <button
+                        onClick={() => {
+                          setRows(rows.filter((_, i) => i !== rowIndex));
+                          setDirty(true);
+                        }}
+                        className="text-red-600 text-xs"
+                        title="Remove row"
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <button onClick={() => addColumn()} className="tt-btn px-3 py-1 text-sm">
+            + Parameter
+          </button>
+          <button
+            onClick={() => {
+              setRows([...rows, {}]);
+              setDirty(true);
+            }}
+            disabled={columns.length === 0}
+            className="tt-btn px-3 py-1 text-sm disabled:opacity-50"
+          >
+            + Row
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
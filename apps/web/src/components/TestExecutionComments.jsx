@@ -1,5 +1,6 @@
 import RealtimeDiscussionModal from '@/components/RealtimeDiscussionModal';
 import { uploadExecutionEvidence } from '@/lib/evidenceUploader';
+import { isOfflineError, queueEvidenceUpload } from '@/lib/offlineExecutionQueue';
 
 /**
  * TestExecutionComments Component
@@ -9,6 +10,7 @@ import { uploadExecutionEvidence } from '@/lib/evidenceUploader';
  * @param {number|string} stepId - The execution step ID
  * @param {string} testName - The test name
  * @param {function} onClose - Callback when closing comments
+ * @param {function} onEvidenceQueued - Callback when an upload is queued until the connection returns
  */
 export default function TestExecutionComments({
   projectId,
@@ -16,18 +18,27 @@ export default function TestExecutionComments({
   stepId,
   testName,
   onClose,
+  onEvidenceQueued,
 }) {
   const handleAttachmentUpload = async (file) => {
     if (!projectId || !testExecutionId || !stepId) {
       throw new Error('Project, execution, and step are required for evidence uploads');
     }
 
-    return uploadExecutionEvidence({
-      projectId,
-      executionId: testExecutionId,
-      stepId,
-      file,
-    });
+    try {
+      return await uploadExecutionEvidence({
+        projectId,
+        executionId: testExecutionId,
+        stepId,
+        file,
+      });
+    } catch (error) {
+      if (!isOfflineError(error)) throw error;
+
+      await queueEvidenceUpload({ projectId, executionId: testExecutionId, stepId, file });
+      onEvidenceQueued?.();
+      return { metadata: { attachment: `${file.name} (uploads when back online)` } };
+    }
   };
 
   return (
@@ -0,0 +1,330 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Trash2 } from 'lucide-react';
+import { apiClient } from '@/lib/apiClient';
+import { logError } from '@/lib/errorLogger';
+
+const RESULT_STYLES = {
+  PASSED: { label: '✓', className: 'bg-green-100 text-green-800' },
+  FAILED: { label: '✗', className: 'bg-red-100 text-red-800' },
+  BLOCKED: { label: '!', className: 'bg-yellow-100 text-yellow-800' },
+  SKIPPED: { label: '–', className: 'bg-gray-200 text-gray-700' },
+  NOT_RUN: { label: '·', className: 'text-[var(--muted)]' },
+};
+
+const MAX_AXES = 3;
+const MAX_CELLS = 50;
+
+/**
+ * TestPlanMatrixPanel Component
+ * Executes a test plan across project environments x configuration axes and
+ * shows the pass/fail grid of a matrix execution, one column per cell run.
+ * @param {number} projectId - Project ID
+ * @param {number} planId - Test plan ID
+ */
+export default function TestPlanMatrixPanel({ projectId, planId }) {
+  const navigate = useNavigate();
+  const [matrices, setMatrices] = useState([]);
+  const [environments, setEnvironments] = useState([]);
+  const [selectedMatrixId, setSelectedMatrixId] = useState(null);
+  const [results, setResults] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ name: '', buildVersion: '', environments: [], axes: [] });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const endpoint = `/api/projects/${projectId}/test-plans/${planId}/matrix-runs`;
+
+  useEffect(() => {
+    if (projectId && planId) {
+      loadMatrices();
+    }
+  }, [projectId, planId]);
+
+  useEffect(() => {
+    if (selectedMatrixId) {
+      loadResults(selectedMatrixId);
+    } else {
+      setResults(null);
+    }
+  }, [selectedMatrixId]);
+
+  const loadMatrices = async (selectId = null) => {
+    try {
+      const response = await apiClient.get(endpoint);
+      setMatrices(response.matrices || []);
+      setEnvironments(response.environments || []);
+      setSelectedMatrixId(selectId || response.matrices?.[0]?.id || null);
+    } catch (err) {
+      logError(err, 'TestPlanMatrixPanel.loadMatrices');
+      setError(err.message || 'Failed to load matrix runs');
+    }
+  };
+
+  const loadResults = async (matrixId) => {
+    try {
+      setResults(await apiClient.get(`${endpoint}/${matrixId}`));
+    } catch (err) {
+      logError(err, 'TestPlanMatrixPanel.loadResults');
+      setError(err.message || 'Failed to load matrix results');
+    }
+  };
+
+  const toggleEnvironment = (name) => {
+    setForm({
+      ...form,
+      environments: form.environments.includes(name)
+        ? form.environments.filter(env => env !== name)
+        : [...form.environments, name],
+    });
+  };
+
+  const updateAxis = (index, changes) => {
+    setForm({
+      ...form,
+      axes: form.axes.map((axis, i) => (i === index ? { ...axis, ...changes } : axis)),
+    });
+  };
+
+  const axisValues = (axis) => [...new Set(axis.values.split(',').map(value => value.trim()).filter(Boolean))];
+
+  const filledAxes = form.axes.filter(axis => axis.name.trim() && axisValues(axis).length > 0);
+  const cellCount = form.environments.length * filledAxes.reduce((count, axis) => count * axisValues(axis).length, 1);
+
+  const handleExecute = async () => {
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await apiClient.post(endpoint, {
+        name: form.name.trim() || undefined,
+        buildVersion: form.buildVersion.trim() || undefined,
+        environments: form.environments,
+        configurations: Object.fromEntries(filledAxes.map(axis => [axis.name.trim(), axisValues(axis)])),
+      });
+      setShowForm(false);
+      setForm({ name: '', buildVersion: '', environments: [], axes: [] });
+      await loadMatrices(response.matrix.id);
+    } catch (err) {
+      logError(err, 'TestPlanMatrixPanel.execute');
+      setError(err.message || 'Failed to start matrix run');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="tt-card">
+      <div className="px-6 py-4 border-b border-[var(--border)] flex justify-between items-center">
+        <h2 className="text-xl font-bold">Environment Matrix</h2>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="tt-btn tt-btn-primary px-4 py-2 text-sm"
+          >
+            ▶ Run Matrix
+          </button>
+        )}
+      </div>
+
+      <div className="p-6 space-y-4">
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900 border border-red-200 text-red-800 dark:text-red-200 px-4 py-3 rounded text-sm">
+            {error}
+          </div>
+        )}
+
+        {showForm && (
+          <div className="p-4 border border-[var(--border)] rounded space-y-4 text-sm">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <input
+                value={form.name}
+                onChange={e => setForm({ ...form, name: e.target.value })}
+                placeholder="Matrix name (optional)"
+                className="px-3 py-2 border border-[var(--border)] rounded bg-[var(--input-bg)]"
+              />
+              <input
+                value={form.buildVersion}
+                onChange={e => setForm({ ...form, buildVersion: e.target.value })}
+                placeholder="Build version (optional)"
+                className="px-3 py-2 border border-[var(--border)] rounded bg-[var(--input-bg)]"
+              />
+            </div>
+
+            <div>
+              <p className="font-medium mb-2">Environments</p>
+              {environments.length === 0 ? (
+                <p className="text-xs text-[var(--muted)]">
+                  This project has no active environments. An admin can add them under project settings.
+                </p>
+              ) : (
+                <div className="flex flex-wrap gap-3">
+                  {environments.map(env => (
+                    <label key={env.id} className="flex items-center gap-1" title={env.description || ''}>
+                      <input
+                        type="checkbox"
+                        checked={form.environments.includes(env.name)}
+                        onChange={() => toggleEnvironment(env.name)}
+                      />
+                      {env.name}
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <p className="font-medium">Configurations</p>
+              {form.axes.map((axis, index) => (
+                <div key={index} className="flex gap-2 items-center">
+                  <input
+                    value={axis.name}
+                    onChange={e => updateAxis(index, { name: e.target.value })}
+                    placeholder="Axis (e.g. Browser)"
+                    className="w-40 px-2 py-1 border border-[var(--border)] rounded bg-[var(--input-bg)]"
+                  />
+                  <input
+                    value={axis.values}
+                    onChange={e => updateAxis(index, { values: e.target.value })}
+                    placeholder="Values, comma separated (e.g. Chrome, Firefox, Safari)"
+                    className="flex-1 px-2 py-1 border border-[var(--border)] rounded bg-[var(--input-bg)]"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setForm({ ...form, axes: form.axes.filter((_, i) => i !== index) })}
+                    className="text-red-500 hover:text-red-700 p-1"
+                    title="Remove axis"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+              {form.axes.length < MAX_AXES && (
+                <button
+                  type="button"
+                  onClick={() => setForm({ ...form, axes: [...form.axes, { name: '', values: '' }] })}
+                  className="text-xs px-2 py-1 border border-[var(--border)] rounded"
+                >
+                  + Add axis
+                </button>
+              )}
+            </div>
+
+            <div className="flex justify-between items-center pt-2 border-t border-[var(--border)]">
+              <span className={`text-xs ${cellCount > MAX_CELLS ? 'text-[var(--danger)]' : 'text-[var(--muted)]'}`}>
+                {cellCount} test {cellCount === 1 ? 'run' : 'runs'} will be created
+                {cellCount > MAX_CELLS && ` (at most ${MAX_CELLS})`}
+              </span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setShowForm(false)}
+                  disabled={submitting}
+                  className="tt-btn tt-btn-outline px-4 py-2 text-sm"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleExecute}
+                  disabled={submitting || cellCount === 0 || cellCount > MAX_CELLS}
+                  className="tt-btn tt-btn-primary px-4 py-2 text-sm disabled:opacity-50"
+                >
+                  {submitting ? 'Creating Runs...' : 'Start Matrix'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {matrices.length === 0 ? (
+          !showForm && (
+            <p className="text-sm text-[var(--muted)]">
+              Run this plan once per environment and configuration, such as browser × OS, and compare results side by side.
+            </p>
+          )
+        ) : (
+          <div className="flex items-center gap-3 text-sm">
+            <label className="text-[var(--muted)]">Matrix run</label>
+            <select
+              value={selectedMatrixId || ''}
+              onChange={e => setSelectedMatrixId(Number(e.target.value))}
+              className="px-2 py-1 border border-[var(--border)] rounded bg-[var(--input-bg)]"
+            >
+              {matrices.map(matrix => (
+                <option key={matrix.id} value={matrix.id}>
+                  {matrix.name} ({matrix.runs.length} runs{matrix.buildVersion ? `, ${matrix.buildVersion}` : ''})
+                </option>
+              ))}
+            </select>
+            {results && (
+              <span className="text-xs text-[var(--muted)]">
+                {results.summary.completedCells}/{results.summary.cells} runs completed
+                {results.summary.inconsistent > 0 && ` • ${results.summary.inconsistent} cases differ between cells`}
+              </span>
+            )}
+          </div>
+        )}
+
+        {results && results.cells.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-[var(--bg-elevated)] border-b border-[var(--border)]">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-[var(--muted)] uppercase">Test Case</th>
+                  {results.cells.map(cell => (
+                    <th
+                      key={cell.runId}
+                      onClick={() => navigate(`/test-run/${cell.runId}`)}
+                      className="px-3 py-2 text-center text-xs font-medium cursor-pointer hover:bg-[var(--hover-bg)]"
+                      title={`${cell.name} (${cell.status})`}
+                    >
+                      <div>{cell.environment}</div>
+                      {Object.entries(cell.configuration).map(([axis, value]) => (
+                        <div key={axis} className="text-[var(--muted)] font-normal">{value}</div>
+                      ))}
+                      <div className={`mt-1 ${cell.failed > 0 ? 'text-red-600' : 'text-[var(--muted)]'}`}>
+                        {cell.passRate}%
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-[var(--border)]">
+                {results.rows.map(row => (
+                  <tr
+                    key={`${row.testCaseId}:${row.dataRowNumber ?? ''}`}
+                    className={row.inconsistent ? 'bg-amber-500/10' : ''}
+                  >
+                    <td className="px-4 py-2">
+                      {row.inconsistent && <span className="mr-1" title="Results differ between cells">⚠</span>}
+                      {row.testCaseName}
+                      {row.dataRowNumber != null && (
+                        <span className="ml-1 text-xs text-[var(--muted)]">row {row.dataRowNumber}</span>
+                      )}
+                    </td>
+                    {row.results.map((result, index) => {
+                      const style = RESULT_STYLES[result?.status] || RESULT_STYLES.NOT_RUN;
+                      return (
+                        <td key={results.cells[index].runId} className="px-3 py-2 text-center">
+                          {result ? (
+                            <button
+                              onClick={() => navigate(`/test-execution/${result.executionId}`)}
+                              className={`inline-block w-7 py-0.5 rounded text-xs font-semibold ${style.className}`}
+                              title={result.status}
+                            >
+                              {style.label}
+                            </button>
+                          ) : (
+                            <span className="text-[var(--muted)]">—</span>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
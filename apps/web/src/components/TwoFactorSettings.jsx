@@ -0,0 +1,245 @@
+import { useEffect, useState } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { apiClient } from '@/lib/apiClient';
+import { logError } from '@/lib/errorLogger';
+import RecoveryCodes from '@/components/RecoveryCodes';
+
+const inputClassName = 'w-full px-4 py-2 rounded-lg border border-[var(--border)] bg-[var(--bg)] text-[var(--foreground)] focus:outline-none focus:ring-2 focus:ring-[var(--primary)]';
+
+/**
+ * TwoFactorSettings Component
+ * Lets the signed-in user turn TOTP two-factor authentication on (QR code plus
+ * confirmation code) or off, and replace their recovery codes.
+ */
+export default function TwoFactorSettings() {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  // 'disable' or 'regenerate' while the matching form is open
+  const [action, setAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const loadStatus = async () => {
+    try {
+      const response = await apiClient.get('/api/auth/mfa');
+      setStatus(response);
+    } catch (err) {
+      logError(err, 'TwoFactorSettings.loadStatus');
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const resetForm = () => {
+    setAction(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const run = async (request, successText) => {
+    setBusy(true);
+    setMessage({ type: '', text: '' });
+    try {
+      const response = await request();
+      setMessage({ type: 'success', text: successText });
+      return response;
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message || 'Request failed' });
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = async () => {
+    setRecoveryCodes([]);
+    const response = await run(() => apiClient.post('/api/auth/mfa/enroll', {}), 'Scan the QR code to continue.');
+    if (response) {
+      setEnrollment(response);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    const response = await run(
+      () => apiClient.post('/api/auth/mfa/enroll/confirm', { code: code.trim() }),
+      'Two-factor authentication is now on.',
+    );
+    if (response) {
+      setEnrollment(null);
+      setRecoveryCodes(response.recoveryCodes);
+      resetForm();
+      loadStatus();
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    const response = await run(
+      () => apiClient.post('/api/auth/mfa/disable', { password, code: code.trim() }),
+      'Two-factor authentication is now off.',
+    );
+    if (response) {
+      setRecoveryCodes([]);
+      resetForm();
+      loadStatus();
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    const response = await run(
+      () => apiClient.post('/api/auth/mfa/recovery-codes', { code: code.trim() }),
+      'New recovery codes issued. The old ones no longer work.',
+    );
+    if (response) {
+      setRecoveryCodes(response.recoveryCodes);
+      resetForm();
+      loadStatus();
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="tt-card p-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5 text-[var(--muted)]" />
+          Two-Factor Authentication
+        </h2>
+        <span
+          className={`px-3 py-1 rounded-full text-xs font-semibold ${
+            status.enabled
+              ? 'bg-emerald-500/10 text-emerald-600 dark:text-emerald-300'
+              : 'bg-gray-500/10 text-gray-600 dark:text-gray-300'
+          }`}
+        >
+          {status.enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+
+      <p className="text-sm text-[var(--muted)] mb-4">
+        {status.enabled
+          ? `Enabled since ${new Date(status.enabledAt).toLocaleDateString()}. ${status.recoveryCodesRemaining} recovery code(s) left.`
+          : 'Require a code from an authenticator app in addition to your password when you sign in.'}
+        {status.required && ' Your role requires two-factor authentication.'}
+      </p>
+
+      {message.text && (
+        <p
+          className={`text-sm mb-4 ${
+            message.type === 'success' ? 'text-[var(--success)]' : 'text-[var(--danger)]'
+          }`}
+        >
+          {message.text}
+        </p>
+      )}
+
+      {recoveryCodes.length > 0 && (
+        <div className="mb-4">
+          <RecoveryCodes codes={recoveryCodes} />
+        </div>
+      )}
+
+      {!status.enabled && !enrollment && (
+        <button onClick={handleStart} disabled={busy} className="tt-btn tt-btn-primary">
+          Enable 2FA
+        </button>
+      )}
+
+      {enrollment && (
+        <form onSubmit={handleConfirm} className="space-y-4">
+          <div className="flex flex-col sm:flex-row gap-4 items-start">
+            <img
+              src={enrollment.qrCode}
+              alt="Two-factor authentication QR code"
+              className="h-44 w-44 rounded-lg bg-white p-2"
+            />
+            <div className="text-sm space-y-2">
+              <p>Scan the QR code with an authenticator app, then enter the 6-digit code it shows.</p>
+              <p className="text-xs text-[var(--muted)] break-all">
+                Or enter this key manually: <span className="font-mono">{enrollment.secret}</span>
+              </p>
+            </div>
+          </div>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={inputClassName}
+            placeholder="123456"
+            required
+          />
+          <div className="flex gap-3">
+            <button type="submit" disabled={busy} className="tt-btn tt-btn-primary">
+              {busy ? 'Verifying...' : 'Verify and enable'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setEnrollment(null);
+                resetForm();
+              }}
+              className="tt-btn tt-btn-outline"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && !action && (
+        <div className="flex flex-wrap gap-3">
+          <button onClick={() => setAction('regenerate')} className="tt-btn tt-btn-outline">
+            New recovery codes
+          </button>
+          {!status.required && (
+            <button onClick={() => setAction('disable')} className="tt-btn tt-btn-outline text-[var(--danger)]">
+              Disable 2FA
+            </button>
+          )}
+        </div>
+      )}
+
+      {status.enabled && action && (
+        <form onSubmit={action === 'disable' ? handleDisable : handleRegenerate} className="space-y-4">
+          {action === 'disable' && (
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClassName}
+              placeholder="Current password"
+              required
+            />
+          )}
+          <input
+            type="text"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={inputClassName}
+            placeholder="Authenticator or recovery code"
+            required
+          />
+          <div className="flex gap-3">
+            <button type="submit" disabled={busy} className="tt-btn tt-btn-primary">
+              {action === 'disable' ? 'Disable 2FA' : 'Issue new codes'}
+            </button>
+            <button type="button" onClick={resetForm} className="tt-btn tt-btn-outline">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
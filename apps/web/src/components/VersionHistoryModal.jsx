@@ -1,13 +1,15 @@
 import { useState, useEffect } from 'react';
 import axios from 'axios';
 
-const VersionHistoryModal = ({ isOpen, onClose, testCaseId, project }) => {
+const VersionHistoryModal = ({ isOpen, onClose, testCaseId, project, onRestored }) => {
   const [versions, setVersions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [selectedVersions, setSelectedVersions] = useState([]);
   const [showComparison, setShowComparison] = useState(false);
   const [comparisonData, setComparisonData] = useState(null);
+  const [restorePreview, setRestorePreview] = useState(null);
+  const [restoring, setRestoring] = useState(false);
 
   useEffect(() => {
     if (isOpen && testCaseId) {
@@ -67,12 +69,189 @@ const VersionHistoryModal = ({ isOpen, onClose, testCaseId, project }) => {
     }
   };
 
+  const handleRestorePreview = async (versionNumber) => {
+    setLoading(true);
+    setError('');
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(
+        `${import.meta.env.VITE_API_URL || 'http://localhost:3000'}/api/projects/${project.id}/test-cases/${testCaseId}/versions/${versionNumber}/diff`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+      setRestorePreview(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load version changes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    setRestoring(true);
+    setError('');
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `${import.meta.env.VITE_API_URL || 'http://localhost:3000'}/api/projects/${project.id}/test-cases/${testCaseId}/versions/${restorePreview.version.versionNumber}/restore`,
+        {},
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+      setRestorePreview(null);
+      setSelectedVersions([]);
+      await fetchVersions();
+      onRestored?.(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore version');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
   const formatDate = (date) => {
     return new Date(date).toLocaleString();
   };
 
+  const formatValue = (value) => {
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'N/A';
+    return value === null || value === undefined || value === '' ? 'N/A' : String(value);
+  };
+
+  const stepChangeStyles = {
+    ADDED: 'bg-green-50',
+    REMOVED: 'bg-red-50',
+    MODIFIED: 'bg-orange-50',
+    UNCHANGED: '',
+  };
+
   if (!isOpen) return null;
 
+  if (restorePreview) {
+    const { version, fields, steps, hasChanges } = restorePreview;
+
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] overflow-y-auto p-6">
+          <div className="flex justify-between items-start mb-6">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">Restore Version {version.versionNumber}</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                Review what will change. The current test case is saved as a new version before restoring.
+              </p>
+            </div>
+            <button
+              onClick={() => setRestorePreview(null)}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+              <p className="text-sm text-red-600">{error}</p>
+            </div>
+          )}
+
+          {!hasChanges ? (
+            <div className="p-4 bg-green-50 border border-green-200 rounded-md">
+              <p className="text-sm text-green-800">✓ The test case already matches this version</p>
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {fields.length > 0 && (
+                <div>
+                  <h3 className="font-semibold text-gray-900 mb-2">Fields</h3>
+                  <table className="w-full text-sm border">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left">Field</th>
+                        <th className="px-3 py-2 text-left">Current</th>
+                        <th className="px-3 py-2 text-left">After Restore</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {fields.map((change) => (
+                        <tr key={change.field} className="border-t">
+                          <td className="px-3 py-2 font-medium">{change.field}</td>
+                          <td className="px-3 py-2 text-red-700">{formatValue(change.current)}</td>
+                          <td className="px-3 py-2 text-green-700">{formatValue(change.version)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <div>
+                <h3 className="font-semibold text-gray-900 mb-2">Steps</h3>
+                {steps.length === 0 ? (
+                  <p className="text-sm text-gray-500">Neither state has steps</p>
+                ) : (
+                  <table className="w-full text-sm border">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left">#</th>
+                        <th className="px-3 py-2 text-left">Change</th>
+                        <th className="px-3 py-2 text-left">Current</th>
+                        <th className="px-3 py-2 text-left">After Restore</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {steps.map((step) => (
+                        <tr key={step.stepNumber} className={`border-t align-top ${stepChangeStyles[step.change]}`}>
+                          <td className="px-3 py-2">{step.stepNumber}</td>
+                          <td className="px-3 py-2 text-xs font-semibold">{step.change}</td>
+                          <td className="px-3 py-2">
+                            {step.current ? (
+                              <>
+                                <p>{step.current.action}</p>
+                                <p className="text-xs text-gray-500">Expected: {step.current.expectedResult}</p>
+                              </>
+                            ) : '—'}
+                          </td>
+                          <td className="px-3 py-2">
+                            {step.version ? (
+                              <>
+                                <p>{step.version.action}</p>
+                                <p className="text-xs text-gray-500">Expected: {step.version.expectedResult}</p>
+                              </>
+                            ) : '—'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            </div>
+          )}
+
+          <div className="mt-6 flex justify-end gap-3">
+            <button
+              onClick={() => setRestorePreview(null)}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleRestore}
+              disabled={restoring || !hasChanges}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-60"
+            >
+              {restoring ? 'Restoring...' : `Restore Version ${version.versionNumber}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (showComparison && comparisonData) {
     return (
       <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
@@ -93,9 +272,9 @@ const VersionHistoryModal = ({ isOpen, onClose, testCaseId, project }) => {
             {/* Version 1 */}
             <div className="border rounded-lg p-4">
               <div className="mb-3 pb-3 border-b">
-                <h3 className="font-semibold text-lg text-blue-600">Version {comparisonData.version1.version}</h3>
+                <h3 className="font-semibold text-lg text-blue-600">Version {comparisonData.version1.versionNumber}</h3>
                 <p className="text-sm text-gray-600">
-                  {formatDate(comparisonData.version1.createdAt)} by {comparisonData.version1.user.name}
+                  {formatDate(comparisonData.version1.createdAt)} by {comparisonData.version1.user?.name || 'Unknown'}
                 </p>
               </div>
 
@@ -129,7 +308,7 @@ const VersionHistoryModal = ({ isOpen, onClose, testCaseId, project }) => {
                   <div>
                     <p className="text-sm font-medium text-orange-600">Steps (Changed)</p>
                     <div className="text-sm bg-orange-50 p-2 rounded mt-1">
-                      {JSON.parse(comparisonData.version1.steps || '[]').length} step(s)
+                      {(comparisonData.version1.steps || []).length} step(s)
                     </div>
                   </div>
                 )}
@@ -139,9 +318,9 @@ const VersionHistoryModal = ({ isOpen, onClose, testCaseId, project }) => {
             {/* Version 2 */}
             <div className="border rounded-lg p-4">
               <div className="mb-3 pb-3 border-b">
-                <h3 className="font-semibold text-lg text-green-600">Version {comparisonData.version2.version}</h3>
+                <h3 className="font-semibold text-lg text-green-600">Version {comparisonData.version2.versionNumber}</h3>
                 <p className="text-sm text-gray-600">
-                  {formatDate(comparisonData.version2.createdAt)} by {comparisonData.version2.user.name}
+                  {formatDate(comparisonData.version2.createdAt)} by {comparisonData.version2.user?.name || 'Unknown'}
                 </p>
               </div>
 
@@ -175,7 +354,7 @@ const VersionHistoryModal = ({ isOpen, onClose, testCaseId, project }) => {
                   <div>
                     <p className="text-sm font-medium text-orange-600">Steps (Changed)</p>
                     <div className="text-sm bg-orange-50 p-2 rounded mt-1">
-                      {JSON.parse(comparisonData.version2.steps || '[]').length} step(s)
+                      {(comparisonData.version2.steps || []).length} step(s)
                     </div>
                   </div>
                 )}
@@ -208,7 +387,7 @@ const VersionHistoryModal = ({ isOpen, onClose, testCaseId, project }) => {
         <div className="flex justify-between items-start mb-6">
           <div>
             <h2 className="text-2xl font-bold text-gray-900">Version History</h2>
-            <p className="text-sm text-gray-600 mt-1">Select two versions to compare</p>
+            <p className="text-sm text-gray-600 mt-1">Select two versions to compare, or restore a previous version</p>
           </div>
           <button
             onClick={onClose}
@@ -261,21 +440,34 @@ const VersionHistoryModal = ({ isOpen, onClose, testCaseId, project }) => {
                   <div className="flex-1">
                     <div className="flex items-center gap-3">
                       <span className="inline-flex items-center justify-center w-8 h-8 rounded-full bg-gray-200 text-sm font-semibold">
-                        v{version.version}
+                        v{version.versionNumber}
                       </span>
                       <div>
                         <h4 className="font-semibold text-gray-900">{version.name}</h4>
                         <p className="text-sm text-gray-600">
-                          {formatDate(version.createdAt)} by {version.user.name}
+                          {formatDate(version.createdAt)} by {version.user?.name || 'Unknown'}
                         </p>
+                        {version.changeNote && (
+                          <p className="text-sm text-gray-500 italic">{version.changeNote}</p>
+                        )}
                       </div>
                     </div>
                     <div className="mt-3 flex gap-4 text-sm text-gray-600">
                       <span className="px-2 py-1 bg-gray-100 rounded">{version.type}</span>
                       <span className="px-2 py-1 bg-gray-100 rounded">{version.priority}</span>
                       <span className="px-2 py-1 bg-gray-100 rounded">{version.status}</span>
+                      <span className="px-2 py-1 bg-gray-100 rounded">{(version.steps || []).length} step(s)</span>
                     </div>
                   </div>
+                  <button
+                    onClick={(event) => {
+                      event.stopPropagation();
+                      handleRestorePreview(version.versionNumber);
+                    }}
+                    className="ml-4 px-3 py-1 text-sm border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50 transition-colors"
+                  >
+                    Restore
+                  </button>
                   {selectedVersions.includes(version.id) && (
                     <div className="ml-4">
                       <svg className="w-6 h-6 text-blue-600" fill="currentColor" viewBox="0 0 20 20">
@@ -8,6 +8,7 @@ const WebhookManagement = ({ project }) => {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [selectedWebhook, setSelectedWebhook] = useState(null);
   const [showDeliveriesModal, setShowDeliveriesModal] = useState(false);
+  const [revealedSecretId, setRevealedSecretId] = useState(null);
 
   useEffect(() => {
     if (project) {
@@ -70,14 +71,18 @@ const WebhookManagement = ({ project }) => {
   const handleTest = async (webhookId) => {
     try {
       const token = localStorage.getItem('token');
-      await axios.post(
+      const response = await axios.post(
         `${import.meta.env.VITE_API_URL || 'http://localhost:3000'}/api/projects/${project.id}/webhooks/${webhookId}/test`,
         {},
         {
           headers: { Authorization: `Bearer ${token}` },
         },
       );
-      alert('Test webhook sent successfully!');
+      const { delivery } = response.data;
+      alert(delivery.status === 'SUCCESS'
+        ? 'Test webhook delivered successfully!'
+        : `Test webhook failed: ${delivery.errorMessage || delivery.status}`);
+      fetchWebhooks();
     } catch (err) {
       alert(err.response?.data?.error || 'Failed to send test webhook');
     }
@@ -153,7 +158,17 @@ const WebhookManagement = ({ project }) => {
                       </span>
                     )}
                   </div>
-                  <p className="text-sm text-gray-600 mb-3">{webhook.url}</p>
+                  <p className="text-sm text-gray-600 mb-1">{webhook.url}</p>
+                  <p className="text-xs text-gray-500 mb-3">
+                    Signing secret:{' '}
+                    {revealedSecretId === webhook.id ? (
+                      <code className="font-mono break-all">{webhook.secret}</code>
+                    ) : (
+                      <button onClick={() => setRevealedSecretId(webhook.id)} className="text-blue-600 hover:underline">
+                        Show
+                      </button>
+                    )}
+                  </p>
                   {webhook.description && (
                     <p className="text-sm text-gray-500 mb-3">{webhook.description}</p>
                   )}
@@ -404,6 +419,7 @@ function CreateWebhookModal({ project, onClose, onSuccess }) {
 function DeliveriesModal({ webhook, project, onClose }) {
   const [deliveries, setDeliveries] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [redeliveringId, setRedeliveringId] = useState(null);
 
   useEffect(() => {
     fetchDeliveries();
@@ -427,6 +443,25 @@ function DeliveriesModal({ webhook, project, onClose }) {
     }
   };
 
+  const handleRedeliver = async (deliveryId) => {
+    setRedeliveringId(deliveryId);
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(
+        `${import.meta.env.VITE_API_URL || 'http://localhost:3000'}/api/projects/${project.id}/webhooks/${webhook.id}/deliveries/${deliveryId}/redeliver`,
+        {},
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+      fetchDeliveries();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to redeliver webhook');
+    } finally {
+      setRedeliveringId(null);
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'SUCCESS':
@@ -435,7 +470,7 @@ function DeliveriesModal({ webhook, project, onClose }) {
         return 'bg-red-100 text-red-800';
       case 'PENDING':
         return 'bg-yellow-100 text-yellow-800';
-      case 'RETRYING':
+      case 'DELIVERING':
         return 'bg-blue-100 text-blue-800';
       default:
         return 'bg-gray-100 text-gray-800';
@@ -475,8 +510,21 @@ function DeliveriesModal({ webhook, project, onClose }) {
                       {delivery.status}
                     </span>
                     <span className="text-sm font-medium text-gray-700">{delivery.event.replace(/_/g, ' ')}</span>
+                    {delivery.redeliveredFromId && (
+                      <span className="text-xs text-gray-500">Redelivery of #{delivery.redeliveredFromId}</span>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <div className="text-xs text-gray-500">{new Date(delivery.createdAt).toLocaleString()}</div>
+                    <button
+                      onClick={() => handleRedeliver(delivery.id)}
+                      disabled={redeliveringId !== null || delivery.status === 'DELIVERING' || !webhook.isActive}
+                      title={webhook.isActive ? 'Send this payload again' : 'Enable the webhook to redeliver'}
+                      className="px-2 py-1 text-xs border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      {redeliveringId === delivery.id ? 'Sending...' : 'Redeliver'}
+                    </button>
                   </div>
-                  <div className="text-xs text-gray-500">{new Date(delivery.createdAt).toLocaleString()}</div>
                 </div>
                 <div className="grid grid-cols-3 gap-4 text-sm">
                   {delivery.responseCode && (
@@ -498,6 +546,11 @@ function DeliveriesModal({ webhook, project, onClose }) {
                     </div>
                   )}
                 </div>
+                {delivery.status === 'PENDING' && delivery.nextRetryAt && (
+                  <p className="mt-2 text-xs text-gray-500">
+                    Next attempt: {new Date(delivery.nextRetryAt).toLocaleString()}
+                  </p>
+                )}
                 {delivery.errorMessage && (
                   <div className="mt-2 p-2 bg-red-50 rounded text-xs text-red-600">
                     {delivery.errorMessage}
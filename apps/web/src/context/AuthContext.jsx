@@ -117,6 +117,16 @@ export function AuthProvider({ children }) {
         throw new Error(data.error || data.message || 'Login failed');
       }
 
+      // Password accepted; the session is issued after the two-factor step
+      if (data.mfaRequired) {
+        return {
+          success: true,
+          mfaRequired: true,
+          mfaToken: data.mfaToken,
+          mfaEnrollmentRequired: !!data.mfaEnrollmentRequired,
+        };
+      }
+
       const { token: newToken, user: newUser } = data;
       setToken(newToken);
       setUser(newUser);
@@ -134,6 +144,107 @@ export function AuthProvider({ children }) {
     }
   }, [clearAuth]);
 
+  const completeMfaLogin = useCallback(async (mfaToken, code) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/login/mfa`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mfaToken, code }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Verification failed');
+      }
+
+      const { token: newToken, user: newUser } = data;
+      setToken(newToken);
+      setUser(newUser);
+
+      localStorage.setItem('token', newToken);
+      localStorage.setItem('user', JSON.stringify(newUser));
+
+      return { success: true, user: newUser, recoveryCodes: data.recoveryCodes || [] };
+    } catch (err) {
+      const message = err instanceof Error ? err.message : 'Verification failed';
+      setError(message);
+      return { success: false, error: message };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // The identity provider already authenticated the user; trade its one-time token for a session
+  const completeSsoLogin = useCallback(async (ssoToken) => {
+    setLoading(true);
+    setError(null);
+    clearAuth();
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/sso/complete`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ssoToken }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Single sign-on failed');
+      }
+
+      // Same two-factor step as a password login, finished on the login page
+      if (data.mfaRequired) {
+        return {
+          success: true,
+          mfaRequired: true,
+          mfaToken: data.mfaToken,
+          mfaEnrollmentRequired: !!data.mfaEnrollmentRequired,
+        };
+      }
+
+      const { token: newToken, user: newUser } = data;
+      setToken(newToken);
+      setUser(newUser);
+
+      localStorage.setItem('token', newToken);
+      localStorage.setItem('user', JSON.stringify(newUser));
+
+      return { success: true, user: newUser };
+    } catch (err) {
+      const message = err instanceof Error ? err.message : 'Single sign-on failed';
+      setError(message);
+      return { success: false, error: message };
+    } finally {
+      setLoading(false);
+    }
+  }, [clearAuth]);
+
+  const startMfaLoginEnrollment = useCallback(async (mfaToken) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/login/mfa/enroll`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mfaToken }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Could not start two-factor setup');
+      }
+
+      return { success: true, ...data };
+    } catch (err) {
+      const message = err instanceof Error ? err.message : 'Could not start two-factor setup';
+      return { success: false, error: message };
+    }
+  }, []);
+
   const logout = useCallback(async () => {
     setLoading(true);
     setError(null);
@@ -233,6 +344,9 @@ export function AuthProvider({ children }) {
     isAuthenticated,
     signup,
     login,
+    completeMfaLogin,
+    completeSsoLogin,
+    startMfaLoginEnrollment,
     logout,
     logoutAll,
     updateUser,
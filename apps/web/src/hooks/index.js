@@ -4,4 +4,5 @@ export { useFetch } from './useFetch';
 export { useSocket } from './useSocket';
 export { useTheme } from './useTheme';
 export { useBug } from './useBug';
-export { useBugList } from './useBugList';
\ No newline at end of file
+export { useBugList } from './useBugList';
+export { useCustomFields } from './useCustomFields';
\ No newline at end of file
@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import { apiClient } from '../lib/apiClient';
+
+/**
+ * Custom hook that loads the custom fields of a project for test cases or bugs
+ * @param {number|string} projectId - Project ID
+ * @param {string} entityType - TEST_CASE or BUG
+ */
+export function useCustomFields(projectId, entityType) {
+  const [fields, setFields] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!projectId) {
+      setFields([]);
+      return;
+    }
+
+    let cancelled = false;
+    apiClient
+      .get(`/api/projects/${projectId}/custom-fields?entityType=${entityType}`)
+      .then((response) => {
+        if (!cancelled) {
+          setFields(response.data || []);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load custom fields');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId, entityType]);
+
+  /**
+   * Fill in values the form leaves implicit: untouched checkboxes are sent as false
+   * @param {Object} current - Values entered in the form
+   */
+  const applyDefaults = (current = {}) =>
+    fields.reduce((acc, field) => {
+      if (field.fieldType === 'CHECKBOX' && acc[field.name] === undefined) {
+        acc[field.name] = false;
+      }
+      return acc;
+    }, { ...current });
+
+  return { fields, error, applyDefaults };
+}
@@ -1,24 +1,67 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
+import { getTimerState, saveTimerState, clearTimerState } from '@/lib/offlineExecutionQueue';
+
+// How often a running timer is written to local storage
+const PERSIST_INTERVAL_SECONDS = 5;
 
 /**
  * Custom hook for execution timer
+ * With an executionId, the timer state is kept on this device so it survives
+ * reloads and lost connections; it takes precedence over the server start time.
  */
-export function useExecutionTimer(startTime = null) {
+export function useExecutionTimer(startTime = null, executionId = null) {
   const [seconds, setSeconds] = useState(0);
   const [isRunning, setIsRunning] = useState(true);
   const [isPaused, setIsPaused] = useState(false);
   const [lastSaved, setLastSaved] = useState(null);
   const timerRef = useRef(null);
   const startTimeRef = useRef(startTime || new Date());
+  const restoredRef = useRef(false);
+  const [restoreDone, setRestoreDone] = useState(!executionId);
+
+  // Restore the locally saved timer state
+  useEffect(() => {
+    if (!executionId) return;
+    let cancelled = false;
+
+    getTimerState(executionId)
+      .then((saved) => {
+        if (cancelled || !saved) return;
+        restoredRef.current = true;
+        const elapsedSinceSave = saved.isPaused ? 0 : Math.floor((Date.now() - saved.savedAt) / 1000);
+        setSeconds(saved.seconds + elapsedSinceSave);
+        setIsPaused(saved.isPaused);
+      })
+      .catch((err) => console.error('Failed to restore timer state:', err))
+      .finally(() => {
+        if (!cancelled) setRestoreDone(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [executionId]);
 
   // Initialize with elapsed time if startTime provided
   useEffect(() => {
-    if (startTime) {
+    if (startTime && !restoredRef.current) {
       const elapsed = Math.floor((Date.now() - new Date(startTime).getTime()) / 1000);
       setSeconds(elapsed);
     }
   }, [startTime]);
 
+  // Persist periodically while running
+  useEffect(() => {
+    if (!executionId || !restoreDone || !isRunning || seconds % PERSIST_INTERVAL_SECONDS !== 0) return;
+    saveTimerState(executionId, { seconds, isPaused }).catch((err) => console.error('Failed to save timer state:', err));
+  }, [seconds]);
+
+  // Persist immediately on pause and resume
+  useEffect(() => {
+    if (!executionId || !restoreDone || !isRunning) return;
+    saveTimerState(executionId, { seconds, isPaused }).catch((err) => console.error('Failed to save timer state:', err));
+  }, [isPaused, restoreDone]);
+
   // Timer interval
   useEffect(() => {
     if (!isRunning || isPaused) {
@@ -52,7 +95,10 @@ export function useExecutionTimer(startTime = null) {
     if (timerRef.current) {
       clearInterval(timerRef.current);
     }
-  }, []);
+    if (executionId) {
+      clearTimerState(executionId).catch((err) => console.error('Failed to clear timer state:', err));
+    }
+  }, [executionId]);
 
   const reset = useCallback(() => {
     setSeconds(0);
@@ -0,0 +1,154 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiClient } from '@/lib/apiClient';
+import { useAuth } from '@/hooks/useAuth';
+import {
+  connectSocket,
+  joinRunBoard,
+  leaveRunBoard,
+  lockExecution,
+  unlockExecution,
+  onRunBoardEvent,
+} from '@/lib/socketClient';
+
+/**
+ * Helper: Run the callback on every (re)connection of the shared socket
+ * Rooms are lost when the socket reconnects, so they are joined again each time.
+ */
+function useRunRoom(runId, onJoined) {
+  const { user, token } = useAuth();
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    if (!runId || !user?.id || !token) return;
+
+    const socket = connectSocket(token, user.id, user.role);
+    const handleConnect = () => {
+      setConnected(true);
+      joinRunBoard(runId, (response) => onJoined?.(response, socket));
+    };
+    const handleDisconnect = () => setConnected(false);
+
+    socket.on('connect', handleConnect);
+    socket.on('disconnect', handleDisconnect);
+    if (socket.connected) {
+      handleConnect();
+    }
+
+    return () => {
+      socket.off('connect', handleConnect);
+      socket.off('disconnect', handleDisconnect);
+      leaveRunBoard(runId);
+    };
+  }, [runId, user?.id, token]);
+
+  return connected;
+}
+
+/**
+ * Custom hook for the live board of a test run
+ * Loads the board once, then applies execution, counter and lock updates from the run room.
+ */
+export function useRunBoard(projectId, runId) {
+  const [board, setBoard] = useState(null);
+  const [locks, setLocks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadBoard = useCallback(async () => {
+    if (!projectId || !runId) return;
+
+    try {
+      setError(null);
+      const data = await apiClient.get(`/api/projects/${projectId}/test-runs/${runId}/board`);
+      setBoard(data);
+      setLocks(data.locks || []);
+    } catch (err) {
+      console.error('Failed to load run board:', err);
+      setError(err.message || 'Failed to load run board');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, runId]);
+
+  useEffect(() => {
+    loadBoard();
+  }, [loadBoard]);
+
+  const connected = useRunRoom(runId, (response) => {
+    if (response?.ok) {
+      setLocks(response.locks || []);
+    }
+  });
+
+  useEffect(() => {
+    if (!connected) return;
+
+    return onRunBoardEvent((event) => {
+      if (Number(event.runId) !== Number(runId)) return;
+
+      if (event.type === 'execution_updated') {
+        setBoard((prev) => prev && {
+          ...prev,
+          cards: prev.cards.map((card) => (card.id === event.card.id ? event.card : card)),
+          counters: event.counters,
+        });
+      } else if (event.type === 'lock_changed') {
+        setLocks((prev) => {
+          const others = prev.filter((lock) => lock.executionId !== event.executionId);
+          return event.lock ? [...others, event.lock] : others;
+        });
+      } else if (event.type === 'refresh') {
+        loadBoard();
+      }
+    });
+  }, [connected, runId, loadBoard]);
+
+  return {
+    board,
+    locks,
+    loading,
+    error,
+    connected,
+    reload: loadBoard,
+  };
+}
+
+/**
+ * Custom hook that holds the soft lock on an execution while its screen is open
+ * @returns {Object|null} The other user's lock when someone else is already executing it
+ */
+export function useExecutionLock(runId, executionId) {
+  const [heldBy, setHeldBy] = useState(null);
+
+  const claim = () => {
+    lockExecution(runId, Number(executionId), (result) => {
+      setHeldBy(result && !result.acquired && result.lock ? result.lock : null);
+    });
+  };
+
+  const connected = useRunRoom(runId, (response) => {
+    if (response?.ok && executionId) {
+      claim();
+    }
+  });
+
+  // Take over once the other tester leaves the execution
+  useEffect(() => {
+    if (!connected || !heldBy) return;
+
+    return onRunBoardEvent((event) => {
+      if (event.type === 'lock_changed' && event.executionId === Number(executionId) && !event.lock) {
+        claim();
+      }
+    });
+  }, [connected, heldBy, runId, executionId]);
+
+  useEffect(() => {
+    if (!runId || !executionId) return;
+    return () => unlockExecution(runId, Number(executionId));
+  }, [runId, executionId]);
+
+  return heldBy;
+}
+
+export default useRunBoard;
@@ -1,14 +1,76 @@
 import { useState, useEffect, useCallback } from 'react';
 import { apiClient } from '@/lib/apiClient';
+import {
+  OPERATION_STATES,
+  isOfflineError,
+  getQueuedOperations,
+  queueStepResult,
+  queueProgress,
+  discardOperation,
+  overrideConflict,
+  syncExecutionQueue,
+  cacheExecution,
+  getCachedExecution,
+} from '@/lib/offlineExecutionQueue';
+
+/**
+ * Helper: Step values the server holds, used to detect conflicting edits on sync
+ */
+function snapshotStep(step) {
+  return {
+    status: step?.status ?? null,
+    actualResult: step?.actualResult ?? null,
+    notes: step?.notes ?? null,
+  };
+}
+
+/**
+ * Helper: Show queued step results on top of the last known server state
+ */
+function applyQueuedResults(execution, operations) {
+  if (!execution?.steps) return execution;
+
+  const queuedByStep = new Map(
+    operations
+      .filter((op) => op.type === 'STEP_RESULT' && op.state === OPERATION_STATES.PENDING)
+      .map((op) => [op.stepId, op.payload]),
+  );
+  if (queuedByStep.size === 0) return execution;
+
+  return {
+    ...execution,
+    steps: execution.steps.map((step) =>
+      queuedByStep.has(step.stepId) ? { ...step, ...queuedByStep.get(step.stepId) } : step,
+    ),
+  };
+}
 
 /**
  * Custom hook for managing test execution state
+ * Step results and progress are queued locally when the server is unreachable
+ * and synced when the connection returns.
  */
 export function useTestExecution(executionId) {
   const [execution, setExecution] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
+  const [queuedOperations, setQueuedOperations] = useState([]);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [isOfflineCopy, setIsOfflineCopy] = useState(false);
+
+  const refreshQueue = useCallback(async () => {
+    if (!executionId) return [];
+    try {
+      const operations = await getQueuedOperations(executionId);
+      setQueuedOperations(operations);
+      return operations;
+    } catch (err) {
+      console.error('Failed to read offline queue:', err);
+      return [];
+    }
+  }, [executionId]);
 
   // Load execution data
   const loadExecution = useCallback(async () => {
@@ -17,24 +79,82 @@ export function useTestExecution(executionId) {
       return;
     }
 
+    const operations = await refreshQueue();
+
     try {
       setLoading(true);
       setError(null);
       const data = await apiClient.get(`/api/test-executions/${executionId}`);
-      setExecution(data);
+      setExecution(applyQueuedResults(data, operations));
+      setIsOfflineCopy(false);
+      cacheExecution(data).catch((err) => console.error('Failed to cache execution:', err));
     } catch (err) {
-      console.error('Failed to load execution:', err);
-      setError(err.message || 'Failed to load execution');
+      const cached = isOfflineError(err) ? await getCachedExecution(executionId).catch(() => null) : null;
+      if (cached) {
+        setExecution(applyQueuedResults(cached, operations));
+        setIsOfflineCopy(true);
+      } else {
+        console.error('Failed to load execution:', err);
+        setError(err.message || 'Failed to load execution');
+      }
     } finally {
       setLoading(false);
     }
-  }, [executionId]);
+  }, [executionId, refreshQueue]);
 
   // Initial load
   useEffect(() => {
     loadExecution();
   }, [loadExecution]);
 
+  // Replay queued results; returns the sync outcome
+  const syncPending = useCallback(async () => {
+    if (!executionId) return null;
+
+    try {
+      setIsSyncing(true);
+      const result = await syncExecutionQueue(executionId);
+      const operations = await refreshQueue();
+
+      if (result.execution) {
+        setExecution(applyQueuedResults(result.execution, operations));
+        cacheExecution(result.execution).catch((err) => console.error('Failed to cache execution:', err));
+        setIsOfflineCopy(false);
+      } else if (result.synced > 0 || result.conflicts > 0) {
+        await loadExecution();
+      }
+      return result;
+    } catch (err) {
+      console.error('Failed to sync offline results:', err);
+      return null;
+    } finally {
+      setIsSyncing(false);
+    }
+  }, [executionId, refreshQueue, loadExecution]);
+
+  // Track connectivity and sync as soon as it returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncPending();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncPending]);
+
+  // Results queued in an earlier session are synced on open
+  useEffect(() => {
+    if (!loading && isOnline && queuedOperations.some((op) => op.state === OPERATION_STATES.PENDING)) {
+      syncPending();
+    }
+  }, [loading]);
+
   // Update step status
   const updateStepStatus = useCallback(
     async (stepId, status, actualResult, notes) => {
@@ -46,24 +166,44 @@ export function useTestExecution(executionId) {
         throw new Error('Status is required');
       }
 
+      const result = {
+        status,
+        actualResult: actualResult?.trim() || null,
+        notes: notes?.trim() || null,
+      };
+
+      const queueResult = async () => {
+        const serverStep = execution?.steps?.find((step) => step.stepId === Number(stepId));
+        await queueStepResult(executionId, stepId, result, snapshotStep(serverStep));
+        const operations = await refreshQueue();
+        setExecution((prev) => applyQueuedResults(prev, operations));
+        return { queued: true };
+      };
+
       try {
         setIsSaving(true);
         setError(null);
+
+        // Keep results in order behind anything still waiting to sync
+        if (queuedOperations.some((op) => op.state === OPERATION_STATES.PENDING)) {
+          return await queueResult();
+        }
+
         const response = await apiClient.patch(
           `/api/test-executions/${executionId}/steps/${stepId}`,
-          {
-            status,
-            actualResult: actualResult?.trim() || null,
-            notes: notes?.trim() || null,
-          }
+          result,
         );
 
         // Update local state
         if (response && response.execution) {
           setExecution(response.execution);
+          cacheExecution(response.execution).catch((err) => console.error('Failed to cache execution:', err));
         }
         return response;
       } catch (err) {
+        if (isOfflineError(err)) {
+          return await queueResult();
+        }
         const errorMessage = err.message || 'Failed to update step';
         setError(errorMessage);
         console.error('Failed to update step:', err);
@@ -72,7 +212,7 @@ export function useTestExecution(executionId) {
         setIsSaving(false);
       }
     },
-    [executionId]
+    [executionId, execution, queuedOperations, refreshQueue],
   );
 
   // Complete execution
@@ -82,6 +222,10 @@ export function useTestExecution(executionId) {
         throw new Error('Execution ID is required');
       }
 
+      if (queuedOperations.length > 0) {
+        throw new Error('Sync or resolve the offline results before completing the execution');
+      }
+
       try {
         setIsSaving(true);
         setError(null);
@@ -102,24 +246,44 @@ export function useTestExecution(executionId) {
         setIsSaving(false);
       }
     },
-    [executionId]
+    [executionId, queuedOperations],
   );
 
-  // Auto-save progress
-  const saveProgress = useCallback(async () => {
+  // Auto-save progress, including the elapsed timer value
+  const saveProgress = useCallback(async (elapsedSeconds) => {
     if (!executionId) return;
 
     try {
       const response = await apiClient.patch(
         `/api/test-executions/${executionId}/progress`,
-        {}
+        { elapsedSeconds },
       );
       return response;
     } catch (err) {
+      if (isOfflineError(err) && elapsedSeconds !== undefined) {
+        await queueProgress(executionId, elapsedSeconds).catch(() => {});
+        await refreshQueue();
+        return { queued: true };
+      }
       console.error('Failed to save progress:', err);
       // Don't throw - auto-save failures shouldn't break the app
     }
-  }, [executionId]);
+  }, [executionId, refreshQueue]);
+
+  // Keep the local result of a conflicting step (overwrite the server) or drop it
+  const resolveConflict = useCallback(
+    async (operationId, keepLocal) => {
+      if (keepLocal) {
+        await overrideConflict(operationId);
+        await refreshQueue();
+        return syncPending();
+      }
+      await discardOperation(operationId);
+      await refreshQueue();
+      return loadExecution();
+    },
+    [refreshQueue, syncPending, loadExecution],
+  );
 
   // Get execution history
   const getHistory = useCallback(async (testCaseId) => {
@@ -203,6 +367,13 @@ export function useTestExecution(executionId) {
     compareExecutions,
     linkDefect,
     reload: loadExecution,
+    queuedOperations,
+    isOnline,
+    isSyncing,
+    isOfflineCopy,
+    syncPending,
+    resolveConflict,
+    refreshQueue,
   };
 }
 
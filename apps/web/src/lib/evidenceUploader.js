@@ -36,6 +36,19 @@ async function uploadToCloudinary({
   return response.json();
 }
 
+async function uploadToSignedUrl({ uploadUrl, uploadMethod, uploadHeaders, file }) {
+  const response = await fetch(uploadUrl, {
+    method: uploadMethod,
+    headers: uploadHeaders,
+    body: file,
+  });
+
+  if (!response.ok) {
+    const errorBody = await response.json().catch(() => ({}));
+    throw new Error(errorBody?.error || `Upload failed with status ${response.status}`);
+  }
+}
+
 export async function uploadExecutionEvidence({
   projectId,
   executionId,
@@ -55,6 +68,31 @@ export async function uploadExecutionEvidence({
     }
   );
 
+  const recordUrl = `/api/projects/${projectId}/test-executions/${executionId}/steps/${stepId}/evidence`;
+
+  // Local disk and S3 storage hand out a presigned URL the file is sent to as-is
+  if (signaturePayload.driver && signaturePayload.driver !== 'cloudinary') {
+    await uploadToSignedUrl({
+      uploadUrl: signaturePayload.uploadUrl,
+      uploadMethod: signaturePayload.uploadMethod,
+      uploadHeaders: signaturePayload.uploadHeaders,
+      file,
+    });
+
+    const evidenceRecord = await apiClient.post(recordUrl, {
+      publicId: signaturePayload.key,
+      resourceType: signaturePayload.resourceType,
+      format: signaturePayload.format,
+      bytes: file.size,
+      originalFilename: file.name,
+    });
+
+    return {
+      evidence: evidenceRecord,
+      upload: { key: signaturePayload.key, bytes: file.size },
+    };
+  }
+
   const uploadResult = await uploadToCloudinary({
     cloudName: signaturePayload.cloudName,
     resourceType: signaturePayload.resourceType,
@@ -66,17 +104,14 @@ export async function uploadExecutionEvidence({
     file,
   });
 
-  const evidenceRecord = await apiClient.post(
-    `/api/projects/${projectId}/test-executions/${executionId}/steps/${stepId}/evidence`,
-    {
-      publicId: uploadResult.public_id,
-      resourceType: uploadResult.resource_type,
-      secureUrl: uploadResult.secure_url,
-      bytes: uploadResult.bytes,
-      format: uploadResult.format,
-      originalFilename: uploadResult.original_filename,
-    }
-  );
+  const evidenceRecord = await apiClient.post(recordUrl, {
+    publicId: uploadResult.public_id,
+    resourceType: uploadResult.resource_type,
+    secureUrl: uploadResult.secure_url,
+    bytes: uploadResult.bytes,
+    format: uploadResult.format,
+    originalFilename: uploadResult.original_filename,
+  });
 
   return {
     evidence: evidenceRecord,
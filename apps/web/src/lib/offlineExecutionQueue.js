@@ -0,0 +1,264 @@
+import apiClient from '@/lib/apiClient';
+import { uploadExecutionEvidence } from '@/lib/evidenceUploader';
+
+/**
+ * Offline execution queue
+ * Keeps step results, evidence files and timer state in IndexedDB while the
+ * server is unreachable, and replays them in order once it is back.
+ *
+ * Step results carry the step values the tester last saw from the server, so
+ * the API can reject a replay that would overwrite someone else's change (409).
+ */
+
+const DB_NAME = 'testtrack-offline';
+const DB_VERSION = 1;
+const OPERATIONS_STORE = 'operations';
+const EXECUTIONS_STORE = 'executions';
+const TIMERS_STORE = 'timers';
+
+export const OPERATION_TYPES = {
+  STEP_RESULT: 'STEP_RESULT',
+  EVIDENCE: 'EVIDENCE',
+  PROGRESS: 'PROGRESS',
+};
+
+export const OPERATION_STATES = {
+  PENDING: 'PENDING',
+  CONFLICT: 'CONFLICT',
+  FAILED: 'FAILED',
+};
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Offline storage is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const operations = db.createObjectStore(OPERATIONS_STORE, { keyPath: 'id', autoIncrement: true });
+        operations.createIndex('executionId', 'executionId');
+        db.createObjectStore(EXECUTIONS_STORE, { keyPath: 'id' });
+        db.createObjectStore(TIMERS_STORE, { keyPath: 'executionId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function runTransaction(storeName, mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Whether a failed request should be queued rather than reported
+ * apiClient marks unreachable servers with status 0; raw fetch uploads throw a TypeError.
+ */
+export function isOfflineError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  return error?.status === 0 || error instanceof TypeError;
+}
+
+/**
+ * Queued operations of an execution, oldest first
+ */
+export async function getQueuedOperations(executionId) {
+  const operations = await runTransaction(OPERATIONS_STORE, 'readonly', (store) =>
+    store.index('executionId').getAll(Number(executionId)),
+  );
+  return (operations || []).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Queue a step result
+ * A newer result for the same step replaces the queued one but keeps its
+ * `expected` values, since those are what the server had before going offline.
+ */
+export async function queueStepResult(executionId, stepId, result, expected) {
+  const queued = await getQueuedOperations(executionId);
+  const existing = queued.find(
+    (op) => op.type === OPERATION_TYPES.STEP_RESULT && op.stepId === Number(stepId),
+  );
+
+  const operation = {
+    ...(existing || {}),
+    type: OPERATION_TYPES.STEP_RESULT,
+    executionId: Number(executionId),
+    stepId: Number(stepId),
+    payload: result,
+    expected: existing ? existing.expected : expected,
+    state: OPERATION_STATES.PENDING,
+    error: null,
+    serverStep: null,
+    queuedAt: new Date().toISOString(),
+  };
+
+  await runTransaction(OPERATIONS_STORE, 'readwrite', (store) => store.put(operation));
+}
+
+/**
+ * Queue an evidence file (stored as a Blob) for upload
+ */
+export async function queueEvidenceUpload({ projectId, executionId, stepId, file }) {
+  await runTransaction(OPERATIONS_STORE, 'readwrite', (store) =>
+    store.add({
+      type: OPERATION_TYPES.EVIDENCE,
+      executionId: Number(executionId),
+      stepId: Number(stepId),
+      projectId: Number(projectId),
+      file,
+      fileName: file.name,
+      state: OPERATION_STATES.PENDING,
+      error: null,
+      queuedAt: new Date().toISOString(),
+    }),
+  );
+}
+
+/**
+ * Queue the latest elapsed timer value; only the newest one is kept
+ */
+export async function queueProgress(executionId, elapsedSeconds) {
+  const queued = await getQueuedOperations(executionId);
+  const existing = queued.find((op) => op.type === OPERATION_TYPES.PROGRESS);
+
+  await runTransaction(OPERATIONS_STORE, 'readwrite', (store) =>
+    store.put({
+      ...(existing || {}),
+      type: OPERATION_TYPES.PROGRESS,
+      executionId: Number(executionId),
+      payload: { elapsedSeconds },
+      state: OPERATION_STATES.PENDING,
+      error: null,
+      queuedAt: new Date().toISOString(),
+    }),
+  );
+}
+
+/**
+ * Drop a queued operation (e.g. to accept the server value of a conflict)
+ */
+export async function discardOperation(operationId) {
+  await runTransaction(OPERATIONS_STORE, 'readwrite', (store) => store.delete(operationId));
+}
+
+/**
+ * Requeue a conflicting step result so it overwrites the server value on the next sync
+ */
+export async function overrideConflict(operationId) {
+  const operation = await runTransaction(OPERATIONS_STORE, 'readonly', (store) => store.get(operationId));
+  if (!operation) return;
+
+  await runTransaction(OPERATIONS_STORE, 'readwrite', (store) =>
+    store.put({
+      ...operation,
+      expected: null,
+      state: OPERATION_STATES.PENDING,
+      error: null,
+      serverStep: null,
+    }),
+  );
+}
+
+/**
+ * Replay the pending operations of an execution in order
+ * Stops at the first network failure so later results are not applied out of order.
+ * @returns {Promise<{synced: number, conflicts: number, failed: number, offline: boolean, execution: Object|null}>}
+ */
+export async function syncExecutionQueue(executionId) {
+  const operations = await getQueuedOperations(executionId);
+  const result = { synced: 0, conflicts: 0, failed: 0, offline: false, execution: null };
+
+  for (const operation of operations) {
+    if (operation.state !== OPERATION_STATES.PENDING) continue;
+
+    try {
+      if (operation.type === OPERATION_TYPES.STEP_RESULT) {
+        const response = await apiClient.patch(
+          `/api/test-executions/${operation.executionId}/steps/${operation.stepId}`,
+          { ...operation.payload, expected: operation.expected || undefined },
+        );
+        result.execution = response?.execution || result.execution;
+      } else if (operation.type === OPERATION_TYPES.EVIDENCE) {
+        await uploadExecutionEvidence({
+          projectId: operation.projectId,
+          executionId: operation.executionId,
+          stepId: operation.stepId,
+          file: new File([operation.file], operation.fileName, { type: operation.file.type }),
+        });
+      } else if (operation.type === OPERATION_TYPES.PROGRESS) {
+        await apiClient.patch(`/api/test-executions/${operation.executionId}/progress`, operation.payload);
+      }
+
+      await discardOperation(operation.id);
+      result.synced++;
+    } catch (error) {
+      if (isOfflineError(error)) {
+        result.offline = true;
+        break;
+      }
+
+      const conflict = error.status === 409;
+      await runTransaction(OPERATIONS_STORE, 'readwrite', (store) =>
+        store.put({
+          ...operation,
+          state: conflict ? OPERATION_STATES.CONFLICT : OPERATION_STATES.FAILED,
+          error: error.message,
+          serverStep: conflict ? error.body?.step || null : null,
+        }),
+      );
+      if (conflict) {
+        result.conflicts++;
+      } else {
+        result.failed++;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Keep the last loaded copy of an execution so the screen can open without a connection
+ */
+export async function cacheExecution(execution) {
+  await runTransaction(EXECUTIONS_STORE, 'readwrite', (store) => store.put(execution));
+}
+
+export async function getCachedExecution(executionId) {
+  return runTransaction(EXECUTIONS_STORE, 'readonly', (store) => store.get(Number(executionId)));
+}
+
+/**
+ * Timer state survives reloads and closed tabs while offline
+ */
+export async function saveTimerState(executionId, state) {
+  await runTransaction(TIMERS_STORE, 'readwrite', (store) =>
+    store.put({ ...state, executionId: Number(executionId), savedAt: Date.now() }),
+  );
+}
+
+export async function getTimerState(executionId) {
+  return runTransaction(TIMERS_STORE, 'readonly', (store) => store.get(Number(executionId)));
+}
+
+export async function clearTimerState(executionId) {
+  await runTransaction(TIMERS_STORE, 'readwrite', (store) => store.delete(Number(executionId)));
+}
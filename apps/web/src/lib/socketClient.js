@@ -856,6 +856,68 @@ export function onDMStopTyping(callback) {
   };
 }
 
+/**
+ * Join the live board of a test run
+ * @param {number} runId - Test run ID
+ * @param {Function} onAck - Receives { ok, locks } or { ok: false, error }
+ */
+export function joinRunBoard(runId, onAck) {
+  if (!socket) return;
+  socket.emit('run:join', { runId }, onAck);
+}
+
+/**
+ * Leave the live board of a test run
+ * @param {number} runId - Test run ID
+ */
+export function leaveRunBoard(runId) {
+  if (!socket) return;
+  socket.emit('run:leave', { runId });
+}
+
+/**
+ * Announce that the current user is executing a case (soft lock)
+ * @param {number} runId - Test run ID
+ * @param {number} executionId - Execution ID
+ * @param {Function} onAck - Receives { acquired, lock }; lock is the other holder when not acquired
+ */
+export function lockExecution(runId, executionId, onAck) {
+  if (!socket) return;
+  socket.emit('run:lock', { runId, executionId }, onAck);
+}
+
+/**
+ * Release the current user's soft lock on a case
+ * @param {number} runId - Test run ID
+ * @param {number} executionId - Execution ID
+ */
+export function unlockExecution(runId, executionId) {
+  if (!socket) return;
+  socket.emit('run:unlock', { runId, executionId });
+}
+
+/**
+ * Listen for run board events
+ * @param {Function} callback - Receives { type: 'execution_updated' | 'lock_changed' | 'refresh', ...data }
+ * @returns {Function} Unsubscribe function
+ */
+export function onRunBoardEvent(callback) {
+  if (!socket) return () => {};
+
+  const currentSocket = socket;
+  const handlers = {
+    'run:execution_updated': (data) => callback({ type: 'execution_updated', ...data }),
+    'run:lock_changed': (data) => callback({ type: 'lock_changed', ...data }),
+    'run:refresh': (data) => callback({ type: 'refresh', ...data }),
+  };
+
+  Object.entries(handlers).forEach(([event, handler]) => currentSocket.on(event, handler));
+
+  return () => {
+    Object.entries(handlers).forEach(([event, handler]) => currentSocket.off(event, handler));
+  };
+}
+
 /**
  * Disconnect socket gracefully
  */
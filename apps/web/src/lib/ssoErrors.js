@@ -0,0 +1,23 @@
+/**
+ * Messages for the reason codes the API puts in ?ssoError= when single sign-on fails
+ */
+const SSO_ERROR_MESSAGES = {
+  PROVIDER_NOT_FOUND: 'This single sign-on provider is not available.',
+  SIGN_IN_EXPIRED: 'The single sign-on request expired. Please try again.',
+  BROWSER_MISMATCH: 'Single sign-on was started in another browser. Please try again.',
+  REFUSED: 'The identity provider refused the sign-in.',
+  RESPONSE_REJECTED: 'The response from the identity provider could not be verified.',
+  MISSING_IDENTITY: 'The identity provider did not share your email address.',
+  DOMAIN_NOT_ALLOWED: 'Your email domain is not allowed for this single sign-on provider.',
+  EMAIL_NOT_VERIFIED: 'The identity provider has not verified your email address.',
+  ACCOUNT_EXISTS:
+    'An account with your email already exists. Sign in with your password, then connect single sign-on in Settings → Security.',
+  ACCOUNT_DEACTIVATED: 'Your account is deactivated. Please contact an administrator.',
+  ADMIN_NOT_ALLOWED: 'Administrator accounts sign in with their password.',
+  ALREADY_CONNECTED: 'This single sign-on account is already connected.',
+};
+
+export function getSsoErrorMessage(code) {
+  if (!code) return '';
+  return SSO_ERROR_MESSAGES[code] || 'Single sign-on failed. Please try again.';
+}
@@ -4,6 +4,8 @@ import { apiClient } from '../lib/apiClient';
 import { useAuth } from '../hooks/useAuth';
 import DashboardLayout from '../components/DashboardLayout';
 import BackButton from '@/components/ui/BackButton';
+import SessionList from '@/components/SessionList';
+import { logError } from '@/lib/errorLogger';
 
 export default function AdminUserDetailPage() {
   const { userId } = useParams();
@@ -17,21 +19,34 @@ export default function AdminUserDetailPage() {
   const [formData, setFormData] = useState({});
   const [actionLoading, setActionLoading] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
+  const [sessions, setSessions] = useState([]);
+  const [revokingId, setRevokingId] = useState(null);
 
   useEffect(() => {
     loadUserDetails();
+    loadSessions();
   }, [userId]);
 
+  const loadSessions = async () => {
+    try {
+      const response = await apiClient.get(`/api/admin/users/${userId}/sessions`);
+      setSessions(response.sessions || []);
+    } catch (err) {
+      logError(err, 'AdminUserDetailPage.loadSessions');
+    }
+  };
+
   const loadUserDetails = async () => {
     try {
       setLoading(true);
       setError('');
       const response = await apiClient.get(`/api/admin/users/${userId}`);
-      setUser(response);
+      const details = response.user || response;
+      setUser(details);
       setFormData({
-        name: response.name || '',
-        email: response.email || '',
-        role: response.role || 'TESTER',
+        name: details.name || '',
+        email: details.email || '',
+        role: details.role || 'TESTER',
       });
     } catch (err) {
       setError(err.message || 'Failed to load user details');
@@ -96,6 +111,56 @@ export default function AdminUserDetailPage() {
     }
   };
 
+  const handleResetMfa = async () => {
+    if (!window.confirm('Reset two-factor authentication for this user? They will need to set it up again.')) {
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      setError('');
+      await apiClient.post(`/api/admin/users/${userId}/mfa/reset`, {});
+      setSuccessMessage('Two-factor authentication reset successfully');
+      await loadUserDetails();
+    } catch (err) {
+      setError(err.message || 'Failed to reset two-factor authentication');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRevokeSession = async (session) => {
+    try {
+      setRevokingId(session.id);
+      setError('');
+      await apiClient.delete(`/api/admin/users/${userId}/sessions/${session.id}`);
+      setSuccessMessage(`Signed out ${session.device}`);
+      await loadSessions();
+    } catch (err) {
+      setError(err.message || 'Failed to sign out device');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeAllSessions = async () => {
+    if (!window.confirm('Sign this user out of every device?')) {
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      setError('');
+      const result = await apiClient.delete(`/api/admin/users/${userId}/sessions`);
+      setSuccessMessage(result.message || 'All sessions revoked');
+      await loadSessions();
+    } catch (err) {
+      setError(err.message || 'Failed to sign out devices');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   if (loading) {
     return (
       <DashboardLayout
@@ -283,6 +348,14 @@ export default function AdminUserDetailPage() {
                       </span>
                     </p>
                   </div>
+                  <div>
+                    <label className="text-sm text-[var(--muted)]">Two-Factor Authentication</label>
+                    <p className="text-lg font-medium mt-1">
+                      {user.mfaEnabled
+                        ? `Enabled${user.mfaEnabledAt ? ` since ${new Date(user.mfaEnabledAt).toLocaleDateString()}` : ''}`
+                        : 'Not enabled'}
+                    </p>
+                  </div>
                   {user.createdAt && (
                     <div>
                       <label className="text-sm text-[var(--muted)]">Created</label>
@@ -325,9 +398,37 @@ export default function AdminUserDetailPage() {
                   {actionLoading ? 'Processing...' : 'Reactivate User'}
                 </button>
               )}
+              {user.mfaEnabled && (
+                <button
+                  onClick={handleResetMfa}
+                  disabled={actionLoading}
+                  className="w-full tt-btn tt-btn-outline py-2 text-sm"
+                >
+                  {actionLoading ? 'Processing...' : 'Reset 2FA'}
+                </button>
+              )}
             </div>
           </div>
         )}
+
+        {/* Devices Card */}
+        <div className="tt-card">
+          <div className="px-6 py-4 border-b border-[var(--border)] flex items-center justify-between">
+            <h3 className="text-lg font-bold">Signed-in Devices</h3>
+            {sessions.length > 0 && (
+              <button
+                onClick={handleRevokeAllSessions}
+                disabled={actionLoading}
+                className="tt-btn tt-btn-outline text-sm"
+              >
+                Sign out all devices
+              </button>
+            )}
+          </div>
+          <div className="p-6">
+            <SessionList sessions={sessions} onRevoke={handleRevokeSession} revokingId={revokingId} />
+          </div>
+        </div>
       </div>
     </DashboardLayout>
   );
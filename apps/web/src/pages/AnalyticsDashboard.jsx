@@ -33,6 +33,8 @@ export default function AnalyticsDashboard() {
   const [execSpeed, setExecSpeed] = useState(null);
   const [flakyTests, setFlakyTests] = useState(null);
   const [testerComparison, setTesterComparison] = useState(null);
+  const [quarantineUpdating, setQuarantineUpdating] = useState(null);
+  const canQuarantine = ['ADMIN', 'TESTER'].includes(user?.role);
 
   // Summary metrics
   const [metrics, setMetrics] = useState([
@@ -112,6 +114,26 @@ export default function AnalyticsDashboard() {
     }
   };
 
+  const handleToggleQuarantine = async (test) => {
+    setQuarantineUpdating(test.testCaseId);
+    try {
+      const updated = await apiClient.patch(
+        `/api/projects/${projectId}/test-cases/${test.testCaseId}/quarantine`,
+        {
+          quarantined: !test.isQuarantined,
+          reason: test.isQuarantined ? undefined : `Flakiness score ${test.flakeRate}%`,
+        },
+      );
+      setFlakyTests((prev) => prev.map((t) => (
+        t.testCaseId === test.testCaseId ? { ...t, isQuarantined: updated.isQuarantined } : t
+      )));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update quarantine');
+    } finally {
+      setQuarantineUpdating(null);
+    }
+  };
+
   const handleLogout = () => {
     logout();
     navigate('/login');
@@ -306,28 +328,52 @@ export default function AnalyticsDashboard() {
 
       {flakyTests && flakyTests.length > 0 && (
         <div className="tt-card p-6 mb-8">
-          <h3 className="text-lg font-semibold mb-4">Flaky Tests Detected</h3>
+          <h3 className="text-lg font-semibold mb-1">Flaky Tests Detected</h3>
+          <p className="text-xs text-[var(--muted)] mb-4">
+            Scored daily from status flips over recent runs. Quarantined tests are left out of milestone progress.
+          </p>
           <div className="overflow-x-auto">
             <table className="w-full text-sm">
               <thead className="bg-[var(--bg-elevated)] border-b border-[var(--border)]">
                 <tr>
                   <th className="px-4 py-3 text-left font-semibold">Test Case</th>
-                  <th className="px-4 py-3 text-left font-semibold">Flake Rate</th>
+                  <th className="px-4 py-3 text-left font-semibold">Flakiness</th>
+                  <th className="px-4 py-3 text-left font-semibold">Flips</th>
                   <th className="px-4 py-3 text-left font-semibold">Passed</th>
                   <th className="px-4 py-3 text-left font-semibold">Failed</th>
+                  <th className="px-4 py-3 text-left font-semibold">Quarantine</th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-[var(--border)]">
-                {flakyTests.slice(0, 10).map((test, idx) => (
-                  <tr key={idx} className="hover:bg-[var(--bg-elevated)] transition">
+                {flakyTests.slice(0, 10).map((test) => (
+                  <tr key={test.testCaseId} className="hover:bg-[var(--bg-elevated)] transition">
                     <td className="px-4 py-3">{test.testCaseName}</td>
                     <td className="px-4 py-3">
                       <span className="px-2 py-1 rounded-full text-xs font-semibold bg-yellow-500/10 text-yellow-600">
                         {test.flakeRate}%
                       </span>
                     </td>
+                    <td className="px-4 py-3">{test.flipCount}</td>
                     <td className="px-4 py-3">{test.passedRuns}</td>
                     <td className="px-4 py-3">{test.failedRuns}</td>
+                    <td className="px-4 py-3">
+                      <div className="flex items-center gap-2">
+                        {test.isQuarantined && (
+                          <span className="px-2 py-1 rounded-full text-xs font-semibold bg-gray-500/10 text-[var(--muted)]">
+                            Quarantined
+                          </span>
+                        )}
+                        {canQuarantine && (
+                          <button
+                            onClick={() => handleToggleQuarantine(test)}
+                            disabled={quarantineUpdating === test.testCaseId}
+                            className="tt-btn tt-btn-outline px-2 py-1 text-xs"
+                          >
+                            {test.isQuarantined ? 'Release' : 'Quarantine'}
+                          </button>
+                        )}
+                      </div>
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -18,6 +18,9 @@ export default function AuditLogsPage() {
   const [selectedLog, setSelectedLog] = useState(null);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
   const [exportLoading, setExportLoading] = useState(false);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [verifying, setVerifying] = useState(false);
+  const [verification, setVerification] = useState(null);
 
   // Filters
   const [filters, setFilters] = useState({
@@ -126,15 +129,26 @@ export default function AuditLogsPage() {
         }
       });
 
-      const response = await apiClient.get(`/api/admin/audit-logs/export?${queryParams}`);
+      queryParams.set('format', exportFormat);
 
-      // Download as JSON file
-      const dataStr = JSON.stringify(response.data, null, 2);
-      const dataBlob = new Blob([dataStr], { type: 'application/json' });
+      // Streamed as CSV or NDJSON, so read it as a file rather than through apiClient
+      const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+      const response = await fetch(`${apiBaseUrl}/api/admin/audit-logs/export?${queryParams}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(errorText || 'Export failed');
+      }
+
+      const dataBlob = await response.blob();
       const url = URL.createObjectURL(dataBlob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `audit-logs-${new Date().toISOString().split('T')[0]}.json`;
+      link.download = `audit-logs-${new Date().toISOString().split('T')[0]}.${exportFormat}`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
@@ -150,6 +164,19 @@ export default function AuditLogsPage() {
     }
   };
 
+  const handleVerify = async () => {
+    try {
+      setVerifying(true);
+      setError('');
+      const result = await apiClient.get('/api/admin/audit-logs/verify');
+      setVerification(result);
+    } catch (err) {
+      setError(err.message || 'Failed to verify audit logs');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
   const handleViewDetails = (log) => {
     setSelectedLog(log);
     setShowDetailsModal(true);
@@ -180,16 +207,16 @@ export default function AuditLogsPage() {
 
   return (
     <DashboardLayout
-        <div className="mb-4">
-          <BackButton label="Back to Dashboard" fallback="/dashboard" />
-        </div>
-
       user={user}
       dashboardLabel="Audit Logs"
       headerTitle="Audit Logs"
       headerSubtitle="Complete audit trail of all system activities"
     >
       <div className="p-6 space-y-6">
+        <div className="mb-4">
+          <BackButton label="Back to Dashboard" fallback="/dashboard" />
+        </div>
+
         {/* Messages */}
         {error && (
           <div className="bg-red-50 dark:bg-red-900 border border-red-200 text-red-800 dark:text-red-200 px-4 py-3 rounded">
@@ -203,6 +230,48 @@ export default function AuditLogsPage() {
           </div>
         )}
 
+        {/* Integrity check */}
+        {verification && (
+          <div
+            className={`border px-4 py-3 rounded ${
+              verification.valid
+                ? 'bg-green-50 dark:bg-green-900 border-green-200 text-green-800 dark:text-green-200'
+                : 'bg-red-50 dark:bg-red-900 border-red-200 text-red-800 dark:text-red-200'
+            }`}
+          >
+            <div className="flex justify-between items-start gap-4">
+              <div>
+                <p className="font-medium">
+                  {verification.valid
+                    ? `Audit trail intact: ${verification.checkedEntries} entries verified`
+                    : `${verification.issueCount} integrity issue${verification.issueCount === 1 ? '' : 's'} found in ${verification.checkedEntries} entries`}
+                </p>
+                {verification.head && (
+                  <p className="text-xs mt-1 font-mono break-all">
+                    Head #{verification.head.sequence}: {verification.head.hash}
+                  </p>
+                )}
+              </div>
+              <button onClick={() => setVerification(null)} className="text-sm">
+                ✕
+              </button>
+            </div>
+            {verification.issues.length > 0 && (
+              <ul className="mt-2 text-sm list-disc pl-5 space-y-1">
+                {verification.issues.map((issue, index) => (
+                  <li key={index}>
+                    {issue.type === 'GAP'
+                      ? `Missing entries #${issue.fromSequence}–#${issue.toSequence}`
+                      : `${issue.type.replace('_', ' ').toLowerCase()}: ${
+                          issue.sequence ? `entry #${issue.sequence}` : `log ID ${issue.id}`
+                        }${issue.reason ? ` (${issue.reason})` : ''}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
         {/* Filters */}
         <div className="tt-card">
           <div className="px-6 py-4 border-b border-[var(--border)]">
@@ -217,6 +286,21 @@ export default function AuditLogsPage() {
                     Clear Filters
                   </button>
                 )}
+                <button
+                  onClick={handleVerify}
+                  disabled={verifying}
+                  className="tt-btn tt-btn-outline px-3 py-1.5 text-sm"
+                >
+                  {verifying ? 'Verifying...' : 'Verify Integrity'}
+                </button>
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  className="px-2 py-1.5 text-sm bg-[var(--input-bg)] border border-[var(--border)] rounded"
+                >
+                  <option value="csv">CSV</option>
+                  <option value="ndjson">NDJSON</option>
+                </select>
                 <button
                   onClick={handleExport}
                   disabled={exportLoading}
@@ -382,7 +466,7 @@ export default function AuditLogsPage() {
                       <td className="px-6 py-4">
                         <span
                           className={`px-2 py-1 text-xs rounded whitespace-nowrap ${getActionBadgeColor(
-                            log.action
+                            log.action,
                           )}`}
                         >
                           {log.action.replace(/_/g, ' ')}
@@ -470,7 +554,7 @@ export default function AuditLogsPage() {
                   </h2>
                   <span
                     className={`px-2 py-1 text-xs rounded ${getActionBadgeColor(
-                      selectedLog.action
+                      selectedLog.action,
                     )}`}
                   >
                     {selectedLog.action.replace(/_/g, ' ')}
@@ -2,7 +2,11 @@ import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { apiClient } from '../lib/apiClient';
 import { useAuth } from '../hooks/useAuth';
+import { useCustomFields } from '../hooks/useCustomFields';
 import BackButton from '@/components/ui/BackButton';
+import CustomFieldInputs from '@/components/CustomFieldInputs';
+import DuplicateBugSuggestions from '@/components/DuplicateBugSuggestions';
+import { logError } from '@/lib/errorLogger';
 
 /**
  * Component for creating a new bug (from failed test execution)
@@ -21,12 +25,17 @@ export default function BugCreationForm({ executionId = null, testCaseId = null,
     affectedVersion: '',
     projectId: localStorage.getItem('selectedProjectId') || '',
     sourceExecutionId: executionId,
-    sourceTestCaseId: testCaseId ? String(testCaseId) : ''
+    sourceTestCaseId: testCaseId ? String(testCaseId) : '',
+    customFields: {},
   });
+  const { fields: customFields, applyDefaults } = useCustomFields(formData.projectId, 'BUG');
 
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState(false);
+  const [duplicateOf, setDuplicateOf] = useState(null);
+  const [duplicateError, setDuplicateError] = useState('');
+  const [createdBugId, setCreatedBugId] = useState(null);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -71,14 +80,30 @@ export default function BugCreationForm({ executionId = null, testCaseId = null,
           testCaseId: formData.sourceTestCaseId ? Number(formData.sourceTestCaseId) : undefined,
           executionId: formData.sourceExecutionId || undefined,
           assigneeId: undefined,
+          customFields: applyDefaults(formData.customFields),
         }
       );
 
+      let linked = true;
+      if (duplicateOf) {
+        try {
+          await apiClient.post(
+            `/api/projects/${formData.projectId}/bugs/${response.id}/duplicate-of`,
+            { duplicateOfId: duplicateOf.id },
+          );
+        } catch (err) {
+          logError(err, 'BugCreationForm.markDuplicate');
+          setDuplicateError(`It could not be marked as a duplicate of ${duplicateOf.bugNumber}: ${err.message}`);
+          linked = false;
+        }
+      }
+
+      setCreatedBugId(response.id);
       setSuccess(true);
 
       if (onSuccess) {
         onSuccess(response);
-      } else {
+      } else if (linked) {
         // Redirect to bug details after a short delay
         setTimeout(() => {
           navigate(`/bugs/${response.id}`);
@@ -112,9 +137,19 @@ export default function BugCreationForm({ executionId = null, testCaseId = null,
             <h2 className="text-2xl font-bold text-green-800 dark:text-green-200 mb-2">
               ✓ Bug Created Successfully
             </h2>
-            <p className="text-green-700 dark:text-green-300 mb-4">
-              Your bug report has been created. You will be redirected shortly...
-            </p>
+            {duplicateError ? (
+              <>
+                <p className="text-green-700 dark:text-green-300 mb-2">Your bug report has been created.</p>
+                <p className="text-sm text-[var(--danger)] mb-4">{duplicateError}</p>
+                <button onClick={() => navigate(`/bugs/${createdBugId}`)} className="tt-btn tt-btn-primary">
+                  View Bug
+                </button>
+              </>
+            ) : (
+              <p className="text-green-700 dark:text-green-300 mb-4">
+                Your bug report has been created{duplicateOf && ` as a duplicate of ${duplicateOf.bugNumber}`}. You will be redirected shortly...
+              </p>
+            )}
           </div>
         ) : (
           <form onSubmit={handleSubmit} className="tt-card p-6 space-y-6">
@@ -195,6 +230,19 @@ export default function BugCreationForm({ executionId = null, testCaseId = null,
               />
             </div>
 
+            {/* Possible Duplicates */}
+            <DuplicateBugSuggestions
+              projectId={formData.projectId}
+              draft={{
+                title: formData.title,
+                description: formData.description,
+                testCaseId: formData.sourceTestCaseId,
+                executionId: formData.sourceExecutionId,
+              }}
+              selectedId={duplicateOf?.id}
+              onSelect={setDuplicateOf}
+            />
+
             {/* Severity & Priority Grid */}
             <div className="grid grid-cols-2 gap-6">
               <div>
@@ -286,6 +334,17 @@ export default function BugCreationForm({ executionId = null, testCaseId = null,
               />
             </div>
 
+            {/* Custom Fields */}
+            {customFields.length > 0 && (
+              <CustomFieldInputs
+                fields={customFields}
+                values={formData.customFields}
+                onChange={(values) => setFormData(prev => ({ ...prev, customFields: values }))}
+                inputClassName="w-full p-3 border border-[var(--border)] rounded-lg bg-[var(--bg)] text-[var(--foreground)]"
+                labelClassName="block font-semibold mb-2 text-[var(--foreground)]"
+              />
+            )}
+
             {/* Additional Info */}
             {(executionId || testCaseId) && (
               <div className="bg-blue-50 dark:bg-blue-900 border border-blue-200 dark:border-blue-700 p-4 rounded-lg">
@@ -304,7 +363,7 @@ export default function BugCreationForm({ executionId = null, testCaseId = null,
                 disabled={submitting}
                 className="flex-1 tt-btn tt-btn-primary disabled:opacity-50"
               >
-                {submitting ? 'Creating Bug...' : 'Create Bug'}
+                {submitting ? 'Creating Bug...' : duplicateOf ? `Create as Duplicate of ${duplicateOf.bugNumber}` : 'Create Bug'}
               </button>
               <BackButton
                 label="Cancel"
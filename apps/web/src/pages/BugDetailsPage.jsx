@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
+import { Link, useParams } from 'react-router-dom';
 import { apiClient } from '../lib/apiClient';
 import { useAuth } from '../hooks/useAuth';
 import BackButton from '@/components/ui/BackButton';
@@ -18,6 +18,9 @@ export default function BugDetailsPage() {
   const [submitting, setSubmitting] = useState(false);
   const [newStatus, setNewStatus] = useState('');
   const [statusChanging, setStatusChanging] = useState(false);
+  const [transitions, setTransitions] = useState([]);
+  const [transitionFields, setTransitionFields] = useState({});
+  const [syncingIssue, setSyncingIssue] = useState(false);
 
   useEffect(() => {
     let isMounted = true;
@@ -52,6 +55,15 @@ export default function BugDetailsPage() {
     };
   }, [bugId]);
 
+  useEffect(() => {
+    if (!bug?.projectId) return;
+
+    // Transitions come from the project's bug workflow and the user's role
+    apiClient.get(`/api/projects/${bug.projectId}/bugs/${bug.id}/transitions`)
+      .then(response => setTransitions(response.transitions || []))
+      .catch(() => setTransitions([]));
+  }, [bug?.projectId, bug?.id, bug?.status]);
+
   const loadBug = async () => {
     try {
       setLoading(true);
@@ -92,10 +104,12 @@ export default function BugDetailsPage() {
     try {
       setStatusChanging(true);
       setError('');
-      await apiClient.patch(`/api/bugs/${bugId}/status`, {
+      await apiClient.patch(`/api/bugs/${bugId}/status?projectId=${bug.projectId}`, {
         newStatus,
+        fields: transitionFields,
         reason: 'Manual status change'
       });
+      setTransitionFields({});
       await loadBug();
     } catch (err) {
       setError(err.message || 'Failed to change status');
@@ -106,6 +120,19 @@ export default function BugDetailsPage() {
     }
   };
 
+  const handleResyncIssue = async () => {
+    try {
+      setSyncingIssue(true);
+      setError('');
+      await apiClient.post(`/api/projects/${bug.projectId}/bugs/${bug.id}/external-issue/sync`);
+      await loadBug();
+    } catch (err) {
+      setError(err.message || 'Failed to sync external issue');
+    } finally {
+      setSyncingIssue(false);
+    }
+  };
+
   const handleAssign = async (assigneeId) => {
     try {
       await apiClient.patch(`/api/bugs/${bugId}/assign`, {
@@ -178,21 +205,7 @@ export default function BugDetailsPage() {
 
   if (!bug) return null;
 
-  const statusOptions = {
-    NEW: ['ASSIGNED', 'DUPLICATE', 'CANNOT_REPRODUCE', 'WORKS_AS_DESIGNED'],
-    ASSIGNED: ['IN_PROGRESS', 'REOPENED', 'DUPLICATE', 'WONTFIX'],
-    IN_PROGRESS: ['FIXED', 'REOPENED', 'CANNOT_REPRODUCE'],
-    FIXED: ['AWAITING_VERIFICATION', 'REOPENED'],
-    AWAITING_VERIFICATION: ['VERIFIED_FIXED', 'REOPENED'],
-    VERIFIED_FIXED: ['CLOSED', 'REOPENED'],
-    REOPENED: ['ASSIGNED', 'IN_PROGRESS'],
-    CANNOT_REPRODUCE: ['REOPENED', 'CLOSED'],
-    CLOSED: ['REOPENED']
-  };
-
-  const getValidStatusOptions = () => {
-    return statusOptions[bug.status] || [];
-  };
+  const selectedTransition = transitions.find(transition => transition.to === newStatus);
 
   return (
     <div className="min-h-screen bg-[var(--bg)] p-6">
@@ -231,6 +244,54 @@ export default function BugDetailsPage() {
               {bug.title}
             </h2>
             <p className="text-[var(--muted)]">{bug.description}</p>
+            {bug.duplicateOf && (
+              <p className="mt-2 text-sm">
+                Duplicate of{' '}
+                <Link to={`/bugs/${bug.duplicateOf.id}`} className="text-blue-600 dark:text-blue-400 hover:underline">
+                  {bug.duplicateOf.bugNumber}
+                </Link>
+                <span className="text-[var(--muted)]"> – {bug.duplicateOf.title} ({bug.duplicateOf.status})</span>
+              </p>
+            )}
+            {bug.duplicates?.length > 0 && (
+              <p className="mt-2 text-sm">
+                <span className="text-[var(--muted)]">Duplicates: </span>
+                {bug.duplicates.map((duplicate, index) => (
+                  <span key={duplicate.id}>
+                    {index > 0 && ', '}
+                    <Link to={`/bugs/${duplicate.id}`} className="text-blue-600 dark:text-blue-400 hover:underline" title={duplicate.title}>
+                      {duplicate.bugNumber}
+                    </Link>
+                  </span>
+                ))}
+              </p>
+            )}
+            {bug.externalIssue && (
+              <div className="mt-2 flex items-center gap-3 text-sm">
+                <a
+                  href={bug.externalIssue.externalUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  {bug.externalIssue.externalKey}
+                </a>
+                {bug.externalIssue.lastSyncError ? (
+                  <span className="text-[var(--danger)]" title={bug.externalIssue.lastSyncError}>Sync failed</span>
+                ) : (
+                  <span className="text-xs text-[var(--muted)]">
+                    Synced {bug.externalIssue.lastSyncedAt ? new Date(bug.externalIssue.lastSyncedAt).toLocaleString() : 'never'}
+                  </span>
+                )}
+                <button
+                  onClick={handleResyncIssue}
+                  disabled={syncingIssue}
+                  className="text-xs px-2 py-1 border border-[var(--border)] rounded disabled:opacity-50"
+                >
+                  {syncingIssue ? 'Syncing...' : 'Resync'}
+                </button>
+              </div>
+            )}
           </div>
         </div>
 
@@ -258,6 +319,20 @@ export default function BugDetailsPage() {
           </div>
         </div>
 
+        {/* Custom Fields */}
+        {bug.customFields && Object.keys(bug.customFields).length > 0 && (
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6">
+            {Object.entries(bug.customFields).map(([name, value]) => (
+              <div key={name} className="tt-card p-4">
+                <p className="text-xs text-[var(--muted)] mb-1">{name}</p>
+                <p className="font-semibold">
+                  {typeof value === 'boolean' ? (value ? 'Yes' : 'No') : value ?? '-'}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Error Message */}
         {error && (
           <div className="tt-card p-4 mb-6 bg-red-50 dark:bg-red-900 border border-red-200 dark:border-red-700">
@@ -342,8 +417,8 @@ export default function BugDetailsPage() {
                             className="flex-1 p-2 border border-[var(--border)] rounded-lg bg-[var(--bg)] text-[var(--foreground)]"
                           >
                             <option value={bug.status}>{bug.status}</option>
-                            {getValidStatusOptions().map(status => (
-                              <option key={status} value={status}>{status}</option>
+                            {transitions.map(transition => (
+                              <option key={transition.to} value={transition.to}>{transition.label}</option>
                             ))}
                           </select>
                           <button
@@ -354,6 +429,20 @@ export default function BugDetailsPage() {
                             Update
                           </button>
                         </div>
+                        {selectedTransition?.requiredFields.length > 0 && (
+                          <div className="mt-2 space-y-2">
+                            {selectedTransition.requiredFields.map(field => (
+                              <input
+                                key={field}
+                                type="text"
+                                placeholder={bug[field] ? `${field} (current: ${bug[field]})` : `${field} (required)`}
+                                value={transitionFields[field] || ''}
+                                onChange={(e) => setTransitionFields({ ...transitionFields, [field]: e.target.value })}
+                                className="w-full p-2 border border-[var(--border)] rounded-lg bg-[var(--bg)] text-[var(--foreground)] text-sm"
+                              />
+                            ))}
+                          </div>
+                        )}
                       </div>
                     ) : null}
 
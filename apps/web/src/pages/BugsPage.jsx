@@ -7,6 +7,7 @@ import EmptyState from '@/components/common/EmptyState';
 import LoadingState from '@/components/common/LoadingState';
 import { FolderKanban } from 'lucide-react';
 import BackButton from '@/components/ui/BackButton';
+import AdvancedFiltersPanel from '@/components/AdvancedFiltersPanel';
 
 export default function BugsPage() {
   const navigate = useNavigate();
@@ -24,6 +25,7 @@ export default function BugsPage() {
   const page = Number(searchParams.get('page')) || 1;
   const status = searchParams.get('status') || '';
   const priority = searchParams.get('priority') || '';
+  const customFieldFilter = searchParams.get('customFields') || '';
   const [search, setSearch] = useState('');
 
   useEffect(() => {
@@ -34,7 +36,7 @@ export default function BugsPage() {
 
   useEffect(() => {
     loadBugs();
-  }, [projectId, page, status, priority]);
+  }, [projectId, page, status, priority, customFieldFilter]);
 
   const loadBugs = async () => {
     if (!projectId) {
@@ -51,6 +53,7 @@ export default function BugsPage() {
         ...(status && { status }),
         ...(priority && { priority }),
         ...(search && { search }),
+        ...(customFieldFilter && { customFields: customFieldFilter }),
         page,
         limit: 20
       });
@@ -66,6 +69,21 @@ export default function BugsPage() {
     }
   };
 
+  const handleSavedFilterSelected = (savedFilter) => {
+    const config = typeof savedFilter.filterConfig === 'string'
+      ? JSON.parse(savedFilter.filterConfig)
+      : savedFilter.filterConfig;
+    const query = new URLSearchParams({
+      projectId,
+      ...(config.status?.[0] && { status: config.status[0] }),
+      ...(config.priority?.[0] && { priority: config.priority[0] }),
+      ...(config.customFields && Object.keys(config.customFields).length > 0 && {
+        customFields: JSON.stringify(config.customFields),
+      }),
+    });
+    navigate(`/bugs?${query}`);
+  };
+
   const handleStatusFilterChange = (newStatus) => {
     if (!projectId) return;
     navigate(`/bugs?projectId=${projectId}&status=${newStatus}`);
@@ -188,6 +206,12 @@ export default function BugsPage() {
           >
             Apply
           </button>
+
+          <AdvancedFiltersPanel
+            resourceType="BUG"
+            projectId={projectId}
+            onFilterSelected={handleSavedFilterSelected}
+          />
         </div>
 
         {/* Error */}
@@ -7,6 +7,7 @@ import EmptyState from '@/components/common/EmptyState';
 import LoadingState from '@/components/common/LoadingState';
 import { FolderKanban } from 'lucide-react';
 import BackButton from '@/components/ui/BackButton';
+import IssueTrackerSettings from '@/components/IssueTrackerSettings';
 
 const GITHUB_CLIENT_ID = import.meta.env.VITE_GITHUB_CLIENT_ID || 'YOUR_GITHUB_CLIENT_ID';
 
@@ -402,6 +403,24 @@ export default function IntegrationsPage() {
           )}
         </div>
 
+        {/* Issue Tracker Card */}
+        {user?.role === 'ADMIN' && (
+          <div className="border border-[var(--border)] rounded-lg p-6 bg-[var(--card-bg)] mb-6">
+            <div className="flex items-center gap-4 mb-6">
+              <div className="w-16 h-16 bg-gradient-to-br from-blue-500 to-blue-700 rounded-lg flex items-center justify-center">
+                <span className="text-white text-2xl font-bold">J</span>
+              </div>
+              <div>
+                <h2 className="text-2xl font-bold text-[var(--foreground)]">Jira</h2>
+                <p className="text-[var(--muted-foreground)] text-sm">
+                  New bugs open a linked Jira issue; status, assignee and comments sync both ways.
+                </p>
+              </div>
+            </div>
+            <IssueTrackerSettings projectId={projectId} />
+          </div>
+        )}
+
         {/* Recent Commits */}
         {commits.length > 0 && (
           <div className="border border-[var(--border)] rounded-lg p-6 bg-[var(--card-bg)]">
@@ -1,9 +1,16 @@
-import { useEffect } from 'react';
-import { useSearchParams } from 'react-router-dom';
+import { useLocation, useSearchParams } from 'react-router-dom';
 import LoginForm from '../components/LoginForm';
+import { getSsoErrorMessage } from '@/lib/ssoErrors';
 
 export default function Login() {
   const [searchParams] = useSearchParams();
+  const location = useLocation();
 
-  return <LoginForm message={searchParams.get('message')} />;
+  return (
+    <LoginForm
+      message={searchParams.get('message')}
+      ssoError={getSsoErrorMessage(searchParams.get('ssoError'))}
+      mfaChallenge={location.state?.mfaChallenge || null}
+    />
+  );
 }
@@ -3,8 +3,9 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '@/hooks';
 import DashboardLayout from '@/components/DashboardLayout';
 import { apiClient } from '@/lib/apiClient';
-import { Edit2, Save, X } from 'lucide-react';
+import { Edit2, Save, X, User, Mail, Calendar, Shield } from 'lucide-react';
 import BackButton from '@/components/ui/BackButton';
+import TwoFactorSettings from '@/components/TwoFactorSettings';
 
 export default function ProfilePage() {
   const navigate = useNavigate();
@@ -322,6 +323,8 @@ export default function ProfilePage() {
               </div>
             )}
           </div>
+
+          <TwoFactorSettings />
         </div>
       </div>
     </DashboardLayout>
@@ -8,6 +8,8 @@ import {
   Layers, 
   PlayCircle, 
   Bug,
+  ListChecks,
+  Library,
 } from 'lucide-react';
 import BackButton from '@/components/ui/BackButton';
 import Breadcrumb from '@/components/ui/Breadcrumb';
@@ -278,6 +280,36 @@ export default function ProjectDetailPage() {
             Track project milestones and deadlines
           </p>
         </button>
+
+        <button
+          onClick={() => navigate(`/projects/${projectId}/requirements`)}
+          className="tt-card p-6 text-left hover:shadow-lg transition group"
+        >
+          <div className="flex items-center gap-3 mb-3">
+            <div className="p-3 rounded-lg bg-teal-500/10 text-teal-600 dark:text-teal-300 group-hover:bg-teal-500/20 transition">
+              <ListChecks className="h-6 w-6" />
+            </div>
+            <h3 className="text-lg font-semibold">Requirements</h3>
+          </div>
+          <p className="text-sm text-[var(--muted)]">
+            Trace requirements to test cases and their latest results
+          </p>
+        </button>
+
+        <button
+          onClick={() => navigate(`/projects/${projectId}/shared-steps`)}
+          className="tt-card p-6 text-left hover:shadow-lg transition group"
+        >
+          <div className="flex items-center gap-3 mb-3">
+            <div className="p-3 rounded-lg bg-indigo-500/10 text-indigo-600 dark:text-indigo-300 group-hover:bg-indigo-500/20 transition">
+              <Library className="h-6 w-6" />
+            </div>
+            <h3 className="text-lg font-semibold">Shared Steps</h3>
+          </div>
+          <p className="text-sm text-[var(--muted)]">
+            Maintain reusable step blocks referenced by test cases
+          </p>
+        </button>
       </div>
     </DashboardLayout>
   );
@@ -0,0 +1,563 @@
+/**
+ * REQUIREMENTS PAGE
+ * Manage project requirements, link them to test cases and review the traceability matrix
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '@/hooks';
+import DashboardLayout from '@/components/DashboardLayout';
+import BackButton from '@/components/ui/BackButton';
+import Breadcrumb from '@/components/ui/Breadcrumb';
+import { apiClient } from '@/lib/apiClient';
+import { logError } from '@/lib/errorLogger';
+
+const REQUIREMENT_STATUSES = ['DRAFT', 'APPROVED', 'IMPLEMENTED', 'VERIFIED', 'DEPRECATED'];
+
+const COVERAGE_COLORS = {
+  PASSED: 'bg-green-100 text-green-800',
+  FAILED: 'bg-red-100 text-red-800',
+  BLOCKED: 'bg-yellow-100 text-yellow-800',
+  INCOMPLETE: 'bg-blue-100 text-blue-800',
+  UNCOVERED: 'bg-gray-200 text-gray-700',
+};
+
+const RESULT_COLORS = {
+  PASSED: 'text-green-600',
+  FAILED: 'text-red-600',
+  BLOCKED: 'text-yellow-600',
+};
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const EMPTY_FORM = { key: '', title: '', description: '', status: 'DRAFT', parentId: '' };
+
+// Flatten requirements into depth-first order so children render under their parent
+function toTreeRows(requirements) {
+  const ids = new Set(requirements.map(req => req.id));
+  const childrenOf = new Map();
+  requirements.forEach(req => {
+    const parentKey = req.parentId && ids.has(req.parentId) ? req.parentId : null;
+    if (!childrenOf.has(parentKey)) childrenOf.set(parentKey, []);
+    childrenOf.get(parentKey).push(req);
+  });
+
+  const rows = [];
+  const visit = (parentKey, depth) => {
+    (childrenOf.get(parentKey) || []).forEach(req => {
+      rows.push({ ...req, depth });
+      visit(req.id, depth + 1);
+    });
+  };
+  visit(null, 0);
+  return rows;
+}
+
+export default function RequirementsPage() {
+  const { projectId } = useParams();
+  const navigate = useNavigate();
+  const { user, logout } = useAuth();
+
+  const [activeTab, setActiveTab] = useState('requirements'); // 'requirements', 'matrix'
+  const [requirements, setRequirements] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const [matrix, setMatrix] = useState(null);
+  const [matrixLoading, setMatrixLoading] = useState(false);
+  const [testRuns, setTestRuns] = useState([]);
+  const [testRunId, setTestRunId] = useState('');
+  const [includeDeprecated, setIncludeDeprecated] = useState(false);
+
+  const treeRows = useMemo(() => toTreeRows(requirements), [requirements]);
+
+  useEffect(() => {
+    loadRequirements();
+    loadTestRuns();
+  }, [projectId]);
+
+  useEffect(() => {
+    if (activeTab === 'matrix') {
+      loadMatrix();
+    }
+  }, [activeTab, testRunId, includeDeprecated, projectId]);
+
+  const matrixQuery = () => new URLSearchParams({
+    ...(testRunId && { testRunId }),
+    ...(includeDeprecated && { includeDeprecated: 'true' }),
+  }).toString();
+
+  const loadRequirements = async () => {
+    try {
+      const response = await apiClient.get(`/api/projects/${projectId}/requirements`);
+      setRequirements(response.data || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load requirements');
+    }
+  };
+
+  const loadTestRuns = async () => {
+    try {
+      const response = await apiClient.get(`/api/projects/${projectId}/test-runs`);
+      setTestRuns(response.testRuns || []);
+    } catch (err) {
+      logError(err, 'RequirementsPage.loadTestRuns');
+    }
+  };
+
+  const loadMatrix = async () => {
+    setMatrixLoading(true);
+    try {
+      const response = await apiClient.get(`/api/projects/${projectId}/requirements/traceability?${matrixQuery()}`);
+      setMatrix(response);
+    } catch (err) {
+      setError(err.message || 'Failed to load traceability matrix');
+    } finally {
+      setMatrixLoading(false);
+    }
+  };
+
+  const loadRequirementDetails = async (requirementId) => {
+    try {
+      const response = await apiClient.get(`/api/projects/${projectId}/requirements/${requirementId}`);
+      setSelected(response);
+    } catch (err) {
+      alert(`Failed to load requirement: ${err.message}`);
+    }
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    if (!form.title.trim()) {
+      setError('Requirement title is required.');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const created = await apiClient.post(`/api/projects/${projectId}/requirements`, {
+        title: form.title.trim(),
+        status: form.status,
+        ...(form.key.trim() && { key: form.key.trim() }),
+        ...(form.description.trim() && { description: form.description.trim() }),
+        ...(form.parentId && { parentId: Number(form.parentId) }),
+      });
+      setForm(EMPTY_FORM);
+      await loadRequirements();
+      setSelected(created);
+    } catch (err) {
+      setError(err.message || 'Failed to create requirement');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatusChange = async (requirementId, status) => {
+    try {
+      await apiClient.patch(`/api/projects/${projectId}/requirements/${requirementId}`, { status });
+      await loadRequirements();
+      if (selected?.id === requirementId) {
+        loadRequirementDetails(requirementId);
+      }
+    } catch (err) {
+      alert(`Failed to update requirement: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (requirement) => {
+    if (!confirm(`Delete requirement ${requirement.key}?`)) return;
+    try {
+      await apiClient.delete(`/api/projects/${projectId}/requirements/${requirement.id}`);
+      if (selected?.id === requirement.id) setSelected(null);
+      loadRequirements();
+    } catch (err) {
+      alert(`Failed to delete requirement: ${err.message}`);
+    }
+  };
+
+  const handleLinkTestCases = async () => {
+    const input = prompt('Enter test case IDs to link (comma-separated):');
+    if (!input) return;
+
+    const testCaseIds = input.split(',').map(id => parseInt(id.trim(), 10)).filter(Number.isFinite);
+    if (testCaseIds.length === 0) return;
+
+    try {
+      const updated = await apiClient.post(
+        `/api/projects/${projectId}/requirements/${selected.id}/test-cases`,
+        { testCaseIds },
+      );
+      setSelected(updated);
+      loadRequirements();
+    } catch (err) {
+      alert(`Failed to link test cases: ${err.message}`);
+    }
+  };
+
+  const handleUnlinkTestCase = async (testCaseId) => {
+    try {
+      await apiClient.delete(`/api/projects/${projectId}/requirements/${selected.id}/test-cases/${testCaseId}`);
+      loadRequirementDetails(selected.id);
+      loadRequirements();
+    } catch (err) {
+      alert(`Failed to unlink test case: ${err.message}`);
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+      const query = new URLSearchParams(matrixQuery());
+      query.set('format', format);
+      const response = await fetch(
+        `${apiBaseUrl}/api/projects/${projectId}/requirements/traceability/export?${query}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          },
+        },
+      );
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(errorText || 'Export failed');
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `traceability-project-${projectId}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      alert(`Failed to export: ${err.message}`);
+    }
+  };
+
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+
+  const tabClass = (tab) => `px-4 py-2 border-b-2 ${
+    activeTab === tab ? 'border-blue-600 text-blue-600' : 'border-transparent'
+  }`;
+
+  return (
+    <DashboardLayout
+      user={user}
+      dashboardLabel="Project"
+      headerTitle="Requirements"
+      headerSubtitle="Requirements, test coverage and traceability"
+      onLogout={handleLogout}
+    >
+      <div className="mb-4 flex flex-col gap-3">
+        <BackButton label="Back to Project" fallback={`/projects/${projectId}`} />
+        <Breadcrumb
+          crumbs={[
+            { label: 'Dashboard', path: '/dashboard' },
+            { label: 'Project', path: `/projects/${projectId}` },
+            { label: 'Requirements', path: null },
+          ]}
+        />
+      </div>
+
+      {error && (
+        <div className="tt-card p-4 mb-4 text-[var(--danger)]">{error}</div>
+      )}
+
+      <div className="border-b border-[var(--border)] mb-4">
+        <nav className="flex gap-4">
+          <button onClick={() => setActiveTab('requirements')} className={tabClass('requirements')}>
+            Requirements ({requirements.length})
+          </button>
+          <button onClick={() => setActiveTab('matrix')} className={tabClass('matrix')}>
+            Traceability Matrix
+          </button>
+        </nav>
+      </div>
+
+      {activeTab === 'requirements' && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 space-y-6">
+            <form onSubmit={handleCreate} className="tt-card p-6 space-y-3">
+              <h2 className="text-lg font-semibold">New Requirement</h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <input
+                  type="text"
+                  value={form.key}
+                  onChange={(e) => setForm({ ...form, key: e.target.value })}
+                  placeholder="ID (auto: REQ-n)"
+                  className="px-3 py-2 border border-[var(--border)] rounded text-sm"
+                />
+                <input
+                  type="text"
+                  value={form.title}
+                  onChange={(e) => setForm({ ...form, title: e.target.value })}
+                  placeholder="Title"
+                  className="md:col-span-2 px-3 py-2 border border-[var(--border)] rounded text-sm"
+                  required
+                />
+              </div>
+              <textarea
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="Description (optional)"
+                rows={2}
+                className="w-full px-3 py-2 border border-[var(--border)] rounded text-sm"
+              />
+              <div className="flex flex-wrap gap-3">
+                <select
+                  value={form.status}
+                  onChange={(e) => setForm({ ...form, status: e.target.value })}
+                  className="px-3 py-2 border border-[var(--border)] rounded text-sm"
+                >
+                  {REQUIREMENT_STATUSES.map(status => (
+                    <option key={status} value={status}>{status}</option>
+                  ))}
+                </select>
+                <select
+                  value={form.parentId}
+                  onChange={(e) => setForm({ ...form, parentId: e.target.value })}
+                  className="px-3 py-2 border border-[var(--border)] rounded text-sm"
+                >
+                  <option value="">No parent (top level)</option>
+                  {treeRows.map(req => (
+                    <option key={req.id} value={req.id}>
+                      {'  '.repeat(req.depth)}{req.key} {req.title}
+                    </option>
+                  ))}
+                </select>
+                <button type="submit" disabled={saving} className="tt-btn tt-btn-primary px-4 py-2 text-sm">
+                  {saving ? 'Creating...' : 'Create Requirement'}
+                </button>
+              </div>
+            </form>
+
+            <div className="tt-card overflow-hidden">
+              {treeRows.length === 0 ? (
+                <p className="p-6 text-sm text-[var(--muted)]">No requirements yet.</p>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead className="bg-[var(--surface-strong)]">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-[var(--muted)] uppercase">Requirement</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-[var(--muted)] uppercase">Status</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-[var(--muted)] uppercase">Test Cases</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-[var(--muted)] uppercase">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-[var(--border)]">
+                    {treeRows.map(req => (
+                      <tr
+                        key={req.id}
+                        className={`cursor-pointer hover:bg-[var(--surface-strong)] ${selected?.id === req.id ? 'bg-[var(--surface-strong)]' : ''}`}
+                        onClick={() => loadRequirementDetails(req.id)}
+                      >
+                        <td className="px-4 py-2" style={{ paddingLeft: `${16 + req.depth * 20}px` }}>
+                          <span className="font-mono text-xs text-[var(--muted)] mr-2">{req.key}</span>
+                          {req.title}
+                        </td>
+                        <td className="px-4 py-2" onClick={(e) => e.stopPropagation()}>
+                          <select
+                            value={req.status}
+                            onChange={(e) => handleStatusChange(req.id, e.target.value)}
+                            className="px-2 py-1 border border-[var(--border)] rounded text-xs"
+                          >
+                            {REQUIREMENT_STATUSES.map(status => (
+                              <option key={status} value={status}>{status}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-4 py-2">{req._count?.testCases || 0}</td>
+                        <td className="px-4 py-2">
+                          <button
+                            onClick={(e) => { e.stopPropagation(); handleDelete(req); }}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+
+          <div className="tt-card p-6 h-fit">
+            {!selected ? (
+              <p className="text-sm text-[var(--muted)]">Select a requirement to see its linked test cases.</p>
+            ) : (
+              <div className="space-y-4">
+                <div>
+                  <p className="font-mono text-xs text-[var(--muted)]">{selected.key}</p>
+                  <h3 className="text-lg font-semibold">{selected.title}</h3>
+                  {selected.parent && (
+                    <p className="text-xs text-[var(--muted)]">Parent: {selected.parent.key} {selected.parent.title}</p>
+                  )}
+                  {selected.description && <p className="text-sm mt-2">{selected.description}</p>}
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <h4 className="font-semibold text-sm">Linked Test Cases</h4>
+                  <button onClick={handleLinkTestCases} className="tt-btn tt-btn-primary px-3 py-1 text-xs">
+                    + Link
+                  </button>
+                </div>
+
+                {selected.testCases.length === 0 ? (
+                  <p className="text-sm text-[var(--muted)]">Not covered by any test case.</p>
+                ) : (
+                  <ul className="space-y-2">
+                    {selected.testCases.map(link => (
+                      <li key={link.testCaseId} className="flex items-center justify-between text-sm">
+                        <button
+                          onClick={() => navigate(`/test-cases/${link.testCaseId}`)}
+                          className="text-left hover:text-blue-600"
+                        >
+                          #{link.testCaseId} {link.testCase.name}
+                          <span className="ml-2 text-xs text-[var(--muted)]">{link.testCase.priority}</span>
+                        </button>
+                        <button
+                          onClick={() => handleUnlinkTestCase(link.testCaseId)}
+                          className="text-xs text-red-600 hover:text-red-800"
+                        >
+                          Unlink
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {selected.children?.length > 0 && (
+                  <div>
+                    <h4 className="font-semibold text-sm mb-1">Child Requirements</h4>
+                    <ul className="text-sm space-y-1">
+                      {selected.children.map(child => (
+                        <li key={child.id}>{child.key} {child.title}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'matrix' && (
+        <div className="space-y-6">
+          <div className="tt-card p-4 flex flex-wrap items-center gap-4">
+            <select
+              value={testRunId}
+              onChange={(e) => setTestRunId(e.target.value)}
+              className="px-3 py-2 border border-[var(--border)] rounded text-sm"
+            >
+              <option value="">Latest execution of each test case</option>
+              {testRuns.map(run => (
+                <option key={run.id} value={run.id}>{run.name}</option>
+              ))}
+            </select>
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={includeDeprecated}
+                onChange={(e) => setIncludeDeprecated(e.target.checked)}
+              />
+              Include deprecated
+            </label>
+            <div className="flex gap-2 ml-auto">
+              {EXPORT_FORMATS.map(format => (
+                <button
+                  key={format}
+                  onClick={() => handleExport(format)}
+                  className="tt-btn px-3 py-1 text-sm"
+                >
+                  Export {format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {matrixLoading && !matrix && (
+            <div className="text-[var(--muted)]">Building traceability matrix...</div>
+          )}
+
+          {matrix && (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                {[
+                  { label: 'Requirements', value: matrix.summary.totalRequirements },
+                  { label: 'Covered', value: `${matrix.summary.coveredRequirements} (${matrix.summary.coveragePercent}%)` },
+                  { label: 'Uncovered', value: matrix.summary.uncoveredRequirements },
+                  { label: 'Passed', value: `${matrix.summary.passedRequirements} (${matrix.summary.passPercent}%)` },
+                  { label: 'Failed', value: matrix.summary.failedRequirements },
+                ].map(stat => (
+                  <div key={stat.label} className="tt-card p-4">
+                    <p className="text-xs text-[var(--muted)]">{stat.label}</p>
+                    <p className="text-xl font-bold">{stat.value}</p>
+                  </div>
+                ))}
+              </div>
+
+              <div className="tt-card overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-[var(--surface-strong)]">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-[var(--muted)] uppercase">Requirement</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-[var(--muted)] uppercase">Coverage</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-[var(--muted)] uppercase">Test Cases (latest result)</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-[var(--border)]">
+                    {matrix.requirements.map(req => (
+                      <tr key={req.id} className="align-top">
+                        <td className="px-4 py-2" style={{ paddingLeft: `${16 + req.depth * 20}px` }}>
+                          <span className="font-mono text-xs text-[var(--muted)] mr-2">{req.key}</span>
+                          {req.title}
+                          <span className="ml-2 text-xs text-[var(--muted)]">{req.status}</span>
+                        </td>
+                        <td className="px-4 py-2">
+                          <span className={`px-2 py-1 text-xs rounded ${COVERAGE_COLORS[req.coverageStatus]}`}>
+                            {req.coverageStatus}
+                          </span>
+                        </td>
+                        <td className="px-4 py-2">
+                          {req.testCases.length === 0 ? (
+                            <span className="text-xs text-[var(--muted)]">No linked test cases</span>
+                          ) : (
+                            <ul className="space-y-1">
+                              {req.testCases.map(tc => (
+                                <li key={tc.id} className="text-xs">
+                                  #{tc.id} {tc.name}:{' '}
+                                  <span className={`font-semibold ${RESULT_COLORS[tc.latestExecution?.status] || 'text-[var(--muted)]'}`}>
+                                    {tc.latestExecution?.status || 'NOT_RUN'}
+                                  </span>
+                                  {tc.latestExecution && (
+                                    <span className="text-[var(--muted)]"> in {tc.latestExecution.testRunName}</span>
+                                  )}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </DashboardLayout>
+  );
+}
@@ -1,17 +1,31 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '@/hooks';
 import DashboardLayout from '@/components/DashboardLayout';
 import { apiClient } from '@/lib/apiClient';
-import { Settings, Bell, Lock, Palette } from 'lucide-react';
+import { logError } from '@/lib/errorLogger';
+import { Settings, Bell, Lock, Palette, Monitor } from 'lucide-react';
 import BackButton from '@/components/ui/BackButton';
+import SessionList from '@/components/SessionList';
+import SsoConnection from '@/components/SsoConnection';
+import { getSsoErrorMessage } from '@/lib/ssoErrors';
 
 export default function SettingsPage() {
   const navigate = useNavigate();
-  const { user, logout } = useAuth();
-  const [activeTab, setActiveTab] = useState('general');
+  const [searchParams] = useSearchParams();
+  const { user, logout, logoutAll } = useAuth();
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'general');
   const [saving, setSaving] = useState(false);
-  const [message, setMessage] = useState({ type: '', text: '' });
+  // Connecting single sign-on comes back here with ?ssoConnected= or ?ssoError=
+  const [message, setMessage] = useState(() => {
+    if (searchParams.get('ssoConnected')) {
+      return { type: 'success', text: 'Single sign-on is now connected to your account' };
+    }
+    if (searchParams.get('ssoError')) {
+      return { type: 'error', text: getSsoErrorMessage(searchParams.get('ssoError')) };
+    }
+    return { type: '', text: '' };
+  });
 
   // General settings state
   const [emailNotifications, setEmailNotifications] = useState(true);
@@ -22,6 +36,52 @@ export default function SettingsPage() {
   const [theme, setTheme] = useState(localStorage.getItem('theme') || 'light');
   const [language, setLanguage] = useState('en');
 
+  // Devices (signed-in sessions) state
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+
+  const loadSessions = async () => {
+    try {
+      setSessionsLoading(true);
+      const response = await apiClient.get('/api/auth/sessions');
+      setSessions(response.sessions || []);
+    } catch (error) {
+      logError(error, 'SettingsPage.loadSessions');
+      setMessage({ type: 'error', text: error.message || 'Failed to load devices' });
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 'devices') {
+      loadSessions();
+    }
+  }, [activeTab]);
+
+  const handleRevokeSession = async (session) => {
+    setRevokingId(session.id);
+    setMessage({ type: '', text: '' });
+    try {
+      await apiClient.delete(`/api/auth/sessions/${session.id}`);
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+      setMessage({ type: 'success', text: `Signed out ${session.device}` });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to sign out device' });
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) {
+      return;
+    }
+    await logoutAll();
+    navigate('/login');
+  };
+
   const handleLogout = () => {
     logout();
     navigate('/login');
@@ -66,6 +126,7 @@ export default function SettingsPage() {
     { id: 'notifications', label: 'Notifications', icon: Bell },
     { id: 'appearance', label: 'Appearance', icon: Palette },
     { id: 'security', label: 'Security', icon: Lock },
+    { id: 'devices', label: 'Devices', icon: Monitor },
   ];
 
   return (
@@ -270,11 +331,37 @@ export default function SettingsPage() {
                     <p className="text-sm text-[var(--muted)] mb-4">
                       Add an extra layer of security to your account
                     </p>
-                    <button className="tt-btn-secondary" disabled>
-                      Enable 2FA (Coming Soon)
+                    <button
+                      onClick={() => navigate('/profile')}
+                      className="tt-btn-secondary"
+                    >
+                      Manage 2FA
                     </button>
                   </div>
+
+                  <SsoConnection user={user} />
+                </div>
+              </div>
+            )}
+
+            {/* Devices */}
+            {activeTab === 'devices' && (
+              <div>
+                <div className="flex items-center justify-between mb-6">
+                  <h2 className="text-xl font-semibold">Signed-in Devices</h2>
+                  <button onClick={handleLogoutAll} className="tt-btn tt-btn-outline text-sm">
+                    Sign out everywhere
+                  </button>
                 </div>
+                <p className="text-sm text-[var(--muted)] mb-4">
+                  Devices where your account is signed in. Sign out any device you don't recognize
+                  and change your password.
+                </p>
+                {sessionsLoading ? (
+                  <p className="text-sm text-[var(--muted)]">Loading devices...</p>
+                ) : (
+                  <SessionList sessions={sessions} onRevoke={handleRevokeSession} revokingId={revokingId} />
+                )}
               </div>
             )}
 
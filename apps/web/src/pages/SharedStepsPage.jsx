@@ -0,0 +1,295 @@
+/**
+ * SHARED STEPS PAGE
+ * Project library of reusable step blocks, with the test cases that use each block
+ */
+
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '@/hooks';
+import DashboardLayout from '@/components/DashboardLayout';
+import BackButton from '@/components/ui/BackButton';
+import Breadcrumb from '@/components/ui/Breadcrumb';
+import { apiClient } from '@/lib/apiClient';
+
+const EMPTY_STEP = { action: '', expectedResult: '', notes: '' };
+const EMPTY_FORM = { name: '', description: '', steps: [{ ...EMPTY_STEP }] };
+
+export default function SharedStepsPage() {
+  const { projectId } = useParams();
+  const navigate = useNavigate();
+  const { user, logout } = useAuth();
+
+  const [blocks, setBlocks] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [usage, setUsage] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadBlocks();
+  }, [projectId]);
+
+  const loadBlocks = async () => {
+    try {
+      const response = await apiClient.get(`/api/projects/${projectId}/shared-steps`);
+      setBlocks(response.data || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load shared steps');
+    }
+  };
+
+  const selectBlock = async (block) => {
+    setSelectedId(block.id);
+    setError('');
+    setSuccess('');
+    setForm({
+      name: block.name,
+      description: block.description || '',
+      steps: block.steps.map(step => ({
+        action: step.action,
+        expectedResult: step.expectedResult,
+        notes: step.notes || '',
+      })),
+    });
+
+    try {
+      const response = await apiClient.get(`/api/projects/${projectId}/shared-steps/${block.id}/usage`);
+      setUsage(response);
+    } catch (err) {
+      setUsage(null);
+      setError(err.message || 'Failed to load block usage');
+    }
+  };
+
+  const startNewBlock = () => {
+    setSelectedId(null);
+    setUsage(null);
+    setForm(EMPTY_FORM);
+    setError('');
+    setSuccess('');
+  };
+
+  const updateStep = (index, field, value) => {
+    setForm({
+      ...form,
+      steps: form.steps.map((step, i) => (i === index ? { ...step, [field]: value } : step)),
+    });
+  };
+
+  const moveStep = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= form.steps.length) return;
+    const steps = [...form.steps];
+    [steps[index], steps[target]] = [steps[target], steps[index]];
+    setForm({ ...form, steps });
+  };
+
+  const removeStep = (index) => {
+    setForm({ ...form, steps: form.steps.filter((_, i) => i !== index) });
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    const steps = form.steps.filter(step => step.action.trim());
+    if (!form.name.trim() || steps.length === 0) {
+      setError('A block needs a name and at least one step with an action.');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      const payload = { name: form.name.trim(), description: form.description.trim() || null, steps };
+      const saved = selectedId
+        ? await apiClient.patch(`/api/projects/${projectId}/shared-steps/${selectedId}`, payload)
+        : await apiClient.post(`/api/projects/${projectId}/shared-steps`, payload);
+
+      setSuccess(selectedId
+        ? 'Shared steps updated. Referencing test cases use the new steps from their next execution.'
+        : 'Shared step block created');
+      await loadBlocks();
+      await selectBlock(saved);
+    } catch (err) {
+      setError(err.message || 'Failed to save shared steps');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete shared step block "${form.name}"?`)) return;
+    try {
+      await apiClient.delete(`/api/projects/${projectId}/shared-steps/${selectedId}`);
+      startNewBlock();
+      loadBlocks();
+    } catch (err) {
+      setError(err.message || 'Failed to delete shared step block');
+    }
+  };
+
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+
+  return (
+    <DashboardLayout
+      user={user}
+      dashboardLabel="Project"
+      headerTitle="Shared Steps"
+      headerSubtitle="Reusable step blocks referenced by test cases"
+      onLogout={handleLogout}
+    >
+      <div className="mb-4 flex flex-col gap-3">
+        <BackButton label="Back to Project" fallback={`/projects/${projectId}`} />
+        <Breadcrumb
+          crumbs={[
+            { label: 'Dashboard', path: '/dashboard' },
+            { label: 'Project', path: `/projects/${projectId}` },
+            { label: 'Shared Steps', path: null },
+          ]}
+        />
+      </div>
+
+      {error && <div className="tt-card p-4 mb-4 text-[var(--danger)]">{error}</div>}
+      {success && <div className="tt-card p-4 mb-4 text-green-700">{success}</div>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="tt-card overflow-hidden h-fit">
+          <div className="px-4 py-3 border-b border-[var(--border)] flex justify-between items-center">
+            <h2 className="font-semibold">Library ({blocks.length})</h2>
+            <button onClick={startNewBlock} className="tt-btn tt-btn-primary px-3 py-1 text-xs">
+              + New Block
+            </button>
+          </div>
+          {blocks.length === 0 ? (
+            <p className="p-4 text-sm text-[var(--muted)]">No shared step blocks yet.</p>
+          ) : (
+            <ul className="divide-y divide-[var(--border)]">
+              {blocks.map(block => (
+                <li key={block.id}>
+                  <button
+                    onClick={() => selectBlock(block)}
+                    className={`w-full text-left px-4 py-3 hover:bg-[var(--surface-strong)] ${
+                      selectedId === block.id ? 'bg-[var(--surface-strong)]' : ''
+                    }`}
+                  >
+                    <p className="font-medium">{block.name}</p>
+                    <p className="text-xs text-[var(--muted)]">
+                      {block.steps.length} step(s) · used by {block.usageCount} test case(s)
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="lg:col-span-2 space-y-6">
+          <form onSubmit={handleSave} className="tt-card p-6 space-y-4">
+            <h2 className="text-lg font-semibold">{selectedId ? 'Edit Block' : 'New Block'}</h2>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Block name (e.g. Log in as admin)"
+              className="w-full px-3 py-2 border border-[var(--border)] rounded text-sm"
+              required
+            />
+            <textarea
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="Description (optional)"
+              rows={2}
+              className="w-full px-3 py-2 border border-[var(--border)] rounded text-sm"
+            />
+
+            <div className="space-y-3">
+              {form.steps.map((step, index) => (
+                <div key={index} className="border border-[var(--border)] rounded p-3 space-y-2">
+                  <div className="flex justify-between items-center text-xs text-[var(--muted)]">
+                    <span>Step {index + 1}</span>
+                    <div className="flex gap-2">
+                      <button type="button" onClick={() => moveStep(index, -1)} disabled={index === 0}>↑</button>
+                      <button type="button" onClick={() => moveStep(index, 1)} disabled={index === form.steps.length - 1}>↓</button>
+                      <button type="button" onClick={() => removeStep(index)} className="text-red-600">Remove</button>
+                    </div>
+                  </div>
+                  <input
+                    type="text"
+                    value={step.action}
+                    onChange={(e) => updateStep(index, 'action', e.target.value)}
+                    placeholder="Action"
+                    className="w-full px-3 py-2 border border-[var(--border)] rounded text-sm"
+                  />
+                  <input
+                    type="text"
+                    value={step.expectedResult}
+                    onChange={(e) => updateStep(index, 'expectedResult', e.target.value)}
+                    placeholder="Expected result"
+                    className="w-full px-3 py-2 border border-[var(--border)] rounded text-sm"
+                  />
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setForm({ ...form, steps: [...form.steps, { ...EMPTY_STEP }] })}
+                className="tt-btn px-3 py-1 text-sm"
+              >
+                + Add Step
+              </button>
+            </div>
+
+            <div className="flex gap-3 pt-2">
+              <button type="submit" disabled={saving} className="tt-btn tt-btn-primary px-4 py-2 text-sm">
+                {saving ? 'Saving...' : selectedId ? 'Save Changes' : 'Create Block'}
+              </button>
+              {selectedId && (
+                <button
+                  type="button"
+                  onClick={handleDelete}
+                  disabled={usage?.testCases.length > 0}
+                  title={usage?.testCases.length > 0 ? 'Blocks in use cannot be deleted' : undefined}
+                  className="tt-btn tt-btn-danger px-4 py-2 text-sm"
+                >
+                  Delete
+                </button>
+              )}
+            </div>
+          </form>
+
+          {selectedId && usage && (
+            <div className="tt-card p-6">
+              <h3 className="font-semibold mb-1">Used By</h3>
+              <p className="text-xs text-[var(--muted)] mb-3">
+                Changes to this block apply to every test case below.
+              </p>
+              {usage.testCases.length === 0 ? (
+                <p className="text-sm text-[var(--muted)]">No test case references this block.</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {usage.testCases.map(testCase => (
+                    <li key={testCase.id} className="flex justify-between">
+                      <button
+                        onClick={() => navigate(`/test-cases/${testCase.id}`)}
+                        className="text-left hover:text-blue-600"
+                      >
+                        #{testCase.id} {testCase.name}
+                      </button>
+                      <span className="text-xs text-[var(--muted)]">
+                        step {testCase.stepNumbers.join(', ')} · {testCase.status}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </DashboardLayout>
+  );
+}
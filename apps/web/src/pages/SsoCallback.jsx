@@ -0,0 +1,70 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '@/hooks';
+
+export default function SsoCallback() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { completeSsoLogin } = useAuth();
+  const [error, setError] = useState('');
+  // The token is single use; StrictMode's double effect must not spend it twice
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+
+    const finish = async () => {
+      const ssoToken = searchParams.get('ssoToken');
+      if (!ssoToken) {
+        setError('No single sign-on token provided');
+        return;
+      }
+
+      const result = await completeSsoLogin(ssoToken);
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+
+      // The two-factor step is shared with password sign-in
+      if (result.mfaRequired) {
+        navigate('/login', {
+          replace: true,
+          state: { mfaChallenge: { mfaToken: result.mfaToken, mfaEnrollmentRequired: result.mfaEnrollmentRequired } },
+        });
+        return;
+      }
+
+      const redirectTo = searchParams.get('redirectTo');
+      if (redirectTo?.startsWith('/') && !redirectTo.startsWith('//')) {
+        navigate(redirectTo, { replace: true });
+      } else {
+        navigate(String(result.user?.role).toUpperCase() === 'ADMIN' ? '/admin' : '/dashboard', { replace: true });
+      }
+    };
+
+    finish();
+  }, [searchParams, completeSsoLogin, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-6">
+      <div className="tt-card p-8 w-full max-w-md text-center animate-fade-in">
+        {error ? (
+          <>
+            <div className="text-[var(--danger)] text-5xl mb-4">✕</div>
+            <p className="text-[var(--danger)] font-semibold">{error}</p>
+            <Link to="/login" className="tt-btn tt-btn-outline inline-block mt-4 px-4 py-2 text-sm">
+              Back to sign in
+            </Link>
+          </>
+        ) : (
+          <>
+            <div className="animate-spin rounded-full h-12 w-12 border-2 border-[var(--primary)] border-t-transparent mx-auto mb-4"></div>
+            <p className="text-[var(--muted)]">Signing you in...</p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
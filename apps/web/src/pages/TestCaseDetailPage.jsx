@@ -6,6 +6,8 @@ import DashboardLayout from '../components/DashboardLayout';
 import { useProject } from '@/hooks';
 import BackButton from '@/components/ui/BackButton';
 import Breadcrumb from '@/components/ui/Breadcrumb';
+import VersionHistoryModal from '@/components/VersionHistoryModal';
+import TestDataTableEditor from '@/components/TestDataTableEditor';
 
 export default function TestCaseDetailPage() {
   const { testCaseId } = useParams();
@@ -20,6 +22,7 @@ export default function TestCaseDetailPage() {
   const [formData, setFormData] = useState({});
   const [actionLoading, setActionLoading] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
+  const [showVersionHistory, setShowVersionHistory] = useState(false);
 
   useEffect(() => {
     loadTestCaseDetails();
@@ -364,6 +367,19 @@ export default function TestCaseDetailPage() {
                   </div>
                 </div>
 
+                {testCase.customFields && Object.keys(testCase.customFields).length > 0 && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {Object.entries(testCase.customFields).map(([name, value]) => (
+                      <div key={name}>
+                        <label className="text-sm text-[var(--muted)]">{name}</label>
+                        <p className="mt-1 text-[var(--foreground)]">
+                          {typeof value === 'boolean' ? (value ? 'Yes' : 'No') : value ?? '-'}
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 {testCase.createdAt && (
                   <div className="text-xs text-[var(--muted)]">
                     Created {new Date(testCase.createdAt).toLocaleDateString()}
@@ -381,6 +397,12 @@ export default function TestCaseDetailPage() {
               <h3 className="text-lg font-bold">Actions</h3>
             </div>
             <div className="p-6 space-y-3">
+              <button
+                onClick={() => setShowVersionHistory(true)}
+                className="w-full tt-btn py-2 text-sm"
+              >
+                Version History
+              </button>
               <button
                 onClick={handleDeleteTestCase}
                 disabled={actionLoading}
@@ -391,7 +413,25 @@ export default function TestCaseDetailPage() {
             </div>
           </div>
         )}
+
+        {testCase && !isEditing && (
+          <TestDataTableEditor projectId={testCase.projectId} testCaseId={testCase.id} />
+        )}
       </div>
+
+      {testCase && (
+        <VersionHistoryModal
+          isOpen={showVersionHistory}
+          onClose={() => setShowVersionHistory(false)}
+          testCaseId={testCase.id}
+          project={{ id: testCase.projectId }}
+          onRestored={() => {
+            setShowVersionHistory(false);
+            setSuccessMessage('Test case restored to the selected version');
+            loadTestCaseDetails();
+          }}
+        />
+      )}
     </DashboardLayout>
   );
 }
@@ -3,12 +3,14 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '@/hooks';
 import useTestExecution from '@/hooks/useTestExecution';
 import useExecutionTimer from '@/hooks/useExecutionTimer';
+import { useExecutionLock } from '@/hooks/useRunBoard';
 import StepNavigator from '@/components/StepNavigator';
 import ActualResultInput from '@/components/ActualResultInput';
 import StepResultSelector from '@/components/StepResultSelector';
 import ExecutionTimer from '@/components/ExecutionTimer';
 import TestExecutionComments from '@/components/TestExecutionComments';
 import BugCreationModal from '@/components/BugCreationModal';
+import OfflineSyncStatus from '@/components/OfflineSyncStatus';
 import BackButton from '@/components/ui/BackButton';
 import Breadcrumb from '@/components/ui/Breadcrumb';
 
@@ -33,6 +35,13 @@ export default function TestExecution() {
     getHistory,
     compareExecutions,
     linkDefect,
+    queuedOperations,
+    isOnline,
+    isSyncing,
+    isOfflineCopy,
+    syncPending,
+    resolveConflict,
+    refreshQueue,
   } = useTestExecution(executionId);
 
   const {
@@ -44,7 +53,10 @@ export default function TestExecution() {
     stop,
     lastSaved,
     updateLastSaved,
-  } = useExecutionTimer(execution?.startedAt);
+  } = useExecutionTimer(execution?.startedAt, executionId);
+
+  // Admins only view, so they never hold the run board lock
+  const lockedBy = useExecutionLock(isAdmin ? null : execution?.testRun?.id, executionId);
 
   const [currentStepIndex, setCurrentStepIndex] = useState(0);
   const [actualResult, setActualResult] = useState('');
@@ -139,6 +151,8 @@ export default function TestExecution() {
         setActualResult('');
         setNotes('');
         setSelectedStatus('');
+      } else if (response?.queued) {
+        alert('Step saved on this device. Complete the execution once your results have synced.');
       } else {
         // Last step - offer to complete
         const shouldComplete = window.confirm(
@@ -189,8 +203,10 @@ export default function TestExecution() {
 
   const handleAutoSave = async () => {
     if (!executionId) return;
-    await saveProgress();
-    updateLastSaved();
+    const response = await saveProgress(seconds);
+    if (response && !response.queued) {
+      updateLastSaved();
+    }
   };
 
   const handleCompare = async () => {
@@ -246,10 +262,10 @@ export default function TestExecution() {
     // Build description with execution context
     const descriptionLines = [];
     descriptionLines.push(`**Test Case:** ${execution?.testCase?.name}`);
-    descriptionLines.push(`**Step ${currentStepIndex + 1}:** ${currentStep.testStep?.action}`);
+    descriptionLines.push(`**Step ${currentStepIndex + 1}:** ${currentStep.action}`);
     descriptionLines.push('');
     descriptionLines.push('**Expected Result:**');
-    descriptionLines.push(currentStep.testStep?.expectedResult || 'N/A');
+    descriptionLines.push(currentStep.expectedResult || 'N/A');
     descriptionLines.push('');
     descriptionLines.push('**Actual Result:**');
     descriptionLines.push(actualResult || 'N/A');
@@ -357,6 +373,16 @@ export default function TestExecution() {
                 {execution.testRun?.environment && `Env: ${execution.testRun.environment} • `}
                 Build: {execution.testRun?.buildVersion || 'N/A'}
               </p>
+              {execution.dataRowValues && (
+                <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                  <span className="font-semibold">Data row {execution.dataRowNumber}:</span>
+                  {Object.entries(execution.dataRowValues).map(([name, value]) => (
+                    <span key={name} className="px-2 py-0.5 rounded bg-[var(--bg-elevated)] font-mono">
+                      {name}={value === null ? '' : String(value)}
+                    </span>
+                  ))}
+                </div>
+              )}
             </div>
 
             {/* Status Badge */}
@@ -424,6 +450,22 @@ export default function TestExecution() {
 
           {/* Center/Right: Execution Panel */}
           <div className="lg:col-span-3">
+            {!isAdmin && (
+              <OfflineSyncStatus
+                isOnline={isOnline}
+                isSyncing={isSyncing}
+                isOfflineCopy={isOfflineCopy}
+                operations={queuedOperations}
+                steps={execution.steps || []}
+                onSync={syncPending}
+                onResolveConflict={resolveConflict}
+              />
+            )}
+            {lockedBy && (
+              <div className="tt-card mb-6 p-4 border border-amber-300 bg-amber-50 text-amber-900">
+                {lockedBy.userName} is already executing this test case. Results you record may overwrite theirs.
+              </div>
+            )}
             {isAdmin && (
               <div className="tt-card mb-6 p-4 border border-amber-300 bg-amber-50 text-amber-900">
                 Read-only access: Admins cannot execute test cases or modify test results.
@@ -433,8 +475,13 @@ export default function TestExecution() {
               <div className="tt-card">
                 <div className="px-6 py-4 border-b border-[var(--border)]">
                   <h2 className="text-xl font-semibold">
-                    Step {currentStepIndex + 1}: {currentStep.testStep?.action}
+                    Step {currentStepIndex + 1}: {currentStep.action}
                   </h2>
+                  {currentStep.sharedStepBlockId && (
+                    <p className="text-xs text-[var(--muted)] mt-1">
+                      From {currentStep.testStep?.action || 'a shared step block'}
+                    </p>
+                  )}
                 </div>
 
                 <div className="p-6 space-y-8 max-h-[calc(100vh-300px)] overflow-y-auto">
@@ -447,7 +494,7 @@ export default function TestExecution() {
                       className="bg-[var(--bg-elevated)] p-4 rounded-lg border border-[var(--border)] 
                         text-sm leading-relaxed text-[var(--foreground)]"
                     >
-                      {currentStep.testStep?.expectedResult ||
+                      {currentStep.expectedResult ||
                         'No expected result defined'}
                     </div>
                   </section>
@@ -455,7 +502,7 @@ export default function TestExecution() {
                   {/* Actual Result Input */}
                   <section>
                     <ActualResultInput
-                      expectedResult={currentStep.testStep?.expectedResult}
+                      expectedResult={currentStep.expectedResult}
                       actualResult={actualResult}
                       onChange={setActualResult}
                       disabled={submitting || isAdmin}
@@ -493,6 +540,7 @@ export default function TestExecution() {
                         stepId={currentStep.stepId}
                         testName={execution.testCase?.name || 'Test'}
                         onClose={() => {}}
+                        onEvidenceQueued={refreshQueue}
                       />
                     </section>
                   )}
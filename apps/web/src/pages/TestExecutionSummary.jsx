@@ -285,7 +285,7 @@ export default function TestExecutionSummary() {
                     <div className="flex-1 min-w-0">
                       <div className="flex items-center gap-2 mb-1">
                         <span className="font-medium text-[var(--foreground)]">
-                          Step {index + 1}: {step.testStep?.action}
+                          Step {index + 1}: {step.action}
                         </span>
                         <span
                           className={`text-xs font-semibold px-2 py-1 rounded ${getStatusColor(
@@ -296,11 +296,11 @@ export default function TestExecutionSummary() {
                         </span>
                       </div>
 
-                      {step.testStep?.expectedResult && (
+                      {step.expectedResult && (
                         <div className="text-sm mb-2">
                           <span className="text-[var(--muted)]">Expected: </span>
                           <span className="text-[var(--foreground)]">
-                            {step.testStep.expectedResult}
+                            {step.expectedResult}
                           </span>
                         </div>
                       )}
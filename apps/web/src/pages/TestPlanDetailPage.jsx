@@ -5,6 +5,7 @@ import { useAuth } from '../hooks/useAuth';
 import DashboardLayout from '../components/DashboardLayout';
 import BackButton from '@/components/ui/BackButton';
 import Breadcrumb from '@/components/ui/Breadcrumb';
+import TestPlanMatrixPanel from '@/components/TestPlanMatrixPanel';
 
 export default function TestPlanDetailPage() {
   const { planId } = useParams();
@@ -39,10 +40,9 @@ export default function TestPlanDetailPage() {
   const loadTestPlanDetails = async () => {
     try {
       setLoading(true);
-          <BackButton
-            label="Back to Test Plans"
-            fallback={`/test-plans?projectId=${projectId}`}
-          />
+      const response = await apiClient.get(`/api/projects/${projectId}/test-plans/${planId}`);
+      setTestPlan(response.data || response);
+      setFormData({
         name: response.name || response.data?.name || '',
         description: response.description || response.data?.description || '',
       });
@@ -57,7 +57,7 @@ export default function TestPlanDetailPage() {
   const loadTestCases = async () => {
     try {
       const response = await apiClient.get(
-        `/api/projects/${projectId}/test-plans/${planId}/test-cases`
+        `/api/projects/${projectId}/test-plans/${planId}/test-cases`,
       );
       setTestCases(response.data || response || []);
     } catch (err) {
@@ -114,7 +114,7 @@ export default function TestPlanDetailPage() {
       setError('');
       await apiClient.post(
         `/api/projects/${projectId}/test-plans/${planId}/test-cases`,
-        { testCaseId }
+        { testCaseId },
       );
       setSuccessMessage('Test case added to plan');
       await loadTestCases();
@@ -135,7 +135,7 @@ export default function TestPlanDetailPage() {
       setActionLoading(true);
       setError('');
       await apiClient.delete(
-        `/api/projects/${projectId}/test-plans/${planId}/test-cases/${testCaseId}`
+        `/api/projects/${projectId}/test-plans/${planId}/test-cases/${testCaseId}`,
       );
       setSuccessMessage('Test case removed from plan');
       await loadTestCases();
@@ -169,7 +169,7 @@ export default function TestPlanDetailPage() {
 
   const filteredAvailableTestCases = availableTestCases.filter((tc) =>
     tc.title?.toLowerCase().includes(searchQuery.toLowerCase()) ||
-    tc.name?.toLowerCase().includes(searchQuery.toLowerCase())
+    tc.name?.toLowerCase().includes(searchQuery.toLowerCase()),
   );
 
   if (!projectId) {
@@ -464,6 +464,9 @@ export default function TestPlanDetailPage() {
             )}
           </div>
         </div>
+
+        {/* Environment Matrix Section */}
+        <TestPlanMatrixPanel projectId={projectId} planId={planId} />
       </div>
 
       {/* Add Test Case Modal */}
@@ -0,0 +1,316 @@
+/**
+ * Test Run Comparison Page
+ * Build-over-build diff of two test runs: status changes, added/removed cases
+ * and duration regressions.
+ */
+
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useAuth } from '@/hooks';
+import DashboardLayout from '@/components/DashboardLayout';
+import BackButton from '@/components/ui/BackButton';
+import Breadcrumb from '@/components/ui/Breadcrumb';
+import { apiClient } from '@/lib/apiClient';
+import { logError } from '@/lib/errorLogger';
+
+const SECTIONS = [
+  { key: 'newlyFailing', title: 'Newly Failing', accent: 'text-red-600' },
+  { key: 'durationRegressions', title: 'Duration Regressions', accent: 'text-yellow-600' },
+  { key: 'stillFailing', title: 'Still Failing', accent: 'text-orange-600' },
+  { key: 'newlyPassing', title: 'Newly Passing', accent: 'text-green-600' },
+  { key: 'added', title: 'Added', accent: 'text-blue-600' },
+  { key: 'removed', title: 'Removed', accent: 'text-[var(--muted)]' },
+];
+
+const runLabel = (run) => `${run.name}${run.buildVersion ? ` (${run.buildVersion})` : ''}`;
+
+const formatDuration = (seconds) => (seconds === null || seconds === undefined ? '-' : `${seconds}s`);
+
+export default function TestRunComparisonPage() {
+  const { projectId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [testRuns, setTestRuns] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const baseRunId = searchParams.get('base') || '';
+  const targetRunId = searchParams.get('target') || '';
+  const threshold = searchParams.get('threshold') || '20';
+
+  useEffect(() => {
+    loadTestRuns();
+  }, [projectId]);
+
+  useEffect(() => {
+    if (baseRunId && targetRunId) {
+      loadComparison();
+    } else {
+      setComparison(null);
+    }
+  }, [projectId, baseRunId, targetRunId, threshold]);
+
+  const comparisonQuery = () => new URLSearchParams({
+    baseRunId,
+    targetRunId,
+    durationThresholdPercent: threshold,
+  });
+
+  const loadTestRuns = async () => {
+    try {
+      const response = await apiClient.get(`/api/projects/${projectId}/test-runs`);
+      setTestRuns(response.testRuns || []);
+    } catch (err) {
+      logError(err, 'TestRunComparisonPage.loadTestRuns');
+    }
+  };
+
+  const loadComparison = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await apiClient.get(`/api/projects/${projectId}/test-runs/compare?${comparisonQuery()}`);
+      setComparison(response);
+    } catch (err) {
+      setComparison(null);
+      setError(err.message || 'Failed to compare test runs');
+      logError(err, 'TestRunComparisonPage.loadComparison');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateParam = (name, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) {
+      next.set(name, value);
+    } else {
+      next.delete(name);
+    }
+    setSearchParams(next);
+  };
+
+  const swapRuns = () => {
+    const next = new URLSearchParams(searchParams);
+    next.set('base', targetRunId);
+    next.set('target', baseRunId);
+    setSearchParams(next);
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+      const query = comparisonQuery();
+      query.set('format', format);
+      const response = await fetch(
+        `${apiBaseUrl}/api/projects/${projectId}/test-runs/compare/export?${query}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          },
+        },
+      );
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(errorText || 'Export failed');
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `test-run-comparison-${baseRunId}-${targetRunId}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      alert(`Failed to export: ${err.message}`);
+    }
+  };
+
+  const renderRunSelect = (label, value, param) => (
+    <label className="flex flex-col gap-1 text-sm">
+      <span className="text-[var(--muted)]">{label}</span>
+      <select
+        value={value}
+        onChange={e => updateParam(param, e.target.value)}
+        className="px-3 py-2 border border-[var(--border)] rounded bg-[var(--bg)] min-w-[16rem]"
+      >
+        <option value="">Select a test run</option>
+        {testRuns.map(run => (
+          <option key={run.id} value={run.id}>{runLabel(run)}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const renderSummaryCard = (label, run) => (
+    <div className="tt-card p-4">
+      <div className="text-sm text-[var(--muted)]">{label}</div>
+      <div className="text-lg font-bold mt-1">{runLabel(run)}</div>
+      <div className="text-sm text-[var(--muted)] mt-1">
+        {run.passed}/{run.total} passed ({run.passRate}%) • {run.failed} failed • {formatDuration(run.totalDurationSeconds)}
+      </div>
+    </div>
+  );
+
+  const renderSection = ({ key, title, accent }) => {
+    const rows = comparison[key];
+    if (rows.length === 0) return null;
+
+    return (
+      <div key={key} className="tt-card">
+        <div className="px-6 py-4 border-b border-[var(--border)]">
+          <h2 className={`text-lg font-bold ${accent}`}>{title} ({rows.length})</h2>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-[var(--bg-elevated)] border-b border-[var(--border)]">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs uppercase tracking-[0.2em] text-[var(--muted)]">Test Case</th>
+                <th className="px-6 py-3 text-left text-xs uppercase tracking-[0.2em] text-[var(--muted)]">Priority</th>
+                <th className="px-6 py-3 text-left text-xs uppercase tracking-[0.2em] text-[var(--muted)]">Base</th>
+                <th className="px-6 py-3 text-left text-xs uppercase tracking-[0.2em] text-[var(--muted)]">Target</th>
+                <th className="px-6 py-3 text-left text-xs uppercase tracking-[0.2em] text-[var(--muted)]">Duration</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-[var(--border)]">
+              {rows.map(row => (
+                <tr key={`${row.testCaseId}:${row.dataRowNumber ?? ''}`} className="hover:bg-[var(--bg-elevated)] transition">
+                  <td className="px-6 py-3">
+                    <button
+                      onClick={() => navigate(`/test-cases/${row.testCaseId}`)}
+                      className="text-left font-medium hover:text-blue-600"
+                    >
+                      {row.testCaseName}
+                    </button>
+                    {row.dataRowNumber !== null && (
+                      <span className="ml-2 text-xs text-[var(--muted)]">Row {row.dataRowNumber}</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-3">{row.priority}</td>
+                  <td className="px-6 py-3">{row.baseStatus || '-'}</td>
+                  <td className="px-6 py-3">{row.targetStatus || '-'}</td>
+                  <td className="px-6 py-3 text-[var(--muted)]">
+                    {formatDuration(row.baseDurationSeconds)} → {formatDuration(row.targetDurationSeconds)}
+                    {row.deltaPercent !== undefined && (
+                      <span className="ml-2 text-yellow-600">+{row.deltaPercent}%</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <DashboardLayout
+      user={user}
+      dashboardLabel="Test Management"
+      headerTitle="Compare Test Runs"
+      headerSubtitle="Build-over-build changes and regressions"
+    >
+      <div className="p-6 space-y-6">
+        <div className="flex flex-col gap-3">
+          <BackButton label="Back" fallback={`/projects/${projectId}`} />
+          <Breadcrumb
+            crumbs={[
+              { label: 'Dashboard', path: '/dashboard' },
+              { label: 'Reports', path: '/reports' },
+              { label: 'Compare Test Runs', path: null },
+            ]}
+          />
+        </div>
+
+        <div className="tt-card p-4 flex flex-wrap items-end gap-4">
+          {renderRunSelect('Base run', baseRunId, 'base')}
+          <button
+            onClick={swapRuns}
+            disabled={!baseRunId || !targetRunId}
+            className="px-3 py-2 border border-[var(--border)] rounded text-sm disabled:opacity-50"
+            title="Swap base and target"
+          >
+            ⇄
+          </button>
+          {renderRunSelect('Target run', targetRunId, 'target')}
+          <label className="flex flex-col gap-1 text-sm">
+            <span className="text-[var(--muted)]">Slowdown threshold (%)</span>
+            <input
+              type="number"
+              min="0"
+              value={threshold}
+              onChange={e => updateParam('threshold', e.target.value)}
+              className="w-24 px-3 py-2 border border-[var(--border)] rounded bg-[var(--bg)]"
+            />
+          </label>
+          {comparison && (
+            <div className="flex gap-2 ml-auto">
+              <button
+                onClick={() => handleExport('csv')}
+                className="px-3 py-2 border border-[var(--border)] rounded text-sm"
+              >
+                Export CSV
+              </button>
+              <button
+                onClick={() => handleExport('xlsx')}
+                className="px-3 py-2 border border-[var(--border)] rounded text-sm"
+              >
+                Export Excel
+              </button>
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900 border border-red-200 text-red-800 dark:text-red-200 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        {loading && (
+          <div className="text-center py-12">
+            <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        )}
+
+        {!loading && !comparison && !error && (
+          <p className="text-sm text-[var(--muted)]">Select two test runs to compare.</p>
+        )}
+
+        {!loading && comparison && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {renderSummaryCard('Base', comparison.base)}
+              {renderSummaryCard('Target', comparison.target)}
+              <div className="tt-card p-4">
+                <div className="text-sm text-[var(--muted)]">Pass rate change</div>
+                <div className={`text-3xl font-bold mt-1 ${comparison.summary.passRateDiff < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                  {comparison.summary.passRateDiff > 0 ? '+' : ''}{comparison.summary.passRateDiff}%
+                </div>
+                <div className="text-sm text-[var(--muted)] mt-1">
+                  {comparison.summary.newlyFailing} newly failing • {comparison.summary.durationRegressions} slower
+                </div>
+              </div>
+            </div>
+
+            {SECTIONS.map(renderSection)}
+
+            {SECTIONS.every(({ key }) => comparison[key].length === 0) && (
+              <p className="text-sm text-[var(--muted)]">
+                No differences between the two runs ({comparison.summary.unchanged} unchanged test cases).
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </DashboardLayout>
+  );
+}
@@ -4,6 +4,7 @@ import { useAuth } from '@/hooks';
 import { apiClient } from '@/lib/apiClient';
 import { logError } from '@/lib/errorLogger';
 import BackButton from '@/components/ui/BackButton';
+import RunTemplatePanel from '@/components/RunTemplatePanel';
 
 /**
  * TestRunCreation Page
@@ -32,6 +33,14 @@ export default function TestRunCreation() {
     buildVersion: '',
   });
 
+  // Optional split of the run across testers
+  const [testers, setTesters] = useState([]);
+  const [selectedTesters, setSelectedTesters] = useState([]);
+  const [assignment, setAssignment] = useState({
+    strategy: 'ROUND_ROBIN',
+    balanceByDuration: true,
+  });
+
   // Load test cases
   useEffect(() => {
     const loadTestCases = async () => {
@@ -66,6 +75,36 @@ export default function TestRunCreation() {
     }
   }, [projectId]);
 
+  // Load testers the run can be split across
+  useEffect(() => {
+    const loadTesters = async () => {
+      try {
+        const response = await apiClient.get(
+          `/api/projects/${projectId}/test-runs/assignable-testers`,
+        );
+        setTesters(response?.testers || []);
+      } catch (err) {
+        logError(err, 'TestRunCreation.loadTesters');
+      }
+    };
+
+    if (projectId) {
+      loadTesters();
+    }
+  }, [projectId]);
+
+  const handleToggleTester = (testerId) => {
+    setSelectedTesters((prev) =>
+      prev.includes(testerId)
+        ? prev.filter((id) => id !== testerId)
+        : [...prev, testerId],
+    );
+  };
+
+  const selectedMinutes = testCases
+    .filter((tc) => selectedCases.includes(tc.id))
+    .reduce((sum, tc) => sum + (tc.estimatedDurationMinutes || 0), 0);
+
   const handleToggleCase = (caseId) => {
     setSelectedCases((prev) =>
       prev.includes(caseId)
@@ -120,20 +159,17 @@ export default function TestRunCreation() {
           environment: formData.environment || null,
           buildVersion: formData.buildVersion.trim() || null,
           testCaseIds: selectedCases,
+          ...(selectedTesters.length > 0 && {
+            assignment: {
+              testerIds: selectedTesters,
+              strategy: assignment.strategy,
+              balanceByDuration: assignment.balanceByDuration,
+            },
+          }),
         }
       );
 
-      // Navigate to first execution
-      if (response.testRun && response.testRun.executions?.length > 0) {
-        navigate(
-          `/test-execution/${response.testRun.executions[0].id}`
-        );
-      } else {
-        // Fallback to test run details
-        navigate(
-          `/test-run/${response.testRun.id}`
-        );
-      }
+      openCreatedRun(response);
     } catch (err) {
       logError(err, 'TestRunCreation.createTestRun');
       setError(err.message || 'Failed to create test run');
@@ -142,6 +178,23 @@ export default function TestRunCreation() {
     }
   };
 
+  // Navigate to the first execution assigned to the current user
+  const openCreatedRun = (response) => {
+    const ownExecution = response.testRun?.executions?.find(
+      (execution) => !execution.assignedToId || execution.assignedToId === user?.id,
+    );
+    if (ownExecution) {
+      navigate(
+        `/test-execution/${ownExecution.id}`,
+      );
+    } else {
+      // Fallback to test run details
+      navigate(
+        `/test-run/${response.testRun.id}`,
+      );
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-[var(--bg)] flex items-center justify-center">
@@ -258,6 +311,66 @@ export default function TestRunCreation() {
                 />
               </div>
 
+              {/* Tester Assignment */}
+              {testers.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-[var(--foreground)] mb-2">
+                    Assign Testers (Optional)
+                  </label>
+                  <div className="max-h-40 overflow-y-auto border border-[var(--border)] rounded-lg divide-y divide-[var(--border)]">
+                    {testers.map((tester) => (
+                      <label
+                        key={tester.id}
+                        className="flex items-center gap-2 px-3 py-2 text-sm cursor-pointer hover:bg-[var(--bg-elevated)]"
+                      >
+                        <input
+                          type="checkbox"
+                          checked={selectedTesters.includes(tester.id)}
+                          onChange={() => handleToggleTester(tester.id)}
+                          disabled={submitting}
+                          className="w-4 h-4 cursor-pointer accent-blue-600"
+                        />
+                        <span className="truncate">{tester.name || tester.email}</span>
+                      </label>
+                    ))}
+                  </div>
+
+                  {selectedTesters.length > 0 && (
+                    <div className="mt-3 space-y-2">
+                      <select
+                        value={assignment.strategy}
+                        onChange={(e) => setAssignment((prev) => ({ ...prev, strategy: e.target.value }))}
+                        disabled={submitting}
+                        className="w-full px-3 py-2 border border-[var(--border)] rounded-lg 
+                          bg-[var(--bg)] text-[var(--foreground)]
+                          focus:outline-none focus:ring-2 focus:ring-offset-0 focus:ring-blue-500
+                          disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <option value="ROUND_ROBIN">Round robin</option>
+                        <option value="SUITE">Keep suites together</option>
+                        <option value="MODULE_AREA">Keep module areas together</option>
+                      </select>
+                      <label className="flex items-center gap-2 text-sm text-[var(--foreground)]">
+                        <input
+                          type="checkbox"
+                          checked={assignment.balanceByDuration}
+                          onChange={(e) => setAssignment((prev) => ({ ...prev, balanceByDuration: e.target.checked }))}
+                          disabled={submitting}
+                          className="w-4 h-4 cursor-pointer accent-blue-600"
+                        />
+                        Balance by estimated duration
+                      </label>
+                      {assignment.balanceByDuration && selectedMinutes > 0 && (
+                        <p className="text-xs text-[var(--muted)]">
+                          ~{Math.round(selectedMinutes / selectedTesters.length)} min per tester
+                          ({selectedMinutes} min total)
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Selected Count */}
               <div className="p-3 bg-blue-500/10 border border-blue-500/20 rounded-lg">
                 <p className="text-sm text-blue-700 dark:text-blue-300">
@@ -283,6 +396,25 @@ export default function TestRunCreation() {
                 )}
               </button>
             </form>
+
+            <div className="mt-6">
+              <RunTemplatePanel
+                projectId={projectId}
+                current={{
+                  testCaseIds: selectedCases,
+                  environment: formData.environment,
+                  buildVersion: formData.buildVersion.trim(),
+                  assignment: selectedTesters.length > 0
+                    ? {
+                      testerIds: selectedTesters,
+                      strategy: assignment.strategy,
+                      balanceByDuration: assignment.balanceByDuration,
+                    }
+                    : null,
+                }}
+                onRunCreated={openCreatedRun}
+              />
+            </div>
           </div>
 
           {/* Test Cases Section */}
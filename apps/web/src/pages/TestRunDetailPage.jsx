@@ -6,6 +6,8 @@ import DashboardLayout from '../components/DashboardLayout';
 import { logError } from '../lib/errorLogger';
 import BackButton from '@/components/ui/BackButton';
 import Breadcrumb from '@/components/ui/Breadcrumb';
+import QualityGateBadge from '@/components/QualityGateBadge';
+import RunBoard from '@/components/RunBoard';
 
 export default function TestRunDetailPage() {
   const { testRunId } = useParams();
@@ -17,6 +19,7 @@ export default function TestRunDetailPage() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [activeTab, setActiveTab] = useState('overview');
+  const [projectRuns, setProjectRuns] = useState([]);
 
   useEffect(() => {
     loadTestRunDetails();
@@ -40,6 +43,19 @@ export default function TestRunDetailPage() {
     }
   };
 
+  useEffect(() => {
+    if (!testRun?.projectId) return;
+    apiClient
+      .get(`/api/projects/${testRun.projectId}/test-runs`)
+      .then((response) => setProjectRuns((response.testRuns || []).filter(run => run.id !== testRun.id)))
+      .catch((err) => logError(err, 'TestRunDetailPage.loadProjectRuns'));
+  }, [testRun?.projectId, testRun?.id]);
+
+  const handleCompare = (baseRunId) => {
+    if (!baseRunId) return;
+    navigate(`/projects/${testRun.projectId}/test-runs/compare?base=${baseRunId}&target=${testRun.id}`);
+  };
+
   const handleViewExecution = (executionId) => {
     navigate(`/test-execution/${executionId}`);
   };
@@ -179,6 +195,33 @@ export default function TestRunDetailPage() {
                 </p>
               </div>
 
+              <div>
+                <label className="text-sm text-[var(--muted)]">Release Quality Gate</label>
+                <div className="mt-1">
+                  <QualityGateBadge projectId={testRun.projectId} testRunId={testRun.id} />
+                </div>
+              </div>
+
+              {projectRuns.length > 0 && (
+                <div>
+                  <label className="text-sm text-[var(--muted)]">Compare With</label>
+                  <div className="mt-1">
+                    <select
+                      value=""
+                      onChange={e => handleCompare(e.target.value)}
+                      className="px-2 py-1 text-sm border border-[var(--border)] rounded bg-[var(--bg)]"
+                    >
+                      <option value="">Select a previous run or build…</option>
+                      {projectRuns.map(run => (
+                        <option key={run.id} value={run.id}>
+                          {run.name}{run.buildVersion ? ` (${run.buildVersion})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+
               {testRun.createdAt && (
                 <div>
                   <label className="text-sm text-[var(--muted)]">Created</label>
@@ -203,6 +246,14 @@ export default function TestRunDetailPage() {
           </div>
         </div>
 
+        {/* Live Board */}
+        <div className="tt-card">
+          <div className="px-6 py-4 border-b border-[var(--border)]">
+            <h2 className="text-xl font-bold">Live Board</h2>
+          </div>
+          <RunBoard projectId={testRun.projectId} runId={testRun.id} />
+        </div>
+
         {/* Executions Section */}
         <div className="tt-card">
           <div className="px-6 py-4 border-b border-[var(--border)]">
@@ -240,6 +291,14 @@ export default function TestRunDetailPage() {
                     <tr key={execution.id} className="hover:bg-[var(--bg-elevated)] transition">
                       <td className="px-6 py-4 text-sm font-medium">
                         {execution.testCase?.title || `Test #${execution.testCaseId}`}
+                        {execution.dataRowValues && (
+                          <div className="text-xs font-normal text-[var(--muted)] font-mono">
+                            Row {execution.dataRowNumber}:{' '}
+                            {Object.entries(execution.dataRowValues)
+                              .map(([name, value]) => `${name}=${value === null ? '' : value}`)
+                              .join(', ')}
+                          </div>
+                        )}
                       </td>
                       <td className="px-6 py-4 text-sm">
                         <span className={`px-3 py-1 rounded-full text-xs font-semibold ${getStatusColor(execution.status)}`}>
@@ -2,8 +2,9 @@ import { useMemo, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { apiClient } from '../lib/apiClient';
 import BackButton from '@/components/ui/BackButton';
+import SuiteCriteriaEditor, { EMPTY_CRITERIA, isCriteriaComplete } from '@/components/SuiteCriteriaEditor';
 
-const SUITE_TYPES = ['STATIC', 'DYNAMIC', 'REGRESSION', 'SMOKE', 'SANITY', 'CUSTOM'];
+const SUITE_TYPES = ['STATIC', 'DYNAMIC'];
 const SUITE_STATUSES = ['ACTIVE', 'ARCHIVED', 'DEPRECATED'];
 
 export default function TestSuiteCreatePage() {
@@ -13,7 +14,8 @@ export default function TestSuiteCreatePage() {
 
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
-  const [type, setType] = useState('STATIC');
+  const [suiteType, setSuiteType] = useState('STATIC');
+  const [criteria, setCriteria] = useState(EMPTY_CRITERIA);
   const [status, setStatus] = useState('ACTIVE');
   const [estimatedDurationMinutes, setEstimatedDurationMinutes] = useState('');
   const [submitting, setSubmitting] = useState(false);
@@ -32,6 +34,11 @@ export default function TestSuiteCreatePage() {
       return;
     }
 
+    if (suiteType === 'DYNAMIC' && !isCriteriaComplete(criteria)) {
+      setError('Every rule of a dynamic suite needs a value.');
+      return;
+    }
+
     let durationValue;
     if (estimatedDurationMinutes.trim()) {
       durationValue = Number(estimatedDurationMinutes);
@@ -48,7 +55,8 @@ export default function TestSuiteCreatePage() {
       const payload = {
         name: name.trim(),
         description: description.trim() || undefined,
-        type,
+        suiteType,
+        criteria: suiteType === 'DYNAMIC' ? criteria : undefined,
         status,
         estimatedDurationMinutes: durationValue,
       };
@@ -123,13 +131,13 @@ export default function TestSuiteCreatePage() {
           <div>
             <label className="block text-sm font-medium mb-1">Type</label>
             <select
-              value={type}
-              onChange={(event) => setType(event.target.value)}
+              value={suiteType}
+              onChange={(event) => setSuiteType(event.target.value)}
               className="w-full px-3 py-2 border rounded dark:bg-gray-800"
             >
-              {SUITE_TYPES.map((suiteType) => (
-                <option key={suiteType} value={suiteType}>
-                  {suiteType}
+              {SUITE_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {type}
                 </option>
               ))}
             </select>
@@ -151,6 +159,16 @@ export default function TestSuiteCreatePage() {
           </div>
         </div>
 
+        {suiteType === 'DYNAMIC' && (
+          <div>
+            <label className="block text-sm font-medium mb-1">Membership Rules</label>
+            <p className="text-xs text-gray-500 mb-2">
+              Test cases are not added by hand: the suite always contains the cases that match these rules.
+            </p>
+            <SuiteCriteriaEditor projectId={projectId} criteria={criteria} onChange={setCriteria} />
+          </div>
+        )}
+
         <div>
           <label className="block text-sm font-medium mb-1">Estimated Duration (minutes)</label>
           <input
@@ -4,6 +4,7 @@ import { apiClient } from '../lib/apiClient';
 import { logError } from '../lib/errorLogger';
 import BackButton from '@/components/ui/BackButton';
 import Breadcrumb from '@/components/ui/Breadcrumb';
+import SuiteCriteriaEditor, { isCriteriaComplete, toEditableCriteria } from '@/components/SuiteCriteriaEditor';
 
 export default function TestSuiteDetailPage() {
   const { suiteId } = useParams();
@@ -17,6 +18,8 @@ export default function TestSuiteDetailPage() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [activeTab, setActiveTab] = useState('testcases'); // 'testcases', 'history', 'details'
+  const [criteriaDraft, setCriteriaDraft] = useState(null);
+  const [savingCriteria, setSavingCriteria] = useState(false);
 
   useEffect(() => {
     if (!isValidSuiteId) {
@@ -30,11 +33,13 @@ export default function TestSuiteDetailPage() {
     loadExecutionHistory();
   }, [suiteId]);
 
-  const suiteType = suite?.type || 'STATIC';
+  const suiteType = suite?.suiteType || 'STATIC';
+  const isDynamic = suiteType === 'DYNAMIC';
   const loadSuiteDetails = async () => {
     try {
       const response = await apiClient.get(`/api/test-suites/${suiteIdNumber}`);
       setSuite(response);
+      setCriteriaDraft(toEditableCriteria(response.criteria));
     } catch (err) {
       setError(err.message || 'Failed to load suite details');
     } finally {
@@ -101,6 +106,22 @@ export default function TestSuiteDetailPage() {
     }
   };
 
+  const handleSaveCriteria = async () => {
+    if (!isCriteriaComplete(criteriaDraft)) {
+      alert('Every rule needs a value.');
+      return;
+    }
+    setSavingCriteria(true);
+    try {
+      await apiClient.patch(`/api/test-suites/${suiteIdNumber}`, { criteria: criteriaDraft });
+      await Promise.all([loadSuiteDetails(), loadTestCases()]);
+    } catch (err) {
+      alert(`Failed to save rules: ${err.message}`);
+    } finally {
+      setSavingCriteria(false);
+    }
+  };
+
   const handleEditSuite = () => {
     navigate(`/test-suites/${suiteIdNumber}/edit`);
   };
@@ -170,7 +191,7 @@ export default function TestSuiteDetailPage() {
         )}
 
         <div className="flex gap-6 mt-4 text-sm text-gray-600">
-          <span>📝 {suite._count.testCases} test cases</span>
+          <span>📝 {isDynamic ? suite.matchingTestCaseCount ?? 0 : suite._count.testCases} test cases</span>
           <span>📂 {suite._count.childSuites || 0} child suites</span>
           <span>🔄 {suite._count?.runs || 0} executions</span>
           {suite.estimatedDurationMinutes && (
@@ -220,23 +241,35 @@ export default function TestSuiteDetailPage() {
         <div>
           <div className="flex justify-between items-center mb-4">
             <h2 className="text-lg font-semibold">Test Cases</h2>
-            <button
-              onClick={handleAddTestCases}
-              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
-            >
-              + Add Test Cases
-            </button>
-          </div>
-
-          {testCases.length === 0 ? (
-            <div className="text-center py-8 bg-gray-50 dark:bg-gray-800 rounded">
-              <p className="text-gray-500 mb-4">No test cases in this suite</p>
+            {isDynamic ? (
+              <span className="text-sm text-gray-500">
+                Resolved live from the suite rules (see Details)
+              </span>
+            ) : (
               <button
                 onClick={handleAddTestCases}
                 className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
               >
-                Add Test Cases
+                + Add Test Cases
               </button>
+            )}
+          </div>
+
+          {testCases.length === 0 ? (
+            <div className="text-center py-8 bg-gray-50 dark:bg-gray-800 rounded">
+              {isDynamic ? (
+                <p className="text-gray-500">No test cases currently match the suite rules</p>
+              ) : (
+                <>
+                  <p className="text-gray-500 mb-4">No test cases in this suite</p>
+                  <button
+                    onClick={handleAddTestCases}
+                    className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+                  >
+                    Add Test Cases
+                  </button>
+                </>
+              )}
             </div>
           ) : (
             <div className="bg-white dark:bg-gray-900 rounded shadow overflow-hidden">
@@ -256,14 +289,14 @@ export default function TestSuiteDetailPage() {
                       Priority
                     </th>
                     <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
-                      Actions
+                      {isDynamic ? 'Why It Matched' : 'Actions'}
                     </th>
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
                   {testCases.map((tc) => (
-                    <tr key={tc.id} className="hover:bg-gray-50 dark:hover:bg-gray-800">
-                      <td className="px-4 py-2 text-sm">{tc.executionOrder}</td>
+                    <tr key={tc.testCaseId} className="hover:bg-gray-50 dark:hover:bg-gray-800">
+                      <td className="px-4 py-2 text-sm">{tc.order}</td>
                       <td className="px-4 py-2">
                         <div className="font-medium">{tc.testCase?.name || 'N/A'}</div>
                       </td>
@@ -278,12 +311,20 @@ export default function TestSuiteDetailPage() {
                         </span>
                       </td>
                       <td className="px-4 py-2">
-                        <button
-                          onClick={() => handleRemoveTestCase(tc.testCaseId)}
-                          className="text-red-600 hover:text-red-800"
-                        >
-                          Remove
-                        </button>
+                        {isDynamic ? (
+                          <ul className="text-xs text-gray-600 dark:text-gray-400 list-disc list-inside">
+                            {tc.matchReasons?.map((reason) => (
+                              <li key={reason}>{reason}</li>
+                            ))}
+                          </ul>
+                        ) : (
+                          <button
+                            onClick={() => handleRemoveTestCase(tc.testCaseId)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Remove
+                          </button>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -370,35 +411,23 @@ export default function TestSuiteDetailPage() {
             </dl>
           </div>
 
-          {suiteType === 'DYNAMIC' && (
+          {isDynamic && criteriaDraft && (
             <div className="bg-white dark:bg-gray-900 rounded shadow p-4">
-              <h2 className="text-lg font-semibold mb-4">Dynamic Filter Criteria</h2>
-              <dl className="space-y-2">
-                {suite.filterTags?.length > 0 && (
-                  <div>
-                    <dt className="text-sm text-gray-600">Tags</dt>
-                    <dd className="flex gap-2 mt-1">
-                      {suite.filterTags.map((tag, i) => (
-                        <span key={i} className="px-2 py-1 text-xs rounded bg-gray-100 dark:bg-gray-800">
-                          {tag}
-                        </span>
-                      ))}
-                    </dd>
-                  </div>
-                )}
-                {suite.filterTypes?.length > 0 && (
-                  <div>
-                    <dt className="text-sm text-gray-600">Types</dt>
-                    <dd className="font-medium">{suite.filterTypes.join(', ')}</dd>
-                  </div>
-                )}
-                {suite.filterPriorities?.length > 0 && (
-                  <div>
-                    <dt className="text-sm text-gray-600">Priorities</dt>
-                    <dd className="font-medium">{suite.filterPriorities.join(', ')}</dd>
-                  </div>
-                )}
-              </dl>
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg font-semibold">Membership Rules</h2>
+                <button
+                  onClick={handleSaveCriteria}
+                  disabled={savingCriteria || suite.isDeleted}
+                  className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-60"
+                >
+                  {savingCriteria ? 'Saving...' : 'Save Rules'}
+                </button>
+              </div>
+              <SuiteCriteriaEditor
+                projectId={suite.projectId}
+                criteria={criteriaDraft}
+                onChange={setCriteriaDraft}
+              />
             </div>
           )}
         </div>
@@ -134,7 +134,7 @@ export default function TestSuitesPage() {
   };
 
   const renderSuiteNode = (suite, depth = 0) => {
-    const suiteType = suite.type || 'STATIC';
+    const suiteType = suite.suiteType || 'STATIC';
     return (
       <div key={suite.id} style={{ marginLeft: `${depth * 20}px` }}>
         <div className="p-4 border-b hover:bg-gray-50 dark:hover:bg-gray-800">
@@ -163,7 +163,7 @@ export default function TestSuitesPage() {
                 </p>
               )}
               <div className="flex gap-4 mt-2 text-sm text-gray-500">
-                <span>📝 {suite._count?.testCases || 0} test cases</span>
+                <span>📝 {suiteType === 'DYNAMIC' ? suite.matchingTestCaseCount || 0 : suite._count?.testCases || 0} test cases</span>
                 <span>📂 {suite._count?.childSuites || 0} child suites</span>
                 <span>🔄 {suite._count?.runs || 0} runs</span>
               </div>
@@ -293,10 +293,6 @@ export default function TestSuitesPage() {
             <option value="">All Types</option>
             <option value="STATIC">Static</option>
             <option value="DYNAMIC">Dynamic</option>
-            <option value="REGRESSION">Regression</option>
-            <option value="SMOKE">Smoke</option>
-            <option value="SANITY">Sanity</option>
-            <option value="CUSTOM">Custom</option>
           </select>
 
           <select
@@ -188,6 +188,22 @@ export default function WebhooksPage() {
     }
   };
 
+  const handleRedeliver = async (delivery) => {
+    try {
+      setActionLoading(true);
+      setError('');
+      await apiClient.post(
+        `/api/projects/${projectId}/webhooks/${delivery.webhookId}/deliveries/${delivery.id}/redeliver`,
+      );
+      await loadDeliveries(delivery.webhookId);
+    } catch (err) {
+      setError(err.message || 'Failed to redeliver webhook');
+      logError(err, 'WebhooksPage.redeliver');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const handleTestWebhook = async (webhookId) => {
     try {
       setActionLoading(true);
@@ -620,26 +636,42 @@ export default function WebhooksPage() {
                         <div>
                           <span
                             className={`px-2 py-1 text-xs rounded ${
-                              delivery.success
+                              delivery.status === 'SUCCESS'
                                 ? 'bg-green-500/10 text-green-600'
-                                : 'bg-red-500/10 text-red-600'
+                                : delivery.status === 'FAILED'
+                                  ? 'bg-red-500/10 text-red-600'
+                                  : 'bg-yellow-500/10 text-yellow-600'
                             }`}
                           >
-                            {delivery.success ? 'Success' : 'Failed'}
+                            {delivery.status}
                           </span>
                           <span className="ml-2 text-xs text-[var(--muted)]">
-                            Status: {delivery.responseStatus || 'N/A'}
+                            HTTP {delivery.responseCode || 'N/A'} · {delivery.attemptCount} attempt(s)
                           </span>
                         </div>
-                        <span className="text-xs text-[var(--muted)]">
-                          {new Date(delivery.createdAt).toLocaleString()}
-                        </span>
+                        <div className="flex items-center gap-2">
+                          <span className="text-xs text-[var(--muted)]">
+                            {new Date(delivery.createdAt).toLocaleString()}
+                          </span>
+                          <button
+                            onClick={() => handleRedeliver(delivery)}
+                            disabled={actionLoading || delivery.status === 'DELIVERING'}
+                            className="tt-btn px-2 py-1 text-xs disabled:opacity-50"
+                          >
+                            Redeliver
+                          </button>
+                        </div>
                       </div>
                       <p className="text-sm text-[var(--muted)] font-mono">
                         Event: {delivery.event}
                       </p>
-                      {delivery.error && (
-                        <p className="text-xs text-red-600 mt-2">Error: {delivery.error}</p>
+                      {delivery.status === 'PENDING' && delivery.nextRetryAt && (
+                        <p className="text-xs text-[var(--muted)] mt-1">
+                          Next attempt: {new Date(delivery.nextRetryAt).toLocaleString()}
+                        </p>
+                      )}
+                      {delivery.errorMessage && (
+                        <p className="text-xs text-red-600 mt-2">Error: {delivery.errorMessage}</p>
                       )}
                     </div>
                   ))}
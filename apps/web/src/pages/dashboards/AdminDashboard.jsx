@@ -5,6 +5,7 @@ import DashboardLayout from '@/components/DashboardLayout';
 import MetricsGrid from '@/components/MetricsGrid';
 import ProjectManagement from '@/components/ProjectManagement';
 import ChatAdminControls from '@/components/ChatAdminControls';
+import SsoProviderSettings from '@/components/SsoProviderSettings';
 import { apiClient } from '@/lib/apiClient';
 
 export default function AdminDashboard() {
@@ -456,6 +457,7 @@ export default function AdminDashboard() {
           </div>
         </div>
       )}
+      {activeTab === 'system' && <SsoProviderSettings />}
 
       {/* Chat Controls Tab */}
       {activeTab === 'chat' && (
@@ -0,0 +1,311 @@
+/**
+ * Utility Script: Mock Identity Provider
+ *
+ * Local OIDC and SAML 2.0 identity provider for trying single sign-on without a real IdP.
+ * Its sign-in page lets you pick any email, name and groups, so group-to-role and
+ * group-to-project mappings can be exercised. Never expose it beyond localhost.
+ *
+ * Usage:
+ *   node scripts/dev/mock-idp.js
+ *
+ * Environment:
+ *   MOCK_IDP_PORT           Port to listen on (default 4000)
+ *   MOCK_IDP_CLIENT_ID      OIDC client ID (default testtrack)
+ *   MOCK_IDP_CLIENT_SECRET  OIDC client secret (default mock-secret)
+ *
+ * The signing key is generated at startup; paste the printed SAML public key into the
+ * provider settings again after each restart. OIDC picks the new key up from the JWKS.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import zlib from 'zlib';
+
+const PORT = Number(process.env.MOCK_IDP_PORT || 4000);
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'testtrack';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+const SAML_ENTITY_ID = `${ISSUER}/saml`;
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+const authorizationCodes = new Map(); // code -> { clientId, redirectUri, nonce, codeChallenge, identity, expiresAt }
+const accessTokens = new Map(); // token -> identity
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    request.on('error', reject);
+  });
+}
+
+function send(response, status, body, type = 'application/json') {
+  response.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  response.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function parseIdentity(form) {
+  return {
+    sub: form.sub || crypto.createHash('sha256').update(form.email).digest('hex').slice(0, 16),
+    email: form.email,
+    name: form.name || form.email.split('@')[0],
+    groups: String(form.groups || '').split(',').map((group) => group.trim()).filter(Boolean),
+  };
+}
+
+// Sign-in page: every field is free text, hidden fields carry the request through
+function loginPage(title, action, hidden) {
+  const hiddenInputs = Object.entries(hidden)
+    .map(([name, value]) => `<input type="hidden" name="${escapeXml(name)}" value="${escapeXml(value ?? '')}">`)
+    .join('');
+  return `<!doctype html><html><head><title>Mock IdP</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+<h2>Mock identity provider</h2><p>${escapeXml(title)}</p>
+<form method="post" action="${escapeXml(action)}">${hiddenInputs}
+<p><label>Email<br><input name="email" value="sso.user@example.com" required style="width: 100%"></label></p>
+<p><label>Name<br><input name="name" value="SSO User" style="width: 100%"></label></p>
+<p><label>Groups (comma separated)<br><input name="groups" value="qa" style="width: 100%"></label></p>
+<button type="submit">Sign in</button>
+</form></body></html>`;
+}
+
+function signJwt(payload) {
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${body}`), privateKey).toString('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+function checkClient(request, form) {
+  const basic = String(request.headers.authorization || '').match(/^Basic (.+)$/);
+  if (basic) {
+    const [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+    return id === CLIENT_ID && secret === CLIENT_SECRET;
+  }
+  return form.client_id === CLIENT_ID && form.client_secret === CLIENT_SECRET;
+}
+
+/**
+ * Build a SAML Response with a signed assertion
+ * The assertion is written directly in exclusive canonical form (sorted attributes, no
+ * self-closing tags, namespace declared on the assertion), so its digest can be computed
+ * without an XML library.
+ */
+function buildSamlResponse({ requestId, acsUrl, audience, identity }) {
+  const now = new Date();
+  const iso = (offsetMs) => new Date(now.getTime() + offsetMs).toISOString();
+  const responseId = `_${crypto.randomBytes(16).toString('hex')}`;
+  const assertionId = `_${crypto.randomBytes(16).toString('hex')}`;
+  const attributes = [
+    ['email', [identity.email]],
+    ['displayName', [identity.name]],
+    ['groups', identity.groups],
+  ]
+    .filter(([, values]) => values.length > 0)
+    .map(([name, values]) => `<saml:Attribute Name="${name}">${values
+      .map((value) => `<saml:AttributeValue>${escapeXml(value)}</saml:AttributeValue>`)
+      .join('')}</saml:Attribute>`)
+    .join('');
+
+  const issuer = `<saml:Issuer>${escapeXml(SAML_ENTITY_ID)}</saml:Issuer>`;
+  const assertionBody = `<saml:Subject>`
+    + `<saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress">${escapeXml(identity.email)}</saml:NameID>`
+    + `<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">`
+    + `<saml:SubjectConfirmationData InResponseTo="${escapeXml(requestId)}" NotOnOrAfter="${iso(5 * 60 * 1000)}" Recipient="${escapeXml(acsUrl)}"></saml:SubjectConfirmationData>`
+    + `</saml:SubjectConfirmation></saml:Subject>`
+    + `<saml:Conditions NotBefore="${iso(-60 * 1000)}" NotOnOrAfter="${iso(5 * 60 * 1000)}">`
+    + `<saml:AudienceRestriction><saml:Audience>${escapeXml(audience)}</saml:Audience></saml:AudienceRestriction>`
+    + `</saml:Conditions>`
+    + `<saml:AuthnStatement AuthnInstant="${iso(0)}" SessionIndex="${assertionId}">`
+    + `<saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext>`
+    + `</saml:AuthnStatement>`
+    + `<saml:AttributeStatement>${attributes}</saml:AttributeStatement>`;
+  const assertionOpen = `<saml:Assertion xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="${assertionId}" IssueInstant="${iso(0)}" Version="2.0">`;
+
+  const digest = crypto.createHash('sha256')
+    .update(`${assertionOpen}${issuer}${assertionBody}</saml:Assertion>`)
+    .digest('base64');
+  const signedInfo = '<ds:SignedInfo>'
+    + '<ds:CanonicalizationMethod Algorithm="http://www.w3.org/2001/10/xml-exc-c14n#"></ds:CanonicalizationMethod>'
+    + '<ds:SignatureMethod Algorithm="http://www.w3.org/2001/04/xmldsig-more#rsa-sha256"></ds:SignatureMethod>'
+    + `<ds:Reference URI="#${assertionId}"><ds:Transforms>`
+    + '<ds:Transform Algorithm="http://www.w3.org/2000/09/xmldsig#enveloped-signature"></ds:Transform>'
+    + '<ds:Transform Algorithm="http://www.w3.org/2001/10/xml-exc-c14n#"></ds:Transform>'
+    + '</ds:Transforms><ds:DigestMethod Algorithm="http://www.w3.org/2001/04/xmlenc#sha256"></ds:DigestMethod>'
+    + `<ds:DigestValue>${digest}</ds:DigestValue></ds:Reference></ds:SignedInfo>`;
+  const canonicalSignedInfo = signedInfo.replace(
+    '<ds:SignedInfo>',
+    '<ds:SignedInfo xmlns:ds="http://www.w3.org/2000/09/xmldsig#">',
+  );
+  const signatureValue = crypto.sign('RSA-SHA256', Buffer.from(canonicalSignedInfo), privateKey).toString('base64');
+  const signature = `<ds:Signature xmlns:ds="http://www.w3.org/2000/09/xmldsig#">${signedInfo}<ds:SignatureValue>${signatureValue}</ds:SignatureValue></ds:Signature>`;
+
+  return '<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion"'
+    + ` Destination="${escapeXml(acsUrl)}" ID="${responseId}" InResponseTo="${escapeXml(requestId)}" IssueInstant="${iso(0)}" Version="2.0">`
+    + issuer
+    + '<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"></samlp:StatusCode></samlp:Status>'
+    + `${assertionOpen}${issuer}${signature}${assertionBody}</saml:Assertion>`
+    + '</samlp:Response>';
+}
+
+function readAuthnRequest(samlRequest) {
+  const xml = zlib.inflateRawSync(Buffer.from(samlRequest, 'base64')).toString();
+  const attribute = (name) => xml.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+  return {
+    requestId: attribute('ID'),
+    acsUrl: attribute('AssertionConsumerServiceURL'),
+    audience: xml.match(/<(?:saml2?:)?Issuer[^>]*>([^<]+)</)?.[1],
+  };
+}
+
+async function handle(request, response) {
+  const url = new URL(request.url, ISSUER);
+
+  if (url.pathname === '/.well-known/openid-configuration') {
+    return send(response, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  }
+
+  if (url.pathname === '/jwks') {
+    return send(response, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+  }
+
+  if (url.pathname === '/authorize' && request.method === 'GET') {
+    const params = Object.fromEntries(url.searchParams);
+    if (params.client_id !== CLIENT_ID || params.response_type !== 'code') {
+      return send(response, 400, { error: 'invalid_request' });
+    }
+    return send(response, 200, loginPage(`OIDC sign-in for ${params.client_id}`, '/authorize', params), 'text/html');
+  }
+
+  if (url.pathname === '/authorize' && request.method === 'POST') {
+    const form = await readBody(request);
+    const code = crypto.randomBytes(24).toString('base64url');
+    authorizationCodes.set(code, {
+      clientId: form.client_id,
+      redirectUri: form.redirect_uri,
+      nonce: form.nonce,
+      codeChallenge: form.code_challenge,
+      identity: parseIdentity(form),
+      expiresAt: Date.now() + CODE_TTL_MS,
+    });
+    const redirect = new URL(form.redirect_uri);
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', form.state || '');
+    response.writeHead(302, { Location: redirect.toString() });
+    return response.end();
+  }
+
+  if (url.pathname === '/token' && request.method === 'POST') {
+    const form = await readBody(request);
+    const grant = authorizationCodes.get(form.code);
+    authorizationCodes.delete(form.code);
+    if (!checkClient(request, form)) {
+      return send(response, 401, { error: 'invalid_client' });
+    }
+    const verifierHash = crypto.createHash('sha256').update(form.code_verifier || '').digest('base64url');
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.redirect_uri
+      || (grant.codeChallenge && grant.codeChallenge !== verifierHash)) {
+      return send(response, 400, { error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, grant.identity);
+    const now = Math.floor(Date.now() / 1000);
+    return send(response, 200, {
+      token_type: 'Bearer',
+      access_token: accessToken,
+      expires_in: 300,
+      id_token: signJwt({
+        iss: ISSUER,
+        aud: CLIENT_ID,
+        sub: grant.identity.sub,
+        iat: now,
+        exp: now + 300,
+        nonce: grant.nonce,
+        email: grant.identity.email,
+        email_verified: true,
+        name: grant.identity.name,
+        groups: grant.identity.groups,
+      }),
+    });
+  }
+
+  if (url.pathname === '/userinfo') {
+    const identity = accessTokens.get(String(request.headers.authorization || '').replace(/^Bearer /, ''));
+    return identity
+      ? send(response, 200, { ...identity, email_verified: true })
+      : send(response, 401, { error: 'invalid_token' });
+  }
+
+  if (url.pathname === '/saml/sso' && request.method === 'GET') {
+    const samlRequest = url.searchParams.get('SAMLRequest');
+    if (!samlRequest) {
+      return send(response, 400, { error: 'SAMLRequest is required' });
+    }
+    const authnRequest = readAuthnRequest(samlRequest);
+    return send(response, 200, loginPage(`SAML sign-in for ${authnRequest.audience}`, '/saml/sso', {
+      ...authnRequest,
+      RelayState: url.searchParams.get('RelayState'),
+    }), 'text/html');
+  }
+
+  if (url.pathname === '/saml/sso' && request.method === 'POST') {
+    const form = await readBody(request);
+    const samlResponse = buildSamlResponse({ ...form, identity: parseIdentity(form) });
+    return send(response, 200, `<!doctype html><html><body onload="document.forms[0].submit()">
+<form method="post" action="${escapeXml(form.acsUrl)}">
+<input type="hidden" name="SAMLResponse" value="${Buffer.from(samlResponse).toString('base64')}">
+<input type="hidden" name="RelayState" value="${escapeXml(form.RelayState || '')}">
+<noscript><button type="submit">Continue</button></noscript>
+</form></body></html>`, 'text/html');
+  }
+
+  if (url.pathname === '/saml/certificate') {
+    return send(response, 200, publicKeyPem, 'text/plain');
+  }
+
+  return send(response, 404, { error: 'not_found' });
+}
+
+http.createServer((request, response) => {
+  handle(request, response).catch((error) => {
+    console.error('❌ Mock IdP error:', error.message);
+    send(response, 500, { error: error.message });
+  });
+}).listen(PORT, () => {
+  console.log(`🔐 Mock identity provider on ${ISSUER}\n`);
+  console.log('OIDC provider settings:');
+  console.log(`  Issuer:        ${ISSUER}`);
+  console.log(`  Client ID:     ${CLIENT_ID}`);
+  console.log(`  Client secret: ${CLIENT_SECRET}\n`);
+  console.log('SAML provider settings:');
+  console.log(`  SSO URL:       ${ISSUER}/saml/sso`);
+  console.log(`  IdP entity ID: ${SAML_ENTITY_ID}`);
+  console.log(`  Certificate:   (also at ${ISSUER}/saml/certificate)\n${publicKeyPem}`);
+});
@@ -0,0 +1,249 @@
+/**
+ * Utility Script: Mock Jira Server
+ *
+ * Local stand-in for the parts of the Jira REST API v2 that issue tracker sync uses
+ * (project lookup, issues, transitions, assignee and comments), for trying the
+ * integration without a Jira site. Issues live in memory and are lost on restart.
+ * Never expose it beyond localhost.
+ *
+ * Usage:
+ *   node scripts/dev/mock-jira.js
+ *
+ * Environment:
+ *   MOCK_JIRA_PORT         Port to listen on (default 4100)
+ *   MOCK_JIRA_PROJECT_KEY  Project key issues are created in (default QA)
+ *   MOCK_JIRA_API_TOKEN    Token the integration must send (default mock-token)
+ *   MOCK_JIRA_WEBHOOK_URL  TestTrack webhook URL (with ?token=) to notify on simulated changes
+ *
+ * Simulate changes made in Jira, which are sent to MOCK_JIRA_WEBHOOK_URL:
+ *   curl -X POST localhost:4100/mock/issues/QA-1/status   -d '{"status":"Done"}'
+ *   curl -X POST localhost:4100/mock/issues/QA-1/assignee -d '{"accountId":"acc-1"}'
+ *   curl -X POST localhost:4100/mock/issues/QA-1/comment  -d '{"body":"Fixed in 2.1","author":"Jira Dev"}'
+ * GET /mock/issues lists every issue.
+ */
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+const STATUSES = ['To Do', 'In Progress', 'In Review', 'Done'];
+
+function readJson(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(new Error('Request body must be JSON'));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+function send(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Create a mock Jira server (not listening yet)
+ * @param {Object} options - { projectKey, apiToken, webhookUrl }
+ * @returns {Object} { server, issues, requests } - issues by ID and a log of API calls
+ */
+export function createMockJira({ projectKey = 'QA', apiToken = 'mock-token', webhookUrl = null } = {}) {
+  const issues = new Map();
+  const requests = [];
+  let nextIssueId = 10001;
+  let nextCommentId = 1;
+
+  const findIssue = (idOrKey) => issues.get(idOrKey) || [...issues.values()].find((issue) => issue.key === idOrKey);
+
+  // Accepts Basic (any email + token) and Bearer tokens, like Jira Cloud and Data Center
+  function isAuthorized(request) {
+    const header = String(request.headers.authorization || '');
+    if (header.startsWith('Bearer ')) {
+      return header.slice(7) === apiToken;
+    }
+    if (header.startsWith('Basic ')) {
+      const [, token] = Buffer.from(header.slice(6), 'base64').toString().split(':');
+      return token === apiToken;
+    }
+    return false;
+  }
+
+  // Jira-shaped issue_updated / comment_created webhook
+  async function notify(issue, payload) {
+    if (!webhookUrl) return;
+    try {
+      await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ timestamp: Date.now(), issue: { id: issue.id, key: issue.key }, ...payload }),
+      });
+    } catch (error) {
+      console.error('❌ Webhook delivery failed:', error.message);
+    }
+  }
+
+  async function handleApi(request, response, path) {
+    let match;
+
+    if ((match = path.match(/^\/project\/([^/]+)$/)) && request.method === 'GET') {
+      return decodeURIComponent(match[1]) === projectKey
+        ? send(response, 200, { key: projectKey, name: `Mock project ${projectKey}` })
+        : send(response, 404, { errorMessages: ['No project could be found'] });
+    }
+
+    if (path === '/issue' && request.method === 'POST') {
+      const { fields = {} } = await readJson(request);
+      if (fields.project?.key !== projectKey || !fields.summary) {
+        return send(response, 400, { errors: { summary: 'project and summary are required' } });
+      }
+      const id = String(nextIssueId++);
+      const issue = {
+        id,
+        key: `${projectKey}-${issues.size + 1}`,
+        summary: fields.summary,
+        description: fields.description || '',
+        issueType: fields.issuetype?.name || 'Bug',
+        priority: fields.priority?.name || null,
+        status: STATUSES[0],
+        assignee: fields.assignee?.accountId || null,
+        comments: [],
+      };
+      issues.set(id, issue);
+      return send(response, 201, { id, key: issue.key, self: `/rest/api/2/issue/${id}` });
+    }
+
+    match = path.match(/^\/issue\/([^/]+)(\/[a-z]+)?$/);
+    const issue = match && findIssue(match[1]);
+    if (!issue) {
+      return send(response, 404, { errorMessages: ['Issue does not exist'] });
+    }
+    const action = match[2] || '';
+
+    if (action === '' && request.method === 'GET') {
+      return send(response, 200, {
+        id: issue.id,
+        key: issue.key,
+        fields: { summary: issue.summary, status: { name: issue.status } },
+      });
+    }
+
+    // Every status is reachable from every other one
+    if (action === '/transitions' && request.method === 'GET') {
+      return send(response, 200, {
+        transitions: STATUSES.filter((status) => status !== issue.status).map((status) => ({
+          id: String(STATUSES.indexOf(status) + 11),
+          name: `Move to ${status}`,
+          to: { name: status },
+        })),
+      });
+    }
+
+    if (action === '/transitions' && request.method === 'POST') {
+      const { transition } = await readJson(request);
+      const status = STATUSES[Number(transition?.id) - 11];
+      if (!status) {
+        return send(response, 400, { errorMessages: ['Invalid transition'] });
+      }
+      issue.status = status;
+      return send(response, 204);
+    }
+
+    if (action === '/assignee' && request.method === 'PUT') {
+      const { accountId } = await readJson(request);
+      issue.assignee = accountId || null;
+      return send(response, 204);
+    }
+
+    if (action === '/comment' && request.method === 'POST') {
+      const { body } = await readJson(request);
+      const comment = { id: String(nextCommentId++), body, author: { accountId: 'testtrack', displayName: 'TestTrack' } };
+      issue.comments.push(comment);
+      return send(response, 201, comment);
+    }
+
+    return send(response, 404, { errorMessages: ['Not found'] });
+  }
+
+  async function handleSimulation(request, response, path) {
+    if (path === '/mock/issues' && request.method === 'GET') {
+      return send(response, 200, [...issues.values()]);
+    }
+
+    const match = path.match(/^\/mock\/issues\/([^/]+)\/(status|assignee|comment)$/);
+    const issue = match && findIssue(match[1]);
+    if (!issue || request.method !== 'POST') {
+      return send(response, 404, { error: 'not_found' });
+    }
+    const body = await readJson(request);
+
+    if (match[2] === 'status') {
+      if (!STATUSES.includes(body.status)) {
+        return send(response, 400, { error: `status must be one of: ${STATUSES.join(', ')}` });
+      }
+      const from = issue.status;
+      issue.status = body.status;
+      await notify(issue, {
+        webhookEvent: 'jira:issue_updated',
+        changelog: { items: [{ field: 'status', fromString: from, toString: body.status }] },
+      });
+    } else if (match[2] === 'assignee') {
+      const from = issue.assignee;
+      issue.assignee = body.accountId || null;
+      await notify(issue, {
+        webhookEvent: 'jira:issue_updated',
+        changelog: { items: [{ field: 'assignee', from, to: issue.assignee }] },
+      });
+    } else {
+      const comment = {
+        id: String(nextCommentId++),
+        body: body.body || '',
+        author: { accountId: body.accountId || null, displayName: body.author || 'Jira user' },
+      };
+      issue.comments.push(comment);
+      await notify(issue, { webhookEvent: 'comment_created', comment });
+    }
+
+    return send(response, 200, issue);
+  }
+
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    requests.push({ method: request.method, path: pathname });
+
+    const handler = pathname.startsWith('/rest/api/2/')
+      ? (isAuthorized(request)
+        ? handleApi(request, response, pathname.slice('/rest/api/2'.length))
+        : Promise.resolve(send(response, 401, { errorMessages: ['Unauthorized'] })))
+      : handleSimulation(request, response, pathname);
+
+    handler.catch((error) => send(response, 400, { errorMessages: [error.message] }));
+  });
+
+  return { server, issues, requests };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const port = Number(process.env.MOCK_JIRA_PORT || 4100);
+  const projectKey = process.env.MOCK_JIRA_PROJECT_KEY || 'QA';
+  const apiToken = process.env.MOCK_JIRA_API_TOKEN || 'mock-token';
+  const { server } = createMockJira({ projectKey, apiToken, webhookUrl: process.env.MOCK_JIRA_WEBHOOK_URL || null });
+
+  server.listen(port, () => {
+    console.log(`🧪 Mock Jira on http://localhost:${port}\n`);
+    console.log('Issue tracker settings:');
+    console.log(`  Base URL:    http://localhost:${port}`);
+    console.log(`  Project key: ${projectKey}`);
+    console.log(`  API token:   ${apiToken} (any auth email, or none)`);
+    console.log(`  Statuses:    ${STATUSES.join(', ')}\n`);
+    if (!process.env.MOCK_JIRA_WEBHOOK_URL) {
+      console.log('Set MOCK_JIRA_WEBHOOK_URL to the webhook URL TestTrack shows to receive simulated changes.');
+    }
+  });
+}
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Admin Script: Migrate Evidence Storage
+ *
+ * Copies execution evidence files from one storage driver to another and
+ * points each record at its new location. Safe to re-run after a failure:
+ * records already moved no longer belong to the source driver.
+ *
+ * Usage:
+ *   cd apps/api
+ *   node ../../scripts/migrate-evidence-storage.js --from cloudinary --to s3 [options]
+ *
+ * Options:
+ *   --from <driver>      Source driver (cloudinary, local, s3)
+ *   --to <driver>        Target driver (cloudinary, local, s3)
+ *   --dry-run            Only report how many records would move
+ *   --delete-source      Delete each source file once it is copied
+ *   --batch-size <n>     Records loaded per query (default 50)
+ *
+ * Requirements:
+ *   - DATABASE_URL and the settings of both drivers in apps/api/.env
+ */
+
+import { existsSync } from 'fs';
+
+function parseArgs(argv) {
+  const options = { dryRun: false, deleteSource: false, batchSize: 50 };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--from') {
+      options.from = argv[++i];
+    } else if (arg === '--to') {
+      options.to = argv[++i];
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--delete-source') {
+      options.deleteSource = true;
+    } else if (arg === '--batch-size') {
+      options.batchSize = Number.parseInt(argv[++i], 10);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!options.from || !options.to) {
+    throw new Error('--from and --to are required');
+  }
+  if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+    throw new Error('--batch-size must be a positive integer');
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // Storage settings are read when the service modules load, so .env goes first
+  if (existsSync('.env')) {
+    process.loadEnvFile('.env');
+  }
+
+  const { migrateEvidenceStorage } = await import('../apps/api/src/services/evidenceService.js');
+  const { getPrismaClient } = await import('../apps/api/src/lib/prisma.js');
+
+  console.log(`${options.dryRun ? '[dry run] ' : ''}Migrating evidence from ${options.from} to ${options.to}...`);
+
+  try {
+    const summary = await migrateEvidenceStorage({
+      ...options,
+      onProgress: ({ record, error }) => {
+        if (error) {
+          console.error(`  ✗ Evidence ${record.id}: ${error}`);
+        } else {
+          console.log(`  ✓ Evidence ${record.id}`);
+        }
+      },
+    });
+
+    if (summary.dryRun) {
+      console.log(`✓ ${summary.total} evidence record(s) would be migrated.`);
+    } else {
+      console.log(`✓ Migrated ${summary.migrated} of ${summary.total} evidence record(s).`);
+    }
+
+    if (summary.failed.length > 0) {
+      console.error(`✗ ${summary.failed.length} record(s) failed; re-run to retry them.`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await getPrismaClient().$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('✗ Evidence migration failed:', error.message);
+  process.exit(1);
+});